@@ -7,6 +7,9 @@
 const MongoStore = require('connect-mongo');
 
 
+const cookieParser = require('cookie-parser');
+
+
 const cors = require('cors');
 
 
@@ -107,9 +110,22 @@ app.use('/api', apiLimiter);
 /**
  * Body Parser Middleware
  */
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact bytes of webhook bodies for signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) {
+      req.rawBody = buf.toString('utf8');
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+/**
+ * Cookie Parser - Needed for the CSRF double-submit cookie
+ */
+app.use(cookieParser());
+
 /**
  * Get MongoDB URI with validation
  */
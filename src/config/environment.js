@@ -4,8 +4,14 @@
 // Task ID: task_ckfhkk1ar304
 
 
+const crypto = require('crypto');
+
+
 const dotenv = require('dotenv');
 
+
+const path = require('path');
+
 * Validates and exports all environment variables with proper defaults
  * Ensures application fails fast if critical configuration is missing
  */
@@ -118,6 +124,32 @@ const parseCorsOrigins = (origins) => {
   });
 };
 
+/**
+ * Signing secrets that must each be set to their own value in production
+ * One key per purpose, so a leaked key cannot forge anything else.
+ */
+
+
+const DEDICATED_SECRETS = ['GUEST_ORDER_LOOKUP_SECRET', 'CART_RESTORE_SECRET', 'CSRF_SECRET'];
+
+/**
+ * Reads a dedicated signing secret
+ * Outside production an unset secret is replaced by a random one for this
+ * process, so links signed with it stop verifying after a restart.
+ * @param {string} key - Environment variable name
+ * @returns {string} Secret
+ */
+
+
+const dedicatedSecret = (key) => {
+  if (process.env[key]) {
+    return process.env[key];
+  }
+
+  console.warn(`${key} not set, using a random secret until the process restarts`);
+  return crypto.randomBytes(32).toString('hex');
+};
+
 /**
  * Validates email configuration for production
  * @throws {Error} If email config is incomplete in production
@@ -187,6 +219,18 @@ const validateEnvironment = () => {
         'SESSION_SECRET must be set and at least 32 characters long in production.'
       );
     }
+
+    DEDICATED_SECRETS.forEach(key => {
+      if (!process.env[key] || process.env[key].length < 32) {
+        throw new Error(`${key} must be set and at least 32 characters long in production.`);
+      }
+    });
+
+    if (!process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.TWO_FACTOR_ENCRYPTION_KEY.length < 32) {
+      throw new Error(
+        'TWO_FACTOR_ENCRYPTION_KEY must be set and at least 32 characters long in production.'
+      );
+    }
   }
 
   // Warn about missing optional variables
@@ -194,6 +238,10 @@ const validateEnvironment = () => {
     console.warn('CORS_ORIGIN not set, defaulting to http://localhost:3000');
   }
 
+  if (!process.env.TWO_FACTOR_ENCRYPTION_KEY) {
+    console.warn('TWO_FACTOR_ENCRYPTION_KEY not set, two-factor authentication is unavailable');
+  }
+
   if (!process.env.RATE_LIMIT_WINDOW) {
     console.warn('RATE_LIMIT_WINDOW not set, defaulting to 15 minutes');
   }
@@ -256,6 +304,44 @@ module.exports = {
     audience: process.env.JWT_AUDIENCE || 'ecommerce-client'
   },
 
+  // TOTP two-factor authentication
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'E-Commerce',
+    requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean),
+    // Encrypts authenticator secrets at rest; two-factor is unavailable while unset
+    encryptionKey: process.env.TWO_FACTOR_ENCRYPTION_KEY,
+    challengeTtl: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL || '300', 10)
+  },
+
+  // Social login (OAuth 2.0 authorization code flow with PKCE)
+  // A provider is enabled once its client ID is set
+  oauth: {
+    // Frontend page the provider sends the user back to with ?code=&state=
+    redirectUri: process.env.OAUTH_REDIRECT_URI || `${process.env.CLIENT_URL || 'http://localhost:3000'}/oauth/callback`,
+    stateTtl: parseInt(process.env.OAUTH_STATE_TTL || '600', 10),
+    providers: {
+      google: {
+        clientId: process.env.GOOGLE_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_CLIENT_SECRET
+      },
+      github: {
+        clientId: process.env.GITHUB_CLIENT_ID,
+        clientSecret: process.env.GITHUB_CLIENT_SECRET
+      },
+      // Any OpenID Connect provider, configured from its discovery document
+      oidc: {
+        issuer: process.env.OIDC_ISSUER,
+        clientId: process.env.OIDC_CLIENT_ID,
+        clientSecret: process.env.OIDC_CLIENT_SECRET,
+        scope: process.env.OIDC_SCOPE,
+        label: process.env.OIDC_LABEL
+      }
+    }
+  },
+
   // Payment gateway configuration (Stripe)
   payment: {
     stripeSecretKey: process.env.STRIPE_SECRET_KEY || '',
@@ -266,6 +352,82 @@ module.exports = {
     cancelUrl: process.env.PAYMENT_CANCEL_URL || 'http://localhost:3000/payment/cancel'
   },
 
+  // Currencies (product prices are stored in the base currency; the rates
+  // file seeds the currency table when it is empty)
+  currency: {
+    base: (process.env.PAYMENT_CURRENCY || 'usd').toUpperCase(),
+    ratesFile: process.env.CURRENCY_RATES_FILE || path.join(__dirname, 'currencies.json'),
+    cacheTtl: parseInt(process.env.CURRENCY_CACHE_TTL || '60000', 10)
+  },
+
+  // Tax configuration
+  tax: {
+    pricesIncludeTax: process.env.TAX_PRICES_INCLUDE_TAX === 'true'
+  },
+
+  // Inventory configuration (durations in milliseconds)
+  inventory: {
+    reservationTtl: parseInt(process.env.RESERVATION_TTL || '900000', 10),
+    orderReservationTtl: parseInt(process.env.ORDER_RESERVATION_TTL || '1800000', 10),
+    reservationSweepInterval: parseInt(process.env.RESERVATION_SWEEP_INTERVAL || '60000', 10),
+    lowStockCheckInterval: parseInt(process.env.LOW_STOCK_CHECK_INTERVAL || '3600000', 10),
+    // Extra digest recipients besides admin accounts (e.g. purchasing)
+    lowStockAlertEmails: (process.env.LOW_STOCK_ALERT_EMAILS || '')
+      .split(',')
+      .map(email => email.trim())
+      .filter(Boolean)
+  },
+
+  // Returns (RMA)
+  returns: {
+    windowDays: parseInt(process.env.RETURN_WINDOW_DAYS || '30', 10)
+  },
+
+  // Shipment tracking (carriers sign webhook bodies with this HMAC secret)
+  shipping: {
+    carrierWebhookSecret: process.env.CARRIER_WEBHOOK_SECRET || ''
+  },
+
+  // Guest checkout (signed order-lookup links; TTL in milliseconds)
+  guestCheckout: {
+    lookupSecret: dedicatedSecret('GUEST_ORDER_LOOKUP_SECRET'),
+    lookupLinkTtl: parseInt(process.env.GUEST_ORDER_LOOKUP_TTL || '2592000000', 10)
+  },
+
+  // Abandoned cart recovery (durations in milliseconds; reminder schedule in
+  // hours after abandonment; promo percent 0 disables the last-reminder code)
+  cartRecovery: {
+    abandonAfter: parseInt(process.env.CART_ABANDON_AFTER || '3600000', 10),
+    checkInterval: parseInt(process.env.CART_RECOVERY_CHECK_INTERVAL || '900000', 10),
+    reminderSchedule: (process.env.CART_REMINDER_SCHEDULE || '1,24,72')
+      .split(',')
+      .map(hours => parseFloat(hours))
+      .filter(hours => Number.isFinite(hours) && hours >= 0)
+      .sort((a, b) => a - b)
+      .map(hours => Math.round(hours * 3600000)),
+    // Orders placed this long after the last reminder still count as recovered
+    attributionWindow: parseInt(process.env.CART_RECOVERY_ATTRIBUTION_WINDOW || '604800000', 10),
+    restoreSecret: dedicatedSecret('CART_RESTORE_SECRET'),
+    promoPercent: parseFloat(process.env.CART_RECOVERY_PROMO_PERCENT || '0'),
+    promoValidity: parseInt(process.env.CART_RECOVERY_PROMO_VALIDITY || '259200000', 10)
+  },
+
+  // Marketplace sellers (commission is a percentage kept from each sub-order)
+  marketplace: {
+    commissionRate: parseFloat(process.env.MARKETPLACE_COMMISSION_RATE || '10')
+  },
+
+  // Bulk catalog import (CSV or JSON lines uploads)
+  catalogImport: {
+    maxFileSize: process.env.CATALOG_IMPORT_MAX_SIZE || '10mb',
+    maxRows: parseInt(process.env.CATALOG_IMPORT_MAX_ROWS || '10000', 10)
+  },
+
+  // Background jobs (disable on instances that should not run them)
+  jobs: {
+    enabled: process.env.ENABLE_BACKGROUND_JOBS !== 'false'
+  },
+
   // Email service configuration
   email: {
     host: process.env.EMAIL_HOST || 'smtp.gmail.com',
@@ -282,7 +444,7 @@ module.exports = {
     origin: parseCorsOrigins(process.env.CORS_ORIGIN),
     credentials: process.env.CORS_CREDENTIALS !== 'false',
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-CSRF-Token'],
     exposedHeaders: ['X-Total-Count', 'X-Page-Count'],
     maxAge: parseInt(process.env.CORS_MAX_AGE || '86400', 10)
   },
@@ -321,6 +483,16 @@ module.exports = {
     }
   },
 
+  // CSRF protection (signed double-submit cookie)
+  csrf: {
+    secret: dedicatedSecret('CSRF_SECRET'),
+    cookieName: process.env.CSRF_COOKIE_NAME || 'csrf_token',
+    headerName: 'x-csrf-token',
+    tokenTtl: parseInt(process.env.CSRF_TOKEN_TTL || '86400', 10),
+    // Requests under these paths are authenticated by signature, not by cookies
+    ignorePaths: ['/api/webhooks/']
+  },
+
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'info' : 'debug'),
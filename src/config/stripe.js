@@ -9,6 +9,8 @@ const Stripe = require('stripe');
 
 const logger = require('../utils/logger');
 
+const { fromMinorUnits, toMinorUnits } = require('../utils/currency');
+
 * - STRIPE_CURRENCY: Default currency (optional, defaults to 'usd')
  * - STRIPE_API_VERSION: API version to use (optional, defaults to '2023-10-16')
  */
@@ -222,27 +224,31 @@ const constructWebhookEvent = (payload, signature) => {
 };
 
 /**
- * Format amount for Stripe (convert to cents)
+ * Format amount for Stripe (convert to the smallest currency unit)
+ * Zero-decimal currencies such as JPY are sent as-is, three-decimal ones
+ * such as KWD are multiplied by 1000.
  *
- * @param {number} amount - Amount in dollars
- * @returns {number} Amount in cents
+ * @param {number} amount - Amount in major units (e.g. dollars)
+ * @param {string} [currency] - ISO 4217 code (defaults to STRIPE_CURRENCY)
+ * @returns {number} Amount in minor units (e.g. cents)
  */
 
 
-const formatAmountForStripe = (amount) => {
-  return Math.round(amount * 100);
+const formatAmountForStripe = (amount, currency = config.currency) => {
+  return toMinorUnits(amount, currency);
 };
 
 /**
- * Format amount from Stripe (convert from cents)
+ * Format amount from Stripe (convert from the smallest currency unit)
  *
- * @param {number} amount - Amount in cents
- * @returns {number} Amount in dollars
+ * @param {number} amount - Amount in minor units (e.g. cents)
+ * @param {string} [currency] - ISO 4217 code (defaults to STRIPE_CURRENCY)
+ * @returns {number} Amount in major units (e.g. dollars)
  */
 
 
-const formatAmountFromStripe = (amount) => {
-  return amount / 100;
+const formatAmountFromStripe = (amount, currency = config.currency) => {
+  return fromMinorUnits(amount, currency);
 };
 
 module.exports = {
@@ -0,0 +1,215 @@
+// File: src/controllers/analytics.controller.js
+// Generated: 2025-10-16 17:14:31 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_r8fa3kw6tb2d
+
+
+const ApiResponse = require('../utils/response');
+
+
+const analyticsService = require('../services/analytics.service');
+
+
+const logger = require('../utils/logger');
+
+/**
+ * Report filters from the query string
+ * Sellers always see their own store; admins may pass ?seller= to drill into one.
+ * @param {Object} req - Express request object
+ * @returns {Object} { from, to, seller }
+ */
+
+
+const reportFilters = (req) => ({
+  from: req.query.from,
+  to: req.query.to,
+  seller: req.seller ? req.seller._id : req.query.seller
+});
+
+/**
+ * Send a report as JSON, or as a CSV download with ?format=csv
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} name - Report name
+ * @param {Object} report - Report data
+ * @param {string} message - Success message
+ */
+
+
+const sendReport = (req, res, name, report, message) => {
+  if (req.query.format === 'csv') {
+    const { filename, csv } = analyticsService.toCsv(name, report);
+
+    res.attachment(filename);
+    res.type('text/csv');
+    return res.status(200).send(csv);
+  }
+
+  return res.status(200).json(ApiResponse.success(message, report));
+};
+
+/**
+ * Revenue, orders and average order value by day, week or month
+ * @route GET /api/analytics/sales
+ */
+
+
+const getSalesReport = async (req, res, next) => {
+  try {
+    const report = await analyticsService.getSalesReport(reportFilters(req), {
+      interval: req.query.interval
+    });
+
+    sendReport(req, res, 'sales', report, 'Sales report generated successfully');
+  } catch (error) {
+    logger.error('Failed to generate sales report', {
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Best selling products
+ * @route GET /api/analytics/products/top
+ */
+
+
+const getTopProducts = async (req, res, next) => {
+  try {
+    const report = await analyticsService.getTopProducts(reportFilters(req), {
+      limit: req.query.limit,
+      sortBy: req.query.sortBy
+    });
+
+    sendReport(req, res, 'products', report, 'Top products report generated successfully');
+  } catch (error) {
+    logger.error('Failed to generate top products report', {
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Products that sold the least
+ * @route GET /api/analytics/products/low-performers
+ */
+
+
+const getLowPerformers = async (req, res, next) => {
+  try {
+    const report = await analyticsService.getLowPerformers(reportFilters(req), {
+      limit: req.query.limit
+    });
+
+    sendReport(req, res, 'low-performers', report, 'Low performers report generated successfully');
+  } catch (error) {
+    logger.error('Failed to generate low performers report', {
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Best selling categories
+ * @route GET /api/analytics/categories/top
+ */
+
+
+const getTopCategories = async (req, res, next) => {
+  try {
+    const report = await analyticsService.getTopCategories(reportFilters(req), {
+      limit: req.query.limit
+    });
+
+    sendReport(req, res, 'categories', report, 'Top categories report generated successfully');
+  } catch (error) {
+    logger.error('Failed to generate top categories report', {
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Refund rate and refunded revenue
+ * @route GET /api/analytics/refunds
+ */
+
+
+const getRefundReport = async (req, res, next) => {
+  try {
+    const report = await analyticsService.getRefundReport(reportFilters(req));
+
+    sendReport(req, res, 'refunds', report, 'Refund report generated successfully');
+  } catch (error) {
+    logger.error('Failed to generate refund report', {
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Cart to order conversion
+ * @route GET /api/analytics/conversion
+ */
+
+
+const getCartConversion = async (req, res, next) => {
+  try {
+    const report = await analyticsService.getCartConversion(reportFilters(req));
+
+    sendReport(req, res, 'conversion', report, 'Conversion report generated successfully');
+  } catch (error) {
+    logger.error('Failed to generate conversion report', {
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * New versus returning customers
+ * @route GET /api/analytics/customers
+ */
+
+
+const getCustomerReport = async (req, res, next) => {
+  try {
+    const report = await analyticsService.getCustomerReport(reportFilters(req));
+
+    sendReport(req, res, 'customers', report, 'Customer report generated successfully');
+  } catch (error) {
+    logger.error('Failed to generate customer report', {
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  getSalesReport,
+  getTopProducts,
+  getLowPerformers,
+  getTopCategories,
+  getRefundReport,
+  getCartConversion,
+  getCustomerReport
+};
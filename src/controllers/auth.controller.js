@@ -12,6 +12,43 @@ const authService = require('../services/auth.service');
 
 const logger = require('../utils/logger');
 
+
+const oauthService = require('../services/oauth.service');
+
+
+const sessionService = require('../services/session.service');
+
+
+const twoFactorService = require('../services/twoFactor.service');
+
+const { issueCsrfToken } = require('../middleware/csrf');
+
+/**
+ * Device details recorded on the session a login starts
+ * @param {Object} req - Express request object
+ * @returns {Object} { deviceName, userAgent, ipAddress }
+ */
+
+
+const deviceContext = (req) => ({
+  deviceName: req.body.deviceName,
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+/**
+ * Issue a CSRF token for cookie-based clients
+ * GET /auth/csrf-token
+ */
+
+
+const getCsrfToken = (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(
+    ApiResponse.success('CSRF token issued. Send it in the X-CSRF-Token header.', issueCsrfToken(req, res))
+  );
+};
+
 /**
  * Register new user
  * POST /auth/register
@@ -24,7 +61,7 @@ const register = async (req, res, next) => {
 
     logger.info('Registration attempt', { email });
 
-    const result = await authService.register({ name, email, password });
+    const result = await authService.register({ name, email, password }, deviceContext(req));
 
     logger.info('User registered successfully', { userId: result.user._id, email });
 
@@ -52,7 +89,15 @@ const login = async (req, res, next) => {
 
     logger.info('Login attempt', { email });
 
-    const result = await authService.login({ email, password });
+    const result = await authService.login(email, password, req.ip, deviceContext(req));
+
+    if (result.challengeToken) {
+      return res.json(
+        ApiResponse.success(result.twoFactorRequired
+          ? 'Two-factor authentication required'
+          : 'Two-factor authentication setup required', result)
+      );
+    }
 
     logger.info('User logged in successfully', { userId: result.user._id, email });
 
@@ -87,9 +132,9 @@ const refreshToken = async (req, res, next) => {
 
     logger.info('Token refresh attempt');
 
-    const result = await authService.refreshToken(token);
+    const result = await authService.refreshToken(token, req.ip);
 
-    logger.info('Token refreshed successfully', { userId: result.user._id });
+    logger.info('Token refreshed successfully');
 
     res.json(
       ApiResponse.success(result, 'Token refreshed successfully')
@@ -101,7 +146,7 @@ const refreshToken = async (req, res, next) => {
 };
 
 /**
- * Logout user (invalidate current token)
+ * Logout user (end the session of the current device)
  * POST /auth/logout
  */
 
@@ -109,9 +154,8 @@ const refreshToken = async (req, res, next) => {
 const logout = async (req, res, next) => {
   try {
     const userId = req.userId;
-    const token = req.token;
 
-    if (!userId || !token) {
+    if (!userId) {
       logger.warn('Logout attempt without valid authentication');
       return res.status(401).json(
         ApiResponse.error('Authentication required')
@@ -120,7 +164,7 @@ const logout = async (req, res, next) => {
 
     logger.info('Logout attempt', { userId });
 
-    await authService.logout(userId, token);
+    await authService.logout(userId, req.user.sessionId);
 
     logger.info('User logged out successfully', { userId });
 
@@ -234,12 +278,329 @@ const resetPassword = async (req, res, next) => {
   }
 };
 
+/**
+ * List the social login providers
+ * GET /auth/oauth/providers
+ */
+
+
+const listOAuthProviders = (req, res) => {
+  res.json(
+    ApiResponse.success('OAuth providers retrieved successfully', { providers: oauthService.listProviders() })
+  );
+};
+
+/**
+ * Start a social login
+ * GET /auth/oauth/:provider
+ */
+
+
+const startOAuth = async (req, res, next) => {
+  try {
+    const result = await oauthService.createAuthorizationRequest(req.params.provider);
+
+    res.json(
+      ApiResponse.success('Redirect the user to the authorization URL', result)
+    );
+  } catch (error) {
+    logger.error('Start OAuth login failed', {
+      provider: req.params.provider,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * Finish a social login with the code sent to the redirect URI
+ * POST /auth/oauth/callback
+ */
+
+
+const oauthCallback = async (req, res, next) => {
+  try {
+    const { state, code } = req.body;
+
+    const result = await authService.loginWithOAuth(state, code, deviceContext(req));
+
+    if (result.challengeToken) {
+      return res.json(
+        ApiResponse.success(result.twoFactorRequired
+          ? 'Two-factor authentication required'
+          : 'Two-factor authentication setup required', result)
+      );
+    }
+
+    logger.info('User logged in with OAuth', { userId: result.user._id });
+
+    res.json(
+      ApiResponse.success('Login successful', result)
+    );
+  } catch (error) {
+    logger.error('OAuth callback failed', {
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * Verify email address
+ * GET /auth/verify-email/:token
+ */
+
+
+const verifyEmail = async (req, res, next) => {
+  try {
+    await authService.verifyEmail(req.params.token);
+
+    res.json(
+      ApiResponse.success('Email verified successfully', null)
+    );
+  } catch (error) {
+    logger.error('Email verification failed', { error: error.message });
+    next(error);
+  }
+};
+
+/**
+ * Resend the email verification link
+ * POST /auth/resend-verification
+ */
+
+
+const resendVerification = async (req, res, next) => {
+  try {
+    await authService.resendVerification(req.body.email);
+
+    res.json(
+      ApiResponse.success(
+        'If an unverified account with that email exists, a new verification link has been sent',
+        null
+      )
+    );
+  } catch (error) {
+    logger.error('Resend verification failed', {
+      email: req.body.email,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * List the devices the user is signed in on
+ * GET /auth/sessions
+ */
+
+
+const listSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.listSessions(req.userId, req.user.sessionId);
+
+    res.json(
+      ApiResponse.success('Sessions retrieved successfully', sessions)
+    );
+  } catch (error) {
+    logger.error('List sessions failed', {
+      userId: req.userId,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * Sign out one device
+ * DELETE /auth/sessions/:sessionId
+ */
+
+
+const revokeSession = async (req, res, next) => {
+  try {
+    await sessionService.revokeSession(req.userId, req.params.sessionId);
+
+    logger.info('Session revoked by user', { userId: req.userId, sessionId: req.params.sessionId });
+
+    res.json(
+      ApiResponse.success('Session revoked successfully', null)
+    );
+  } catch (error) {
+    logger.error('Revoke session failed', {
+      userId: req.userId,
+      sessionId: req.params.sessionId,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * Sign out every device except the current one
+ * DELETE /auth/sessions
+ */
+
+
+const revokeOtherSessions = async (req, res, next) => {
+  try {
+    if (!req.user.sessionId) {
+      return res.status(400).json(
+        ApiResponse.error('The current session is unknown. Please login again.', 400)
+      );
+    }
+
+    const revoked = await sessionService.revokeOtherSessions(req.userId, req.user.sessionId);
+
+    logger.info('Other sessions revoked by user', { userId: req.userId, revoked });
+
+    res.json(
+      ApiResponse.success('Other sessions revoked successfully', { revoked })
+    );
+  } catch (error) {
+    logger.error('Revoke other sessions failed', {
+      userId: req.userId,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * Finish login with a two-factor code or recovery code
+ * POST /auth/2fa/verify
+ */
+
+
+const verifyTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const result = await authService.verifyTwoFactor(challengeToken, { code, recoveryCode });
+
+    logger.info('Two-factor login completed', { userId: result.user._id });
+
+    res.json(
+      ApiResponse.success('Login successful', result)
+    );
+  } catch (error) {
+    logger.error('Two-factor verification failed', {
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * Start two-factor enrollment
+ * POST /auth/2fa/setup
+ */
+
+
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const result = await authService.setupTwoFactor(req.userId, req.body.challengeToken);
+
+    res.json(
+      ApiResponse.success('Scan the code with your authenticator app, then confirm a code to enable two-factor authentication', result)
+    );
+  } catch (error) {
+    logger.error('Two-factor setup failed', {
+      userId: req.userId,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * Enable two-factor authentication
+ * POST /auth/2fa/enable
+ */
+
+
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const result = await authService.enableTwoFactor(req.userId, req.body.code, req.body.challengeToken);
+
+    res.json(
+      ApiResponse.success('Two-factor authentication enabled. Store the recovery codes somewhere safe.', result)
+    );
+  } catch (error) {
+    logger.error('Enable two-factor failed', {
+      userId: req.userId,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * Disable two-factor authentication
+ * POST /auth/2fa/disable
+ */
+
+
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    await twoFactorService.disable(req.userId, password, { code, recoveryCode });
+
+    res.json(
+      ApiResponse.success('Two-factor authentication disabled', null)
+    );
+  } catch (error) {
+    logger.error('Disable two-factor failed', {
+      userId: req.userId,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
+/**
+ * Replace the recovery codes
+ * POST /auth/2fa/recovery-codes
+ */
+
+
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const result = await twoFactorService.regenerateRecoveryCodes(req.userId, req.body.code);
+
+    res.json(
+      ApiResponse.success('Recovery codes regenerated. The previous codes no longer work.', result)
+    );
+  } catch (error) {
+    logger.error('Regenerate recovery codes failed', {
+      userId: req.userId,
+      error: error.message
+    });
+    next(error);
+  }
+};
+
 module.exports = {
+  getCsrfToken,
   register,
   login,
   refreshToken,
   logout,
   logoutAll,
   forgotPassword,
-  resetPassword
+  resetPassword,
+  listOAuthProviders,
+  startOAuth,
+  oauthCallback,
+  verifyEmail,
+  resendVerification,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 };
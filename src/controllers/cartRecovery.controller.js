@@ -0,0 +1,69 @@
+// File: src/controllers/cartRecovery.controller.js
+// Generated: 2025-10-16 15:14:29 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_w3hc8nq2ka5c
+
+
+const ApiResponse = require('../utils/response');
+
+
+const cartRecoveryService = require('../services/cartRecovery.service');
+
+
+const logger = require('../utils/logger');
+
+/**
+ * Restore an abandoned cart from a reminder email link
+ * @route POST /api/cart/restore
+ */
+
+
+const restoreAbandonedCart = async (req, res, next) => {
+  try {
+    const result = await cartRecoveryService.restoreCart(req.userId, req.body.token);
+
+    res.status(200).json(
+      ApiResponse.success(
+        result.promoCode ? `Cart restored with promo code ${result.promoCode}` : 'Cart restored successfully',
+        result
+      )
+    );
+  } catch (error) {
+    logger.error('Failed to restore abandoned cart', {
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Abandoned cart recovery metrics
+ * @route GET /api/cart/admin/recovery
+ */
+
+
+const getCartRecoveryMetrics = async (req, res, next) => {
+  try {
+    const metrics = await cartRecoveryService.getRecoveryMetrics({
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.status(200).json(
+      ApiResponse.success('Cart recovery metrics fetched successfully', metrics)
+    );
+  } catch (error) {
+    logger.error('Failed to fetch cart recovery metrics', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  restoreAbandonedCart,
+  getCartRecoveryMetrics
+};
@@ -0,0 +1,117 @@
+// File: src/controllers/currency.controller.js
+// Generated: 2025-10-16 15:53:44 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_k2vn7qd4mc8f
+
+
+const ApiResponse = require('../utils/response');
+
+
+const currencyService = require('../services/currency.service');
+
+
+const logger = require('../utils/logger');
+
+/**
+ * List currencies shoppers can select
+ * @route GET /api/currencies
+ */
+
+
+const getCurrencies = async (req, res, next) => {
+  try {
+    const currencies = await currencyService.getCurrencies();
+
+    res.status(200).json(
+      ApiResponse.success('Currencies fetched successfully', {
+        base: currencyService.baseCurrency,
+        currencies
+      })
+    );
+  } catch (error) {
+    logger.error('Failed to fetch currencies', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Create or update a currency and its exchange rate
+ * @route PUT /api/currencies/:code
+ */
+
+
+const upsertCurrency = async (req, res, next) => {
+  try {
+    const currency = await currencyService.upsertCurrency(req.params.code, req.body);
+
+    res.status(200).json(
+      ApiResponse.success('Currency saved successfully', currency)
+    );
+  } catch (error) {
+    logger.error('Failed to save currency', {
+      code: req.params.code,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Stop offering a currency
+ * @route DELETE /api/currencies/:code
+ */
+
+
+const deactivateCurrency = async (req, res, next) => {
+  try {
+    const currency = await currencyService.deactivateCurrency(req.params.code);
+
+    res.status(200).json(
+      ApiResponse.success('Currency deactivated successfully', currency)
+    );
+  } catch (error) {
+    logger.error('Failed to deactivate currency', {
+      code: req.params.code,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Import exchange rates from the request body or the configured rates file
+ * @route POST /api/currencies/import
+ */
+
+
+const importRates = async (req, res, next) => {
+  try {
+    const { currencies } = req.body || {};
+
+    const result = currencies
+      ? await currencyService.importRates(currencies)
+      : await currencyService.importFromFile();
+
+    res.status(200).json(
+      ApiResponse.success('Exchange rates imported successfully', result)
+    );
+  } catch (error) {
+    logger.error('Failed to import exchange rates', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  getCurrencies,
+  upsertCurrency,
+  deactivateCurrency,
+  importRates
+};
@@ -0,0 +1,125 @@
+// File: src/controllers/guestCheckout.controller.js
+// Generated: 2025-10-16 14:40:13 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_g7kd2vp4rx9d
+
+
+const ApiResponse = require('../utils/response');
+
+
+const guestCheckoutService = require('../services/guestCheckout.service');
+
+
+const logger = require('../utils/logger');
+
+const { getCartSessionId } = require('../middleware/cartSession');
+
+/**
+ * Place an order from the guest's session cart
+ * @route POST /api/guest/orders
+ */
+
+
+const placeGuestOrder = async (req, res, next) => {
+  try {
+    const order = await guestCheckoutService.placeOrder(req.cartSessionId, {
+      ...req.body,
+      currency: req.currency
+    });
+
+    res.status(201).json(
+      ApiResponse.created(order, 'Order placed successfully. A confirmation email with a link to your order is on its way.')
+    );
+  } catch (error) {
+    logger.error('Failed to place guest order', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Email the lookup link of a guest order
+ * @route POST /api/guest/orders/lookup
+ */
+
+
+const requestGuestOrderLink = async (req, res, next) => {
+  try {
+    await guestCheckoutService.sendLookupLink(req.body.orderNumber, req.body.email);
+
+    res.status(200).json(
+      ApiResponse.success('If the order exists, a link to it has been sent to the email used at checkout')
+    );
+  } catch (error) {
+    logger.error('Failed to send guest order link', {
+      orderNumber: req.body.orderNumber,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * View a guest order through its signed lookup link
+ * @route GET /api/guest/orders/:orderNumber
+ */
+
+
+const getGuestOrder = async (req, res, next) => {
+  try {
+    const order = await guestCheckoutService.getOrder(
+      req.params.orderNumber,
+      req.query.email,
+      req.query.token
+    );
+
+    res.status(200).json(
+      ApiResponse.success('Order fetched successfully', order)
+    );
+  } catch (error) {
+    logger.error('Failed to fetch guest order', {
+      orderNumber: req.params.orderNumber,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Create an account for a guest and link their orders
+ * @route POST /api/guest/orders/:orderNumber/account
+ */
+
+
+const convertGuestToAccount = async (req, res, next) => {
+  try {
+    const result = await guestCheckoutService.convertToAccount(
+      req.params.orderNumber,
+      req.body,
+      // Optional: the guest cart to merge into the new account
+      getCartSessionId(req)
+    );
+
+    res.status(201).json(
+      ApiResponse.created(result, 'Account created successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to convert guest to account', {
+      orderNumber: req.params.orderNumber,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  placeGuestOrder,
+  requestGuestOrderLink,
+  getGuestOrder,
+  convertGuestToAccount
+};
@@ -0,0 +1,77 @@
+// File: src/controllers/inventory.controller.js
+// Generated: 2025-10-16 12:44:02 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_h3ks9wd2lm7c
+
+
+const ApiResponse = require('../utils/response');
+
+
+const InventoryService = require('../services/inventory.service');
+
+
+const logger = require('../utils/logger');
+
+
+const inventoryService = new InventoryService();
+
+/**
+ * List stock movements recorded for a product
+ * @route GET /api/inventory/products/:productId/movements
+ */
+
+
+const getProductMovements = async (req, res, next) => {
+  try {
+    const { variantId, type, page, limit } = req.query;
+
+    const result = await inventoryService.getMovements(
+      req.params.productId,
+      { variantId, type },
+      { page: page || 1, limit: limit || 20 }
+    );
+
+    res.status(200).json(
+      ApiResponse.successWithPagination(result.movements, result.pagination, 'Inventory movements fetched successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to fetch inventory movements', {
+      productId: req.params.productId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * List low-stock alerts, lowest stock first
+ * @route GET /api/inventory/alerts
+ */
+
+
+const getLowStockAlerts = async (req, res, next) => {
+  try {
+    const { status, page, limit } = req.query;
+
+    const result = await inventoryService.getLowStockAlerts(
+      { status },
+      { page: page || 1, limit: limit || 20 }
+    );
+
+    res.status(200).json(
+      ApiResponse.successWithPagination(result.alerts, result.pagination, 'Low stock alerts fetched successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to fetch low stock alerts', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  getProductMovements,
+  getLowStockAlerts
+};
@@ -13,6 +13,9 @@ const Cart = require('../models/Cart');
 const Order = require('../models/Order');
 
 
+const PaymentService = require('../services/payment.service');
+
+
 const Product = require('../models/Product');
 
 
@@ -21,11 +24,43 @@ const logger = require('../utils/logger');
 
 const mongoose = require('mongoose');
 
+
+const orderService = require('../services/order.service');
+
+
+const paymentService = new PaymentService();
+
 /**
  * Order Controller
  * Handles all order-related operations
  */
 class OrderController {
+  /**
+   * Start checkout by holding stock for the cart
+   * POST /api/orders/checkout
+   */
+  async startCheckout(req, res, next) {
+    try {
+      const hold = await orderService.startCheckout(req.userId);
+
+      logger.info('Checkout stock hold created', {
+        userId: req.userId,
+        cartId: hold.cartId,
+        expiresAt: hold.expiresAt
+      });
+
+      res.status(200).json(
+        ApiResponse.success('Stock held for checkout', hold)
+      );
+    } catch (error) {
+      logger.error('Failed to start checkout', {
+        userId: req.userId,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+
   /**
    * Create a new order
    * POST /api/orders
@@ -193,7 +228,7 @@ class OrderController {
       }
 
       // Verify ownership (skip for admin)
-      if (userRole !== 'admin' && order.user._id.toString() !== userId) {
+      if (userRole !== 'admin' && (!order.user || order.user._id.toString() !== userId)) {
         return ApiResponse.error(res, 'Access denied', 403);
       }
 
@@ -412,7 +447,7 @@ class OrderController {
       }
 
       // Verify ownership
-      if (order.user.toString() !== userId) {
+      if (String(order.user) !== userId) {
         await session.abortTransaction();
         session.endSession();
         return ApiResponse.error(res, 'Access denied', 403);
@@ -476,6 +511,41 @@ class OrderController {
     }
   }
 
+  /**
+   * Refund selected items (and optionally shipping) through the order's payment
+   * POST /api/orders/:orderId/refunds
+   */
+  async refundOrderItems(req, res, next) {
+    try {
+      const { orderId } = req.params;
+      const { items, includeTax, shipping, reason } = req.body;
+
+      const result = await paymentService.refundOrderItems(
+        orderId,
+        { items, includeTax, shipping, reason },
+        req.userId
+      );
+
+      logger.info('Itemised refund issued', {
+        orderId,
+        refundId: result.data.refundId,
+        amount: result.data.amount,
+        adminId: req.userId
+      });
+
+      res.status(201).json(
+        ApiResponse.created(result.data, 'Refund processed successfully')
+      );
+    } catch (error) {
+      logger.error('Failed to refund order items', {
+        orderId: req.params.orderId,
+        userId: req.userId,
+        error: error.message
+      });
+      next(error);
+    }
+  }
+
   /**
    * Refund order (Admin only)
    * POST /api/orders/:id/refund
@@ -574,6 +644,8 @@ class OrderController {
 const controller = new OrderController();
 
 module.exports = {
+  startCheckout: controller.startCheckout.bind(controller),
+  refundOrderItems: controller.refundOrderItems.bind(controller),
   'getOrder.Controllers': controller.getOrders.bind(controller),
   'getOrder.ControllerById': controller.getOrderById.bind(controller),
   'createOrder.Controller': controller.createOrder.bind(controller),
@@ -34,7 +34,7 @@ exports.createPaymentIntent = async (req, res, next) => {
       );
     }
 
-    if (order.user.toString() !== userId.toString()) {
+    if (String(order.user) !== userId.toString()) {
       return res.status(403).json(
         ApiResponse.error('Unauthorized to access this order')
       );
@@ -148,7 +148,7 @@ exports.processRefund = async (req, res, next) => {
       );
     }
 
-    if (order.user.toString() !== userId.toString()) {
+    if (String(order.user) !== userId.toString()) {
       return res.status(403).json(
         ApiResponse.error('Unauthorized to access this order')
       );
@@ -214,7 +214,7 @@ exports.getPaymentStatus = async (req, res, next) => {
       );
     }
 
-    if (order.user.toString() !== userId.toString()) {
+    if (String(order.user) !== userId.toString()) {
       return res.status(403).json(
         ApiResponse.error('Unauthorized to access this order')
       );
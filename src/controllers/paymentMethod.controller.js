@@ -0,0 +1,146 @@
+// File: src/controllers/paymentMethod.controller.js
+// Generated: 2025-10-16 14:09:47 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_f5mz8qa1nw3c
+
+
+const ApiResponse = require('../utils/response');
+
+
+const logger = require('../utils/logger');
+
+
+const paymentMethodService = require('../services/paymentMethod.service');
+
+/**
+ * List current user's saved cards
+ * @route GET /api/users/payment-methods
+ */
+
+
+const listPaymentMethods = async (req, res, next) => {
+  try {
+    const paymentMethods = await paymentMethodService.listPaymentMethods(req.userId);
+
+    res.status(200).json(
+      ApiResponse.success('Payment methods fetched successfully', paymentMethods)
+    );
+  } catch (error) {
+    logger.error('Failed to fetch payment methods', {
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Start saving a card
+ * @route POST /api/users/payment-methods/setup-intent
+ */
+
+
+const createSetupIntent = async (req, res, next) => {
+  try {
+    const setupIntent = await paymentMethodService.createSetupIntent(req.userId);
+
+    res.status(201).json(
+      ApiResponse.created(setupIntent, 'Setup intent created successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to create setup intent', {
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Save a confirmed card
+ * @route POST /api/users/payment-methods
+ */
+
+
+const addPaymentMethod = async (req, res, next) => {
+  try {
+    const paymentMethod = await paymentMethodService.addPaymentMethod(
+      req.userId,
+      req.body.paymentMethodId,
+      { makeDefault: req.body.makeDefault }
+    );
+
+    res.status(201).json(
+      ApiResponse.created(paymentMethod, 'Payment method saved successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to save payment method', {
+      userId: req.userId,
+      paymentMethodId: req.body.paymentMethodId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Make a saved card the default
+ * @route PUT /api/users/payment-methods/:paymentMethodId/default
+ */
+
+
+const setDefaultPaymentMethod = async (req, res, next) => {
+  try {
+    const paymentMethod = await paymentMethodService.setDefaultPaymentMethod(
+      req.userId,
+      req.params.paymentMethodId
+    );
+
+    res.status(200).json(
+      ApiResponse.success('Default payment method updated', paymentMethod)
+    );
+  } catch (error) {
+    logger.error('Failed to set default payment method', {
+      userId: req.userId,
+      paymentMethodId: req.params.paymentMethodId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Remove a saved card
+ * @route DELETE /api/users/payment-methods/:paymentMethodId
+ */
+
+
+const removePaymentMethod = async (req, res, next) => {
+  try {
+    await paymentMethodService.removePaymentMethod(req.userId, req.params.paymentMethodId);
+
+    res.status(200).json(
+      ApiResponse.success('Payment method removed successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to remove payment method', {
+      userId: req.userId,
+      paymentMethodId: req.params.paymentMethodId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  listPaymentMethods,
+  createSetupIntent,
+  addPaymentMethod,
+  setDefaultPaymentMethod,
+  removePaymentMethod
+};
@@ -10,11 +10,30 @@ const ApiResponse = require('../utils/response');
 const Product = require('../models/Product');
 
 
+const currencyService = require('../services/currency.service');
+
+
 const logger = require('../utils/logger');
 
 
 const mongoose = require('mongoose');
 
+
+const searchService = require('../services/search.service');
+
+/**
+ * Filter for a product the requester may change
+ * Sellers only match their own products, so anyone else's look missing.
+ * @param {Object} req - Express request object (req.seller set for sellers)
+ * @param {string} id - Product ID
+ * @returns {Object} Query filter
+ */
+
+
+const ownedProductFilter = (req, id) => {
+  return req.seller ? { _id: id, seller: req.seller._id } : { _id: id };
+};
+
 /**
  * Create new product
  * POST /api/products
@@ -23,7 +42,7 @@ const mongoose = require('mongoose');
 
 const createProductController = async (req, res, next) => {
   try {
-    const { name, price, SKU, category, description, stock, images } = req.body;
+    const { name, price, prices, SKU, category, description, stock, images } = req.body;
 
     // Validate required fields
     if (!name || !price || !SKU || !category) {
@@ -47,10 +66,12 @@ const createProductController = async (req, res, next) => {
       );
     }
 
-    // Create product with defaults
+    // Create product with defaults; sellers always list under their own store
     const product = await Product.create({
       name,
       price,
+      prices,
+      seller: req.seller ? req.seller._id : req.body.seller || null,
       SKU,
       category,
       description: description || '',
@@ -62,7 +83,8 @@ const createProductController = async (req, res, next) => {
 
     logger.info('Product created successfully', {
       productId: product._id,
-      SKU: product.SKU
+      SKU: product.SKU,
+      sellerId: product.seller
     });
 
     res.status(201).json(
@@ -91,7 +113,8 @@ const getAllProductsControllers = async (req, res, next) => {
       category,
       minPrice,
       maxPrice,
-      search
+      search,
+      seller
     } = req.query;
 
     // Validate and sanitize pagination
@@ -109,13 +132,19 @@ const getAllProductsControllers = async (req, res, next) => {
       }
     }
 
+    // Storefront of one marketplace seller
+    if (typeof seller === 'string' && mongoose.Types.ObjectId.isValid(seller)) {
+      query.seller = seller;
+    }
+
+    // Price filters are given in the request currency; stored prices are in the base currency
     if (minPrice || maxPrice) {
       query.price = {};
       if (minPrice) {
-        query.price.$gte = parseFloat(minPrice);
+        query.price.$gte = currencyService.convert(parseFloat(minPrice), req.currency, currencyService.baseCurrency);
       }
       if (maxPrice) {
-        query.price.$lte = parseFloat(maxPrice);
+        query.price.$lte = currencyService.convert(parseFloat(maxPrice), req.currency, currencyService.baseCurrency);
       }
     }
 
@@ -149,7 +178,7 @@ const getAllProductsControllers = async (req, res, next) => {
 
     res.json(
       ApiResponse.success({
-        products,
+        products: products.map(product => currencyService.localizeProduct(product, req.currency)),
         pagination: {
           total,
           pages: totalPages,
@@ -198,7 +227,7 @@ const getProductControllerById = async (req, res, next) => {
     logger.info('Fetched product by ID', { productId: id });
 
     res.json(
-      ApiResponse.success(product, 'Product fetched successfully')
+      ApiResponse.success(currencyService.localizeProduct(product, req.currency), 'Product fetched successfully')
     );
   } catch (error) {
     logger.error('Failed to fetch product', {
@@ -231,6 +260,11 @@ const updateProductController = async (req, res, next) => {
     delete updates._id;
     delete updates.createdAt;
 
+    // Sellers cannot hand their products over to another store
+    if (req.seller) {
+      delete updates.seller;
+    }
+
     // Check SKU uniqueness if SKU is being updated
     if (updates.SKU) {
       const existingProduct = await Product.findOne({
@@ -253,7 +287,7 @@ const updateProductController = async (req, res, next) => {
     }
 
     const product = await Product.findOneAndUpdate(
-      { _id: id, status: { $ne: 'deleted' } },
+      { ...ownedProductFilter(req, id), status: { $ne: 'deleted' } },
       { $set: updates },
       { new: true, runValidators: true }
     );
@@ -300,7 +334,7 @@ const deleteProductController = async (req, res, next) => {
 
     // Soft delete to preserve order history
     const product = await Product.findOneAndUpdate(
-      { _id: id, status: { $ne: 'deleted' } },
+      { ...ownedProductFilter(req, id), status: { $ne: 'deleted' } },
       { $set: { status: 'deleted', deletedAt: new Date() } },
       { new: true }
     );
@@ -329,54 +363,35 @@ const deleteProductController = async (req, res, next) => {
 };
 
 /**
- * Search products
+ * Search products with relevance ranking and facet counts
  * GET /api/products/search
  */
 
 
 const searchProducts = async (req, res, next) => {
   try {
-    const { q } = req.query;
+    const { q, page, limit, sort, category, brand, minPrice, maxPrice, inStock, attr } = req.query;
 
-    if (!q || q.trim().length === 0) {
-      return res.status(400).json(
-        ApiResponse.error('Search query is required')
-      );
-    }
+    // Price filters are given in the request currency; stored prices are in the base currency
+    const toBase = (amount) => (amount === undefined
+      ? undefined
+      : currencyService.convert(amount, req.currency, currencyService.baseCurrency));
 
-    // Validate search term length to prevent ReDoS
-    if (q.length > 100) {
-      return res.status(400).json(
-        ApiResponse.error('Search query is too long (max 100 characters)')
-      );
-    }
+    const result = await searchService.searchProducts(
+      q,
+      { category, brand, minPrice: toBase(minPrice), maxPrice: toBase(maxPrice), inStock, attributes: attr },
+      { page: page || 1, limit: limit || 20, sort }
+    );
 
-    const searchTerm = q.trim();
-
-    // Escape special regex characters to prevent ReDoS
-    const sanitizedSearchTerm = searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-
-    // Use regex for partial matching
-    const products = await Product.find({
-      status: { $ne: 'deleted' },
-      $or: [
-        { name: { $regex: sanitizedSearchTerm, $options: 'i' } },
-        { description: { $regex: sanitizedSearchTerm, $options: 'i' } },
-        { SKU: { $regex: sanitizedSearchTerm, $options: 'i' } },
-        { category: { $regex: sanitizedSearchTerm, $options: 'i' } }
-      ]
-    })
-    .limit(50)
-    .sort({ createdAt: -1 });
-
-    logger.info('Product search completed', {
-      searchTerm,
-      resultsCount: products.length
+    res.status(200).json({
+      ...ApiResponse.successWithPagination(
+        result.products.map(product => currencyService.localizeProduct(product, req.currency)),
+        result.pagination,
+        'Search completed successfully'
+      ),
+      facets: result.facets,
+      matchMode: result.matchMode
     });
-
-    res.json(
-      ApiResponse.success(products, 'Search completed successfully')
-    );
   } catch (error) {
     logger.error('Failed to search products', {
       searchTerm: req.query.q,
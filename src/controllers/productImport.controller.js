@@ -0,0 +1,133 @@
+// File: src/controllers/productImport.controller.js
+// Generated: 2025-10-16 17:44:02 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_d4wq7nb2xs9d
+
+
+const ApiResponse = require('../utils/response');
+
+
+const logger = require('../utils/logger');
+
+
+const productImportService = require('../services/productImport.service');
+
+const { once } = require('events');
+
+/**
+ * Queue a bulk product import from a CSV or JSON lines body
+ * Responds 202 with the job; poll the job for progress and row errors.
+ * @route POST /api/products/import
+ */
+
+
+const importProducts = async (req, res, next) => {
+  try {
+    const content = typeof req.body === 'string' ? req.body : '';
+
+    const job = await productImportService.startImport(content, req.query.format, req.userId);
+
+    res.status(202).json(ApiResponse.success('Product import queued', job));
+  } catch (error) {
+    logger.error('Failed to queue product import', {
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * List recent import jobs
+ * @route GET /api/products/imports
+ */
+
+
+const listImportJobs = async (req, res, next) => {
+  try {
+    const { jobs, pagination } = await productImportService.listImportJobs({
+      page: req.query.page,
+      limit: req.query.limit
+    });
+
+    res.status(200).json(ApiResponse.successWithPagination(jobs, pagination, 'Import jobs retrieved successfully'));
+  } catch (error) {
+    logger.error('Failed to list import jobs', {
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Get an import job with its progress and row errors
+ * @route GET /api/products/imports/:jobId
+ */
+
+
+const getImportJob = async (req, res, next) => {
+  try {
+    const job = await productImportService.getImportJob(req.params.jobId);
+
+    res.status(200).json(ApiResponse.success('Import job retrieved successfully', job));
+  } catch (error) {
+    logger.error('Failed to get import job', {
+      userId: req.userId,
+      jobId: req.params.jobId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Stream the catalog as a CSV or JSON lines download, re-importable as is
+ * @route GET /api/products/export
+ */
+
+
+const exportProducts = async (req, res, next) => {
+  const { format } = req.query;
+
+  try {
+    const chunks = productImportService.exportProducts(format, {
+      isActive: req.query.isActive,
+      seller: req.query.seller
+    });
+
+    res.attachment(`products-${new Date().toISOString().slice(0, 10)}.${format}`);
+    res.type(format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+
+    for await (const chunk of chunks) {
+      if (!res.write(chunk)) {
+        await once(res, 'drain');
+      }
+    }
+
+    res.end();
+  } catch (error) {
+    logger.error('Failed to export products', {
+      userId: req.userId,
+      format,
+      error: error.message,
+      stack: error.stack
+    });
+
+    // Once the download has started the status can no longer change
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  importProducts,
+  listImportJobs,
+  getImportJob,
+  exportProducts
+};
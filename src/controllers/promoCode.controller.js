@@ -0,0 +1,143 @@
+// File: src/controllers/promoCode.controller.js
+// Generated: 2025-10-16 10:50:39 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_p7rmc0d3x2qd
+
+
+const ApiResponse = require('../utils/response');
+
+
+const logger = require('../utils/logger');
+
+
+const promoCodeService = require('../services/promoCode.service');
+
+/**
+ * List promo codes
+ * @route GET /api/promo-codes
+ */
+
+
+const getPromoCodes = async (req, res, next) => {
+  try {
+    const { page, limit, type, isActive, search } = req.query;
+
+    const result = await promoCodeService.getPromoCodes(
+      { type, isActive, search },
+      { page: page || 1, limit: limit || 20 }
+    );
+
+    res.status(200).json(
+      ApiResponse.successWithPagination(result.promoCodes, result.pagination, 'Promo codes fetched successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to fetch promo codes', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Get promo code by ID
+ * @route GET /api/promo-codes/:id
+ */
+
+
+const getPromoCodeById = async (req, res, next) => {
+  try {
+    const promoCode = await promoCodeService.getPromoCodeById(req.params.id);
+
+    res.status(200).json(
+      ApiResponse.success('Promo code fetched successfully', promoCode)
+    );
+  } catch (error) {
+    logger.error('Failed to fetch promo code', {
+      promoCodeId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Create promo code
+ * @route POST /api/promo-codes
+ */
+
+
+const createPromoCode = async (req, res, next) => {
+  try {
+    const promoCode = await promoCodeService.createPromoCode(req.body, req.userId);
+
+    res.status(201).json(
+      ApiResponse.created(promoCode, 'Promo code created successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to create promo code', {
+      code: req.body.code,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Update promo code
+ * @route PUT /api/promo-codes/:id
+ */
+
+
+const updatePromoCode = async (req, res, next) => {
+  try {
+    const promoCode = await promoCodeService.updatePromoCode(req.params.id, req.body);
+
+    res.status(200).json(
+      ApiResponse.success('Promo code updated successfully', promoCode)
+    );
+  } catch (error) {
+    logger.error('Failed to update promo code', {
+      promoCodeId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Delete promo code
+ * Redeemed codes are deactivated rather than removed
+ * @route DELETE /api/promo-codes/:id
+ */
+
+
+const deletePromoCode = async (req, res, next) => {
+  try {
+    const result = await promoCodeService.deletePromoCode(req.params.id);
+
+    const message = result.deleted
+      ? 'Promo code deleted successfully'
+      : 'Promo code has been redeemed and was deactivated instead';
+
+    res.status(200).json(ApiResponse.success(message, result));
+  } catch (error) {
+    logger.error('Failed to delete promo code', {
+      promoCodeId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  getPromoCodes,
+  getPromoCodeById,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode
+};
@@ -0,0 +1,195 @@
+// File: src/controllers/return.controller.js
+// Generated: 2025-10-16 13:09:40 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_v5rq8mz3kc2c
+
+
+const ApiResponse = require('../utils/response');
+
+
+const logger = require('../utils/logger');
+
+
+const returnService = require('../services/return.service');
+
+/**
+ * Request a return for a delivered order item
+ * @route POST /api/returns
+ */
+
+
+const createReturn = async (req, res, next) => {
+  try {
+    const { orderId, orderItemId, quantity, reason } = req.body;
+
+    const item = await returnService.requestReturn(req.userId, { orderId, orderItemId, quantity, reason });
+
+    res.status(201).json(
+      ApiResponse.created(item, `Return ${item.returnInfo.rmaNumber} requested`)
+    );
+  } catch (error) {
+    logger.error('Failed to request return', {
+      userId: req.userId,
+      orderId: req.body.orderId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * List the signed-in customer's returns
+ * @route GET /api/returns
+ */
+
+
+const getMyReturns = async (req, res, next) => {
+  try {
+    const { status, page, limit } = req.query;
+
+    const result = await returnService.listReturns(
+      { userId: req.userId, status },
+      { page: page || 1, limit: limit || 20 }
+    );
+
+    res.status(200).json(
+      ApiResponse.successWithPagination(result.returns, result.pagination, 'Returns fetched successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to fetch returns', {
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * List all returns (admin)
+ * @route GET /api/returns/admin/all
+ */
+
+
+const getAllReturns = async (req, res, next) => {
+  try {
+    const { status, page, limit } = req.query;
+
+    const result = await returnService.listReturns(
+      { status },
+      { page: page || 1, limit: limit || 20 }
+    );
+
+    res.status(200).json(
+      ApiResponse.successWithPagination(result.returns, result.pagination, 'Returns fetched successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to fetch all returns', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Get one return by RMA number (customers only see their own)
+ * @route GET /api/returns/:rmaNumber
+ */
+
+
+const getReturn = async (req, res, next) => {
+  try {
+    const isAdmin = req.user.role === 'admin';
+    const item = await returnService.getReturn(req.params.rmaNumber, isAdmin ? null : req.userId);
+
+    res.status(200).json(ApiResponse.success('Return fetched successfully', item));
+  } catch (error) {
+    logger.error('Failed to fetch return', {
+      rmaNumber: req.params.rmaNumber,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Approve a return and decide on restocking
+ * @route POST /api/returns/:rmaNumber/approve
+ */
+
+
+const approveReturn = async (req, res, next) => {
+  try {
+    const { refundAmount, restock } = req.body;
+
+    const item = await returnService.approveReturn(req.params.rmaNumber, { refundAmount, restock }, req.userId);
+
+    res.status(200).json(ApiResponse.success('Return approved', item));
+  } catch (error) {
+    logger.error('Failed to approve return', {
+      rmaNumber: req.params.rmaNumber,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Reject a return
+ * @route POST /api/returns/:rmaNumber/reject
+ */
+
+
+const rejectReturn = async (req, res, next) => {
+  try {
+    const item = await returnService.rejectReturn(req.params.rmaNumber, req.body.reason, req.userId);
+
+    res.status(200).json(ApiResponse.success('Return rejected', item));
+  } catch (error) {
+    logger.error('Failed to reject return', {
+      rmaNumber: req.params.rmaNumber,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Mark returned goods as received, restock and refund
+ * @route POST /api/returns/:rmaNumber/receive
+ */
+
+
+const receiveReturn = async (req, res, next) => {
+  try {
+    const result = await returnService.receiveReturn(req.params.rmaNumber, { restock: req.body.restock }, req.userId);
+
+    const message = result.item.returnInfo.status === 'refunded'
+      ? 'Return received and refunded'
+      : 'Return received, refund must be issued manually';
+
+    res.status(200).json(ApiResponse.success(message, result));
+  } catch (error) {
+    logger.error('Failed to receive return', {
+      rmaNumber: req.params.rmaNumber,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  createReturn,
+  getMyReturns,
+  getAllReturns,
+  getReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn
+};
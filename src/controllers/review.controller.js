@@ -0,0 +1,203 @@
+// File: src/controllers/review.controller.js
+// Generated: 2025-10-16 11:24:10 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_r4vw8kq2nd1d
+
+
+const ApiResponse = require('../utils/response');
+
+
+const logger = require('../utils/logger');
+
+
+const reviewService = require('../services/review.service');
+
+/**
+ * List published reviews for a product
+ * @route GET /api/reviews/products/:productId
+ */
+
+
+const getProductReviews = async (req, res, next) => {
+  try {
+    const { page, limit, sort, rating } = req.query;
+
+    const result = await reviewService.getProductReviews(req.params.productId, {
+      page: page || 1,
+      limit: limit || 10,
+      sort,
+      rating
+    });
+
+    res.status(200).json({
+      ...ApiResponse.successWithPagination(result.reviews, result.pagination, 'Reviews fetched successfully'),
+      ratings: result.ratings
+    });
+  } catch (error) {
+    logger.error('Failed to fetch product reviews', {
+      productId: req.params.productId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Review a purchased product
+ * @route POST /api/reviews/products/:productId
+ */
+
+
+const createReview = async (req, res, next) => {
+  try {
+    const review = await reviewService.createReview(req.userId, req.params.productId, req.body);
+
+    res.status(201).json(
+      ApiResponse.created(review, 'Review submitted and awaiting moderation')
+    );
+  } catch (error) {
+    logger.error('Failed to create review', {
+      userId: req.userId,
+      productId: req.params.productId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Edit own review
+ * @route PUT /api/reviews/:id
+ */
+
+
+const updateReview = async (req, res, next) => {
+  try {
+    const review = await reviewService.updateReview(req.params.id, req.userId, req.body);
+
+    res.status(200).json(
+      ApiResponse.success('Review updated and awaiting moderation', review)
+    );
+  } catch (error) {
+    logger.error('Failed to update review', {
+      reviewId: req.params.id,
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Delete a review (author or admin)
+ * @route DELETE /api/reviews/:id
+ */
+
+
+const deleteReview = async (req, res, next) => {
+  try {
+    await reviewService.deleteReview(req.params.id, {
+      userId: req.userId,
+      isAdmin: req.user.role === 'admin'
+    });
+
+    res.status(200).json(
+      ApiResponse.success('Review deleted successfully', null)
+    );
+  } catch (error) {
+    logger.error('Failed to delete review', {
+      reviewId: req.params.id,
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Toggle a "helpful" vote on a review
+ * @route POST /api/reviews/:id/helpful
+ */
+
+
+const toggleHelpfulVote = async (req, res, next) => {
+  try {
+    const result = await reviewService.toggleHelpfulVote(req.params.id, req.userId);
+
+    res.status(200).json(
+      ApiResponse.success(result.helpful ? 'Review marked as helpful' : 'Helpful vote removed', result)
+    );
+  } catch (error) {
+    logger.error('Failed to toggle helpful vote', {
+      reviewId: req.params.id,
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * List reviews awaiting moderation
+ * @route GET /api/reviews/moderation
+ */
+
+
+const getModerationQueue = async (req, res, next) => {
+  try {
+    const { page, limit, status, product } = req.query;
+
+    const result = await reviewService.getReviewsForModeration(
+      { status, product },
+      { page: page || 1, limit: limit || 20 }
+    );
+
+    res.status(200).json(
+      ApiResponse.successWithPagination(result.reviews, result.pagination, 'Reviews fetched successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to fetch moderation queue', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Approve or reject a review
+ * @route PATCH /api/reviews/:id/moderation
+ */
+
+
+const moderateReview = async (req, res, next) => {
+  try {
+    const review = await reviewService.moderateReview(req.params.id, req.userId, req.body);
+
+    res.status(200).json(
+      ApiResponse.success(`Review ${review.status}`, review)
+    );
+  } catch (error) {
+    logger.error('Failed to moderate review', {
+      reviewId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  toggleHelpfulVote,
+  getModerationQueue,
+  moderateReview
+};
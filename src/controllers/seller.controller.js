@@ -0,0 +1,319 @@
+// File: src/controllers/seller.controller.js
+// Generated: 2025-10-16 16:44:20 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_m5sq8wd3ne7f
+
+
+const ApiResponse = require('../utils/response');
+
+
+const InventoryService = require('../services/inventory.service');
+
+
+const logger = require('../utils/logger');
+
+
+const sellerService = require('../services/seller.service');
+
+
+const inventoryService = new InventoryService();
+
+/**
+ * Apply for a marketplace store
+ * @route POST /api/sellers/apply
+ */
+
+
+const applyForSeller = async (req, res, next) => {
+  try {
+    const seller = await sellerService.applyForSeller(req.userId, req.body);
+
+    res.status(201).json(
+      ApiResponse.created(seller, 'Seller application submitted and awaiting review')
+    );
+  } catch (error) {
+    logger.error('Failed to submit seller application', {
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's store profile, whatever its status
+ * @route GET /api/sellers/me
+ */
+
+
+const getMySellerProfile = async (req, res, next) => {
+  try {
+    const seller = await sellerService.getSellerByUser(req.userId);
+
+    res.status(200).json(
+      ApiResponse.success('Seller profile fetched successfully', seller)
+    );
+  } catch (error) {
+    logger.error('Failed to fetch seller profile', {
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Update the current user's store profile and payout details
+ * @route PUT /api/sellers/me
+ */
+
+
+const updateMySellerProfile = async (req, res, next) => {
+  try {
+    const seller = await sellerService.updateProfile(req.userId, req.body);
+
+    res.status(200).json(
+      ApiResponse.success('Seller profile updated successfully', seller)
+    );
+  } catch (error) {
+    logger.error('Failed to update seller profile', {
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * List the products of the current seller's store
+ * @route GET /api/sellers/me/products
+ */
+
+
+const getMyProducts = async (req, res, next) => {
+  try {
+    const { isActive, page, limit } = req.query;
+
+    const result = await sellerService.getSellerProducts(
+      req.seller._id,
+      { isActive },
+      { page: page || 1, limit: limit || 20 }
+    );
+
+    res.status(200).json(
+      ApiResponse.successWithPagination(result.products, result.pagination, 'Seller products fetched successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to fetch seller products', {
+      sellerId: req.seller && req.seller._id,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * List the sub-orders of the current seller's store
+ * @route GET /api/sellers/me/orders
+ */
+
+
+const getMyOrders = async (req, res, next) => {
+  try {
+    const { status, page, limit } = req.query;
+
+    const result = await sellerService.listSubOrders(
+      req.seller._id,
+      { status },
+      { page: page || 1, limit: limit || 20 }
+    );
+
+    res.status(200).json(
+      ApiResponse.successWithPagination(result.subOrders, result.pagination, 'Seller orders fetched successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to fetch seller orders', {
+      sellerId: req.seller && req.seller._id,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Get one sub-order of the current seller's store
+ * @route GET /api/sellers/me/orders/:subOrderId
+ */
+
+
+const getMyOrder = async (req, res, next) => {
+  try {
+    const subOrder = await sellerService.getSubOrder(req.seller._id, req.params.subOrderId);
+
+    res.status(200).json(
+      ApiResponse.success('Seller order fetched successfully', subOrder)
+    );
+  } catch (error) {
+    logger.error('Failed to fetch seller order', {
+      sellerId: req.seller && req.seller._id,
+      subOrderId: req.params.subOrderId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Move a sub-order to its next fulfilment status
+ * @route PATCH /api/sellers/me/orders/:subOrderId/status
+ */
+
+
+const updateMyOrderStatus = async (req, res, next) => {
+  try {
+    const { status, carrier, trackingNumber, note } = req.body;
+
+    const subOrder = await sellerService.updateSubOrderStatus(
+      req.seller._id,
+      req.params.subOrderId,
+      { status, carrier, trackingNumber, note },
+      req.userId
+    );
+
+    res.status(200).json(
+      ApiResponse.success(`Seller order marked as ${status}`, subOrder)
+    );
+  } catch (error) {
+    logger.error('Failed to update seller order status', {
+      sellerId: req.seller && req.seller._id,
+      subOrderId: req.params.subOrderId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * List low-stock alerts for the current seller's products
+ * @route GET /api/sellers/me/stock-alerts
+ */
+
+
+const getMyStockAlerts = async (req, res, next) => {
+  try {
+    const { status, page, limit } = req.query;
+
+    const result = await inventoryService.getLowStockAlerts(
+      { status, seller: req.seller._id },
+      { page: page || 1, limit: limit || 20 }
+    );
+
+    res.status(200).json(
+      ApiResponse.successWithPagination(result.alerts, result.pagination, 'Low stock alerts fetched successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to fetch seller stock alerts', {
+      sellerId: req.seller && req.seller._id,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * List stores, optionally by status (admin)
+ * @route GET /api/sellers
+ */
+
+
+const listSellers = async (req, res, next) => {
+  try {
+    const { status, page, limit } = req.query;
+
+    const result = await sellerService.listSellers(
+      { status },
+      { page: page || 1, limit: limit || 20 }
+    );
+
+    res.status(200).json(
+      ApiResponse.successWithPagination(result.sellers, result.pagination, 'Sellers fetched successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to list sellers', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Get a store by ID (admin)
+ * @route GET /api/sellers/:id
+ */
+
+
+const getSeller = async (req, res, next) => {
+  try {
+    const seller = await sellerService.getSeller(req.params.id);
+
+    res.status(200).json(
+      ApiResponse.success('Seller fetched successfully', seller)
+    );
+  } catch (error) {
+    logger.error('Failed to fetch seller', {
+      sellerId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Approve, reject or suspend a store (admin)
+ * @route PATCH /api/sellers/:id/review
+ */
+
+
+const reviewSeller = async (req, res, next) => {
+  try {
+    const { action, reason } = req.body;
+
+    const seller = await sellerService.reviewSeller(req.params.id, action, { reason }, req.userId);
+
+    res.status(200).json(
+      ApiResponse.success(`Seller ${seller.status}`, seller)
+    );
+  } catch (error) {
+    logger.error('Failed to review seller', {
+      sellerId: req.params.id,
+      action: req.body.action,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  applyForSeller,
+  getMySellerProfile,
+  updateMySellerProfile,
+  getMyProducts,
+  getMyOrders,
+  getMyOrder,
+  updateMyOrderStatus,
+  getMyStockAlerts,
+  listSellers,
+  getSeller,
+  reviewSeller
+};
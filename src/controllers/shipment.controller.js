@@ -0,0 +1,105 @@
+// File: src/controllers/shipment.controller.js
+// Generated: 2025-10-16 13:53:18 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_c6tj2rm9xw4d
+
+
+const ApiResponse = require('../utils/response');
+
+
+const logger = require('../utils/logger');
+
+
+const shipmentService = require('../services/shipment.service');
+
+/**
+ * Ship some or all remaining units of an order in one parcel
+ * @route POST /api/orders/:orderId/shipments
+ */
+
+
+const createShipment = async (req, res, next) => {
+  try {
+    const { items, carrier, trackingNumber, estimatedDelivery } = req.body;
+
+    const shipment = await shipmentService.createShipment(
+      req.params.orderId,
+      { items, carrier, trackingNumber, estimatedDelivery },
+      req.userId
+    );
+
+    res.status(201).json(
+      ApiResponse.created(shipment, 'Shipment created successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to create shipment', {
+      orderId: req.params.orderId,
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * List the parcels of an order (customers only see their own orders)
+ * @route GET /api/orders/:orderId/shipments
+ */
+
+
+const getOrderShipments = async (req, res, next) => {
+  try {
+    const isStaff = ['admin', 'staff'].includes(req.user.role);
+    const shipments = await shipmentService.getOrderShipments(req.params.orderId, isStaff ? null : req.userId);
+
+    res.status(200).json(ApiResponse.success('Shipments fetched successfully', shipments));
+  } catch (error) {
+    logger.error('Failed to fetch shipments', {
+      orderId: req.params.orderId,
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Receive tracking events from a carrier (one event, or a batch under `events`)
+ * @route POST /api/webhooks/shipping/:carrier
+ */
+
+
+const handleCarrierWebhook = async (req, res, next) => {
+  try {
+    const { carrier } = req.params;
+    const events = Array.isArray(req.body.events) ? req.body.events : [req.body];
+
+    let unmatched = 0;
+    for (const event of events) {
+      const shipment = await shipmentService.handleCarrierEvent(carrier, event);
+      if (!shipment) {
+        unmatched += 1;
+      }
+    }
+
+    // Always acknowledge known-format events so the carrier stops retrying
+    res.status(200).json(
+      ApiResponse.success('Webhook received', { processed: events.length - unmatched, unmatched })
+    );
+  } catch (error) {
+    logger.error('Failed to process carrier webhook', {
+      carrier: req.params.carrier,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  createShipment,
+  getOrderShipments,
+  handleCarrierWebhook
+};
@@ -0,0 +1,135 @@
+// File: src/controllers/shipping.controller.js
+// Generated: 2025-10-16 10:50:39 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_s9hz3wq5lm2d
+
+
+const ApiResponse = require('../utils/response');
+
+
+const logger = require('../utils/logger');
+
+
+const shippingService = require('../services/shipping.service');
+
+/**
+ * Quote available shipping methods for the current cart
+ * @route POST /api/shipping/quote
+ */
+
+
+const quoteShipping = async (req, res, next) => {
+  try {
+    const quote = await shippingService.quoteCart(req.userId, req.body.address);
+
+    res.status(200).json(
+      ApiResponse.success('Shipping quote generated successfully', quote)
+    );
+  } catch (error) {
+    logger.error('Failed to quote shipping', {
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * List shipping zones
+ * @route GET /api/shipping/zones
+ */
+
+
+const getZones = async (req, res, next) => {
+  try {
+    const zones = await shippingService.getZones();
+
+    res.status(200).json(
+      ApiResponse.success('Shipping zones fetched successfully', zones)
+    );
+  } catch (error) {
+    logger.error('Failed to fetch shipping zones', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Create shipping zone
+ * @route POST /api/shipping/zones
+ */
+
+
+const createZone = async (req, res, next) => {
+  try {
+    const zone = await shippingService.createZone(req.body);
+
+    res.status(201).json(
+      ApiResponse.created(zone, 'Shipping zone created successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to create shipping zone', {
+      name: req.body.name,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Update shipping zone
+ * @route PUT /api/shipping/zones/:id
+ */
+
+
+const updateZone = async (req, res, next) => {
+  try {
+    const zone = await shippingService.updateZone(req.params.id, req.body);
+
+    res.status(200).json(
+      ApiResponse.success('Shipping zone updated successfully', zone)
+    );
+  } catch (error) {
+    logger.error('Failed to update shipping zone', {
+      zoneId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Delete shipping zone
+ * @route DELETE /api/shipping/zones/:id
+ */
+
+
+const deleteZone = async (req, res, next) => {
+  try {
+    await shippingService.deleteZone(req.params.id);
+
+    res.status(200).json(
+      ApiResponse.success('Shipping zone deleted successfully', null)
+    );
+  } catch (error) {
+    logger.error('Failed to delete shipping zone', {
+      zoneId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  quoteShipping,
+  getZones,
+  createZone,
+  updateZone,
+  deleteZone
+};
@@ -0,0 +1,116 @@
+// File: src/controllers/taxRate.controller.js
+// Generated: 2025-10-16 10:50:39 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_t4xr8e2kq1nd
+
+
+const ApiResponse = require('../utils/response');
+
+
+const logger = require('../utils/logger');
+
+
+const taxService = require('../services/tax.service');
+
+/**
+ * List tax rates
+ * @route GET /api/tax-rates
+ */
+
+
+const getTaxRates = async (req, res, next) => {
+  try {
+    const { page, limit, country, state, isActive } = req.query;
+
+    const result = await taxService.getTaxRates(
+      { country, state, isActive },
+      { page: page || 1, limit: limit || 50 }
+    );
+
+    res.status(200).json(
+      ApiResponse.successWithPagination(result.taxRates, result.pagination, 'Tax rates fetched successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to fetch tax rates', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Create tax rate
+ * @route POST /api/tax-rates
+ */
+
+
+const createTaxRate = async (req, res, next) => {
+  try {
+    const taxRate = await taxService.createTaxRate(req.body);
+
+    res.status(201).json(
+      ApiResponse.created(taxRate, 'Tax rate created successfully')
+    );
+  } catch (error) {
+    logger.error('Failed to create tax rate', {
+      country: req.body.country,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Update tax rate
+ * @route PUT /api/tax-rates/:id
+ */
+
+
+const updateTaxRate = async (req, res, next) => {
+  try {
+    const taxRate = await taxService.updateTaxRate(req.params.id, req.body);
+
+    res.status(200).json(
+      ApiResponse.success('Tax rate updated successfully', taxRate)
+    );
+  } catch (error) {
+    logger.error('Failed to update tax rate', {
+      taxRateId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Delete tax rate
+ * @route DELETE /api/tax-rates/:id
+ */
+
+
+const deleteTaxRate = async (req, res, next) => {
+  try {
+    await taxService.deleteTaxRate(req.params.id);
+
+    res.status(200).json(
+      ApiResponse.success('Tax rate deleted successfully', null)
+    );
+  } catch (error) {
+    logger.error('Failed to delete tax rate', {
+      taxRateId: req.params.id,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate
+};
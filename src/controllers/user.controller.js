@@ -300,7 +300,7 @@ const changePassword = async (req, res, next) => {
     const userId = req.userId;
     const { currentPassword, newPassword } = req.body;
 
-    const result = await userService.changePassword(userId, currentPassword, newPassword);
+    const result = await userService.changePassword(userId, currentPassword, newPassword, req.user.sessionId);
 
     if (!result.success) {
       logger.warn('Password change failed', { userId, reason: result.message });
@@ -0,0 +1,119 @@
+// File: src/controllers/wishlist.controller.js
+// Generated: 2025-10-16 11:45:02 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_w8lq3ns6xe1c
+
+
+const ApiResponse = require('../utils/response');
+
+
+const logger = require('../utils/logger');
+
+
+const wishlistService = require('../services/wishlist.service');
+
+/**
+ * Get current user's wishlist
+ * @route GET /api/users/wishlist
+ */
+
+
+const getWishlist = async (req, res, next) => {
+  try {
+    const wishlist = await wishlistService.getWishlist(req.userId);
+
+    res.status(200).json(
+      ApiResponse.success('Wishlist fetched successfully', wishlist)
+    );
+  } catch (error) {
+    logger.error('Failed to fetch wishlist', {
+      userId: req.userId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Add product to wishlist
+ * @route POST /api/users/wishlist/:productId
+ */
+
+
+const addToWishlist = async (req, res, next) => {
+  try {
+    const wishlist = await wishlistService.addItem(req.userId, req.params.productId);
+
+    res.status(200).json(
+      ApiResponse.success('Product added to wishlist', wishlist)
+    );
+  } catch (error) {
+    logger.error('Failed to add product to wishlist', {
+      userId: req.userId,
+      productId: req.params.productId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Remove product from wishlist
+ * @route DELETE /api/users/wishlist/:productId
+ */
+
+
+const removeFromWishlist = async (req, res, next) => {
+  try {
+    const wishlist = await wishlistService.removeItem(req.userId, req.params.productId);
+
+    res.status(200).json(
+      ApiResponse.success('Product removed from wishlist', wishlist)
+    );
+  } catch (error) {
+    logger.error('Failed to remove product from wishlist', {
+      userId: req.userId,
+      productId: req.params.productId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Move wishlist product to cart
+ * @route POST /api/users/wishlist/:productId/move-to-cart
+ */
+
+
+const moveToCart = async (req, res, next) => {
+  try {
+    const result = await wishlistService.moveToCart(
+      req.userId,
+      req.params.productId,
+      req.body.quantity || 1
+    );
+
+    res.status(200).json(
+      ApiResponse.success('Product moved to cart', result)
+    );
+  } catch (error) {
+    logger.error('Failed to move wishlist product to cart', {
+      userId: req.userId,
+      productId: req.params.productId,
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  moveToCart
+};
@@ -0,0 +1,26 @@
+// File: src/jobs/abandonedCart.job.js
+// Generated: 2025-10-16 15:11:03 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_w3hc8nq2ka5d
+
+
+const cartRecoveryService = require('../services/cartRecovery.service');
+
+
+const config = require('../config/environment');
+
+/**
+ * Abandoned Cart Job
+ * Marks idle carts abandoned, closes recoveries whose users ordered or whose
+ * reminders ran out, and sends the reminder emails that have come due.
+ */
+module.exports = {
+  name: 'abandoned-carts',
+  interval: config.cartRecovery.checkInterval,
+
+  /**
+   * Run one pass
+   * @returns {Promise<Object>} { abandoned, recovered, expired, reminded }
+   */
+  run: () => cartRecoveryService.processAbandonedCarts()
+};
@@ -0,0 +1,113 @@
+// File: src/jobs/index.js
+// Generated: 2025-10-16 12:24:10 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_m6tr2vq8yd4a
+
+
+const config = require('../config/environment');
+
+
+const logger = require('../utils/logger');
+
+
+const abandonedCart = require('./abandonedCart.job');
+
+
+const lowStockAlert = require('./lowStockAlert.job');
+
+
+const reservationSweeper = require('./reservationSweeper.job');
+
+/**
+ * Background job registry
+ * Each job exports { name, interval (ms), run() }
+ */
+
+
+const jobs = [
+  reservationSweeper,
+  lowStockAlert,
+  abandonedCart
+];
+
+
+const timers = new Map();
+
+
+const running = new Set();
+
+/**
+ * Run a job once, skipping the tick if the previous run is still going
+ * @param {Object} job - Job definition
+ * @returns {Promise<*>} Job result (undefined when skipped or failed)
+ */
+async function runJob(job) {
+  if (running.has(job.name)) {
+    logger.warn('Skipping job run, previous run still in progress', { job: job.name });
+    return undefined;
+  }
+
+  running.add(job.name);
+  const startedAt = Date.now();
+
+  try {
+    const result = await job.run();
+
+    logger.debug('Job completed', {
+      job: job.name,
+      durationMs: Date.now() - startedAt,
+      result
+    });
+
+    return result;
+  } catch (error) {
+    logger.error('Job failed', {
+      job: job.name,
+      error: error.message
+    });
+    return undefined;
+  } finally {
+    running.delete(job.name);
+  }
+}
+
+/**
+ * Schedule all jobs on their intervals
+ * Timers are unref'd so they never keep the process alive on shutdown
+ */
+function startJobs() {
+  if (!config.jobs.enabled) {
+    logger.info('Background jobs disabled');
+    return;
+  }
+
+  for (const job of jobs) {
+    if (timers.has(job.name)) {
+      continue;
+    }
+
+    const timer = setInterval(() => runJob(job), job.interval);
+    timer.unref();
+    timers.set(job.name, timer);
+  }
+
+  logger.info('Background jobs started', { jobs: jobs.map(job => job.name) });
+}
+
+/**
+ * Stop all scheduled jobs
+ */
+function stopJobs() {
+  for (const timer of timers.values()) {
+    clearInterval(timer);
+  }
+
+  timers.clear();
+}
+
+module.exports = {
+  jobs,
+  runJob,
+  startJobs,
+  stopJobs
+};
@@ -0,0 +1,29 @@
+// File: src/jobs/lowStockAlert.job.js
+// Generated: 2025-10-16 12:55:19 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_p8dn2xk5rb3b
+
+
+const InventoryService = require('../services/inventory.service');
+
+
+const config = require('../config/environment');
+
+
+const inventoryService = new InventoryService();
+
+/**
+ * Low Stock Alert Job
+ * Opens alerts for products and variants that dropped to their low-stock
+ * threshold, resolves recovered ones and emails admins a digest of new alerts.
+ */
+module.exports = {
+  name: 'low-stock-alerts',
+  interval: config.inventory.lowStockCheckInterval,
+
+  /**
+   * Run one check
+   * @returns {Promise<Object>} { opened, resolved, notified, recipients }
+   */
+  run: () => inventoryService.processLowStockAlerts()
+};
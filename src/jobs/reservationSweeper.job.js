@@ -0,0 +1,29 @@
+// File: src/jobs/reservationSweeper.job.js
+// Generated: 2025-10-16 12:24:36 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_m6tr2vq8yd4b
+
+
+const InventoryService = require('../services/inventory.service');
+
+
+const config = require('../config/environment');
+
+
+const inventoryService = new InventoryService();
+
+/**
+ * Reservation Sweeper Job
+ * Releases checkout stock holds whose window has passed so abandoned
+ * checkouts and unpaid orders never keep stock locked.
+ */
+module.exports = {
+  name: 'reservation-sweeper',
+  interval: config.inventory.reservationSweepInterval,
+
+  /**
+   * Run one sweep
+   * @returns {Promise<Object>} { expiredProducts, prunedProducts }
+   */
+  run: () => inventoryService.releaseExpiredReservations()
+};
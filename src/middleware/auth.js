@@ -11,6 +11,9 @@ const Jwt = require('../utils/jwt');
 
 const logger = require('../utils/logger');
 
+
+const sessionService = require('../services/session.service');
+
 /**
  * Authentication middleware - Verifies JWT token and attaches user to request
  * @param {Object} req - Express request object
@@ -51,10 +54,25 @@ const authenticate = async (req, res, next) => {
     // Verify token
     const jwt = new Jwt();
     const decoded = await jwt.verifyToken(token);
+    const userId = decoded.userId || decoded.id || decoded._id;
+
+    // Signing out a device revokes its session before its access token expires
+    if (decoded.sessionId && !(await sessionService.isSessionActive(userId, decoded.sessionId))) {
+      logger.warn('Authentication failed: Session revoked', {
+        userId,
+        sessionId: decoded.sessionId,
+        ip: req.ip,
+        path: req.path
+      });
+      return res.status(401).json({
+        success: false,
+        error: 'Session has been revoked. Please login again.'
+      });
+    }
 
     // Attach user information to request
     req.user = decoded;
-    req.userId = decoded.userId || decoded.id || decoded._id;
+    req.userId = userId;
 
     logger.debug('User authenticated successfully', {
       userId: req.userId,
@@ -185,6 +203,10 @@ const optionalAuth = async (req, res, next) => {
     const jwt = new Jwt();
     const decoded = await jwt.verifyToken(token);
 
+    if (decoded.sessionId && !(await sessionService.isSessionActive(decoded.userId, decoded.sessionId))) {
+      return next();
+    }
+
     // Attach user information to request
     req.user = decoded;
     req.userId = decoded.userId || decoded.id || decoded._id;
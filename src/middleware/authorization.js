@@ -4,6 +4,12 @@
 // Task ID: task_62yoyu09okrt
 
 
+const User = require('../models/User');
+
+
+const config = require('../config/environment');
+
+
 const logger = require('../utils/logger');
 
 /**
@@ -491,6 +497,87 @@ const requireActiveAccount = () => {
   };
 };
 
+/**
+ * Middleware to require a verified email address
+ * Only enforced when config.features.enableEmailVerification is on. The status is
+ * read from the database, so verifying takes effect without signing in again.
+ * @returns {Function} Express middleware function
+ */
+
+
+const requireVerifiedEmail = () => {
+  return async (req, res, next) => {
+    try {
+      if (!config.features || !config.features.enableEmailVerification) {
+        return next();
+      }
+
+      // Ensure user is authenticated
+      if (!req.user) {
+        logger.warn('Email verification check attempted without authentication');
+        return res.status(401).json({
+          success: false,
+          error: {
+            code: 'UNAUTHORIZED',
+            message: 'Authentication required'
+          }
+        });
+      }
+
+      const user = await User.findById(req.userId).select('isVerified').lean();
+
+      if (!user || !user.isVerified) {
+        logger.warn('Unverified account attempted restricted action', {
+          userId: req.userId,
+          path: req.path
+        });
+
+        return res.status(403).json({
+          success: false,
+          error: {
+            code: 'EMAIL_NOT_VERIFIED',
+            message: 'Please verify your email address to continue.'
+          }
+        });
+      }
+
+      next();
+    } catch (error) {
+      logger.error('Error in requireVerifiedEmail middleware', {
+        error: error.message,
+        stack: error.stack
+      });
+      next(error);
+    }
+  };
+};
+
+/**
+ * Middleware to gate routes behind a feature flag (config.features)
+ * Disabled features respond as if the route did not exist
+ * @param {string} flag - Feature flag name (e.g. 'enableReviews')
+ * @returns {Function} Express middleware function
+ */
+
+
+const requireFeature = (flag) => {
+  return (req, res, next) => {
+    if (config.features && config.features[flag]) {
+      return next();
+    }
+
+    logger.debug('Request to disabled feature', { flag, path: req.path });
+
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'FEATURE_DISABLED',
+        message: 'This feature is not available'
+      }
+    });
+  };
+};
+
 // Export middleware functions
 module.exports = {
   requireRole,
@@ -499,6 +586,8 @@ module.exports = {
   requireCondition,
   requireRoleLevel,
   requireActiveAccount,
+  requireVerifiedEmail,
+  requireFeature,
   ROLES,
   ROLE_HIERARCHY,
   ROLE_PERMISSIONS
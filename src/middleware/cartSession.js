@@ -0,0 +1,97 @@
+// File: src/middleware/cartSession.js
+// Generated: 2025-10-16 14:35:06 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_g7kd2vp4rx9c
+
+
+const config = require('../config/environment');
+
+
+const logger = require('../utils/logger');
+
+/**
+ * Guest cart sessions
+ * Guests identify their cart with a client-generated ID sent in the
+ * X-Cart-Session header (e.g. a UUID kept in local storage).
+ */
+
+
+const CART_SESSION_HEADER = 'x-cart-session';
+
+
+const CART_SESSION_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+/**
+ * Read the guest cart session ID from the request
+ * @param {Object} req - Express request object
+ * @returns {string|null} Session ID, or null when missing or malformed
+ */
+
+
+const getCartSessionId = (req) => {
+  const sessionId = req.headers[CART_SESSION_HEADER];
+  return typeof sessionId === 'string' && CART_SESSION_PATTERN.test(sessionId) ? sessionId : null;
+};
+
+/**
+ * Middleware to require a guest cart session
+ * Attaches req.cartSessionId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+
+
+const requireCartSession = (req, res, next) => {
+  const sessionId = getCartSessionId(req);
+
+  if (!sessionId) {
+    logger.warn('Guest request without a valid cart session', { ip: req.ip, path: req.path });
+    return res.status(400).json({
+      success: false,
+      error: 'A valid X-Cart-Session header is required'
+    });
+  }
+
+  req.cartSessionId = sessionId;
+  next();
+};
+
+/**
+ * Middleware to resolve whose cart a request works on
+ * Runs after optionalAuth. Signed-in users get their account cart; guests get
+ * their session cart when guest checkout is enabled. Attaches req.cartOwner,
+ * ready to use as a Cart query ({ userId } or { sessionId }).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+
+
+const resolveCartOwner = (req, res, next) => {
+  if (req.userId) {
+    req.cartOwner = { userId: req.userId };
+    return next();
+  }
+
+  const sessionId = config.features.enableGuestCheckout ? getCartSessionId(req) : null;
+
+  if (!sessionId) {
+    logger.warn('Cart request without user or guest session', { ip: req.ip, path: req.path });
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required. Please provide a valid token.'
+    });
+  }
+
+  req.cartSessionId = sessionId;
+  req.cartOwner = { sessionId };
+  next();
+};
+
+module.exports = {
+  requireCartSession,
+  resolveCartOwner,
+  getCartSessionId,
+  CART_SESSION_HEADER
+};
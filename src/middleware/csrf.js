@@ -0,0 +1,168 @@
+// File: src/middleware/csrf.js
+// Generated: 2025-10-16 20:04:37 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_c5rf2nq8tz4a
+
+
+const config = require('../config/environment');
+
+
+const crypto = require('crypto');
+
+
+const logger = require('../utils/logger');
+
+const { CsrfError } = require('../utils/errors');
+
+const { getCartSessionId } = require('./cartSession');
+
+/**
+ * CSRF protection (signed double-submit cookie)
+ * GET /api/auth/csrf-token sets a token in a cookie and returns it in the body.
+ * State-changing requests must send it back in the X-CSRF-Token header; a
+ * cross-site page can make the browser send the cookie but cannot read it to
+ * copy it into the header. Tokens are HMAC-signed with an expiry so they
+ * cannot be made up or reused forever.
+ */
+
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Sign the random part and expiry of a token
+ * @param {string} payload - "<random>.<expiresAt>"
+ * @returns {string} Base64url HMAC-SHA256
+ */
+
+
+const sign = (payload) => crypto
+  .createHmac('sha256', config.csrf.secret)
+  .update(payload)
+  .digest('base64url');
+
+/**
+ * Check the signature and expiry of a token
+ * @param {string} token - Token from the cookie
+ * @returns {boolean} True if the token was issued by us and has not expired
+ */
+
+
+const isValidToken = (token) => {
+  const [nonce, expiresAt, signature] = String(token).split('.');
+
+  if (!nonce || !expiresAt || !signature) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(`${nonce}.${expiresAt}`));
+  const actual = Buffer.from(signature);
+
+  return actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected) &&
+    parseInt(expiresAt, 10) > Date.now();
+};
+
+/**
+ * Compare the header and cookie tokens in constant time
+ * @returns {boolean} True if both are present and equal
+ */
+
+
+const tokensMatch = (headerToken, cookieToken) => {
+  if (typeof headerToken !== 'string' || typeof cookieToken !== 'string') {
+    return false;
+  }
+
+  const a = Buffer.from(headerToken);
+  const b = Buffer.from(cookieToken);
+
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Whether a request cannot be forged by another site
+ * Browsers never attach an Authorization or X-Cart-Session header on their
+ * own, so clients identified by a bearer token or a guest cart session are not
+ * exposed to CSRF. Webhooks are verified by their signature instead.
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if the request skips the CSRF check
+ */
+
+
+const isExempt = (req) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return true;
+  }
+
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return true;
+  }
+
+  if (getCartSessionId(req)) {
+    return true;
+  }
+
+  return config.csrf.ignorePaths.some(path => req.originalUrl.startsWith(path));
+};
+
+/**
+ * Issue a new CSRF token and set it as a cookie
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object} { csrfToken, headerName, expiresIn }
+ */
+
+
+const issueCsrfToken = (req, res) => {
+  const expiresAt = Date.now() + config.csrf.tokenTtl * 1000;
+  const payload = `${crypto.randomBytes(32).toString('base64url')}.${expiresAt}`;
+  const csrfToken = `${payload}.${sign(payload)}`;
+
+  res.cookie(config.csrf.cookieName, csrfToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/',
+    maxAge: config.csrf.tokenTtl * 1000
+  });
+
+  return { csrfToken, headerName: config.csrf.headerName, expiresIn: config.csrf.tokenTtl };
+};
+
+/**
+ * Middleware to reject state-changing requests without a valid CSRF token
+ * Safe methods, bearer-token and guest cart session clients and webhook routes
+ * pass through.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+
+
+const csrfProtection = (req, res, next) => {
+  if (isExempt(req)) {
+    return next();
+  }
+
+  const cookieToken = req.cookies ? req.cookies[config.csrf.cookieName] : undefined;
+  const headerToken = req.headers[config.csrf.headerName];
+
+  if (!tokensMatch(headerToken, cookieToken) || !isValidToken(cookieToken)) {
+    logger.warn('CSRF token check failed', {
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+      hasCookie: Boolean(cookieToken),
+      hasHeader: Boolean(headerToken)
+    });
+    return next(new CsrfError());
+  }
+
+  next();
+};
+
+module.exports = {
+  csrfProtection,
+  issueCsrfToken
+};
@@ -0,0 +1,62 @@
+// File: src/middleware/currency.js
+// Generated: 2025-10-16 15:42:16 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_k2vn7qd4mc8d
+
+
+const currencyService = require('../services/currency.service');
+
+
+const logger = require('../utils/logger');
+
+/**
+ * Request currency
+ * Shoppers pick the currency prices are shown and charged in with the
+ * X-Currency header or a ?currency= query parameter (header wins).
+ */
+
+
+const CURRENCY_HEADER = 'x-currency';
+
+/**
+ * Middleware to resolve the currency of a request
+ * Attaches req.currency (ISO 4217 code, defaults to the base currency) and
+ * makes sure exchange rates are loaded for synchronous conversions.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+
+
+const resolveCurrency = async (req, res, next) => {
+  try {
+    const requested = req.headers[CURRENCY_HEADER] || req.query.currency;
+
+    if (!requested) {
+      await currencyService.loadCurrencies();
+      Object.assign(req, { currency: currencyService.baseCurrency });
+      return next();
+    }
+
+    const currency = await currencyService.getCurrency(requested);
+
+    if (!currency) {
+      logger.warn('Request with unsupported currency', { currency: requested, path: req.path });
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported currency: ${String(requested).slice(0, 10)}`
+      });
+    }
+
+    Object.assign(req, { currency: currency.code });
+    next();
+  } catch (error) {
+    logger.error('Failed to resolve request currency', { error: error.message });
+    next(error);
+  }
+};
+
+module.exports = {
+  resolveCurrency,
+  CURRENCY_HEADER
+};
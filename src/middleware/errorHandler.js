@@ -70,6 +70,7 @@ const errorHandler = (err, req, res, next) => {
   // Get status code and message
   const statusCode = error.statusCode || err.statusCode || 500;
   const message = error.message || err.message || 'Internal Server Error';
+  const errorCode = error.errorCode || err.errorCode;
 
   // Build error response
   const errorResponse = {
@@ -78,6 +79,11 @@ const errorHandler = (err, req, res, next) => {
     statusCode
   };
 
+  // Application error code, e.g. CSRF_ERROR tells clients to fetch a new token
+  if (errorCode) {
+    errorResponse.code = errorCode;
+  }
+
   res.status(statusCode).json(errorResponse);
 };
 
@@ -0,0 +1,70 @@
+// File: src/middleware/seller.js
+// Generated: 2025-10-16 16:38:12 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_m5sq8wd3ne7d
+
+
+const logger = require('../utils/logger');
+
+
+const sellerService = require('../services/seller.service');
+
+/**
+ * Middleware to require an approved marketplace store
+ * Attaches req.seller. Must run after authentication.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+
+
+const requireSeller = async (req, res, next) => {
+  try {
+    const seller = await sellerService.getApprovedSeller(req.userId);
+
+    if (!seller) {
+      logger.warn('Seller route used without an approved store', { userId: req.userId, path: req.path });
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'An approved seller account is required'
+        }
+      });
+    }
+
+    Object.assign(req, { seller });
+    next();
+  } catch (error) {
+    logger.error('Error in requireSeller middleware', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+/**
+ * Middleware to scope catalog writes to the seller's own store
+ * Admins act on every product (req.seller stays unset); anyone else needs an
+ * approved store, which is attached as req.seller.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+
+
+const scopeToSeller = (req, res, next) => {
+  const roles = req.user ? req.user.roles || [req.user.role] : [];
+
+  if (roles.includes('admin')) {
+    return next();
+  }
+
+  return requireSeller(req, res, next);
+};
+
+module.exports = {
+  requireSeller,
+  scopeToSeller
+};
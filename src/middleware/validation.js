@@ -59,6 +59,26 @@ const isValidPrice = (value) => {
   return true;
 };
 
+/**
+ * Custom validator for per-currency product prices
+ * Expects an object keyed by ISO 4217 code, e.g. { EUR: 18.5, JPY: 2900 }
+ *
+ * @param {Object} value - Prices by currency
+ * @returns {boolean} True if valid
+ * @throws {Error} If a code or price is invalid
+ */
+
+
+const isValidCurrencyPrices = (value) => {
+  for (const [code, price] of Object.entries(value)) {
+    if (!/^[A-Z]{3}$/.test(code)) {
+      throw new Error(`Invalid currency code: ${code}`);
+    }
+    isValidPrice(price);
+  }
+  return true;
+};
+
 /**
  * Middleware to handle validation errors
  * Formats validation errors and returns 400 response
@@ -124,6 +144,12 @@ const validateCreateProduct = [
     .withMessage('Price must be a positive number')
     .custom(isValidPrice),
 
+  body('prices')
+    .optional()
+    .isObject()
+    .withMessage('Prices must be an object keyed by currency code')
+    .custom(isValidCurrencyPrices),
+
   body('stock')
     .notEmpty()
     .withMessage('Stock is required')
@@ -167,6 +193,17 @@ const validateCreateProduct = [
     .withMessage('Tag cannot exceed 50 characters')
     .escape(),
 
+  body('brand')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Brand cannot exceed 100 characters'),
+
+  body('taxClass')
+    .optional()
+    .isIn(['standard', 'reduced', 'exempt', 'digital'])
+    .withMessage('Tax class must be one of: standard, reduced, exempt, digital'),
+
   body('featured')
     .optional()
     .isBoolean()
@@ -216,6 +253,12 @@ const validateUpdateProduct = [
     .withMessage('Price must be a positive number')
     .custom(isValidPrice),
 
+  body('prices')
+    .optional()
+    .isObject()
+    .withMessage('Prices must be an object keyed by currency code')
+    .custom(isValidCurrencyPrices),
+
   body('stock')
     .optional()
     .isInt({ min: 0 })
@@ -257,6 +300,17 @@ const validateUpdateProduct = [
     .withMessage('Tag cannot exceed 50 characters')
     .escape(),
 
+  body('brand')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Brand cannot exceed 100 characters'),
+
+  body('taxClass')
+    .optional()
+    .isIn(['standard', 'reduced', 'exempt', 'digital'])
+    .withMessage('Tax class must be one of: standard, reduced, exempt, digital'),
+
   body('featured')
     .optional()
     .isBoolean()
@@ -443,7 +497,17 @@ const validateAddToCart = [
     .isInt({ min: 1, max: 100 })
     .withMessage('Quantity must be between 1 and 100')
     .toInt()
-    .custom(isValidQuantity)
+    .custom(isValidQuantity),
+
+  body('variantId')
+    .optional({ nullable: true })
+    .custom(isValidObjectId)
+    .withMessage('Invalid variant ID'),
+
+  body('options')
+    .optional()
+    .isObject()
+    .withMessage('Options must be an object of option name to value')
 ];
 
 // Validate update cart item
@@ -460,7 +524,12 @@ const validateUpdateCartItem = [
     .isInt({ min: 1, max: 100 })
     .withMessage('Quantity must be between 1 and 100')
     .toInt()
-    .custom(isValidQuantity)
+    .custom(isValidQuantity),
+
+  query('variantId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Invalid variant ID')
 ];
 
 // Validate remove from cart
@@ -469,7 +538,12 @@ const validateUpdateCartItem = [
 const validateRemoveFromCart = [
   param('itemId')
     .custom(isValidObjectId)
-    .withMessage('Invalid cart item ID')
+    .withMessage('Invalid cart item ID'),
+
+  query('variantId')
+    .optional()
+    .custom(isValidObjectId)
+    .withMessage('Invalid variant ID')
 ];
 
 /**
@@ -526,6 +600,11 @@ const validateCreateOrder = [
     .isIn(['credit_card', 'debit_card', 'paypal', 'stripe'])
     .withMessage('Invalid payment method'),
 
+  body('shippingMethod')
+    .optional()
+    .isIn(['standard', 'express', 'pickup'])
+    .withMessage('Shipping method must be one of: standard, express, pickup'),
+
   body('items')
     .optional()
     .isArray({ min: 1 })
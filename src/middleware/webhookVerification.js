@@ -4,6 +4,9 @@
 // Task ID: task_sj9ls8kth76m
 
 
+const config = require('../config/environment');
+
+
 const crypto = require('crypto');
 
 
@@ -259,6 +262,99 @@ const verifyPayPalWebhook = async (req, res, next) => {
   }
 };
 
+/**
+ * Carrier Webhook Verification Middleware
+ * Verifies the HMAC-SHA256 signature carriers send in X-Carrier-Signature,
+ * computed over "<X-Carrier-Timestamp>.<raw body>" with CARRIER_WEBHOOK_SECRET
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+
+
+const verifyCarrierWebhook = (req, res, next) => {
+  try {
+    const signature = req.headers['x-carrier-signature'];
+    const timestamp = req.headers['x-carrier-timestamp'];
+    const secret = config.shipping.carrierWebhookSecret;
+
+    if (!secret) {
+      logger.error('Carrier webhook received but CARRIER_WEBHOOK_SECRET is not configured');
+      return res.status(500).json({
+        success: false,
+        error: 'Webhook verification failed'
+      });
+    }
+
+    if (!signature || !timestamp) {
+      logger.warn('Missing carrier webhook signature headers', {
+        carrier: req.params.carrier,
+        hasSignature: !!signature,
+        hasTimestamp: !!timestamp
+      });
+      return res.status(400).json({
+        success: false,
+        error: 'Missing webhook signature'
+      });
+    }
+
+    if (!req.rawBody) {
+      logger.error('Raw body not available for carrier webhook verification');
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request body'
+      });
+    }
+
+    // Validate timestamp to prevent replay attacks (5 minute tolerance)
+    const timeDifference = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+
+    if (!(timeDifference <= 300)) {
+      logger.warn('Carrier webhook timestamp too old', {
+        carrier: req.params.carrier,
+        timestamp
+      });
+      return res.status(400).json({
+        success: false,
+        error: 'Webhook timestamp too old'
+      });
+    }
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${req.rawBody}`)
+      .digest('hex');
+
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const signatureBuffer = Buffer.from(signature, 'hex');
+
+    if (signatureBuffer.length !== expectedBuffer.length ||
+        !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+      logger.warn('Carrier webhook signature verification failed', {
+        carrier: req.params.carrier
+      });
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook signature'
+      });
+    }
+
+    req.webhookProvider = req.params.carrier;
+
+    next();
+  } catch (error) {
+    logger.error('Carrier webhook verification error', {
+      error: error.message,
+      stack: error.stack
+    });
+    return res.status(500).json({
+      success: false,
+      error: 'Webhook verification failed'
+    });
+  }
+};
+
 /**
  * Generic Webhook Verification Middleware
  * Routes to appropriate provider verification based on path or header
@@ -304,6 +400,7 @@ const verifyWebhook = async (req, res, next) => {
 const WebhookVerification = {
   verifyStripeWebhook,
   verifyPayPalWebhook,
+  verifyCarrierWebhook,
   verifyWebhook,
   rawBodyParser
 };
@@ -56,6 +56,15 @@ const cartItemSchema = new mongoose.Schema({
   sku: {
     type: String,
     default: ''
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  selectedOptions: {
+    type: Map,
+    of: String,
+    default: {}
   }
 }, { _id: false });
 
@@ -138,6 +147,23 @@ cartSchema.index({ userId: 1, status: 1 });
 cartSchema.index({ sessionId: 1, status: 1 });
 cartSchema.index({ status: 1, lastActivity: 1 });
 
+/**
+ * Pre-save hook: Track shopper activity
+ * Any change to the contents counts as activity and brings an abandoned cart
+ * back to active, which also stops its recovery reminders.
+ */
+cartSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('items') || this.isModified('promoCode')) {
+    this.lastActivity = new Date();
+
+    if (this.status === 'abandoned') {
+      this.status = 'active';
+    }
+  }
+
+  next();
+});
+
 /**
  * Virtual: Total item count
  */
@@ -160,13 +186,28 @@ cartSchema.virtual('isAbandoned').get(function() {
   return hoursSinceActivity > 24 && this.status === 'active';
 });
 
+/**
+ * Instance Method: Find the index of a cart line
+ * A product bought in two variants occupies two lines
+ * @param {ObjectId} productId - Product ID
+ * @param {ObjectId|null} variantId - Variant ID
+ * @returns {Number} Line index or -1
+ */
+cartSchema.methods.findItemIndex = function(productId, variantId = null) {
+  return this.items.findIndex(item =>
+    (item.productId._id || item.productId).toString() === productId.toString() &&
+    String(item.variantId || '') === String(variantId || '')
+  );
+};
+
 /**
  * Instance Method: Add item to cart
  * @param {ObjectId} productId - Product ID to add
  * @param {Number} quantity - Quantity to add
+ * @param {ObjectId|null} variantId - Selected variant (required for products with variants)
  * @returns {Promise<Cart>} Updated cart
  */
-cartSchema.methods.addItem = async function(productId, quantity = 1) {
+cartSchema.methods.addItem = async function(productId, quantity = 1, variantId = null) {
   try {
 
     // Validate quantity
@@ -180,50 +221,53 @@ cartSchema.methods.addItem = async function(productId, quantity = 1) {
       throw new Error('Product not found');
     }
 
-    if (!product.isAvailable) {
+    if (!product.isActive) {
       throw new Error('Product is not available');
     }
 
+    const variant = product.findVariant(variantId);
+    if (variantId && !variant) {
+      throw new Error('Variant not found');
+    }
+
     // Check if product already exists in cart
-    const existingItemIndex = this.items.findIndex(
-      item => item.productId.toString() === productId.toString()
-    );
+    const existingItemIndex = this.findItemIndex(productId, variantId);
 
     if (existingItemIndex > -1) {
       // Update quantity of existing item
       const newQuantity = this.items[existingItemIndex].quantity + quantity;
 
-      if (newQuantity > product.stock) {
-        throw new Error(`Insufficient stock. Available: ${product.stock}`);
-      }
-
       if (newQuantity > 99) {
         throw new Error('Maximum quantity per item is 99');
       }
 
+      product.canPurchase(newQuantity, variantId);
+
       this.items[existingItemIndex].quantity = newQuantity;
       logger.info('Updated cart item quantity', {
         productId,
+        variantId,
         newQuantity,
         cartId: this._id
       });
     } else {
       // Add new item
-      if (quantity > product.stock) {
-        throw new Error(`Insufficient stock. Available: ${product.stock}`);
-      }
+      product.canPurchase(quantity, variantId);
 
       this.items.push({
         productId: product._id,
-        name: product.name,
-        price: product.price,
+        name: variant ? `${product.name} - ${variant.name}` : product.name,
+        price: product.getPrice(variantId),
         quantity,
-        image: product.images && product.images.length > 0 ? product.images[0] : '',
-        sku: product.sku || ''
+        image: product.images && product.images.length > 0 ? product.images[0].url : '',
+        sku: variant ? variant.sku : product.sku || '',
+        variantId: variant ? variant._id : null,
+        selectedOptions: variant && variant.attributes ? Object.fromEntries(variant.attributes) : {}
       });
 
       logger.info('Added new item to cart', {
         productId,
+        variantId,
         quantity,
         cartId: this._id
       });
@@ -246,19 +290,19 @@ cartSchema.methods.addItem = async function(productId, quantity = 1) {
 /**
  * Instance Method: Remove item from cart
  * @param {ObjectId} productId - Product ID to remove
+ * @param {ObjectId|null} variantId - Variant of the line to remove
  * @returns {Promise<Cart>} Updated cart
  */
-cartSchema.methods.removeItem = async function(productId) {
+cartSchema.methods.removeItem = async function(productId, variantId = null) {
   try {
-    const initialLength = this.items.length;
-    this.items = this.items.filter(
-      item => item.productId.toString() !== productId.toString()
-    );
+    const itemIndex = this.findItemIndex(productId, variantId);
 
-    if (this.items.length === initialLength) {
+    if (itemIndex === -1) {
       throw new Error('Item not found in cart');
     }
 
+    this.items.splice(itemIndex, 1);
+
     await this.calculateTotals();
     await this.save();
 
@@ -281,9 +325,10 @@ cartSchema.methods.removeItem = async function(productId) {
  * Instance Method: Update item quantity
  * @param {ObjectId} productId - Product ID to update
  * @param {Number} quantity - New quantity
+ * @param {ObjectId|null} variantId - Variant of the line to update
  * @returns {Promise<Cart>} Updated cart
  */
-cartSchema.methods.updateQuantity = async function(productId, quantity) {
+cartSchema.methods.updateQuantity = async function(productId, quantity, variantId = null) {
   try {
 
     if (!Number.isInteger(quantity) || quantity < 1) {
@@ -294,9 +339,7 @@ cartSchema.methods.updateQuantity = async function(productId, quantity) {
       throw new Error('Maximum quantity per item is 99');
     }
 
-    const itemIndex = this.items.findIndex(
-      item => item.productId.toString() === productId.toString()
-    );
+    const itemIndex = this.findItemIndex(productId, variantId);
 
     if (itemIndex === -1) {
       throw new Error('Item not found in cart');
@@ -308,9 +351,7 @@ cartSchema.methods.updateQuantity = async function(productId, quantity) {
       throw new Error('Product not found');
     }
 
-    if (quantity > product.stock) {
-      throw new Error(`Insufficient stock. Available: ${product.stock}`);
-    }
+    product.canPurchase(quantity, variantId);
 
     this.items[itemIndex].quantity = quantity;
 
@@ -372,9 +413,9 @@ cartSchema.methods.calculateTotals = async function() {
     // Round to 2 decimal places
     this.subtotal = Math.round(this.subtotal * 100) / 100;
 
-    // Calculate tax (8% for example)
-    const taxRate = 0.08;
-    this.tax = Math.round(this.subtotal * taxRate * 100) / 100;
+    // Tax depends on the shipping address, so it is computed by the tax service
+    // for the cart summary and at checkout rather than stored on the cart
+    this.tax = 0;
 
     // Calculate total (subtotal + tax - discount)
     this.total = Math.round((this.subtotal + this.tax - this.discount) * 100) / 100;
@@ -399,41 +440,25 @@ cartSchema.methods.calculateTotals = async function() {
 
 /**
  * Instance Method: Apply promo code
- * @param {String} code - Promo code to apply
+ * The code must already be validated by the promo code service, which computes the discount
+ * @param {String} code - Validated promo code
+ * @param {Number} discount - Discount granted by the code
  * @returns {Promise<Cart>} Updated cart
  */
-cartSchema.methods.applyPromoCode = async function(code) {
+cartSchema.methods.applyPromoCode = async function(code, discount) {
   try {
     if (!code || typeof code !== 'string') {
       throw new Error('Invalid promo code');
     }
 
-    const normalizedCode = code.trim().toUpperCase();
-
-    // Placeholder for promo code validation
-    // In production, this would validate against PromoCode model
-    const validPromoCodes = {
-      'SAVE10': 0.10,  // 10% discount
-      'SAVE20': 0.20,  // 20% discount
-      'FLAT50': 50     // $50 flat discount
-    };
-
-    if (!validPromoCodes[normalizedCode]) {
-      throw new Error('Invalid or expired promo code');
+    if (!Number.isFinite(discount) || discount < 0) {
+      throw new Error('Invalid promo code discount');
     }
 
-    const discountValue = validPromoCodes[normalizedCode];
-
-    // Apply discount
-    if (discountValue < 1) {
-      // Percentage discount
-      this.discount = Math.round(this.subtotal * discountValue * 100) / 100;
-    } else {
-      // Flat discount
-      this.discount = Math.min(discountValue, this.subtotal);
-    }
+    const normalizedCode = code.trim().toUpperCase();
 
     this.promoCode = normalizedCode;
+    this.discount = Math.min(Math.round(discount * 100) / 100, this.subtotal);
 
     await this.calculateTotals();
     await this.save();
@@ -468,13 +493,18 @@ cartSchema.methods.validateStock = async function() {
         throw new Error(`Product ${item.name} no longer exists`);
       }
 
-      if (!product.isAvailable) {
+      if (!product.isActive) {
         throw new Error(`Product ${item.name} is no longer available`);
       }
 
-      if (product.stock < item.quantity) {
+      if (item.variantId && !product.findVariant(item.variantId)) {
+        throw new Error(`The selected option for ${item.name} is no longer available`);
+      }
+
+      const available = product.getStock(item.variantId);
+      if (product.inventory.trackInventory && !product.inventory.allowBackorder && available < item.quantity) {
         throw new Error(
-          `Insufficient stock for ${item.name}. Available: ${product.stock}, Required: ${item.quantity}`
+          `Insufficient stock for ${item.name}. Available: ${available}, Required: ${item.quantity}`
         );
       }
     }
@@ -506,7 +536,9 @@ cartSchema.methods.convertToOrder = async function() {
         price: item.price,
         quantity: item.quantity,
         image: item.image,
-        sku: item.sku
+        sku: item.sku,
+        variantId: item.variantId,
+        selectedOptions: item.selectedOptions
       })),
       subtotal: this.subtotal,
       tax: this.tax,
@@ -0,0 +1,114 @@
+// File: src/models/CartRecovery.js
+// Generated: 2025-10-16 15:02:11 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_w3hc8nq2ka5a
+
+
+const mongoose = require('mongoose');
+
+
+const RECOVERY_STATUS = {
+  OPEN: 'open',
+  RECOVERED: 'recovered',
+  EXPIRED: 'expired'
+};
+
+/**
+ * CartRecovery Schema
+ * One record per abandonment of a signed-in user's cart. It tracks the reminder
+ * emails sent for it and closes as recovered when the user orders again, or as
+ * expired once the reminder sequence has run out without an order.
+ */
+
+
+const CartRecoverySchema = new mongoose.Schema(
+  {
+    cart: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Cart',
+      required: [true, 'Cart is required']
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    abandonedAt: {
+      type: Date,
+      required: true
+    },
+    // Snapshot of the cart when it was abandoned
+    cartValue: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    itemCount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    remindersSent: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    lastReminderAt: {
+      type: Date,
+      default: null
+    },
+    // Code generated for the last reminder, if promo codes are enabled
+    promoCode: {
+      type: String,
+      default: null
+    },
+    // First time the restore link was opened
+    restoredAt: {
+      type: Date,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: {
+        values: Object.values(RECOVERY_STATUS),
+        message: '{VALUE} is not a valid recovery status'
+      },
+      default: RECOVERY_STATUS.OPEN
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null
+    },
+    orderTotal: {
+      type: Number,
+      default: 0
+    },
+    closedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+CartRecoverySchema.index(
+  { cart: 1 },
+  { unique: true, partialFilterExpression: { status: RECOVERY_STATUS.OPEN } }
+);
+CartRecoverySchema.index({ status: 1, abandonedAt: 1 });
+CartRecoverySchema.index({ abandonedAt: -1 });
+
+
+const CartRecovery = mongoose.model('CartRecovery', CartRecoverySchema);
+
+module.exports = CartRecovery;
+module.exports.RECOVERY_STATUS = RECOVERY_STATUS;
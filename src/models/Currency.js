@@ -0,0 +1,75 @@
+// File: src/models/Currency.js
+// Generated: 2025-10-16 15:34:52 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_k2vn7qd4mc8b
+
+
+const mongoose = require('mongoose');
+
+const { getCurrencyDecimals } = require('../utils/currency');
+
+/**
+ * Currency Schema
+ * A currency customers can shop in, with its exchange rate against the base
+ * currency (config.currency.base). Rates are maintained by hand through the
+ * admin endpoints or the rates file; there is no live feed.
+ */
+
+
+const CurrencySchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Currency code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, 'Currency code must be a 3-letter ISO 4217 code']
+    },
+    name: {
+      type: String,
+      required: [true, 'Currency name is required'],
+      trim: true
+    },
+    symbol: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    // Units of this currency per 1 unit of the base currency
+    rate: {
+      type: Number,
+      required: [true, 'Exchange rate is required'],
+      min: [0.000001, 'Exchange rate must be positive']
+    },
+    decimals: {
+      type: Number,
+      min: 0,
+      max: 3
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+CurrencySchema.index({ isActive: 1, code: 1 });
+
+/**
+ * Pre-validate hook: Default the decimals from the ISO 4217 minor unit
+ */
+CurrencySchema.pre('validate', function(next) {
+  if (this.decimals === undefined || this.decimals === null) {
+    this.decimals = getCurrencyDecimals(this.code);
+  }
+  next();
+});
+
+
+const Currency = mongoose.model('Currency', CurrencySchema);
+
+module.exports = Currency;
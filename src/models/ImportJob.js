@@ -0,0 +1,107 @@
+// File: src/models/ImportJob.js
+// Generated: 2025-10-16 17:32:44 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_d4wq7nb2xs9a
+
+
+const mongoose = require('mongoose');
+
+
+const IMPORT_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+
+const IMPORT_FORMATS = ['csv', 'jsonl'];
+
+/**
+ * Row errors kept on a job; later failures are only counted
+ */
+
+
+const MAX_ROW_ERRORS = 500;
+
+/**
+ * ImportJob Schema
+ * Tracks a bulk catalog import running in the background: progress counters
+ * and the errors of rejected rows, so the uploader can fix and re-import them.
+ */
+
+
+const ImportJobSchema = new mongoose.Schema(
+  {
+    format: {
+      type: String,
+      enum: {
+        values: IMPORT_FORMATS,
+        message: '{VALUE} is not a supported import format'
+      },
+      required: true
+    },
+    status: {
+      type: String,
+      enum: {
+        values: Object.values(IMPORT_STATUS),
+        message: '{VALUE} is not a valid import status'
+      },
+      default: IMPORT_STATUS.QUEUED
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    totalRows: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    processedRows: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    created: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    updated: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    failed: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Row numbers count data rows from 1 (the CSV header is not a row)
+    rowErrors: [{
+      _id: false,
+      row: Number,
+      sku: String,
+      messages: [String]
+    }],
+    // Why the whole job failed, if it did
+    error: String,
+    startedAt: Date,
+    finishedAt: Date
+  },
+  {
+    timestamps: true
+  }
+);
+
+ImportJobSchema.index({ createdAt: -1 });
+
+
+const ImportJob = mongoose.model('ImportJob', ImportJobSchema);
+
+module.exports = ImportJob;
+module.exports.IMPORT_STATUS = IMPORT_STATUS;
+module.exports.IMPORT_FORMATS = IMPORT_FORMATS;
+module.exports.MAX_ROW_ERRORS = MAX_ROW_ERRORS;
@@ -0,0 +1,111 @@
+// File: src/models/InventoryMovement.js
+// Generated: 2025-10-16 12:40:18 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_h3ks9wd2lm7a
+
+
+const mongoose = require('mongoose');
+
+
+const MOVEMENT_TYPES = {
+  INITIAL: 'initial',
+  RESTOCK: 'restock',
+  SALE: 'sale',
+  CANCELLATION: 'cancellation',
+  RETURN: 'return',
+  ADJUSTMENT: 'adjustment'
+};
+
+/**
+ * InventoryMovement Schema
+ * Append-only ledger of stock changes. Summing `quantity` per product
+ * (and variant) reproduces the current on-hand stock.
+ */
+
+
+const InventoryMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product is required']
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    type: {
+      type: String,
+      enum: {
+        values: Object.values(MOVEMENT_TYPES),
+        message: '{VALUE} is not a valid movement type'
+      },
+      required: [true, 'Movement type is required']
+    },
+    // Signed change: negative for stock leaving, positive for stock arriving
+    quantity: {
+      type: Number,
+      required: [true, 'Quantity is required'],
+      validate: {
+        validator: value => Number.isInteger(value) && value !== 0,
+        message: 'Quantity must be a non-zero whole number'
+      }
+    },
+    before: {
+      type: Number,
+      required: true
+    },
+    after: {
+      type: Number,
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: ''
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+InventoryMovementSchema.index({ product: 1, variantId: 1, createdAt: -1 });
+InventoryMovementSchema.index({ product: 1, type: 1, createdAt: -1 });
+InventoryMovementSchema.index({ order: 1 });
+
+/**
+ * Static: Record one stock change
+ * @param {Object} entry - { product, variantId, type, quantity, before, reason, order, user }
+ * @param {Object} options - { session } to write inside the caller's transaction
+ * @returns {Promise<Object|null>} Created movement, or null for a zero change
+ */
+InventoryMovementSchema.statics.record = async function(entry, { session = null } = {}) {
+  if (!entry.quantity) {
+    return null;
+  }
+
+  const [movement] = await this.create([{
+    ...entry,
+    after: entry.before + entry.quantity
+  }], { session });
+
+  return movement;
+};
+
+
+const InventoryMovement = mongoose.model('InventoryMovement', InventoryMovementSchema);
+
+module.exports = InventoryMovement;
+module.exports.MOVEMENT_TYPES = MOVEMENT_TYPES;
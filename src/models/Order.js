@@ -4,6 +4,9 @@
 // Task ID: task_7sy7a3snzrit
 
 
+const config = require('../config/environment');
+
+
 const logger = require('../utils/logger');
 
 
@@ -59,10 +62,26 @@ const orderSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'User reference is required'],
+    required: [
+      function() {
+        return !this.guest || !this.guest.email;
+      },
+      'User reference is required'
+    ],
     index: true
   },
 
+  // Contact details of guest checkouts (orders without a user)
+  guest: {
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    firstName: String,
+    lastName: String
+  },
+
   items: [{
     product: {
       type: mongoose.Schema.Types.ObjectId,
@@ -115,7 +134,57 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: [true, 'Total is required'],
       min: [0, 'Total cannot be negative']
+    },
+    taxInclusive: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  // Currency the order is priced and charged in; all pricing amounts are in it
+  currency: {
+    type: String,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'],
+    default: () => config.currency.base
+  },
+
+  // Units of the order currency per unit of base currency when the order was placed
+  exchangeRate: {
+    type: Number,
+    default: 1,
+    min: [0, 'Exchange rate cannot be negative']
+  },
+
+  taxBreakdown: [{
+    _id: false,
+    jurisdiction: {
+      type: String,
+      required: true
+    },
+    country: String,
+    state: String,
+    postalPrefix: String,
+    taxClass: String,
+    rate: {
+      type: Number,
+      min: [0, 'Tax rate cannot be negative']
+    },
+    taxableAmount: {
+      type: Number,
+      min: [0, 'Taxable amount cannot be negative']
+    },
+    amount: {
+      type: Number,
+      min: [0, 'Tax amount cannot be negative']
     }
+  }],
+
+  promoCode: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
   },
 
   status: {
@@ -202,6 +271,26 @@ const orderSchema = new mongoose.Schema({
     country: String
   },
 
+  shippingMethod: {
+    code: {
+      type: String,
+      enum: {
+        values: ['standard', 'express', 'pickup'],
+        message: '{VALUE} is not a valid shipping method'
+      }
+    },
+    name: String,
+    zone: String,
+    cost: {
+      type: Number,
+      min: [0, 'Shipping cost cannot be negative']
+    },
+    estimatedDays: {
+      min: Number,
+      max: Number
+    }
+  },
+
   tracking: {
     carrier: String,
     trackingNumber: {
@@ -210,7 +299,12 @@ const orderSchema = new mongoose.Schema({
     },
     shippedAt: Date,
     estimatedDelivery: Date,
-    deliveredAt: Date
+    deliveredAt: Date,
+    // Parcels created so far; createShipment bumps it to serialise shipments of one order
+    shipmentCount: {
+      type: Number,
+      default: 0
+    }
   },
 
   statusHistory: [{
@@ -242,11 +336,19 @@ const orderSchema = new mongoose.Schema({
  * Indexes for performance optimization
  */
 orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ 'guest.email': 1, user: 1 });
 orderSchema.index({ status: 1, createdAt: -1 });
 orderSchema.index({ 'payment.transactionId': 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ orderNumber: 1 }, { unique: true });
 
+/**
+ * Virtual: Placed through guest checkout and not yet linked to an account
+ */
+orderSchema.virtual('isGuest').get(function() {
+  return !this.user;
+});
+
 /**
  * Virtual for order age in days
  */
@@ -339,9 +441,9 @@ orderSchema.methods.calculateTotals = function() {
       return sum + (item.subtotal || (item.price * item.quantity));
     }, 0);
 
-    // Calculate final total
+    // Calculate final total (tax-inclusive prices already contain the tax)
     this.pricing.total = this.pricing.subtotal
-      + (this.pricing.tax || 0)
+      + (this.pricing.taxInclusive ? 0 : (this.pricing.tax || 0))
       + (this.pricing.shipping || 0)
       - (this.pricing.discount || 0);
 
@@ -6,6 +6,20 @@
 
 const mongoose = require('mongoose');
 
+/**
+ * Return (RMA) lifecycle for an item
+ * requested -> approved -> received -> refunded, or requested -> rejected
+ */
+
+
+const RETURN_STATUSES = {
+  REQUESTED: 'requested',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  RECEIVED: 'received',
+  REFUNDED: 'refunded'
+};
+
 /**
  * OrderItem Schema
  * Stores individual items in an order with product information snapshot
@@ -31,6 +45,14 @@ const OrderItemSchema = new mongoose.Schema(
       index: true
     },
 
+    // Marketplace seller of the product at time of purchase (null for the shop's own products)
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+      default: null,
+      index: true
+    },
+
     // Product snapshot - preserves product details at time of purchase
     productSnapshot: {
       name: {
@@ -129,6 +151,12 @@ const OrderItemSchema = new mongoose.Schema(
       set: val => Math.round(val * 100) / 100
     },
 
+    // Purchased product variant (null for products without variants)
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+
     // Selected variant/options (size, color, etc.)
     selectedOptions: {
       type: Map,
@@ -168,6 +196,14 @@ const OrderItemSchema = new mongoose.Schema(
 
     // Return/refund information
     returnInfo: {
+      rmaNumber: {
+        type: String,
+        trim: true
+      },
+      status: {
+        type: String,
+        enum: Object.values(RETURN_STATUSES)
+      },
       requested: {
         type: Boolean,
         default: false
@@ -179,6 +215,11 @@ const OrderItemSchema = new mongoose.Schema(
         type: String,
         trim: true
       },
+      // Units being sent back (may be fewer than the quantity ordered)
+      quantity: {
+        type: Number,
+        min: [1, 'Return quantity must be at least 1']
+      },
       approved: {
         type: Boolean,
         default: false
@@ -186,16 +227,45 @@ const OrderItemSchema = new mongoose.Schema(
       approvedAt: {
         type: Date
       },
+      // Whether returned units go back into sellable stock on receipt
+      restock: {
+        type: Boolean,
+        default: false
+      },
+      rejectedAt: {
+        type: Date
+      },
+      rejectionReason: {
+        type: String,
+        trim: true
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      receivedAt: {
+        type: Date
+      },
       refundAmount: {
         type: Number,
         min: 0,
         set: val => val ? Math.round(val * 100) / 100 : undefined
       },
+      refundId: {
+        type: String
+      },
       refundedAt: {
         type: Date
       }
     },
 
+    // Units already refunded through itemised refunds (returns or goodwill)
+    refundedQuantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'Refunded quantity cannot be negative']
+    },
+
     // Notes specific to this item
     notes: {
       type: String,
@@ -224,6 +294,8 @@ OrderItemSchema.index({ order: 1, product: 1 });
 OrderItemSchema.index({ status: 1, createdAt: -1 });
 OrderItemSchema.index({ 'tracking.trackingNumber': 1 });
 OrderItemSchema.index({ 'returnInfo.requested': 1, 'returnInfo.approved': 1 });
+OrderItemSchema.index({ 'returnInfo.rmaNumber': 1 }, { unique: true, sparse: true });
+OrderItemSchema.index({ 'returnInfo.status': 1, 'returnInfo.requestedAt': -1 });
 
 /**
  * Virtual for total price including tax
@@ -305,52 +377,143 @@ OrderItemSchema.pre('save', function(next) {
   }
 });
 
+/**
+ * Virtual for the units not yet refunded through itemised refunds
+ */
+OrderItemSchema.virtual('refundableQuantity').get(function() {
+  return Math.max(this.quantity - (this.refundedQuantity || 0), 0);
+});
+
+/**
+ * Instance method to get the largest refund a return of this item can claim
+ * Per-unit final price less its share of the order discount, plus per-unit tax,
+ * for every returned unit not yet refunded
+ * @param {number} discountRate - Share of the order's goods value taken off by its discount
+ * @returns {number} Maximum refund amount
+ */
+OrderItemSchema.methods.getMaxReturnRefund = function(discountRate = 0) {
+  const quantity = Math.min(this.returnInfo.quantity || this.quantity, this.refundableQuantity);
+  return Math.round((this.finalPrice * (1 - discountRate) + this.tax) * quantity * 100) / 100;
+};
+
 /**
  * Instance method to request return
  * @param {string} reason - Reason for return
+ * @param {Object} options - { quantity, rmaNumber }
  * @returns {Promise<OrderItem>} Updated order item
  */
-OrderItemSchema.methods.requestReturn = async function(reason) {
-  // Can only request return for delivered items
-  if (this.status !== 'delivered') {
-    throw new Error('Can only request return for delivered items');
+OrderItemSchema.methods.requestReturn = async function(reason, { quantity, rmaNumber } = {}) {
+  if (['cancelled', 'returned', 'refunded'].includes(this.status)) {
+    throw new Error(`Cannot request return for ${this.status} items`);
+  }
+
+  if (this.returnInfo.requested) {
+    throw new Error('A return has already been requested for this item');
+  }
+
+  const returnQuantity = quantity || this.refundableQuantity;
+  if (returnQuantity > this.quantity) {
+    throw new Error('Cannot return more units than were ordered');
   }
 
+  if (returnQuantity > this.refundableQuantity) {
+    throw new Error('Cannot return units that have already been refunded');
+  }
+
+  this.returnInfo.rmaNumber = rmaNumber;
+  this.returnInfo.status = RETURN_STATUSES.REQUESTED;
   this.returnInfo.requested = true;
   this.returnInfo.requestedAt = new Date();
   this.returnInfo.reason = reason;
-  this.status = 'returned';
+  this.returnInfo.quantity = returnQuantity;
 
   return await this.save();
 };
 
 /**
  * Instance method to approve return
- * @param {number} refundAmount - Amount to refund
+ * @param {Object} decision - { refundAmount, restock, reviewedBy, discountRate }
  * @returns {Promise<OrderItem>} Updated order item
  */
-OrderItemSchema.methods.approveReturn = async function(refundAmount) {
-  if (!this.returnInfo.requested) {
-    throw new Error('No return request exists for this item');
+OrderItemSchema.methods.approveReturn = async function({ refundAmount, restock = false, reviewedBy = null, discountRate = 0 } = {}) {
+  if (this.returnInfo.status !== RETURN_STATUSES.REQUESTED) {
+    throw new Error('No pending return request exists for this item');
+  }
+
+  if (this.refundableQuantity === 0) {
+    throw new Error('Every unit of this item has already been refunded');
   }
 
+  const maxRefund = this.getMaxReturnRefund(discountRate);
+  if (refundAmount !== undefined && refundAmount > maxRefund) {
+    throw new Error(`Refund amount cannot exceed ${maxRefund}`);
+  }
+
+  // Units refunded since the request was made are no longer part of the return
+  this.returnInfo.quantity = Math.min(this.returnInfo.quantity || this.quantity, this.refundableQuantity);
+  this.returnInfo.status = RETURN_STATUSES.APPROVED;
   this.returnInfo.approved = true;
   this.returnInfo.approvedAt = new Date();
-  this.returnInfo.refundAmount = refundAmount || this.subtotal;
+  this.returnInfo.refundAmount = refundAmount !== undefined ? refundAmount : maxRefund;
+  this.returnInfo.restock = restock;
+  this.returnInfo.reviewedBy = reviewedBy;
+
+  return await this.save();
+};
+
+/**
+ * Instance method to reject return
+ * @param {string} reason - Why the return was refused
+ * @param {ObjectId} reviewedBy - Admin who reviewed the request
+ * @returns {Promise<OrderItem>} Updated order item
+ */
+OrderItemSchema.methods.rejectReturn = async function(reason, reviewedBy = null) {
+  if (this.returnInfo.status !== RETURN_STATUSES.REQUESTED) {
+    throw new Error('No pending return request exists for this item');
+  }
+
+  this.returnInfo.status = RETURN_STATUSES.REJECTED;
+  this.returnInfo.rejectedAt = new Date();
+  this.returnInfo.rejectionReason = reason;
+  this.returnInfo.reviewedBy = reviewedBy;
+
+  return await this.save();
+};
+
+/**
+ * Instance method to record that returned goods arrived
+ * @param {Object} options - { restock } final restocking decision after inspection
+ * @returns {Promise<OrderItem>} Updated order item
+ */
+OrderItemSchema.methods.markReturnReceived = async function({ restock } = {}) {
+  if (this.returnInfo.status !== RETURN_STATUSES.APPROVED) {
+    throw new Error('Return must be approved before it can be received');
+  }
+
+  if (restock !== undefined) {
+    this.returnInfo.restock = restock;
+  }
+
+  this.returnInfo.status = RETURN_STATUSES.RECEIVED;
+  this.returnInfo.receivedAt = new Date();
+  this.status = 'returned';
 
   return await this.save();
 };
 
 /**
  * Instance method to mark as refunded
+ * @param {string} refundId - Gateway refund reference
  * @returns {Promise<OrderItem>} Updated order item
  */
-OrderItemSchema.methods.markAsRefunded = async function() {
-  if (!this.returnInfo.approved) {
-    throw new Error('Return must be approved before refunding');
+OrderItemSchema.methods.markAsRefunded = async function(refundId = null) {
+  if (this.returnInfo.status !== RETURN_STATUSES.RECEIVED) {
+    throw new Error('Return must be received before refunding');
   }
 
   this.status = 'refunded';
+  this.returnInfo.status = RETURN_STATUSES.REFUNDED;
+  this.returnInfo.refundId = refundId;
   this.returnInfo.refundedAt = new Date();
 
   return await this.save();
@@ -388,6 +551,24 @@ OrderItemSchema.statics.getByOrder = async function(orderId) {
     .sort({ createdAt: 1 });
 };
 
+/**
+ * Static method to get the share of an order's goods value taken off by its discount
+ * The order discount is spread across lines in proportion to their amount, as it is for tax.
+ * @param {Object} order - Order document
+ * @returns {Promise<number>} Discount rate between 0 and 1
+ */
+OrderItemSchema.statics.getOrderDiscountRate = async function(order) {
+  const discount = (order.pricing && order.pricing.discount) || 0;
+  if (discount <= 0) {
+    return 0;
+  }
+
+  const items = await this.find({ order: order._id }).select('finalPrice quantity');
+  const grossTotal = items.reduce((sum, item) => sum + item.finalPrice * item.quantity, 0);
+
+  return grossTotal > 0 ? Math.min(discount / grossTotal, 1) : 0;
+};
+
 /**
  * Static method to get items by product
  * @param {string} productId - Product ID
@@ -413,8 +594,7 @@ OrderItemSchema.statics.getByProduct = async function(productId, options = {}) {
  */
 OrderItemSchema.statics.getPendingReturns = async function() {
   return await this.find({
-    'returnInfo.requested': true,
-    'returnInfo.approved': false
+    'returnInfo.status': RETURN_STATUSES.REQUESTED
   })
     .populate('order', 'orderNumber customer')
     .populate('product', 'name sku')
@@ -465,3 +645,4 @@ OrderItemSchema.statics.getProductSalesStats = async function(productId, dateRan
 };
 
 module.exports = mongoose.model('OrderItem', OrderItemSchema);
+module.exports.RETURN_STATUSES = RETURN_STATUSES;
@@ -247,6 +247,68 @@ const PaymentSchema = new mongoose.Schema(
     refundedAt: {
       type: Date
     },
+    // Running history of every refund against this payment; refundAmount is their sum
+    refunds: [{
+      refundId: {
+        type: String,
+        required: true
+      },
+      amount: {
+        type: Number,
+        required: true,
+        min: [0.01, 'Refund amount must be positive'],
+        set: (val) => Math.round(val * 100) / 100
+      },
+      items: [{
+        orderItem: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'OrderItem'
+        },
+        name: String,
+        sku: String,
+        quantity: {
+          type: Number,
+          min: 1
+        },
+        unitPrice: Number,
+        // Goods portion (unitPrice * quantity), tax is tracked separately
+        amount: Number,
+        tax: {
+          type: Number,
+          default: 0
+        }
+      }],
+      tax: {
+        type: Number,
+        default: 0
+      },
+      shipping: {
+        type: Number,
+        default: 0
+      },
+      reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Refund reason cannot exceed 500 characters']
+      },
+      status: {
+        type: String
+      },
+      // 'api' for refunds issued through this service, 'gateway' for ones seen only via webhook
+      source: {
+        type: String,
+        enum: ['api', 'gateway'],
+        default: 'api'
+      },
+      requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     ipAddress: {
       type: String
     },
@@ -279,6 +341,7 @@ PaymentSchema.index({ orderId: 1, paymentStatus: 1 });
 PaymentSchema.index({ userId: 1, createdAt: -1 });
 PaymentSchema.index({ paymentStatus: 1, createdAt: -1 });
 PaymentSchema.index({ transactionId: 1 }, { unique: true, sparse: true });
+PaymentSchema.index({ 'refunds.refundId': 1 });
 
 // Virtual fields
 PaymentSchema.virtual('isSuccessful').get(function () {
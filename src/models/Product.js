@@ -12,6 +12,23 @@ const mongoose = require('mongoose');
 
 const slugify = require('slugify');
 
+/**
+ * Build a comparable key for a variant attribute combination
+ * Attribute names are order-insensitive; values are compared case-insensitively
+ * @param {Map|Object} attributes - Variant attributes or selected options
+ * @returns {String} Normalized key
+ */
+
+
+const optionsKey = (attributes) => {
+  const entries = attributes instanceof Map ? [...attributes.entries()] : Object.entries(attributes || {});
+  return JSON.stringify(
+    entries
+      .map(([name, value]) => [name.trim().toLowerCase(), String(value).trim().toLowerCase()])
+      .sort(([a], [b]) => a.localeCompare(b))
+  );
+};
+
 /**
  * Product Schema
  * Manages product catalog with inventory, pricing, and variants
@@ -50,6 +67,13 @@ const ProductSchema = new mongoose.Schema(
       trim: true,
       index: true
     },
+    // Marketplace seller that owns the listing; null for the shop's own products
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+      default: null,
+      index: true
+    },
     price: {
       type: Number,
       required: [true, 'Price is required'],
@@ -78,6 +102,22 @@ const ProductSchema = new mongoose.Schema(
       uppercase: true,
       enum: ['USD', 'EUR', 'GBP', 'CAD', 'AUD']
     },
+    // Fixed prices in other currencies, keyed by ISO 4217 code; currencies
+    // without one are converted from price at the current exchange rate
+    prices: {
+      type: Map,
+      of: {
+        type: Number,
+        min: [0, 'Currency price must be greater than or equal to 0']
+      },
+      default: undefined,
+      validate: {
+        validator: function (value) {
+          return !value || [...value.keys()].every((code) => /^[A-Z]{3}$/.test(code));
+        },
+        message: 'Currency prices must be keyed by 3-letter uppercase ISO 4217 codes'
+      }
+    },
     inventory: {
       quantity: {
         type: Number,
@@ -113,6 +153,12 @@ const ProductSchema = new mongoose.Schema(
         trim: true
       }
     ],
+    brand: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Brand cannot exceed 100 characters'],
+      index: true
+    },
     images: [
       {
         url: {
@@ -157,6 +203,48 @@ const ProductSchema = new mongoose.Schema(
         }
       }
     ],
+    // Temporary stock holds taken at checkout. On-hand stock is only deducted
+    // when a hold is confirmed; expired holds are released by the sweeper job.
+    reservations: [
+      {
+        reservationId: {
+          type: String,
+          required: true
+        },
+        cartId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Cart',
+          default: null
+        },
+        orderId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Order',
+          default: null
+        },
+        variantId: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: [1, 'Reserved quantity must be at least 1']
+        },
+        status: {
+          type: String,
+          enum: ['active', 'confirmed', 'released', 'expired'],
+          default: 'active'
+        },
+        expiresAt: {
+          type: Date,
+          required: true
+        },
+        settledAt: {
+          type: Date,
+          default: null
+        }
+      }
+    ],
     isActive: {
       type: Boolean,
       default: true,
@@ -171,6 +259,14 @@ const ProductSchema = new mongoose.Schema(
       type: Boolean,
       default: false
     },
+    taxClass: {
+      type: String,
+      enum: {
+        values: ['standard', 'reduced', 'exempt', 'digital'],
+        message: '{VALUE} is not a valid tax class'
+      },
+      default: 'standard'
+    },
     weight: {
       type: Number,
       min: [0, 'Weight must be greater than or equal to 0']
@@ -211,6 +307,11 @@ const ProductSchema = new mongoose.Schema(
         type: Number,
         default: 0,
         min: [0, 'Rating count cannot be negative']
+      },
+      total: {
+        type: Number,
+        default: 0,
+        min: [0, 'Rating total cannot be negative']
       }
     }
   },
@@ -225,9 +326,21 @@ const ProductSchema = new mongoose.Schema(
  * Indexes for performance optimization
  */
 ProductSchema.index({ isActive: 1, isFeatured: -1, createdAt: -1 });
-ProductSchema.index({ name: 'text', description: 'text', tags: 'text' });
+// Weighted full-text index used by the search service (name > brand/tags > description).
+// Replaces the earlier unweighted text index, which must be dropped before this one builds.
+ProductSchema.index(
+  { name: 'text', brand: 'text', tags: 'text', description: 'text' },
+  {
+    name: 'product_text_search',
+    weights: { name: 10, brand: 5, tags: 5, description: 1 }
+  }
+);
 ProductSchema.index({ 'inventory.quantity': 1 });
 ProductSchema.index({ price: 1 });
+ProductSchema.index({ 'reservations.status': 1, 'reservations.expiresAt': 1 });
+ProductSchema.index({ 'reservations.reservationId': 1 });
+ProductSchema.index({ 'reservations.cartId': 1 });
+ProductSchema.index({ 'reservations.orderId': 1 });
 
 /**
  * Virtual: Calculate discount percentage
@@ -298,6 +411,12 @@ ProductSchema.pre('save', async function (next) {
       if (variantSkus.includes(this.sku)) {
         return next(new Error('Variant SKU cannot match main product SKU'));
       }
+
+      // Each variant must be selectable by a distinct attribute combination
+      const combinations = this.variants.map((v) => optionsKey(v.attributes));
+      if (new Set(combinations).size !== combinations.length) {
+        return next(new Error('Variants must have unique attribute combinations'));
+      }
     }
 
     if (!this.isDigital && this.inventory.trackInventory) {
@@ -351,28 +470,121 @@ ProductSchema.methods.calculateDiscount = function () {
 };
 
 /**
- * Instance method: Check if product is in stock
+ * Instance method: Find a variant by ID
+ * @param {String} variantId - Variant subdocument ID
+ * @returns {Object|null} Variant or null
+ */
+ProductSchema.methods.findVariant = function (variantId) {
+  if (!variantId || !this.variants) {
+    return null;
+  }
+  return this.variants.find((v) => v._id.toString() === variantId.toString()) || null;
+};
+
+/**
+ * Instance method: Find the variant matching an exact attribute combination
+ * @param {Object} options - Selected options, e.g. { size: 'M', color: 'red' }
+ * @returns {Object|null} Variant or null when the combination does not exist
+ */
+ProductSchema.methods.findVariantByOptions = function (options) {
+  if (!options || !this.variants) {
+    return null;
+  }
+  const key = optionsKey(options);
+  return this.variants.find((v) => optionsKey(v.attributes) === key) || null;
+};
+
+/**
+ * Instance method: Unit price of the product or one of its variants
+ * Variants without their own price inherit the product price
+ * @param {String|null} variantId - Optional variant ID
+ * @returns {Number} Unit price
  */
-ProductSchema.methods.isInStock = function () {
+ProductSchema.methods.getPrice = function (variantId = null) {
+  const variant = this.findVariant(variantId);
+  return variant && variant.price !== undefined && variant.price !== null ? variant.price : this.price;
+};
+
+/**
+ * Instance method: On-hand stock of the product or one of its variants
+ * @param {String|null} variantId - Optional variant ID
+ * @returns {Number} Stock quantity
+ */
+ProductSchema.methods.getStock = function (variantId = null) {
+  if (variantId) {
+    const variant = this.findVariant(variantId);
+    return variant ? variant.inventory || 0 : 0;
+  }
+  return this.inventory.quantity;
+};
+
+/**
+ * Instance method: Quantity held by active, unexpired reservations
+ * @param {String|null} variantId - Variant to count (null for product-level stock)
+ * @param {Object} options - { excludeReservationIds } holds to leave out of the count
+ * @returns {Number} Reserved quantity
+ */
+ProductSchema.methods.getReservedQuantity = function (variantId = null, { excludeReservationIds = [] } = {}) {
+  const now = new Date();
+
+  return (this.reservations || [])
+    .filter((r) => r.status === 'active' &&
+      r.expiresAt > now &&
+      String(r.variantId || '') === String(variantId || '') &&
+      !excludeReservationIds.includes(r.reservationId))
+    .reduce((sum, r) => sum + r.quantity, 0);
+};
+
+/**
+ * Instance method: Adjust in-memory stock of the product or a variant
+ * The caller is responsible for saving the document
+ * @param {Number} delta - Quantity change (negative to deduct)
+ * @param {String|null} variantId - Optional variant ID
+ * @returns {Number} New stock quantity
+ */
+ProductSchema.methods.adjustStock = function (delta, variantId = null) {
+  if (variantId) {
+    const variant = this.findVariant(variantId);
+    if (!variant) {
+      throw new Error('Variant not found');
+    }
+    variant.inventory = (variant.inventory || 0) + delta;
+    return variant.inventory;
+  }
+  this.inventory.quantity += delta;
+  return this.inventory.quantity;
+};
+
+/**
+ * Instance method: Check if product (or a variant) is in stock
+ * @param {String|null} variantId - Optional variant ID
+ */
+ProductSchema.methods.isInStock = function (variantId = null) {
   if (!this.inventory.trackInventory) {
     return true;
   }
-  return this.inventory.quantity > 0 || this.inventory.allowBackorder;
+  return this.getStock(variantId) > 0 || this.inventory.allowBackorder;
 };
 
 /**
  * Instance method: Validate if requested quantity can be purchased
+ * @param {Number} quantity - Requested quantity
+ * @param {String|null} variantId - Optional variant ID
  */
-ProductSchema.methods.canPurchase = function (quantity) {
+ProductSchema.methods.canPurchase = function (quantity, variantId = null) {
   if (!this.isActive) {
     throw new Error('PRODUCT_INACTIVE');
   }
 
+  if (variantId && !this.findVariant(variantId)) {
+    throw new Error('VARIANT_NOT_FOUND');
+  }
+
   if (!this.inventory.trackInventory) {
     return true;
   }
 
-  if (this.inventory.quantity >= quantity) {
+  if (this.getStock(variantId) >= quantity) {
     return true;
   }
 
@@ -472,30 +684,45 @@ ProductSchema.methods.releaseStock = async function (quantity) {
 };
 
 /**
- * Instance method: Update product rating
+ * Static method: Apply an approved review rating change atomically
+ * Keeps a running total so the average never has to be recomputed from all reviews
+ * @param {String} productId - Product ID
+ * @param {Object} change - { added, removed } star ratings (either may be null)
  */
-ProductSchema.methods.updateRating = async function (newRating) {
+ProductSchema.statics.adjustRatings = async function (productId, { added = null, removed = null }) {
   try {
-    if (newRating < 0 || newRating > 5) {
-      throw new Error('Rating must be between 0 and 5');
-    }
+    const countDelta = (added !== null ? 1 : 0) - (removed !== null ? 1 : 0);
+    const totalDelta = (added || 0) - (removed || 0);
 
-    const totalRating = this.ratings.average * this.ratings.count;
-    this.ratings.count += 1;
-    this.ratings.average = (totalRating + newRating) / this.ratings.count;
-
-    await this.save();
-
-    logger.info('Product rating updated', {
-      sku: this.sku,
-      newAverage: this.ratings.average,
-      totalReviews: this.ratings.count
-    });
+    await this.updateOne({ _id: productId }, [
+      {
+        $set: {
+          'ratings.total': {
+            $add: [
+              { $ifNull: ['$ratings.total', { $multiply: ['$ratings.average', '$ratings.count'] }] },
+              totalDelta
+            ]
+          },
+          'ratings.count': { $add: [{ $ifNull: ['$ratings.count', 0] }, countDelta] }
+        }
+      },
+      {
+        $set: {
+          'ratings.average': {
+            $cond: [
+              { $gt: ['$ratings.count', 0] },
+              { $round: [{ $divide: ['$ratings.total', '$ratings.count'] }, 1] },
+              0
+            ]
+          }
+        }
+      }
+    ]);
 
-    return this.ratings;
+    logger.info('Product rating adjusted', { productId, added, removed });
   } catch (error) {
-    logger.error('Failed to update rating', {
-      sku: this.sku,
+    logger.error('Failed to adjust product rating', {
+      productId,
       error: error.message
     });
     throw error;
@@ -0,0 +1,293 @@
+// File: src/models/PromoCode.js
+// Generated: 2025-10-16 10:42:09 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_p7rmc0d3x2qa
+
+
+const logger = require('../utils/logger');
+
+
+const mongoose = require('mongoose');
+
+
+const PROMO_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED_AMOUNT: 'fixed_amount',
+  FREE_SHIPPING: 'free_shipping',
+  BUY_X_GET_Y: 'buy_x_get_y'
+};
+
+/**
+ * Redemption Schema
+ * Records each use of a promo code against an order
+ * Account orders are keyed by user, guest orders by their checkout email.
+ */
+
+
+const RedemptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Discount cannot be negative']
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * PromoCode Schema
+ * Discount rules applied to carts and orders by code
+ */
+
+
+const PromoCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Promo code is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      minlength: [4, 'Promo code must be at least 4 characters'],
+      maxlength: [20, 'Promo code cannot exceed 20 characters'],
+      match: [/^[A-Z0-9]+$/, 'Promo code can only contain letters and numbers']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    type: {
+      type: String,
+      required: [true, 'Promo type is required'],
+      enum: {
+        values: Object.values(PROMO_TYPES),
+        message: '{VALUE} is not a valid promo type'
+      }
+    },
+    value: {
+      type: Number,
+      default: 0,
+      min: [0, 'Value cannot be negative'],
+      validate: {
+        validator: function(value) {
+          return this.type !== PROMO_TYPES.PERCENTAGE || value <= 100;
+        },
+        message: 'Percentage value cannot exceed 100'
+      }
+    },
+    maxDiscount: {
+      type: Number,
+      default: null,
+      min: [0, 'Maximum discount cannot be negative']
+    },
+    buyQuantity: {
+      type: Number,
+      default: null,
+      min: [1, 'Buy quantity must be at least 1']
+    },
+    getQuantity: {
+      type: Number,
+      default: null,
+      min: [1, 'Get quantity must be at least 1']
+    },
+    getDiscountPercentage: {
+      type: Number,
+      default: 100,
+      min: [1, 'Get discount percentage must be at least 1'],
+      max: [100, 'Get discount percentage cannot exceed 100']
+    },
+    minSubtotal: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum subtotal cannot be negative']
+    },
+    startsAt: {
+      type: Date,
+      default: Date.now
+    },
+    endsAt: {
+      type: Date,
+      default: null,
+      validate: {
+        validator: function(value) {
+          return !value || !this.startsAt || value > this.startsAt;
+        },
+        message: 'End date must be after start date'
+      }
+    },
+    usageLimit: {
+      type: Number,
+      default: null,
+      min: [1, 'Usage limit must be at least 1']
+    },
+    perUserLimit: {
+      type: Number,
+      default: null,
+      min: [1, 'Per-user limit must be at least 1']
+    },
+    usageCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    applicableProducts: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    applicableCategories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }],
+    redemptions: {
+      type: [RedemptionSchema],
+      default: [],
+      select: false
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+/**
+ * Indexes for performance optimization
+ */
+PromoCodeSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+PromoCodeSchema.index({ 'redemptions.user': 1 });
+PromoCodeSchema.index({ 'redemptions.email': 1 });
+PromoCodeSchema.index({ 'redemptions.order': 1 });
+
+/**
+ * Virtual: Whether the code has reached its global usage limit
+ */
+PromoCodeSchema.virtual('isExhausted').get(function() {
+  return this.usageLimit !== null && this.usageLimit !== undefined && this.usageCount >= this.usageLimit;
+});
+
+/**
+ * Pre-save hook: buy X get Y codes need both quantities
+ */
+PromoCodeSchema.pre('save', function(next) {
+  if (this.type === PROMO_TYPES.BUY_X_GET_Y && (!this.buyQuantity || !this.getQuantity)) {
+    return next(new Error('Buy and get quantities are required for buy X get Y promo codes'));
+  }
+  return next();
+});
+
+/**
+ * Check whether the code is active at a given moment
+ * @param {Date} date - Moment to check (defaults to now)
+ * @returns {boolean} True if within the validity window
+ */
+PromoCodeSchema.methods.isWithinValidityWindow = function(date = new Date()) {
+  if (this.startsAt && date < this.startsAt) {
+    return false;
+  }
+  if (this.endsAt && date > this.endsAt) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Check whether a product falls within the code's scope
+ * Codes without product or category restrictions apply to every product
+ * @param {string} productId - Product ID
+ * @param {Array} categoryIds - Category IDs of the product
+ * @returns {boolean} True if the product is eligible
+ */
+PromoCodeSchema.methods.appliesToProduct = function(productId, categoryIds = []) {
+  const products = this.applicableProducts || [];
+  const categories = this.applicableCategories || [];
+
+  if (products.length === 0 && categories.length === 0) {
+    return true;
+  }
+
+  if (products.some(id => id.toString() === productId.toString())) {
+    return true;
+  }
+
+  const categorySet = new Set(categories.map(id => id.toString()));
+  return categoryIds.some(id => categorySet.has(id.toString()));
+};
+
+/**
+ * Find an active promo code by its code
+ * @param {string} code - Promo code
+ * @returns {Promise<PromoCode|null>} Promo code document or null
+ */
+PromoCodeSchema.statics.findActiveByCode = async function(code) {
+  try {
+    return await this.findOne({ code: code.trim().toUpperCase(), isActive: true });
+  } catch (error) {
+    logger.error('Failed to find promo code', { code, error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Count how many times a user (or a guest, by email) has redeemed a promo code
+ * @param {string} promoCodeId - Promo code ID
+ * @param {string|null} userId - User ID
+ * @param {string} [email] - Guest checkout email, used when there is no user
+ * @returns {Promise<number>} Number of redemptions
+ */
+PromoCodeSchema.statics.countUserRedemptions = async function(promoCodeId, userId, email = null) {
+  try {
+    const redeemer = userId
+      ? { 'redemptions.user': new mongoose.Types.ObjectId(userId.toString()) }
+      : { 'redemptions.email': String(email).trim().toLowerCase() };
+
+    const [result] = await this.aggregate([
+      { $match: { _id: new mongoose.Types.ObjectId(promoCodeId.toString()) } },
+      { $unwind: '$redemptions' },
+      { $match: redeemer },
+      { $count: 'count' }
+    ]);
+
+    return result ? result.count : 0;
+  } catch (error) {
+    logger.error('Failed to count promo code redemptions', {
+      promoCodeId,
+      userId,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+
+const PromoCode = mongoose.model('PromoCode', PromoCodeSchema);
+
+module.exports = PromoCode;
+module.exports.PROMO_TYPES = PROMO_TYPES;
@@ -0,0 +1,135 @@
+// File: src/models/Review.js
+// Generated: 2025-10-16 11:12:44 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_r4vw8kq2nd1a
+
+
+const mongoose = require('mongoose');
+
+
+const REVIEW_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+/**
+ * Review Schema
+ * A verified-purchase product review. Only approved reviews are public
+ * and count towards Product.ratings.
+ */
+
+
+const ReviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product is required'],
+      index: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+      index: true
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: [true, 'Order is required']
+    },
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OrderItem',
+      required: [true, 'Order item is required']
+    },
+    rating: {
+      type: Number,
+      required: [true, 'Rating is required'],
+      min: [MIN_RATING, `Rating must be at least ${MIN_RATING}`],
+      max: [MAX_RATING, `Rating cannot exceed ${MAX_RATING}`],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Rating must be a whole number of stars'
+      }
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [120, 'Review title cannot exceed 120 characters']
+    },
+    comment: {
+      type: String,
+      required: [true, 'Review text is required'],
+      trim: true,
+      maxlength: [2000, 'Review text cannot exceed 2000 characters']
+    },
+    status: {
+      type: String,
+      enum: {
+        values: Object.values(REVIEW_STATUS),
+        message: '{VALUE} is not a valid review status'
+      },
+      default: REVIEW_STATUS.PENDING,
+      index: true
+    },
+    moderationNote: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Moderation note cannot exceed 500 characters']
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    moderatedAt: {
+      type: Date
+    },
+    helpfulCount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Helpful count cannot be negative']
+    },
+    helpfulVoters: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      select: false
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// One review per customer per product
+ReviewSchema.index({ product: 1, user: 1 }, { unique: true });
+ReviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+ReviewSchema.index({ product: 1, status: 1, helpfulCount: -1 });
+
+/**
+ * Virtual: every review is tied to a delivered order item
+ */
+ReviewSchema.virtual('verifiedPurchase').get(function() {
+  return Boolean(this.orderItem);
+});
+
+/**
+ * Whether the review currently counts towards the product rating
+ * @returns {Boolean}
+ */
+ReviewSchema.methods.isPublished = function() {
+  return this.status === REVIEW_STATUS.APPROVED;
+};
+
+
+const Review = mongoose.model('Review', ReviewSchema);
+
+module.exports = Review;
+module.exports.REVIEW_STATUS = REVIEW_STATUS;
+module.exports.MIN_RATING = MIN_RATING;
+module.exports.MAX_RATING = MAX_RATING;
@@ -0,0 +1,169 @@
+// File: src/models/Seller.js
+// Generated: 2025-10-16 16:14:05 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_m5sq8wd3ne7a
+
+
+const mongoose = require('mongoose');
+
+
+const slugify = require('slugify');
+
+
+const SELLER_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  SUSPENDED: 'suspended'
+};
+
+
+const PAYOUT_METHODS = ['bank_transfer', 'paypal'];
+
+/**
+ * Seller Schema
+ * Marketplace store profile of a user. Applications start pending and only
+ * approved sellers can list products and see their sub-orders; the user's role
+ * becomes 'seller' on approval and goes back to 'customer' when the store is
+ * rejected or suspended.
+ */
+
+
+const SellerSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+      unique: true
+    },
+    storeName: {
+      type: String,
+      required: [true, 'Store name is required'],
+      trim: true,
+      minlength: [3, 'Store name must be at least 3 characters'],
+      maxlength: [100, 'Store name cannot exceed 100 characters']
+    },
+    slug: {
+      type: String,
+      unique: true,
+      lowercase: true
+    },
+    description: {
+      type: String,
+      maxlength: [2000, 'Store description cannot exceed 2000 characters']
+    },
+    contactEmail: {
+      type: String,
+      required: [true, 'Contact email is required'],
+      lowercase: true,
+      trim: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    },
+    payout: {
+      method: {
+        type: String,
+        enum: {
+          values: PAYOUT_METHODS,
+          message: '{VALUE} is not a valid payout method'
+        }
+      },
+      accountHolder: {
+        type: String,
+        trim: true
+      },
+      bankName: {
+        type: String,
+        trim: true
+      },
+      // Full account details never leave the database
+      accountNumber: {
+        type: String,
+        trim: true,
+        select: false
+      },
+      routingNumber: {
+        type: String,
+        trim: true,
+        select: false
+      },
+      accountLast4: String,
+      paypalEmail: {
+        type: String,
+        lowercase: true,
+        trim: true
+      },
+      currency: {
+        type: String,
+        uppercase: true,
+        match: [/^[A-Z]{3}$/, 'Payout currency must be a 3-letter ISO 4217 code']
+      }
+    },
+    // Overrides config.marketplace.commissionRate when set
+    commissionRate: {
+      type: Number,
+      min: [0, 'Commission rate cannot be negative'],
+      max: [100, 'Commission rate cannot exceed 100'],
+      default: null
+    },
+    status: {
+      type: String,
+      enum: {
+        values: Object.values(SELLER_STATUS),
+        message: '{VALUE} is not a valid seller status'
+      },
+      default: SELLER_STATUS.PENDING
+    },
+    statusReason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+SellerSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Derive the slug from the store name and keep only the last digits of the account number
+ */
+SellerSchema.pre('validate', function (next) {
+  if (this.isModified('storeName') || !this.slug) {
+    this.slug = slugify(this.storeName || '', { lower: true, strict: true });
+  }
+
+  if (this.isModified('payout.accountNumber') && this.payout && this.payout.accountNumber) {
+    this.payout.accountLast4 = this.payout.accountNumber.slice(-4);
+  }
+
+  next();
+});
+
+/**
+ * Check whether the store may sell
+ * @returns {Boolean} True when approved
+ */
+SellerSchema.methods.isApproved = function () {
+  return this.status === SELLER_STATUS.APPROVED;
+};
+
+
+const Seller = mongoose.model('Seller', SellerSchema);
+
+module.exports = Seller;
+module.exports.SELLER_STATUS = SELLER_STATUS;
+module.exports.PAYOUT_METHODS = PAYOUT_METHODS;
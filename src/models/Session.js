@@ -0,0 +1,79 @@
+// File: src/models/Session.js
+// Generated: 2025-10-16 18:02:37 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_k7nv2pq9ws4a
+
+
+const mongoose = require('mongoose');
+
+
+const REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  REVOKED: 'revoked',
+  LOGOUT_ALL: 'logout_all',
+  PASSWORD_CHANGED: 'password_changed',
+  TOKEN_REUSE: 'token_reuse',
+  ACCOUNT_INACTIVE: 'account_inactive'
+};
+
+/**
+ * Session Schema
+ * One signed-in device. A session is the family of refresh tokens issued to
+ * that device: each refresh rotates `tokenId`, and presenting a token that is
+ * no longer current means it was replayed, so the whole session is revoked.
+ * Sessions are removed once their last refresh token has expired.
+ */
+
+
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required']
+    },
+    deviceName: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Device name cannot exceed 100 characters']
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500
+    },
+    ipAddress: String,
+    // jti of the only refresh token of this session that may still be used
+    tokenId: {
+      type: String,
+      required: true
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: {
+        values: Object.values(REVOKE_REASONS),
+        message: '{VALUE} is not a valid revoke reason'
+      }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+SessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 });
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+
+const Session = mongoose.model('Session', SessionSchema);
+
+module.exports = Session;
+module.exports.REVOKE_REASONS = REVOKE_REASONS;
@@ -0,0 +1,154 @@
+// File: src/models/Shipment.js
+// Generated: 2025-10-16 13:41:06 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_c6tj2rm9xw4a
+
+
+const mongoose = require('mongoose');
+
+
+const SHIPMENT_STATUSES = {
+  SHIPPED: 'shipped',
+  IN_TRANSIT: 'in_transit',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  EXCEPTION: 'exception'
+};
+
+/**
+ * Supported carriers
+ * trackingUrl is the prefix the tracking number is appended to; statusCodes maps
+ * the carrier's own event codes onto SHIPMENT_STATUSES for inbound webhooks.
+ */
+
+
+const CARRIERS = {
+  ups: {
+    name: 'UPS',
+    trackingUrl: 'https://www.ups.com/track?tracknum=',
+    statusCodes: { M: 'shipped', I: 'in_transit', O: 'out_for_delivery', D: 'delivered', X: 'exception' }
+  },
+  fedex: {
+    name: 'FedEx',
+    trackingUrl: 'https://www.fedex.com/fedextrack/?trknbr=',
+    statusCodes: { PU: 'shipped', IT: 'in_transit', OD: 'out_for_delivery', DL: 'delivered', DE: 'exception' }
+  },
+  usps: {
+    name: 'USPS',
+    trackingUrl: 'https://tools.usps.com/go/TrackConfirmAction?tLabels=',
+    statusCodes: { ACCEPTED: 'shipped', IN_TRANSIT: 'in_transit', OUT_FOR_DELIVERY: 'out_for_delivery', DELIVERED: 'delivered', ALERT: 'exception' }
+  },
+  dhl: {
+    name: 'DHL',
+    trackingUrl: 'https://www.dhl.com/en/express/tracking.html?AWB=',
+    statusCodes: { 'pre-transit': 'shipped', transit: 'in_transit', delivered: 'delivered', failure: 'exception' }
+  }
+};
+
+/**
+ * Shipment Schema
+ * One parcel of an order. An order can ship in several parcels, each holding
+ * some or all units of its order items.
+ */
+
+
+const ShipmentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: [true, 'Order is required'],
+      index: true
+    },
+    items: {
+      type: [{
+        orderItem: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'OrderItem',
+          required: true
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: [1, 'Quantity must be at least 1']
+        }
+      }],
+      validate: {
+        validator: items => items.length > 0,
+        message: 'A shipment must contain at least one item'
+      }
+    },
+    carrier: {
+      type: String,
+      enum: {
+        values: Object.keys(CARRIERS),
+        message: '{VALUE} is not a supported carrier'
+      },
+      required: [true, 'Carrier is required']
+    },
+    trackingNumber: {
+      type: String,
+      required: [true, 'Tracking number is required'],
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: {
+        values: Object.values(SHIPMENT_STATUSES),
+        message: '{VALUE} is not a valid shipment status'
+      },
+      default: SHIPMENT_STATUSES.SHIPPED
+    },
+    shippedAt: {
+      type: Date,
+      default: Date.now
+    },
+    estimatedDelivery: {
+      type: Date
+    },
+    deliveredAt: {
+      type: Date
+    },
+    // Carrier scan history, newest last
+    events: [{
+      status: {
+        type: String,
+        enum: Object.values(SHIPMENT_STATUSES)
+      },
+      code: String,
+      description: String,
+      location: String,
+      occurredAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+ShipmentSchema.index({ carrier: 1, trackingNumber: 1 }, { unique: true });
+ShipmentSchema.index({ status: 1, shippedAt: -1 });
+
+/**
+ * Virtual: Public tracking page for this parcel
+ */
+ShipmentSchema.virtual('trackingUrl').get(function() {
+  const carrier = CARRIERS[this.carrier];
+  return carrier ? `${carrier.trackingUrl}${encodeURIComponent(this.trackingNumber)}` : null;
+});
+
+
+const Shipment = mongoose.model('Shipment', ShipmentSchema);
+
+module.exports = Shipment;
+module.exports.SHIPMENT_STATUSES = SHIPMENT_STATUSES;
+module.exports.CARRIERS = CARRIERS;
@@ -0,0 +1,191 @@
+// File: src/models/ShippingZone.js
+// Generated: 2025-10-16 10:42:09 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_s9hz3wq5lm2a
+
+
+const logger = require('../utils/logger');
+
+
+const mongoose = require('mongoose');
+
+
+const SHIPPING_METHODS = {
+  STANDARD: 'standard',
+  EXPRESS: 'express',
+  PICKUP: 'pickup'
+};
+
+/**
+ * Shipping Method Schema
+ * Cost is baseRate + perKgRate * billable weight (kg)
+ */
+
+
+const ShippingMethodSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Method code is required'],
+    enum: {
+      values: Object.values(SHIPPING_METHODS),
+      message: '{VALUE} is not a valid shipping method'
+    }
+  },
+  name: {
+    type: String,
+    required: [true, 'Method name is required'],
+    trim: true
+  },
+  baseRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Base rate cannot be negative']
+  },
+  perKgRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Per-kg rate cannot be negative']
+  },
+  maxWeight: {
+    type: Number,
+    default: null,
+    min: [0, 'Maximum weight cannot be negative']
+  },
+  freeShippingEligible: {
+    type: Boolean,
+    default: true
+  },
+  estimatedDays: {
+    min: {
+      type: Number,
+      min: 0
+    },
+    max: {
+      type: Number,
+      min: 0
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+/**
+ * ShippingZone Schema
+ * Groups countries and regions that share shipping methods and rates
+ */
+
+
+const ShippingZoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Zone name is required'],
+      trim: true,
+      maxlength: [100, 'Zone name cannot exceed 100 characters']
+    },
+    countries: [{
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{2}$/, 'Country must be an ISO 3166-1 alpha-2 code']
+    }],
+    regions: [{
+      _id: false,
+      country: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true
+      },
+      state: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true
+      }
+    }],
+    isDefault: {
+      type: Boolean,
+      default: false
+    },
+    freeShippingThreshold: {
+      type: Number,
+      default: null,
+      min: [0, 'Free shipping threshold cannot be negative']
+    },
+    volumetricDivisor: {
+      type: Number,
+      default: 5000,
+      min: [1, 'Volumetric divisor must be positive']
+    },
+    methods: {
+      type: [ShippingMethodSchema],
+      validate: {
+        validator: function(methods) {
+          const codes = methods.map(method => method.code);
+          return new Set(codes).size === codes.length;
+        },
+        message: 'Each shipping method can only be defined once per zone'
+      }
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Indexes for performance optimization
+ */
+ShippingZoneSchema.index({ countries: 1 });
+ShippingZoneSchema.index({ 'regions.country': 1, 'regions.state': 1 });
+
+/**
+ * Find the zone serving an address
+ * A region (country + state) match wins over a country match, which wins over the default zone
+ * @param {Object} address - Address with country and state
+ * @returns {Promise<ShippingZone|null>} Matching zone or null
+ */
+ShippingZoneSchema.statics.findForAddress = async function(address) {
+  try {
+    const country = (address.country || '').trim().toUpperCase();
+    const state = (address.state || '').trim().toUpperCase();
+
+    const zones = await this.find({
+      isActive: true,
+      $or: [
+        { countries: country },
+        { 'regions.country': country },
+        { isDefault: true }
+      ]
+    });
+
+    const regionZone = zones.find(zone =>
+      zone.regions.some(region => region.country === country && region.state === state)
+    );
+    const countryZone = zones.find(zone => zone.countries.includes(country));
+    const defaultZone = zones.find(zone => zone.isDefault);
+
+    return regionZone || countryZone || defaultZone || null;
+  } catch (error) {
+    logger.error('Failed to find shipping zone for address', {
+      country: address.country,
+      state: address.state,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+
+const ShippingZone = mongoose.model('ShippingZone', ShippingZoneSchema);
+
+module.exports = ShippingZone;
+module.exports.SHIPPING_METHODS = SHIPPING_METHODS;
@@ -0,0 +1,97 @@
+// File: src/models/StockAlert.js
+// Generated: 2025-10-16 12:52:44 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_p8dn2xk5rb3a
+
+
+const mongoose = require('mongoose');
+
+
+const ALERT_STATUS = {
+  OPEN: 'open',
+  RESOLVED: 'resolved'
+};
+
+/**
+ * StockAlert Schema
+ * One open alert per product (or variant) while its stock sits at or below
+ * the low-stock threshold. The alert resolves once stock recovers, so the
+ * next drop raises a fresh alert instead of repeating the old one.
+ */
+
+
+const StockAlertSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product is required']
+    },
+    // Marketplace seller of the product, who also receives the digest
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+      default: null
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    sku: {
+      type: String,
+      default: null
+    },
+    threshold: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // Stock when the alert opened and the latest level seen by the job
+    stockAtAlert: {
+      type: Number,
+      required: true
+    },
+    currentStock: {
+      type: Number,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: {
+        values: Object.values(ALERT_STATUS),
+        message: '{VALUE} is not a valid alert status'
+      },
+      default: ALERT_STATUS.OPEN
+    },
+    // Set once the alert has gone out in a digest email
+    notifiedAt: {
+      type: Date,
+      default: null
+    },
+    resolvedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+StockAlertSchema.index(
+  { product: 1, variantId: 1 },
+  { unique: true, partialFilterExpression: { status: ALERT_STATUS.OPEN } }
+);
+StockAlertSchema.index({ status: 1, createdAt: -1 });
+StockAlertSchema.index({ status: 1, notifiedAt: 1 });
+StockAlertSchema.index({ seller: 1, status: 1 });
+
+
+const StockAlert = mongoose.model('StockAlert', StockAlertSchema);
+
+module.exports = StockAlert;
+module.exports.ALERT_STATUS = ALERT_STATUS;
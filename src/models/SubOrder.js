@@ -0,0 +1,119 @@
+// File: src/models/SubOrder.js
+// Generated: 2025-10-16 16:17:48 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_m5sq8wd3ne7b
+
+
+const mongoose = require('mongoose');
+
+
+const SUB_ORDER_STATUSES = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  SHIPPED: 'shipped',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * SubOrder Schema
+ * The part of a marketplace order fulfilled by one seller. Orders are split per
+ * seller when they are placed; the customer pays the parent order once and each
+ * seller ships and tracks their own sub-order. Amounts are in the order currency.
+ */
+
+
+const SubOrderSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: [true, 'Parent order is required'],
+      index: true
+    },
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Seller',
+      required: [true, 'Seller is required']
+    },
+    // Parent order number with a per-seller suffix, e.g. ORD-1001-2
+    subOrderNumber: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    items: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'OrderItem'
+    }],
+    currency: {
+      type: String,
+      uppercase: true,
+      required: true
+    },
+    pricing: {
+      subtotal: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      commissionRate: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      commission: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      // What the seller is owed: subtotal minus commission
+      payout: {
+        type: Number,
+        required: true,
+        min: 0
+      }
+    },
+    status: {
+      type: String,
+      enum: {
+        values: Object.values(SUB_ORDER_STATUSES),
+        message: '{VALUE} is not a valid sub-order status'
+      },
+      default: SUB_ORDER_STATUSES.PENDING
+    },
+    tracking: {
+      carrier: String,
+      trackingNumber: String,
+      shippedAt: Date,
+      deliveredAt: Date
+    },
+    statusHistory: [{
+      status: {
+        type: String,
+        required: true
+      },
+      timestamp: {
+        type: Date,
+        default: Date.now
+      },
+      note: String,
+      updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }]
+  },
+  {
+    timestamps: true
+  }
+);
+
+SubOrderSchema.index({ seller: 1, createdAt: -1 });
+SubOrderSchema.index({ seller: 1, status: 1 });
+
+
+const SubOrder = mongoose.model('SubOrder', SubOrderSchema);
+
+module.exports = SubOrder;
+module.exports.SUB_ORDER_STATUSES = SUB_ORDER_STATUSES;
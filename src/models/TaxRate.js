@@ -0,0 +1,152 @@
+// File: src/models/TaxRate.js
+// Generated: 2025-10-16 10:42:09 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_t4xr8e2kq1na
+
+
+const logger = require('../utils/logger');
+
+
+const mongoose = require('mongoose');
+
+
+const TAX_CLASSES = {
+  STANDARD: 'standard',
+  REDUCED: 'reduced',
+  EXEMPT: 'exempt',
+  DIGITAL: 'digital'
+};
+
+/**
+ * Percentage rate field shared by every taxable class
+ * @param {string} label - Human-readable class name for validation messages
+ * @returns {Object} Schema field definition
+ */
+
+
+const rateField = (label) => ({
+  type: Number,
+  default: 0,
+  min: [0, `${label} rate cannot be negative`],
+  max: [100, `${label} rate cannot exceed 100`]
+});
+
+/**
+ * TaxRate Schema
+ * One jurisdiction layer (country, state or postal area) with a percentage rate per tax class.
+ * Every active layer matching an address applies, so a state rate and a local postal-area
+ * rate add up; within one state only the longest matching postal prefix is used.
+ */
+
+
+const TaxRateSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Jurisdiction name is required'],
+      trim: true,
+      maxlength: [100, 'Jurisdiction name cannot exceed 100 characters']
+    },
+    country: {
+      type: String,
+      required: [true, 'Country is required'],
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{2}$/, 'Country must be an ISO 3166-1 alpha-2 code']
+    },
+    state: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null
+    },
+    postalPrefix: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+      maxlength: [10, 'Postal prefix cannot exceed 10 characters']
+    },
+    rates: {
+      standard: rateField('Standard'),
+      reduced: rateField('Reduced'),
+      digital: rateField('Digital')
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Indexes for performance optimization
+ */
+TaxRateSchema.index({ country: 1, state: 1, postalPrefix: 1 }, { unique: true });
+
+/**
+ * Get the percentage rate for a tax class
+ * @param {string} taxClass - Product tax class
+ * @returns {number} Percentage rate (0 for exempt goods)
+ */
+TaxRateSchema.methods.getRateForClass = function(taxClass) {
+  if (taxClass === TAX_CLASSES.EXEMPT) {
+    return 0;
+  }
+  return this.rates[taxClass] !== undefined ? this.rates[taxClass] : this.rates.standard;
+};
+
+/**
+ * Find the active tax layers that apply to an address
+ * @param {Object} address - Address with country, state and postalCode
+ * @returns {Promise<Array>} Matching tax rates, broadest jurisdiction first
+ */
+TaxRateSchema.statics.findForAddress = async function(address) {
+  try {
+    const country = (address.country || '').trim().toUpperCase();
+    const state = (address.state || '').trim().toUpperCase();
+    const postalCode = (address.postalCode || address.zipCode || '').replace(/\s+/g, '').toUpperCase();
+
+    if (!country) {
+      return [];
+    }
+
+    const candidates = await this.find({
+      country,
+      isActive: true,
+      state: { $in: [null, state || null] }
+    });
+
+    const postalMatches = candidates.filter(rate => rate.postalPrefix && postalCode.startsWith(rate.postalPrefix));
+    const longestPrefixByState = new Map();
+    postalMatches.forEach(rate => {
+      const current = longestPrefixByState.get(rate.state);
+      if (!current || rate.postalPrefix.length > current.postalPrefix.length) {
+        longestPrefixByState.set(rate.state, rate);
+      }
+    });
+
+    const specificity = rate => (rate.state ? 1 : 0) + (rate.postalPrefix ? 2 : 0);
+
+    return candidates
+      .filter(rate => !rate.postalPrefix || longestPrefixByState.get(rate.state) === rate)
+      .sort((a, b) => specificity(a) - specificity(b));
+  } catch (error) {
+    logger.error('Failed to find tax rates for address', {
+      country: address.country,
+      state: address.state,
+      error: error.message
+    });
+    throw error;
+  }
+};
+
+
+const TaxRate = mongoose.model('TaxRate', TaxRateSchema);
+
+module.exports = TaxRate;
+module.exports.TAX_CLASSES = TAX_CLASSES;
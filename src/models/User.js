@@ -163,7 +163,7 @@ const userSchema = new mongoose.Schema({
   role: {
     type: String,
     enum: {
-      values: ['customer', 'admin', 'vendor'],
+      values: ['customer', 'admin', 'seller', 'vendor'],
       message: '{VALUE} is not a valid role'
     },
     default: 'customer'
@@ -203,6 +203,58 @@ const userSchema = new mongoose.Schema({
   accountLockedUntil: {
     type: Date,
     select: false
+  },
+  // Created the first time the user saves a card
+  stripeCustomerId: {
+    type: String,
+    select: false
+  },
+  // TOTP two-factor authentication; secrets are encrypted, recovery codes hashed
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting its first code during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // External identities (OAuth / OpenID Connect) the user can sign in with
+  oauthAccounts: {
+    type: [{
+      _id: false,
+      provider: {
+        type: String,
+        required: true
+      },
+      // Provider's stable user ID (OIDC "sub")
+      subject: {
+        type: String,
+        required: true
+      },
+      email: String,
+      linkedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    default: undefined
   }
 }, {
   timestamps: true,
@@ -224,6 +276,11 @@ userSchema.index({ email: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1, isVerified: 1 });
+userSchema.index({ wishlist: 1 });
+userSchema.index(
+  { 'oauthAccounts.provider': 1, 'oauthAccounts.subject': 1 },
+  { unique: true, partialFilterExpression: { 'oauthAccounts.subject': { $exists: true } } }
+);
 
 /**
  * Pre-save middleware to hash password before saving
@@ -414,6 +471,10 @@ userSchema.methods.toSafeObject = function() {
   delete obj.accountLockedUntil;
   delete obj.__v;
 
+  if (obj.twoFactor) {
+    obj.twoFactor = { enabled: obj.twoFactor.enabled, enabledAt: obj.twoFactor.enabledAt };
+  }
+
   return obj;
 };
 
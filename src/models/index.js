@@ -18,7 +18,7 @@ const logger = require('../utils/logger');
 // Import all models in dependency order
 // Independent models first, then models with references
 
-let User, Product, Category, Cart, Order, OrderItem, Payment;
+let User, Product, Category, Cart, Order, OrderItem, Payment, PromoCode, TaxRate, ShippingZone, Review, InventoryMovement, StockAlert, Shipment, CartRecovery, Currency, Seller, SubOrder, ImportJob, Session;
 
 try {
   // Independent models
@@ -38,6 +38,45 @@ try {
   // Payment model (references Order and User)
   Payment = require('./Payment');
 
+  // Promo code model (references Product, Category, User and Order)
+  PromoCode = require('./PromoCode');
+
+  // Tax rate model (independent)
+  TaxRate = require('./TaxRate');
+
+  // Shipping zone model (independent)
+  ShippingZone = require('./ShippingZone');
+
+  // Review model (references Product, User, Order and OrderItem)
+  Review = require('./Review');
+
+  // Inventory movement ledger (references Product, Order and User)
+  InventoryMovement = require('./InventoryMovement');
+
+  // Low-stock alerts (references Product)
+  StockAlert = require('./StockAlert');
+
+  // Parcels of an order (references Order and OrderItem)
+  Shipment = require('./Shipment');
+
+  // Abandoned cart reminders (references Cart, User and Order)
+  CartRecovery = require('./CartRecovery');
+
+  // Shop currencies and exchange rates (independent)
+  Currency = require('./Currency');
+
+  // Marketplace store profiles (references User)
+  Seller = require('./Seller');
+
+  // Per-seller parts of an order (references Order, Seller and OrderItem)
+  SubOrder = require('./SubOrder');
+
+  // Bulk catalog import jobs (references User)
+  ImportJob = require('./ImportJob');
+
+  // Signed-in devices and their refresh tokens (references User)
+  Session = require('./Session');
+
   logger.info('All models loaded successfully');
 } catch (error) {
   logger.error('Error loading models', {
@@ -58,5 +97,18 @@ module.exports = {
   Cart,
   Order,
   OrderItem,
-  Payment
+  Payment,
+  PromoCode,
+  TaxRate,
+  ShippingZone,
+  Review,
+  InventoryMovement,
+  StockAlert,
+  Shipment,
+  CartRecovery,
+  Currency,
+  Seller,
+  SubOrder,
+  ImportJob,
+  Session
 };
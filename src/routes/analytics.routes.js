@@ -0,0 +1,177 @@
+// File: src/routes/analytics.routes.js
+// Generated: 2025-10-16 17:16:48 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_r8fa3kw6tb2e
+
+
+const express = require('express');
+
+
+const logger = require('../utils/logger');
+
+const { authenticate } = require('../middleware/auth');
+
+const { requirePermission } = require('../middleware/authorization');
+
+const { scopeToSeller } = require('../middleware/seller');
+
+
+const router = express.Router();
+
+const {
+  validateReport,
+  validateSalesReport,
+  validateRankingReport
+} = require('../validators/analytics.validator');
+
+const {
+  getSalesReport,
+  getTopProducts,
+  getLowPerformers,
+  getTopCategories,
+  getRefundReport,
+  getCartConversion,
+  getCustomerReport
+} = require('../controllers/analytics.controller');
+
+/**
+ * Reports need analytics:read. Admins see the whole shop; sellers need an
+ * approved store and only ever see their own products and order items.
+ * Every report takes ?from=&to= (default: last 30 days) and ?format=csv.
+ */
+router.use(authenticate, requirePermission('analytics:read'), scopeToSeller);
+
+/**
+ * GET /sales
+ * Revenue, order count and average order value per ?interval=day|week|month
+ * @access Private (admin, seller)
+ */
+router.get('/sales', validateSalesReport, async (req, res, next) => {
+  try {
+    logger.info('Generating sales report', { userId: req.userId, query: req.query });
+    await getSalesReport(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /analytics/sales', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /products/top
+ * Best selling products by ?sortBy=revenue|units
+ * @access Private (admin, seller)
+ */
+router.get('/products/top', validateRankingReport, async (req, res, next) => {
+  try {
+    logger.info('Generating top products report', { userId: req.userId, query: req.query });
+    await getTopProducts(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /analytics/products/top', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /products/low-performers
+ * Active products with the fewest units sold, unsold ones first
+ * @access Private (admin, seller)
+ */
+router.get('/products/low-performers', validateRankingReport, async (req, res, next) => {
+  try {
+    logger.info('Generating low performers report', { userId: req.userId, query: req.query });
+    await getLowPerformers(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /analytics/products/low-performers', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /categories/top
+ * Best selling categories by revenue
+ * @access Private (admin, seller)
+ */
+router.get('/categories/top', validateRankingReport, async (req, res, next) => {
+  try {
+    logger.info('Generating top categories report', { userId: req.userId, query: req.query });
+    await getTopCategories(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /analytics/categories/top', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /refunds
+ * Refund rate and refunded share of revenue
+ * @access Private (admin, seller)
+ */
+router.get('/refunds', validateReport, async (req, res, next) => {
+  try {
+    logger.info('Generating refund report', { userId: req.userId, query: req.query });
+    await getRefundReport(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /analytics/refunds', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /conversion
+ * Cart to order conversion rate
+ * @access Private (admin, seller)
+ */
+router.get('/conversion', validateReport, async (req, res, next) => {
+  try {
+    logger.info('Generating conversion report', { userId: req.userId, query: req.query });
+    await getCartConversion(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /analytics/conversion', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /customers
+ * New versus returning customers
+ * @access Private (admin, seller)
+ */
+router.get('/customers', validateReport, async (req, res, next) => {
+  try {
+    logger.info('Generating customer report', { userId: req.userId, query: req.query });
+    await getCustomerReport(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /analytics/customers', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -9,19 +9,71 @@ const express = require('express');
 
 const logger = require('../utils/logger');
 
-const { auth } = require('../middleware/auth');
+const { auth, optionalAuth } = require('../middleware/auth');
+
+const { requireFeature } = require('../middleware/authorization');
 
 const { authLimiter, strictLimiter } = require('../middleware/rateLimiter');
 
 const { csrfProtection } = require('../middleware/csrf');
 
-const { register, login, logout, refreshToken } = require('../controllers/auth.controller');
+const {
+  validate,
+  verifyEmailValidation,
+  resendVerificationValidation,
+  sessionIdValidation,
+  oauthProviderValidation,
+  oauthCallbackValidation,
+  twoFactorVerifyValidation,
+  twoFactorSetupValidation,
+  twoFactorEnableValidation,
+  twoFactorDisableValidation,
+  recoveryCodesValidation
+} = require('../validators/auth.validator');
+
+const {
+  getCsrfToken,
+  register,
+  login,
+  logout,
+  refreshToken,
+  listOAuthProviders,
+  startOAuth,
+  oauthCallback,
+  verifyEmail,
+  resendVerification,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/auth.controller');
 
 const { validateUserRegistration, validateUserLogin, validateRefreshToken, handleValidationErrors } = require('../middleware/validation');
 
 
 const router = express.Router();
 
+/**
+ * GET /csrf-token
+ * Issue a CSRF token (also set as a cookie) for state-changing requests
+ * Public route, not needed by clients that send a bearer token
+ */
+router.get('/csrf-token', async (req, res, next) => {
+  try {
+    await getCsrfToken(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /auth/csrf-token', {
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+    next(error);
+  }
+});
+
 /**
  * POST /register
  * Register a new user account
@@ -105,4 +157,245 @@ router.post('/refresh', csrfProtection, authLimiter, validateRefreshToken, handl
   }
 });
 
+/**
+ * GET /oauth/providers
+ * List the social login providers that are configured
+ * Public route, available when social login is enabled
+ */
+router.get('/oauth/providers', requireFeature('enableSocialAuth'), async (req, res, next) => {
+  try {
+    await listOAuthProviders(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /auth/oauth/providers', {
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /oauth/:provider
+ * Start a social login: returns the provider URL to send the user to (PKCE)
+ * Public route with rate limiting
+ */
+router.get(
+  '/oauth/:provider',
+  requireFeature('enableSocialAuth'),
+  authLimiter,
+  validate(oauthProviderValidation),
+  async (req, res, next) => {
+    try {
+      await startOAuth(req, res, next);
+    } catch (error) {
+      logger.error('Error in GET /auth/oauth/:provider', {
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /oauth/callback
+ * Finish a social login with the state and code the provider returned
+ * Public route with rate limiting
+ */
+router.post(
+  '/oauth/callback',
+  requireFeature('enableSocialAuth'),
+  csrfProtection,
+  authLimiter,
+  validate(oauthCallbackValidation),
+  async (req, res, next) => {
+    try {
+      await oauthCallback(req, res, next);
+    } catch (error) {
+      logger.error('Error in POST /auth/oauth/callback', {
+        timestamp: new Date().toISOString(),
+        path: req.path
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /verify-email/:token
+ * Confirm the email address with the token from the verification link
+ * Public route with rate limiting
+ */
+router.get('/verify-email/:token', authLimiter, validate(verifyEmailValidation), async (req, res, next) => {
+  try {
+    await verifyEmail(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /auth/verify-email/:token', {
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /resend-verification
+ * Send a new verification link (at most 3 per 15 minutes per email)
+ * Public route with strict rate limiting
+ */
+router.post('/resend-verification', csrfProtection, strictLimiter, validate(resendVerificationValidation), async (req, res, next) => {
+  try {
+    await resendVerification(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /auth/resend-verification', {
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /sessions
+ * List the devices the user is signed in on, flagging the current one
+ * Protected route - requires authentication
+ */
+router.get('/sessions', auth, async (req, res, next) => {
+  try {
+    await listSessions(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /auth/sessions', {
+      userId: req.userId,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+    next(error);
+  }
+});
+
+/**
+ * DELETE /sessions
+ * Sign out every device except the current one
+ * Protected route - requires authentication
+ */
+router.delete('/sessions', csrfProtection, auth, async (req, res, next) => {
+  try {
+    await revokeOtherSessions(req, res, next);
+  } catch (error) {
+    logger.error('Error in DELETE /auth/sessions', {
+      userId: req.userId,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+    next(error);
+  }
+});
+
+/**
+ * DELETE /sessions/:sessionId
+ * Sign out one device; its refresh token stops working immediately
+ * Protected route - requires authentication
+ */
+router.delete('/sessions/:sessionId', csrfProtection, auth, validate(sessionIdValidation), async (req, res, next) => {
+  try {
+    await revokeSession(req, res, next);
+  } catch (error) {
+    logger.error('Error in DELETE /auth/sessions/:sessionId', {
+      userId: req.userId,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /2fa/verify
+ * Finish login with an authenticator code or a recovery code
+ * Public route - needs the challenge token returned by login
+ */
+router.post('/2fa/verify', csrfProtection, authLimiter, validate(twoFactorVerifyValidation), async (req, res, next) => {
+  try {
+    await verifyTwoFactor(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /auth/2fa/verify', {
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /2fa/setup
+ * Start two-factor enrollment and return the secret and otpauth URI
+ * Signed-in users, or users enrolling during login with a setup challenge token
+ */
+router.post('/2fa/setup', csrfProtection, strictLimiter, optionalAuth, validate(twoFactorSetupValidation), async (req, res, next) => {
+  try {
+    await setupTwoFactor(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /auth/2fa/setup', {
+      userId: req.userId,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /2fa/enable
+ * Confirm enrollment with a first code and return the recovery codes
+ * With a setup challenge token this also completes the login
+ */
+router.post('/2fa/enable', csrfProtection, authLimiter, optionalAuth, validate(twoFactorEnableValidation), async (req, res, next) => {
+  try {
+    await enableTwoFactor(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /auth/2fa/enable', {
+      userId: req.userId,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /2fa/disable
+ * Turn two-factor authentication off (not allowed for roles that require it)
+ * Protected route - requires authentication
+ */
+router.post('/2fa/disable', csrfProtection, strictLimiter, auth, validate(twoFactorDisableValidation), async (req, res, next) => {
+  try {
+    await disableTwoFactor(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /auth/2fa/disable', {
+      userId: req.userId,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /2fa/recovery-codes
+ * Replace the recovery codes, invalidating the previous ones
+ * Protected route - requires authentication
+ */
+router.post('/2fa/recovery-codes', csrfProtection, strictLimiter, auth, validate(recoveryCodesValidation), async (req, res, next) => {
+  try {
+    await regenerateRecoveryCodes(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /auth/2fa/recovery-codes', {
+      userId: req.userId,
+      timestamp: new Date().toISOString(),
+      path: req.path
+    });
+    next(error);
+  }
+});
+
 module.exports = router;
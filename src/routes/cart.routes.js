@@ -7,9 +7,15 @@
 const Cart = require('../models/Cart');
 
 
+const CartService = require('../services/cart.service');
+
+
 const Product = require('../models/Product');
 
 
+const User = require('../models/User');
+
+
 const express = require('express');
 
 
@@ -18,11 +24,30 @@ const logger = require('../utils/logger');
 
 const mongoose = require('mongoose');
 
+
+const currencyService = require('../services/currency.service');
+
+
+const taxService = require('../services/tax.service');
+
 const { authenticate } = require('../middleware/auth');
 
+const { getCurrencyDecimals } = require('../utils/currency');
+
+const { requireRole } = require('../middleware/authorization');
+
+const { resolveCartOwner } = require('../middleware/cartSession');
+
+const { validateRecoveryMetrics, validateRestoreCart } = require('../validators/cart.validator');
+
+const { getCartRecoveryMetrics, restoreAbandonedCart } = require('../controllers/cartRecovery.controller');
+
 
 const router = express.Router();
 
+
+const cartService = new CartService();
+
 const {
   validateAddToCart,
   validateUpdateCartItem,
@@ -31,10 +56,43 @@ const {
 } = require('../middleware/validation');
 
 /**
- * Apply authentication middleware to all cart routes
- * All cart operations require authenticated user
+ * Check a requested quantity against available stock
+ * Untracked products and products that allow backorders never run out
+ * @param {Object} product - Product document
+ * @param {number} available - Stock of the product or selected variant
+ * @param {number} quantity - Requested quantity
+ * @returns {boolean} True when the quantity cannot be fulfilled
+ */
+
+
+const hasInsufficientStock = (product, available, quantity) => {
+  if (!product.inventory.trackInventory || product.inventory.allowBackorder) {
+    return false;
+  }
+  return available < quantity;
+};
+
+/**
+ * Current unit price of a cart line in a currency
+ * Lines whose product is gone fall back to the price snapshot (base currency)
+ * @param {Object} item - Cart item with populated productId
+ * @param {string} currency - Request currency
+ * @returns {number} Unit price
+ */
+
+
+const unitPrice = (item, currency) => {
+  return item.productId
+    ? currencyService.getProductPrice(item.productId, currency, item.variantId)
+    : currencyService.convert(item.price, currencyService.baseCurrency, currency);
+};
+
+/**
+ * Resolve the cart owner for all cart routes
+ * Signed-in users work on their account cart; guests (when guest checkout is
+ * enabled) on the session cart named by the X-Cart-Session header
  */
-router.use(authenticate);
+router.use(resolveCartOwner);
 
 /**
  * GET /api/cart
@@ -44,8 +102,8 @@ router.get('/', async (req, res, next) => {
   try {
     const userId = req.userId;
 
-    let cart = await Cart.findOne({ userId })
-      .populate('items.productId', 'name price images stock isActive');
+    let cart = await Cart.findOne(req.cartOwner)
+      .populate('items.productId', 'name price currency prices images inventory variants isActive');
 
     if (!cart) {
       logger.info('Cart not found, returning empty cart', { userId });
@@ -53,6 +111,7 @@ router.get('/', async (req, res, next) => {
         success: true,
         data: {
           items: [],
+          currency: req.currency,
           subtotal: 0,
           total: 0
         }
@@ -74,11 +133,11 @@ router.get('/', async (req, res, next) => {
       });
     }
 
-    // Calculate totals using current product prices
+    // Calculate totals using current product prices in the request currency
     const subtotal = validItems.reduce((sum, item) => {
-      const currentPrice = item.productId ? item.productId.price : item.price;
-      return sum + (currentPrice * item.quantity);
+      return sum + (unitPrice(item, req.currency) * item.quantity);
     }, 0);
+    const decimals = getCurrencyDecimals(req.currency);
 
     logger.info('Fetched user cart', { userId, itemCount: validItems.length });
 
@@ -86,8 +145,9 @@ router.get('/', async (req, res, next) => {
       success: true,
       data: {
         items: validItems,
-        subtotal: subtotal.toFixed(2),
-        total: subtotal.toFixed(2)
+        currency: req.currency,
+        subtotal: subtotal.toFixed(decimals),
+        total: subtotal.toFixed(decimals)
       }
     });
   } catch (error) {
@@ -102,6 +162,7 @@ router.get('/', async (req, res, next) => {
 /**
  * POST /api/cart/items
  * Add item to cart or update quantity if already exists
+ * Products with variants need a variantId or an options map ({ size: 'M' })
  */
 router.post('/items', validateAddToCart, handleValidationErrors, async (req, res, next) => {
   const session = await mongoose.startSession();
@@ -109,7 +170,7 @@ router.post('/items', validateAddToCart, handleValidationErrors, async (req, res
 
   try {
     const userId = req.userId;
-    const { productId, quantity } = req.body;
+    const { productId, quantity, variantId, options } = req.body;
 
     // Verify product exists and is available with lock
     const product = await Product.findById(productId).session(session);
@@ -133,20 +194,22 @@ router.post('/items', validateAddToCart, handleValidationErrors, async (req, res
       });
     }
 
+    // Throws ValidationError when the selection is missing or unknown
+    const variant = cartService.resolveVariant(product, { variantId, options });
+    const selectedVariantId = variant ? variant._id : null;
+
     // Find or create cart with lock
-    let cart = await Cart.findOne({ userId }).session(session);
+    let cart = await Cart.findOne(req.cartOwner).session(session);
 
     if (!cart) {
       cart = new Cart({
-        userId,
+        ...req.cartOwner,
         items: []
       });
     }
 
     // Check if item already exists in cart
-    const existingItemIndex = cart.items.findIndex(
-      item => item.productId.toString() === productId
-    );
+    const existingItemIndex = cart.findItemIndex(productId, selectedVariantId);
 
     let totalQuantityNeeded = quantity;
 
@@ -155,19 +218,22 @@ router.post('/items', validateAddToCart, handleValidationErrors, async (req, res
     }
 
     // Atomic stock check
-    if (product.stock < totalQuantityNeeded) {
+    const available = product.getStock(selectedVariantId);
+
+    if (hasInsufficientStock(product, available, totalQuantityNeeded)) {
       await session.abortTransaction();
       session.endSession();
       logger.warn('Insufficient stock for cart addition', {
         userId,
         productId,
+        variantId: selectedVariantId,
         requested: totalQuantityNeeded,
-        available: product.stock
+        available
       });
       return res.status(400).json({
         success: false,
         error: 'Insufficient stock available',
-        available: product.stock,
+        available,
         currentInCart: existingItemIndex > -1 ? cart.items[existingItemIndex].quantity : 0
       });
     }
@@ -175,43 +241,50 @@ router.post('/items', validateAddToCart, handleValidationErrors, async (req, res
     if (existingItemIndex > -1) {
       // Update existing item with current price
       cart.items[existingItemIndex].quantity = totalQuantityNeeded;
-      cart.items[existingItemIndex].price = product.price;
+      cart.items[existingItemIndex].price = product.getPrice(selectedVariantId);
 
       logger.info('Updated cart item quantity', {
         userId,
         productId,
+        variantId: selectedVariantId,
         newQuantity: totalQuantityNeeded
       });
     } else {
       // Add new item with current price
       cart.items.push({
         productId,
+        name: variant ? `${product.name} - ${variant.name}` : product.name,
         quantity,
-        price: product.price
+        price: product.getPrice(selectedVariantId),
+        image: product.images && product.images.length > 0 ? product.images[0].url : '',
+        sku: variant ? variant.sku : product.sku || '',
+        variantId: selectedVariantId,
+        selectedOptions: variant && variant.attributes ? Object.fromEntries(variant.attributes) : {}
       });
 
-      logger.info('Added new item to cart', { userId, productId, quantity });
+      logger.info('Added new item to cart', { userId, productId, variantId: selectedVariantId, quantity });
     }
 
     await cart.save({ session });
     await session.commitTransaction();
     session.endSession();
 
-    await cart.populate('items.productId', 'name price images stock isActive');
+    await cart.populate('items.productId', 'name price currency prices images inventory variants isActive');
 
-    // Calculate totals using current product prices
+    // Calculate totals using current product prices in the request currency
     const subtotal = cart.items.reduce((sum, item) => {
-      const currentPrice = item.productId ? item.productId.price : item.price;
-      return sum + (currentPrice * item.quantity);
+      return sum + (unitPrice(item, req.currency) * item.quantity);
     }, 0);
+    const decimals = getCurrencyDecimals(req.currency);
 
     res.status(201).json({
       success: true,
       message: 'Item added to cart successfully',
       data: {
         items: cart.items,
-        subtotal: subtotal.toFixed(2),
-        total: subtotal.toFixed(2)
+        currency: req.currency,
+        subtotal: subtotal.toFixed(decimals),
+        total: subtotal.toFixed(decimals)
       }
     });
   } catch (error) {
@@ -229,6 +302,7 @@ router.post('/items', validateAddToCart, handleValidationErrors, async (req, res
 /**
  * PUT /api/cart/items/:productId
  * Update quantity of specific cart item
+ * Lines for a product variant are addressed with ?variantId=
  */
 router.put('/items/:productId', validateUpdateCartItem, handleValidationErrors, async (req, res, next) => {
   const session = await mongoose.startSession();
@@ -238,6 +312,7 @@ router.put('/items/:productId', validateUpdateCartItem, handleValidationErrors,
     const userId = req.userId;
     const { productId } = req.params;
     const { quantity } = req.body;
+    const variantId = req.query.variantId || null;
 
     if (quantity < 1) {
       await session.abortTransaction();
@@ -260,25 +335,37 @@ router.put('/items/:productId', validateUpdateCartItem, handleValidationErrors,
       });
     }
 
+    if (variantId && !product.findVariant(variantId)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({
+        success: false,
+        error: 'Variant not found'
+      });
+    }
+
     // Atomic stock check
-    if (product.stock < quantity) {
+    const available = product.getStock(variantId);
+
+    if (hasInsufficientStock(product, available, quantity)) {
       await session.abortTransaction();
       session.endSession();
       logger.warn('Insufficient stock for cart update', {
         userId,
         productId,
+        variantId,
         requested: quantity,
-        available: product.stock
+        available
       });
       return res.status(400).json({
         success: false,
         error: 'Insufficient stock available',
-        available: product.stock
+        available
       });
     }
 
     // Find cart with lock
-    const cart = await Cart.findOne({ userId }).session(session);
+    const cart = await Cart.findOne(req.cartOwner).session(session);
 
     if (!cart) {
       await session.abortTransaction();
@@ -290,9 +377,7 @@ router.put('/items/:productId', validateUpdateCartItem, handleValidationErrors,
     }
 
     // Find item in cart
-    const itemIndex = cart.items.findIndex(
-      item => item.productId.toString() === productId
-    );
+    const itemIndex = cart.findItemIndex(productId, variantId);
 
     if (itemIndex === -1) {
       await session.abortTransaction();
@@ -305,29 +390,30 @@ router.put('/items/:productId', validateUpdateCartItem, handleValidationErrors,
 
     // Update item with current price
     cart.items[itemIndex].quantity = quantity;
-    cart.items[itemIndex].price = product.price;
+    cart.items[itemIndex].price = product.getPrice(variantId);
 
     await cart.save({ session });
     await session.commitTransaction();
     session.endSession();
 
-    await cart.populate('items.productId', 'name price images stock isActive');
+    await cart.populate('items.productId', 'name price currency prices images inventory variants isActive');
 
-    logger.info('Updated cart item', { userId, productId, quantity });
+    logger.info('Updated cart item', { userId, productId, variantId, quantity });
 
-    // Calculate totals using current product prices
+    // Calculate totals using current product prices in the request currency
     const subtotal = cart.items.reduce((sum, item) => {
-      const currentPrice = item.productId ? item.productId.price : item.price;
-      return sum + (currentPrice * item.quantity);
+      return sum + (unitPrice(item, req.currency) * item.quantity);
     }, 0);
+    const decimals = getCurrencyDecimals(req.currency);
 
     res.json({
       success: true,
       message: 'Cart item updated successfully',
       data: {
         items: cart.items,
-        subtotal: subtotal.toFixed(2),
-        total: subtotal.toFixed(2)
+        currency: req.currency,
+        subtotal: subtotal.toFixed(decimals),
+        total: subtotal.toFixed(decimals)
       }
     });
   } catch (error) {
@@ -345,13 +431,15 @@ router.put('/items/:productId', validateUpdateCartItem, handleValidationErrors,
 /**
  * DELETE /api/cart/items/:productId
  * Remove specific item from cart
+ * Lines for a product variant are addressed with ?variantId=
  */
 router.delete('/items/:productId', validateRemoveFromCart, handleValidationErrors, async (req, res, next) => {
   try {
     const userId = req.userId;
     const { productId } = req.params;
+    const variantId = req.query.variantId || null;
 
-    const cart = await Cart.findOne({ userId });
+    const cart = await Cart.findOne(req.cartOwner);
 
     if (!cart) {
       return res.status(404).json({
@@ -361,9 +449,7 @@ router.delete('/items/:productId', validateRemoveFromCart, handleValidationError
     }
 
     // Find item index
-    const itemIndex = cart.items.findIndex(
-      item => item.productId.toString() === productId
-    );
+    const itemIndex = cart.findItemIndex(productId, variantId);
 
     if (itemIndex === -1) {
       return res.status(404).json({
@@ -375,23 +461,24 @@ router.delete('/items/:productId', validateRemoveFromCart, handleValidationError
     // Remove item
     cart.items.splice(itemIndex, 1);
     await cart.save();
-    await cart.populate('items.productId', 'name price images stock isActive');
+    await cart.populate('items.productId', 'name price currency prices images inventory variants isActive');
 
-    logger.info('Removed item from cart', { userId, productId });
+    logger.info('Removed item from cart', { userId, productId, variantId });
 
-    // Calculate totals using current product prices
+    // Calculate totals using current product prices in the request currency
     const subtotal = cart.items.reduce((sum, item) => {
-      const currentPrice = item.productId ? item.productId.price : item.price;
-      return sum + (currentPrice * item.quantity);
+      return sum + (unitPrice(item, req.currency) * item.quantity);
     }, 0);
+    const decimals = getCurrencyDecimals(req.currency);
 
     res.json({
       success: true,
       message: 'Item removed from cart successfully',
       data: {
         items: cart.items,
-        subtotal: subtotal.toFixed(2),
-        total: subtotal.toFixed(2)
+        currency: req.currency,
+        subtotal: subtotal.toFixed(decimals),
+        total: subtotal.toFixed(decimals)
       }
     });
   } catch (error) {
@@ -412,7 +499,7 @@ router.delete('/', async (req, res, next) => {
   try {
     const userId = req.userId;
 
-    const cart = await Cart.findOne({ userId });
+    const cart = await Cart.findOne(req.cartOwner);
 
     if (!cart) {
       return res.status(404).json({
@@ -448,42 +535,81 @@ router.delete('/', async (req, res, next) => {
 /**
  * GET /api/cart/summary
  * Get cart summary with totals only (lightweight endpoint)
+ * Tax is estimated for the address given in the query (country, state, postalCode),
+ * falling back to the user's default shipping address
  */
 router.get('/summary', async (req, res, next) => {
   try {
     const userId = req.userId;
 
-    const cart = await Cart.findOne({ userId }).populate('items.productId', 'price');
+    const cart = await Cart.findOne(req.cartOwner).populate('items.productId', 'price currency prices taxClass variants');
 
     if (!cart || cart.items.length === 0) {
       return res.json({
         success: true,
         data: {
           itemCount: 0,
+          currency: req.currency,
           subtotal: 0,
+          tax: 0,
           total: 0
         }
       });
     }
 
-    // Calculate totals using current product prices
+    // Calculate totals using current product prices in the request currency
     const subtotal = cart.items.reduce((sum, item) => {
-      const currentPrice = item.productId ? item.productId.price : item.price;
-      return sum + (currentPrice * item.quantity);
+      return sum + (unitPrice(item, req.currency) * item.quantity);
     }, 0);
+    const decimals = getCurrencyDecimals(req.currency);
 
     const itemCount = cart.items.reduce((sum, item) => {
       return sum + item.quantity;
     }, 0);
 
-    logger.info('Fetched cart summary', { userId, itemCount });
+    // Resolve the address used for the tax estimate
+    let address = null;
+    if (req.query.country) {
+      address = {
+        country: req.query.country,
+        state: req.query.state,
+        postalCode: req.query.postalCode
+      };
+    } else if (userId) {
+      const user = await User.findById(userId).select('shippingAddresses');
+      const addresses = user ? user.shippingAddresses : [];
+      address = addresses.find(entry => entry.isDefault) || addresses[0] || null;
+    }
+
+    // The stored discount is in the base currency
+    const discount = currencyService.convert(cart.discount || 0, currencyService.baseCurrency, req.currency);
+    const taxResult = await taxService.calculateTax({
+      items: cart.items.map(item => ({
+        productId: item.productId ? item.productId._id : null,
+        price: unitPrice(item, req.currency),
+        quantity: item.quantity,
+        taxClass: item.productId ? item.productId.taxClass : undefined
+      })),
+      address,
+      discount
+    });
+
+    const total = subtotal - discount + (taxResult.taxInclusive ? 0 : taxResult.tax);
+
+    logger.info('Fetched cart summary', { userId, itemCount, taxAddressKnown: !!address, currency: req.currency });
 
     res.json({
       success: true,
       data: {
         itemCount,
-        subtotal: subtotal.toFixed(2),
-        total: subtotal.toFixed(2)
+        currency: req.currency,
+        subtotal: subtotal.toFixed(decimals),
+        discount: discount.toFixed(decimals),
+        tax: taxResult.tax.toFixed(decimals),
+        taxInclusive: taxResult.taxInclusive,
+        taxBreakdown: taxResult.breakdown,
+        taxAddressRequired: !address,
+        total: Math.max(total, 0).toFixed(decimals)
       }
     });
   } catch (error) {
@@ -495,4 +621,40 @@ router.get('/summary', async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/cart/restore
+ * Restore an abandoned cart from the token in a reminder email link,
+ * applying the reminder's promo code when there is one
+ */
+router.post('/restore', authenticate, validateRestoreCart, async (req, res, next) => {
+  try {
+    await restoreAbandonedCart(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /cart/restore', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /api/cart/admin/recovery?from=&to=
+ * Abandoned cart recovery metrics: carts abandoned, reminders sent,
+ * carts recovered, recovered revenue and recovery rate
+ * @access Admin
+ */
+router.get('/admin/recovery', requireRole(['admin']), validateRecoveryMetrics, async (req, res, next) => {
+  try {
+    await getCartRecoveryMetrics(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /cart/admin/recovery', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
 module.exports = router;
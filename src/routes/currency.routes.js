@@ -0,0 +1,111 @@
+// File: src/routes/currency.routes.js
+// Generated: 2025-10-16 15:56:21 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_k2vn7qd4mc8g
+
+
+const express = require('express');
+
+
+const logger = require('../utils/logger');
+
+const { authenticate } = require('../middleware/auth');
+
+const { requireRole } = require('../middleware/authorization');
+
+
+const router = express.Router();
+
+const {
+  validateUpsertCurrency,
+  validateCurrencyCode,
+  validateImportRates
+} = require('../validators/currency.validator');
+
+const {
+  getCurrencies,
+  upsertCurrency,
+  deactivateCurrency,
+  importRates
+} = require('../controllers/currency.controller');
+
+/**
+ * GET /
+ * List currencies shoppers can select, with exchange rates against the base currency
+ * @access Public
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    await getCurrencies(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /currencies', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /import
+ * Import exchange rates ({ currencies: [...] }, or the rates file when omitted)
+ * @access Private (admin only)
+ */
+router.post('/import', authenticate, requireRole(['admin']), validateImportRates, async (req, res, next) => {
+  try {
+    logger.info('Admin importing exchange rates', {
+      userId: req.userId,
+      count: req.body.currencies ? req.body.currencies.length : 'file'
+    });
+    await importRates(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /currencies/import', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * PUT /:code
+ * Create or update a currency and its exchange rate
+ * @access Private (admin only)
+ */
+router.put('/:code', authenticate, requireRole(['admin']), validateUpsertCurrency, async (req, res, next) => {
+  try {
+    logger.info('Admin saving currency', { userId: req.userId, code: req.params.code, rate: req.body.rate });
+    await upsertCurrency(req, res, next);
+  } catch (error) {
+    logger.error('Error in PUT /currencies/:code', {
+      error: error.message,
+      userId: req.userId,
+      code: req.params.code,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * DELETE /:code
+ * Stop offering a currency; orders placed in it are unaffected
+ * @access Private (admin only)
+ */
+router.delete('/:code', authenticate, requireRole(['admin']), validateCurrencyCode, async (req, res, next) => {
+  try {
+    logger.info('Admin deactivating currency', { userId: req.userId, code: req.params.code });
+    await deactivateCurrency(req, res, next);
+  } catch (error) {
+    logger.error('Error in DELETE /currencies/:code', {
+      error: error.message,
+      userId: req.userId,
+      code: req.params.code,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,119 @@
+// File: src/routes/guest.routes.js
+// Generated: 2025-10-16 14:42:37 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_g7kd2vp4rx9e
+
+
+const express = require('express');
+
+
+const logger = require('../utils/logger');
+
+const { requireFeature } = require('../middleware/authorization');
+
+const { requireCartSession } = require('../middleware/cartSession');
+
+const { createAccountLimiter, orderLimiter, passwordResetLimiter } = require('../middleware/rateLimiter');
+
+
+const router = express.Router();
+
+const {
+  guestOrderValidation,
+  guestOrderLookupValidation,
+  guestOrderAccessValidation,
+  convertGuestValidation,
+  validate
+} = require('../validators/order.validator');
+
+const {
+  placeGuestOrder,
+  requestGuestOrderLink,
+  getGuestOrder,
+  convertGuestToAccount
+} = require('../controllers/guestCheckout.controller');
+
+/**
+ * All guest routes are gated behind features.enableGuestCheckout
+ */
+router.use(requireFeature('enableGuestCheckout'));
+
+/**
+ * POST /orders
+ * Place an order from the guest cart named by the X-Cart-Session header
+ * @access Public (cart session required)
+ */
+router.post('/orders', orderLimiter, requireCartSession, guestOrderValidation, validate, async (req, res, next) => {
+  try {
+    logger.info('Creating guest order');
+    await placeGuestOrder(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /guest/orders', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /orders/lookup
+ * Email the signed lookup link of a guest order (order number + checkout email)
+ * @access Public
+ */
+router.post('/orders/lookup', passwordResetLimiter, guestOrderLookupValidation, validate, async (req, res, next) => {
+  try {
+    await requestGuestOrderLink(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /guest/orders/lookup', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /orders/:orderNumber?email=&token=
+ * View a guest order through its signed lookup link
+ * @access Public (signed link required)
+ */
+router.get('/orders/:orderNumber', guestOrderAccessValidation, validate, async (req, res, next) => {
+  try {
+    await getGuestOrder(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /guest/orders/:orderNumber', {
+      error: error.message,
+      orderNumber: req.params.orderNumber,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /orders/:orderNumber/account
+ * Register the guest (email, token from the lookup link, password) and link
+ * all their guest orders; an X-Cart-Session header merges the guest cart too
+ * @access Public (signed link required)
+ */
+router.post(
+  '/orders/:orderNumber/account',
+  createAccountLimiter,
+  convertGuestValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      await convertGuestToAccount(req, res, next);
+    } catch (error) {
+      logger.error('Error in POST /guest/orders/:orderNumber/account', {
+        error: error.message,
+        orderNumber: req.params.orderNumber,
+        stack: error.stack
+      });
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
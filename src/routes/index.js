@@ -4,6 +4,9 @@
 // Task ID: task_2jnto6pefc5p
 
 
+const analyticsRoutes = require('./analytics.routes');
+
+
 const authRoutes = require('./auth.routes');
 
 
@@ -13,9 +16,18 @@ const cartRoutes = require('./cart.routes');
 const categoryRoutes = require('./category.routes');
 
 
+const currencyRoutes = require('./currency.routes');
+
+
 const express = require('express');
 
 
+const guestRoutes = require('./guest.routes');
+
+
+const inventoryRoutes = require('./inventory.routes');
+
+
 const logger = require('../utils/logger');
 
 
@@ -28,13 +40,36 @@ const paymentRoutes = require('./payment.routes');
 const productRoutes = require('./product.routes');
 
 
+const promoCodeRoutes = require('./promoCode.routes');
+
+
 const rateLimit = require('express-rate-limit');
 
 
+const returnRoutes = require('./return.routes');
+
+
+const reviewRoutes = require('./review.routes');
+
+
+const sellerRoutes = require('./seller.routes');
+
+
+const shippingRoutes = require('./shipping.routes');
+
+
+const taxRateRoutes = require('./taxRate.routes');
+
+
 const userRoutes = require('./user.routes');
 
+
+const webhookRoutes = require('./webhook.routes');
+
 const { auth, optionalAuth } = require('../middleware/auth');
 
+const { resolveCurrency } = require('../middleware/currency');
+
 
 const router = express.Router();
 
@@ -193,15 +228,33 @@ router.get('/', (req, res) => {
 // Public routes - No authentication required
 router.use('/auth', authLimiter, authRoutes);
 
+// Inbound webhooks - Verified by signature instead of authentication
+router.use('/webhooks', webhookRoutes);
+
+// Currency table - Public read access, admin write access
+router.use('/currencies', apiLimiter, currencyRoutes);
+
 // Product and category routes - Public read access, authenticated write access
-router.use('/products', apiLimiter, productRoutes);
+// Prices are returned in the currency selected by X-Currency or ?currency=
+router.use('/products', apiLimiter, resolveCurrency, productRoutes);
 router.use('/categories', apiLimiter, categoryRoutes);
+router.use('/reviews', apiLimiter, reviewRoutes);
+
+// Guest checkout - Cart session header or signed lookup link instead of authentication
+router.use('/guest', apiLimiter, resolveCurrency, guestRoutes);
 
-// Protected routes - Authentication required
+// Protected routes - Authentication required (the cart also accepts guest sessions)
 router.use('/users', apiLimiter, auth, userRoutes);
-router.use('/cart', apiLimiter, auth, cartRoutes);
-router.use('/orders', apiLimiter, auth, orderRoutes);
-router.use('/payments', auth, paymentLimiter, paymentRoutes);
+router.use('/cart', apiLimiter, optionalAuth, resolveCurrency, cartRoutes);
+router.use('/orders', apiLimiter, auth, resolveCurrency, orderRoutes);
+router.use('/returns', apiLimiter, auth, returnRoutes);
+router.use('/payments', auth, paymentLimiter, resolveCurrency, paymentRoutes);
+router.use('/promo-codes', apiLimiter, auth, promoCodeRoutes);
+router.use('/tax-rates', apiLimiter, auth, taxRateRoutes);
+router.use('/inventory', apiLimiter, auth, inventoryRoutes);
+router.use('/shipping', apiLimiter, auth, shippingRoutes);
+router.use('/sellers', apiLimiter, auth, sellerRoutes);
+router.use('/analytics', apiLimiter, auth, analyticsRoutes);
 
 /**
  * 404 Handler for Undefined Routes
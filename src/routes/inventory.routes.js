@@ -0,0 +1,77 @@
+// File: src/routes/inventory.routes.js
+// Generated: 2025-10-16 12:44:38 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_h3ks9wd2lm7c
+
+
+const express = require('express');
+
+
+const logger = require('../utils/logger');
+
+const { authenticate } = require('../middleware/auth');
+
+const { requireRole } = require('../middleware/authorization');
+
+
+const router = express.Router();
+
+const {
+  validateListMovements,
+  validateListAlerts
+} = require('../validators/inventory.validator');
+
+const {
+  getProductMovements,
+  getLowStockAlerts
+} = require('../controllers/inventory.controller');
+
+/**
+ * All inventory routes are admin only
+ */
+router.use(authenticate, requireRole(['admin']));
+
+/**
+ * GET /alerts
+ * Low-stock alerts raised by the scheduled stock check (open by default)
+ * @access Private (admin only)
+ */
+router.get('/alerts', validateListAlerts, async (req, res, next) => {
+  try {
+    logger.info('Admin fetching low stock alerts', { userId: req.userId, query: req.query });
+    await getLowStockAlerts(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /inventory/alerts', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /products/:productId/movements
+ * Paginated stock ledger for a product, newest first
+ * @access Private (admin only)
+ */
+router.get('/products/:productId/movements', validateListMovements, async (req, res, next) => {
+  try {
+    logger.info('Admin fetching inventory movements', {
+      userId: req.userId,
+      productId: req.params.productId,
+      query: req.query
+    });
+    await getProductMovements(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /inventory/products/:productId/movements', {
+      error: error.message,
+      userId: req.userId,
+      productId: req.params.productId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+module.exports = router;
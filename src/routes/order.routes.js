@@ -11,7 +11,7 @@ const logger = require('../utils/logger');
 
 const { authenticate } = require('../middleware/auth');
 
-const { requireRole, requireOwnership } = require('../middleware/authorization');
+const { requireRole, requireOwnership, requireVerifiedEmail } = require('../middleware/authorization');
 
 
 const router = express.Router();
@@ -22,9 +22,15 @@ const {
   handleValidationErrors
 } = require('../middleware/validation');
 
+const { refundOrderItemsValidation, validate } = require('../validators/order.validator');
+
+const { validateCreateShipment, validateOrderShipments } = require('../validators/shipment.validator');
+
 // Import order controller functions
 
 const {
+  startCheckout,
+  refundOrderItems,
   createOrder,
   getUserOrders,
   getOrderById,
@@ -34,17 +40,39 @@ const {
   updateShippingInfo
 } = require('../controllers/order.controller');
 
+const { createShipment, getOrderShipments } = require('../controllers/shipment.controller');
+
 /**
  * All order routes require authentication
  */
 router.use(authenticate);
 
+/**
+ * POST /checkout
+ * Start checkout: hold stock for every cart line until the order is placed
+ * (holds expire after RESERVATION_TTL and are released by the sweeper)
+ * @access Private (authenticated users, verified email when required)
+ */
+router.post('/checkout', requireVerifiedEmail(), async (req, res, next) => {
+  try {
+    logger.info('Starting checkout', { userId: req.userId });
+    await startCheckout(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /orders/checkout', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
 /**
  * POST /
  * Create new order from cart or direct items
- * @access Private (authenticated users)
+ * @access Private (authenticated users, verified email when required)
  */
-router.post('/', validateCreateOrder, handleValidationErrors, async (req, res, next) => {
+router.post('/', requireVerifiedEmail(), validateCreateOrder, handleValidationErrors, async (req, res, next) => {
   try {
     logger.info('Creating new order', { userId: req.userId });
     await createOrder(req, res, next);
@@ -205,4 +233,86 @@ router.patch(
   }
 );
 
+/**
+ * POST /:orderId/refunds
+ * Refund selected items, their tax and/or shipping through the order's payment
+ * (successive partial refunds are kept in the payment's refund history)
+ * @access Private (admin only)
+ */
+router.post(
+  '/:orderId/refunds',
+  requireRole(['admin']),
+  refundOrderItemsValidation,
+  validate,
+  async (req, res, next) => {
+    try {
+      logger.info('Refunding order items', {
+        userId: req.userId,
+        orderId: req.params.orderId
+      });
+      await refundOrderItems(req, res, next);
+    } catch (error) {
+      logger.error('Error in POST /orders/:orderId/refunds', {
+        error: error.message,
+        userId: req.userId,
+        orderId: req.params.orderId,
+        stack: error.stack
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /:orderId/shipments
+ * Ship some or all remaining units in one parcel (orders can ship in several)
+ * @access Private (admin/staff only)
+ */
+router.post(
+  '/:orderId/shipments',
+  requireRole(['admin', 'staff']),
+  validateCreateShipment,
+  async (req, res, next) => {
+    try {
+      logger.info('Creating shipment', {
+        userId: req.userId,
+        orderId: req.params.orderId,
+        carrier: req.body.carrier
+      });
+      await createShipment(req, res, next);
+    } catch (error) {
+      logger.error('Error in POST /orders/:orderId/shipments', {
+        error: error.message,
+        userId: req.userId,
+        orderId: req.params.orderId,
+        stack: error.stack
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /:orderId/shipments
+ * List an order's parcels with tracking links and carrier events
+ * @access Private (order owner or admin/staff)
+ */
+router.get('/:orderId/shipments', validateOrderShipments, async (req, res, next) => {
+  try {
+    logger.info('Fetching order shipments', {
+      userId: req.userId,
+      orderId: req.params.orderId
+    });
+    await getOrderShipments(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /orders/:orderId/shipments', {
+      error: error.message,
+      userId: req.userId,
+      orderId: req.params.orderId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
 module.exports = router;
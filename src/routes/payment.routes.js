@@ -10,6 +10,12 @@ const crypto = require('crypto');
 const express = require('express');
 
 
+const PaymentService = require('../services/payment.service');
+
+
+const currencyService = require('../services/currency.service');
+
+
 const logger = require('../utils/logger');
 
 const { WebhookVerification } = require('../middleware/webhookVerification');
@@ -19,6 +25,9 @@ const { authenticate, requireAdmin } = require('../middleware/auth');
 
 const router = express.Router();
 
+
+const paymentService = new PaymentService();
+
 // Payment controller functions
 
 
@@ -48,12 +57,11 @@ const paymentController = {
         });
       }
 
-      // Validate currency format (ISO 4217)
-      const validCurrencies = ['USD', 'EUR', 'GBP', 'CAD', 'AUD'];
-      if (!validCurrencies.includes(currency.toUpperCase())) {
+      // Validate currency against the currency table (ISO 4217)
+      if (!(await currencyService.getCurrency(currency))) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid currency code. Supported: USD, EUR, GBP, CAD, AUD'
+          error: 'Invalid currency code. See GET /api/currencies for supported currencies'
         });
       }
 
@@ -342,19 +350,19 @@ const paymentController = {
       // Handle different event types
       switch (event.type) {
         case 'payment_intent.succeeded':
-          await handlePaymentSucceeded(event.data);
+          await handlePaymentSucceeded(event);
           break;
 
         case 'payment_intent.payment_failed':
-          await handlePaymentFailed(event.data);
+          await handlePaymentFailed(event);
           break;
 
         case 'charge.refunded':
-          await handleRefundCompleted(event.data);
+          await handleRefundCompleted(event.data.object);
           break;
 
         case 'payment_intent.canceled':
-          await handlePaymentCanceled(event.data);
+          await handlePaymentCanceled(event);
           break;
 
         default:
@@ -484,15 +492,19 @@ const paymentController = {
 
 /**
  * Helper function to handle successful payment
+ * Marks the order paid and turns its stock holds into deductions
  */
-async function handlePaymentSucceeded(paymentData) {
+async function handlePaymentSucceeded(event) {
+  const paymentData = event.data.object;
+
   try {
     logger.info('Processing successful payment', {
       paymentId: paymentData.id,
       orderId: paymentData.metadata?.orderId
     });
 
-    // TODO: Update order status to 'paid'
+    await paymentService.processStripeEvent(event);
+
     // TODO: Send confirmation email
     // TODO: Trigger order fulfillment process
 
@@ -511,17 +523,20 @@ async function handlePaymentSucceeded(paymentData) {
 
 /**
  * Helper function to handle failed payment
+ * Marks the order payment_failed and releases its stock holds
  */
-async function handlePaymentFailed(paymentData) {
+async function handlePaymentFailed(event) {
+  const paymentData = event.data.object;
+
   try {
     logger.info('Processing failed payment', {
       paymentId: paymentData.id,
       orderId: paymentData.metadata?.orderId
     });
 
-    // TODO: Update order status to 'payment_failed'
+    await paymentService.processStripeEvent(event);
+
     // TODO: Send failure notification email
-    // TODO: Log failure reason
 
     logger.info('Payment failure handled', {
       paymentId: paymentData.id,
@@ -565,17 +580,20 @@ async function handleRefundCompleted(refundData) {
 
 /**
  * Helper function to handle canceled payment
+ * Releases the order's stock holds; the order stays pending for another attempt
  */
-async function handlePaymentCanceled(paymentData) {
+async function handlePaymentCanceled(event) {
+  const paymentData = event.data.object;
+
   try {
     logger.info('Processing canceled payment', {
       paymentId: paymentData.id,
       orderId: paymentData.metadata?.orderId
     });
 
-    // TODO: Update order status to 'canceled'
+    await paymentService.processStripeEvent(event);
+
     // TODO: Send cancellation notification
-    // TODO: Release reserved inventory
 
     logger.info('Payment cancellation handled', {
       paymentId: paymentData
@@ -4,6 +4,9 @@
 // Task ID: task_w3av4scold2v
 
 
+const config = require('../config/environment');
+
+
 const express = require('express');
 
 
@@ -19,6 +22,8 @@ const { authenticate, optionalAuth } = require('../middleware/auth');
 
 const { requireRole, ROLES } = require('../middleware/authorization');
 
+const { scopeToSeller } = require('../middleware/seller');
+
 
 const router = express.Router();
 
@@ -43,6 +48,22 @@ const {
   handleValidationErrors
 } = require('../middleware/validation');
 
+const { validateProductSearch } = require('../validators/search.validator');
+
+const {
+  importProducts,
+  listImportJobs,
+  getImportJob,
+  exportProducts
+} = require('../controllers/productImport.controller');
+
+const {
+  validateImport,
+  validateListImports,
+  validateImportJobId,
+  validateExport
+} = require('../validators/productImport.validator');
+
 // Rate limiting for public endpoints
 
 
@@ -73,13 +94,114 @@ const sanitizeInput = (req, res, next) => {
   next();
 };
 
+// Raw catalog files for bulk imports; JSON bodies are already taken by the app-wide parser
+
+
+const catalogFileParser = express.text({
+  type: ['text/*', 'application/x-ndjson', 'application/jsonl'],
+  limit: config.catalogImport.maxFileSize
+});
+
+/**
+ * @route   POST /api/products/import
+ * @desc    Queue a bulk import that upserts products by SKU
+ * @access  Private/Admin
+ * @query   format (csv | jsonl)
+ * @body    CSV with a header line, or one JSON object per line
+ */
+router.post(
+  '/import',
+  authenticate,
+  requireRole([ROLES.ADMIN]),
+  catalogFileParser,
+  validateImport,
+  async (req, res, next) => {
+    try {
+      logger.info('POST /api/products/import - Queueing product import', {
+        userId: req.userId,
+        format: req.query.format
+      });
+      await importProducts(req, res, next);
+    } catch (error) {
+      logger.error('Error in POST /api/products/import', {
+        error: error.message,
+        userId: req.userId,
+        stack: error.stack
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/products/imports
+ * @desc    List recent import jobs
+ * @access  Private/Admin
+ * @query   page, limit
+ */
+router.get('/imports', authenticate, requireRole([ROLES.ADMIN]), validateListImports, async (req, res, next) => {
+  try {
+    await listImportJobs(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /api/products/imports', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/products/imports/:jobId
+ * @desc    Import job progress and per-row errors
+ * @access  Private/Admin
+ * @param   jobId - Import job ID
+ */
+router.get('/imports/:jobId', authenticate, requireRole([ROLES.ADMIN]), validateImportJobId, async (req, res, next) => {
+  try {
+    await getImportJob(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /api/products/imports/:jobId', {
+      error: error.message,
+      userId: req.userId,
+      jobId: req.params.jobId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * @route   GET /api/products/export
+ * @desc    Download the catalog in the import format
+ * @access  Private/Admin
+ * @query   format (csv | jsonl), isActive, seller
+ */
+router.get('/export', authenticate, requireRole([ROLES.ADMIN]), validateExport, async (req, res, next) => {
+  try {
+    logger.info('GET /api/products/export - Exporting catalog', {
+      userId: req.userId,
+      format: req.query.format
+    });
+    await exportProducts(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /api/products/export', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
 /**
  * @route   GET /api/products/search
- * @desc    Search products by text query
+ * @desc    Full-text product search with relevance ranking and facet counts
  * @access  Public
- * @query   q (search query), page, limit, category, minPrice, maxPrice
+ * @query   q (search query), page, limit, sort, category, brand, minPrice, maxPrice, inStock, attr[name]
  */
-router.get('/search', searchLimiter, sanitizeInput, async (req, res, next) => {
+router.get('/search', searchLimiter, sanitizeInput, validateProductSearch, async (req, res, next) => {
   try {
     logger.info('GET /api/products/search - Searching products', { query: req.query });
     await searchProducts(req, res, next);
@@ -190,13 +312,14 @@ router.get('/:id', publicQueryLimiter, sanitizeInput, validateProductId, handleV
 /**
  * @route   POST /api/products
  * @desc    Create new product
- * @access  Private/Admin
+ * @access  Private/Admin or Seller (own products)
  * @body    name, description, price, category, stock, images, brand, tags, etc.
  */
 router.post(
   '/',
   authenticate,
-  requireRole([ROLES.ADMIN, ROLES.MANAGER]),
+  requireRole([ROLES.ADMIN, ROLES.SELLER]),
+  scopeToSeller,
   sanitizeInput,
   validateCreateProduct,
   handleValidationErrors,
@@ -221,14 +344,15 @@ router.post(
 /**
  * @route   PUT /api/products/:id
  * @desc    Update product (full update)
- * @access  Private/Admin
+ * @access  Private/Admin or Seller (own products)
  * @param   id - Product ID
  * @body    Product fields to update
  */
 router.put(
   '/:id',
   authenticate,
-  requireRole([ROLES.ADMIN, ROLES.MANAGER]),
+  requireRole([ROLES.ADMIN, ROLES.SELLER]),
+  scopeToSeller,
   sanitizeInput,
   validateProductId,
   validateUpdateProduct,
@@ -255,14 +379,15 @@ router.put(
 /**
  * @route   PATCH /api/products/:id/stock
  * @desc    Update product stock level
- * @access  Private/Admin
+ * @access  Private/Admin or Seller (own products)
  * @param   id - Product ID
  * @body    stock - New stock quantity
  */
 router.patch(
   '/:id/stock',
   authenticate,
-  requireRole([ROLES.ADMIN, ROLES.MANAGER]),
+  requireRole([ROLES.ADMIN, ROLES.SELLER]),
+  scopeToSeller,
   sanitizeInput,
   validateProductId,
   handleValidationErrors,
@@ -289,14 +414,15 @@ router.patch(
 /**
  * @route   PATCH /api/products/:id
  * @desc    Partial update product
- * @access  Private/Admin
+ * @access  Private/Admin or Seller (own products)
  * @param   id - Product ID
  * @body    Product fields to update (partial)
  */
 router.patch(
   '/:id',
   authenticate,
-  requireRole([ROLES.ADMIN, ROLES.MANAGER]),
+  requireRole([ROLES.ADMIN, ROLES.SELLER]),
+  scopeToSeller,
   sanitizeInput,
   validateProductId,
   handleValidationErrors,
@@ -322,13 +448,14 @@ router.patch(
 /**
  * @route   DELETE /api/products/:id
  * @desc    Delete product (soft delete - marks as inactive)
- * @access  Private/Admin
+ * @access  Private/Admin or Seller (own products)
  * @param   id - Product ID
  */
 router.delete(
   '/:id',
   authenticate,
-  requireRole([ROLES.ADMIN]),
+  requireRole([ROLES.ADMIN, ROLES.SELLER]),
+  scopeToSeller,
   sanitizeInput,
   validateProductId,
   handleValidationErrors,
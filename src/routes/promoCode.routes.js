@@ -0,0 +1,134 @@
+// File: src/routes/promoCode.routes.js
+// Generated: 2025-10-16 10:45:13 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_p7rmc0d3x2qe
+
+
+const express = require('express');
+
+
+const logger = require('../utils/logger');
+
+const { authenticate } = require('../middleware/auth');
+
+const { requireRole } = require('../middleware/authorization');
+
+
+const router = express.Router();
+
+const {
+  validateCreatePromoCode,
+  validateUpdatePromoCode,
+  validatePromoCodeId,
+  validateListPromoCodes
+} = require('../validators/promoCode.validator');
+
+const {
+  getPromoCodes,
+  getPromoCodeById,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode
+} = require('../controllers/promoCode.controller');
+
+/**
+ * All promo code management routes are admin only
+ */
+router.use(authenticate, requireRole(['admin']));
+
+/**
+ * GET /
+ * List promo codes with filtering and pagination
+ * @access Private (admin only)
+ */
+router.get('/', validateListPromoCodes, async (req, res, next) => {
+  try {
+    logger.info('Admin fetching promo codes', { userId: req.userId, query: req.query });
+    await getPromoCodes(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /promo-codes', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /:id
+ * Get a promo code with its redemption history
+ * @access Private (admin only)
+ */
+router.get('/:id', validatePromoCodeId, async (req, res, next) => {
+  try {
+    logger.info('Admin fetching promo code', { userId: req.userId, promoCodeId: req.params.id });
+    await getPromoCodeById(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /promo-codes/:id', {
+      error: error.message,
+      promoCodeId: req.params.id,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /
+ * Create a promo code
+ * @access Private (admin only)
+ */
+router.post('/', validateCreatePromoCode, async (req, res, next) => {
+  try {
+    logger.info('Admin creating promo code', { userId: req.userId, code: req.body.code });
+    await createPromoCode(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /promo-codes', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * PUT /:id
+ * Update a promo code
+ * @access Private (admin only)
+ */
+router.put('/:id', validateUpdatePromoCode, async (req, res, next) => {
+  try {
+    logger.info('Admin updating promo code', { userId: req.userId, promoCodeId: req.params.id });
+    await updatePromoCode(req, res, next);
+  } catch (error) {
+    logger.error('Error in PUT /promo-codes/:id', {
+      error: error.message,
+      promoCodeId: req.params.id,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * DELETE /:id
+ * Delete a promo code, or deactivate it if it has been redeemed
+ * @access Private (admin only)
+ */
+router.delete('/:id', validatePromoCodeId, async (req, res, next) => {
+  try {
+    logger.info('Admin deleting promo code', { userId: req.userId, promoCodeId: req.params.id });
+    await deletePromoCode(req, res, next);
+  } catch (error) {
+    logger.error('Error in DELETE /promo-codes/:id', {
+      error: error.message,
+      promoCodeId: req.params.id,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+module.exports = router;
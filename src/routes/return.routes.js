@@ -0,0 +1,177 @@
+// File: src/routes/return.routes.js
+// Generated: 2025-10-16 13:10:27 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_v5rq8mz3kc2d
+
+
+const express = require('express');
+
+
+const logger = require('../utils/logger');
+
+const { authenticate } = require('../middleware/auth');
+
+const { requireRole } = require('../middleware/authorization');
+
+
+const router = express.Router();
+
+const {
+  validateCreateReturn,
+  validateListReturns,
+  validateRmaNumber,
+  validateApproveReturn,
+  validateRejectReturn,
+  validateReceiveReturn
+} = require('../validators/return.validator');
+
+const {
+  createReturn,
+  getMyReturns,
+  getAllReturns,
+  getReturn,
+  approveReturn,
+  rejectReturn,
+  receiveReturn
+} = require('../controllers/return.controller');
+
+/**
+ * All return routes require authentication
+ */
+router.use(authenticate);
+
+/**
+ * POST /
+ * Request a return for one delivered order item
+ * Must be within RETURN_WINDOW_DAYS of delivery
+ * @access Private
+ */
+router.post('/', validateCreateReturn, async (req, res, next) => {
+  try {
+    logger.info('Customer requesting return', { userId: req.userId, orderId: req.body.orderId });
+    await createReturn(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /returns', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /
+ * List own returns
+ * @access Private
+ */
+router.get('/', validateListReturns, async (req, res, next) => {
+  try {
+    logger.info('Fetching own returns', { userId: req.userId });
+    await getMyReturns(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /returns', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /admin/all
+ * List all returns, optionally by status
+ * @access Private (admin only)
+ */
+router.get('/admin/all', requireRole(['admin']), validateListReturns, async (req, res, next) => {
+  try {
+    logger.info('Admin fetching returns', { userId: req.userId, query: req.query });
+    await getAllReturns(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /returns/admin/all', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /:rmaNumber
+ * Get a return by RMA number
+ * @access Private (owner or admin)
+ */
+router.get('/:rmaNumber', validateRmaNumber, async (req, res, next) => {
+  try {
+    logger.info('Fetching return', { userId: req.userId, rmaNumber: req.params.rmaNumber });
+    await getReturn(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /returns/:rmaNumber', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /:rmaNumber/approve
+ * Approve a return, set the refund amount and whether units are restocked
+ * @access Private (admin only)
+ */
+router.post('/:rmaNumber/approve', requireRole(['admin']), validateApproveReturn, async (req, res, next) => {
+  try {
+    logger.info('Admin approving return', { userId: req.userId, rmaNumber: req.params.rmaNumber });
+    await approveReturn(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /returns/:rmaNumber/approve', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /:rmaNumber/reject
+ * Reject a return
+ * @access Private (admin only)
+ */
+router.post('/:rmaNumber/reject', requireRole(['admin']), validateRejectReturn, async (req, res, next) => {
+  try {
+    logger.info('Admin rejecting return', { userId: req.userId, rmaNumber: req.params.rmaNumber });
+    await rejectReturn(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /returns/:rmaNumber/reject', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /:rmaNumber/receive
+ * Record returned goods, restock resellable units and refund the item
+ * @access Private (admin only)
+ */
+router.post('/:rmaNumber/receive', requireRole(['admin']), validateReceiveReturn, async (req, res, next) => {
+  try {
+    logger.info('Admin receiving return', { userId: req.userId, rmaNumber: req.params.rmaNumber });
+    await receiveReturn(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /returns/:rmaNumber/receive', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+module.exports = router;
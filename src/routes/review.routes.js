@@ -0,0 +1,176 @@
+// File: src/routes/review.routes.js
+// Generated: 2025-10-16 11:26:32 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_r4vw8kq2nd1e
+
+
+const express = require('express');
+
+
+const logger = require('../utils/logger');
+
+const { authenticate } = require('../middleware/auth');
+
+const { requireFeature, requireRole } = require('../middleware/authorization');
+
+
+const router = express.Router();
+
+const {
+  validateCreateReview,
+  validateUpdateReview,
+  validateReviewId,
+  validateListProductReviews,
+  validateListModerationQueue,
+  validateModerateReview
+} = require('../validators/review.validator');
+
+const {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  toggleHelpfulVote,
+  getModerationQueue,
+  moderateReview
+} = require('../controllers/review.controller');
+
+/**
+ * Reviews can be switched off with ENABLE_REVIEWS=false
+ */
+router.use(requireFeature('enableReviews'));
+
+/**
+ * GET /products/:productId
+ * List published reviews for a product
+ * @access Public
+ */
+router.get('/products/:productId', validateListProductReviews, async (req, res, next) => {
+  try {
+    logger.info('Fetching product reviews', { productId: req.params.productId });
+    await getProductReviews(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /reviews/products/:productId', {
+      error: error.message,
+      productId: req.params.productId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /products/:productId
+ * Review a product the user has received
+ * @access Private (verified purchasers)
+ */
+router.post('/products/:productId', authenticate, validateCreateReview, async (req, res, next) => {
+  try {
+    logger.info('Creating review', { userId: req.userId, productId: req.params.productId });
+    await createReview(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /reviews/products/:productId', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /moderation
+ * List reviews awaiting moderation (filter by status/product)
+ * @access Private (admin only)
+ */
+router.get('/moderation', authenticate, requireRole(['admin']), validateListModerationQueue, async (req, res, next) => {
+  try {
+    logger.info('Admin fetching review moderation queue', { userId: req.userId });
+    await getModerationQueue(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /reviews/moderation', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * PUT /:id
+ * Edit own review (returns it to moderation)
+ * @access Private (review author)
+ */
+router.put('/:id', authenticate, validateUpdateReview, async (req, res, next) => {
+  try {
+    logger.info('Updating review', { userId: req.userId, reviewId: req.params.id });
+    await updateReview(req, res, next);
+  } catch (error) {
+    logger.error('Error in PUT /reviews/:id', {
+      error: error.message,
+      reviewId: req.params.id,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * DELETE /:id
+ * Delete a review
+ * @access Private (review author or admin)
+ */
+router.delete('/:id', authenticate, validateReviewId, async (req, res, next) => {
+  try {
+    logger.info('Deleting review', { userId: req.userId, reviewId: req.params.id });
+    await deleteReview(req, res, next);
+  } catch (error) {
+    logger.error('Error in DELETE /reviews/:id', {
+      error: error.message,
+      reviewId: req.params.id,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /:id/helpful
+ * Toggle a "helpful" vote on a published review
+ * @access Private (authenticated users)
+ */
+router.post('/:id/helpful', authenticate, validateReviewId, async (req, res, next) => {
+  try {
+    logger.info('Toggling helpful vote', { userId: req.userId, reviewId: req.params.id });
+    await toggleHelpfulVote(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /reviews/:id/helpful', {
+      error: error.message,
+      reviewId: req.params.id,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * PATCH /:id/moderation
+ * Approve or reject a review
+ * @access Private (admin only)
+ */
+router.patch('/:id/moderation', authenticate, requireRole(['admin']), validateModerateReview, async (req, res, next) => {
+  try {
+    logger.info('Admin moderating review', { userId: req.userId, reviewId: req.params.id, status: req.body.status });
+    await moderateReview(req, res, next);
+  } catch (error) {
+    logger.error('Error in PATCH /reviews/:id/moderation', {
+      error: error.message,
+      reviewId: req.params.id,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+module.exports = router;
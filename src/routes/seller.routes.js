@@ -0,0 +1,269 @@
+// File: src/routes/seller.routes.js
+// Generated: 2025-10-16 16:46:02 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_m5sq8wd3ne7g
+
+
+const express = require('express');
+
+
+const logger = require('../utils/logger');
+
+const { authenticate } = require('../middleware/auth');
+
+const { requireRole } = require('../middleware/authorization');
+
+const { requireSeller } = require('../middleware/seller');
+
+const { validateListAlerts } = require('../validators/inventory.validator');
+
+
+const router = express.Router();
+
+const {
+  validateApplySeller,
+  validateUpdateSeller,
+  validateListSellers,
+  validateSellerId,
+  validateReviewSeller,
+  validateSellerProducts,
+  validateListSubOrders,
+  validateSubOrderId,
+  validateSubOrderStatus
+} = require('../validators/seller.validator');
+
+const {
+  applyForSeller,
+  getMySellerProfile,
+  updateMySellerProfile,
+  getMyProducts,
+  getMyOrders,
+  getMyOrder,
+  updateMyOrderStatus,
+  getMyStockAlerts,
+  listSellers,
+  getSeller,
+  reviewSeller
+} = require('../controllers/seller.controller');
+
+/**
+ * All seller routes require authentication
+ */
+router.use(authenticate);
+
+/**
+ * POST /apply
+ * Apply for a marketplace store; the application waits for admin review
+ * @access Private
+ */
+router.post('/apply', validateApplySeller, async (req, res, next) => {
+  try {
+    logger.info('User applying for a seller account', { userId: req.userId });
+    await applyForSeller(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /sellers/apply', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /me
+ * Current user's store profile, including its review status
+ * @access Private
+ */
+router.get('/me', async (req, res, next) => {
+  try {
+    await getMySellerProfile(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /sellers/me', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * PUT /me
+ * Update the store profile and payout details
+ * @access Private
+ */
+router.put('/me', validateUpdateSeller, async (req, res, next) => {
+  try {
+    logger.info('Seller updating store profile', { userId: req.userId });
+    await updateMySellerProfile(req, res, next);
+  } catch (error) {
+    logger.error('Error in PUT /sellers/me', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /me/products
+ * Products owned by the store
+ * @access Private (approved sellers)
+ */
+router.get('/me/products', requireSeller, validateSellerProducts, async (req, res, next) => {
+  try {
+    await getMyProducts(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /sellers/me/products', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /me/orders
+ * Sub-orders containing the store's items, newest first
+ * @access Private (approved sellers)
+ */
+router.get('/me/orders', requireSeller, validateListSubOrders, async (req, res, next) => {
+  try {
+    await getMyOrders(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /sellers/me/orders', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /me/orders/:subOrderId
+ * One sub-order with its items and shipping address
+ * @access Private (approved sellers)
+ */
+router.get('/me/orders/:subOrderId', requireSeller, validateSubOrderId, async (req, res, next) => {
+  try {
+    await getMyOrder(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /sellers/me/orders/:subOrderId', {
+      error: error.message,
+      userId: req.userId,
+      subOrderId: req.params.subOrderId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * PATCH /me/orders/:subOrderId/status
+ * Move a sub-order to processing, shipped, delivered or cancelled
+ * @access Private (approved sellers)
+ */
+router.patch('/me/orders/:subOrderId/status', requireSeller, validateSubOrderStatus, async (req, res, next) => {
+  try {
+    logger.info('Seller updating sub-order status', {
+      userId: req.userId,
+      subOrderId: req.params.subOrderId,
+      status: req.body.status
+    });
+    await updateMyOrderStatus(req, res, next);
+  } catch (error) {
+    logger.error('Error in PATCH /sellers/me/orders/:subOrderId/status', {
+      error: error.message,
+      userId: req.userId,
+      subOrderId: req.params.subOrderId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /me/stock-alerts
+ * Low-stock alerts for the store's products
+ * @access Private (approved sellers)
+ */
+router.get('/me/stock-alerts', requireSeller, validateListAlerts, async (req, res, next) => {
+  try {
+    await getMyStockAlerts(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /sellers/me/stock-alerts', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /
+ * List stores, e.g. ?status=pending for the approval queue
+ * @access Private (admin only)
+ */
+router.get('/', requireRole(['admin']), validateListSellers, async (req, res, next) => {
+  try {
+    logger.info('Admin listing sellers', { userId: req.userId, query: req.query });
+    await listSellers(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /sellers', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /:id
+ * Store profile with its owner
+ * @access Private (admin only)
+ */
+router.get('/:id', requireRole(['admin']), validateSellerId, async (req, res, next) => {
+  try {
+    await getSeller(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /sellers/:id', {
+      error: error.message,
+      userId: req.userId,
+      sellerId: req.params.id,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * PATCH /:id/review
+ * Approve, reject or suspend a store
+ * @access Private (admin only)
+ */
+router.patch('/:id/review', requireRole(['admin']), validateReviewSeller, async (req, res, next) => {
+  try {
+    logger.info('Admin reviewing seller', {
+      userId: req.userId,
+      sellerId: req.params.id,
+      action: req.body.action
+    });
+    await reviewSeller(req, res, next);
+  } catch (error) {
+    logger.error('Error in PATCH /sellers/:id/review', {
+      error: error.message,
+      userId: req.userId,
+      sellerId: req.params.id,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+module.exports = router;
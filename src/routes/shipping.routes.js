@@ -0,0 +1,134 @@
+// File: src/routes/shipping.routes.js
+// Generated: 2025-10-16 10:45:13 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_s9hz3wq5lm2e
+
+
+const express = require('express');
+
+
+const logger = require('../utils/logger');
+
+const { authenticate } = require('../middleware/auth');
+
+const { requireRole } = require('../middleware/authorization');
+
+
+const router = express.Router();
+
+const {
+  validateShippingQuote,
+  validateCreateZone,
+  validateUpdateZone,
+  validateZoneId
+} = require('../validators/shipping.validator');
+
+const {
+  quoteShipping,
+  getZones,
+  createZone,
+  updateZone,
+  deleteZone
+} = require('../controllers/shipping.controller');
+
+/**
+ * All shipping routes require authentication
+ */
+router.use(authenticate);
+
+/**
+ * POST /quote
+ * Quote the shipping methods available for the user's cart and an address
+ * @access Private (authenticated users)
+ */
+router.post('/quote', validateShippingQuote, async (req, res, next) => {
+  try {
+    logger.info('Quoting shipping', { userId: req.userId, country: req.body.address.country });
+    await quoteShipping(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /shipping/quote', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * GET /zones
+ * List shipping zones with their methods and rates
+ * @access Private (admin only)
+ */
+router.get('/zones', requireRole(['admin']), async (req, res, next) => {
+  try {
+    logger.info('Admin fetching shipping zones', { userId: req.userId });
+    await getZones(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /shipping/zones', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /zones
+ * Create a shipping zone
+ * @access Private (admin only)
+ */
+router.post('/zones', requireRole(['admin']), validateCreateZone, async (req, res, next) => {
+  try {
+    logger.info('Admin creating shipping zone', { userId: req.userId, name: req.body.name });
+    await createZone(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /shipping/zones', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * PUT /zones/:id
+ * Update a shipping zone
+ * @access Private (admin only)
+ */
+router.put('/zones/:id', requireRole(['admin']), validateUpdateZone, async (req, res, next) => {
+  try {
+    logger.info('Admin updating shipping zone', { userId: req.userId, zoneId: req.params.id });
+    await updateZone(req, res, next);
+  } catch (error) {
+    logger.error('Error in PUT /shipping/zones/:id', {
+      error: error.message,
+      zoneId: req.params.id,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * DELETE /zones/:id
+ * Delete a shipping zone
+ * @access Private (admin only)
+ */
+router.delete('/zones/:id', requireRole(['admin']), validateZoneId, async (req, res, next) => {
+  try {
+    logger.info('Admin deleting shipping zone', { userId: req.userId, zoneId: req.params.id });
+    await deleteZone(req, res, next);
+  } catch (error) {
+    logger.error('Error in DELETE /shipping/zones/:id', {
+      error: error.message,
+      zoneId: req.params.id,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+// File: src/routes/taxRate.routes.js
+// Generated: 2025-10-16 10:45:13 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_t4xr8e2kq1ne
+
+
+const express = require('express');
+
+
+const logger = require('../utils/logger');
+
+const { authenticate } = require('../middleware/auth');
+
+const { requireRole } = require('../middleware/authorization');
+
+
+const router = express.Router();
+
+const {
+  validateCreateTaxRate,
+  validateUpdateTaxRate,
+  validateTaxRateId,
+  validateListTaxRates
+} = require('../validators/taxRate.validator');
+
+const {
+  getTaxRates,
+  createTaxRate,
+  updateTaxRate,
+  deleteTaxRate
+} = require('../controllers/taxRate.controller');
+
+/**
+ * All tax rate management routes are admin only
+ */
+router.use(authenticate, requireRole(['admin']));
+
+/**
+ * GET /
+ * List tax rates by jurisdiction
+ * @access Private (admin only)
+ */
+router.get('/', validateListTaxRates, async (req, res, next) => {
+  try {
+    logger.info('Admin fetching tax rates', { userId: req.userId, query: req.query });
+    await getTaxRates(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /tax-rates', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * POST /
+ * Create a tax rate for a country, state or postal area
+ * @access Private (admin only)
+ */
+router.post('/', validateCreateTaxRate, async (req, res, next) => {
+  try {
+    logger.info('Admin creating tax rate', { userId: req.userId, country: req.body.country });
+    await createTaxRate(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /tax-rates', {
+      error: error.message,
+      userId: req.userId,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * PUT /:id
+ * Update a tax rate
+ * @access Private (admin only)
+ */
+router.put('/:id', validateUpdateTaxRate, async (req, res, next) => {
+  try {
+    logger.info('Admin updating tax rate', { userId: req.userId, taxRateId: req.params.id });
+    await updateTaxRate(req, res, next);
+  } catch (error) {
+    logger.error('Error in PUT /tax-rates/:id', {
+      error: error.message,
+      taxRateId: req.params.id,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+/**
+ * DELETE /:id
+ * Delete a tax rate
+ * @access Private (admin only)
+ */
+router.delete('/:id', validateTaxRateId, async (req, res, next) => {
+  try {
+    logger.info('Admin deleting tax rate', { userId: req.userId, taxRateId: req.params.id });
+    await deleteTaxRate(req, res, next);
+  } catch (error) {
+    logger.error('Error in DELETE /tax-rates/:id', {
+      error: error.message,
+      taxRateId: req.params.id,
+      stack: error.stack
+    });
+    next(error);
+  }
+});
+
+module.exports = router;
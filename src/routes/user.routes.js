@@ -10,10 +10,22 @@ const express = require('express');
 const logger = require('../utils/logger');
 
 
+const paymentMethodController = require('../controllers/paymentMethod.controller');
+
+
 const userController = require('../controllers/user.controller');
 
+
+const wishlistController = require('../controllers/wishlist.controller');
+
 const { authenticate, authorize } = require('../middleware/auth');
 
+const { requireFeature } = require('../middleware/authorization');
+
+const { validatePaymentMethodId, validateAddPaymentMethod } = require('../validators/paymentMethod.validator');
+
+const { validateWishlistProduct, validateMoveToCart } = require('../validators/wishlist.validator');
+
 
 const router = express.Router();
 
@@ -261,6 +273,197 @@ router.get('/orders', authenticate, async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/users/wishlist
+ * @desc    Get wishlist with current price and stock
+ * @access  Private
+ */
+router.get('/wishlist', authenticate, requireFeature('enableWishlist'), async (req, res, next) => {
+  try {
+    await wishlistController.getWishlist(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /api/users/wishlist', {
+      error: error.message,
+      userId: req.userId
+    });
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/users/wishlist/:productId
+ * @desc    Add product to wishlist
+ * @access  Private
+ */
+router.post(
+  '/wishlist/:productId',
+  authenticate,
+  requireFeature('enableWishlist'),
+  validateWishlistProduct,
+  async (req, res, next) => {
+    try {
+      await wishlistController.addToWishlist(req, res, next);
+    } catch (error) {
+      logger.error('Error in POST /api/users/wishlist/:productId', {
+        error: error.message,
+        userId: req.userId,
+        productId: req.params.productId
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/users/wishlist/:productId
+ * @desc    Remove product from wishlist
+ * @access  Private
+ */
+router.delete(
+  '/wishlist/:productId',
+  authenticate,
+  requireFeature('enableWishlist'),
+  validateWishlistProduct,
+  async (req, res, next) => {
+    try {
+      await wishlistController.removeFromWishlist(req, res, next);
+    } catch (error) {
+      logger.error('Error in DELETE /api/users/wishlist/:productId', {
+        error: error.message,
+        userId: req.userId,
+        productId: req.params.productId
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   POST /api/users/wishlist/:productId/move-to-cart
+ * @desc    Move wishlist product to cart
+ * @access  Private
+ */
+router.post(
+  '/wishlist/:productId/move-to-cart',
+  authenticate,
+  requireFeature('enableWishlist'),
+  validateMoveToCart,
+  async (req, res, next) => {
+    try {
+      await wishlistController.moveToCart(req, res, next);
+    } catch (error) {
+      logger.error('Error in POST /api/users/wishlist/:productId/move-to-cart', {
+        error: error.message,
+        userId: req.userId,
+        productId: req.params.productId
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   GET /api/users/payment-methods
+ * @desc    List saved cards
+ * @access  Private
+ */
+router.get('/payment-methods', authenticate, async (req, res, next) => {
+  try {
+    await paymentMethodController.listPaymentMethods(req, res, next);
+  } catch (error) {
+    logger.error('Error in GET /api/users/payment-methods', {
+      error: error.message,
+      userId: req.userId
+    });
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/users/payment-methods/setup-intent
+ * @desc    Create a Stripe SetupIntent to collect a card
+ * @access  Private
+ */
+router.post('/payment-methods/setup-intent', authenticate, async (req, res, next) => {
+  try {
+    await paymentMethodController.createSetupIntent(req, res, next);
+  } catch (error) {
+    logger.error('Error in POST /api/users/payment-methods/setup-intent', {
+      error: error.message,
+      userId: req.userId
+    });
+    next(error);
+  }
+});
+
+/**
+ * @route   POST /api/users/payment-methods
+ * @desc    Save a card confirmed through the SetupIntent
+ * @access  Private
+ */
+router.post(
+  '/payment-methods',
+  authenticate,
+  validateAddPaymentMethod,
+  async (req, res, next) => {
+    try {
+      await paymentMethodController.addPaymentMethod(req, res, next);
+    } catch (error) {
+      logger.error('Error in POST /api/users/payment-methods', {
+        error: error.message,
+        userId: req.userId
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/users/payment-methods/:paymentMethodId/default
+ * @desc    Make a saved card the default
+ * @access  Private
+ */
+router.put(
+  '/payment-methods/:paymentMethodId/default',
+  authenticate,
+  validatePaymentMethodId,
+  async (req, res, next) => {
+    try {
+      await paymentMethodController.setDefaultPaymentMethod(req, res, next);
+    } catch (error) {
+      logger.error('Error in PUT /api/users/payment-methods/:paymentMethodId/default', {
+        error: error.message,
+        userId: req.userId,
+        paymentMethodId: req.params.paymentMethodId
+      });
+      next(error);
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/users/payment-methods/:paymentMethodId
+ * @desc    Remove a saved card
+ * @access  Private
+ */
+router.delete(
+  '/payment-methods/:paymentMethodId',
+  authenticate,
+  validatePaymentMethodId,
+  async (req, res, next) => {
+    try {
+      await paymentMethodController.removePaymentMethod(req, res, next);
+    } catch (error) {
+      logger.error('Error in DELETE /api/users/payment-methods/:paymentMethodId', {
+        error: error.message,
+        userId: req.userId,
+        paymentMethodId: req.params.paymentMethodId
+      });
+      next(error);
+    }
+  }
+);
+
 /**
  * @route   GET /api/users
  * @desc    Get all users (paginated)
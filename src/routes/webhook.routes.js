@@ -0,0 +1,46 @@
+// File: src/routes/webhook.routes.js
+// Generated: 2025-10-16 13:55:02 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_c6tj2rm9xw4e
+
+
+const express = require('express');
+
+
+const logger = require('../utils/logger');
+
+const { WebhookVerification } = require('../middleware/webhookVerification');
+
+
+const router = express.Router();
+
+const { validateCarrierWebhook } = require('../validators/shipment.validator');
+
+const { handleCarrierWebhook } = require('../controllers/shipment.controller');
+
+/**
+ * POST /shipping/:carrier
+ * Tracking events pushed by a carrier (ups, fedex, usps, dhl)
+ * Signed with CARRIER_WEBHOOK_SECRET, see WebhookVerification.verifyCarrierWebhook
+ * @access Public (HMAC signature required)
+ */
+router.post(
+  '/shipping/:carrier',
+  WebhookVerification.verifyCarrierWebhook,
+  validateCarrierWebhook,
+  async (req, res, next) => {
+    try {
+      logger.info('Carrier webhook received', { carrier: req.params.carrier });
+      await handleCarrierWebhook(req, res, next);
+    } catch (error) {
+      logger.error('Error in POST /webhooks/shipping/:carrier', {
+        error: error.message,
+        carrier: req.params.carrier,
+        stack: error.stack
+      });
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,113 @@
+// File: src/scripts/reconcileInventory.js
+// Generated: 2025-10-16 12:46:05 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_h3ks9wd2lm7d
+
+
+const InventoryService = require('../services/inventory.service');
+
+
+const logger = require('../utils/logger');
+
+const { connectDB, disconnectDB } = require('../config/database');
+
+/**
+ * Inventory reconciliation
+ * Rebuilds stock from the movement ledger and reports drift.
+ *
+ * Usage: npm run inventory:reconcile -- [--product=<id>] [--apply] [--baseline]
+ *   --product   Only reconcile one product
+ *   --apply     Reset drifted stock to the ledger value
+ *   --baseline  Record opening balances for stock with no ledger history
+ *
+ * Exits with code 1 when drift is found and was not corrected.
+ */
+
+/**
+ * Parse command line flags
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { productId, apply, baseline }
+ */
+
+
+const parseArgs = (argv) => {
+  const options = { productId: null, apply: false, baseline: false };
+
+  argv.forEach(arg => {
+    if (arg === '--apply') {
+      options.apply = true;
+    } else if (arg === '--baseline') {
+      options.baseline = true;
+    } else if (arg.startsWith('--product=')) {
+      options.productId = arg.slice('--product='.length);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  });
+
+  return options;
+};
+
+/**
+ * Human-readable label for a stock line
+ * @param {Object} line - Report line
+ * @returns {string} Label
+ */
+
+
+const describeLine = (line) => `${line.name} (${line.sku || line.productId})${line.variantId ? ` variant ${line.variantId}` : ''}`;
+
+/**
+ * Run the reconciliation and log the report
+ * @returns {Promise<number>} Exit code, 1 when drift is left uncorrected
+ */
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  await connectDB();
+
+  try {
+    const report = await new InventoryService().reconcileStock(options);
+
+    logger.info(`Checked ${report.checked} stock line(s)`);
+
+    report.drift.forEach(line => {
+      logger.warn(`Drift: ${describeLine(line)}`, {
+        productId: line.productId,
+        variantId: line.variantId,
+        expected: line.expected,
+        actual: line.actual,
+        difference: line.difference
+      });
+    });
+
+    report.untracked.forEach(line => {
+      logger.warn(`No ledger history: ${describeLine(line)}`, {
+        productId: line.productId,
+        variantId: line.variantId,
+        actual: line.actual
+      });
+    });
+
+    if (options.apply) {
+      logger.info(`Reset ${report.corrected} stock line(s) to the ledger value`);
+    }
+
+    if (options.baseline) {
+      logger.info(`Recorded ${report.baselined} opening balance(s)`);
+    }
+
+    return report.drift.length > report.corrected ? 1 : 0;
+  } finally {
+    await disconnectDB();
+  }
+}
+
+main()
+  .then(exitCode => {
+    process.exitCode = exitCode;
+  })
+  .catch(error => {
+    logger.error('Inventory reconciliation failed', { error: error.message });
+    process.exit(1);
+  });
@@ -6,6 +6,8 @@
 
 const { app } = require('./app');
 
+const { startJobs, stopJobs } = require('./jobs');
+
 const { client: redisClient, isHealthy: isRedisHealthy } = require('./config/redis');
 
 const { connectDB, disconnectDB, isConnected } = require('./config/database');
@@ -50,6 +52,9 @@ async function startServer() {
       console.log(`  Time: ${new Date().toISOString()}`);
       console.log(`  MongoDB: ${isConnected() ? 'Connected' : 'Disconnected'}`);
       console.log(`  Redis: ${isRedisHealthy() ? 'Connected' : 'Disconnected'}`);
+
+      // Start background jobs (reservation sweeper, ...)
+      startJobs();
     });
 
     // Handle server errors
@@ -86,6 +91,9 @@ async function gracefulShutdown(signal) {
     }, 10000);
 
     try {
+      // Stop scheduling background jobs
+      stopJobs();
+
       // Stop accepting new connections
       if (server) {
         console.log('🔄 Closing HTTP server...');
@@ -0,0 +1,627 @@
+// File: src/services/analytics.service.js
+// Generated: 2025-10-16 17:08:40 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_r8fa3kw6tb2b
+
+
+const Cart = require('../models/Cart');
+
+
+const Order = require('../models/Order');
+
+
+const OrderItem = require('../models/OrderItem');
+
+
+const Product = require('../models/Product');
+
+
+const config = require('../config/environment');
+
+
+const logger = require('../utils/logger');
+
+
+const mongoose = require('mongoose');
+
+const { ValidationError } = require('../utils/errors');
+
+const { roundAmount } = require('../utils/currency');
+
+const { toCsv } = require('../utils/csv');
+
+/**
+ * Order statuses that count as a sale (the order was paid at some point)
+ */
+
+
+const SALES_STATUSES = ['paid', 'processing', 'shipped', 'delivered', 'completed', 'refunded'];
+
+/**
+ * Period keys for the sales time series ($dateToString formats, UTC)
+ */
+
+
+const INTERVAL_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+
+const DEFAULT_RANGE_DAYS = 30;
+
+/**
+ * CSV layout of each report: which rows to export and in which columns
+ */
+
+
+const CSV_EXPORTS = {
+  sales: {
+    rows: report => report.periods,
+    columns: ['period', 'orders', 'revenue', 'averageOrderValue']
+  },
+  products: {
+    rows: report => report.products,
+    columns: ['productId', 'name', 'sku', 'units', 'orders', 'revenue']
+  },
+  categories: {
+    rows: report => report.categories,
+    columns: ['categoryId', 'name', 'products', 'units', 'orders', 'revenue']
+  },
+  'low-performers': {
+    rows: report => report.products,
+    columns: ['productId', 'name', 'sku', 'stock', 'listedAt', 'units', 'revenue']
+  },
+  refunds: {
+    rows: report => [report],
+    columns: ['orders', 'refundedOrders', 'refundRate', 'revenue', 'refundedAmount', 'refundedRevenueShare']
+  },
+  conversion: {
+    rows: report => [report],
+    columns: ['carts', 'orders', 'openCarts', 'conversionRate']
+  },
+  customers: {
+    rows: report => ['new', 'returning'].map(segment => ({ segment, ...report[segment] })),
+    columns: ['segment', 'customers', 'orders', 'revenue']
+  }
+};
+
+/**
+ * Analytics Service
+ * Sales reports built with aggregation pipelines. Amounts are converted to the
+ * base currency with the exchange rate each order was placed at. Passing a
+ * seller limits every report to that store's order items and products.
+ */
+class AnalyticsService {
+  /**
+   * Resolve the reporting window
+   * @param {Object} filters - { from, to } (defaults to the last 30 days)
+   * @returns {Object} { start, end }
+   */
+  resolveRange({ from, to } = {}) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw new ValidationError('Invalid date range');
+    }
+
+    if (start > end) {
+      throw new ValidationError('The start of the range must be before its end');
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Revenue, order count and average order value per day, week or month
+   * @param {Object} filters - { from, to, seller }
+   * @param {Object} options - { interval }
+   * @returns {Promise<Object>} Totals and one row per period with sales
+   */
+  async getSalesReport(filters = {}, options = {}) {
+    try {
+      const interval = options.interval || 'day';
+      const format = INTERVAL_FORMATS[interval];
+
+      if (!format) {
+        throw new ValidationError(`Interval must be one of: ${Object.keys(INTERVAL_FORMATS).join(', ')}`);
+      }
+
+      const scope = this._scope(filters);
+
+      const rows = await this._aggregateOrders(scope, [
+        {
+          $group: {
+            _id: { $dateToString: { format, date: '$createdAt', timezone: 'UTC' } },
+            orders: { $sum: 1 },
+            revenue: { $sum: '$revenue' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]);
+
+      const periods = rows.map(row => this._salesFigures(row.orders, row.revenue, { period: row._id }));
+      const totals = this._salesFigures(
+        rows.reduce((sum, row) => sum + row.orders, 0),
+        rows.reduce((sum, row) => sum + row.revenue, 0)
+      );
+
+      logger.info('Sales report generated', { interval, seller: scope.seller, periods: periods.length });
+
+      return { ...this._header(scope), interval, totals, periods };
+    } catch (error) {
+      logger.error('Failed to generate sales report', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Best selling products by revenue or units
+   * @param {Object} filters - { from, to, seller }
+   * @param {Object} options - { limit, sortBy: 'revenue' | 'units' }
+   * @returns {Promise<Object>} Ranked products
+   */
+  async getTopProducts(filters = {}, options = {}) {
+    try {
+      const scope = this._scope(filters);
+      const limit = options.limit || 10;
+      const sortBy = options.sortBy === 'units' ? 'units' : 'revenue';
+
+      const rows = await OrderItem.aggregate([
+        ...this._soldItemStages(scope),
+        {
+          $group: {
+            _id: '$product',
+            name: { $first: '$productSnapshot.name' },
+            sku: { $first: '$productSnapshot.sku' },
+            units: { $sum: '$quantity' },
+            revenue: { $sum: '$revenue' },
+            orders: { $addToSet: '$order' }
+          }
+        },
+        { $sort: { [sortBy]: -1, _id: 1 } },
+        { $limit: limit },
+        { $project: { name: 1, sku: 1, units: 1, revenue: 1, orders: { $size: '$orders' } } }
+      ]);
+
+      return {
+        ...this._header(scope),
+        sortBy,
+        products: rows.map(row => ({
+          productId: row._id,
+          name: row.name,
+          sku: row.sku,
+          units: row.units,
+          orders: row.orders,
+          revenue: this._round(row.revenue)
+        }))
+      };
+    } catch (error) {
+      logger.error('Failed to generate top products report', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Best selling categories by revenue
+   * A product in several categories counts towards each of them.
+   * @param {Object} filters - { from, to, seller }
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} Ranked categories
+   */
+  async getTopCategories(filters = {}, options = {}) {
+    try {
+      const scope = this._scope(filters);
+      const limit = options.limit || 10;
+
+      const rows = await OrderItem.aggregate([
+        ...this._soldItemStages(scope),
+        { $lookup: { from: 'products', localField: 'product', foreignField: '_id', as: 'catalog' } },
+        { $unwind: '$catalog' },
+        { $unwind: '$catalog.categories' },
+        {
+          $group: {
+            _id: '$catalog.categories',
+            units: { $sum: '$quantity' },
+            revenue: { $sum: '$revenue' },
+            orders: { $addToSet: '$order' },
+            products: { $addToSet: '$product' }
+          }
+        },
+        { $sort: { revenue: -1, _id: 1 } },
+        { $limit: limit },
+        { $lookup: { from: 'categories', localField: '_id', foreignField: '_id', as: 'category' } },
+        {
+          $project: {
+            name: { $arrayElemAt: ['$category.name', 0] },
+            units: 1,
+            revenue: 1,
+            orders: { $size: '$orders' },
+            products: { $size: '$products' }
+          }
+        }
+      ]);
+
+      return {
+        ...this._header(scope),
+        categories: rows.map(row => ({
+          categoryId: row._id,
+          name: row.name || null,
+          products: row.products,
+          units: row.units,
+          orders: row.orders,
+          revenue: this._round(row.revenue)
+        }))
+      };
+    } catch (error) {
+      logger.error('Failed to generate top categories report', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Active products that sold the least in the range, unsold ones first
+   * @param {Object} filters - { from, to, seller }
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} Products with their units and revenue
+   */
+  async getLowPerformers(filters = {}, options = {}) {
+    try {
+      const scope = this._scope(filters);
+      const limit = options.limit || 10;
+      const match = { isActive: true, createdAt: { $lte: scope.end } };
+
+      if (scope.seller) {
+        match.seller = scope.seller;
+      }
+
+      const rows = await Product.aggregate([
+        { $match: match },
+        {
+          $lookup: {
+            from: 'orderitems',
+            let: { productId: '$_id' },
+            pipeline: [
+              {
+                $match: {
+                  $expr: { $eq: ['$product', '$$productId'] },
+                  createdAt: { $gte: scope.start, $lte: scope.end }
+                }
+              },
+              ...this._paidOrderStages(),
+              { $group: { _id: null, units: { $sum: '$quantity' }, revenue: { $sum: '$revenue' } } }
+            ],
+            as: 'sales'
+          }
+        },
+        {
+          $project: {
+            name: 1,
+            sku: 1,
+            createdAt: 1,
+            stock: '$inventory.quantity',
+            units: { $ifNull: [{ $arrayElemAt: ['$sales.units', 0] }, 0] },
+            revenue: { $ifNull: [{ $arrayElemAt: ['$sales.revenue', 0] }, 0] }
+          }
+        },
+        { $sort: { units: 1, revenue: 1, createdAt: 1 } },
+        { $limit: limit }
+      ]);
+
+      return {
+        ...this._header(scope),
+        products: rows.map(row => ({
+          productId: row._id,
+          name: row.name,
+          sku: row.sku,
+          stock: row.stock,
+          listedAt: row.createdAt,
+          units: row.units,
+          revenue: this._round(row.revenue)
+        }))
+      };
+    } catch (error) {
+      logger.error('Failed to generate low performers report', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Share of orders with a refund and of revenue refunded
+   * For sellers, only refunds of their own items count.
+   * @param {Object} filters - { from, to, seller }
+   * @returns {Promise<Object>} Refund figures
+   */
+  async getRefundReport(filters = {}) {
+    try {
+      const scope = this._scope(filters);
+
+      const [totals] = await this._aggregateOrders(scope, [
+        {
+          $group: {
+            _id: null,
+            orders: { $sum: 1 },
+            refundedOrders: { $sum: { $cond: [{ $gt: ['$refundedAmount', 0] }, 1, 0] } },
+            revenue: { $sum: '$revenue' },
+            refundedAmount: { $sum: '$refundedAmount' }
+          }
+        }
+      ]);
+
+      const { orders, refundedOrders, revenue, refundedAmount } = totals ||
+        { orders: 0, refundedOrders: 0, revenue: 0, refundedAmount: 0 };
+
+      return {
+        ...this._header(scope),
+        orders,
+        refundedOrders,
+        refundRate: this._percent(refundedOrders, orders),
+        revenue: this._round(revenue),
+        refundedAmount: this._round(refundedAmount),
+        refundedRevenueShare: this._percent(refundedAmount, revenue)
+      };
+    } catch (error) {
+      logger.error('Failed to generate refund report', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Cart to order conversion
+   * Placing an order empties the cart, so the carts of the period are the
+   * orders placed plus the carts active in the period that still hold items.
+   * For sellers, only carts holding their products count.
+   * @param {Object} filters - { from, to, seller }
+   * @returns {Promise<Object>} Carts, orders and conversion rate
+   */
+  async getCartConversion(filters = {}) {
+    try {
+      const scope = this._scope(filters);
+
+      const [placed] = await this._aggregateOrders(scope, [{ $count: 'orders' }]);
+      const orders = placed ? placed.orders : 0;
+
+      const cartQuery = {
+        status: { $in: ['active', 'abandoned'] },
+        lastActivity: { $gte: scope.start, $lte: scope.end },
+        'items.0': { $exists: true }
+      };
+
+      if (scope.seller) {
+        cartQuery['items.productId'] = { $in: await Product.distinct('_id', { seller: scope.seller }) };
+      }
+
+      const openCarts = await Cart.countDocuments(cartQuery);
+      const carts = orders + openCarts;
+
+      return {
+        ...this._header(scope),
+        carts,
+        orders,
+        openCarts,
+        conversionRate: this._percent(orders, carts)
+      };
+    } catch (error) {
+      logger.error('Failed to generate cart conversion report', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * New versus returning customers
+   * A customer is new when their first order (with the seller, for sellers)
+   * falls inside the range. Guests are told apart by email.
+   * @param {Object} filters - { from, to, seller }
+   * @returns {Promise<Object>} Customers, orders and revenue per segment
+   */
+  async getCustomerReport(filters = {}) {
+    try {
+      const scope = this._scope(filters);
+
+      const rows = await this._aggregateOrders({ ...scope, start: null }, [
+        { $match: { customer: { $ne: null } } },
+        {
+          $group: {
+            _id: '$customer',
+            firstOrderAt: { $min: '$createdAt' },
+            orders: { $sum: { $cond: [{ $gte: ['$createdAt', scope.start] }, 1, 0] } },
+            revenue: { $sum: { $cond: [{ $gte: ['$createdAt', scope.start] }, '$revenue', 0] } }
+          }
+        },
+        { $match: { orders: { $gt: 0 } } },
+        {
+          $group: {
+            _id: { $cond: [{ $gte: ['$firstOrderAt', scope.start] }, 'new', 'returning'] },
+            customers: { $sum: 1 },
+            orders: { $sum: '$orders' },
+            revenue: { $sum: '$revenue' }
+          }
+        }
+      ]);
+
+      const segment = (name) => {
+        const row = rows.find(r => r._id === name) || { customers: 0, orders: 0, revenue: 0 };
+        return { customers: row.customers, orders: row.orders, revenue: this._round(row.revenue) };
+      };
+
+      const report = { new: segment('new'), returning: segment('returning') };
+      const customers = report.new.customers + report.returning.customers;
+
+      return {
+        ...this._header(scope),
+        customers,
+        ...report,
+        returningRate: this._percent(report.returning.customers, customers)
+      };
+    } catch (error) {
+      logger.error('Failed to generate customer report', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Render a report as CSV
+   * @param {string} name - Report name (sales, products, categories, low-performers, refunds, conversion, customers)
+   * @param {Object} report - Report returned by the matching get method
+   * @returns {Object} { filename, csv }
+   */
+  toCsv(name, report) {
+    const layout = CSV_EXPORTS[name];
+
+    if (!layout) {
+      throw new ValidationError(`Unknown report: ${name}`);
+    }
+
+    const day = date => new Date(date).toISOString().slice(0, 10);
+
+    return {
+      filename: `${name}-${day(report.from)}-to-${day(report.to)}.csv`,
+      csv: toCsv(layout.rows(report), layout.columns)
+    };
+  }
+
+  /**
+   * Run an aggregation over one row per sold order
+   * Rows are { _id: orderId, customer, createdAt, revenue, refundedAmount } in
+   * the base currency. For a seller, revenue and refunds cover their items only.
+   * @param {Object} scope - { start, end, seller } (start null for all time)
+   * @param {Array} stages - Stages to run on the order rows
+   * @returns {Promise<Array>} Aggregation result
+   * @private
+   */
+  async _aggregateOrders(scope, stages) {
+    const createdAt = scope.start ? { $gte: scope.start, $lte: scope.end } : { $lte: scope.end };
+
+    if (scope.seller) {
+      return await OrderItem.aggregate([
+        { $match: { seller: scope.seller, createdAt } },
+        ...this._paidOrderStages(),
+        {
+          $group: {
+            _id: '$order',
+            customer: { $first: { $ifNull: ['$parent.user', '$parent.guest.email'] } },
+            createdAt: { $first: '$parent.createdAt' },
+            revenue: { $sum: '$revenue' },
+            refundedAmount: {
+              $sum: this._toBase({ $multiply: ['$finalPrice', { $ifNull: ['$refundedQuantity', 0] }] }, '$parent.exchangeRate')
+            }
+          }
+        },
+        ...stages
+      ]);
+    }
+
+    return await Order.aggregate([
+      { $match: { status: { $in: SALES_STATUSES }, createdAt } },
+      {
+        $project: {
+          customer: { $ifNull: ['$user', '$guest.email'] },
+          createdAt: 1,
+          revenue: this._toBase('$pricing.total', '$exchangeRate'),
+          refundedAmount: this._toBase({ $ifNull: ['$payment.refundAmount', 0] }, '$exchangeRate')
+        }
+      },
+      ...stages
+    ]);
+  }
+
+  /**
+   * Stages keeping sold order items in the scope, with their base-currency revenue
+   * @private
+   */
+  _soldItemStages(scope) {
+    const match = { createdAt: { $gte: scope.start, $lte: scope.end } };
+
+    if (scope.seller) {
+      match.seller = scope.seller;
+    }
+
+    return [{ $match: match }, ...this._paidOrderStages()];
+  }
+
+  /**
+   * Stages joining order items to their order, dropping unpaid orders and
+   * adding the line revenue in the base currency
+   * @private
+   */
+  _paidOrderStages() {
+    return [
+      { $lookup: { from: 'orders', localField: 'order', foreignField: '_id', as: 'parent' } },
+      { $unwind: '$parent' },
+      { $match: { 'parent.status': { $in: SALES_STATUSES } } },
+      { $addFields: { revenue: this._toBase({ $multiply: ['$finalPrice', '$quantity'] }, '$parent.exchangeRate') } }
+    ];
+  }
+
+  /**
+   * Expression converting an order-currency amount to the base currency
+   * @private
+   */
+  _toBase(amount, exchangeRate) {
+    return { $divide: [amount, { $ifNull: [exchangeRate, 1] }] };
+  }
+
+  /**
+   * Normalize report filters to a date window and seller ObjectId
+   * @private
+   */
+  _scope(filters = {}) {
+    const { start, end } = this.resolveRange(filters);
+
+    if (filters.seller && !mongoose.isValidObjectId(filters.seller)) {
+      throw new ValidationError('Invalid seller ID');
+    }
+
+    return {
+      start,
+      end,
+      seller: filters.seller ? new mongoose.Types.ObjectId(String(filters.seller)) : null
+    };
+  }
+
+  /**
+   * Common report header
+   * @private
+   */
+  _header(scope) {
+    return {
+      from: scope.start,
+      to: scope.end,
+      seller: scope.seller,
+      currency: config.currency.base
+    };
+  }
+
+  /**
+   * Orders, revenue and average order value of a set of orders
+   * @private
+   */
+  _salesFigures(orders, revenue, extra = {}) {
+    return {
+      ...extra,
+      orders,
+      revenue: this._round(revenue),
+      averageOrderValue: orders > 0 ? this._round(revenue / orders) : 0
+    };
+  }
+
+  /**
+   * Round a base-currency amount
+   * @private
+   */
+  _round(amount) {
+    return roundAmount(amount || 0, config.currency.base);
+  }
+
+  /**
+   * Percentage with two decimals, 0 when the total is 0
+   * @private
+   */
+  _percent(part, total) {
+    return total > 0 ? Math.round((part / total) * 10000) / 100 : 0;
+  }
+}
+
+module.exports = new AnalyticsService();
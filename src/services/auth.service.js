@@ -13,13 +13,32 @@ const RedisService = require('./redis.service');
 const User = require('../models/User');
 
 
+const config = require('../config/environment');
+
+
 const crypto = require('crypto');
 
 
+const emailService = require('./email.service');
+
+
 const logger = require('../utils/logger');
 
+
+const oauthService = require('./oauth.service');
+
+
+const sessionService = require('./session.service');
+
+
+const twoFactorService = require('./twoFactor.service');
+
 const { hashPassword, comparePassword, validatePasswordStrength } = require('../utils/password');
 
+const { AuthenticationError, NotFoundError, ValidationError } = require('../utils/errors');
+
+const { REVOKE_REASONS } = require('../models/Session');
+
 /**
  * Authentication Service
  * Handles user authentication, token management, and session tracking
@@ -32,14 +51,16 @@ class AuthService {
     this.RESET_TOKEN_EXPIRY = 3600; // 1 hour in seconds
     this.MAX_LOGIN_ATTEMPTS = 5;
     this.LOGIN_ATTEMPT_WINDOW = 900; // 15 minutes in seconds
+    this.MAX_VERIFICATION_RESENDS = 3; // per LOGIN_ATTEMPT_WINDOW
   }
 
   /**
    * Register new user
    * @param {Object} userData - User registration data
+   * @param {Object} [device] - { deviceName, userAgent, ipAddress } of the new session
    * @returns {Promise<Object>} User object and tokens
    */
-  async register(userData) {
+  async register(userData, device = {}) {
     try {
       const { email, password, firstName, lastName, phone, dateOfBirth } = userData;
 
@@ -67,8 +88,8 @@ class AuthService {
         lastName,
         phone,
         dateOfBirth,
-        role: 'user',
-        isEmailVerified: false,
+        role: 'customer',
+        isVerified: false,
         isActive: true
       });
 
@@ -76,18 +97,14 @@ class AuthService {
       const verificationToken = user.generateEmailVerificationToken();
       await user.save();
 
-      // Generate token pair
-      const tokens = this._generateTokenPair(user._id, user.email, user.role);
+      await this._sendVerificationEmail(user, verificationToken);
 
-      // Store refresh token in Redis
-      await this._storeRefreshToken(user._id.toString(), tokens.refreshToken);
+      // Sign the user in on this device
+      const tokens = await this._startSession(user, device);
 
       logger.info('User registered successfully', { userId: user._id, email: user.email });
 
-      return {
-        user: this._sanitizeUser(user),
-        tokens
-      };
+      return this._authResult(user, tokens);
     } catch (error) {
       logger.error('Registration failed', { error: error.message, email: userData.email });
       throw error;
@@ -99,12 +116,13 @@ class AuthService {
    * @param {string} email - User email
    * @param {string} password - User password
    * @param {string} ipAddress - Client IP address
-   * @returns {Promise<Object>} User object and tokens
+   * @param {Object} [device] - { deviceName, userAgent } of the new session
+   * @returns {Promise<Object>} User object and tokens, or a two-factor challenge
    */
-  async login(email, password, ipAddress) {
+  async login(email, password, ipAddress, device = {}) {
     try {
       // Check login attempts
-      const attempts = await this._getLoginAttempts(email);
+      const attempts = await this._getAttempts(this._getLoginAttemptKey(email));
       if (attempts >= this.MAX_LOGIN_ATTEMPTS) {
         logger.warn('Too many login attempts', { email, ipAddress });
         throw new Error('Too many login attempts. Please try again later.');
@@ -113,7 +131,7 @@ class AuthService {
       // Find user
       const user = await User.findOne({ email: email.toLowerCase() }).select('+password');
       if (!user) {
-        await this._trackLoginAttempt(email, false);
+        await this._trackAttempt(this._getLoginAttemptKey(email), false);
         logger.warn('Login attempt with non-existent email', { email, ipAddress });
         throw new Error('Invalid email or password');
       }
@@ -127,80 +145,160 @@ class AuthService {
       // Verify password
       const isPasswordValid = await comparePassword(password, user.password);
       if (!isPasswordValid) {
-        await this._trackLoginAttempt(email, false);
+        await this._trackAttempt(this._getLoginAttemptKey(email), false);
         logger.warn('Invalid password attempt', { userId: user._id, email, ipAddress });
         throw new Error('Invalid email or password');
       }
 
       // Clear login attempts on successful login
-      await this._clearLoginAttempts(email);
-
-      // Update last login
-      user.lastLogin = new Date();
-      await user.save();
-
-      // Generate token pair
-      const tokens = this._generateTokenPair(user._id, user.email, user.role);
+      await this._clearAttempts(this._getLoginAttemptKey(email));
 
-      // Store refresh token in Redis
-      await this._storeRefreshToken(user._id.toString(), tokens.refreshToken);
+      return await this._signIn(user, { ...device, ipAddress });
+    } catch (error) {
+      logger.error('Login failed', { error: error.message, email, ipAddress });
+      throw error;
+    }
+  }
 
-      // Track successful login
-      await this._trackLoginAttempt(email, true);
+  /**
+   * Login with an OAuth / OpenID Connect provider
+   * Two-factor authentication applies as for password logins.
+   * @param {string} state - State returned by the provider with the code
+   * @param {string} code - Authorization code
+   * @param {Object} [device] - { deviceName, userAgent, ipAddress } of the new session
+   * @returns {Promise<Object>} User object and tokens, or a two-factor challenge
+   */
+  async loginWithOAuth(state, code, device = {}) {
+    try {
+      const { provider, profile } = await oauthService.completeAuthorization(state, code);
+      const user = await oauthService.findOrCreateUser(provider, profile);
 
-      logger.info('User logged in successfully', { userId: user._id, email, ipAddress });
+      if (!user.isActive) {
+        logger.warn('OAuth login for inactive user', { userId: user._id, provider });
+        throw new AuthenticationError('Account is deactivated. Please contact support.');
+      }
 
-      return {
-        user: this._sanitizeUser(user),
-        tokens
-      };
+      return await this._signIn(user, device);
     } catch (error) {
-      logger.error('Login failed', { error: error.message, email, ipAddress });
+      logger.error('OAuth login failed', { error: error.message, ipAddress: device.ipAddress });
       throw error;
     }
   }
 
   /**
-   * Refresh access token
-   * @param {string} refreshToken - Refresh token
-   * @returns {Promise<Object>} New token pair
+   * Finish login with a TOTP code or a recovery code
+   * @param {string} challengeToken - Challenge token returned by login
+   * @param {Object} credentials - { code } or { recoveryCode }
+   * @returns {Promise<Object>} User object and tokens
    */
-  async refreshToken(refreshToken) {
+  async verifyTwoFactor(challengeToken, credentials) {
     try {
-      // Verify refresh token
-      const decoded = Jwt.verifyRefreshToken(refreshToken);
-      if (!decoded) {
-        throw new Error('Invalid refresh token');
+      const challenge = await this._getTwoFactorChallenge(challengeToken, 'verify');
+      await this._checkTwoFactorAttempts(challengeToken, challenge.userId);
+
+      const user = await twoFactorService.loadUser(challenge.userId);
+      const result = user.isActive ? await twoFactorService.verify(user, credentials) : null;
+
+      if (!result) {
+        await this._trackAttempt(this._getTwoFactorAttemptKey(challenge.userId), false);
+        logger.warn('Invalid two-factor code', { userId: challenge.userId, ipAddress: challenge.device.ipAddress });
+        throw new AuthenticationError('Invalid two-factor code');
       }
 
-      // Check if token is blacklisted
-      const isBlacklisted = await this._isTokenBlacklisted(refreshToken);
-      if (isBlacklisted) {
-        throw new Error('Token has been revoked');
+      const login = await this._completeTwoFactorLogin(challengeToken, user, challenge);
+
+      if (result.method === 'recovery') {
+        login.recoveryCodesRemaining = result.recoveryCodesRemaining;
       }
 
-      // Verify token exists in Redis
-      const storedToken = await this._getRefreshToken(decoded.userId);
-      if (!storedToken || storedToken !== refreshToken) {
-        throw new Error('Invalid or expired refresh token');
+      return login;
+    } catch (error) {
+      logger.error('Two-factor verification failed', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Start two-factor enrollment
+   * Signed-in users enroll for themselves; users whose role requires two-factor
+   * enroll during login with the challenge token instead.
+   * @param {string} [userId] - Signed-in user ID
+   * @param {string} [challengeToken] - Setup challenge token returned by login
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  async setupTwoFactor(userId, challengeToken) {
+    try {
+      const ownerId = userId || (await this._getTwoFactorChallenge(challengeToken, 'setup')).userId;
+
+      return await twoFactorService.beginSetup(ownerId);
+    } catch (error) {
+      logger.error('Two-factor setup failed', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm two-factor enrollment with a first code
+   * With a setup challenge this also completes the pending login.
+   * @param {string} [userId] - Signed-in user ID
+   * @param {string} code - Current TOTP code
+   * @param {string} [challengeToken] - Setup challenge token returned by login
+   * @returns {Promise<Object>} { recoveryCodes }, plus user and tokens after a login
+   */
+  async enableTwoFactor(userId, code, challengeToken) {
+    try {
+      if (userId) {
+        return await twoFactorService.enable(userId, code);
       }
 
+      const challenge = await this._getTwoFactorChallenge(challengeToken, 'setup');
+      await this._checkTwoFactorAttempts(challengeToken, challenge.userId);
+
+      const { recoveryCodes } = await twoFactorService.enable(challenge.userId, code).catch(async error => {
+        if (error instanceof AuthenticationError) {
+          await this._trackAttempt(this._getTwoFactorAttemptKey(challenge.userId), false);
+        }
+        throw error;
+      });
+
+      const user = await User.findById(challenge.userId);
+      const login = await this._completeTwoFactorLogin(challengeToken, user, challenge);
+
+      return { recoveryCodes, ...login };
+    } catch (error) {
+      logger.error('Enabling two-factor authentication failed', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh access token
+   * Rotates the refresh token of the session; a refresh token can only be used once.
+   * @param {string} refreshToken - Refresh token
+   * @param {string} [ipAddress] - Client IP address
+   * @returns {Promise<Object>} New token pair
+   */
+  async refreshToken(refreshToken, ipAddress) {
+    try {
+      // Rotate the token within its session (revokes the session on reuse)
+      const { session, refreshToken: nextRefreshToken } = await sessionService.rotateRefreshToken(
+        refreshToken,
+        { ipAddress }
+      );
+
       // Get user
-      const user = await User.findById(decoded.userId);
+      const user = await User.findById(session.user);
       if (!user || !user.isActive) {
+        await sessionService.revokeSession(session.user, session._id, REVOKE_REASONS.ACCOUNT_INACTIVE);
         throw new Error('User not found or inactive');
       }
 
-      // Generate new token pair
-      const tokens = this._generateTokenPair(user._id, user.email, user.role);
-
-      // Blacklist old refresh token
-      await this._blacklistToken(refreshToken);
-
-      // Store new refresh token
-      await this._storeRefreshToken(user._id.toString(), tokens.refreshToken);
+      const tokens = {
+        accessToken: this._generateAccessToken(user, session._id),
+        refreshToken: nextRefreshToken
+      };
 
-      logger.info('Token refreshed successfully', { userId: user._id });
+      logger.info('Token refreshed successfully', { userId: user._id, sessionId: session._id });
 
       return { tokens };
     } catch (error) {
@@ -210,28 +308,47 @@ class AuthService {
   }
 
   /**
-   * Logout user
+   * Logout user from the current device
    * @param {string} userId - User ID
-   * @param {string} refreshToken - Refresh token to invalidate
+   * @param {string} sessionId - Session of the access token used
    * @returns {Promise<void>}
    */
-  async logout(userId, refreshToken) {
+  async logout(userId, sessionId) {
     try {
-      // Blacklist refresh token
-      if (refreshToken) {
-        await this._blacklistToken(refreshToken);
+      if (sessionId) {
+        await sessionService.revokeSession(userId, sessionId, REVOKE_REASONS.LOGOUT).catch(error => {
+          // Already revoked or expired: the device is logged out either way
+          if (!(error instanceof NotFoundError)) {
+            throw error;
+          }
+        });
       }
 
-      // Remove refresh token from Redis
-      await this._removeRefreshToken(userId);
-
-      logger.info('User logged out successfully', { userId });
+      logger.info('User logged out successfully', { userId, sessionId });
     } catch (error) {
       logger.error('Logout failed', { error: error.message, userId });
       throw error;
     }
   }
 
+  /**
+   * Logout user from every device
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of sessions ended
+   */
+  async logoutAll(userId) {
+    try {
+      const count = await sessionService.revokeAllSessions(userId, REVOKE_REASONS.LOGOUT_ALL);
+
+      logger.info('User logged out from all devices', { userId, count });
+
+      return count;
+    } catch (error) {
+      logger.error('Logout from all devices failed', { error: error.message, userId });
+      throw error;
+    }
+  }
+
   /**
    * Request password reset
    * @param {string} email - User email
@@ -302,8 +419,8 @@ class AuthService {
       // Remove reset token from Redis
       await this._removeResetToken(user.email);
 
-      // Invalidate all existing refresh tokens
-      await this._removeRefreshToken(user._id.toString());
+      // Sign out every device
+      await sessionService.revokeAllSessions(user._id, REVOKE_REASONS.PASSWORD_CHANGED);
 
       logger.info('Password reset successfully', { userId: user._id });
     } catch (error) {
@@ -317,9 +434,10 @@ class AuthService {
    * @param {string} userId - User ID
    * @param {string} currentPassword - Current password
    * @param {string} newPassword - New password
+   * @param {string} [currentSessionId] - Session that stays signed in
    * @returns {Promise<void>}
    */
-  async changePassword(userId, currentPassword, newPassword) {
+  async changePassword(userId, currentPassword, newPassword, currentSessionId) {
     try {
       const user = await User.findById(userId).select('+password');
       if (!user) {
@@ -352,8 +470,8 @@ class AuthService {
       user.passwordChangedAt = Date.now();
       await user.save();
 
-      // Invalidate all existing refresh tokens
-      await this._removeRefreshToken(userId);
+      // Sign out every other device
+      await sessionService.revokeAllSessions(userId, REVOKE_REASONS.PASSWORD_CHANGED, currentSessionId);
 
       logger.info('Password changed successfully', { userId });
     } catch (error) {
@@ -379,11 +497,11 @@ class AuthService {
       });
 
       if (!user) {
-        throw new Error('Invalid or expired verification token');
+        throw new ValidationError('Invalid or expired verification token');
       }
 
       // Update user
-      user.isEmailVerified = true;
+      user.isVerified = true;
       user.emailVerificationToken = undefined;
       user.emailVerificationExpires = undefined;
       await user.save();
@@ -396,24 +514,147 @@ class AuthService {
   }
 
   /**
-   * Generate token pair
-   * @private
-   * @param {string} userId - User ID
+   * Send a new verification link
+   * Does nothing, without saying so, for unknown or already verified emails and
+   * once MAX_VERIFICATION_RESENDS is reached. The previous link stops working.
    * @param {string} email - User email
-   * @param {string} role - User role
-   * @returns {Object} Access and refresh tokens
-   */
-  _generateTokenPair(userId, email, role) {
-    const payload = {
-      userId: userId.toString(),
-      email,
-      role
+   * @returns {Promise<void>}
+   */
+  async resendVerification(email) {
+    try {
+      const key = this._getVerificationResendKey(email);
+      const resends = await this._getAttempts(key);
+      if (resends >= this.MAX_VERIFICATION_RESENDS) {
+        logger.warn('Verification email resend throttled', { email });
+        return;
+      }
+
+      await this._trackAttempt(key, false);
+
+      const user = await User.findOne({ email: email.toLowerCase() });
+      if (!user || user.isVerified) {
+        logger.warn('Verification email requested for unknown or verified email', { email });
+        return;
+      }
+
+      const verificationToken = user.generateEmailVerificationToken();
+      await user.save();
+
+      await this._sendVerificationEmail(user, verificationToken);
+
+      logger.info('Verification email resent', { userId: user._id });
+    } catch (error) {
+      logger.error('Verification email resend failed', { error: error.message, email });
+      throw error;
+    }
+  }
+
+  /**
+   * Sign in a user whose identity was checked (password or OAuth provider)
+   * Enrolled users, and roles that must enroll, get a two-factor challenge instead of tokens.
+   * @private
+   * @param {Object} user - User document
+   * @param {Object} device - { deviceName, userAgent, ipAddress }
+   * @returns {Promise<Object>} User object and tokens, or a two-factor challenge
+   */
+  async _signIn(user, device) {
+    const twoFactorEnabled = Boolean(user.twoFactor && user.twoFactor.enabled);
+    if (twoFactorEnabled || twoFactorService.isRequired(user)) {
+      const purpose = twoFactorEnabled ? 'verify' : 'setup';
+      const challengeToken = await this._createTwoFactorChallenge(user._id, purpose, device);
+
+      logger.info('Identity confirmed, two-factor step pending', { userId: user._id, purpose, ipAddress: device.ipAddress });
+
+      return {
+        twoFactorRequired: twoFactorEnabled,
+        twoFactorSetupRequired: !twoFactorEnabled,
+        challengeToken,
+        expiresIn: config.twoFactor.challengeTtl
+      };
+    }
+
+    // Update last login
+    user.lastLogin = new Date();
+    await user.save();
+
+    // Start a session for this device, leaving the user's other devices signed in
+    const tokens = await this._startSession(user, device);
+
+    logger.info('User logged in successfully', { userId: user._id, email: user.email, ipAddress: device.ipAddress });
+
+    return this._authResult(user, tokens);
+  }
+
+  /**
+   * Queue the email with the verification link
+   * A mail failure does not fail the request; the user can ask for a new link.
+   * @private
+   * @param {Object} user - User document
+   * @param {string} verificationToken - Unhashed verification token
+   * @returns {Promise<void>}
+   */
+  async _sendVerificationEmail(user, verificationToken) {
+    try {
+      await emailService.sendAccountVerification(user.email, {
+        userName: user.firstName || user.email,
+        verificationToken,
+        expirationTime: '24 hours'
+      });
+    } catch (error) {
+      logger.error('Failed to queue verification email', { error: error.message, userId: user._id });
+    }
+  }
+
+  /**
+   * Response of a completed login or registration
+   * @private
+   * @param {Object} user - User document
+   * @param {Object} tokens - Access and refresh tokens
+   * @returns {Object} User object and tokens, flagged when the email still needs verifying
+   */
+  _authResult(user, tokens) {
+    const result = {
+      user: this._sanitizeUser(user),
+      tokens
     };
 
-    const accessToken = Jwt.generateAccessToken(payload);
-    const refreshToken = Jwt.generateRefreshToken({ userId: userId.toString() });
+    if (config.features.enableEmailVerification && !user.isVerified) {
+      result.emailVerificationRequired = true;
+    }
+
+    return result;
+  }
+
+  /**
+   * Start a session for a device and issue its token pair
+   * @private
+   * @param {Object} user - User document
+   * @param {Object} device - { deviceName, userAgent, ipAddress }
+   * @returns {Promise<Object>} Access and refresh tokens
+   */
+  async _startSession(user, device) {
+    const { session, refreshToken } = await sessionService.createSession(user._id, device);
 
-    return { accessToken, refreshToken };
+    return {
+      accessToken: this._generateAccessToken(user, session._id),
+      refreshToken
+    };
+  }
+
+  /**
+   * Generate access token
+   * @private
+   * @param {Object} user - User document
+   * @param {string} sessionId - Session the token belongs to
+   * @returns {string} Access token
+   */
+  _generateAccessToken(user, sessionId) {
+    return Jwt.generateAccessToken({
+      userId: user._id.toString(),
+      email: user.email,
+      role: user.role,
+      sessionId: sessionId.toString()
+    });
   }
 
   /**
@@ -430,20 +671,22 @@ class AuthService {
     delete userObj.passwordResetExpires;
     delete userObj.emailVerificationToken;
     delete userObj.emailVerificationExpires;
+    if (userObj.twoFactor) {
+      userObj.twoFactor = { enabled: userObj.twoFactor.enabled, enabledAt: userObj.twoFactor.enabledAt };
+    }
     return userObj;
   }
 
   /**
-   * Track login attempt
+   * Track a failed or successful attempt
+   * Counts attempts in a window of LOGIN_ATTEMPT_WINDOW; a success resets the count.
    * @private
-   * @param {string} email - User email
-   * @param {boolean} success - Whether login was successful
+   * @param {string} key - Attempt counter Redis key
+   * @param {boolean} success - Whether the attempt was successful
    * @returns {Promise<void>}
    */
-  async _trackLoginAttempt(email, success) {
+  async _trackAttempt(key, success) {
     try {
-      const key = `login_attempts:${email}`;
-
       if (success) {
         await this.redisService.client.del(key);
       } else {
@@ -453,125 +696,160 @@ class AuthService {
         }
       }
     } catch (error) {
-      logger.error('Failed to track login attempt', { error: error.message, email });
+      logger.error('Failed to track attempt', { error: error.message, key });
     }
   }
 
   /**
-   * Get login attempts count
+   * Get failed attempts count
    * @private
-   * @param {string} email - User email
+   * @param {string} key - Attempt counter Redis key
    * @returns {Promise<number>} Number of attempts
    */
-  async _getLoginAttempts(email) {
+  async _getAttempts(key) {
     try {
-      const key = `login_attempts:${email}`;
       const attempts = await this.redisService.client.get(key);
       return parseInt(attempts) || 0;
     } catch (error) {
-      logger.error('Failed to get login attempts', { error: error.message, email });
+      logger.error('Failed to get attempts', { error: error.message, key });
       return 0;
     }
   }
 
   /**
-   * Clear login attempts
+   * Clear failed attempts
    * @private
-   * @param {string} email - User email
+   * @param {string} key - Attempt counter Redis key
    * @returns {Promise<void>}
    */
-  async _clearLoginAttempts(email) {
+  async _clearAttempts(key) {
     try {
-      const key = `login_attempts:${email}`;
       await this.redisService.client.del(key);
     } catch (error) {
-      logger.error('Failed to clear login attempts', { error: error.message, email });
+      logger.error('Failed to clear attempts', { error: error.message, key });
     }
   }
 
   /**
-   * Store refresh token in Redis
+   * Get login attempts Redis key
+   * @private
+   * @param {string} email - User email
+   * @returns {string} Redis key
+   */
+  _getLoginAttemptKey(email) {
+    return `login_attempts:${email}`;
+  }
+
+  /**
+   * Get verification resend counter Redis key
+   * @private
+   * @param {string} email - User email
+   * @returns {string} Redis key
+   */
+  _getVerificationResendKey(email) {
+    return `verification_resends:${email.toLowerCase()}`;
+  }
+
+  /**
+   * Get two-factor attempts Redis key
    * @private
    * @param {string} userId - User ID
-   * @param {string} token - Refresh token
-   * @returns {Promise<void>}
+   * @returns {string} Redis key
    */
-  async _storeRefreshToken(userId, token) {
-    try {
-      const key = this._getRefreshTokenKey(userId);
-      await this.redisService.client.setex(key, 7 * 24 * 60 * 60, token); // 7 days
-    } catch (error) {
-      logger.error('Failed to store refresh token', { error: error.message, userId });
-      throw error;
-    }
+  _getTwoFactorAttemptKey(userId) {
+    return `2fa_attempts:${userId}`;
   }
 
   /**
-   * Get refresh token from Redis
+   * Store a two-factor challenge for a user whose password was accepted
    * @private
    * @param {string} userId - User ID
-   * @returns {Promise<string|null>} Refresh token
+   * @param {string} purpose - 'verify' (enter a code) or 'setup' (enroll first)
+   * @param {Object} device - Device of the session to start afterwards
+   * @returns {Promise<string>} Challenge token
    */
-  async _getRefreshToken(userId) {
-    try {
-      const key = this._getRefreshTokenKey(userId);
-      return await this.redisService.client.get(key);
-    } catch (error) {
-      logger.error('Failed to get refresh token', { error: error.message, userId });
-      return null;
+  async _createTwoFactorChallenge(userId, purpose, device) {
+    const challengeToken = crypto.randomBytes(32).toString('hex');
+
+    await this.redisService.client.setex(
+      this._getTwoFactorChallengeKey(challengeToken),
+      config.twoFactor.challengeTtl,
+      JSON.stringify({ userId: userId.toString(), purpose, device })
+    );
+
+    return challengeToken;
+  }
+
+  /**
+   * Look up a two-factor challenge
+   * @private
+   * @param {string} challengeToken - Challenge token from login
+   * @param {string} purpose - Expected purpose
+   * @returns {Promise<Object>} { userId, purpose, device }
+   * @throws {AuthenticationError} If the challenge is unknown, expired or for another purpose
+   */
+  async _getTwoFactorChallenge(challengeToken, purpose) {
+    const stored = challengeToken
+      ? await this.redisService.client.get(this._getTwoFactorChallengeKey(challengeToken))
+      : null;
+    const challenge = stored ? JSON.parse(stored) : null;
+
+    if (!challenge || challenge.purpose !== purpose) {
+      throw new AuthenticationError('Invalid or expired two-factor challenge. Please login again.');
     }
+
+    return challenge;
   }
 
   /**
-   * Remove refresh token from Redis
+   * Refuse further codes once a user made too many wrong ones
+   * The challenge is dropped as well, so the password has to be entered again.
    * @private
+   * @param {string} challengeToken - Challenge token
    * @param {string} userId - User ID
    * @returns {Promise<void>}
    */
-  async _removeRefreshToken(userId) {
-    try {
-      const key = this._getRefreshTokenKey(userId);
-      await this.redisService.client.del(key);
-    } catch (error) {
-      logger.error('Failed to remove refresh token', { error: error.message, userId });
+  async _checkTwoFactorAttempts(challengeToken, userId) {
+    const attempts = await this._getAttempts(this._getTwoFactorAttemptKey(userId));
+
+    if (attempts >= this.MAX_LOGIN_ATTEMPTS) {
+      await this.redisService.client.del(this._getTwoFactorChallengeKey(challengeToken));
+      logger.warn('Too many two-factor attempts', { userId });
+      throw new AuthenticationError('Too many verification attempts. Please try again later.');
     }
   }
 
   /**
-   * Blacklist token
+   * Finish a login that was waiting on two-factor authentication
    * @private
-   * @param {string} token - Token to blacklist
-   * @returns {Promise<void>}
+   * @param {string} challengeToken - Challenge token, consumed here
+   * @param {Object} user - User document
+   * @param {Object} challenge - Stored challenge
+   * @returns {Promise<Object>} User object and tokens
    */
-  async _blacklistToken(token) {
-    try {
-      const key = this._getBlacklistKey(token);
-      const decoded = Jwt.decodeToken(token);
-      const expiresIn = decoded.exp - Math.floor(Date.now() / 1000);
+  async _completeTwoFactorLogin(challengeToken, user, challenge) {
+    user.lastLogin = new Date();
 
-      if (expiresIn > 0) {
-        await this.redisService.client.setex(key, expiresIn, '1');
-      }
-    } catch (error) {
-      logger.error('Failed to blacklist token', { error: error.message });
-    }
+    await this.redisService.client.del(this._getTwoFactorChallengeKey(challengeToken));
+    await this._clearAttempts(this._getTwoFactorAttemptKey(user._id));
+    await user.save();
+
+    const tokens = await this._startSession(user, challenge.device);
+
+    logger.info('User logged in successfully', { userId: user._id, ipAddress: challenge.device.ipAddress, twoFactor: true });
+
+    return this._authResult(user, tokens);
   }
 
   /**
-   * Check if token is blacklisted
+   * Get two-factor challenge Redis key
+   * Only a hash of the token is stored.
    * @private
-   * @param {string} token - Token to check
-   * @returns {Promise<boolean>} True if blacklisted
+   * @param {string} challengeToken - Challenge token
+   * @returns {string} Redis key
    */
-  async _isTokenBlacklisted(token) {
-    try {
-      const key = this._getBlacklistKey(token);
-      const result = await this.redisService.client.get(key);
-      return result !== null;
-    } catch (error) {
-      logger.error('Failed to check token blacklist', { error: error.message });
-      return false;
-    }
+  _getTwoFactorChallengeKey(challengeToken) {
+    return `2fa_challenge:${crypto.createHash('sha256').update(challengeToken).digest('hex')}`;
   }
 
   /**
@@ -605,26 +883,6 @@ class AuthService {
     }
   }
 
-  /**
-   * Get refresh token Redis key
-   * @private
-   * @param {string} userId - User ID
-   * @returns {string} Redis key
-   */
-  _getRefreshTokenKey(userId) {
-    return `refresh_token:${userId}`;
-  }
-
-  /**
-   * Get blacklist Redis key
-   * @private
-   * @param {string} token - Token
-   * @returns {string} Redis key
-   */
-  _getBlacklistKey(token) {
-    return `blacklist:${token}`;
-  }
-
   /**
    * Get reset token Redis key
    * @private
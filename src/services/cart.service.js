@@ -13,8 +13,13 @@ const Product = require('../models/Product');
 const RedisService = require('./redis.service');
 
 
+const promoCodeService = require('./promoCode.service');
+
+
 const logger = require('../utils/logger');
 
+const { ValidationError } = require('../utils/errors');
+
 /**
  * Shopping Cart Service
  * Handles all cart operations with Redis caching and MongoDB persistence
@@ -84,9 +89,10 @@ class CartService {
    * @param {String} sessionId - Session ID
    * @param {String} productId - Product ID
    * @param {Number} quantity - Quantity to add
+   * @param {Object} selection - Variant selection ({ variantId } or { options }), required for products with variants
    * @returns {Promise<Object>} Updated cart
    */
-  async addItem(userId, sessionId, productId, quantity) {
+  async addItem(userId, sessionId, productId, quantity, selection = {}) {
     try {
       if (!productId || !quantity || quantity < 1) {
         throw new Error('Valid productId and quantity are required');
@@ -98,19 +104,25 @@ class CartService {
         throw new Error('Product not found');
       }
 
-      if (!product.isInStock()) {
+      const variant = this.resolveVariant(product, selection);
+      const variantId = variant ? variant._id : null;
+
+      if (!product.isInStock(variantId)) {
         throw new Error('Product is out of stock');
       }
 
-      if (!product.canPurchase(quantity)) {
-        throw new Error(`Insufficient stock. Available: ${product.inventory.quantity}`);
+      if (!product.canPurchase(quantity, variantId)) {
+        throw new Error(`Insufficient stock. Available: ${product.getStock(variantId)}`);
       }
 
       // Get cart
       const cart = await this.getCart(userId, sessionId);
 
       // Add item using Cart model method
-      await cart.addItem(productId, quantity);
+      await cart.addItem(productId, quantity, variantId);
+
+      // Re-evaluate any applied promo code against the new contents
+      await this._refreshPromoDiscount(cart, userId);
 
       // Recalculate totals
       await cart.calculateTotals();
@@ -129,6 +141,7 @@ class CartService {
         userId,
         sessionId,
         productId,
+        variantId,
         quantity,
         cartId: cart._id
       });
@@ -152,9 +165,10 @@ class CartService {
    * @param {String} sessionId - Session ID
    * @param {String} productId - Product ID
    * @param {Number} quantity - New quantity
+   * @param {String|null} variantId - Variant of the cart line
    * @returns {Promise<Object>} Updated cart
    */
-  async updateItemQuantity(userId, sessionId, productId, quantity) {
+  async updateItemQuantity(userId, sessionId, productId, quantity, variantId = null) {
     try {
       if (!productId || quantity < 0) {
         throw new Error('Valid productId and quantity are required');
@@ -162,7 +176,7 @@ class CartService {
 
       // If quantity is 0, remove item
       if (quantity === 0) {
-        return await this.removeItem(userId, sessionId, productId);
+        return await this.removeItem(userId, sessionId, productId, variantId);
       }
 
       // Verify product availability
@@ -171,15 +185,18 @@ class CartService {
         throw new Error('Product not found');
       }
 
-      if (!product.canPurchase(quantity)) {
-        throw new Error(`Insufficient stock. Available: ${product.inventory.quantity}`);
+      if (!product.canPurchase(quantity, variantId)) {
+        throw new Error(`Insufficient stock. Available: ${product.getStock(variantId)}`);
       }
 
       // Get cart
       const cart = await this.getCart(userId, sessionId);
 
       // Update quantity using Cart model method
-      await cart.updateQuantity(productId, quantity);
+      await cart.updateQuantity(productId, quantity, variantId);
+
+      // Re-evaluate any applied promo code against the new contents
+      await this._refreshPromoDiscount(cart, userId);
 
       // Recalculate totals
       await cart.calculateTotals();
@@ -220,9 +237,10 @@ class CartService {
    * @param {String} userId - User ID
    * @param {String} sessionId - Session ID
    * @param {String} productId - Product ID
+   * @param {String|null} variantId - Variant of the cart line
    * @returns {Promise<Object>} Updated cart
    */
-  async removeItem(userId, sessionId, productId) {
+  async removeItem(userId, sessionId, productId, variantId = null) {
     try {
       if (!productId) {
         throw new Error('Product ID is required');
@@ -232,7 +250,10 @@ class CartService {
       const cart = await this.getCart(userId, sessionId);
 
       // Remove item using Cart model method
-      await cart.removeItem(productId);
+      await cart.removeItem(productId, variantId);
+
+      // Re-evaluate any applied promo code against the new contents
+      await this._refreshPromoDiscount(cart, userId);
 
       // Recalculate totals
       await cart.calculateTotals();
@@ -320,17 +341,14 @@ class CartService {
         throw new Error('Cannot apply promo code to empty cart');
       }
 
-      // TODO: Validate promo code with PromoCode service
-      // For now, apply a simple 10% discount
-      const discountPercentage = 10;
-      cart.promoCode = promoCode.toUpperCase();
-      cart.discount = (cart.subtotal * discountPercentage) / 100;
-
-      // Recalculate totals
-      await cart.calculateTotals();
+      // Validate promo code against the cart contents
+      const result = await promoCodeService.validatePromoCode(promoCode, {
+        userId,
+        items: this._toPromoItems(cart)
+      });
 
-      // Save cart
-      await cart.save();
+      // Apply discount, recalculate totals and save
+      await cart.applyPromoCode(result.promoCode.code, result.discount);
 
       // Populate product details
       await cart.populate('items.productId', 'name price sku image inventory');
@@ -399,6 +417,101 @@ class CartService {
     }
   }
 
+  /**
+   * Resolve the variant a customer selected for a product
+   * Products with variants can only be bought as one of their variants, picked
+   * either by ID or by an attribute combination that must exist on the product.
+   * @param {Object} product - Product document
+   * @param {Object} selection - { variantId, options }
+   * @returns {Object|null} Variant, or null for products without variants
+   */
+  resolveVariant(product, { variantId = null, options = null } = {}) {
+    const hasOptions = options && Object.keys(options).length > 0;
+
+    if (!product.variants || product.variants.length === 0) {
+      if (variantId || hasOptions) {
+        throw new ValidationError(`${product.name} has no options to select`);
+      }
+      return null;
+    }
+
+    let variant = null;
+
+    if (variantId) {
+      variant = product.findVariant(variantId);
+      if (!variant) {
+        throw new ValidationError('Selected variant does not exist', [
+          { field: 'variantId', message: 'Variant not found for this product' }
+        ]);
+      }
+      if (hasOptions && product.findVariantByOptions(options) !== variant) {
+        throw new ValidationError('Selected options do not match the selected variant', [
+          { field: 'options', message: 'Options do not match variant' }
+        ]);
+      }
+      return variant;
+    }
+
+    if (!hasOptions) {
+      throw new ValidationError(`Please select options for ${product.name}`, [
+        { field: 'options', message: 'A variant selection is required' }
+      ]);
+    }
+
+    variant = product.findVariantByOptions(options);
+    if (!variant) {
+      throw new ValidationError('This combination of options is not available', [
+        { field: 'options', message: 'No variant matches the selected options' }
+      ]);
+    }
+
+    return variant;
+  }
+
+  /**
+   * Recompute the discount of an applied promo code after the cart changed
+   * Drops the code when the cart no longer qualifies for it
+   * @param {Object} cart - Cart document
+   * @param {String} userId - User ID
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _refreshPromoDiscount(cart, userId) {
+    if (!cart.promoCode) {
+      return;
+    }
+
+    try {
+      const result = await promoCodeService.validatePromoCode(cart.promoCode, {
+        userId,
+        items: this._toPromoItems(cart)
+      });
+      cart.discount = result.discount;
+    } catch (error) {
+      logger.warn('Promo code removed from cart', {
+        cartId: cart._id,
+        promoCode: cart.promoCode,
+        reason: error.message
+      });
+      cart.promoCode = null;
+      cart.discount = 0;
+    }
+  }
+
+  /**
+   * Map cart items to the shape expected by the promo code service
+   * @param {Object} cart - Cart document
+   * @returns {Array} Items ({ productId, price, quantity })
+   * @private
+   */
+  _toPromoItems(cart) {
+    return cart.items.map(item => ({
+      productId: item.productId._id || item.productId,
+      price: item.price,
+      quantity: item.quantity
+    }));
+  }
+
   /**
    * Merge guest cart with user cart after login
    * @param {String} userId - User ID
@@ -440,9 +553,8 @@ class CartService {
 
       // Merge guest cart items into user cart
       for (const guestItem of guestCart.items) {
-        const existingItem = userCart.items.find(
-          item => item.productId.toString() === guestItem.productId.toString()
-        );
+        const existingIndex = userCart.findItemIndex(guestItem.productId, guestItem.variantId);
+        const existingItem = existingIndex > -1 ? userCart.items[existingIndex] : null;
 
         if (existingItem) {
           // Update quantity if item exists
@@ -517,12 +629,18 @@ class CartService {
           continue;
         }
 
-        if (!product.isInStock()) {
+        if (item.variantId && !product.findVariant(item.variantId)) {
+          errors.push(`The selected option for ${item.name} is no longer available`);
+          unavailableItems.push(item.productId);
+          continue;
+        }
+
+        if (!product.isInStock(item.variantId)) {
           errors.push(`Product ${item.name} is out of stock`);
           unavailableItems.push(item.productId);
           continue;
         }
 
-        if (!product.canPurchase(item.quantity)) {
-          errors.push(`Insufficient stock for ${item.name}. Available: ${product.inventory.quantity}`);
+        if (!product.canPurchase(item.quantity, item.variantId)) {
+          errors.push(`Insufficient stock for ${item.name}. Available: ${product.getStock(item.variantId)}`);
           unavailableItems.push(item.productI
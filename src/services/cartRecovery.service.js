@@ -0,0 +1,475 @@
+// File: src/services/cartRecovery.service.js
+// Generated: 2025-10-16 15:08:47 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_w3hc8nq2ka5b
+
+
+const Cart = require('../models/Cart');
+
+
+const CartRecovery = require('../models/CartRecovery');
+
+
+const CartService = require('./cart.service');
+
+
+const Order = require('../models/Order');
+
+
+const User = require('../models/User');
+
+
+const config = require('../config/environment');
+
+
+const crypto = require('crypto');
+
+
+const emailService = require('./email.service');
+
+
+const logger = require('../utils/logger');
+
+
+const promoCodeService = require('./promoCode.service');
+
+const { NotFoundError } = require('../utils/errors');
+
+const { RECOVERY_STATUS } = CartRecovery;
+
+/**
+ * Cart Recovery Service
+ * Finds carts left idle by signed-in users, emails them a sequence of
+ * reminders with a signed restore-cart link (and optionally a one-off promo
+ * code on the last one), and tracks which abandoned carts turned into orders.
+ */
+class CartRecoveryService {
+  constructor() {
+    this.cartService = new CartService();
+  }
+
+  /**
+   * Run one recovery pass
+   * Stops reminders for users who ordered before anything else is sent.
+   * @returns {Promise<Object>} { abandoned, recovered, expired, reminded }
+   */
+  async processAbandonedCarts() {
+    try {
+      const now = new Date();
+
+      const abandoned = await this._markAbandoned(now);
+      const { recovered, expired } = await this._closeRecoveries(now);
+      const reminded = await this._sendDueReminders(now);
+
+      if (abandoned || recovered || expired || reminded) {
+        logger.info('Cart recovery processed', { abandoned, recovered, expired, reminded });
+      }
+
+      return { abandoned, recovered, expired, reminded };
+    } catch (error) {
+      logger.error('Failed to process abandoned carts', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Restore an abandoned cart from a reminder email link
+   * The link only works for the user the cart belongs to. A promo code sent
+   * with the reminders is applied when it still validates against the cart.
+   * @param {string} userId - Signed-in user ID
+   * @param {string} token - Token from the restore link
+   * @returns {Promise<Object>} { cart, promoCode }
+   */
+  async restoreCart(userId, token) {
+    try {
+      const recoveryId = this._verifyRestoreToken(token);
+      const recovery = recoveryId ? await CartRecovery.findById(recoveryId) : null;
+
+      // Links of other users look exactly like unknown links
+      if (!recovery || String(recovery.user) !== String(userId)) {
+        throw new NotFoundError('Cart');
+      }
+
+      const cart = await Cart.findById(recovery.cart);
+
+      if (!cart || String(cart.userId) !== String(userId) || cart.status === 'converted') {
+        throw new NotFoundError('Cart');
+      }
+
+      cart.status = 'active';
+      cart.lastActivity = new Date();
+      await cart.save();
+
+      if (!recovery.restoredAt) {
+        recovery.restoredAt = new Date();
+        await recovery.save();
+      }
+
+      let promoCode = null;
+
+      if (recovery.promoCode && recovery.status === RECOVERY_STATUS.OPEN && !cart.promoCode && cart.items.length > 0) {
+        try {
+          await this.cartService.applyPromoCode(userId, null, recovery.promoCode);
+          promoCode = recovery.promoCode;
+        } catch (error) {
+          // An expired or already used code must not block the restore
+          logger.warn('Could not apply recovery promo code', {
+            recoveryId: recovery._id,
+            promoCode: recovery.promoCode,
+            error: error.message
+          });
+        }
+      }
+
+      logger.info('Abandoned cart restored', { userId, cartId: cart._id, recoveryId: recovery._id, promoCode });
+
+      return {
+        cart: await Cart.findById(cart._id),
+        promoCode
+      };
+    } catch (error) {
+      logger.error('Failed to restore cart', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Recovery metrics for carts abandoned in a date range
+   * @param {Object} [range] - { from, to } (defaults to the last 30 days)
+   * @returns {Promise<Object>} Totals, recovery rate and recoveries by reminder count
+   */
+  async getRecoveryMetrics({ from, to } = {}) {
+    try {
+      const end = to ? new Date(to) : new Date();
+      const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+      const match = { abandonedAt: { $gte: start, $lte: end } };
+
+      const isRecovered = { $eq: ['$status', RECOVERY_STATUS.RECOVERED] };
+
+      const [totals] = await CartRecovery.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            abandoned: { $sum: 1 },
+            abandonedValue: { $sum: '$cartValue' },
+            reminded: { $sum: { $cond: [{ $gt: ['$remindersSent', 0] }, 1, 0] } },
+            remindersSent: { $sum: '$remindersSent' },
+            restored: { $sum: { $cond: [{ $gt: ['$restoredAt', null] }, 1, 0] } },
+            recovered: { $sum: { $cond: [isRecovered, 1, 0] } },
+            recoveredRevenue: { $sum: { $cond: [isRecovered, '$orderTotal', 0] } },
+            open: { $sum: { $cond: [{ $eq: ['$status', RECOVERY_STATUS.OPEN] }, 1, 0] } },
+            expired: { $sum: { $cond: [{ $eq: ['$status', RECOVERY_STATUS.EXPIRED] }, 1, 0] } }
+          }
+        }
+      ]);
+
+      const byReminders = await CartRecovery.aggregate([
+        { $match: { ...match, status: RECOVERY_STATUS.RECOVERED } },
+        { $group: { _id: '$remindersSent', count: { $sum: 1 }, revenue: { $sum: '$orderTotal' } } },
+        { $sort: { _id: 1 } }
+      ]);
+
+      const summary = {
+        abandoned: 0,
+        abandonedValue: 0,
+        reminded: 0,
+        remindersSent: 0,
+        restored: 0,
+        recovered: 0,
+        recoveredRevenue: 0,
+        open: 0,
+        expired: 0,
+        ...(totals || {})
+      };
+      delete summary._id;
+
+      // Open recoveries can still convert, so the rate is over closed ones
+      const closed = summary.recovered + summary.expired;
+
+      return {
+        from: start,
+        to: end,
+        ...summary,
+        abandonedValue: Math.round(summary.abandonedValue * 100) / 100,
+        recoveredRevenue: Math.round(summary.recoveredRevenue * 100) / 100,
+        recoveryRate: closed > 0 ? Math.round((summary.recovered / closed) * 10000) / 100 : 0,
+        recoveredByReminders: byReminders.map(row => ({
+          remindersSent: row._id,
+          count: row.count,
+          revenue: Math.round(row.revenue * 100) / 100
+        }))
+      };
+    } catch (error) {
+      logger.error('Failed to get cart recovery metrics', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark idle carts of signed-in users as abandoned and open a recovery for each
+   * Guest carts are skipped: there is no address to remind.
+   * @private
+   * @returns {Promise<number>} Recoveries opened
+   */
+  async _markAbandoned(now) {
+    const carts = await Cart.find({
+      status: 'active',
+      userId: { $ne: null },
+      'items.0': { $exists: true },
+      lastActivity: { $lte: new Date(now.getTime() - config.cartRecovery.abandonAfter) }
+    }).select('userId items lastActivity');
+
+    if (carts.length === 0) {
+      return 0;
+    }
+
+    // updateMany skips the save hook, which would flip them back to active
+    await Cart.updateMany(
+      { _id: { $in: carts.map(cart => cart._id) }, status: 'active' },
+      { $set: { status: 'abandoned' } }
+    );
+
+    const users = await User.find({ _id: { $in: carts.map(cart => cart.userId) }, isActive: true })
+      .select('email');
+    const emails = new Map(users.map(user => [String(user._id), user.email]));
+
+    const recoveries = carts
+      .filter(cart => emails.has(String(cart.userId)))
+      .map(cart => ({
+        cart: cart._id,
+        user: cart.userId,
+        email: emails.get(String(cart.userId)),
+        abandonedAt: cart.lastActivity,
+        cartValue: Math.round(cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100,
+        itemCount: cart.items.reduce((sum, item) => sum + item.quantity, 0)
+      }));
+
+    if (recoveries.length === 0) {
+      return 0;
+    }
+
+    try {
+      const created = await CartRecovery.insertMany(recoveries, { ordered: false });
+      return created.length;
+    } catch (error) {
+      // A cart abandoned again while its previous recovery is still open keeps that one
+      if (error.code === 11000 || (error.writeErrors && error.writeErrors.every(e => e.code === 11000))) {
+        return error.insertedDocs ? error.insertedDocs.length : 0;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Close open recoveries: recovered once the user orders, expired once the
+   * attribution window after the last scheduled reminder has passed
+   * @private
+   * @returns {Promise<Object>} { recovered, expired }
+   */
+  async _closeRecoveries(now) {
+    const open = await CartRecovery.find({ status: RECOVERY_STATUS.OPEN });
+
+    if (open.length === 0) {
+      return { recovered: 0, expired: 0 };
+    }
+
+    const since = new Date(Math.min(...open.map(recovery => recovery.abandonedAt.getTime())));
+    const orders = await Order.find({
+      user: { $in: open.map(recovery => recovery.user) },
+      createdAt: { $gte: since },
+      status: { $nin: ['cancelled', 'payment_failed'] }
+    })
+      .select('user pricing.total createdAt')
+      .sort({ createdAt: 1 });
+
+    const { reminderSchedule, attributionWindow } = config.cartRecovery;
+    const lastReminderDelay = reminderSchedule.length > 0 ? reminderSchedule[reminderSchedule.length - 1] : 0;
+
+    const operations = [];
+    let recovered = 0;
+    let expired = 0;
+
+    for (const recovery of open) {
+      const order = orders.find(candidate =>
+        String(candidate.user) === String(recovery.user) && candidate.createdAt >= recovery.abandonedAt
+      );
+
+      if (order) {
+        recovered++;
+        operations.push({
+          updateOne: {
+            filter: { _id: recovery._id, status: RECOVERY_STATUS.OPEN },
+            update: {
+              $set: {
+                status: RECOVERY_STATUS.RECOVERED,
+                order: order._id,
+                orderTotal: order.pricing.total,
+                closedAt: order.createdAt
+              }
+            }
+          }
+        });
+      } else if (now.getTime() > recovery.abandonedAt.getTime() + lastReminderDelay + attributionWindow) {
+        expired++;
+        operations.push({
+          updateOne: {
+            filter: { _id: recovery._id, status: RECOVERY_STATUS.OPEN },
+            update: { $set: { status: RECOVERY_STATUS.EXPIRED, closedAt: now } }
+          }
+        });
+      }
+    }
+
+    if (operations.length > 0) {
+      await CartRecovery.bulkWrite(operations, { ordered: false });
+    }
+
+    return { recovered, expired };
+  }
+
+  /**
+   * Send every reminder that has come due
+   * Carts that are active again or emptied get no further reminders.
+   * @private
+   * @returns {Promise<number>} Reminders sent
+   */
+  async _sendDueReminders(now) {
+    const schedule = config.cartRecovery.reminderSchedule;
+
+    if (schedule.length === 0) {
+      return 0;
+    }
+
+    const open = await CartRecovery.find({
+      status: RECOVERY_STATUS.OPEN,
+      remindersSent: { $lt: schedule.length }
+    });
+    const due = open.filter(recovery =>
+      recovery.abandonedAt.getTime() + schedule[recovery.remindersSent] <= now.getTime()
+    );
+
+    if (due.length === 0) {
+      return 0;
+    }
+
+    const carts = await Cart.find({ _id: { $in: due.map(recovery => recovery.cart) }, status: 'abandoned' });
+    const cartsById = new Map(carts.map(cart => [String(cart._id), cart]));
+    const users = await User.find({ _id: { $in: due.map(recovery => recovery.user) } }).select('firstName');
+    const names = new Map(users.map(user => [String(user._id), user.firstName]));
+
+    let sent = 0;
+
+    for (const recovery of due) {
+      const cart = cartsById.get(String(recovery.cart));
+
+      if (!cart || cart.items.length === 0) {
+        continue;
+      }
+
+      try {
+        await this._sendReminder(recovery, cart, names.get(String(recovery.user)), schedule.length, now);
+        sent++;
+      } catch (error) {
+        logger.warn('Failed to send abandoned cart reminder', {
+          recoveryId: recovery._id,
+          error: error.message
+        });
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Queue one reminder email and record it on the recovery
+   * @private
+   */
+  async _sendReminder(recovery, cart, customerName, reminderCount, now) {
+    const reminderNumber = recovery.remindersSent + 1;
+    const { promoPercent, promoValidity } = config.cartRecovery;
+    const update = { remindersSent: reminderNumber, lastReminderAt: now };
+    let promoCode = recovery.promoCode;
+    let promoExpiresAt = null;
+
+    if (reminderNumber === reminderCount && promoPercent > 0 && !promoCode) {
+      promoExpiresAt = new Date(now.getTime() + promoValidity);
+
+      const promo = await promoCodeService.createPromoCode({
+        code: `BACK${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        description: 'Abandoned cart reminder',
+        type: 'percentage',
+        value: promoPercent,
+        usageLimit: 1,
+        perUserLimit: 1,
+        endsAt: promoExpiresAt
+      }, null);
+
+      promoCode = promo.code;
+      update.promoCode = promoCode;
+    }
+
+    await emailService.queueEmail('abandoned_cart', recovery.email, {
+      customerName,
+      items: cart.items.map(item => ({
+        name: item.name,
+        sku: item.sku,
+        imageUrl: item.image,
+        quantity: item.quantity,
+        price: item.price
+      })),
+      cartTotal: cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+      restoreUrl: this._buildRestoreUrl(recovery._id),
+      reminderNumber,
+      promoCode,
+      promoPercent: promoCode ? promoPercent : null,
+      promoExpiresAt
+    });
+
+    await CartRecovery.updateOne({ _id: recovery._id }, { $set: update });
+  }
+
+  /**
+   * Signature of a restore token
+   * @private
+   */
+  _signRecoveryId(recoveryId) {
+    return crypto
+      .createHmac('sha256', config.cartRecovery.restoreSecret)
+      .update(`cart-restore:${recoveryId}`)
+      .digest('hex');
+  }
+
+  /**
+   * Check a restore token
+   * @private
+   * @returns {string|null} Recovery ID, or null when the token is not authentic
+   */
+  _verifyRestoreToken(token) {
+    if (typeof token !== 'string') {
+      return null;
+    }
+
+    const [recoveryId, signature] = token.split('.');
+
+    if (!recoveryId || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this._signRecoveryId(recoveryId), 'hex');
+    const received = Buffer.from(signature, 'hex');
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received) ? recoveryId : null;
+  }
+
+  /**
+   * Storefront link that restores the cart of a recovery
+   * @private
+   */
+  _buildRestoreUrl(recoveryId) {
+    const token = `${recoveryId}.${this._signRecoveryId(String(recoveryId))}`;
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/cart/restore?token=${token}`;
+  }
+}
+
+module.exports = new CartRecoveryService();
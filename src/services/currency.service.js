@@ -0,0 +1,391 @@
+// File: src/services/currency.service.js
+// Generated: 2025-10-16 15:38:20 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_k2vn7qd4mc8c
+
+
+const Currency = require('../models/Currency');
+
+
+const config = require('../config/environment');
+
+
+const fs = require('fs').promises;
+
+
+const logger = require('../utils/logger');
+
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const { getCurrencyDecimals, roundAmount } = require('../utils/currency');
+
+/**
+ * Currency Service
+ * Currency table with exchange rates against the base currency, plus price
+ * conversion for products, carts and orders. The table is cached in memory for
+ * config.currency.cacheTtl; every write marks the cache stale.
+ */
+class CurrencyService {
+  constructor() {
+    this.table = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Base currency all stored prices are expressed in
+   * @returns {string} ISO 4217 code
+   */
+  get baseCurrency() {
+    return config.currency.base;
+  }
+
+  /**
+   * Load the currency table into memory
+   * Inactive currencies are kept for converting prices stored in them, but are
+   * not offered to shoppers. Seeds the collection from the rates file the
+   * first time it is empty.
+   * @param {boolean} [force] - Reload even if the cache is fresh
+   * @returns {Promise<Map>} Currency code -> { code, name, symbol, rate, decimals, isActive }
+   */
+  async loadCurrencies(force = false) {
+    if (!force && this.table && Date.now() - this.loadedAt < config.currency.cacheTtl) {
+      return this.table;
+    }
+
+    try {
+      let currencies = await Currency.find({}).lean();
+
+      if (currencies.length === 0) {
+        await this.importFromFile();
+        currencies = await Currency.find({}).lean();
+      }
+
+      const table = new Map(currencies.map(currency => [currency.code, {
+        code: currency.code,
+        name: currency.name,
+        symbol: currency.symbol,
+        rate: currency.code === this.baseCurrency ? 1 : currency.rate,
+        decimals: currency.decimals !== undefined && currency.decimals !== null
+          ? currency.decimals
+          : getCurrencyDecimals(currency.code),
+        isActive: currency.isActive !== false || currency.code === this.baseCurrency
+      }]));
+
+      // The base currency is always available, even if it was never listed
+      if (!table.has(this.baseCurrency)) {
+        table.set(this.baseCurrency, {
+          code: this.baseCurrency,
+          name: this.baseCurrency,
+          symbol: '',
+          rate: 1,
+          decimals: getCurrencyDecimals(this.baseCurrency),
+          isActive: true
+        });
+      }
+
+      this.table = table;
+      this.loadedAt = Date.now();
+
+      return table;
+    } catch (error) {
+      logger.error('Failed to load currencies', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List active currencies
+   * @returns {Promise<Array>} Currencies sorted by code, base currency flagged
+   */
+  async getCurrencies() {
+    const table = await this.loadCurrencies();
+
+    return [...table.values()]
+      .filter(currency => currency.isActive)
+      .sort((a, b) => a.code.localeCompare(b.code))
+      .map(currency => ({ ...currency, isBase: currency.code === this.baseCurrency }));
+  }
+
+  /**
+   * Get an active currency
+   * @param {string} code - ISO 4217 code (any case)
+   * @returns {Promise<Object|null>} Currency, or null when not offered
+   */
+  async getCurrency(code) {
+    if (typeof code !== 'string') {
+      return null;
+    }
+
+    const table = await this.loadCurrencies();
+    const currency = table.get(code.trim().toUpperCase());
+
+    return currency && currency.isActive ? currency : null;
+  }
+
+  /**
+   * Get an active currency or fail
+   * @param {string} code - ISO 4217 code (any case)
+   * @returns {Promise<Object>} Currency
+   * @throws {ValidationError} When the currency is not offered
+   */
+  async requireCurrency(code) {
+    const currency = await this.getCurrency(code);
+
+    if (!currency) {
+      throw new ValidationError(`Unsupported currency: ${code}`, [{ field: 'currency', message: 'Unsupported currency' }]);
+    }
+
+    return currency;
+  }
+
+  /**
+   * Exchange rate of a loaded currency against the base currency
+   * Call loadCurrencies (or getCurrency) first; conversions are synchronous.
+   * @param {string} code - ISO 4217 code
+   * @returns {number} Units of the currency per unit of base currency
+   */
+  getRate(code) {
+    const currency = this.table && this.table.get(String(code).toUpperCase());
+
+    if (!currency) {
+      throw new ValidationError(`Unsupported currency: ${code}`, [{ field: 'currency', message: 'Unsupported currency' }]);
+    }
+
+    return currency.rate;
+  }
+
+  /**
+   * Convert an amount between currencies through the base currency
+   * @param {number} amount - Amount in the source currency
+   * @param {string} from - Source currency
+   * @param {string} to - Target currency
+   * @returns {number} Amount in the target currency, rounded to its decimals
+   */
+  convert(amount, from, to) {
+    const source = String(from || this.baseCurrency).toUpperCase();
+    const target = String(to || this.baseCurrency).toUpperCase();
+
+    if (source === target) {
+      return roundAmount(amount, target);
+    }
+
+    return roundAmount(amount / this.getRate(source) * this.getRate(target), target);
+  }
+
+  /**
+   * Unit price of a product (or variant) in a currency
+   * A fixed price set for the currency on the product wins over conversion.
+   * Variants with their own price are always converted.
+   * @param {Object} product - Product document or lean object
+   * @param {string} currency - Target currency
+   * @param {string|null} [variantId] - Variant ID
+   * @returns {number} Unit price
+   */
+  getProductPrice(product, currency, variantId = null) {
+    const target = String(currency || this.baseCurrency).toUpperCase();
+    const price = typeof product.getPrice === 'function' ? product.getPrice(variantId) : product.price;
+    const productCurrency = product.currency || this.baseCurrency;
+
+    if (price === product.price) {
+      const override = product.prices instanceof Map
+        ? product.prices.get(target)
+        : product.prices && product.prices[target];
+
+      if (override !== undefined && override !== null) {
+        return roundAmount(override, target);
+      }
+    }
+
+    return this.convert(price, productCurrency, target);
+  }
+
+  /**
+   * Add prices in a currency to a product for API responses
+   * @param {Object} product - Product document or lean object
+   * @param {string} currency - Target currency
+   * @returns {Object} Plain product with pricing: { currency, price, compareAtPrice }
+   */
+  localizeProduct(product, currency) {
+    const target = String(currency || this.baseCurrency).toUpperCase();
+    const plain = typeof product.toJSON === 'function' ? product.toJSON() : { ...product };
+    const price = this.getProductPrice(product, target);
+    const compareAtPrice = product.compareAtPrice
+      ? this.convert(product.compareAtPrice, product.currency || this.baseCurrency, target)
+      : null;
+
+    return {
+      ...plain,
+      pricing: {
+        currency: target,
+        price,
+        compareAtPrice: compareAtPrice && compareAtPrice > price ? compareAtPrice : null
+      }
+    };
+  }
+
+  /**
+   * Create or update a currency
+   * @param {string} code - ISO 4217 code
+   * @param {Object} data - { name, symbol, rate, decimals, isActive }
+   * @returns {Promise<Object>} Saved currency
+   */
+  async upsertCurrency(code, data) {
+    const currencyCode = String(code).toUpperCase();
+
+    try {
+      this._assertBaseRate(currencyCode, data);
+
+      const update = { ...data, code: currencyCode };
+      delete update._id;
+
+      const currency = await Currency.findOneAndUpdate(
+        { code: currencyCode },
+        { $set: update },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+
+      this._invalidate();
+
+      logger.info('Currency saved', { code: currencyCode, rate: currency.rate, isActive: currency.isActive });
+
+      return currency;
+    } catch (error) {
+      logger.error('Failed to save currency', { code: currencyCode, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Deactivate a currency (orders already placed in it keep their prices)
+   * @param {string} code - ISO 4217 code
+   * @returns {Promise<Object>} Updated currency
+   */
+  async deactivateCurrency(code) {
+    const currencyCode = String(code).toUpperCase();
+
+    try {
+      if (currencyCode === this.baseCurrency) {
+        throw new ValidationError('The base currency cannot be deactivated');
+      }
+
+      const currency = await Currency.findOneAndUpdate(
+        { code: currencyCode },
+        { $set: { isActive: false } },
+        { new: true }
+      );
+
+      if (!currency) {
+        throw new NotFoundError('Currency', currencyCode);
+      }
+
+      this._invalidate();
+
+      logger.info('Currency deactivated', { code: currencyCode });
+
+      return currency;
+    } catch (error) {
+      logger.error('Failed to deactivate currency', { code: currencyCode, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update many currencies at once
+   * @param {Array} currencies - [{ code, name, symbol, rate, decimals, isActive }]
+   * @returns {Promise<Object>} { created, updated }
+   */
+  async importRates(currencies) {
+    try {
+      if (!Array.isArray(currencies) || currencies.length === 0) {
+        throw new ValidationError('At least one currency is required');
+      }
+
+      const operations = currencies.map(entry => {
+        const code = String(entry.code || '').toUpperCase();
+
+        if (!/^[A-Z]{3}$/.test(code) || !entry.name || !(entry.rate > 0)) {
+          throw new ValidationError(`Invalid currency entry: ${entry.code}`);
+        }
+
+        this._assertBaseRate(code, entry);
+
+        return {
+          updateOne: {
+            filter: { code },
+            update: {
+              $set: {
+                code,
+                name: entry.name,
+                symbol: entry.symbol || '',
+                rate: entry.rate,
+                decimals: entry.decimals !== undefined ? entry.decimals : getCurrencyDecimals(code),
+                isActive: entry.isActive !== false
+              }
+            },
+            upsert: true
+          }
+        };
+      });
+
+      const result = await Currency.bulkWrite(operations, { ordered: false });
+
+      this._invalidate();
+
+      const summary = {
+        created: result.upsertedCount || 0,
+        updated: result.modifiedCount || 0
+      };
+
+      logger.info('Currency rates imported', { count: currencies.length, ...summary });
+
+      return summary;
+    } catch (error) {
+      logger.error('Failed to import currency rates', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Import rates from a JSON file ({ currencies: [...] } or a bare array)
+   * @param {string} [filePath] - Defaults to config.currency.ratesFile
+   * @returns {Promise<Object>} { created, updated }
+   */
+  async importFromFile(filePath = config.currency.ratesFile) {
+    try {
+      const contents = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      const currencies = Array.isArray(contents) ? contents : contents.currencies;
+
+      logger.info('Loading currency rates file', { filePath });
+
+      return await this.importRates(currencies);
+    } catch (error) {
+      logger.error('Failed to load currency rates file', { filePath, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * The base currency is the unit of every rate, so its own rate is always 1
+   * @private
+   */
+  _assertBaseRate(code, data) {
+    if (code === this.baseCurrency && data.rate !== undefined && Number(data.rate) !== 1) {
+      throw new ValidationError(`The rate of the base currency ${code} must be 1`);
+    }
+
+    if (code === this.baseCurrency && data.isActive === false) {
+      throw new ValidationError('The base currency cannot be deactivated');
+    }
+  }
+
+  /**
+   * Mark the cached table stale so the next load reads it again
+   * The old table stays usable for conversions until then.
+   * @private
+   */
+  _invalidate() {
+    this.loadedAt = 0;
+  }
+}
+
+module.exports = new CurrencyService();
@@ -271,37 +271,87 @@ class EmailService {
         case 'order_confirmation':
           return {
             subject: `Order Confirmation - #${data.orderNumber}`,
-            html: this.templates.orderConfirmation(data)
+            html: this.templates.orderConfirmation(data).html
           };
 
         case 'order_shipped':
           return {
             subject: `Your Order Has Shipped - #${data.orderNumber}`,
-            html: this.templates.orderShipped(data)
+            html: this.templates.orderShipped(data).html
           };
 
         case 'order_delivered':
           return {
             subject: `Your Order Has Been Delivered - #${data.orderNumber}`,
-            html: this.templates.orderDelivered(data)
+            html: this.templates.orderDelivered(data).html
           };
 
         case 'password_reset':
           return {
             subject: 'Password Reset Request',
-            html: this.templates.passwordReset(data)
+            html: this.templates.passwordReset(data).html
           };
 
         case 'welcome':
           return {
             subject: 'Welcome to Our Store!',
-            html: this.templates.welcome(data)
+            html: this.templates.welcome(data).html
           };
 
         case 'payment_failed':
           return {
             subject: 'Payment Failed - Action Required',
-            html: this.templates.paymentFailed(data)
+            html: this.templates.paymentFailed(data).html
+          };
+
+        case 'wishlist_price_drop':
+          return {
+            subject: `Price Drop on Your Wishlist - ${data.productName}`,
+            html: this.templates.wishlistPriceDrop(data).html
+          };
+
+        case 'wishlist_back_in_stock':
+          return {
+            subject: `Back in Stock - ${data.productName}`,
+            html: this.templates.wishlistBackInStock(data).html
+          };
+
+        case 'low_stock_digest':
+          return {
+            subject: `Low Stock Alert - ${data.items.length} item${data.items.length === 1 ? '' : 's'} need restocking`,
+            html: this.templates.lowStockDigest(data).html
+          };
+
+        case 'refund_processed':
+          return {
+            subject: `Refund Processed - Order #${data.orderNumber}`,
+            html: this.templates.refundProcessed(data).html
+          };
+
+        case 'guest_order_link':
+          return {
+            subject: `Your Order #${data.orderNumber}`,
+            html: this.templates.guestOrderLink(data).html
+          };
+
+        case 'abandoned_cart':
+          return {
+            subject: data.promoCode
+              ? `Still thinking it over? Here's ${data.promoPercent}% off your cart`
+              : 'You left something in your cart',
+            html: this.templates.abandonedCart(data).html
+          };
+
+        case 'account_verification':
+          return {
+            subject: 'Verify Your Email Address',
+            html: this.templates.accountVerification(data).html
+          };
+
+        case 'seller_status':
+          return {
+            subject: `Your store ${data.storeName} has been ${data.status}`,
+            html: this.templates.sellerStatus(data).html
           };
 
         default:
@@ -393,6 +443,15 @@ class EmailService {
     return this.queueEmail('welcome', recipient, userData);
   }
 
+  /**
+   * Send account verification email
+   * @param {string} recipient - Recipient email
+   * @param {Object} verificationData - User name, verification token and link lifetime
+   */
+  sendAccountVerification(recipient, verificationData) {
+    return this.queueEmail('account_verification', recipient, verificationData);
+  }
+
   /**
    * Send payment failed email
    * @param {string} recipient - Recipient email
@@ -402,6 +461,51 @@ class EmailService {
     return this.queueEmail('payment_failed', recipient, paymentData);
   }
 
+  /**
+   * Send wishlist price drop email
+   * @param {string} recipient - Recipient email
+   * @param {Object} priceDropData - Product and price data
+   */
+  sendWishlistPriceDrop(recipient, priceDropData) {
+    return this.queueEmail('wishlist_price_drop', recipient, priceDropData);
+  }
+
+  /**
+   * Send wishlist back in stock email
+   * @param {string} recipient - Recipient email
+   * @param {Object} stockData - Product data
+   */
+  sendWishlistBackInStock(recipient, stockData) {
+    return this.queueEmail('wishlist_back_in_stock', recipient, stockData);
+  }
+
+  /**
+   * Send low stock digest email to an admin
+   * @param {string} recipient - Recipient email
+   * @param {Object} digestData - Low stock items and recipient name
+   */
+  sendLowStockDigest(recipient, digestData) {
+    return this.queueEmail('low_stock_digest', recipient, digestData);
+  }
+
+  /**
+   * Send refund processed email
+   * @param {string} recipient - Recipient email
+   * @param {Object} refundData - Refund amount, itemised breakdown and running total
+   */
+  sendRefundProcessed(recipient, refundData) {
+    return this.queueEmail('refund_processed', recipient, refundData);
+  }
+
+  /**
+   * Send guest order lookup link
+   * @param {string} recipient - Guest email
+   * @param {Object} lookupData - Order number, guest name and signed lookup link
+   */
+  sendGuestOrderLink(recipient, lookupData) {
+    return this.queueEmail('guest_order_link', recipient, lookupData);
+  }
+
   /**
    * Get queue status
    * @returns {Object} Queue statistics
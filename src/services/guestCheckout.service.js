@@ -0,0 +1,203 @@
+// File: src/services/guestCheckout.service.js
+// Generated: 2025-10-16 14:31:52 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_g7kd2vp4rx9b
+
+
+const CartService = require('./cart.service');
+
+
+const Order = require('../models/Order');
+
+
+const User = require('../models/User');
+
+
+const authService = require('./auth.service');
+
+
+const emailService = require('./email.service');
+
+
+const logger = require('../utils/logger');
+
+
+const orderService = require('./order.service');
+
+const { buildLookupUrl, verifyLookupToken } = require('../utils/orderLookupToken');
+
+const { ConflictError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Guest Checkout Service
+ * Orders placed without an account: checkout from a session cart, order lookup
+ * through signed links, and conversion of the guest into a registered user.
+ */
+class GuestCheckoutService {
+  constructor() {
+    this.cartService = new CartService();
+  }
+
+  /**
+   * Place an order from a guest's session cart
+   * @param {string} sessionId - Guest cart session ID
+   * @param {Object} orderData - { email, firstName, lastName, shippingAddress, billingAddress, shippingMethod, paymentMethod }
+   * @returns {Promise<Object>} Created order
+   */
+  async placeOrder(sessionId, orderData) {
+    try {
+      const { email, firstName, lastName, ...checkout } = orderData;
+
+      const order = await orderService.createOrder(null, {
+        ...checkout,
+        guest: {
+          email: email.trim().toLowerCase(),
+          firstName,
+          lastName,
+          sessionId
+        }
+      });
+
+      logger.info('Guest order placed', { orderId: order._id, orderNumber: order.orderNumber });
+
+      return order;
+    } catch (error) {
+      logger.error('Failed to place guest order', { sessionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Email the lookup link of a guest order to its checkout address
+   * Resolves the same way whether or not the order exists, so the endpoint
+   * cannot be used to probe order numbers or emails.
+   * @param {string} orderNumber - Order number
+   * @param {string} email - Email given at checkout
+   * @returns {Promise<void>}
+   */
+  async sendLookupLink(orderNumber, email) {
+    try {
+      const order = await Order.findOne(this._guestOrderFilter(orderNumber, email));
+
+      if (!order) {
+        logger.info('Guest order lookup requested for unknown order', { orderNumber });
+        return;
+      }
+
+      await emailService.sendGuestOrderLink(order.guest.email, {
+        orderNumber: order.orderNumber,
+        customerName: order.guest.firstName,
+        status: order.status,
+        orderUrl: buildLookupUrl(order.orderNumber, order.guest.email)
+      });
+
+      logger.info('Guest order lookup link sent', { orderId: order._id, orderNumber });
+    } catch (error) {
+      logger.error('Failed to send guest order lookup link', { orderNumber, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a guest order from its signed lookup link
+   * @param {string} orderNumber - Order number
+   * @param {string} email - Email given at checkout
+   * @param {string} token - Lookup token from the link
+   * @returns {Promise<Object>} Order with items
+   */
+  async getOrder(orderNumber, email, token) {
+    try {
+      // A bad or expired link looks exactly like a missing order
+      if (!verifyLookupToken(orderNumber, email, token)) {
+        throw new NotFoundError('Order', orderNumber);
+      }
+
+      const order = await Order.findOne(this._guestOrderFilter(orderNumber, email))
+        .populate({
+          path: 'items',
+          populate: { path: 'product', select: 'name sku images price' }
+        });
+
+      if (!order) {
+        throw new NotFoundError('Order', orderNumber);
+      }
+
+      return order;
+    } catch (error) {
+      logger.error('Failed to fetch guest order', { orderNumber, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Turn a guest into a registered user
+   * The signed lookup link proves the guest owns the email, so the new account
+   * starts verified. All guest orders placed with the email are linked to it and
+   * the guest's session cart, if any, is merged into the account cart.
+   * @param {string} orderNumber - Order number from the lookup link
+   * @param {Object} accountData - { email, token, password, firstName, lastName }
+   * @param {string} [sessionId] - Guest cart session ID
+   * @returns {Promise<Object>} { user, tokens, linkedOrders }
+   */
+  async convertToAccount(orderNumber, accountData, sessionId = null) {
+    const { email, token, password, firstName, lastName } = accountData;
+
+    try {
+      if (!verifyLookupToken(orderNumber, email, token)) {
+        throw new NotFoundError('Order', orderNumber);
+      }
+
+      const order = await Order.findOne(this._guestOrderFilter(orderNumber, email));
+
+      if (!order) {
+        throw new NotFoundError('Order', orderNumber);
+      }
+
+      if (await User.exists({ email: order.guest.email })) {
+        throw new ConflictError('An account with this email already exists. Please sign in instead.', {
+          email: order.guest.email
+        });
+      }
+
+      const result = await authService.register({
+        email: order.guest.email,
+        password,
+        firstName: firstName || order.guest.firstName,
+        lastName: lastName || order.guest.lastName
+      });
+      const userId = result.user._id;
+
+      await User.updateOne({ _id: userId }, { $set: { isVerified: true } });
+
+      const linkedOrders = await orderService.claimGuestOrders(userId, order.guest.email);
+
+      if (sessionId) {
+        await this.cartService.mergeCarts(userId, sessionId);
+      }
+
+      logger.info('Guest converted to registered user', { userId, orderNumber, linkedOrders });
+
+      return {
+        ...result,
+        linkedOrders
+      };
+    } catch (error) {
+      logger.error('Failed to convert guest to account', { orderNumber, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Query for a guest order that has not been linked to an account yet
+   * @private
+   */
+  _guestOrderFilter(orderNumber, email) {
+    return {
+      orderNumber,
+      'guest.email': String(email).trim().toLowerCase(),
+      user: null
+    };
+  }
+}
+
+module.exports = new GuestCheckoutService();
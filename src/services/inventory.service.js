@@ -4,14 +4,108 @@
 // Task ID: task_78473b8jtiny
 
 
+const InventoryMovement = require('../models/InventoryMovement');
+
+
 const Product = require('../models/Product');
 
 
+const Seller = require('../models/Seller');
+
+
+const StockAlert = require('../models/StockAlert');
+
+
+const User = require('../models/User');
+
+
+const config = require('../config/environment');
+
+
+const crypto = require('crypto');
+
+
+const emailService = require('./email.service');
+
+
 const logger = require('../utils/logger');
 
 
 const mongoose = require('mongoose');
 
+const { InsufficientStockError, NotFoundError } = require('../utils/errors');
+
+const { MOVEMENT_TYPES } = InventoryMovement;
+
+const { ALERT_STATUS } = StockAlert;
+
+
+const RESERVATION_STATUS = {
+  ACTIVE: 'active',
+  CONFIRMED: 'confirmed',
+  RELEASED: 'released',
+  EXPIRED: 'expired'
+};
+
+
+// Released/expired holds are kept for a day for troubleshooting
+const SETTLED_RESERVATION_RETENTION = 24 * 60 * 60 * 1000;
+
+
+// Confirmed holds are kept while an order can still be cancelled and restocked
+const CONFIRMED_RESERVATION_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Compare two optional variant IDs
+ * @param {*} a - Variant ID or null
+ * @param {*} b - Variant ID or null
+ * @returns {boolean} True when both refer to the same variant (or both to none)
+ */
+
+
+const sameVariant = (a, b) => String(a || '') === String(b || '');
+
+/**
+ * Whether requests for a product are limited by its on-hand stock
+ * @param {Object} product - Product document
+ * @returns {boolean} False for untracked or backorderable products
+ */
+
+
+const isStockLimited = (product) => product.inventory.trackInventory && !product.inventory.allowBackorder;
+
+/**
+ * Key a stock line (product plus optional variant) for ledger lookups
+ * @param {*} productId - Product ID
+ * @param {*} variantId - Variant ID or null
+ * @returns {string} Map key
+ */
+
+
+const stockLineKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+/**
+ * Apply a stock change to a product or variant in memory
+ * Untracked products are left alone; backorders never push stock below zero.
+ * @param {Object} product - Product document
+ * @param {number} delta - Quantity change (negative to deduct)
+ * @param {string|null} variantId - Optional variant ID
+ * @returns {Object|null} Applied change { variantId, before, quantity } for the ledger, null when untracked
+ */
+
+
+const applyStockDelta = (product, delta, variantId = null) => {
+  if (!product.inventory.trackInventory) {
+    return null;
+  }
+
+  const before = product.getStock(variantId);
+  const applied = product.inventory.allowBackorder ? Math.max(delta, -before) : delta;
+  product.adjustStock(applied, variantId);
+
+  return { variantId: variantId || null, before, quantity: applied };
+};
+
 /**
  * Inventory Service
  * Manages product stock levels, reservations, and inventory operations
@@ -19,6 +113,7 @@ const mongoose = require('mongoose');
 class InventoryService {
   /**
    * Check stock availability for a product
+   * Stock held by active checkout reservations is not available
    * @param {string} productId - Product ID
    * @param {number} quantity - Quantity to check
    * @param {string|null} variantId - Optional variant ID
@@ -36,16 +131,18 @@ class InventoryService {
       let currentStock = 0;
 
       if (variantId && product.variants && product.variants.length > 0) {
-        const variant = product.variants.find(v => v._id.toString() === variantId);
+        const variant = product.variants.find(v => v._id.toString() === String(variantId));
         if (!variant) {
           logger.warn('Variant not found', { productId, variantId });
           return { available: false, currentStock: 0 };
         }
-        currentStock = variant.stock || 0;
+        currentStock = variant.inventory || 0;
       } else {
-        currentStock = product.stock || 0;
+        currentStock = product.inventory.quantity;
       }
 
+      currentStock -= product.getReservedQuantity(variantId);
+
       const available = currentStock >= quantity;
 
       logger.info('Stock availability checked', {
@@ -69,14 +166,21 @@ class InventoryService {
 
   /**
    * Reserve stock during checkout (temporary hold)
+   * The hold counts against available stock until it is confirmed, released
+   * or expires; on-hand stock is only deducted on confirmation.
    * @param {string} productId - Product ID
    * @param {number} quantity - Quantity to reserve
-   * @param {string} orderId - Order ID for tracking
-   * @param {string|null} variantId - Optional variant ID
-   * @param {number} expiresIn - Expiration time in milliseconds (default 15 minutes)
+   * @param {Object} options - { cartId, orderId, variantId, expiresIn (ms) }
    * @returns {Promise<Object>} Reservation details
    */
-  async reserveStock(productId, quantity, orderId, variantId = null, expiresIn = 900000) {
+  async reserveStock(productId, quantity, options = {}) {
+    const {
+      cartId = null,
+      orderId = null,
+      variantId = null,
+      expiresIn = config.inventory.reservationTtl
+    } = options;
+
     const session = await mongoose.startSession();
     session.startTransaction();
 
@@ -87,51 +191,28 @@ class InventoryService {
         throw new Error('Product not found');
       }
 
-      // Check availability atomically within transaction
-      let currentStock = 0;
-      if (variantId && product.variants && product.variants.length > 0) {
-        const variant = product.variants.find(v => v._id.toString() === variantId);
-        if (!variant) {
-          throw new Error('Variant not found');
-        }
-        currentStock = variant.stock || 0;
-      } else {
-        currentStock = product.stock || 0;
+      if (variantId && !product.findVariant(variantId)) {
+        throw new Error('Variant not found');
       }
 
-      // Calculate active reservations
-      let reservedStock = 0;
-      if (product.reservations && product.reservations.length > 0) {
-        const activeReservations = product.reservations.filter(r => {
-          return r.status === 'active' &&
-                 new Date() <= r.expiresAt &&
-                 (!variantId || r.variantId === variantId);
-        });
-        reservedStock = activeReservations.reduce((sum, r) => sum + r.quantity, 0);
-      }
-
-      const availableStock = currentStock - reservedStock;
+      // Check availability atomically within transaction
+      const availableStock = product.getStock(variantId) - product.getReservedQuantity(variantId);
 
-      if (availableStock < quantity) {
-        throw new Error(`Insufficient stock. Available: ${availableStock}, Requested: ${quantity}`);
+      if (isStockLimited(product) && availableStock < quantity) {
+        throw new InsufficientStockError(productId, quantity, Math.max(availableStock, 0));
       }
 
       const expiresAt = new Date(Date.now() + expiresIn);
-      const reservationId = `res_${orderId}_${Date.now()}`;
-
-      // Initialize reservations array if not exists
-      if (!product.reservations) {
-        product.reservations = [];
-      }
+      const reservationId = `res_${crypto.randomUUID()}`;
 
-      // Add reservation
       product.reservations.push({
         reservationId,
+        cartId,
         orderId,
         variantId,
         quantity,
         expiresAt,
-        status: 'active'
+        status: RESERVATION_STATUS.ACTIVE
       });
 
       await product.save({ session });
@@ -140,6 +221,7 @@ class InventoryService {
       logger.info('Stock reserved', {
         productId,
         variantId,
+        cartId,
         orderId,
         quantity,
         reservationId,
@@ -149,6 +231,9 @@ class InventoryService {
       return {
         success: true,
         reservationId,
+        productId,
+        variantId,
+        quantity,
         expiresAt
       };
     } catch (error) {
@@ -156,6 +241,7 @@ class InventoryService {
       logger.error('Failed to reserve stock', {
         productId,
         variantId,
+        cartId,
         orderId,
         quantity,
         error: error.message
@@ -190,7 +276,7 @@ class InventoryService {
         throw new Error('Reservation not found');
       }
 
-      if (reservation.status !== 'active') {
+      if (reservation.status !== RESERVATION_STATUS.ACTIVE) {
         throw new Error(`Reservation already ${reservation.status}`);
       }
 
@@ -198,23 +284,20 @@ class InventoryService {
         throw new Error('Reservation has expired');
       }
 
-      // Deduct stock
-      if (reservation.variantId) {
-        const variant = product.variants.find(v => v._id.toString() === reservation.variantId);
-        if (variant) {
-          variant.stock -= reservation.quantity;
-        }
-      } else {
-        product.stock -= reservation.quantity;
-      }
-
-      // Mark reservation as confirmed
-      reservation.status = 'confirmed';
+      // Deduct stock and mark reservation as confirmed
+      const change = applyStockDelta(product, -reservation.quantity, reservation.variantId);
+      reservation.status = RESERVATION_STATUS.CONFIRMED;
+      reservation.settledAt = new Date();
 
       await product.save({ session });
+      await this._recordMovement(product, change, {
+        type: MOVEMENT_TYPES.SALE,
+        reason: `Reservation ${reservationId} confirmed`,
+        orderId: reservation.orderId
+      }, session);
       await session.commitTransaction();
 
-      logger.info('Reservation confirmed and stock deducted', {
+      logger.info('Reservation confirmed', {
         reservationId,
         productId: product._id,
         variantId: reservation.variantId,
@@ -238,7 +321,7 @@ class InventoryService {
   }
 
   /**
-   * Release reserved stock (cancelled or expired orders)
+   * Release a reservation (cancelled checkout)
    * @param {string} reservationId - Reservation ID
    * @returns {Promise<Object>} Release result
    */
@@ -261,16 +344,17 @@ class InventoryService {
         throw new Error('Reservation not found');
       }
 
-      if (reservation.status === 'released') {
+      if (reservation.status !== RESERVATION_STATUS.ACTIVE) {
         await session.commitTransaction();
         return {
           success: true,
-          message: 'Reservation already released'
+          message: `Reservation already ${reservation.status}`
         };
       }
 
       // Mark reservation as released
-      reservation.status = 'released';
+      reservation.status = RESERVATION_STATUS.RELEASED;
+      reservation.settledAt = new Date();
 
       await product.save({ session });
       await session.commitTransaction();
@@ -298,6 +382,466 @@ class InventoryService {
     }
   }
 
+  /**
+   * Get the active, unexpired holds of a cart that are not yet tied to an order
+   * @param {string} cartId - Cart ID
+   * @returns {Promise<Array>} [{ reservationId, productId, variantId, quantity, expiresAt }]
+   */
+  async getCartReservations(cartId) {
+    try {
+      const now = new Date();
+      const products = await Product.find({
+        reservations: {
+          $elemMatch: { cartId, orderId: null, status: RESERVATION_STATUS.ACTIVE, expiresAt: { $gt: now } }
+        }
+      }).select('reservations');
+
+      const reservations = [];
+
+      for (const product of products) {
+        for (const reservation of product.reservations) {
+          if (String(reservation.cartId) === String(cartId) &&
+              !reservation.orderId &&
+              reservation.status === RESERVATION_STATUS.ACTIVE &&
+              reservation.expiresAt > now) {
+            reservations.push({
+              reservationId: reservation.reservationId,
+              productId: product._id,
+              variantId: reservation.variantId,
+              quantity: reservation.quantity,
+              expiresAt: reservation.expiresAt
+            });
+          }
+        }
+      }
+
+      return reservations;
+    } catch (error) {
+      logger.error('Failed to get cart reservations', {
+        cartId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Hold stock for every line of a cart at checkout start
+   * Holds that still match a line are kept and extended, holds for changed or
+   * removed lines are released and missing ones are created, so calling this
+   * again (cart edited, order being placed) never double-reserves.
+   * @param {string} cartId - Cart ID
+   * @param {Array} items - [{ productId, variantId, quantity }]
+   * @param {Object} options - { expiresIn (ms) }
+   * @returns {Promise<Object>} { cartId, expiresAt, reservations, createdReservationIds }
+   */
+  async holdCartStock(cartId, items, { expiresIn = config.inventory.reservationTtl } = {}) {
+    const created = [];
+
+    try {
+      const expiresAt = new Date(Date.now() + expiresIn);
+      const existing = await this.getCartReservations(cartId);
+      const kept = [];
+      const missing = [];
+
+      for (const item of items) {
+        const match = existing.find(r => !kept.includes(r) &&
+          String(r.productId) === String(item.productId) &&
+          sameVariant(r.variantId, item.variantId) &&
+          r.quantity === item.quantity);
+
+        if (match) {
+          kept.push(match);
+        } else {
+          missing.push(item);
+        }
+      }
+
+      // Release stale holds first so they do not count against their replacements
+      for (const stale of existing.filter(r => !kept.includes(r))) {
+        await this.releaseReservation(stale.reservationId);
+      }
+
+      for (const item of missing) {
+        created.push(await this.reserveStock(item.productId, item.quantity, {
+          cartId,
+          variantId: item.variantId || null,
+          expiresIn
+        }));
+      }
+
+      if (kept.length > 0) {
+        await this._extendReservations(kept.map(r => r.reservationId), { expiresAt });
+      }
+
+      const reservations = [...kept, ...created].map(r => ({
+        reservationId: r.reservationId,
+        productId: r.productId,
+        variantId: r.variantId || null,
+        quantity: r.quantity,
+        expiresAt
+      }));
+
+      logger.info('Cart stock held for checkout', {
+        cartId,
+        kept: kept.length,
+        created: created.length,
+        released: existing.length - kept.length,
+        expiresAt
+      });
+
+      return {
+        cartId,
+        expiresAt,
+        reservations,
+        createdReservationIds: created.map(r => r.reservationId)
+      };
+    } catch (error) {
+      // A checkout that cannot hold every line holds nothing new
+      for (const reservation of created) {
+        await this.releaseReservation(reservation.reservationId).catch(() => {});
+      }
+
+      logger.error('Failed to hold cart stock', {
+        cartId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Tie checkout holds to a newly placed order and extend them for the payment window
+   * @param {Array<string>} reservationIds - Reservation IDs from holdCartStock
+   * @param {string} orderId - Order ID
+   * @param {Object} options - { expiresIn (ms), session }
+   * @returns {Promise<Date>} New expiry
+   */
+  async assignReservationsToOrder(reservationIds, orderId, options = {}) {
+    const { expiresIn = config.inventory.orderReservationTtl, session = null } = options;
+
+    try {
+      const expiresAt = new Date(Date.now() + expiresIn);
+
+      await this._extendReservations(reservationIds, { expiresAt, orderId, session });
+
+      logger.info('Reservations assigned to order', {
+        orderId,
+        count: reservationIds.length,
+        expiresAt
+      });
+
+      return expiresAt;
+    } catch (error) {
+      logger.error('Failed to assign reservations to order', {
+        orderId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Deduct stock for a paid order
+   * Active holds of the order are confirmed. Lines whose hold was released or
+   * expired before payment arrived are allocated from free stock; lines that
+   * cannot be allocated are reported as shortfalls instead of overselling.
+   * Safe to call again for the same order (webhook retries).
+   * @param {string} orderId - Order ID
+   * @param {Array} items - Order lines [{ productId, variantId, quantity }]
+   * @returns {Promise<Object>} { confirmed, allocated, shortfalls }
+   */
+  async confirmOrderReservations(orderId, items) {
+    const result = { confirmed: 0, allocated: 0, shortfalls: [] };
+
+    try {
+      const itemsByProduct = new Map();
+      for (const item of items) {
+        const key = String(item.productId);
+        itemsByProduct.set(key, [...(itemsByProduct.get(key) || []), item]);
+      }
+
+      for (const [productId, productItems] of itemsByProduct) {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+          const product = await Product.findById(productId).session(session);
+
+          if (!product) {
+            throw new Error('Product not found');
+          }
+
+          const now = new Date();
+          const changes = [];
+
+          for (const item of productItems) {
+            const orderReservations = product.reservations.filter(r =>
+              String(r.orderId) === String(orderId) && sameVariant(r.variantId, item.variantId));
+
+            if (orderReservations.some(r => r.status === RESERVATION_STATUS.CONFIRMED)) {
+              continue;
+            }
+
+            const hold = orderReservations.find(r => r.status === RESERVATION_STATUS.ACTIVE);
+
+            if (hold) {
+              changes.push(applyStockDelta(product, -hold.quantity, hold.variantId));
+              hold.status = RESERVATION_STATUS.CONFIRMED;
+              hold.settledAt = now;
+              result.confirmed += 1;
+              continue;
+            }
+
+            const availableStock = product.getStock(item.variantId) - product.getReservedQuantity(item.variantId);
+
+            if (isStockLimited(product) && availableStock < item.quantity) {
+              result.shortfalls.push({
+                productId,
+                variantId: item.variantId || null,
+                requested: item.quantity,
+                available: Math.max(availableStock, 0)
+              });
+              continue;
+            }
+
+            // Record the allocation so a later cancellation can restock it
+            changes.push(applyStockDelta(product, -item.quantity, item.variantId));
+            product.reservations.push({
+              reservationId: `res_${crypto.randomUUID()}`,
+              orderId,
+              variantId: item.variantId || null,
+              quantity: item.quantity,
+              status: RESERVATION_STATUS.CONFIRMED,
+              expiresAt: now,
+              settledAt: now
+            });
+            result.allocated += 1;
+          }
+
+          await product.save({ session });
+          for (const change of changes) {
+            await this._recordMovement(product, change, {
+              type: MOVEMENT_TYPES.SALE,
+              reason: 'Order paid',
+              orderId
+            }, session);
+          }
+          await session.commitTransaction();
+        } catch (error) {
+          await session.abortTransaction();
+          throw error;
+        } finally {
+          session.endSession();
+        }
+      }
+
+      if (result.shortfalls.length > 0) {
+        logger.error('Paid order could not be fully allocated from stock', {
+          orderId,
+          shortfalls: result.shortfalls
+        });
+      }
+
+      logger.info('Order reservations confirmed', {
+        orderId,
+        confirmed: result.confirmed,
+        allocated: result.allocated,
+        shortfalls: result.shortfalls.length
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to confirm order reservations', {
+        orderId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Release the holds of an order (payment failed or cancelled)
+   * With restock, stock already deducted for the order is put back as well.
+   * @param {string} orderId - Order ID
+   * @param {Object} options - { restock }
+   * @returns {Promise<Object>} { released, restocked }
+   */
+  async releaseOrderReservations(orderId, { restock = false } = {}) {
+    const result = { released: 0, restocked: 0 };
+    const statuses = restock
+      ? [RESERVATION_STATUS.ACTIVE, RESERVATION_STATUS.CONFIRMED]
+      : [RESERVATION_STATUS.ACTIVE];
+
+    try {
+      const products = await Product.find({
+        reservations: { $elemMatch: { orderId, status: { $in: statuses } } }
+      }).select('_id');
+
+      for (const { _id: productId } of products) {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+          const product = await Product.findById(productId).session(session);
+          const now = new Date();
+          const changes = [];
+
+          for (const reservation of product.reservations) {
+            if (String(reservation.orderId) !== String(orderId) || !statuses.includes(reservation.status)) {
+              continue;
+            }
+
+            if (reservation.status === RESERVATION_STATUS.CONFIRMED) {
+              changes.push(applyStockDelta(product, reservation.quantity, reservation.variantId));
+              result.restocked += 1;
+            } else {
+              result.released += 1;
+            }
+
+            reservation.status = RESERVATION_STATUS.RELEASED;
+            reservation.settledAt = now;
+          }
+
+          await product.save({ session });
+          for (const change of changes) {
+            await this._recordMovement(product, change, {
+              type: MOVEMENT_TYPES.CANCELLATION,
+              reason: 'Order cancelled',
+              orderId
+            }, session);
+          }
+          await session.commitTransaction();
+        } catch (error) {
+          await session.abortTransaction();
+          throw error;
+        } finally {
+          session.endSession();
+        }
+      }
+
+      logger.info('Order reservations released', { orderId, ...result });
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to release order reservations', {
+        orderId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Expire holds whose window has passed and prune settled holds
+   * Run periodically by the reservation sweeper job.
+   * @param {Object} options - { now }
+   * @returns {Promise<Object>} { expiredProducts, prunedProducts }
+   */
+  async releaseExpiredReservations({ now = new Date() } = {}) {
+    try {
+      const expired = await Product.updateMany(
+        {
+          reservations: {
+            $elemMatch: { status: RESERVATION_STATUS.ACTIVE, expiresAt: { $lte: now } }
+          }
+        },
+        {
+          $set: {
+            'reservations.$[r].status': RESERVATION_STATUS.EXPIRED,
+            'reservations.$[r].settledAt': now
+          }
+        },
+        {
+          arrayFilters: [{ 'r.status': RESERVATION_STATUS.ACTIVE, 'r.expiresAt': { $lte: now } }]
+        }
+      );
+
+      const prunable = {
+        $or: [
+          {
+            status: { $in: [RESERVATION_STATUS.RELEASED, RESERVATION_STATUS.EXPIRED] },
+            settledAt: { $lte: new Date(now.getTime() - SETTLED_RESERVATION_RETENTION) }
+          },
+          {
+            status: RESERVATION_STATUS.CONFIRMED,
+            settledAt: { $lte: new Date(now.getTime() - CONFIRMED_RESERVATION_RETENTION) }
+          }
+        ]
+      };
+
+      const pruned = await Product.updateMany(
+        { reservations: { $elemMatch: prunable } },
+        { $pull: { reservations: prunable } }
+      );
+
+      const result = {
+        expiredProducts: expired.modifiedCount,
+        prunedProducts: pruned.modifiedCount
+      };
+
+      if (result.expiredProducts > 0) {
+        logger.info('Expired stock reservations released', result);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to release expired reservations', {
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Move the expiry of active holds, optionally tying them to an order
+   * @param {Array<string>} reservationIds - Reservation IDs
+   * @param {Object} options - { expiresAt, orderId, session }
+   * @private
+   */
+  async _extendReservations(reservationIds, { expiresAt, orderId = null, session = null }) {
+    const update = { 'reservations.$[r].expiresAt': expiresAt };
+
+    if (orderId) {
+      update['reservations.$[r].orderId'] = orderId;
+    }
+
+    await Product.updateMany(
+      { 'reservations.reservationId': { $in: reservationIds } },
+      { $set: update },
+      {
+        arrayFilters: [{ 'r.reservationId': { $in: reservationIds }, 'r.status': RESERVATION_STATUS.ACTIVE }],
+        session
+      }
+    );
+  }
+
+  /**
+   * Append an applied stock change to the movement ledger
+   * @param {Object} product - Product document the change was applied to
+   * @param {Object|null} change - { variantId, before, quantity } from applyStockDelta
+   * @param {Object} details - { type, reason, orderId, userId }
+   * @param {Object|null} session - Transaction session
+   * @returns {Promise<Object|null>} Recorded movement
+   * @private
+   */
+  _recordMovement(product, change, { type, reason = '', orderId = null, userId = null }, session = null) {
+    if (!change) {
+      return null;
+    }
+
+    return InventoryMovement.record({
+      product: product._id,
+      variantId: change.variantId || null,
+      type,
+      quantity: change.quantity,
+      before: change.before,
+      reason,
+      order: orderId,
+      user: userId
+    }, { session });
+  }
+
   /**
    * Direct stock deduction for confirmed orders
    * @param {string} productId - Product ID
@@ -320,13 +864,13 @@ class InventoryService {
       // Check availability atomically
       let currentStock = 0;
       if (variantId) {
-        const variant = product.variants.find(v => v._id.toString() === variantId);
+        const variant = product.variants.find(v => v._id.toString() === String(variantId));
         if (!variant) {
           throw new Error('Variant not found');
         }
-        currentStock = variant.stock || 0;
+        currentStock = variant.inventory || 0;
       } else {
-        currentStock = product.stock || 0;
+        currentStock = product.inventory.quantity;
       }
 
       if (currentStock < quantity) {
@@ -335,31 +879,23 @@ class InventoryService {
 
       // Deduct stock
       if (variantId) {
-        const variant = product.variants.find(v => v._id.toString() === variantId);
-        variant.stock -= quantity;
+        const variant = product.variants.find(v => v._id.toString() === String(variantId));
+        variant.inventory -= quantity;
       } else {
-        product.stock -= quantity;
+        product.inventory.quantity -= quantity;
       }
 
-      // Add to stock history
-      if (!product.stockHistory) {
-        product.stockHistory = [];
-      }
-
-      product.stockHistory.push({
-        type: 'deduction',
-        quantity,
-        reason: `Order ${orderId}`,
-        variantId,
-        date: new Date()
-      });
-
       await product.save({ session });
+      await this._recordMovement(product, { variantId, before: currentStock, quantity: -quantity }, {
+        type: MOVEMENT_TYPES.SALE,
+        reason: `Order ${orderId}`,
+        orderId
+      }, session);
       await session.commitTransaction();
 
       const remainingStock = variantId
-        ? product.variants.find(v => v._id.toString() === variantId).stock
-        : product.stock;
+        ? product.variants.find(v => v._id.toString() === String(variantId)).inventory
+        : product.inventory.quantity;
 
       logger.info('Stock deducted', {
         productId,
@@ -394,9 +930,10 @@ class InventoryService {
    * @param {number} quantity - Quantity to add
    * @param {string} reason - Reason for adding stock
    * @param {string|null} variantId - Optional variant ID
+   * @param {Object} options - { userId, type } who received the stock and the ledger movement type
    * @returns {Promise<Object>} Addition result
    */
-  async addStock(productId, quantity, reason, variantId = null) {
+  async addStock(productId, quantity, reason, variantId = null, { userId = null, type = MOVEMENT_TYPES.RESTOCK } = {}) {
     const session = await mongoose.startSession();
     session.startTransaction();
 
@@ -407,36 +944,25 @@ class InventoryService {
         throw new Error('Product not found');
       }
 
-      // Add stock
-      if (variantId) {
-        const variant = product.variants.find(v => v._id.toString() === variantId);
-        if (!variant) {
-          throw new Error('Variant not found');
-        }
-        variant.stock += quantity;
-      } else {
-        product.stock += quantity;
+      if (variantId && !product.findVariant(variantId)) {
+        throw new Error('Variant not found');
       }
 
-      // Add to stock history
-      if (!product.stockHistory) {
-        product.stockHistory = [];
-      }
-
-      product.stockHistory.push({
-        type: 'addition',
-        quantity,
-        reason,
-        variantId,
-        date: new Date()
-      });
+      // Add stock
+      const before = product.getStock(variantId);
+      product.adjustStock(quantity, variantId);
 
       await product.save({ session });
+      await this._recordMovement(product, { variantId, before, quantity }, {
+        type,
+        reason,
+        userId
+      }, session);
       await session.commitTransaction();
 
       const newStock = variantId
-        ? product.variants.find(v => v._id.toString() === variantId).stock
-        : product.stock;
+        ? product.variants.find(v => v._id.toString() === String(variantId)).inventory
+        : product.inventory.quantity;
 
       logger.info('Stock added', {
         productId,
@@ -465,6 +991,159 @@ class InventoryService {
     }
   }
 
+  /**
+   * List ledger movements for a product, newest first
+   * @param {string} productId - Product ID
+   * @param {Object} filters - { variantId, type }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { movements, pagination }
+   */
+  async getMovements(productId, filters = {}, options = {}) {
+    try {
+      const page = options.page || 1;
+      const limit = options.limit || 20;
+
+      const product = await Product.exists({ _id: productId });
+      if (!product) {
+        throw new NotFoundError('Product', productId);
+      }
+
+      const query = { product: productId };
+      if (filters.variantId) {
+        query.variantId = filters.variantId;
+      }
+      if (filters.type) {
+        query.type = filters.type;
+      }
+
+      const [movements, total] = await Promise.all([
+        InventoryMovement.find(query)
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('order', 'orderNumber')
+          .populate('user', 'firstName lastName email')
+          .lean(),
+        InventoryMovement.countDocuments(query)
+      ]);
+
+      logger.info('Inventory movements retrieved', { productId, page, total });
+
+      return {
+        movements,
+        pagination: { page, limit, total }
+      };
+    } catch (error) {
+      logger.error('Failed to get inventory movements', {
+        productId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Rebuild stock levels from the movement ledger and compare with the catalogue
+   * Stock with no ledger history at all (products that predate the ledger) is
+   * reported as untracked rather than as drift.
+   * @param {Object} options - { productId, apply, baseline }
+   *   apply: reset drifted stock to the ledger value
+   *   baseline: record an opening balance for untracked stock
+   * @returns {Promise<Object>} { checked, drift, untracked, corrected, baselined }
+   */
+  async reconcileStock({ productId = null, apply = false, baseline = false } = {}) {
+    try {
+      const productQuery = { 'inventory.trackInventory': true };
+      const ledgerMatch = {};
+      if (productId) {
+        productQuery._id = productId;
+        ledgerMatch.product = new mongoose.Types.ObjectId(productId);
+      }
+
+      const totals = await InventoryMovement.aggregate([
+        { $match: ledgerMatch },
+        {
+          $group: {
+            _id: { product: '$product', variantId: '$variantId' },
+            quantity: { $sum: '$quantity' }
+          }
+        }
+      ]);
+      const ledger = new Map(totals.map(entry => [
+        stockLineKey(entry._id.product, entry._id.variantId),
+        entry.quantity
+      ]));
+
+      const report = { checked: 0, drift: [], untracked: [], corrected: 0, baselined: 0 };
+      const products = await Product.find(productQuery).select('name sku inventory variants');
+
+      for (const product of products) {
+        const variantIds = [null, ...(product.variants || []).map(variant => variant._id)];
+        let changed = false;
+
+        for (const variantId of variantIds) {
+          const actual = product.getStock(variantId);
+          const key = stockLineKey(product._id, variantId);
+          const line = { productId: product._id, variantId, name: product.name, sku: product.sku };
+          report.checked += 1;
+
+          if (!ledger.has(key)) {
+            if (actual !== 0) {
+              report.untracked.push({ ...line, actual });
+
+              if (baseline) {
+                await InventoryMovement.record({
+                  product: product._id,
+                  variantId,
+                  type: MOVEMENT_TYPES.INITIAL,
+                  quantity: actual,
+                  before: 0,
+                  reason: 'Ledger opening balance'
+                });
+                report.baselined += 1;
+              }
+            }
+            continue;
+          }
+
+          const expected = ledger.get(key);
+          if (expected === actual) {
+            continue;
+          }
+
+          report.drift.push({ ...line, expected, actual, difference: actual - expected });
+
+          if (apply) {
+            product.adjustStock(expected - actual, variantId);
+            changed = true;
+            report.corrected += 1;
+          }
+        }
+
+        if (changed) {
+          await product.save();
+        }
+      }
+
+      logger.info('Inventory reconciliation completed', {
+        productId,
+        checked: report.checked,
+        drift: report.drift.length,
+        untracked: report.untracked.length,
+        corrected: report.corrected,
+        baselined: report.baselined
+      });
+
+      return report;
+    } catch (error) {
+      logger.error('Failed to reconcile inventory', {
+        productId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Get current stock levels
    * @param {string} productId - Product ID
@@ -479,31 +1158,14 @@ class InventoryService {
         throw new Error('Product not found');
       }
 
-      let available = 0;
-      let reserved = 0;
-
-      if (variantId) {
-        const variant = product.variants.find(v => v._id.toString() === variantId);
-        if (!variant) {
-          throw new Error('Variant not found');
-        }
-        available = variant.stock || 0;
-      } else {
-        available = product.stock || 0;
-      }
-
-      // Calculate reserved stock
-      if (product.reservations && product.reservations.length > 0) {
-        const activeReservations = product.reservations.filter(r => {
-          return r.status === 'active' &&
-                 new Date() <= r.expiresAt &&
-                 (!variantId || r.variantId === variantId);
-        });
-
-        reserved = activeReservations.reduce((sum, r) => sum + r.quantity, 0);
+      if (variantId && !product.findVariant(variantId)) {
+        throw new Error('Variant not found');
       }
 
-      const total = available + reserved;
+      // Held stock is still on hand until its reservation is confirmed
+      const total = product.getStock(variantId);
+      const reserved = product.getReservedQuantity(variantId);
+      const available = Math.max(total - reserved, 0);
 
       logger.info('Stock level retrieved', {
         productId,
@@ -531,38 +1193,280 @@ class InventoryService {
   }
 
   /**
-   * Find products below stock threshold
-   * @param {number} threshold - Stock threshold (default 10)
-   * @returns {Promise<Array>} Products with low stock
+   * Find tracked products and variants at or below their low-stock threshold
+   * Products with variants are judged per variant; others on product-level stock.
+   * @param {number|null} threshold - Override for every product (default: each product's lowStockThreshold)
+   * @returns {Promise<Array>} Low stock lines
    */
-  async getLowStockProducts(threshold = 10) {
+  async getLowStockProducts(threshold = null) {
     try {
+      const limit = threshold !== null && threshold !== undefined ? threshold : '$inventory.lowStockThreshold';
+
       const products = await Product.find({
-        $or: [
-          { stock: { $lte: threshold } },
-          { 'variants.stock': { $lte: threshold } }
-        ],
-        isActive: true
-      }).select('name slug stock variants.name variants.stock');
+        isActive: true,
+        'inventory.trackInventory': true,
+        $expr: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+            { $lte: [{ $min: '$variants.inventory' }, limit] },
+            { $lte: ['$inventory.quantity', limit] }
+          ]
+        }
+      }).select('name slug sku seller inventory variants._id variants.name variants.sku variants.inventory');
 
       const lowStockProducts = [];
 
       for (const product of products) {
-        // Check main product stock
-        if (product.stock <= threshold) {
+        const productThreshold = typeof limit === 'number' ? limit : product.inventory.lowStockThreshold;
+        const line = {
+          productId: product._id,
+          name: product.name,
+          slug: product.slug,
+          sku: product.sku,
+          sellerId: product.seller || null,
+          threshold: productThreshold
+        };
+
+        if (product.variants && product.variants.length > 0) {
+          for (const variant of product.variants) {
+            const currentStock = variant.inventory || 0;
+            if (currentStock <= productThreshold) {
+              lowStockProducts.push({
+                ...line,
+                variantId: variant._id,
+                variantName: variant.name,
+                sku: variant.sku,
+                currentStock
+              });
+            }
+          }
+        } else if (product.inventory.quantity <= productThreshold) {
           lowStockProducts.push({
-            productId: product._id,
-            name: product.name,
-            slug: product.slug,
+            ...line,
             variantId: null,
             variantName: null,
-            currentStock: product.stock,
-            threshold
+            currentStock: product.inventory.quantity
           });
         }
+      }
 
-        // Check variant stocks
-        if (product.variants && product.variants.length > 0) {
-          for (const variant of product.variants) {
-            if (variant.stock <= threshold) {
-              lowStockProducts.push
+      logger.info('Low stock products retrieved', {
+        threshold,
+        count: lowStockProducts.length
+      });
+
+      return lowStockProducts;
+    } catch (error) {
+      logger.error('Failed to get low stock products', {
+        threshold,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Bring low-stock alerts in line with current stock and email a digest
+   * Opens one alert per newly low line, resolves alerts whose stock
+   * recovered and mails every alert not yet included in a digest.
+   * @returns {Promise<Object>} { opened, resolved, notified, recipients }
+   */
+  async processLowStockAlerts() {
+    try {
+      const lines = await this.getLowStockProducts();
+      const openAlerts = await StockAlert.find({ status: ALERT_STATUS.OPEN });
+
+      const linesByKey = new Map(lines.map(line => [stockLineKey(line.productId, line.variantId), line]));
+      const alertsByKey = new Map(openAlerts.map(alert => [stockLineKey(alert.product, alert.variantId), alert]));
+      const now = new Date();
+
+      // Stock recovered above the threshold
+      const recoveredIds = openAlerts
+        .filter(alert => !linesByKey.has(stockLineKey(alert.product, alert.variantId)))
+        .map(alert => alert._id);
+
+      if (recoveredIds.length > 0) {
+        await StockAlert.updateMany(
+          { _id: { $in: recoveredIds } },
+          { $set: { status: ALERT_STATUS.RESOLVED, resolvedAt: now } }
+        );
+      }
+
+      // Still low: keep the latest level for the admin list
+      const stillLow = openAlerts.filter(alert => linesByKey.has(stockLineKey(alert.product, alert.variantId)));
+      if (stillLow.length > 0) {
+        await StockAlert.bulkWrite(stillLow.map(alert => ({
+          updateOne: {
+            filter: { _id: alert._id },
+            update: { $set: { currentStock: linesByKey.get(stockLineKey(alert.product, alert.variantId)).currentStock } }
+          }
+        })));
+      }
+
+      const newLines = lines.filter(line => !alertsByKey.has(stockLineKey(line.productId, line.variantId)));
+      let opened = 0;
+
+      if (newLines.length > 0) {
+        try {
+          const created = await StockAlert.insertMany(newLines.map(line => ({
+            product: line.productId,
+            seller: line.sellerId || null,
+            variantId: line.variantId,
+            name: line.variantName ? `${line.name} - ${line.variantName}` : line.name,
+            sku: line.sku,
+            threshold: line.threshold,
+            stockAtAlert: line.currentStock,
+            currentStock: line.currentStock
+          })), { ordered: false });
+          opened = created.length;
+        } catch (error) {
+          // Another instance opened some of these alerts first
+          if (error.code !== 11000) {
+            throw error;
+          }
+          opened = error.insertedDocs ? error.insertedDocs.length : 0;
+        }
+      }
+
+      const { notified, recipients } = await this._sendLowStockDigest(now);
+
+      logger.info('Low stock alerts processed', {
+        opened,
+        resolved: recoveredIds.length,
+        notified,
+        recipients
+      });
+
+      return { opened, resolved: recoveredIds.length, notified, recipients };
+    } catch (error) {
+      logger.error('Failed to process low stock alerts', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List low-stock alerts for the admin dashboard (or one seller's products)
+   * @param {Object} filters - { status, seller }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { alerts, pagination }
+   */
+  async getLowStockAlerts(filters = {}, options = {}) {
+    try {
+      const page = options.page || 1;
+      const limit = options.limit || 20;
+      const query = { status: filters.status || ALERT_STATUS.OPEN };
+
+      if (filters.seller) {
+        query.seller = filters.seller;
+      }
+
+      const [alerts, total] = await Promise.all([
+        StockAlert.find(query)
+          .sort({ currentStock: 1, createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('product', 'name slug isActive')
+          .lean(),
+        StockAlert.countDocuments(query)
+      ]);
+
+      logger.info('Low stock alerts retrieved', { status: query.status, page, total });
+
+      return {
+        alerts,
+        pagination: { page, limit, total }
+      };
+    } catch (error) {
+      logger.error('Failed to get low stock alerts', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Email open alerts that have not been sent yet to admins and configured addresses
+   * Approved marketplace sellers also get a digest limited to their own products.
+   * @param {Date} now - Digest timestamp
+   * @returns {Promise<Object>} { notified, recipients }
+   * @private
+   */
+  async _sendLowStockDigest(now) {
+    const pending = await StockAlert.find({ status: ALERT_STATUS.OPEN, notifiedAt: null })
+      .sort({ currentStock: 1, name: 1 })
+      .lean();
+
+    if (pending.length === 0) {
+      return { notified: 0, recipients: 0 };
+    }
+
+    const admins = await User.find({ role: 'admin', isActive: true }).select('email firstName').lean();
+    const recipients = new Map(admins.map(admin => [admin.email.toLowerCase(), admin.firstName]));
+    config.inventory.lowStockAlertEmails.forEach(email => {
+      if (!recipients.has(email.toLowerCase())) {
+        recipients.set(email.toLowerCase(), null);
+      }
+    });
+
+    const sellerDigests = await this._groupAlertsBySeller(pending);
+
+    if (recipients.size === 0 && sellerDigests.length === 0) {
+      logger.warn('Low stock digest has no recipients', { alerts: pending.length });
+      return { notified: 0, recipients: 0 };
+    }
+
+    const toDigestItem = alert => ({
+      name: alert.name,
+      sku: alert.sku,
+      currentStock: alert.currentStock,
+      threshold: alert.threshold
+    });
+    const items = pending.map(toDigestItem);
+
+    for (const [email, firstName] of recipients) {
+      await emailService.sendLowStockDigest(email, {
+        recipientName: firstName || 'there',
+        items,
+        generatedAt: now
+      });
+    }
+
+    for (const { seller, alerts } of sellerDigests) {
+      await emailService.sendLowStockDigest(seller.contactEmail, {
+        recipientName: seller.storeName,
+        items: alerts.map(toDigestItem),
+        generatedAt: now
+      });
+    }
+
+    await StockAlert.updateMany(
+      { _id: { $in: pending.map(alert => alert._id) } },
+      { $set: { notifiedAt: now } }
+    );
+
+    return { notified: pending.length, recipients: recipients.size + sellerDigests.length };
+  }
+
+  /**
+   * Group alerts of marketplace products by their approved seller
+   * @param {Array} alerts - Stock alerts
+   * @returns {Promise<Array>} [{ seller, alerts }]
+   * @private
+   */
+  async _groupAlertsBySeller(alerts) {
+    const sellerIds = [...new Set(alerts.filter(alert => alert.seller).map(alert => alert.seller.toString()))];
+
+    if (sellerIds.length === 0) {
+      return [];
+    }
+
+    const sellers = await Seller.find({ _id: { $in: sellerIds }, status: 'approved' })
+      .select('storeName contactEmail')
+      .lean();
+
+    return sellers.map(seller => ({
+      seller,
+      alerts: alerts.filter(alert => alert.seller && alert.seller.toString() === seller._id.toString())
+    }));
+  }
+}
+
+module.exports = InventoryService;
@@ -0,0 +1,228 @@
+// File: src/services/oauth.service.js
+// Generated: 2025-10-16 19:31:12 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_w6zq3rk8vd2b
+
+
+const RedisService = require('./redis.service');
+
+
+const User = require('../models/User');
+
+
+const config = require('../config/environment');
+
+
+const crypto = require('crypto');
+
+
+const logger = require('../utils/logger');
+
+const { createProviders, generatePkce } = require('../utils/oauthProviders');
+
+const { AuthenticationError, AuthorizationError, ConflictError, NotFoundError } = require('../utils/errors');
+
+/**
+ * OAuth Service
+ * Social login with the authorization code flow and PKCE. The state, nonce and
+ * code verifier of a sign-in are kept in Redis until the frontend posts the code
+ * back; external identities are linked to users by provider and subject.
+ * Issuing our own tokens is left to AuthService.
+ */
+class OAuthService {
+  constructor() {
+    this.redisService = new RedisService();
+    this.providers = null;
+  }
+
+  /**
+   * Providers users can sign in with
+   * @returns {Object[]} [{ name, label }]
+   */
+  listProviders() {
+    return Object.values(this._getProviders()).map(({ name, label }) => ({ name, label }));
+  }
+
+  /**
+   * Add a provider next to the configured ones, or replace one with the same name
+   * @param {OAuthProvider} provider - Provider from utils/oauthProviders
+   */
+  registerProvider(provider) {
+    this._getProviders()[provider.name] = provider;
+  }
+
+  /**
+   * Start a sign-in: remember the PKCE verifier and nonce, return the provider URL
+   * @param {string} providerName - Provider name
+   * @returns {Promise<Object>} { authorizationUrl, state }
+   */
+  async createAuthorizationRequest(providerName) {
+    try {
+      const provider = this._getProvider(providerName);
+      const state = crypto.randomBytes(32).toString('base64url');
+      const nonce = crypto.randomBytes(16).toString('base64url');
+      const { codeVerifier, codeChallenge } = generatePkce();
+
+      const authorizationUrl = await provider.getAuthorizationUrl({
+        state,
+        nonce,
+        codeChallenge,
+        redirectUri: config.oauth.redirectUri
+      });
+
+      await this.redisService.client.setex(
+        this._getStateKey(state),
+        config.oauth.stateTtl,
+        JSON.stringify({ provider: provider.name, nonce, codeVerifier })
+      );
+
+      logger.info('OAuth sign-in started', { provider: provider.name });
+
+      return { authorizationUrl, state };
+    } catch (error) {
+      logger.error('Failed to start OAuth sign-in', { provider: providerName, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Finish a sign-in with the code the provider sent to the redirect URI
+   * The state can only be used once.
+   * @param {string} state - State returned with the code
+   * @param {string} code - Authorization code
+   * @returns {Promise<Object>} { provider, profile }
+   * @throws {AuthenticationError} If the state is unknown or expired, or the provider rejects the code
+   */
+  async completeAuthorization(state, code) {
+    try {
+      const key = this._getStateKey(state);
+      const stored = await this.redisService.client.get(key);
+
+      if (!stored) {
+        throw new AuthenticationError('Sign-in expired or already completed. Please start again.');
+      }
+
+      await this.redisService.client.del(key);
+
+      const { provider: providerName, nonce, codeVerifier } = JSON.parse(stored);
+      const provider = this._getProvider(providerName);
+
+      const profile = await provider.fetchProfile({
+        code,
+        codeVerifier,
+        nonce,
+        redirectUri: config.oauth.redirectUri
+      });
+
+      return { provider: provider.name, profile };
+    } catch (error) {
+      logger.error('Failed to complete OAuth sign-in', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the user of an external identity, linking or creating one if needed
+   * An identity is linked to an existing account only when both the provider
+   * and the account have verified the email, so a provider account cannot take
+   * over a registration that was never confirmed (or the other way round).
+   * @param {string} providerName - Provider name
+   * @param {Object} profile - Profile from completeAuthorization()
+   * @returns {Promise<Object>} User document
+   */
+  async findOrCreateUser(providerName, profile) {
+    try {
+      const identity = { provider: providerName, subject: String(profile.subject) };
+
+      let user = await User.findOne({ oauthAccounts: { $elemMatch: identity } });
+      if (user) {
+        return user;
+      }
+
+      if (!profile.email || !profile.emailVerified) {
+        throw new AuthenticationError('Your account with this provider has no verified email address');
+      }
+
+      const email = profile.email.toLowerCase();
+      const account = { ...identity, email, linkedAt: new Date() };
+
+      user = await User.findOne({ email });
+      if (user) {
+        if (!user.isVerified) {
+          throw new ConflictError(
+            'An account with this email already exists. Sign in with your password and verify your email first.'
+          );
+        }
+
+        user.oauthAccounts = [...(user.oauthAccounts || []), account];
+        await user.save();
+
+        logger.info('OAuth identity linked to existing user', { userId: user._id, provider: providerName });
+
+        return user;
+      }
+
+      if (!config.features.enableRegistration) {
+        throw new AuthorizationError('Registration is currently disabled');
+      }
+
+      // Social-only accounts get an unguessable password; "forgot password" sets a real one
+      user = await User.create({
+        email,
+        password: crypto.randomBytes(32).toString('hex'),
+        firstName: (profile.firstName || email.split('@')[0]).slice(0, 50),
+        lastName: (profile.lastName || '-').slice(0, 50),
+        avatar: profile.avatar,
+        role: 'customer',
+        isVerified: true,
+        isActive: true,
+        oauthAccounts: [account]
+      });
+
+      logger.info('User registered with OAuth', { userId: user._id, provider: providerName });
+
+      return user;
+    } catch (error) {
+      logger.error('Failed to resolve OAuth user', { provider: providerName, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Configured providers, built on first use
+   * @private
+   */
+  _getProviders() {
+    if (!this.providers) {
+      this.providers = createProviders(config.oauth.providers);
+    }
+
+    return this.providers;
+  }
+
+  /**
+   * Look up a configured provider by name
+   * @private
+   * @throws {NotFoundError} If the provider is not configured
+   */
+  _getProvider(providerName) {
+    const providers = this._getProviders();
+    const provider = Object.prototype.hasOwnProperty.call(providers, providerName) ? providers[providerName] : null;
+
+    if (!provider) {
+      throw new NotFoundError('OAuth provider', providerName);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Redis key of a pending sign-in; only a hash of the state is stored
+   * @private
+   */
+  _getStateKey(state) {
+    return `oauth_state:${crypto.createHash('sha256').update(String(state)).digest('hex')}`;
+  }
+}
+
+module.exports = new OAuthService();
@@ -19,6 +19,9 @@ const OrderItem = require('../models/OrderItem');
 const Product = require('../models/Product');
 
 
+const currencyService = require('./currency.service');
+
+
 const emailService = require('./email.service');
 
 
@@ -27,6 +30,34 @@ const logger = require('../utils/logger');
 
 const mongoose = require('mongoose');
 
+
+const promoCodeService = require('./promoCode.service');
+
+
+const sellerService = require('./seller.service');
+
+
+const shippingService = require('./shipping.service');
+
+
+const taxService = require('./tax.service');
+
+const { buildLookupUrl } = require('../utils/orderLookupToken');
+
+const { roundAmount } = require('../utils/currency');
+
+/**
+ * Email address order notifications go to
+ * Account orders use the (populated) user; guest orders their checkout email.
+ * @param {Object} order - Order document
+ * @returns {string|undefined} Recipient email
+ */
+
+
+const getRecipientEmail = (order) => {
+  return order.user ? order.user.email : order.guest && order.guest.email;
+};
+
 /**
  * Order Service
  * Handles order creation, management, and business logic
@@ -38,47 +69,115 @@ class OrderServiceClass {
   }
 
   /**
-   * Create a new order from user's cart
+   * Start checkout by holding stock for every line of the user's cart
+   * Holds expire after config.inventory.reservationTtl unless the order is
+   * placed; calling this again refreshes them for the current cart contents.
    * @param {string} userId - User ID
-   * @param {Object} orderData - Order data (shippingAddress, billingAddress, paymentMethod)
+   * @returns {Promise<Object>} { cartId, expiresAt, reservations }
+   */
+  async startCheckout(userId) {
+    try {
+      const cart = await this.cartService.getCart(userId);
+
+      if (!cart || !cart.items || cart.items.length === 0) {
+        throw new Error('Cart is empty');
+      }
+
+      const validatedItems = await this.validateAndCalculateOrder(cart.items, null);
+      const hold = await this.inventoryService.holdCartStock(cart._id, this.toHoldItems(validatedItems));
+
+      logger.info('Checkout started', {
+        userId,
+        cartId: cart._id,
+        expiresAt: hold.expiresAt
+      });
+
+      return hold;
+    } catch (error) {
+      logger.error('Failed to start checkout', {
+        userId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new order from user's cart
+   * Guest checkouts pass a null userId and orderData.guest; the order is then
+   * placed from the guest's session cart and linked to their email instead.
+   * @param {string|null} userId - User ID
+   * @param {Object} orderData - Order data (shippingAddress, billingAddress, shippingMethod, paymentMethod)
+   * @param {string} [orderData.currency] - Currency to price and charge the order in (defaults to the base currency)
+   * @param {Object} [orderData.guest] - Guest checkout { email, firstName, lastName, sessionId }
    * @returns {Promise<Object>} Created order
    */
   async createOrder(userId, orderData) {
     const session = await mongoose.startSession();
     session.startTransaction();
 
+    const guest = userId ? null : orderData.guest;
+    let hold = null;
+
     try {
-      // Get user's cart
-      const cart = await this.cartService.getCart(userId);
+      if (!userId && !(guest && guest.email && guest.sessionId)) {
+        throw new Error('Guest email and cart session are required');
+      }
+
+      // Lock the exchange rate for the lifetime of the order
+      const { code: currency } = await currencyService.requireCurrency(orderData.currency || currencyService.baseCurrency);
+      const exchangeRate = currencyService.getRate(currency);
+      const toBase = (amount) => currencyService.convert(amount, currency, currencyService.baseCurrency);
+
+      // Get user's (or guest session's) cart
+      const cart = await this.cartService.getCart(userId, guest ? guest.sessionId : undefined);
 
       if (!cart || !cart.items || cart.items.length === 0) {
         throw new Error('Cart is empty');
       }
 
       // Validate and calculate order totals
-      const validatedItems = await this.validateAndCalculateOrder(cart.items, session);
-
-      // Reserve inventory for all items with session for transactional consistency
-      const reservations = [];
-      for (const item of validatedItems) {
-        try {
-          await this.inventoryService.reserveStock(item.product._id, item.quantity, session);
-          reservations.push({ productId: item.product._id, quantity: item.quantity });
-        } catch (error) {
-          // Release already reserved stock within transaction
-          for (const reservation of reservations) {
-            await this.inventoryService.releaseReservation(reservation.productId, reservation.quantity, session);
-          }
-          throw new Error(`Insufficient stock for product: ${item.product.name}`);
-        }
-      }
-
-      // Calculate pricing
-      const subtotal = validatedItems.reduce((sum, item) => sum + item.finalPrice, 0);
-      const shipping = this.calculateShipping(subtotal);
-      const tax = subtotal * 0.1; // 10% tax
-      const discount = cart.discount || 0;
-      const total = subtotal + shipping + tax - discount;
+      const validatedItems = await this.validateAndCalculateOrder(cart.items, session, currency);
+
+      // Reuse the holds taken at checkout start; lines without a valid hold are
+      // reserved now. The reservations are written outside this transaction,
+      // so the new ones are released again if the order is not placed.
+      hold = await this.inventoryService.holdCartStock(cart._id, this.toHoldItems(validatedItems));
+
+      // Calculate pricing in the order currency; shipping rates and promo
+      // thresholds are defined in the base currency
+      const subtotal = roundAmount(validatedItems.reduce((sum, item) => sum + item.finalPrice, 0), currency);
+      const promotion = await this.resolvePromotion(
+        cart.promoCode,
+        { userId, email: guest ? guest.email : null },
+        validatedItems,
+        currency
+      );
+      const shippingMethod = await shippingService.selectMethod({
+        items: validatedItems.map(item => ({
+          productId: item.product._id,
+          product: item.product,
+          quantity: item.quantity
+        })),
+        address: orderData.shippingAddress,
+        subtotal: toBase(subtotal)
+      }, orderData.shippingMethod);
+      const shipping = shippingMethod && !promotion.freeShipping
+        ? currencyService.convert(shippingMethod.cost, currencyService.baseCurrency, currency)
+        : 0;
+      const discount = promotion.discount;
+      const taxResult = await taxService.calculateTax({
+        items: validatedItems.map(item => ({
+          productId: item.product._id,
+          price: item.finalPrice / item.quantity,
+          quantity: item.quantity,
+          taxClass: item.taxClass
+        })),
+        address: orderData.shippingAddress,
+        discount
+      });
+      const tax = roundAmount(taxResult.tax, currency);
+      const total = roundAmount(subtotal + shipping + (taxResult.taxInclusive ? 0 : tax) - discount, currency);
 
       // Generate order number
       const orderNumber = await this.generateOrderNumber();
@@ -86,15 +185,22 @@ class OrderServiceClass {
       // Create order
       const orderDoc = new Order({
         orderNumber,
-        user: userId,
+        user: userId || undefined,
+        guest: guest
+          ? { email: guest.email, firstName: guest.firstName, lastName: guest.lastName }
+          : undefined,
         items: [],
         pricing: {
           subtotal,
           shipping,
           tax,
           discount,
-          total
+          total,
+          taxInclusive: taxResult.taxInclusive
         },
+        currency,
+        exchangeRate,
+        taxBreakdown: taxResult.breakdown,
         status: 'pending',
         payment: {
           method: orderData.paymentMethod || 'pending',
@@ -102,27 +208,49 @@ class OrderServiceClass {
         },
         shippingAddress: orderData.shippingAddress,
         billingAddress: orderData.billingAddress || orderData.shippingAddress,
-        promoCode: cart.promoCode || null
+        shippingMethod: shippingMethod
+          ? {
+            code: shippingMethod.code,
+            name: shippingMethod.name,
+            zone: shippingMethod.zone,
+            cost: shipping,
+            estimatedDays: shippingMethod.estimatedDays
+          }
+          : undefined,
+        promoCode: promotion.code
       });
 
       await orderDoc.save({ session });
 
+      // Count the promo code redemption against its usage limits
+      if (promotion.code) {
+        await promoCodeService.redeemPromoCode(promotion.code, {
+          userId,
+          email: guest ? guest.email : null,
+          orderId: orderDoc._id,
+          discount
+        }, session);
+      }
+
       // Create order items
       const orderItems = [];
-      for (const item of validatedItems) {
+      for (const [index, item] of validatedItems.entries()) {
         const orderItem = new OrderItem({
           order: orderDoc._id,
           product: item.product._id,
+          seller: item.product.seller || null,
           productSnapshot: {
-            name: item.product.name,
-            sku: item.product.sku,
+            name: item.variant ? `${item.product.name} - ${item.variant.name}` : item.product.name,
+            sku: item.variant ? item.variant.sku : item.product.sku,
             description: item.product.description,
             images: item.product.images
           },
+          variantId: item.variantId,
+          selectedOptions: item.variant && item.variant.attributes ? Object.fromEntries(item.variant.attributes) : {},
           quantity: item.quantity,
-          price: item.product.price,
+          price: item.price,
           discount: item.discount || 0,
-          tax: item.product.price * item.quantity * 0.1,
+          tax: Math.round(taxResult.lines[index].tax / item.quantity * 100) / 100,
           finalPrice: item.finalPrice
         });
 
@@ -133,13 +261,18 @@ class OrderServiceClass {
       orderDoc.items = orderItems.map(item => item._id);
       await orderDoc.save({ session });
 
-      // Confirm inventory reservations within transaction
-      for (const reservation of reservations) {
-        await this.inventoryService.confirmReservation(reservation.productId, reservation.quantity, session);
-      }
+      // Marketplace items are fulfilled by their sellers through sub-orders
+      await sellerService.splitOrder(orderDoc, orderItems, session);
+
+      // Keep the holds for the payment window; stock is deducted on payment success
+      await this.inventoryService.assignReservationsToOrder(
+        hold.reservations.map(reservation => reservation.reservationId),
+        orderDoc._id,
+        { session }
+      );
 
       // Clear user's cart within transaction
-      await this.cartService.clearCart(userId, session);
+      await this.cartService.clearCart(userId, guest ? guest.sessionId : session);
 
       await session.commitTransaction();
 
@@ -147,7 +280,9 @@ class OrderServiceClass {
         orderId: orderDoc._id,
         orderNumber: orderDoc.orderNumber,
         userId,
-        total
+        guest: !!guest,
+        total,
+        currency
       });
 
       // Send order confirmation email (async, don't wait)
@@ -168,6 +303,17 @@ class OrderServiceClass {
 
       return populatedOrder;
     } catch (error) {
+      if (hold) {
+        for (const reservationId of hold.createdReservationIds) {
+          await this.inventoryService.releaseReservation(reservationId).catch(releaseError => {
+            logger.error('Failed to release stock hold of unplaced order', {
+              reservationId,
+              error: releaseError.message
+            });
+          });
+        }
+      }
+
       await session.abortTransaction();
       logger.error('Failed to create order', {
         userId,
@@ -184,46 +330,115 @@ class OrderServiceClass {
    * Validate cart items and calculate totals
    * @param {Array} items - Cart items
    * @param {Object} session - Mongoose session for transaction
+   * @param {string} [currency] - Currency to price the items in (defaults to the base currency)
    * @returns {Promise<Array>} Validated items with calculated prices
    */
-  async validateAndCalculateOrder(items, session) {
+  async validateAndCalculateOrder(items, session, currency = currencyService.baseCurrency) {
     const validatedItems = [];
 
     for (const item of items) {
+      const productRef = item.productId || item.product;
+      const productId = productRef && productRef._id ? productRef._id : productRef;
+
       // Fetch fresh product data with session and lock for update
-      const product = await Product.findById(item.product).session(session);
+      const product = await Product.findById(productId).session(session);
 
       if (!product) {
-        throw new Error(`Product not found: ${item.product}`);
+        throw new Error(`Product not found: ${productId}`);
       }
 
       if (!product.isActive) {
         throw new Error(`Product is no longer available: ${product.name}`);
       }
 
-      // Check stock availability
-      const canPurchase = await product.canPurchase(item.quantity);
-      if (!canPurchase) {
+      const variantId = item.variantId || null;
+      const variant = product.findVariant(variantId);
+
+      if (variantId && !variant) {
+        throw new Error(`Selected option is no longer available: ${product.name}`);
+      }
+
+      if (!variant && product.variants && product.variants.length > 0) {
+        throw new Error(`Please select options for product: ${product.name}`);
+      }
+
+      // Check stock availability of the product or selected variant
+      try {
+        product.canPurchase(item.quantity, variantId);
+      } catch (error) {
         throw new Error(`Insufficient stock for product: ${product.name}`);
       }
 
-      // Calculate item pricing
-      const discount = product.calculateDiscount();
-      const itemPrice = discount.amount > 0 ? product.price - discount.amount : product.price;
-      const finalPrice = itemPrice * item.quantity;
+      // Calculate item pricing in the order currency; a variant with its own
+      // price is not covered by the product-level compare-at discount
+      const price = currencyService.getProductPrice(product, currency, variantId);
+      const discount = product.getPrice(variantId) === product.price ? product.calculateDiscount() : { amount: 0 };
+      const discountAmount = discount.amount > 0
+        ? currencyService.convert(discount.amount, product.currency, currency)
+        : 0;
+      const itemPrice = price - discountAmount;
+      const finalPrice = roundAmount(itemPrice * item.quantity, currency);
 
       validatedItems.push({
         product,
+        variant,
+        variantId: variant ? variant._id : null,
         quantity: item.quantity,
-        price: product.price,
-        discount: discount.amount * item.quantity,
-        finalPrice
+        price,
+        discount: roundAmount(discountAmount * item.quantity, currency),
+        finalPrice,
+        taxClass: product.taxClass
       });
     }
 
     return validatedItems;
   }
 
+  /**
+   * Map validated order lines to the shape used for stock holds
+   * @param {Array} validatedItems - Items returned by validateAndCalculateOrder
+   * @returns {Array} [{ productId, variantId, quantity }]
+   */
+  toHoldItems(validatedItems) {
+    return validatedItems.map(item => ({
+      productId: item.product._id,
+      variantId: item.variantId,
+      quantity: item.quantity
+    }));
+  }
+
+  /**
+   * Re-validate the cart's promo code against the checked-out items
+   * @param {string|null} code - Promo code applied to the cart
+   * @param {Object} redeemer - { userId, email } (email for guest checkouts)
+   * @param {Array} validatedItems - Items returned by validateAndCalculateOrder
+   * @param {string} [currency] - Currency the items are priced in
+   * @returns {Promise<Object>} { code, discount (in that currency), freeShipping }
+   */
+  async resolvePromotion(code, { userId, email }, validatedItems, currency = currencyService.baseCurrency) {
+    if (!code) {
+      return { code: null, discount: 0, freeShipping: false };
+    }
+
+    // Promo amounts and minimum subtotals are defined in the base currency
+    const result = await promoCodeService.validatePromoCode(code, {
+      userId,
+      email,
+      items: validatedItems.map(item => ({
+        productId: item.product._id,
+        price: currencyService.convert(item.finalPrice / item.quantity, currency, currencyService.baseCurrency),
+        quantity: item.quantity,
+        categories: item.product.categories || []
+      }))
+    });
+
+    return {
+      code: result.promoCode.code,
+      discount: currencyService.convert(result.discount, currencyService.baseCurrency, currency),
+      freeShipping: result.freeShipping
+    };
+  }
+
   /**
    * Update order status
    * @param {string} orderId - Order ID
@@ -290,10 +505,9 @@ class OrderServiceClass {
         throw new Error(`Order cannot be cancelled in ${order.status} status`);
       }
 
-      // Release inventory for all items within transaction
-      const orderItems = await OrderItem.find({ order: orderId }).session(session);
-      for (const item of orderItems) {
-        await this.inventoryService.releaseReservation(item.product, item.quantity, session);
+      // Give the promo code redemption back
+      if (order.promoCode) {
+        await promoCodeService.releaseRedemption(order._id, session);
       }
 
       // Cancel order
@@ -302,6 +516,9 @@ class OrderServiceClass {
 
       await session.commitTransaction();
 
+      // Release unpaid holds and put back stock already deducted for the order
+      await this.inventoryService.releaseOrderReservations(orderId, { restock: true });
+
       logger.info('Order cancelled', {
         orderId,
         reason
@@ -310,7 +527,7 @@ class OrderServiceClass {
       // Send cancellation notification
       await emailService.queueEmail({
         type: 'order_cancelled',
-        recipient: order.user.email,
+        recipient: getRecipientEmail(order),
         data: {
           orderNumber: order.orderNumber,
           reason
@@ -350,7 +567,7 @@ class OrderServiceClass {
       }
 
       // Check authorization
-      if (order.user._id.toString() !== userId.toString()) {
+      if (!order.user || order.user._id.toString() !== userId.toString()) {
         throw new Error('Unauthorized access to order');
       }
 
@@ -424,6 +641,40 @@ class OrderServiceClass {
     }
   }
 
+  /**
+   * Link a guest's past orders to their new account
+   * Counterpart of CartService.mergeCarts for orders: every unlinked guest order
+   * placed with the email becomes an order of the user.
+   * @param {string} userId - User ID
+   * @param {string} email - Guest checkout email
+   * @returns {Promise<number>} Number of orders linked
+   */
+  async claimGuestOrders(userId, email) {
+    try {
+      if (!userId || !email) {
+        throw new Error('Both userId and email are required');
+      }
+
+      const result = await Order.updateMany(
+        { 'guest.email': email.trim().toLowerCase(), user: null },
+        { $set: { user: userId } }
+      );
+
+      logger.info('Guest orders linked to user', {
+        userId,
+        linked: result.modifiedCount
+      });
+
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Failed to link guest orders', {
+        userId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Generate unique order number
    * @returns {Promise<string>} Order number
@@ -446,21 +697,6 @@ class OrderServiceClass {
     return orderNumber;
   }
 
-  /**
-   * Calculate shipping cost based on subtotal
-   * @param {number} subtotal - Order subtotal
-   * @returns {number} Shipping cost
-   */
-  calculateShipping(subtotal) {
-    if (subtotal >= 100) {
-      return 0; // Free shipping over $100
-    } else if (subtotal >= 50) {
-      return 5; // $5 shipping for $50-$100
-    } else {
-      return 10; // $10 shipping under $50
-    }
-  }
-
   /**
    * Validate status transition
    * @param {string} currentStatus - Current status
@@ -502,7 +738,7 @@ class OrderServiceClass {
 
       await emailService.queueEmail({
         type: emailType,
-        recipient: order.user.email,
+        recipient: getRecipientEmail(order),
         data: {
           orderNumber: order.orderNumber,
           status,
@@ -538,13 +774,18 @@ class OrderServiceClass {
           populate: { path: 'product', select: 'name sku images price' }
         });
 
+      const recipient = getRecipientEmail(populatedOrder);
+
       await emailService.sendOrderConfirmation(
-        populatedOrder.user.email,
+        recipient,
         {
           orderNumber: populatedOrder.orderNumber,
           items: populatedOrder.items,
           pricing: populatedOrder.pricing,
-          shippingAddress: populatedOrder.shippingAddress
+          currency: populatedOrder.currency,
+          shippingAddress: populatedOrder.shippingAddress,
+          // Guests have no account page, so they get a signed lookup link instead
+          orderUrl: populatedOrder.user ? undefined : buildLookupUrl(populatedOrder.orderNumber, recipient)
         }
       );
 
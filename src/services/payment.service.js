@@ -4,9 +4,15 @@
 // Task ID: task_kh20tbkxr3dj
 
 
+const InventoryService = require('./inventory.service');
+
+
 const Order = require('../models/Order');
 
 
+const OrderItem = require('../models/OrderItem');
+
+
 const PayPalService = require('./paypal.service');
 
 
@@ -16,8 +22,24 @@ const Payment = require('../models/Payment');
 const StripeService = require('./stripe.service');
 
 
+const User = require('../models/User');
+
+
+const emailService = require('./email.service');
+
+
 const logger = require('../utils/logger');
 
+
+const paymentMethodService = require('./paymentMethod.service');
+
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const { fromMinorUnits, roundAmount } = require('../utils/currency');
+
+
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
 /**
  * Payment Service
  * Orchestrates payment processing across multiple payment gateways
@@ -28,6 +50,7 @@ class PaymentService {
       stripe: new StripeService(),
       paypal: new PayPalService()
     };
+    this.inventoryService = new InventoryService();
   }
 
   /**
@@ -40,6 +63,7 @@ class PaymentService {
    * @param {string} paymentDetails.userId - User ID
    * @param {string} [paymentDetails.returnUrl] - Return URL for PayPal
    * @param {string} [paymentDetails.cancelUrl] - Cancel URL for PayPal
+   * @param {string} [paymentDetails.savedPaymentMethodId] - Saved Stripe card for one-click checkout
    * @returns {Promise<Object>} Payment result
    */
   async processPayment(orderId, paymentDetails) {
@@ -47,9 +71,9 @@ class PaymentService {
     session.startTransaction();
 
     try {
-      const { paymentMethod, amount, currency, userId, returnUrl, cancelUrl } = paymentDetails;
+      const { paymentMethod, amount, userId, returnUrl, cancelUrl, savedPaymentMethodId } = paymentDetails;
 
-      logger.info('Processing payment', { orderId, paymentMethod, amount, currency });
+      logger.info('Processing payment', { orderId, paymentMethod, amount, currency: paymentDetails.currency });
 
       // Validate order exists and lock it
       const order = await Order.findById(orderId).session(session);
@@ -57,6 +81,9 @@ class PaymentService {
         throw new Error('Order not found');
       }
 
+      // Orders are charged in the currency they were priced in
+      const currency = this._resolvePaymentCurrency(order, paymentDetails.currency);
+
       // Validate payment amount matches order total
       this._validatePaymentAmount(order, amount);
 
@@ -75,6 +102,10 @@ class PaymentService {
         throw new Error('Payment already in progress or completed for this order');
       }
 
+      if (savedPaymentMethodId && paymentMethod !== 'stripe') {
+        throw new ValidationError('Saved payment methods are only supported with Stripe');
+      }
+
       // Select payment gateway
       const gateway = this._selectGateway(paymentMethod);
 
@@ -83,20 +114,36 @@ class PaymentService {
 
       // Process payment based on gateway
       if (paymentMethod === 'stripe') {
-        // Create Stripe payment intent
-        const paymentIntent = await gateway.createPaymentIntent({
-          amount: Math.round(amount * 100), // Convert to cents
-          currency: currency || 'usd',
-          userId,
-          orderId
-        });
+        let paymentIntent;
+
+        if (savedPaymentMethodId) {
+          // One-click checkout: charge a card from the user's wallet right away
+          const { customerId } = await paymentMethodService.resolveSavedMethod(userId, savedPaymentMethodId);
+
+          paymentIntent = await gateway.chargeSavedPaymentMethod({
+            amount,
+            currency,
+            customerId,
+            paymentMethodId: savedPaymentMethodId,
+            userId,
+            orderId
+          });
+        } else {
+          // Create Stripe payment intent
+          paymentIntent = await gateway.createPaymentIntent({
+            amount,
+            currency,
+            userId,
+            orderId
+          });
+        }
 
         // Create payment record
         payment = await Payment.create([{
           orderId,
           userId,
           amount,
-          currency: currency || 'usd',
+          currency,
           paymentMethod: 'stripe',
           paymentStatus: 'pending',
           transactionId: paymentIntent.id,
@@ -120,7 +167,7 @@ class PaymentService {
         const paypalOrder = await gateway.createOrder({
           orderId,
           amount,
-          currency: currency || 'USD',
+          currency,
           returnUrl: returnUrl || `${process.env.FRONTEND_URL}/payment/success`,
           cancelUrl: cancelUrl || `${process.env.FRONTEND_URL}/payment/cancel`
         });
@@ -130,7 +177,7 @@ class PaymentService {
           orderId,
           userId,
           amount,
-          currency: currency || 'USD',
+          currency,
           paymentMethod: 'paypal',
           paymentStatus: 'pending',
           transactionId: paypalOrder.id,
@@ -314,11 +361,14 @@ class PaymentService {
 
   /**
    * Refund payment
+   * Successive partial refunds are allowed until the payment is fully refunded;
+   * each one is appended to the payment's refund history.
    * @param {string} paymentId - Payment ID
-   * @param {number} [refundAmount] - Amount to refund (null for full refund)
+   * @param {number} [refundAmount] - Amount to refund (null for everything not yet refunded)
+   * @param {Object} [details] - Breakdown kept in the history: { items, tax, shipping, reason, requestedBy }
    * @returns {Promise<Object>} Refund result
    */
-  async refundPayment(paymentId, refundAmount = null) {
+  async refundPayment(paymentId, refundAmount = null, details = {}) {
     try {
       logger.info('Processing refund', { paymentId, refundAmount });
 
@@ -327,70 +377,53 @@ class PaymentService {
         throw new Error('Payment not found');
       }
 
-      if (payment.paymentStatus !== 'completed') {
-        throw new Error('Cannot refund payment that is not completed');
+      if (payment.paymentStatus === 'refunded') {
+        throw new Error('Payment has already been refunded');
       }
 
-      if (payment.refunded) {
-        throw new Error('Payment has already been refunded');
+      if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.paymentStatus)) {
+        throw new Error('Cannot refund payment that is not completed');
       }
 
       const gateway = this._selectGateway(payment.paymentMethod);
 
-      const amountToRefund = refundAmount || payment.amount;
+      const remaining = roundAmount(payment.amount - (payment.refundAmount || 0), payment.currency);
+      const amountToRefund = refundAmount || remaining;
 
-      if (amountToRefund > payment.amount) {
-        throw new Error('Refund amount cannot exceed payment amount');
+      if (amountToRefund > remaining) {
+        throw new Error('Refund amount cannot exceed the amount not yet refunded');
       }
 
-      let refundResult;
-
-      if (payment.paymentMethod === 'stripe') {
-        // Create Stripe refund
-        const refund = await gateway.createRefund(
-          payment.transactionId,
-          Math.round(amountToRefund * 100) // Convert to cents
-        );
+      const { items = [], tax = 0, shipping = 0, reason, requestedBy } = details;
 
-        refundResult = {
-          refundId: refund.id,
-          amount: amountToRefund,
-          status: refund.status
-        };
+      // Claim the units before money moves so concurrent refunds cannot both take them
+      const reserved = await this._reserveRefundUnits(items);
 
-      } else if (payment.paymentMethod === 'paypal') {
-        // Create PayPal refund
-        const refund = await gateway.refundPayment(
-          payment.transactionId,
-          amountToRefund,
-          payment.currency
-        );
+      let refundResult;
 
-        refundResult = {
-          refundId: refund.id,
-          amount: amountToRefund,
-          status: refund.status
-        };
+      try {
+        refundResult = await this._createGatewayRefund(gateway, payment, amountToRefund);
+      } catch (error) {
+        await this._releaseRefundUnits(reserved);
+        throw error;
       }
 
-      // Update payment record
-      payment.refunded = true;
-      payment.refundAmount = amountToRefund;
-      payment.refundedAt = new Date();
-      payment.refundTransactionId = refundResult.refundId;
-      await payment.save();
-
-      // Handle refund completion
-      await this._handleRefundCompleted({
-        orderId: payment.orderId,
-        paymentId: payment._id,
-        refundAmount: amountToRefund
-      });
+      const updated = await this._applyRefund(payment, {
+        refundId: refundResult.refundId,
+        amount: amountToRefund,
+        items,
+        tax,
+        shipping,
+        reason,
+        status: refundResult.status,
+        requestedBy
+      }) || await Payment.findById(payment._id);
 
       logger.info('Refund processed successfully', {
         paymentId,
         refundId: refundResult.refundId,
-        amount: amountToRefund
+        amount: amountToRefund,
+        totalRefunded: updated.refundAmount
       });
 
       return {
@@ -400,6 +433,8 @@ class PaymentService {
           orderId: payment.orderId,
           refundId: refundResult.refundId,
           amount: amountToRefund,
+          totalRefunded: updated.refundAmount,
+          paymentStatus: updated.paymentStatus,
           status: refundResult.status
         }
       };
@@ -414,6 +449,181 @@ class PaymentService {
     }
   }
 
+  /**
+   * Issue a refund through the payment's gateway
+   * @param {Object} gateway - Gateway service
+   * @param {Object} payment - Payment document
+   * @param {number} amount - Amount to refund
+   * @returns {Promise<Object>} { refundId, status }
+   * @private
+   */
+  async _createGatewayRefund(gateway, payment, amount) {
+    if (payment.paymentMethod === 'stripe') {
+      // Create Stripe refund
+      const refund = await gateway.createRefund(payment.transactionId, amount, payment.currency);
+
+      return { refundId: refund.refundId, status: refund.status };
+    }
+
+    // Create PayPal refund
+    const refund = await gateway.refundPayment(payment.transactionId, amount, payment.currency);
+
+    return { refundId: refund.refundId, status: refund.status };
+  }
+
+  /**
+   * Count units as refunded, only while they stay within the quantity bought
+   * Lines already reserved are released again if a later line cannot be.
+   * @param {Array<Object>} lines - Refund lines { orderItem, name, quantity }
+   * @returns {Promise<Array<Object>>} Reserved lines
+   * @private
+   */
+  async _reserveRefundUnits(lines) {
+    const reserved = [];
+
+    for (const line of lines.filter(entry => entry.orderItem)) {
+      const result = await OrderItem.updateOne(
+        {
+          _id: line.orderItem,
+          $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedQuantity', 0] }, line.quantity] }, '$quantity'] }
+        },
+        { $inc: { refundedQuantity: line.quantity } }
+      );
+
+      if (result.modifiedCount === 0) {
+        await this._releaseRefundUnits(reserved);
+        throw new ValidationError(`${line.quantity} unit(s) of ${line.name} can no longer be refunded`);
+      }
+
+      reserved.push(line);
+    }
+
+    return reserved;
+  }
+
+  /**
+   * Give back units reserved for a refund that did not go through
+   * @param {Array<Object>} lines - Lines returned by _reserveRefundUnits
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _releaseRefundUnits(lines) {
+    for (const line of lines) {
+      await OrderItem.updateOne(
+        { _id: line.orderItem },
+        { $inc: { refundedQuantity: -line.quantity } }
+      );
+    }
+  }
+
+  /**
+   * Refund selected order items, optionally with their tax and part of the shipping
+   * @param {string} orderId - Order ID
+   * @param {Object} request - Refund request
+   * @param {Array<Object>} [request.items] - [{ orderItemId, quantity }]
+   * @param {boolean} [request.includeTax=true] - Refund the tax charged on the items
+   * @param {number} [request.shipping=0] - Shipping amount to refund
+   * @param {string} [request.reason] - Reason recorded in the refund history
+   * @param {string} requestedBy - Admin issuing the refund
+   * @returns {Promise<Object>} Refund result
+   */
+  async refundOrderItems(orderId, { items = [], includeTax = true, shipping = 0, reason } = {}, requestedBy = null) {
+    try {
+      const order = await Order.findById(orderId);
+      if (!order) {
+        throw new NotFoundError('Order', orderId);
+      }
+
+      const payment = await Payment.findOne({
+        orderId: order._id,
+        paymentStatus: { $in: REFUNDABLE_PAYMENT_STATUSES }
+      }).sort({ createdAt: -1 });
+
+      if (!payment) {
+        throw new ValidationError('Order has no payment that can be refunded');
+      }
+
+      const itemIds = items.map(line => line.orderItemId.toString());
+      if (new Set(itemIds).size !== itemIds.length) {
+        throw new ValidationError('Each order item can only appear once in a refund');
+      }
+
+      const orderItems = await OrderItem.find({ _id: { $in: itemIds }, order: order._id });
+      const itemsById = new Map(orderItems.map(item => [item._id.toString(), item]));
+
+      // With tax-inclusive pricing the tax is already part of finalPrice
+      const refundTax = includeTax && !order.pricing.taxInclusive;
+
+      // Each line gets back what was paid for it after its share of the order discount
+      const discountRate = await OrderItem.getOrderDiscountRate(order);
+
+      const lines = items.map(({ orderItemId, quantity }) => {
+        const item = itemsById.get(orderItemId.toString());
+        if (!item) {
+          throw new NotFoundError('Order item', orderItemId);
+        }
+
+        const refundable = item.quantity - (item.refundedQuantity || 0);
+        if (quantity > refundable) {
+          throw new ValidationError(
+            `Only ${refundable} unit(s) of ${item.productSnapshot.name} can still be refunded`
+          );
+        }
+
+        const unitPrice = item.finalPrice * (1 - discountRate);
+
+        return {
+          orderItem: item._id,
+          name: item.productSnapshot.name,
+          sku: item.productSnapshot.sku,
+          quantity,
+          unitPrice: roundAmount(unitPrice, payment.currency),
+          amount: roundAmount(unitPrice * quantity, payment.currency),
+          tax: refundTax ? roundAmount((item.tax || 0) * quantity, payment.currency) : 0
+        };
+      });
+
+      const shippingRefunded = payment.refunds.reduce((sum, refund) => sum + (refund.shipping || 0), 0);
+      const shippingRefundable = roundAmount((order.pricing.shipping || 0) - shippingRefunded, payment.currency);
+      if (shipping > shippingRefundable) {
+        throw new ValidationError(`Shipping refund cannot exceed ${shippingRefundable}`);
+      }
+
+      const tax = roundAmount(lines.reduce((sum, line) => sum + line.tax, 0), payment.currency);
+      const goods = lines.reduce((sum, line) => sum + line.amount, 0);
+      const amount = roundAmount(goods + tax + shipping, payment.currency);
+
+      if (amount <= 0) {
+        throw new ValidationError('Refund must include at least one item or a shipping amount');
+      }
+
+      const result = await this.refundPayment(payment._id, amount, {
+        items: lines,
+        tax,
+        shipping,
+        reason,
+        requestedBy
+      });
+
+      logger.info('Order items refunded', {
+        orderId,
+        paymentId: payment._id,
+        items: lines.length,
+        amount,
+        requestedBy
+      });
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to refund order items', {
+        orderId,
+        requestedBy,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Handle webhook from payment provider
    * @param {string} provider - Payment provider (stripe/paypal)
@@ -431,25 +641,7 @@ class PaymentService {
         // Verify Stripe webhook signature
         const event = gateway.constructWebhookEvent(payload, signature);
 
-        logger.info('Stripe webhook event received', { type: event.type });
-
-        // Handle different event types
-        switch (event.type) {
-          case 'payment_intent.succeeded':
-            await this._handleStripePaymentSucceeded(event.data.object);
-            break;
-
-          case 'payment_intent.payment_failed':
-            await this._handleStripePaymentFailed(event.data.object);
-            break;
-
-          case 'charge.refunded':
-            await this._handleStripeRefund(event.data.object);
-            break;
-
-          default:
-            logger.info('Unhandled Stripe webhook event type', { type: event.type });
-        }
+        await this.processStripeEvent(event);
 
       } else if (provider === 'paypal') {
         // Verify PayPal webhook signature
@@ -495,6 +687,37 @@ class PaymentService {
     }
   }
 
+  /**
+   * Apply a verified Stripe webhook event
+   * @param {Object} event - Stripe event (signature already verified)
+   * @returns {Promise<void>}
+   */
+  async processStripeEvent(event) {
+    logger.info('Stripe webhook event received', { type: event.type });
+
+    // Handle different event types
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        await this._handleStripePaymentSucceeded(event.data.object);
+        break;
+
+      case 'payment_intent.payment_failed':
+        await this._handleStripePaymentFailed(event.data.object);
+        break;
+
+      case 'payment_intent.canceled':
+        await this._handleStripePaymentCanceled(event.data.object);
+        break;
+
+      case 'charge.refunded':
+        await this._handleStripeRefund(event.data.object);
+        break;
+
+      default:
+        logger.info('Unhandled Stripe webhook event type', { type: event.type });
+    }
+  }
+
   /**
    * Select payment gateway based on payment method
    * @private
@@ -507,6 +730,25 @@ class PaymentService {
     return gateway;
   }
 
+  /**
+   * Currency to charge an order in
+   * Defaults to the order currency; asking for any other currency is refused
+   * since the totals were priced and taxed in the order currency.
+   * @private
+   */
+  _resolvePaymentCurrency(order, requested) {
+    const orderCurrency = (order.currency || 'USD').toUpperCase();
+
+    if (requested && String(requested).toUpperCase() !== orderCurrency) {
+      throw new ValidationError(
+        `Payment currency (${String(requested).toUpperCase()}) does not match order currency (${orderCurrency})`,
+        [{ field: 'currency', message: 'Currency must match the order currency' }]
+      );
+    }
+
+    return orderCurrency;
+  }
+
   /**
    * Validate payment amount matches order total
    * @private
@@ -575,6 +817,10 @@ class PaymentService {
 
       logger.info('Handling payment completed', { orderId, paymentId, transactionId });
 
+      // Turn the order's stock holds into deductions before marking it paid,
+      // so a failure here is retried with the webhook
+      await this._confirmOrderStock(orderId);
+
       // Update order status to paid
       const order = await Order.findById(orderId);
       if (order) {
@@ -602,6 +848,9 @@ class PaymentService {
 
       logger.info('Handling payment failed', { orderId, paymentId, reason });
 
+      // Give the held stock back; a retried payment allocates it again
+      await this.inventoryService.releaseOrderReservations(orderId);
+
       // Update order status to payment failed
       const order = await Order.findById(orderId);
       if (order) {
@@ -618,22 +867,114 @@ class PaymentService {
     }
   }
 
+  /**
+   * Deduct stock for a paid order from its holds
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>} Confirmation result
+   * @private
+   */
+  async _confirmOrderStock(orderId) {
+    const items = await OrderItem.find({ order: orderId }).select('product variantId quantity');
+
+    return this.inventoryService.confirmOrderReservations(orderId, items.map(item => ({
+      productId: item.product,
+      variantId: item.variantId,
+      quantity: item.quantity
+    })));
+  }
+
+  /**
+   * Append a refund to the payment history and move the payment and order on
+   * The API call and the gateway webhook for the same refund can race, so the
+   * entry is only added if its refundId is not in the history yet.
+   * @param {Object} payment - Payment document
+   * @param {Object} refund - History entry { refundId, amount, items, tax, shipping, reason, status, source, requestedBy }
+   * @returns {Promise<Object|null>} Updated payment, or null when the refund was already recorded
+   * @private
+   */
+  async _applyRefund(payment, refund) {
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, 'refunds.refundId': { $ne: refund.refundId } },
+      {
+        $push: { refunds: refund },
+        $inc: { refundAmount: refund.amount },
+        $set: { refundedAt: new Date() }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      // The webhook got there first; keep the details only the API call knows
+      if (refund.source !== 'gateway') {
+        await Payment.updateOne(
+          { _id: payment._id, 'refunds.refundId': refund.refundId },
+          {
+            $set: {
+              'refunds.$.items': refund.items,
+              'refunds.$.tax': refund.tax,
+              'refunds.$.shipping': refund.shipping,
+              'refunds.$.reason': refund.reason,
+              'refunds.$.requestedBy': refund.requestedBy,
+              'refunds.$.source': 'api'
+            }
+          }
+        );
+      }
+
+      logger.info('Refund already recorded', { paymentId: payment._id, refundId: refund.refundId });
+      return null;
+    }
+
+    // A refund that completes the payment wins over a concurrent partial one
+    const fullyRefunded = roundAmount(updated.refundAmount, updated.currency) >= updated.amount;
+    updated.paymentStatus = fullyRefunded ? 'refunded' : 'partially_refunded';
+    await Payment.updateOne(
+      fullyRefunded ? { _id: updated._id } : { _id: updated._id, paymentStatus: { $ne: 'refunded' } },
+      { $set: { paymentStatus: updated.paymentStatus } }
+    );
+
+    const entry = updated.refunds.find(item => item.refundId === refund.refundId);
+
+    await this._handleRefundCompleted({
+      orderId: updated.orderId,
+      paymentId: updated._id,
+      refundAmount: refund.amount,
+      totalRefunded: roundAmount(updated.refundAmount, updated.currency),
+      fullyRefunded,
+      payment: updated,
+      refund: entry
+    });
+
+    return updated;
+  }
+
   /**
    * Handle refund completed
    * @private
    */
   async _handleRefundCompleted(data) {
     try {
-      const { orderId, paymentId, refundAmount } = data;
+      const { orderId, paymentId, refundAmount, totalRefunded = refundAmount, fullyRefunded = true } = data;
 
-      logger.info('Handling refund completed', { orderId, paymentId, refundAmount });
+      logger.info('Handling refund completed', { orderId, paymentId, refundAmount, fullyRefunded });
 
-      // Update order status to refunded
       const order = await Order.findById(orderId);
       if (order) {
-        order.payment.status = 'refunded';
+        order.payment.refundAmount = totalRefunded;
         order.payment.refundedAt = new Date();
-        await order.updateStatus('refunded', `Refund of ${refundAmount} completed`);
+
+        if (fullyRefunded) {
+          order.payment.status = 'refunded';
+          await order.updateStatus('refunded', `Refund of ${refundAmount} completed`);
+        } else {
+          // Partial refunds (e.g. returned items) leave the order where it is
+          order.payment.status = 'partially_refunded';
+          await order.save();
+        }
+
+        if (data.refund) {
+          await this._sendRefundEmail(order, data.payment, data.refund);
+        }
       }
 
     } catch (error) {
@@ -645,6 +986,48 @@ class PaymentService {
     }
   }
 
+  /**
+   * Email the customer the breakdown of a refund
+   * A failed email never fails the refund itself.
+   * @private
+   */
+  async _sendRefundEmail(order, payment, refund) {
+    try {
+      // Guest orders are emailed at their checkout address
+      const user = order.user
+        ? await User.findById(order.user).select('firstName email')
+        : order.guest;
+      if (!user || !user.email) {
+        return;
+      }
+
+      await emailService.sendRefundProcessed(user.email, {
+        orderNumber: order.orderNumber,
+        customerName: user.firstName,
+        refundAmount: refund.amount,
+        refundMethod: payment.paymentMethod === 'paypal' ? 'PayPal' : 'Original payment card',
+        refundDate: refund.createdAt,
+        refundReason: refund.reason,
+        items: refund.items.map(line => ({
+          name: line.name,
+          sku: line.sku,
+          quantity: line.quantity,
+          price: line.unitPrice
+        })),
+        tax: refund.tax,
+        shipping: refund.shipping,
+        totalRefunded: payment.refundAmount,
+        paymentAmount: payment.amount
+      });
+    } catch (error) {
+      logger.warn('Failed to send refund email', {
+        orderId: order._id,
+        refundId: refund.refundId,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Handle Stripe payment succeeded webhook
    * @private
@@ -702,6 +1085,31 @@ class PaymentService {
     }
   }
 
+  /**
+   * Handle Stripe payment canceled webhook
+   * The order stays pending so the customer can pay again; its holds are released
+   * @private
+   */
+  async _handleStripePaymentCanceled(paymentIntent) {
+    try {
+      const payment = await Payment.findOne({ transactionId: paymentIntent.id });
+
+      if (payment) {
+        payment.paymentStatus = 'cancelled';
+        await payment.save();
+
+        await this.inventoryService.releaseOrderReservations(payment.orderId);
+      }
+
+    } catch (error) {
+      logger.error('Failed to handle Stripe payment canceled', {
+        paymentIntentId: paymentIntent.id,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
   /**
    * Handle Stripe refund webhook
    * @private
@@ -710,17 +1118,20 @@ class PaymentService {
     try {
       const payment = await Payment.findOne({ transactionId: charge.payment_intent });
 
-      if (payment && !payment.refunded) {
-        payment.refunded = true;
-        payment.refundAmount = charge.amount_refunded / 100; // Convert from cents
-        payment.refundedAt = new Date();
-        await payment.save();
-
-        await this._handleRefundCompleted({
-          orderId: payment.orderId,
-          paymentId: payment._id,
-          refundAmount: payment.refundAmount
-        });
+      if (payment) {
+        // amount_refunded is cumulative; anything above our own history was refunded from the dashboard
+        const refunded = fromMinorUnits(charge.amount_refunded, charge.currency || payment.currency);
+        const untracked = roundAmount(refunded - (payment.refundAmount || 0), payment.currency);
+        const latest = charge.refunds?.data?.[0];
+
+        if (untracked > 0 && !payment.refunds.some(refund => refund.refundId === latest?.id)) {
+          await this._applyRefund(payment, {
+            refundId: latest?.id || charge.id,
+            amount: untracked,
+            status: latest?.status || 'succeeded',
+            source: 'gateway'
+          });
+        }
       }
 
     } catch (error) {
@@ -797,16 +1208,13 @@ class PaymentService {
     try {
       const payment = await Payment.findOne({ transactionId: refund.supplementary_data?.related_ids?.order_id });
 
-      if (payment && !payment.refunded) {
-        payment.refunded = true;
-        payment.refundAmount = parseFloat(refund.amount.value);
-        payment.refundedAt = new Date();
-        await payment.save();
-
-        await this._handleRefundCompleted({
-          orderId: payment.orderId,
-          paymentId: payment._id,
-          refundAmount: payment.refundAmount
+      // Refunds issued through refundPayment are already in the history
+      if (payment && !payment.refunds.some(entry => entry.refundId === refund.id)) {
+        await this._applyRefund(payment, {
+          refundId: refund.id,
+          amount: parseFloat(refund.amount.value),
+          status: refund.status,
+          source: 'gateway'
         });
       }
 
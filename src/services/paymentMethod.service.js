@@ -0,0 +1,255 @@
+// File: src/services/paymentMethod.service.js
+// Generated: 2025-10-16 14:06:31 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_f5mz8qa1nw3a
+
+
+const StripeService = require('./stripe.service');
+
+
+const User = require('../models/User');
+
+
+const logger = require('../utils/logger');
+
+const { NotFoundError } = require('../utils/errors');
+
+/**
+ * Reduce a Stripe payment method to what the storefront needs to show
+ * @param {Object} paymentMethod - Stripe payment method
+ * @param {string|null} defaultId - Customer's default payment method ID
+ * @returns {Object} Card summary
+ */
+
+
+const toCardSummary = (paymentMethod, defaultId) => ({
+  id: paymentMethod.id,
+  brand: paymentMethod.card?.brand,
+  last4: paymentMethod.card?.last4,
+  expMonth: paymentMethod.card?.exp_month,
+  expYear: paymentMethod.card?.exp_year,
+  isDefault: paymentMethod.id === defaultId
+});
+
+/**
+ * Payment Method Service
+ * Saved-card wallet backed by a Stripe customer. Cards are collected client-side
+ * through a SetupIntent; only Stripe IDs are stored, never card data.
+ */
+class PaymentMethodService {
+  constructor() {
+    this.stripe = new StripeService();
+  }
+
+  /**
+   * List the user's saved cards
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Card summaries, default first
+   */
+  async listPaymentMethods(userId) {
+    try {
+      const user = await this._getUser(userId);
+
+      if (!user.stripeCustomerId) {
+        return [];
+      }
+
+      const [paymentMethods, customer] = await Promise.all([
+        this.stripe.listPaymentMethods(user.stripeCustomerId),
+        this.stripe.retrieveCustomer(user.stripeCustomerId)
+      ]);
+
+      const defaultId = customer.invoice_settings?.default_payment_method || null;
+
+      return paymentMethods
+        .map(paymentMethod => toCardSummary(paymentMethod, defaultId))
+        .sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+    } catch (error) {
+      logger.error('Failed to list payment methods', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Start saving a card: returns the SetupIntent secret the client confirms with Stripe.js
+   * Creates the user's Stripe customer the first time.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { clientSecret, setupIntentId }
+   */
+  async createSetupIntent(userId) {
+    try {
+      const user = await this._getUser(userId);
+      const customerId = await this._ensureCustomer(user);
+
+      const setupIntent = await this.stripe.createSetupIntent(customerId, { userId: user._id.toString() });
+
+      logger.info('Card setup started', { userId, setupIntentId: setupIntent.id });
+
+      return {
+        clientSecret: setupIntent.client_secret,
+        setupIntentId: setupIntent.id
+      };
+    } catch (error) {
+      logger.error('Failed to start card setup', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Add a confirmed card to the wallet
+   * Cards confirmed through the SetupIntent are already attached; others are attached here.
+   * The first saved card becomes the default.
+   * @param {string} userId - User ID
+   * @param {string} paymentMethodId - Stripe payment method ID
+   * @param {Object} options - { makeDefault }
+   * @returns {Promise<Object>} Card summary
+   */
+  async addPaymentMethod(userId, paymentMethodId, { makeDefault = false } = {}) {
+    try {
+      const user = await this._getUser(userId);
+      const customerId = await this._ensureCustomer(user);
+
+      let paymentMethod = await this.stripe.retrievePaymentMethod(paymentMethodId);
+
+      if (!paymentMethod.customer) {
+        paymentMethod = await this.stripe.attachPaymentMethod(paymentMethodId, customerId);
+      } else if (paymentMethod.customer !== customerId) {
+        throw new NotFoundError('Payment method', paymentMethodId);
+      }
+
+      const customer = await this.stripe.retrieveCustomer(customerId);
+      let defaultId = customer.invoice_settings?.default_payment_method || null;
+
+      if (makeDefault || !defaultId) {
+        await this._setCustomerDefault(customerId, paymentMethodId);
+        defaultId = paymentMethodId;
+      }
+
+      logger.info('Payment method saved', { userId, paymentMethodId, isDefault: defaultId === paymentMethodId });
+
+      return toCardSummary(paymentMethod, defaultId);
+    } catch (error) {
+      logger.error('Failed to save payment method', { userId, paymentMethodId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Make a saved card the default for checkout
+   * @param {string} userId - User ID
+   * @param {string} paymentMethodId - Stripe payment method ID
+   * @returns {Promise<Object>} Card summary
+   */
+  async setDefaultPaymentMethod(userId, paymentMethodId) {
+    try {
+      const { customerId, paymentMethod } = await this.resolveSavedMethod(userId, paymentMethodId);
+
+      await this._setCustomerDefault(customerId, paymentMethodId);
+
+      logger.info('Default payment method changed', { userId, paymentMethodId });
+
+      return toCardSummary(paymentMethod, paymentMethodId);
+    } catch (error) {
+      logger.error('Failed to set default payment method', { userId, paymentMethodId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a saved card
+   * @param {string} userId - User ID
+   * @param {string} paymentMethodId - Stripe payment method ID
+   * @returns {Promise<void>}
+   */
+  async removePaymentMethod(userId, paymentMethodId) {
+    try {
+      await this.resolveSavedMethod(userId, paymentMethodId);
+      await this.stripe.detachPaymentMethod(paymentMethodId);
+
+      logger.info('Payment method removed', { userId, paymentMethodId });
+    } catch (error) {
+      logger.error('Failed to remove payment method', { userId, paymentMethodId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Load a saved card, making sure it belongs to the user
+   * Cards of other customers are reported as not found.
+   * @param {string} userId - User ID
+   * @param {string} paymentMethodId - Stripe payment method ID
+   * @returns {Promise<Object>} { customerId, paymentMethod }
+   */
+  async resolveSavedMethod(userId, paymentMethodId) {
+    const user = await this._getUser(userId);
+
+    if (!user.stripeCustomerId) {
+      throw new NotFoundError('Payment method', paymentMethodId);
+    }
+
+    const paymentMethod = await this.stripe.retrievePaymentMethod(paymentMethodId);
+
+    if (paymentMethod.customer !== user.stripeCustomerId) {
+      throw new NotFoundError('Payment method', paymentMethodId);
+    }
+
+    return { customerId: user.stripeCustomerId, paymentMethod };
+  }
+
+  /**
+   * Load the user with their Stripe customer ID
+   * @private
+   */
+  async _getUser(userId) {
+    const user = await User.findById(userId).select('+stripeCustomerId');
+
+    if (!user) {
+      throw new NotFoundError('User', userId);
+    }
+
+    return user;
+  }
+
+  /**
+   * Create the user's Stripe customer on first use
+   * @private
+   */
+  async _ensureCustomer(user) {
+    if (user.stripeCustomerId) {
+      return user.stripeCustomerId;
+    }
+
+    const customer = await this.stripe.createCustomer({
+      email: user.email,
+      name: [user.firstName, user.lastName].filter(Boolean).join(' '),
+      userId: user._id.toString()
+    });
+
+    // Only link the customer if a concurrent request has not linked one already
+    const result = await User.updateOne(
+      { _id: user._id, stripeCustomerId: null },
+      { $set: { stripeCustomerId: customer.id } }
+    );
+
+    if (result.modifiedCount === 0) {
+      const linked = await this._getUser(user._id);
+      return linked.stripeCustomerId;
+    }
+
+    logger.info('Stripe customer linked to user', { userId: user._id, customerId: customer.id });
+
+    return customer.id;
+  }
+
+  /**
+   * Set the customer's default card
+   * @private
+   */
+  async _setCustomerDefault(customerId, paymentMethodId) {
+    await this.stripe.updateCustomer(customerId, {
+      invoice_settings: { default_payment_method: paymentMethodId }
+    });
+  }
+}
+
+module.exports = new PaymentMethodService();
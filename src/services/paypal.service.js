@@ -15,6 +15,19 @@ const config = require('../config/paypal');
 
 const logger = require('../utils/logger');
 
+const { getCurrencyDecimals } = require('../utils/currency');
+
+/**
+ * Format an amount as a PayPal money value
+ * Zero-decimal currencies such as JPY must not carry a fractional part.
+ * @param {number} value - Amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} Amount with the currency's number of decimals
+ */
+
+
+const formatValue = (value, currency) => value.toFixed(getCurrencyDecimals(currency));
+
 /**
  * PayPal Service Class
  * Manages all PayPal payment operations
@@ -108,19 +121,19 @@ class PayPalService {
         reference_id: orderId,
         amount: {
           currency_code: currency,
-          value: amount.toFixed(2),
+          value: formatValue(amount, currency),
           breakdown: {
             item_total: {
               currency_code: currency,
-              value: itemTotal.toFixed(2)
+              value: formatValue(itemTotal, currency)
             },
             shipping: {
               currency_code: currency,
-              value: shipping.toFixed(2)
+              value: formatValue(shipping, currency)
             },
             tax_total: {
               currency_code: currency,
-              value: tax.toFixed(2)
+              value: formatValue(tax, currency)
             }
           }
         },
@@ -129,7 +142,7 @@ class PayPalService {
           description: item.description || '',
           unit_amount: {
             currency_code: currency,
-            value: item.price.toFixed(2)
+            value: formatValue(item.price, currency)
           },
           quantity: item.quantity.toString(),
           sku: item.sku || ''
@@ -297,26 +310,22 @@ class PayPalService {
 
   /**
    * Refund captured payment (full or partial)
+   * Only calls PayPal; the caller records the refund on its payment.
    * @param {string} captureId - PayPal capture ID
    * @param {number} refundAmount - Amount to refund (optional, full refund if not provided)
+   * @param {string} currency - Currency code of the capture
    * @returns {Promise<Object>} Refund result
    */
-  async refundPayment(captureId, refundAmount = null) {
+  async refundPayment(captureId, refundAmount = null, currency = 'USD') {
     try {
       // Build refund request
       const request = new checkoutNodeJssdk.payments.CapturesRefundRequest(captureId);
 
       const requestBody = {};
       if (refundAmount) {
-        // Find payment to get currency
-        const payment = await Payment.findOne({ captureId });
-        if (!payment) {
-          throw new Error('Payment not found for capture ID');
-        }
-
         requestBody.amount = {
-          value: refundAmount.toFixed(2),
-          currency_code: payment.currency
+          value: formatValue(refundAmount, currency),
+          currency_code: currency
         };
       }
 
@@ -328,24 +337,6 @@ class PayPalService {
       const refundId = refundData.id;
       const refundStatus = refundData.status;
 
-      // Update payment record
-      const payment = await Payment.findOneAndUpdate(
-        { captureId },
-        {
-          status: 'REFUNDED',
-          refundId,
-          refundedAmount: refundAmount || '$original',
-          refundedAt: new Date(),
-          metadata: {
-            refundId,
-            refundStatus,
-            refundedAmount: refundAmount,
-            refundedAt: new Date()
-          }
-        },
-        { new: true }
-      );
-
       logger.info('PayPal payment refunded successfully', {
         captureId,
         refundId,
@@ -355,8 +346,7 @@ class PayPalService {
 
       return {
         refundId,
-        status: refundStatus,
-        payment
+        status: refundStatus
       };
     } catch (error) {
       logger.error('Failed to refund PayPal payment', {
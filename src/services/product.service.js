@@ -7,11 +7,31 @@
 const CloudinaryService = require('./cloudinary.service');
 
 
+const mongoose = require('mongoose');
+
+
+const reviewService = require('./review.service');
+
+
+const wishlistService = require('./wishlist.service');
+
+
+const config = require('../config/environment');
+
+
+const InventoryMovement = require('../models/InventoryMovement');
+
+
 const Product = require('../models/Product');
 
 
 const logger = require('../utils/logger');
 
+
+const RECENT_REVIEWS_LIMIT = 5;
+
+const { MOVEMENT_TYPES } = InventoryMovement;
+
 /**
  * ProductService - Handles all product-related business logic
  * Manages CRUD operations, stock management, search, and image handling
@@ -128,20 +148,36 @@ class ProductService {
         );
       }
 
-      // Prepare product data with images
+      // Prepare product data with images (image URLs given in the data, as in imports, come first)
       const productToCreate = {
         ...productData,
-        images: uploadedImages.map(img => ({
-          url: img.url,
-          publicId: img.publicId,
-          alt: productData.name
-        })),
+        images: [
+          ...(productData.images || []),
+          ...uploadedImages.map(img => ({
+            url: img.url,
+            publicId: img.publicId,
+            alt: productData.name
+          }))
+        ],
         isActive: productData.isActive !== undefined ? productData.isActive : true,
         createdAt: new Date()
       };
 
-      // Create product
-      const product = await Product.create(productToCreate);
+      // Create the product and its opening ledger balances together
+      const session = await mongoose.startSession();
+      session.startTransaction();
+
+      let product;
+      try {
+        [product] = await Product.create([productToCreate], { session });
+        await this._recordInitialStock(product, session);
+        await session.commitTransaction();
+      } catch (error) {
+        await session.abortTransaction();
+        throw error;
+      } finally {
+        session.endSession();
+      }
 
       logger.info('Product created successfully', {
         productId: product._id,
@@ -162,17 +198,12 @@ class ProductService {
   /**
    * Get product by ID
    * @param {String} productId - Product ID
-   * @returns {Promise<Object>} Product document
+   * @returns {Promise<Object>} Product with its most recent approved reviews
    */
   async getProductById(productId) {
     try {
       const product = await Product.findById(productId)
-        .populate('category', 'name slug')
-        .populate({
-          path: 'reviews',
-          select: 'rating comment user createdAt',
-          populate: { path: 'user', select: 'name' }
-        });
+        .populate('categories', 'name slug');
 
       if (!product) {
         throw new Error('Product not found');
@@ -182,9 +213,14 @@ class ProductService {
         throw new Error('Product is not available');
       }
 
+      const result = product.toObject();
+      result.reviews = config.features.enableReviews
+        ? await reviewService.getRecentReviews(product._id, RECENT_REVIEWS_LIMIT)
+        : [];
+
       logger.info('Product fetched by ID', { productId });
 
-      return product;
+      return result;
     } catch (error) {
       logger.error('Failed to fetch product by ID', {
         productId,
@@ -348,13 +384,30 @@ class ProductService {
         productId,
         { $set: updateData },
         { new: true, runValidators: true }
-      ).populate('category', 'name slug');
+      ).populate('categories', 'name slug');
+
+      // Manual stock edits go through the ledger as adjustments
+      if (updateData.inventory && updateData.inventory.quantity !== undefined) {
+        await InventoryMovement.record({
+          product: product._id,
+          type: MOVEMENT_TYPES.ADJUSTMENT,
+          quantity: product.inventory.quantity - existingProduct.inventory.quantity,
+          before: existingProduct.inventory.quantity,
+          reason: 'Product updated'
+        });
+      }
 
       logger.info('Product updated successfully', {
         productId,
         updatedFields: Object.keys(updateData)
       });
 
+      // Notify wishlist watchers in the background
+      wishlistService.notifyProductChange(
+        { price: existingProduct.price, inStock: existingProduct.isInStock() },
+        product
+      );
+
       return product;
     } catch (error) {
       logger.error('Failed to update product', {
@@ -426,9 +479,10 @@ class ProductService {
    * Decrease product stock
    * @param {String} productId - Product ID
    * @param {Number} quantity - Quantity to decrease
+   * @param {Object} options - Ledger details { type, reason, orderId, userId }
    * @returns {Promise<Object>} Updated product
    */
-  async decreaseStock(productId, quantity) {
+  async decreaseStock(productId, quantity, options = {}) {
     try {
       if (quantity <= 0) {
         throw new Error('Quantity must be greater than 0');
@@ -465,6 +519,8 @@ class ProductService {
         throw new Error('Failed to decrease stock - insufficient quantity');
       }
 
+      await this._recordStockMovement(updatedProduct, -quantity, options);
+
       logger.info('Product stock decreased', {
         productId,
         quantity,
@@ -486,9 +542,10 @@ class ProductService {
    * Increase product stock
    * @param {String} productId - Product ID
    * @param {Number} quantity - Quantity to increase
+   * @param {Object} options - Ledger details { type, reason, orderId, userId }
    * @returns {Promise<Object>} Updated product
    */
-  async increaseStock(productId, quantity) {
+  async increaseStock(productId, quantity, options = {}) {
     try {
       if (quantity <= 0) {
         throw new Error('Quantity must be greater than 0');
@@ -508,12 +565,20 @@ class ProductService {
         throw new Error('Product not found');
       }
 
+      await this._recordStockMovement(updatedProduct, quantity, options);
+
       logger.info('Product stock increased', {
         productId,
         quantity,
         newStock: updatedProduct.inventory.quantity
       });
 
+      const { allowBackorder, trackInventory } = updatedProduct.inventory;
+      wishlistService.notifyProductChange(
+        { inStock: updatedProduct.inventory.quantity - quantity > 0 || allowBackorder || !trackInventory },
+        updatedProduct
+      );
+
       return updatedProduct;
     } catch (error) {
       logger.error('Failed to increase stock', {
@@ -525,6 +590,57 @@ class ProductService {
     }
   }
 
+  /**
+   * Record the opening inventory ledger balances of a new product
+   * Product-level stock and each variant's stock are tracked separately,
+   * so every one of them gets its own INITIAL movement.
+   * @param {Object} product - Newly created product
+   * @param {Object} session - Transaction session the product was created in
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recordInitialStock(product, session) {
+    const openingBalances = [
+      { variantId: null, quantity: product.inventory.quantity },
+      ...(product.variants || []).map(variant => ({ variantId: variant._id, quantity: variant.inventory }))
+    ];
+
+    for (const { variantId, quantity } of openingBalances) {
+      await InventoryMovement.record({
+        product: product._id,
+        variantId,
+        type: MOVEMENT_TYPES.INITIAL,
+        quantity,
+        before: 0,
+        reason: 'Product created'
+      }, { session });
+    }
+  }
+
+  /**
+   * Record an atomic stock change in the inventory ledger
+   * `before` is derived from the post-update document so concurrent
+   * $inc updates each log the level they actually moved from.
+   * @param {Object} updatedProduct - Product returned after the update
+   * @param {Number} quantity - Signed change that was applied
+   * @param {Object} options - { type, reason, orderId, userId }
+   * @returns {Promise<Object|null>} Recorded movement
+   * @private
+   */
+  _recordStockMovement(updatedProduct, quantity, options = {}) {
+    const after = updatedProduct.inventory.quantity;
+
+    return InventoryMovement.record({
+      product: updatedProduct._id,
+      type: options.type || MOVEMENT_TYPES.ADJUSTMENT,
+      quantity,
+      before: after - quantity,
+      reason: options.reason || '',
+      order: options.orderId || null,
+      user: options.userId || null
+    });
+  }
+
   /**
    * Search products
    * @param {String} searchTerm - Search term
@@ -0,0 +1,604 @@
+// File: src/services/productImport.service.js
+// Generated: 2025-10-16 17:38:21 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_d4wq7nb2xs9b
+
+
+const Category = require('../models/Category');
+
+
+const ImportJob = require('../models/ImportJob');
+
+
+const Product = require('../models/Product');
+
+
+const ProductService = require('./product.service');
+
+
+const config = require('../config/environment');
+
+
+const logger = require('../utils/logger');
+
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+const { formatField, parseCsv } = require('../utils/csv');
+
+const { validateCreateProduct, validateUpdateProduct } = require('../middleware/validation');
+
+const { validationResult } = require('express-validator');
+
+const { IMPORT_STATUS, MAX_ROW_ERRORS } = ImportJob;
+
+/**
+ * Catalog file columns, in export order. Imports accept any subset plus sku.
+ */
+
+
+const CATALOG_COLUMNS = [
+  'sku', 'name', 'description', 'price', 'compareAtPrice', 'prices', 'stock', 'lowStockThreshold',
+  'categories', 'tags', 'brand', 'images', 'taxClass', 'weight', 'isActive', 'isFeatured'
+];
+
+/**
+ * Separator of list cells (categories, tags, images) in CSV files
+ */
+
+
+const LIST_SEPARATOR = '|';
+
+/**
+ * How often (in rows) a running job saves its progress
+ */
+
+
+const PROGRESS_INTERVAL = 100;
+
+
+const TRUE_VALUES = ['true', '1', 'yes'];
+
+
+const FALSE_VALUES = ['false', '0', 'no'];
+
+
+const productService = new ProductService();
+
+/**
+ * Product Import Service
+ * Bulk catalog upserts by SKU from CSV or JSON lines files, run as tracked
+ * background jobs, and the matching catalog export. Rows go through the same
+ * validators as POST/PUT /products; categories are referenced by slug.
+ */
+class ProductImportService {
+  /**
+   * Parse an upload and queue its import
+   * The file is parsed up front so malformed files are rejected right away;
+   * rows are then processed in the background.
+   * @param {string} content - File content
+   * @param {string} format - csv | jsonl
+   * @param {string} userId - Uploading admin
+   * @returns {Promise<Object>} Queued import job
+   */
+  async startImport(content, format, userId) {
+    try {
+      const rows = this.parseRows(content, format);
+
+      const job = await ImportJob.create({
+        format,
+        createdBy: userId,
+        totalRows: rows.length
+      });
+
+      setImmediate(() => this.runImport(job._id, rows));
+
+      logger.info('Product import queued', { jobId: job._id, format, rows: rows.length, userId });
+
+      return job;
+    } catch (error) {
+      logger.error('Failed to queue product import', { format, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Split a CSV or JSON lines file into numbered rows
+   * JSON lines that do not parse become failed rows rather than failing the file.
+   * @param {string} content - File content
+   * @param {string} format - csv | jsonl
+   * @returns {Array<Object>} [{ row, data } | { row, error }]
+   */
+  parseRows(content, format) {
+    let rows;
+
+    if (format === 'csv') {
+      try {
+        rows = parseCsv(content || '').map((data, index) => ({ row: index + 1, data }));
+      } catch (error) {
+        throw new ValidationError(`Invalid CSV file: ${error.message}`);
+      }
+    } else if (format === 'jsonl') {
+      rows = (content || '')
+        .split(/\r?\n/)
+        .filter(line => line.trim() !== '')
+        .map((line, index) => {
+          try {
+            const data = JSON.parse(line);
+
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+              return { row: index + 1, error: 'Row must be a JSON object' };
+            }
+            return { row: index + 1, data };
+          } catch (error) {
+            return { row: index + 1, error: 'Row is not valid JSON' };
+          }
+        });
+    } else {
+      throw new ValidationError('Format must be csv or jsonl');
+    }
+
+    if (rows.length === 0) {
+      throw new ValidationError('The file contains no product rows');
+    }
+
+    if (rows.length > config.catalogImport.maxRows) {
+      throw new ValidationError(`Imports are limited to ${config.catalogImport.maxRows} rows per file`);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Process the rows of an import job
+   * Each row is imported on its own: a rejected row is recorded on the job and
+   * the next one is processed.
+   * @param {string} jobId - Import job ID
+   * @param {Array} rows - Rows from parseRows
+   * @returns {Promise<Object>} Final counters
+   */
+  async runImport(jobId, rows) {
+    const counts = { processedRows: 0, created: 0, updated: 0, failed: 0 };
+    const rowErrors = [];
+
+    try {
+      await ImportJob.updateOne(
+        { _id: jobId },
+        { $set: { status: IMPORT_STATUS.RUNNING, startedAt: new Date() } }
+      );
+
+      const categoriesBySlug = await this._loadCategories(rows);
+
+      for (const { row, data, error } of rows) {
+        try {
+          if (error) {
+            throw new ValidationError(error);
+          }
+
+          const outcome = await this.importRow(data, categoriesBySlug);
+          counts[outcome] += 1;
+        } catch (rowError) {
+          counts.failed += 1;
+
+          if (rowErrors.length < MAX_ROW_ERRORS) {
+            rowErrors.push({
+              row,
+              sku: data && data.sku ? String(data.sku).trim().toUpperCase() : undefined,
+              messages: this._errorMessages(rowError)
+            });
+          }
+        }
+
+        counts.processedRows += 1;
+
+        if (counts.processedRows % PROGRESS_INTERVAL === 0) {
+          await ImportJob.updateOne({ _id: jobId }, { $set: { ...counts } });
+        }
+      }
+
+      await ImportJob.updateOne(
+        { _id: jobId },
+        { $set: { ...counts, rowErrors, status: IMPORT_STATUS.COMPLETED, finishedAt: new Date() } }
+      );
+
+      logger.info('Product import completed', { jobId, ...counts });
+    } catch (error) {
+      logger.error('Product import failed', { jobId, ...counts, error: error.message });
+
+      await ImportJob.updateOne(
+        { _id: jobId },
+        {
+          $set: {
+            ...counts,
+            rowErrors,
+            status: IMPORT_STATUS.FAILED,
+            error: error.message,
+            finishedAt: new Date()
+          }
+        }
+      ).catch(updateError => logger.error('Failed to record import failure', { jobId, error: updateError.message }));
+    }
+
+    return counts;
+  }
+
+  /**
+   * Create or update one product from an import row, matched by SKU
+   * @param {Object} data - Row fields
+   * @param {Map} categoriesBySlug - Category IDs keyed by slug
+   * @returns {Promise<string>} 'created' or 'updated'
+   */
+  async importRow(data, categoriesBySlug) {
+    const fields = this._normalizeRow(data);
+
+    if (!fields.sku) {
+      throw new ValidationError('SKU is required');
+    }
+
+    let categories;
+    if (fields.categories) {
+      const unknown = fields.categories.filter(slug => !categoriesBySlug.has(slug));
+
+      if (unknown.length > 0) {
+        throw new ValidationError(`Unknown category: ${unknown.join(', ')}`);
+      }
+      categories = fields.categories.map(slug => categoriesBySlug.get(slug));
+    }
+
+    const existing = await Product.findOne({ sku: fields.sku }).select('name inventory').lean();
+
+    await this._validate(
+      existing ? validateUpdateProduct : validateCreateProduct,
+      this._toRequestBody(fields, categories)
+    );
+
+    const productData = this._toProductData(fields, categories, existing);
+
+    if (existing) {
+      await productService.updateProduct(existing._id, productData);
+      return 'updated';
+    }
+
+    await productService.createProduct({ ...productData, category: categories && categories[0] });
+    return 'created';
+  }
+
+  /**
+   * Get an import job
+   * @param {string} jobId - Import job ID
+   * @returns {Promise<Object>} Import job with its row errors
+   */
+  async getImportJob(jobId) {
+    const job = await ImportJob.findById(jobId).lean();
+
+    if (!job) {
+      throw new NotFoundError('Import job', jobId);
+    }
+
+    return job;
+  }
+
+  /**
+   * List recent import jobs, newest first
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { jobs, pagination }
+   */
+  async listImportJobs(options = {}) {
+    try {
+      const page = options.page || 1;
+      const limit = options.limit || 20;
+
+      const [jobs, total] = await Promise.all([
+        ImportJob.find()
+          .select('-rowErrors')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('createdBy', 'email firstName lastName')
+          .lean(),
+        ImportJob.countDocuments()
+      ]);
+
+      return {
+        jobs,
+        pagination: { page, limit, total }
+      };
+    } catch (error) {
+      logger.error('Failed to list import jobs', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Stream the catalog in import format
+   * Yields the file chunk by chunk (CSV header first) so large catalogs are
+   * never held in memory.
+   * @param {string} format - csv | jsonl
+   * @param {Object} filters - { isActive, seller }
+   * @returns {AsyncGenerator<string>} File chunks
+   */
+  async *exportProducts(format, filters = {}) {
+    const query = {};
+
+    if (filters.isActive !== undefined) {
+      query.isActive = filters.isActive;
+    }
+
+    if (filters.seller) {
+      query.seller = filters.seller;
+    }
+
+    if (format === 'csv') {
+      yield `${CATALOG_COLUMNS.join(',')}\r\n`;
+    }
+
+    const cursor = Product.find(query)
+      .select(CATALOG_COLUMNS.filter(column => !['stock', 'lowStockThreshold'].includes(column)).concat('inventory'))
+      .sort({ sku: 1 })
+      .populate('categories', 'slug')
+      .lean()
+      .cursor();
+
+    let exported = 0;
+
+    for await (const product of cursor) {
+      const row = this._toExportRow(product);
+
+      yield format === 'csv'
+        ? `${CATALOG_COLUMNS.map(column => formatField(this._toCsvCell(row[column]))).join(',')}\r\n`
+        : `${JSON.stringify(row)}\n`;
+
+      exported += 1;
+    }
+
+    logger.info('Product catalog exported', { format, exported });
+  }
+
+  /**
+   * Read the catalog fields of a row, leaving out empty cells
+   * Lists may be arrays (JSON lines) or '|' separated text (CSV).
+   * @private
+   */
+  _normalizeRow(data) {
+    const fields = {};
+    const errors = [];
+
+    const value = (key) => {
+      const raw = data[key];
+      return raw === undefined || raw === null || raw === '' ? undefined : raw;
+    };
+
+    ['sku', 'name', 'description', 'brand', 'taxClass'].forEach(key => {
+      if (value(key) !== undefined) {
+        fields[key] = String(value(key)).trim();
+      }
+    });
+
+    if (fields.sku) {
+      fields.sku = fields.sku.toUpperCase();
+    }
+
+    ['price', 'compareAtPrice', 'weight', 'stock', 'lowStockThreshold'].forEach(key => {
+      if (value(key) !== undefined) {
+        fields[key] = typeof value(key) === 'string' ? value(key).trim() : value(key);
+      }
+    });
+
+    ['categories', 'tags', 'images'].forEach(key => {
+      if (value(key) !== undefined) {
+        const list = Array.isArray(value(key)) ? value(key) : String(value(key)).split(LIST_SEPARATOR);
+        fields[key] = list.map(item => String(item).trim()).filter(Boolean);
+      }
+    });
+
+    if (fields.categories) {
+      fields.categories = fields.categories.map(slug => slug.toLowerCase());
+    }
+
+    ['isActive', 'isFeatured'].forEach(key => {
+      const raw = value(key);
+
+      if (typeof raw === 'boolean') {
+        fields[key] = raw;
+      } else if (raw !== undefined) {
+        const text = String(raw).trim().toLowerCase();
+
+        if (TRUE_VALUES.includes(text) || FALSE_VALUES.includes(text)) {
+          fields[key] = TRUE_VALUES.includes(text);
+        } else {
+          errors.push(`${key}: must be true or false`);
+        }
+      }
+    });
+
+    if (value('prices') !== undefined) {
+      try {
+        fields.prices = typeof value('prices') === 'string' ? JSON.parse(value('prices')) : value('prices');
+      } catch (error) {
+        errors.push('prices: must be a JSON object keyed by currency code');
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid row', errors);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Shape a row like the POST/PUT /products body the validators expect
+   * @private
+   */
+  _toRequestBody(fields, categories) {
+    const body = {
+      name: fields.name,
+      description: fields.description,
+      price: fields.price,
+      prices: fields.prices,
+      stock: fields.stock,
+      category: categories && categories.length > 0 ? String(categories[0]) : undefined,
+      images: fields.images && fields.images.map(url => ({ url })),
+      tags: fields.tags,
+      brand: fields.brand,
+      taxClass: fields.taxClass,
+      featured: fields.isFeatured
+    };
+
+    Object.keys(body).forEach(key => body[key] === undefined && delete body[key]);
+
+    return body;
+  }
+
+  /**
+   * Run express-validator chains against a row body
+   * @throws {ValidationError} With one "field: message" entry per failure
+   * @private
+   */
+  async _validate(chains, body) {
+    const req = { body: { ...body } };
+
+    for (const chain of chains) {
+      await chain.run(req);
+    }
+
+    const errors = validationResult(req);
+
+    if (!errors.isEmpty()) {
+      throw new ValidationError(
+        'Invalid row',
+        errors.array().map(error => `${error.path || error.param}: ${error.msg}`)
+      );
+    }
+  }
+
+  /**
+   * Build the product fields to save from a validated row
+   * Stock changes keep the other inventory settings of an existing product.
+   * @private
+   */
+  _toProductData(fields, categories, existing) {
+    const data = {};
+
+    ['sku', 'name', 'description', 'brand', 'taxClass', 'prices', 'tags', 'isActive', 'isFeatured'].forEach(key => {
+      if (fields[key] !== undefined) {
+        data[key] = fields[key];
+      }
+    });
+
+    ['price', 'compareAtPrice', 'weight'].forEach(key => {
+      if (fields[key] !== undefined) {
+        data[key] = Number(fields[key]);
+      }
+    });
+
+    if (categories) {
+      data.categories = categories;
+    }
+
+    if (fields.images) {
+      data.images = fields.images.map((url, index) => ({
+        url,
+        alt: fields.name || (existing && existing.name) || '',
+        isPrimary: index === 0
+      }));
+    }
+
+    if (fields.stock !== undefined || fields.lowStockThreshold !== undefined) {
+      data.inventory = { ...((existing && existing.inventory) || {}) };
+
+      if (fields.stock !== undefined) {
+        data.inventory.quantity = Number(fields.stock);
+      }
+      if (fields.lowStockThreshold !== undefined) {
+        data.inventory.lowStockThreshold = Number(fields.lowStockThreshold);
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Look up every category slug used by the rows in one query
+   * @private
+   */
+  async _loadCategories(rows) {
+    const slugs = new Set();
+
+    rows.forEach(({ data }) => {
+      if (!data || data.categories === undefined || data.categories === null) {
+        return;
+      }
+
+      const list = Array.isArray(data.categories) ? data.categories : String(data.categories).split(LIST_SEPARATOR);
+      list.forEach(slug => {
+        const normalized = String(slug).trim().toLowerCase();
+        if (normalized) {
+          slugs.add(normalized);
+        }
+      });
+    });
+
+    if (slugs.size === 0) {
+      return new Map();
+    }
+
+    const categories = await Category.find({ slug: { $in: [...slugs] } }).select('slug').lean();
+
+    return new Map(categories.map(category => [category.slug, category._id]));
+  }
+
+  /**
+   * Catalog fields of a product, as written to export files
+   * @private
+   */
+  _toExportRow(product) {
+    return {
+      sku: product.sku,
+      name: product.name,
+      description: product.description,
+      price: product.price,
+      compareAtPrice: product.compareAtPrice,
+      prices: product.prices && Object.keys(product.prices).length > 0 ? product.prices : undefined,
+      stock: product.inventory ? product.inventory.quantity : undefined,
+      lowStockThreshold: product.inventory ? product.inventory.lowStockThreshold : undefined,
+      categories: (product.categories || []).filter(Boolean).map(category => category.slug),
+      tags: product.tags || [],
+      brand: product.brand,
+      images: (product.images || []).map(image => image.url),
+      taxClass: product.taxClass,
+      weight: product.weight,
+      isActive: product.isActive,
+      isFeatured: product.isFeatured
+    };
+  }
+
+  /**
+   * Join list values for a CSV cell
+   * @private
+   */
+  _toCsvCell(value) {
+    return Array.isArray(value) ? value.join(LIST_SEPARATOR) : value;
+  }
+
+  /**
+   * Messages to record for a rejected row
+   * @private
+   */
+  _errorMessages(error) {
+    if (error.metadata && Array.isArray(error.metadata.fields) && error.metadata.fields.length > 0) {
+      return error.metadata.fields;
+    }
+
+    if (error.name === 'ValidationError' && error.errors) {
+      return Object.values(error.errors).map(fieldError => fieldError.message);
+    }
+
+    if (error.code === 11000) {
+      return ['A product with this SKU or slug already exists'];
+    }
+
+    return [error.message];
+  }
+}
+
+module.exports = new ProductImportService();
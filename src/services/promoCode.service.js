@@ -0,0 +1,490 @@
+// File: src/services/promoCode.service.js
+// Generated: 2025-10-16 10:52:16 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_p7rmc0d3x2qb
+
+
+const Product = require('../models/Product');
+
+
+const PromoCode = require('../models/PromoCode');
+
+
+const logger = require('../utils/logger');
+
+
+const mongoose = require('mongoose');
+
+const { CartError, NotFoundError, ValidationError } = require('../utils/errors');
+
+const { PROMO_TYPES } = PromoCode;
+
+
+const PERCENT_DIVISOR = 100;
+
+
+const IMMUTABLE_FIELDS = ['usageCount', 'redemptions', 'createdBy'];
+
+/**
+ * Round a monetary amount to 2 decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+
+
+const roundCurrency = (amount) => Math.round(amount * PERCENT_DIVISOR) / PERCENT_DIVISOR;
+
+/**
+ * Promo Code Service
+ * Validates promo codes against carts and computes the discount they grant
+ */
+class PromoCodeService {
+  /**
+   * Create a new promo code
+   * @param {Object} promoData - Promo code data
+   * @param {string} createdBy - ID of the admin creating the code
+   * @returns {Promise<Object>} Created promo code
+   */
+  async createPromoCode(promoData, createdBy) {
+    try {
+      const data = { ...promoData };
+      IMMUTABLE_FIELDS.forEach(field => delete data[field]);
+
+      const promoCode = await PromoCode.create({ ...data, createdBy });
+
+      logger.info('Promo code created', {
+        promoCodeId: promoCode._id,
+        code: promoCode.code,
+        type: promoCode.type,
+        createdBy
+      });
+
+      return promoCode;
+    } catch (error) {
+      logger.error('Failed to create promo code', {
+        code: promoData.code,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get promo codes with filters and pagination
+   * @param {Object} filters - Filter criteria (isActive, type, search)
+   * @param {Object} options - Pagination options (page, limit)
+   * @returns {Promise<Object>} Promo codes and pagination metadata
+   */
+  async getPromoCodes(filters = {}, options = {}) {
+    try {
+      const query = {};
+
+      if (filters.isActive !== undefined) {
+        query.isActive = filters.isActive;
+      }
+
+      if (filters.type) {
+        query.type = filters.type;
+      }
+
+      if (filters.search) {
+        query.code = { $regex: filters.search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      }
+
+      const page = options.page || 1;
+      const limit = options.limit || 20;
+      const skip = (page - 1) * limit;
+
+      const [promoCodes, total] = await Promise.all([
+        PromoCode.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit),
+        PromoCode.countDocuments(query)
+      ]);
+
+      logger.info('Fetched promo codes', { count: promoCodes.length, total, filters });
+
+      return {
+        promoCodes,
+        pagination: { page, limit, total }
+      };
+    } catch (error) {
+      logger.error('Failed to fetch promo codes', { filters, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a promo code by ID, including its redemption history
+   * @param {string} promoCodeId - Promo code ID
+   * @returns {Promise<Object>} Promo code
+   */
+  async getPromoCodeById(promoCodeId) {
+    try {
+      const promoCode = await PromoCode.findById(promoCodeId).select('+redemptions');
+
+      if (!promoCode) {
+        throw new NotFoundError('Promo code', promoCodeId);
+      }
+
+      return promoCode;
+    } catch (error) {
+      logger.error('Failed to fetch promo code', { promoCodeId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a promo code
+   * @param {string} promoCodeId - Promo code ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated promo code
+   */
+  async updatePromoCode(promoCodeId, updateData) {
+    try {
+      const promoCode = await PromoCode.findById(promoCodeId);
+
+      if (!promoCode) {
+        throw new NotFoundError('Promo code', promoCodeId);
+      }
+
+      const updates = { ...updateData };
+      IMMUTABLE_FIELDS.forEach(field => delete updates[field]);
+
+      promoCode.set(updates);
+      await promoCode.save();
+
+      logger.info('Promo code updated', {
+        promoCodeId,
+        fields: Object.keys(updates)
+      });
+
+      return promoCode;
+    } catch (error) {
+      logger.error('Failed to update promo code', { promoCodeId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a promo code
+   * Codes that have already been redeemed are deactivated instead so order history stays intact
+   * @param {string} promoCodeId - Promo code ID
+   * @returns {Promise<Object>} Deletion result
+   */
+  async deletePromoCode(promoCodeId) {
+    try {
+      const promoCode = await PromoCode.findById(promoCodeId);
+
+      if (!promoCode) {
+        throw new NotFoundError('Promo code', promoCodeId);
+      }
+
+      if (promoCode.usageCount > 0) {
+        promoCode.isActive = false;
+        await promoCode.save();
+
+        logger.info('Promo code deactivated', { promoCodeId, usageCount: promoCode.usageCount });
+
+        return { deleted: false, deactivated: true };
+      }
+
+      await promoCode.deleteOne();
+
+      logger.info('Promo code deleted', { promoCodeId });
+
+      return { deleted: true, deactivated: false };
+    } catch (error) {
+      logger.error('Failed to delete promo code', { promoCodeId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Validate a promo code for a cart and compute the discount it grants
+   * @param {string} code - Promo code entered by the customer
+   * @param {Object} context - Cart context
+   * @param {string} context.userId - User ID (optional for guests)
+   * @param {string} context.email - Guest checkout email, counts per-user limits for guests
+   * @param {Array} context.items - Items ({ productId, price, quantity, categories })
+   * @returns {Promise<Object>} { promoCode, discount, freeShipping, eligibleSubtotal }
+   */
+  async validatePromoCode(code, { userId = null, email = null, items = [] } = {}) {
+    try {
+      if (!code || typeof code !== 'string') {
+        throw new ValidationError('Promo code is required');
+      }
+
+      if (items.length === 0) {
+        throw new CartError('Cannot apply promo code to empty cart');
+      }
+
+      const promoCode = await PromoCode.findActiveByCode(code);
+
+      if (!promoCode) {
+        throw new CartError('Invalid promo code', { code });
+      }
+
+      if (!promoCode.isWithinValidityWindow()) {
+        throw new CartError('Promo code has expired or is not yet active', { code: promoCode.code });
+      }
+
+      if (promoCode.isExhausted) {
+        throw new CartError('Promo code usage limit has been reached', { code: promoCode.code });
+      }
+
+      if (promoCode.perUserLimit) {
+        if (!userId && !email) {
+          throw new CartError('Please sign in to use this promo code', { code: promoCode.code });
+        }
+
+        const userRedemptions = userId
+          ? await PromoCode.countUserRedemptions(promoCode._id, userId)
+          : await PromoCode.countUserRedemptions(promoCode._id, null, email);
+        if (userRedemptions >= promoCode.perUserLimit) {
+          throw new CartError('You have already used this promo code', { code: promoCode.code });
+        }
+      }
+
+      const subtotal = roundCurrency(items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+      if (subtotal < promoCode.minSubtotal) {
+        throw new CartError(`A minimum subtotal of ${promoCode.minSubtotal} is required for this promo code`, {
+          code: promoCode.code,
+          minSubtotal: promoCode.minSubtotal,
+          subtotal
+        });
+      }
+
+      const scopedItems = await this._loadItemCategories(promoCode, items);
+      const result = this.calculateDiscount(promoCode, scopedItems);
+
+      if (result.eligibleSubtotal === 0) {
+        throw new CartError('Promo code does not apply to any items in your cart', { code: promoCode.code });
+      }
+
+      logger.info('Promo code validated', {
+        code: promoCode.code,
+        userId,
+        discount: result.discount,
+        freeShipping: result.freeShipping
+      });
+
+      return { promoCode, ...result };
+    } catch (error) {
+      logger.error('Failed to validate promo code', { code, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Compute the discount a promo code grants for a set of items
+   * Only items within the code's product/category scope contribute to the discount
+   * @param {Object} promoCode - Promo code document
+   * @param {Array} items - Items ({ productId, price, quantity, categories })
+   * @returns {Object} { discount, freeShipping, eligibleSubtotal }
+   */
+  calculateDiscount(promoCode, items) {
+    const eligibleItems = items.filter(item =>
+      promoCode.appliesToProduct(item.productId, item.categories || [])
+    );
+    const eligibleSubtotal = roundCurrency(
+      eligibleItems.reduce((sum, item) => sum + item.price * item.quantity, 0)
+    );
+
+    let discount = 0;
+    let freeShipping = false;
+
+    switch (promoCode.type) {
+      case PROMO_TYPES.PERCENTAGE:
+        discount = eligibleSubtotal * promoCode.value / PERCENT_DIVISOR;
+        if (promoCode.maxDiscount !== null && promoCode.maxDiscount !== undefined) {
+          discount = Math.min(discount, promoCode.maxDiscount);
+        }
+        break;
+
+      case PROMO_TYPES.FIXED_AMOUNT:
+        discount = promoCode.value;
+        break;
+
+      case PROMO_TYPES.FREE_SHIPPING:
+        freeShipping = true;
+        break;
+
+      case PROMO_TYPES.BUY_X_GET_Y: {
+        // Expand to unit prices and discount the cheapest units in each buy+get group
+        const unitPrices = eligibleItems
+          .flatMap(item => Array(item.quantity).fill(item.price))
+          .sort((a, b) => a - b);
+        const groupSize = promoCode.buyQuantity + promoCode.getQuantity;
+        const rewardedUnits = Math.floor(unitPrices.length / groupSize) * promoCode.getQuantity;
+        const rewardedTotal = unitPrices.slice(0, rewardedUnits).reduce((sum, price) => sum + price, 0);
+        discount = rewardedTotal * promoCode.getDiscountPercentage / PERCENT_DIVISOR;
+        break;
+      }
+
+      default:
+        throw new ValidationError(`Unsupported promo type: ${promoCode.type}`);
+    }
+
+    return {
+      discount: roundCurrency(Math.min(discount, eligibleSubtotal)),
+      freeShipping,
+      eligibleSubtotal
+    };
+  }
+
+  /**
+   * Record a redemption of a promo code against an order
+   * The usage limit and the per-user limit are enforced atomically so
+   * concurrent checkouts cannot overshoot them
+   * @param {string} code - Promo code
+   * @param {Object} redemption - Redemption details
+   * @param {string} redemption.userId - User ID (null for guest orders)
+   * @param {string} redemption.email - Guest checkout email
+   * @param {string} redemption.orderId - Order ID
+   * @param {number} redemption.discount - Discount granted
+   * @param {Object} session - Mongoose session for transaction
+   * @returns {Promise<Object>} Updated promo code
+   */
+  async redeemPromoCode(code, { userId = null, email = null, orderId, discount }, session = null) {
+    try {
+      const normalizedCode = code.trim().toUpperCase();
+      const guestEmail = !userId && email ? email.trim().toLowerCase() : null;
+
+      const promoCode = await PromoCode.findOneAndUpdate(
+        {
+          code: normalizedCode,
+          isActive: true,
+          $and: [
+            {
+              $or: [
+                { usageLimit: null },
+                { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+              ]
+            },
+            {
+              $or: [
+                { perUserLimit: null },
+                ...this._perUserLimitConditions(userId, guestEmail)
+              ]
+            }
+          ]
+        },
+        {
+          $inc: { usageCount: 1 },
+          $push: {
+            redemptions: guestEmail
+              ? { user: null, email: guestEmail, order: orderId, discount }
+              : { user: userId, order: orderId, discount }
+          }
+        },
+        { new: true, session }
+      );
+
+      if (!promoCode) {
+        throw new CartError('Promo code is no longer available', { code: normalizedCode });
+      }
+
+      logger.info('Promo code redeemed', { code: normalizedCode, userId, orderId, discount });
+
+      return promoCode;
+    } catch (error) {
+      logger.error('Failed to redeem promo code', { code, userId, orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Release a redemption when its order is cancelled
+   * @param {string} orderId - Order ID
+   * @param {Object} session - Mongoose session for transaction
+   * @returns {Promise<Object|null>} Updated promo code or null if the order used none
+   */
+  async releaseRedemption(orderId, session = null) {
+    try {
+      const promoCode = await PromoCode.findOneAndUpdate(
+        { 'redemptions.order': orderId },
+        {
+          $inc: { usageCount: -1 },
+          $pull: { redemptions: { order: orderId } }
+        },
+        { new: true, session }
+      );
+
+      if (promoCode) {
+        logger.info('Promo code redemption released', { code: promoCode.code, orderId });
+      }
+
+      return promoCode;
+    } catch (error) {
+      logger.error('Failed to release promo code redemption', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Query conditions that hold while the redeemer is below the per-user limit
+   * Users are counted by ID and guests by checkout email; without either, codes
+   * with a per-user limit cannot be redeemed.
+   * @param {string|null} userId - User ID
+   * @param {string|null} email - Normalized guest email
+   * @returns {Array} Conditions for the redeem filter
+   * @private
+   */
+  _perUserLimitConditions(userId, email) {
+    if (!userId && !email) {
+      return [];
+    }
+
+    const isRedeemer = userId
+      ? { $eq: ['$$redemption.user', new mongoose.Types.ObjectId(userId.toString())] }
+      : { $eq: ['$$redemption.email', email] };
+
+    return [{
+      $expr: {
+        $lt: [
+          {
+            $size: {
+              $filter: {
+                input: { $ifNull: ['$redemptions', []] },
+                as: 'redemption',
+                cond: isRedeemer
+              }
+            }
+          },
+          '$perUserLimit'
+        ]
+      }
+    }];
+  }
+
+  /**
+   * Attach product categories to items when the code is category-scoped
+   * @param {Object} promoCode - Promo code document
+   * @param {Array} items - Items ({ productId, price, quantity, categories })
+   * @returns {Promise<Array>} Items with categories populated
+   * @private
+   */
+  async _loadItemCategories(promoCode, items) {
+    const needsCategories = (promoCode.applicableCategories || []).length > 0 &&
+      items.some(item => !item.categories);
+
+    if (!needsCategories) {
+      return items;
+    }
+
+    const products = await Product.find({
+      _id: { $in: items.map(item => item.productId) }
+    }).select('categories');
+
+    const categoriesById = new Map(
+      products.map(product => [product._id.toString(), product.categories || []])
+    );
+
+    return items.map(item => ({
+      ...item,
+      categories: item.categories || categoriesById.get(item.productId.toString()) || []
+    }));
+  }
+}
+
+module.exports = new PromoCodeService();
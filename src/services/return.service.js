@@ -0,0 +1,428 @@
+// File: src/services/return.service.js
+// Generated: 2025-10-16 13:04:51 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_v5rq8mz3kc2a
+
+
+const InventoryService = require('./inventory.service');
+
+
+const Order = require('../models/Order');
+
+
+const OrderItem = require('../models/OrderItem');
+
+
+const Payment = require('../models/Payment');
+
+
+const PaymentService = require('./payment.service');
+
+
+const config = require('../config/environment');
+
+
+const crypto = require('crypto');
+
+
+const logger = require('../utils/logger');
+
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/errors');
+
+const { MOVEMENT_TYPES } = require('../models/InventoryMovement');
+
+const { roundAmount } = require('../utils/currency');
+
+const { RETURN_STATUSES } = OrderItem;
+
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+
+// Order statuses from which delivered goods can be sent back
+const RETURNABLE_ORDER_STATUSES = ['delivered', 'completed'];
+
+
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+/**
+ * Generate a customer-facing RMA number, e.g. RMA-20251016-3F9A1C
+ * @returns {string} RMA number
+ */
+
+
+const generateRmaNumber = () => {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `RMA-${date}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+};
+
+/**
+ * Return Service
+ * Return merchandise authorisation (RMA) workflow on top of OrderItem.returnInfo:
+ * customers request a return per item, admins approve or reject it and decide
+ * whether the units can be resold, and receiving the goods restocks them and
+ * refunds the item through the original payment.
+ */
+class ReturnService {
+  constructor() {
+    this.inventoryService = new InventoryService();
+    this.paymentService = new PaymentService();
+  }
+
+  /**
+   * Request a return for one delivered order item
+   * @param {string} userId - Customer ID
+   * @param {Object} data - { orderId, orderItemId, quantity, reason }
+   * @returns {Promise<Object>} Order item with its RMA details
+   */
+  async requestReturn(userId, { orderId, orderItemId, quantity, reason }) {
+    try {
+      const order = await Order.findOne({ _id: orderId, user: userId });
+      if (!order) {
+        throw new NotFoundError('Order', orderId);
+      }
+
+      const item = await OrderItem.findOne({ _id: orderItemId, order: order._id });
+      if (!item) {
+        throw new NotFoundError('Order item', orderItemId);
+      }
+
+      if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+        throw new ValidationError('Only delivered orders can be returned');
+      }
+
+      if (item.returnInfo.requested) {
+        throw new ConflictError('A return has already been requested for this item', {
+          rmaNumber: item.returnInfo.rmaNumber
+        });
+      }
+
+      const deliveredAt = item.tracking.deliveredAt || order.tracking.deliveredAt;
+      const windowDays = config.returns.windowDays;
+      if (!deliveredAt || Date.now() - deliveredAt.getTime() > windowDays * DAY_MS) {
+        throw new ValidationError(`Returns must be requested within ${windowDays} days of delivery`);
+      }
+
+      if (quantity && quantity > item.quantity) {
+        throw new ValidationError(`Cannot return more than the ${item.quantity} unit(s) ordered`);
+      }
+
+      if (item.refundableQuantity === 0 || (quantity && quantity > item.refundableQuantity)) {
+        throw new ValidationError(`Only ${item.refundableQuantity} unit(s) of this item have not been refunded yet`);
+      }
+
+      await item.requestReturn(reason, { quantity, rmaNumber: generateRmaNumber() });
+
+      logger.info('Return requested', {
+        userId,
+        orderId,
+        orderItemId,
+        rmaNumber: item.returnInfo.rmaNumber,
+        quantity: item.returnInfo.quantity
+      });
+
+      return item;
+    } catch (error) {
+      logger.error('Failed to request return', {
+        userId,
+        orderId,
+        orderItemId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List returns, newest first
+   * @param {Object} filters - { userId, status } (userId limits to one customer's orders)
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { returns, pagination }
+   */
+  async listReturns(filters = {}, options = {}) {
+    try {
+      const page = options.page || 1;
+      const limit = options.limit || 20;
+      const query = { 'returnInfo.requested': true };
+
+      if (filters.status) {
+        query['returnInfo.status'] = filters.status;
+      }
+
+      if (filters.userId) {
+        const orders = await Order.find({ user: filters.userId }).select('_id').lean();
+        query.order = { $in: orders.map(order => order._id) };
+      }
+
+      const [returns, total] = await Promise.all([
+        OrderItem.find(query)
+          .sort({ 'returnInfo.requestedAt': -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('order', 'orderNumber user status')
+          .lean(),
+        OrderItem.countDocuments(query)
+      ]);
+
+      logger.info('Returns retrieved', { userId: filters.userId, status: filters.status, total });
+
+      return {
+        returns,
+        pagination: { page, limit, total }
+      };
+    } catch (error) {
+      logger.error('Failed to list returns', {
+        userId: filters.userId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Get one return by RMA number
+   * @param {string} rmaNumber - RMA number
+   * @param {string|null} userId - Restrict to this customer's orders (null for admins)
+   * @returns {Promise<Object>} Order item with its order
+   */
+  async getReturn(rmaNumber, userId = null) {
+    try {
+      const item = await OrderItem.findOne({ 'returnInfo.rmaNumber': rmaNumber })
+        .populate('order', 'orderNumber user status');
+
+      // Hide other customers' returns behind a plain not-found
+      if (!item || (userId && String(item.order.user) !== userId.toString())) {
+        throw new NotFoundError('Return', rmaNumber);
+      }
+
+      return item;
+    } catch (error) {
+      logger.error('Failed to get return', { rmaNumber, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a pending return
+   * @param {string} rmaNumber - RMA number
+   * @param {Object} decision - { refundAmount, restock }
+   * @param {string} adminId - Reviewing admin
+   * @returns {Promise<Object>} Updated order item
+   */
+  async approveReturn(rmaNumber, { refundAmount, restock = false } = {}, adminId) {
+    try {
+      const item = await this._findPending(rmaNumber);
+
+      if (item.refundableQuantity === 0) {
+        throw new ConflictError(`Every unit returned under ${rmaNumber} has already been refunded`);
+      }
+
+      const discountRate = await this._getDiscountRate(item.order);
+      const maxRefund = item.getMaxReturnRefund(discountRate);
+      if (refundAmount !== undefined && refundAmount > maxRefund) {
+        throw new ValidationError(`Refund amount cannot exceed ${maxRefund}`);
+      }
+
+      await item.approveReturn({ refundAmount, restock, reviewedBy: adminId, discountRate });
+
+      logger.info('Return approved', {
+        rmaNumber,
+        refundAmount: item.returnInfo.refundAmount,
+        restock,
+        adminId
+      });
+
+      return item;
+    } catch (error) {
+      logger.error('Failed to approve return', { rmaNumber, adminId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a pending return
+   * @param {string} rmaNumber - RMA number
+   * @param {string} reason - Reason shown to the customer
+   * @param {string} adminId - Reviewing admin
+   * @returns {Promise<Object>} Updated order item
+   */
+  async rejectReturn(rmaNumber, reason, adminId) {
+    try {
+      const item = await this._findPending(rmaNumber);
+
+      await item.rejectReturn(reason, adminId);
+
+      logger.info('Return rejected', { rmaNumber, adminId });
+
+      return item;
+    } catch (error) {
+      logger.error('Failed to reject return', { rmaNumber, adminId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record that returned goods arrived, restock them if resellable and refund the item
+   * Calling this again for a received return whose refund failed retries the refund.
+   * @param {string} rmaNumber - RMA number
+   * @param {Object} options - { restock } overrides the approval decision after inspection
+   * @param {string} adminId - Receiving admin
+   * @returns {Promise<Object>} { item, refund } refund is null when no gateway refund was made
+   */
+  async receiveReturn(rmaNumber, { restock } = {}, adminId) {
+    try {
+      // Only the request that moves the return out of approved restocks it
+      const update = {
+        'returnInfo.status': RETURN_STATUSES.RECEIVED,
+        'returnInfo.receivedAt': new Date(),
+        status: 'returned'
+      };
+      if (restock !== undefined) {
+        update['returnInfo.restock'] = restock;
+      }
+
+      let item = await OrderItem.findOneAndUpdate(
+        { 'returnInfo.rmaNumber': rmaNumber, 'returnInfo.status': RETURN_STATUSES.APPROVED },
+        { $set: update },
+        { new: true }
+      );
+
+      if (item) {
+        if (item.returnInfo.restock) {
+          await this.inventoryService.addStock(
+            item.product,
+            item.returnInfo.quantity,
+            `Return ${rmaNumber}`,
+            item.variantId,
+            { userId: adminId, type: MOVEMENT_TYPES.RETURN }
+          );
+        }
+      } else {
+        item = await OrderItem.findOne({ 'returnInfo.rmaNumber': rmaNumber });
+        if (!item) {
+          throw new NotFoundError('Return', rmaNumber);
+        }
+
+        // An already received return only retries a refund that did not go through
+        const { status } = item.returnInfo;
+        if (status !== RETURN_STATUSES.RECEIVED || item.returnInfo.refundId) {
+          throw new ConflictError(`Return ${rmaNumber} cannot be received while ${status}`);
+        }
+      }
+
+      const refund = await this._refundItem(item);
+
+      logger.info('Return received', {
+        rmaNumber,
+        restocked: item.returnInfo.restock,
+        refunded: item.returnInfo.status === RETURN_STATUSES.REFUNDED,
+        adminId
+      });
+
+      return { item, refund };
+    } catch (error) {
+      logger.error('Failed to receive return', { rmaNumber, adminId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Load a return that is still awaiting review
+   * @param {string} rmaNumber - RMA number
+   * @returns {Promise<Object>} Order item
+   * @private
+   */
+  async _findPending(rmaNumber) {
+    const item = await OrderItem.findOne({ 'returnInfo.rmaNumber': rmaNumber });
+
+    if (!item) {
+      throw new NotFoundError('Return', rmaNumber);
+    }
+
+    if (item.returnInfo.status !== RETURN_STATUSES.REQUESTED) {
+      throw new ConflictError(`Return ${rmaNumber} has already been ${item.returnInfo.status}`);
+    }
+
+    return item;
+  }
+
+  /**
+   * Share of an order's goods value taken off by its discount
+   * @param {string} orderId - Order ID
+   * @returns {Promise<number>} Discount rate between 0 and 1
+   * @private
+   */
+  async _getDiscountRate(orderId) {
+    const order = await Order.findById(orderId);
+
+    return order ? await OrderItem.getOrderDiscountRate(order) : 0;
+  }
+
+  /**
+   * Refund the approved amount for a received return through the order's payment
+   * Orders without a captured online payment are left received for a manual refund.
+   * @param {Object} item - Order item in received state
+   * @returns {Promise<Object|null>} Gateway refund data
+   * @private
+   */
+  async _refundItem(item) {
+    const amount = item.returnInfo.refundAmount;
+
+    // Approved with no money back (e.g. damaged by the customer)
+    if (!amount) {
+      await item.markAsRefunded();
+      return null;
+    }
+
+    const payment = await Payment.findOne({
+      orderId: item.order,
+      paymentStatus: { $in: REFUNDABLE_PAYMENT_STATUSES }
+    }).sort({ createdAt: -1 });
+
+    if (!payment) {
+      logger.warn('No refundable payment for return, refund must be issued manually', {
+        rmaNumber: item.returnInfo.rmaNumber,
+        orderId: item.order
+      });
+      return null;
+    }
+
+    // The gateway refund went through on an earlier attempt; only record it
+    const reason = `Return ${item.returnInfo.rmaNumber}`;
+    const issued = (payment.refunds || []).find(refund => refund.reason === reason);
+    if (issued) {
+      await item.markAsRefunded(issued.refundId);
+      return { paymentId: payment._id, refundId: issued.refundId, amount: issued.amount, status: issued.status };
+    }
+
+    // Anything approved above the discounted goods value is the tax charged on the returned units
+    const quantity = item.returnInfo.quantity || item.quantity;
+    const discountRate = await this._getDiscountRate(item.order);
+    const goods = Math.min(roundAmount(item.finalPrice * (1 - discountRate) * quantity, payment.currency), amount);
+    const tax = roundAmount(amount - goods, payment.currency);
+
+    const result = await this.paymentService.refundPayment(payment._id, amount, {
+      items: [{
+        orderItem: item._id,
+        name: item.productSnapshot.name,
+        sku: item.productSnapshot.sku,
+        quantity,
+        unitPrice: roundAmount(goods / quantity, payment.currency),
+        amount: goods,
+        tax
+      }],
+      tax,
+      reason,
+      requestedBy: item.returnInfo.reviewedBy
+    });
+    await item.markAsRefunded(result.data.refundId);
+
+    return result.data;
+  }
+}
+
+module.exports = new ReturnService();
@@ -0,0 +1,414 @@
+// File: src/services/review.service.js
+// Generated: 2025-10-16 11:18:27 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_r4vw8kq2nd1b
+
+
+const Order = require('../models/Order');
+
+
+const OrderItem = require('../models/OrderItem');
+
+
+const Product = require('../models/Product');
+
+
+const Review = require('../models/Review');
+
+
+const logger = require('../utils/logger');
+
+const {
+  AuthorizationError,
+  ConflictError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/errors');
+
+const { REVIEW_STATUS } = Review;
+
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+
+const SORT_OPTIONS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  helpful: { helpfulCount: -1, createdAt: -1 },
+  rating_high: { rating: -1, createdAt: -1 },
+  rating_low: { rating: 1, createdAt: -1 }
+};
+
+
+const EDITABLE_FIELDS = ['rating', 'title', 'comment'];
+
+/**
+ * Review Service
+ * Verified-purchase reviews with moderation. Product.ratings is adjusted
+ * incrementally whenever a review enters or leaves the approved state.
+ */
+class ReviewService {
+  /**
+   * Create a review for a product the user has received
+   * New reviews wait in the moderation queue before they are published
+   * @param {string} userId - Reviewer ID
+   * @param {string} productId - Product ID
+   * @param {Object} reviewData - { rating, title, comment }
+   * @returns {Promise<Object>} Created review
+   */
+  async createReview(userId, productId, reviewData) {
+    try {
+      const product = await Product.findById(productId).select('_id isActive');
+
+      if (!product || !product.isActive) {
+        throw new NotFoundError('Product', productId);
+      }
+
+      const orderItem = await this.findDeliveredPurchase(userId, productId);
+
+      if (!orderItem) {
+        throw new AuthorizationError('Only customers who received this product can review it');
+      }
+
+      const review = await Review.create({
+        product: productId,
+        user: userId,
+        order: orderItem.order,
+        orderItem: orderItem._id,
+        rating: reviewData.rating,
+        title: reviewData.title,
+        comment: reviewData.comment
+      });
+
+      logger.info('Review created', { reviewId: review._id, productId, userId });
+
+      return review;
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        throw new ConflictError('You have already reviewed this product', { productId });
+      }
+
+      logger.error('Failed to create review', { productId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update the author's own review
+   * Edited reviews go back to moderation and leave the rating until re-approved
+   * @param {string} reviewId - Review ID
+   * @param {string} userId - Author ID
+   * @param {Object} updateData - Any of { rating, title, comment }
+   * @returns {Promise<Object>} Updated review
+   */
+  async updateReview(reviewId, userId, updateData) {
+    try {
+      const review = await Review.findById(reviewId);
+
+      if (!review) {
+        throw new NotFoundError('Review', reviewId);
+      }
+
+      if (review.user.toString() !== userId.toString()) {
+        throw new AuthorizationError('You can only edit your own reviews');
+      }
+
+      const changes = { status: REVIEW_STATUS.PENDING };
+      EDITABLE_FIELDS.forEach(field => {
+        if (updateData[field] !== undefined) {
+          changes[field] = updateData[field];
+        }
+      });
+
+      // Only the request that moves the review out of its current state adjusts
+      // the product rating
+      const updated = await this._transition(review, {
+        $set: changes,
+        $unset: { moderationNote: '', moderatedBy: '', moderatedAt: '' }
+      });
+
+      if (review.isPublished()) {
+        await Product.adjustRatings(review.product, { removed: review.rating });
+      }
+
+      logger.info('Review updated', { reviewId, userId });
+
+      return updated;
+    } catch (error) {
+      logger.error('Failed to update review', { reviewId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a review (author or admin)
+   * @param {string} reviewId - Review ID
+   * @param {Object} actor - { userId, isAdmin }
+   * @returns {Promise<void>}
+   */
+  async deleteReview(reviewId, { userId, isAdmin = false }) {
+    try {
+      const review = await Review.findById(reviewId);
+
+      if (!review) {
+        throw new NotFoundError('Review', reviewId);
+      }
+
+      if (!isAdmin && review.user.toString() !== userId.toString()) {
+        throw new AuthorizationError('You can only delete your own reviews');
+      }
+
+      const { deletedCount } = await Review.deleteOne({ _id: review._id });
+
+      if (deletedCount > 0 && review.isPublished()) {
+        await Product.adjustRatings(review.product, { removed: review.rating });
+      }
+
+      logger.info('Review deleted', { reviewId, userId, isAdmin });
+    } catch (error) {
+      logger.error('Failed to delete review', { reviewId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject a review
+   * @param {string} reviewId - Review ID
+   * @param {string} moderatorId - Admin user ID
+   * @param {Object} decision - { status: 'approved'|'rejected', note }
+   * @returns {Promise<Object>} Moderated review
+   */
+  async moderateReview(reviewId, moderatorId, { status, note }) {
+    try {
+      if (![REVIEW_STATUS.APPROVED, REVIEW_STATUS.REJECTED].includes(status)) {
+        throw new ValidationError('Reviews can only be approved or rejected', [
+          { field: 'status', message: 'Status must be approved or rejected' }
+        ]);
+      }
+
+      const review = await Review.findById(reviewId);
+
+      if (!review) {
+        throw new NotFoundError('Review', reviewId);
+      }
+
+      const updated = await this._transition(review, {
+        $set: {
+          status,
+          moderationNote: note,
+          moderatedBy: moderatorId,
+          moderatedAt: new Date()
+        }
+      });
+
+      if (!review.isPublished() && updated.isPublished()) {
+        await Product.adjustRatings(review.product, { added: updated.rating });
+      } else if (review.isPublished() && !updated.isPublished()) {
+        await Product.adjustRatings(review.product, { removed: review.rating });
+      }
+
+      logger.info('Review moderated', { reviewId, moderatorId, status });
+
+      return updated;
+    } catch (error) {
+      logger.error('Failed to moderate review', { reviewId, moderatorId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Toggle the user's "helpful" vote on a published review
+   * @param {string} reviewId - Review ID
+   * @param {string} userId - Voter ID
+   * @returns {Promise<Object>} { helpful, helpfulCount }
+   */
+  async toggleHelpfulVote(reviewId, userId) {
+    try {
+      const added = await Review.findOneAndUpdate(
+        {
+          _id: reviewId,
+          status: REVIEW_STATUS.APPROVED,
+          user: { $ne: userId },
+          helpfulVoters: { $ne: userId }
+        },
+        { $addToSet: { helpfulVoters: userId }, $inc: { helpfulCount: 1 } },
+        { new: true }
+      );
+
+      if (added) {
+        logger.info('Review marked helpful', { reviewId, userId });
+        return { helpful: true, helpfulCount: added.helpfulCount };
+      }
+
+      const removed = await Review.findOneAndUpdate(
+        { _id: reviewId, status: REVIEW_STATUS.APPROVED, helpfulVoters: userId },
+        { $pull: { helpfulVoters: userId }, $inc: { helpfulCount: -1 } },
+        { new: true }
+      );
+
+      if (removed) {
+        logger.info('Review helpful vote removed', { reviewId, userId });
+        return { helpful: false, helpfulCount: removed.helpfulCount };
+      }
+
+      const review = await Review.findById(reviewId).select('user status');
+
+      if (!review || !review.isPublished()) {
+        throw new NotFoundError('Review', reviewId);
+      }
+
+      throw new ValidationError('You cannot vote on your own review');
+    } catch (error) {
+      logger.error('Failed to toggle helpful vote', { reviewId, userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get published reviews for a product
+   * @param {string} productId - Product ID
+   * @param {Object} options - { page, limit, sort, rating }
+   * @returns {Promise<Object>} { reviews, pagination, ratings }
+   */
+  async getProductReviews(productId, options = {}) {
+    try {
+      const product = await Product.findById(productId).select('ratings isActive');
+
+      if (!product || !product.isActive) {
+        throw new NotFoundError('Product', productId);
+      }
+
+      const query = { product: productId, status: REVIEW_STATUS.APPROVED };
+
+      if (options.rating) {
+        query.rating = options.rating;
+      }
+
+      const page = options.page || 1;
+      const limit = options.limit || 10;
+      const skip = (page - 1) * limit;
+      const sort = SORT_OPTIONS[options.sort] || SORT_OPTIONS.newest;
+
+      const [reviews, total] = await Promise.all([
+        Review.find(query)
+          .populate('user', 'firstName lastName')
+          .select('-moderationNote -moderatedBy')
+          .sort(sort)
+          .skip(skip)
+          .limit(limit),
+        Review.countDocuments(query)
+      ]);
+
+      logger.info('Fetched product reviews', { productId, count: reviews.length, total });
+
+      return {
+        reviews,
+        ratings: product.ratings,
+        pagination: { page, limit, total }
+      };
+    } catch (error) {
+      logger.error('Failed to fetch product reviews', { productId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the most recent published reviews for a product page
+   * @param {string} productId - Product ID
+   * @param {number} limit - Number of reviews
+   * @returns {Promise<Array>} Reviews
+   */
+  getRecentReviews(productId, limit = 5) {
+    return Review.find({ product: productId, status: REVIEW_STATUS.APPROVED })
+      .populate('user', 'firstName lastName')
+      .select('rating title comment user helpfulCount createdAt orderItem')
+      .sort(SORT_OPTIONS.newest)
+      .limit(limit);
+  }
+
+  /**
+   * Get reviews for the admin moderation queue
+   * @param {Object} filters - { status, product }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { reviews, pagination }
+   */
+  async getReviewsForModeration(filters = {}, options = {}) {
+    try {
+      const query = { status: filters.status || REVIEW_STATUS.PENDING };
+
+      if (filters.product) {
+        query.product = filters.product;
+      }
+
+      const page = options.page || 1;
+      const limit = options.limit || 20;
+      const skip = (page - 1) * limit;
+
+      const [reviews, total] = await Promise.all([
+        Review.find(query)
+          .populate('user', 'firstName lastName email')
+          .populate('product', 'name sku')
+          .sort({ createdAt: 1 })
+          .skip(skip)
+          .limit(limit),
+        Review.countDocuments(query)
+      ]);
+
+      logger.info('Fetched reviews for moderation', { count: reviews.length, total, filters });
+
+      return {
+        reviews,
+        pagination: { page, limit, total }
+      };
+    } catch (error) {
+      logger.error('Failed to fetch reviews for moderation', { filters, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the user's most recent delivered order item for a product
+   * @param {string} userId - User ID
+   * @param {string} productId - Product ID
+   * @returns {Promise<Object|null>} Order item or null when never delivered
+   */
+  async findDeliveredPurchase(userId, productId) {
+    const orderIds = await Order.find({ user: userId }).distinct('_id');
+
+    if (orderIds.length === 0) {
+      return null;
+    }
+
+    return OrderItem.findOne({
+      order: { $in: orderIds },
+      product: productId,
+      status: 'delivered'
+    }).sort({ 'tracking.deliveredAt': -1 });
+  }
+
+  /**
+   * Apply an update only if the review is still in the state it was read in
+   * Concurrent edits or moderation decisions lose the race instead of applying
+   * their rating change a second time.
+   * @param {Object} review - Review as read before the change
+   * @param {Object} update - Update operators
+   * @returns {Promise<Object>} Updated review
+   * @throws {ConflictError} If the review changed in the meantime
+   * @private
+   */
+  async _transition(review, update) {
+    const updated = await Review.findOneAndUpdate(
+      { _id: review._id, status: review.status, rating: review.rating },
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw new ConflictError('The review was changed at the same time. Please reload it and try again.');
+    }
+
+    return updated;
+  }
+}
+
+module.exports = new ReviewService();
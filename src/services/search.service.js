@@ -0,0 +1,356 @@
+// File: src/services/search.service.js
+// Generated: 2025-10-16 12:02:31 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_k2fs7hq9pv3a
+
+
+const Category = require('../models/Category');
+
+
+const mongoose = require('mongoose');
+
+
+const Product = require('../models/Product');
+
+
+const logger = require('../utils/logger');
+
+const { ValidationError } = require('../utils/errors');
+
+
+const MIN_TERM_LENGTH = 2;
+
+
+const MIN_PREFIX_LENGTH = 3;
+
+
+const MAX_TERMS = 8;
+
+
+const FACET_LIMIT = 20;
+
+
+// Upper bound of the last bucket is open (1000+)
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+
+
+const SORT_OPTIONS = {
+  relevance: null,
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  newest: { createdAt: -1, _id: 1 },
+  rating: { 'ratings.average': -1, 'ratings.count': -1, _id: 1 }
+};
+
+
+const RESULT_FIELDS = {
+  name: 1,
+  slug: 1,
+  shortDescription: 1,
+  price: 1,
+  compareAtPrice: 1,
+  currency: 1,
+  prices: 1,
+  brand: 1,
+  categories: 1,
+  tags: 1,
+  images: 1,
+  ratings: 1,
+  inventory: 1,
+  isFeatured: 1
+};
+
+/**
+ * Escape a string for literal use inside a RegExp
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Search Service
+ * Full-text product search backed by the weighted text index on Product,
+ * with a typo-tolerant prefix fallback and facet counts for filter sidebars.
+ */
+class SearchService {
+  /**
+   * Search active products
+   * Runs a relevance-ranked $text search first; when that finds nothing
+   * (partial words, small typos) it retries with word-prefix matching.
+   * @param {string} searchTerm - User query
+   * @param {Object} filters - { category, brand, minPrice, maxPrice, inStock, attributes }
+   * @param {Object} options - { page, limit, sort }
+   * @returns {Promise<Object>} { products, pagination, facets, matchMode }
+   */
+  async searchProducts(searchTerm, filters = {}, options = {}) {
+    try {
+      const terms = this.tokenize(searchTerm);
+
+      if (terms.length === 0) {
+        throw new ValidationError(`Search query must contain a word of at least ${MIN_TERM_LENGTH} characters`);
+      }
+
+      const filterMatch = this.buildFilterMatch(filters);
+
+      let matchMode = 'text';
+      let result = await this._runSearch(
+        { $text: { $search: terms.join(' ') }, ...filterMatch },
+        true,
+        options
+      );
+
+      if (result.total === 0) {
+        matchMode = 'prefix';
+        result = await this._runSearch(
+          { ...this.buildPrefixMatch(terms), ...filterMatch },
+          false,
+          options
+        );
+      }
+
+      const facets = await this._formatFacets(result.facets);
+
+      logger.info('Product search completed', {
+        searchTerm,
+        matchMode,
+        total: result.total
+      });
+
+      return {
+        products: result.products,
+        pagination: { page: result.page, limit: result.limit, total: result.total },
+        facets,
+        matchMode
+      };
+    } catch (error) {
+      logger.error('Failed to search products', { searchTerm, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Split a query into distinct lowercase words
+   * @param {string} searchTerm - User query
+   * @returns {Array<string>} Search terms
+   */
+  tokenize(searchTerm) {
+    if (typeof searchTerm !== 'string') {
+      return [];
+    }
+
+    const words = searchTerm
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length >= MIN_TERM_LENGTH);
+
+    return [...new Set(words)].slice(0, MAX_TERMS);
+  }
+
+  /**
+   * Build a word-prefix match that tolerates an unfinished word or a typo
+   * in its last character: every term must start a word in name, brand or tags.
+   * @param {Array<string>} terms - Search terms
+   * @returns {Object} MongoDB match
+   */
+  buildPrefixMatch(terms) {
+    return {
+      $and: terms.map(term => {
+        const prefix = term.length > MIN_PREFIX_LENGTH ? term.slice(0, -1) : term;
+        const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(prefix)}`, 'iu');
+
+        return {
+          $or: [
+            { name: pattern },
+            { brand: pattern },
+            { tags: pattern }
+          ]
+        };
+      })
+    };
+  }
+
+  /**
+   * Build the filter part of the match from validated query filters
+   * @param {Object} filters - { category, brand, minPrice, maxPrice, inStock, attributes }
+   * @returns {Object} MongoDB match
+   */
+  buildFilterMatch(filters = {}) {
+    const match = { isActive: true };
+
+    if (filters.category) {
+      match.categories = new mongoose.Types.ObjectId(filters.category);
+    }
+
+    if (filters.brand) {
+      const brands = Array.isArray(filters.brand) ? filters.brand : [filters.brand];
+      match.brand = { $in: brands };
+    }
+
+    if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+      match.price = {};
+
+      if (filters.minPrice !== undefined) {
+        match.price.$gte = filters.minPrice;
+      }
+
+      if (filters.maxPrice !== undefined) {
+        match.price.$lte = filters.maxPrice;
+      }
+    }
+
+    if (filters.inStock === true) {
+      match.$or = [
+        { 'inventory.trackInventory': false },
+        { 'inventory.allowBackorder': true },
+        { 'inventory.quantity': { $gt: 0 } }
+      ];
+    }
+
+    Object.entries(filters.attributes || {}).forEach(([name, value]) => {
+      match[`variants.attributes.${name}`] = value;
+    });
+
+    return match;
+  }
+
+  /**
+   * Run the paginated search and all facet pipelines in one aggregation
+   * @param {Object} match - Full match (text or prefix plus filters)
+   * @param {boolean} isTextSearch - Whether textScore relevance is available
+   * @param {Object} options - { page, limit, sort }
+   * @returns {Promise<Object>} { products, total, page, limit, facets }
+   * @private
+   */
+  async _runSearch(match, isTextSearch, options) {
+    const page = options.page || 1;
+    const limit = options.limit || 20;
+    const sort = SORT_OPTIONS[options.sort] ||
+      (isTextSearch ? { score: -1, _id: 1 } : { 'ratings.count': -1, _id: 1 });
+
+    const pipeline = [{ $match: match }];
+
+    if (isTextSearch) {
+      pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    }
+
+    pipeline.push({
+      $facet: {
+        results: [
+          { $sort: sort },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          { $project: isTextSearch ? { ...RESULT_FIELDS, score: 1 } : RESULT_FIELDS }
+        ],
+        total: [{ $count: 'count' }],
+        categories: [
+          { $unwind: '$categories' },
+          { $group: { _id: '$categories', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_LIMIT }
+        ],
+        brands: [
+          { $match: { brand: { $nin: [null, ''] } } },
+          { $group: { _id: '$brand', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: FACET_LIMIT }
+        ],
+        priceRanges: [
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_BUCKETS,
+              default: PRICE_BUCKETS[PRICE_BUCKETS.length - 1],
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        availability: [
+          {
+            $group: {
+              _id: {
+                $or: [
+                  { $eq: ['$inventory.trackInventory', false] },
+                  { $eq: ['$inventory.allowBackorder', true] },
+                  { $gt: ['$inventory.quantity', 0] }
+                ]
+              },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        attributes: [
+          { $unwind: '$variants' },
+          { $project: { attribute: { $objectToArray: '$variants.attributes' } } },
+          { $unwind: '$attribute' },
+          { $group: { _id: { name: '$attribute.k', value: '$attribute.v' }, products: { $addToSet: '$_id' } } },
+          { $project: { _id: 1, count: { $size: '$products' } } },
+          { $sort: { '_id.name': 1, count: -1 } }
+        ]
+      }
+    });
+
+    const [result] = await Product.aggregate(pipeline);
+
+    return {
+      products: result.results,
+      total: result.total.length > 0 ? result.total[0].count : 0,
+      page,
+      limit,
+      facets: result
+    };
+  }
+
+  /**
+   * Shape raw facet output for the storefront
+   * @param {Object} raw - Raw $facet output
+   * @returns {Promise<Object>} { categories, brands, priceRanges, availability, attributes }
+   * @private
+   */
+  async _formatFacets(raw) {
+    const categoryIds = raw.categories.map(entry => entry._id);
+    const categories = categoryIds.length > 0
+      ? await Category.find({ _id: { $in: categoryIds } }).select('name slug').lean()
+      : [];
+    const categoriesById = new Map(categories.map(category => [category._id.toString(), category]));
+
+    const attributes = {};
+    raw.attributes.forEach(entry => {
+      const { name, value } = entry._id;
+      if (!attributes[name]) {
+        attributes[name] = [];
+      }
+      if (attributes[name].length < FACET_LIMIT) {
+        attributes[name].push({ value, count: entry.count });
+      }
+    });
+
+    const availability = { inStock: 0, outOfStock: 0 };
+    raw.availability.forEach(entry => {
+      availability[entry._id ? 'inStock' : 'outOfStock'] = entry.count;
+    });
+
+    return {
+      categories: raw.categories
+        .filter(entry => categoriesById.has(entry._id.toString()))
+        .map(entry => {
+          const category = categoriesById.get(entry._id.toString());
+          return { id: entry._id, name: category.name, slug: category.slug, count: entry.count };
+        }),
+      brands: raw.brands.map(entry => ({ value: entry._id, count: entry.count })),
+      priceRanges: raw.priceRanges.map(entry => {
+        const index = PRICE_BUCKETS.indexOf(entry._id);
+        return {
+          min: entry._id,
+          max: index < PRICE_BUCKETS.length - 1 ? PRICE_BUCKETS[index + 1] : null,
+          count: entry.count
+        };
+      }),
+      availability,
+      attributes
+    };
+  }
+}
+
+module.exports = new SearchService();
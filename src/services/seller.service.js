@@ -0,0 +1,500 @@
+// File: src/services/seller.service.js
+// Generated: 2025-10-16 16:26:32 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_m5sq8wd3ne7c
+
+
+const Order = require('../models/Order');
+
+
+const Product = require('../models/Product');
+
+
+const Seller = require('../models/Seller');
+
+
+const SubOrder = require('../models/SubOrder');
+
+
+const User = require('../models/User');
+
+
+const config = require('../config/environment');
+
+
+const emailService = require('./email.service');
+
+
+const logger = require('../utils/logger');
+
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+const { roundAmount } = require('../utils/currency');
+
+const { SELLER_STATUS } = Seller;
+
+/**
+ * Review decisions an admin can take on a store, by current status
+ */
+
+
+const REVIEW_TRANSITIONS = {
+  approve: [SELLER_STATUS.PENDING, SELLER_STATUS.REJECTED, SELLER_STATUS.SUSPENDED],
+  reject: [SELLER_STATUS.PENDING],
+  suspend: [SELLER_STATUS.APPROVED]
+};
+
+
+const REVIEW_STATUS = {
+  approve: SELLER_STATUS.APPROVED,
+  reject: SELLER_STATUS.REJECTED,
+  suspend: SELLER_STATUS.SUSPENDED
+};
+
+/**
+ * Statuses a seller can move a sub-order to from each status
+ */
+
+
+const SUB_ORDER_TRANSITIONS = {
+  pending: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+/**
+ * Parent order statuses in which sellers may work on their sub-orders
+ */
+
+
+const FULFILLABLE_ORDER_STATUSES = ['paid', 'processing', 'shipped', 'delivered'];
+
+/**
+ * Store profile fields a seller can set themselves
+ */
+
+
+const PROFILE_FIELDS = ['storeName', 'description', 'contactEmail', 'phone', 'payout'];
+
+/**
+ * Seller Service
+ * Marketplace stores: applications and admin review, seller profiles, the
+ * split of orders into per-seller sub-orders and seller-side fulfilment.
+ */
+class SellerService {
+  /**
+   * Apply to sell on the marketplace
+   * @param {string} userId - Applicant user ID
+   * @param {Object} data - { storeName, description, contactEmail, phone, payout }
+   * @returns {Promise<Object>} Pending seller profile
+   */
+  async applyForSeller(userId, data) {
+    try {
+      const user = await User.findById(userId).select('email role');
+
+      if (!user) {
+        throw new NotFoundError('User', userId);
+      }
+
+      if (await Seller.exists({ user: userId })) {
+        throw new ConflictError('You already have a store on this marketplace');
+      }
+
+      const seller = await Seller.create({
+        ...this._pickProfile(data),
+        contactEmail: data.contactEmail || user.email,
+        user: userId,
+        status: SELLER_STATUS.PENDING
+      });
+
+      logger.info('Seller application submitted', { sellerId: seller._id, userId, storeName: seller.storeName });
+
+      return seller;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('A store with this name already exists');
+      }
+      logger.error('Failed to submit seller application', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get the store of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Seller profile
+   */
+  async getSellerByUser(userId) {
+    const seller = await Seller.findOne({ user: userId });
+
+    if (!seller) {
+      throw new NotFoundError('Seller');
+    }
+
+    return seller;
+  }
+
+  /**
+   * Get the approved store of a user, if any
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} Seller profile
+   */
+  async getApprovedSeller(userId) {
+    return await Seller.findOne({ user: userId, status: SELLER_STATUS.APPROVED });
+  }
+
+  /**
+   * Update the store profile of a user
+   * @param {string} userId - User ID
+   * @param {Object} data - Profile fields
+   * @returns {Promise<Object>} Updated seller profile
+   */
+  async updateProfile(userId, data) {
+    try {
+      const seller = await this.getSellerByUser(userId);
+      const { payout, ...updates } = this._pickProfile(data);
+
+      seller.set(updates);
+
+      // Merge payout details so a partial update keeps the stored account
+      Object.entries(payout || {}).forEach(([field, value]) => seller.set(`payout.${field}`, value));
+      await seller.save();
+
+      logger.info('Seller profile updated', { sellerId: seller._id, fields: Object.keys(this._pickProfile(data)) });
+
+      return seller;
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError('A store with this name already exists');
+      }
+      logger.error('Failed to update seller profile', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List stores for admin review
+   * @param {Object} filters - { status }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { sellers, pagination }
+   */
+  async listSellers(filters = {}, options = {}) {
+    try {
+      const page = options.page || 1;
+      const limit = options.limit || 20;
+      const query = filters.status ? { status: filters.status } : {};
+
+      const [sellers, total] = await Promise.all([
+        Seller.find(query)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('user', 'email firstName lastName')
+          .lean(),
+        Seller.countDocuments(query)
+      ]);
+
+      return {
+        sellers,
+        pagination: { page, limit, total }
+      };
+    } catch (error) {
+      logger.error('Failed to list sellers', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get a store by ID
+   * @param {string} sellerId - Seller ID
+   * @returns {Promise<Object>} Seller profile with its user
+   */
+  async getSeller(sellerId) {
+    const seller = await Seller.findById(sellerId).populate('user', 'email firstName lastName');
+
+    if (!seller) {
+      throw new NotFoundError('Seller', sellerId);
+    }
+
+    return seller;
+  }
+
+  /**
+   * Approve, reject or suspend a store
+   * Approval grants the user the seller role; rejection and suspension take it
+   * back, and suspension also unlists the store's products.
+   * @param {string} sellerId - Seller ID
+   * @param {string} action - approve | reject | suspend
+   * @param {Object} details - { reason }
+   * @param {string} adminId - Reviewing admin
+   * @returns {Promise<Object>} Updated seller profile
+   */
+  async reviewSeller(sellerId, action, details = {}, adminId = null) {
+    try {
+      const seller = await Seller.findById(sellerId);
+
+      if (!seller) {
+        throw new NotFoundError('Seller', sellerId);
+      }
+
+      if (!REVIEW_TRANSITIONS[action] || !REVIEW_TRANSITIONS[action].includes(seller.status)) {
+        throw new ValidationError(`Cannot ${action} a store that is ${seller.status}`);
+      }
+
+      seller.status = REVIEW_STATUS[action];
+      seller.statusReason = details.reason || undefined;
+      seller.reviewedBy = adminId;
+      seller.reviewedAt = new Date();
+      await seller.save();
+
+      // Admins keep their own role if they also run a store
+      await User.updateOne(
+        { _id: seller.user, role: { $ne: 'admin' } },
+        { $set: { role: seller.status === SELLER_STATUS.APPROVED ? 'seller' : 'customer' } }
+      );
+      const user = await User.findById(seller.user).select('firstName');
+
+      let unlisted = 0;
+      if (seller.status === SELLER_STATUS.SUSPENDED) {
+        const result = await Product.updateMany({ seller: seller._id, isActive: true }, { $set: { isActive: false } });
+        unlisted = result.modifiedCount || 0;
+      }
+
+      await emailService.queueEmail('seller_status', seller.contactEmail, {
+        storeName: seller.storeName,
+        recipientName: user ? user.firstName : null,
+        status: seller.status,
+        reason: seller.statusReason,
+        dashboardUrl: `${process.env.FRONTEND_URL}/seller`
+      });
+
+      logger.info('Seller reviewed', { sellerId, action, status: seller.status, adminId, unlisted });
+
+      return seller;
+    } catch (error) {
+      logger.error('Failed to review seller', { sellerId, action, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * List the products of a store
+   * @param {string} sellerId - Seller ID
+   * @param {Object} filters - { isActive }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { products, pagination }
+   */
+  async getSellerProducts(sellerId, filters = {}, options = {}) {
+    try {
+      const page = options.page || 1;
+      const limit = options.limit || 20;
+      const query = { seller: sellerId };
+
+      if (filters.isActive !== undefined) {
+        query.isActive = filters.isActive;
+      }
+
+      const [products, total] = await Promise.all([
+        Product.find(query)
+          .select('-reservations')
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Product.countDocuments(query)
+      ]);
+
+      return {
+        products,
+        pagination: { page, limit, total }
+      };
+    } catch (error) {
+      logger.error('Failed to list seller products', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Split a newly placed order into one sub-order per seller
+   * Items of the shop's own products stay on the parent order only. Called
+   * inside the order transaction, after the order items are saved.
+   * @param {Object} order - Parent order
+   * @param {Array} orderItems - Saved order items (with seller set)
+   * @param {Object} [session] - Mongoose session
+   * @returns {Promise<Array>} Created sub-orders
+   */
+  async splitOrder(order, orderItems, session = null) {
+    const itemsBySeller = new Map();
+
+    for (const item of orderItems) {
+      if (item.seller) {
+        const key = item.seller.toString();
+        itemsBySeller.set(key, [...(itemsBySeller.get(key) || []), item]);
+      }
+    }
+
+    if (itemsBySeller.size === 0) {
+      return [];
+    }
+
+    const sellers = await Seller.find({ _id: { $in: [...itemsBySeller.keys()] } })
+      .select('commissionRate')
+      .session(session);
+    const ratesBySeller = new Map(sellers.map(seller => [seller._id.toString(), seller.commissionRate]));
+
+    const subOrders = [...itemsBySeller.entries()].map(([sellerId, items], index) => {
+      const commissionRate = ratesBySeller.get(sellerId) ?? config.marketplace.commissionRate;
+      const subtotal = roundAmount(items.reduce((sum, item) => sum + item.finalPrice * item.quantity, 0), order.currency);
+      const commission = roundAmount(subtotal * commissionRate / 100, order.currency);
+
+      return {
+        order: order._id,
+        seller: sellerId,
+        subOrderNumber: `${order.orderNumber}-${index + 1}`,
+        items: items.map(item => item._id),
+        currency: order.currency,
+        pricing: {
+          subtotal,
+          commissionRate,
+          commission,
+          payout: roundAmount(subtotal - commission, order.currency)
+        },
+        statusHistory: [{ status: 'pending', note: 'Sub-order created' }]
+      };
+    });
+
+    const created = await SubOrder.insertMany(subOrders, { session });
+
+    logger.info('Order split into sub-orders', {
+      orderId: order._id,
+      subOrders: created.length
+    });
+
+    return created;
+  }
+
+  /**
+   * List the sub-orders of a store
+   * @param {string} sellerId - Seller ID
+   * @param {Object} filters - { status }
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} { subOrders, pagination }
+   */
+  async listSubOrders(sellerId, filters = {}, options = {}) {
+    try {
+      const page = options.page || 1;
+      const limit = options.limit || 20;
+      const query = { seller: sellerId };
+
+      if (filters.status) {
+        query.status = filters.status;
+      }
+
+      const [subOrders, total] = await Promise.all([
+        SubOrder.find(query)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('order', 'orderNumber status createdAt')
+          .lean(),
+        SubOrder.countDocuments(query)
+      ]);
+
+      return {
+        subOrders,
+        pagination: { page, limit, total }
+      };
+    } catch (error) {
+      logger.error('Failed to list sub-orders', { sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get one sub-order of a store with its items and shipping details
+   * @param {string} sellerId - Seller ID
+   * @param {string} subOrderId - Sub-order ID
+   * @returns {Promise<Object>} Sub-order
+   */
+  async getSubOrder(sellerId, subOrderId) {
+    const subOrder = await SubOrder.findOne({ _id: subOrderId, seller: sellerId })
+      .populate('order', 'orderNumber status shippingAddress shippingMethod createdAt')
+      .populate('items', 'product productSnapshot variantId selectedOptions quantity price finalPrice status');
+
+    if (!subOrder) {
+      throw new NotFoundError('Sub-order', subOrderId);
+    }
+
+    return subOrder;
+  }
+
+  /**
+   * Move a sub-order along its fulfilment steps
+   * Only possible once the customer has paid the parent order.
+   * @param {string} sellerId - Seller ID
+   * @param {string} subOrderId - Sub-order ID
+   * @param {Object} update - { status, carrier, trackingNumber, note }
+   * @param {string} userId - Acting user
+   * @returns {Promise<Object>} Updated sub-order
+   */
+  async updateSubOrderStatus(sellerId, subOrderId, update, userId) {
+    try {
+      const subOrder = await SubOrder.findOne({ _id: subOrderId, seller: sellerId });
+
+      if (!subOrder) {
+        throw new NotFoundError('Sub-order', subOrderId);
+      }
+
+      const order = await Order.findById(subOrder.order).select('status');
+
+      if (!order || !FULFILLABLE_ORDER_STATUSES.includes(order.status)) {
+        throw new ValidationError(`Sub-orders cannot be updated while the order is ${order ? order.status : 'missing'}`);
+      }
+
+      const { status, carrier, trackingNumber, note } = update;
+
+      if (!(SUB_ORDER_TRANSITIONS[subOrder.status] || []).includes(status)) {
+        throw new ValidationError(`Cannot move a sub-order from ${subOrder.status} to ${status}`);
+      }
+
+      if (status === 'shipped') {
+        if (!trackingNumber) {
+          throw new ValidationError('A tracking number is required to ship a sub-order');
+        }
+        subOrder.tracking = { carrier, trackingNumber, shippedAt: new Date() };
+      }
+
+      if (status === 'delivered') {
+        subOrder.tracking.deliveredAt = new Date();
+      }
+
+      subOrder.status = status;
+      subOrder.statusHistory.push({ status, note, updatedBy: userId });
+      await subOrder.save();
+
+      logger.info('Sub-order status updated', { subOrderId, sellerId, status });
+
+      return subOrder;
+    } catch (error) {
+      logger.error('Failed to update sub-order status', { subOrderId, sellerId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Keep only the profile fields a seller may set
+   * @private
+   */
+  _pickProfile(data = {}) {
+    return PROFILE_FIELDS.reduce((fields, field) => {
+      if (data[field] !== undefined) {
+        fields[field] = data[field];
+      }
+      return fields;
+    }, {});
+  }
+}
+
+module.exports = new SellerService();
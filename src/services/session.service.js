@@ -0,0 +1,305 @@
+// File: src/services/session.service.js
+// Generated: 2025-10-16 18:06:15 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_k7nv2pq9ws4b
+
+
+const Jwt = require('../utils/jwt');
+
+
+const Session = require('../models/Session');
+
+
+const crypto = require('crypto');
+
+
+const logger = require('../utils/logger');
+
+
+const mongoose = require('mongoose');
+
+const { AuthenticationError, NotFoundError } = require('../utils/errors');
+
+const { REVOKE_REASONS } = Session;
+
+/**
+ * Browser names by user agent pattern, most specific first
+ */
+
+
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/SamsungBrowser\//, 'Samsung Internet'],
+  [/Chrome\/|CriOS\//, 'Chrome'],
+  [/Firefox\/|FxiOS\//, 'Firefox'],
+  [/Safari\//, 'Safari']
+];
+
+/**
+ * Operating system names by user agent pattern, most specific first
+ */
+
+
+const PLATFORMS = [
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Android/, 'Android'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/CrOS/, 'ChromeOS'],
+  [/Linux/, 'Linux']
+];
+
+/**
+ * Session Service
+ * Registry of the devices a user is signed in on. Every session owns a
+ * family of refresh tokens: refreshing rotates the token, and replaying a
+ * token that was already rotated revokes the session on every holder.
+ */
+class SessionService {
+  /**
+   * Start a session for a device and issue its first refresh token
+   * @param {string} userId - User ID
+   * @param {Object} device - { deviceName, userAgent, ipAddress }
+   * @returns {Promise<Object>} { session, refreshToken }
+   */
+  async createSession(userId, device = {}) {
+    try {
+      const sessionId = new mongoose.Types.ObjectId();
+      const { tokenId, refreshToken, expiresAt } = this._issueRefreshToken(userId, sessionId);
+
+      const session = await Session.create({
+        _id: sessionId,
+        user: userId,
+        deviceName: this._deviceName(device),
+        userAgent: device.userAgent ? String(device.userAgent).slice(0, 500) : undefined,
+        ipAddress: device.ipAddress,
+        tokenId,
+        lastUsedAt: new Date(),
+        expiresAt
+      });
+
+      logger.info('Session started', { userId, sessionId: session._id, deviceName: session.deviceName });
+
+      return { session, refreshToken };
+    } catch (error) {
+      logger.error('Failed to start session', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Exchange a refresh token for the next one of its session
+   * A token is accepted once. If an already rotated token comes back, either
+   * it leaked or the legitimate client was replaced, so the session is revoked
+   * and every token of its family stops working.
+   * @param {string} refreshToken - Refresh token presented by the client
+   * @param {Object} device - { ipAddress } of the request
+   * @returns {Promise<Object>} { session, refreshToken }
+   * @throws {AuthenticationError} If the token is invalid, expired, revoked or reused
+   */
+  async rotateRefreshToken(refreshToken, device = {}) {
+    let decoded;
+
+    try {
+      decoded = Jwt.verifyRefreshToken(refreshToken);
+    } catch (error) {
+      throw new AuthenticationError(error.message || 'Invalid refresh token');
+    }
+
+    // Tokens issued before sessions existed carry no session and must log in again
+    if (!decoded.sessionId || !decoded.jti) {
+      throw new AuthenticationError('Invalid or expired refresh token');
+    }
+
+    const { userId, sessionId, jti } = decoded;
+    const next = this._issueRefreshToken(userId, sessionId);
+
+    const update = {
+      tokenId: next.tokenId,
+      lastUsedAt: new Date(),
+      expiresAt: next.expiresAt
+    };
+
+    if (device.ipAddress) {
+      update.ipAddress = device.ipAddress;
+    }
+
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, user: userId, tokenId: jti, revokedAt: null },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!session) {
+      const revoked = await Session.findOneAndUpdate(
+        { _id: sessionId, user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: REVOKE_REASONS.TOKEN_REUSE } }
+      );
+
+      if (revoked) {
+        logger.warn('Refresh token reuse detected, session revoked', {
+          userId,
+          sessionId,
+          ipAddress: device.ipAddress
+        });
+      }
+
+      throw new AuthenticationError('Invalid or expired refresh token');
+    }
+
+    return { session, refreshToken: next.refreshToken };
+  }
+
+  /**
+   * Whether a session is still signed in
+   * Access tokens are not rotated, so the auth middleware asks this on every
+   * request to make a revoked session stop working before its tokens expire.
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID from the access token
+   * @returns {Promise<boolean>} True if the session is neither revoked nor expired
+   */
+  async isSessionActive(userId, sessionId) {
+    const session = await Session.exists({
+      _id: sessionId,
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+
+    return Boolean(session);
+  }
+
+  /**
+   * List a user's active sessions, most recently used first
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session of the request, flagged as current
+   * @returns {Promise<Array>} Sessions
+   */
+  async listSessions(userId, currentSessionId) {
+    try {
+      const sessions = await Session.find({
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      })
+        .select('deviceName userAgent ipAddress lastUsedAt createdAt expiresAt')
+        .sort({ lastUsedAt: -1 })
+        .lean();
+
+      return sessions.map(session => ({
+        ...session,
+        current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+      }));
+    } catch (error) {
+      logger.error('Failed to list sessions', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - One of REVOKE_REASONS
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} If the user has no such active session
+   */
+  async revokeSession(userId, sessionId, reason = REVOKE_REASONS.REVOKED) {
+    try {
+      const result = await Session.updateOne(
+        { _id: sessionId, user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new NotFoundError('Session', sessionId);
+      }
+
+      logger.info('Session revoked', { userId, sessionId, reason });
+    } catch (error) {
+      logger.error('Failed to revoke session', { userId, sessionId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every session of a user, optionally keeping one
+   * @param {string} userId - User ID
+   * @param {string} reason - One of REVOKE_REASONS
+   * @param {string} [exceptSessionId] - Session to keep, usually the caller's
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllSessions(userId, reason, exceptSessionId) {
+    try {
+      const filter = { user: userId, revokedAt: null };
+
+      if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+      }
+
+      const result = await Session.updateMany(filter, {
+        $set: { revokedAt: new Date(), revokedReason: reason }
+      });
+
+      logger.info('Sessions revoked', { userId, reason, exceptSessionId, count: result.modifiedCount });
+
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Failed to revoke sessions', { userId, reason, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every session of a user except the one making the request
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session to keep
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeOtherSessions(userId, currentSessionId) {
+    return await this.revokeAllSessions(userId, REVOKE_REASONS.REVOKED, currentSessionId);
+  }
+
+  /**
+   * Sign a new refresh token for a session
+   * @private
+   * @returns {Object} { tokenId, refreshToken, expiresAt }
+   */
+  _issueRefreshToken(userId, sessionId) {
+    const tokenId = crypto.randomBytes(16).toString('hex');
+    const refreshToken = Jwt.generateRefreshToken({
+      userId: userId.toString(),
+      sessionId: sessionId.toString(),
+      tokenId
+    });
+
+    return {
+      tokenId,
+      refreshToken,
+      expiresAt: new Date(Jwt.decodeToken(refreshToken).exp * 1000)
+    };
+  }
+
+  /**
+   * Name a device: the name the client sent, or browser and OS from the user agent
+   * @private
+   */
+  _deviceName(device) {
+    if (device.deviceName && String(device.deviceName).trim()) {
+      return String(device.deviceName).trim().slice(0, 100);
+    }
+
+    const userAgent = device.userAgent || '';
+    const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent));
+    const platform = PLATFORMS.find(([pattern]) => pattern.test(userAgent));
+
+    if (!browser && !platform) {
+      return 'Unknown device';
+    }
+
+    return [browser && browser[1], platform && platform[1]].filter(Boolean).join(' on ');
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,501 @@
+// File: src/services/shipment.service.js
+// Generated: 2025-10-16 13:46:22 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_c6tj2rm9xw4b
+
+
+const Order = require('../models/Order');
+
+
+const mongoose = require('mongoose');
+
+
+const OrderItem = require('../models/OrderItem');
+
+
+const Shipment = require('../models/Shipment');
+
+
+const User = require('../models/User');
+
+
+const emailService = require('./email.service');
+
+
+const logger = require('../utils/logger');
+
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/errors');
+
+const { CARRIERS, SHIPMENT_STATUSES } = Shipment;
+
+
+// Order statuses from which (further) parcels can be sent
+const SHIPPABLE_ORDER_STATUSES = ['paid', 'processing', 'shipped'];
+
+
+// Normal progress of a parcel; exceptions may interrupt it at any point before delivery
+const STATUS_PROGRESS = [
+  SHIPMENT_STATUSES.SHIPPED,
+  SHIPMENT_STATUSES.IN_TRANSIT,
+  SHIPMENT_STATUSES.OUT_FOR_DELIVERY,
+  SHIPMENT_STATUSES.DELIVERED
+];
+
+/**
+ * Whether a carrier event may move a parcel from one status to another
+ * Late or out-of-order scans are kept in the history without moving the parcel back.
+ * @param {string} current - Current shipment status
+ * @param {string} next - Status reported by the carrier
+ * @returns {boolean} True if the shipment status should change
+ */
+
+
+const canAdvance = (current, next) => {
+  if (current === SHIPMENT_STATUSES.DELIVERED || current === next) {
+    return false;
+  }
+
+  if (next === SHIPMENT_STATUSES.EXCEPTION || current === SHIPMENT_STATUSES.EXCEPTION) {
+    return true;
+  }
+
+  return STATUS_PROGRESS.indexOf(next) > STATUS_PROGRESS.indexOf(current);
+};
+
+/**
+ * Units per order item across a set of shipments
+ * @param {Array<Object>} shipments - Shipments
+ * @returns {Map<string, number>} Order item ID to quantity
+ */
+
+
+const sumQuantities = (shipments) => {
+  const totals = new Map();
+
+  shipments.forEach(shipment => {
+    shipment.items.forEach(line => {
+      const key = line.orderItem.toString();
+      totals.set(key, (totals.get(key) || 0) + line.quantity);
+    });
+  });
+
+  return totals;
+};
+
+/**
+ * Units of an order item that still go out to the customer
+ * Units refunded before they shipped are not sent.
+ * @param {Object} item - Order item
+ * @returns {number} Units to ship in total
+ */
+
+
+const shippableQuantity = (item) => item.quantity - (item.refundedQuantity || 0);
+
+/**
+ * Shipment Service
+ * Splits an order into one or more parcels, follows them through carrier
+ * webhooks and moves the order items and the order along as they ship and arrive.
+ */
+class ShipmentService {
+  /**
+   * Ship some or all remaining units of an order in one parcel
+   * @param {string} orderId - Order ID
+   * @param {Object} data - { items: [{ orderItemId, quantity }], carrier, trackingNumber, estimatedDelivery }
+   *   (items defaults to every unit not yet shipped)
+   * @param {string} userId - Staff member creating the shipment
+   * @returns {Promise<Object>} Created shipment
+   */
+  async createShipment(orderId, { items = [], carrier, trackingNumber, estimatedDelivery } = {}, userId = null) {
+    try {
+      const order = await Order.findById(orderId);
+      if (!order) {
+        throw new NotFoundError('Order', orderId);
+      }
+
+      if (!SHIPPABLE_ORDER_STATUSES.includes(order.status)) {
+        throw new ValidationError(`Cannot ship an order that is ${order.status}`);
+      }
+
+      if (await Shipment.exists({ carrier, trackingNumber })) {
+        throw new ConflictError(`Tracking number ${trackingNumber} is already in use`, { carrier });
+      }
+
+      // Bumping the order first makes a concurrent shipment of the same order
+      // hit a write conflict instead of shipping the same units again
+      const session = await mongoose.startSession();
+      session.startTransaction();
+
+      let shipment;
+      let orderItems;
+      let shippedItems;
+      let shipped;
+      let lines;
+
+      try {
+        await Order.updateOne({ _id: order._id }, { $inc: { 'tracking.shipmentCount': 1 } }, { session });
+
+        orderItems = await OrderItem.find({ order: order._id, status: { $ne: 'cancelled' } }).session(session);
+        const itemsById = new Map(orderItems.map(item => [item._id.toString(), item]));
+        shipped = sumQuantities(await Shipment.find({ order: order._id }).session(session));
+
+        const remainingFor = item => shippableQuantity(item) - (shipped.get(item._id.toString()) || 0);
+
+        lines = items.length > 0
+          ? items
+          : orderItems
+            .map(item => ({ orderItemId: item._id, quantity: remainingFor(item) }))
+            .filter(line => line.quantity > 0);
+
+        if (lines.length === 0) {
+          throw new ConflictError('Every item in this order has already shipped');
+        }
+
+        const itemIds = lines.map(line => line.orderItemId.toString());
+        if (new Set(itemIds).size !== itemIds.length) {
+          throw new ValidationError('Each order item can only appear once in a shipment');
+        }
+
+        lines.forEach(({ orderItemId, quantity }) => {
+          const item = itemsById.get(orderItemId.toString());
+          if (!item) {
+            throw new NotFoundError('Order item', orderItemId);
+          }
+
+          if (quantity > remainingFor(item)) {
+            throw new ValidationError(
+              `Only ${remainingFor(item)} unit(s) of ${item.productSnapshot.name} are left to ship`
+            );
+          }
+        });
+
+        [shipment] = await Shipment.create([{
+          order: order._id,
+          items: lines.map(line => ({ orderItem: line.orderItemId, quantity: line.quantity })),
+          carrier,
+          trackingNumber,
+          estimatedDelivery,
+          createdBy: userId,
+          events: [{ status: SHIPMENT_STATUSES.SHIPPED, description: 'Handed to carrier' }]
+        }], { session });
+
+        lines.forEach(line => {
+          const key = line.orderItemId.toString();
+          shipped.set(key, (shipped.get(key) || 0) + line.quantity);
+        });
+
+        // Item tracking points at the latest parcel carrying it
+        shippedItems = lines.map(line => itemsById.get(line.orderItemId.toString()));
+        for (const item of shippedItems) {
+          item.tracking.carrier = CARRIERS[carrier].name;
+          item.tracking.trackingNumber = trackingNumber;
+          item.tracking.trackingUrl = shipment.trackingUrl;
+          item.tracking.shippedAt = item.tracking.shippedAt || shipment.shippedAt;
+
+          if (shipped.get(item._id.toString()) >= shippableQuantity(item)) {
+            item.status = 'shipped';
+          }
+
+          await item.save({ session });
+        }
+
+        await session.commitTransaction();
+      } catch (error) {
+        await session.abortTransaction();
+
+        if (error.hasErrorLabel && error.hasErrorLabel('TransientTransactionError')) {
+          throw new ConflictError('Another shipment for this order is being created, please try again');
+        }
+        throw error;
+      } finally {
+        session.endSession();
+      }
+
+      order.tracking.carrier = CARRIERS[carrier].name;
+      order.tracking.trackingNumber = trackingNumber;
+      order.tracking.estimatedDelivery = estimatedDelivery || order.tracking.estimatedDelivery;
+
+      const fullyShipped = orderItems.every(item => (shipped.get(item._id.toString()) || 0) >= shippableQuantity(item));
+      await this._advanceOrderOnShipment(order, fullyShipped, userId);
+
+      await this._notifyShipped(order, shipment, shippedItems, lines);
+
+      logger.info('Shipment created', {
+        orderId,
+        shipmentId: shipment._id,
+        carrier,
+        trackingNumber,
+        items: lines.length,
+        fullyShipped,
+        userId
+      });
+
+      return shipment;
+    } catch (error) {
+      logger.error('Failed to create shipment', {
+        orderId,
+        carrier,
+        trackingNumber,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List the parcels of an order
+   * @param {string} orderId - Order ID
+   * @param {string|null} userId - Restrict to this customer's orders (null for staff)
+   * @returns {Promise<Array>} Shipments, oldest first
+   */
+  async getOrderShipments(orderId, userId = null) {
+    try {
+      const query = userId ? { _id: orderId, user: userId } : { _id: orderId };
+      const order = await Order.findOne(query).select('_id');
+
+      if (!order) {
+        throw new NotFoundError('Order', orderId);
+      }
+
+      return await Shipment.find({ order: order._id })
+        .sort({ shippedAt: 1 })
+        .populate('items.orderItem', 'productSnapshot.name productSnapshot.sku quantity');
+    } catch (error) {
+      logger.error('Failed to get order shipments', { orderId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a tracking event pushed by a carrier
+   * @param {string} carrier - Carrier key (ups, fedex, usps, dhl)
+   * @param {Object} event - { trackingNumber, status, description, location, occurredAt, estimatedDelivery }
+   *   status may be a shipment status or the carrier's own event code
+   * @returns {Promise<Object|null>} Updated shipment, or null for unknown tracking numbers and statuses
+   */
+  async handleCarrierEvent(carrier, event) {
+    try {
+      const carrierConfig = CARRIERS[carrier];
+      if (!carrierConfig) {
+        throw new ValidationError(`Unsupported carrier: ${carrier}`);
+      }
+
+      const status = Object.values(SHIPMENT_STATUSES).includes(event.status)
+        ? event.status
+        : carrierConfig.statusCodes[event.status];
+
+      // Carriers add event codes over time; acknowledge them so they are not retried forever
+      if (!status) {
+        logger.warn('Ignoring unknown carrier status', {
+          carrier,
+          trackingNumber: event.trackingNumber,
+          status: event.status
+        });
+        return null;
+      }
+
+      const shipment = await Shipment.findOne({ carrier, trackingNumber: event.trackingNumber });
+      if (!shipment) {
+        logger.warn('Carrier event for unknown tracking number', {
+          carrier,
+          trackingNumber: event.trackingNumber
+        });
+        return null;
+      }
+
+      const occurredAt = event.occurredAt ? new Date(event.occurredAt) : new Date();
+
+      // Carriers retry deliveries, so the same scan can arrive more than once
+      const duplicate = shipment.events.some(entry =>
+        entry.status === status && entry.occurredAt.getTime() === occurredAt.getTime()
+      );
+      if (duplicate) {
+        return shipment;
+      }
+
+      shipment.events.push({
+        status,
+        code: event.status,
+        description: event.description,
+        location: event.location,
+        occurredAt
+      });
+
+      if (event.estimatedDelivery) {
+        shipment.estimatedDelivery = new Date(event.estimatedDelivery);
+      }
+
+      const advanced = canAdvance(shipment.status, status);
+      if (advanced) {
+        shipment.status = status;
+
+        if (status === SHIPMENT_STATUSES.DELIVERED) {
+          shipment.deliveredAt = occurredAt;
+        }
+      }
+
+      await shipment.save();
+
+      if (advanced && status === SHIPMENT_STATUSES.DELIVERED) {
+        await this._handleDelivered(shipment);
+      }
+
+      logger.info('Carrier event applied', {
+        carrier,
+        trackingNumber: event.trackingNumber,
+        status,
+        shipmentStatus: shipment.status
+      });
+
+      return shipment;
+    } catch (error) {
+      logger.error('Failed to handle carrier event', {
+        carrier,
+        trackingNumber: event.trackingNumber,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Move the order along after a parcel leaves
+   * Paid orders start processing with their first parcel and count as shipped
+   * once every unit is on its way.
+   * @private
+   */
+  async _advanceOrderOnShipment(order, fullyShipped, userId) {
+    if (order.status === 'paid') {
+      await order.updateStatus('processing', 'First parcel shipped', userId);
+    }
+
+    if (fullyShipped && order.status === 'processing') {
+      await order.updateStatus('shipped', 'All items shipped', userId);
+    } else {
+      await order.save();
+    }
+  }
+
+  /**
+   * Mark items delivered once all their units have arrived, and the order once every parcel has
+   * @private
+   */
+  async _handleDelivered(shipment) {
+    const order = await Order.findById(shipment.order);
+    if (!order) {
+      return;
+    }
+
+    const shipments = await Shipment.find({ order: order._id });
+    const delivered = sumQuantities(shipments.filter(parcel => parcel.status === SHIPMENT_STATUSES.DELIVERED));
+
+    const items = await OrderItem.find({ _id: { $in: shipment.items.map(line => line.orderItem) } });
+    for (const item of items) {
+      if ((delivered.get(item._id.toString()) || 0) >= shippableQuantity(item)) {
+        item.status = 'delivered';
+        item.tracking.deliveredAt = shipment.deliveredAt;
+        await item.save();
+      }
+    }
+
+    // Orders still processing have units that have not shipped yet
+    const allDelivered = shipments.every(parcel => parcel.status === SHIPMENT_STATUSES.DELIVERED);
+    if (allDelivered && order.status === 'shipped') {
+      await order.updateStatus('delivered', `All ${shipments.length} parcel(s) delivered`);
+    }
+
+    await this._notifyDelivered(order, shipment, items);
+  }
+
+  /**
+   * Email the customer that a parcel has shipped
+   * A failed email never fails the shipment itself.
+   * @private
+   */
+  async _notifyShipped(order, shipment, items, lines) {
+    try {
+      // Guest orders are emailed at their checkout address
+      const user = order.user
+        ? await User.findById(order.user).select('firstName email')
+        : order.guest;
+      if (!user || !user.email) {
+        return;
+      }
+
+      const quantities = new Map(lines.map(line => [line.orderItemId.toString(), line.quantity]));
+      const address = order.shippingAddress || {};
+
+      await emailService.sendOrderShipped(user.email, {
+        orderNumber: order.orderNumber,
+        customerName: user.firstName,
+        trackingNumber: shipment.trackingNumber,
+        carrier: CARRIERS[shipment.carrier].name,
+        carrierUrl: CARRIERS[shipment.carrier].trackingUrl,
+        shippedDate: shipment.shippedAt,
+        estimatedDelivery: shipment.estimatedDelivery,
+        shippingAddress: {
+          street: address.addressLine1,
+          apartment: address.addressLine2,
+          city: address.city,
+          state: address.state,
+          zipCode: address.postalCode,
+          country: address.country
+        },
+        items: items.map(item => ({
+          name: item.productSnapshot.name,
+          sku: item.productSnapshot.sku,
+          quantity: quantities.get(item._id.toString()),
+          price: item.finalPrice
+        }))
+      });
+    } catch (error) {
+      logger.warn('Failed to send shipment email', {
+        orderId: order._id,
+        shipmentId: shipment._id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Email the customer that a parcel has been delivered
+   * @private
+   */
+  async _notifyDelivered(order, shipment, items) {
+    try {
+      // Guest orders are emailed at their checkout address
+      const user = order.user
+        ? await User.findById(order.user).select('firstName email')
+        : order.guest;
+      if (!user || !user.email) {
+        return;
+      }
+
+      const quantities = new Map(shipment.items.map(line => [line.orderItem.toString(), line.quantity]));
+
+      await emailService.sendOrderDelivered(user.email, {
+        orderNumber: order.orderNumber,
+        customerName: user.firstName,
+        deliveryDate: shipment.deliveredAt,
+        items: items.map(item => ({
+          name: item.productSnapshot.name,
+          sku: item.productSnapshot.sku,
+          quantity: quantities.get(item._id.toString()),
+          price: item.finalPrice
+        }))
+      });
+    } catch (error) {
+      logger.warn('Failed to send delivery email', {
+        orderId: order._id,
+        shipmentId: shipment._id,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ShipmentService();
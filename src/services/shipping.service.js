@@ -0,0 +1,294 @@
+// File: src/services/shipping.service.js
+// Generated: 2025-10-16 10:52:16 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_s9hz3wq5lm2b
+
+
+const Cart = require('../models/Cart');
+
+
+const Product = require('../models/Product');
+
+
+const ShippingZone = require('../models/ShippingZone');
+
+
+const logger = require('../utils/logger');
+
+const { CartError, NotFoundError, ValidationError } = require('../utils/errors');
+
+/**
+ * Round a monetary amount to 2 decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Shipping Service
+ * Quotes shipping methods for a set of items and a destination address.
+ * Product weight is expected in kilograms and dimensions in centimetres.
+ */
+class ShippingService {
+  /**
+   * Quote every available shipping method for items shipped to an address
+   * @param {Object} params - Quote parameters
+   * @param {Array} params.items - Items ({ productId, quantity, product? })
+   * @param {Object} params.address - Shipping address (country, state)
+   * @param {number} params.subtotal - Merchandise subtotal used for free-shipping thresholds
+   * @returns {Promise<Object>} { zone, requiresShipping, billableWeight, methods }
+   */
+  async quoteShipping({ items = [], address, subtotal = 0 }) {
+    try {
+      if (!address || !address.country) {
+        throw new ValidationError('A shipping address with a country is required');
+      }
+
+      const products = await this._loadProducts(items);
+      const physicalItems = items.filter(item => !products.get(item.productId.toString()).isDigital);
+
+      if (physicalItems.length === 0) {
+        return { zone: null, requiresShipping: false, billableWeight: 0, methods: [] };
+      }
+
+      const zone = await ShippingZone.findForAddress(address);
+
+      if (!zone) {
+        throw new ValidationError(`We do not ship to ${address.country}`);
+      }
+
+      const billableWeight = physicalItems.reduce((sum, item) => {
+        const product = products.get(item.productId.toString());
+        return sum + this.getBillableWeight(product, zone.volumetricDivisor) * item.quantity;
+      }, 0);
+
+      const qualifiesForFreeShipping = zone.freeShippingThreshold !== null &&
+        zone.freeShippingThreshold !== undefined &&
+        subtotal >= zone.freeShippingThreshold;
+
+      const methods = zone.methods
+        .filter(method => method.isActive)
+        .filter(method => method.maxWeight === null || method.maxWeight === undefined || billableWeight <= method.maxWeight)
+        .map(method => {
+          const freeShippingApplied = qualifiesForFreeShipping && method.freeShippingEligible;
+          const cost = freeShippingApplied ? 0 : method.baseRate + method.perKgRate * billableWeight;
+
+          return {
+            code: method.code,
+            name: method.name,
+            cost: roundCurrency(cost),
+            freeShippingApplied,
+            estimatedDays: method.estimatedDays
+          };
+        })
+        .sort((a, b) => a.cost - b.cost);
+
+      logger.debug('Quoted shipping', {
+        zoneId: zone._id,
+        country: address.country,
+        billableWeight,
+        methods: methods.length
+      });
+
+      return {
+        zone: { id: zone._id, name: zone.name },
+        requiresShipping: true,
+        billableWeight: Math.round(billableWeight * 1000) / 1000,
+        methods
+      };
+    } catch (error) {
+      logger.error('Failed to quote shipping', {
+        country: address ? address.country : null,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Quote shipping methods for a user's active cart
+   * @param {string} userId - User ID
+   * @param {Object} address - Shipping address (country, state)
+   * @returns {Promise<Object>} Shipping quote (see quoteShipping)
+   */
+  async quoteCart(userId, address) {
+    try {
+      const cart = await Cart.findOne({ userId, status: 'active' });
+
+      if (!cart || cart.items.length === 0) {
+        throw new CartError('Cart is empty');
+      }
+
+      const subtotal = cart.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+      return await this.quoteShipping({
+        items: cart.items.map(item => ({ productId: item.productId, quantity: item.quantity })),
+        address,
+        subtotal
+      });
+    } catch (error) {
+      logger.error('Failed to quote shipping for cart', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the shipping method chosen at checkout
+   * Falls back to the cheapest method when none is specified
+   * @param {Object} params - Quote parameters (see quoteShipping)
+   * @param {string} methodCode - Chosen method code (standard, express, pickup)
+   * @returns {Promise<Object|null>} Chosen method with zone and cost, or null when nothing ships
+   */
+  async selectMethod(params, methodCode = null) {
+    const quote = await this.quoteShipping(params);
+
+    if (!quote.requiresShipping) {
+      return null;
+    }
+
+    const method = methodCode
+      ? quote.methods.find(candidate => candidate.code === methodCode)
+      : quote.methods[0];
+
+    if (!method) {
+      throw new ValidationError(
+        methodCode
+          ? `Shipping method "${methodCode}" is not available for this address`
+          : 'No shipping method is available for this address'
+      );
+    }
+
+    return { ...method, zone: quote.zone.name };
+  }
+
+  /**
+   * Billable weight of one unit: the greater of actual and volumetric weight
+   * @param {Object} product - Product with weight (kg) and dimensions (cm)
+   * @param {number} volumetricDivisor - cm³ per kg
+   * @returns {number} Billable weight in kg
+   */
+  getBillableWeight(product, volumetricDivisor) {
+    const actualWeight = product.weight || 0;
+    const dimensions = product.dimensions || {};
+
+    if (!dimensions.length || !dimensions.width || !dimensions.height) {
+      return actualWeight;
+    }
+
+    const volumetricWeight = dimensions.length * dimensions.width * dimensions.height / volumetricDivisor;
+    return Math.max(actualWeight, volumetricWeight);
+  }
+
+  /**
+   * Create a shipping zone
+   * @param {Object} zoneData - Zone data
+   * @returns {Promise<Object>} Created zone
+   */
+  async createZone(zoneData) {
+    try {
+      const zone = await ShippingZone.create(zoneData);
+
+      logger.info('Shipping zone created', { zoneId: zone._id, name: zone.name });
+
+      return zone;
+    } catch (error) {
+      logger.error('Failed to create shipping zone', { name: zoneData.name, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get all shipping zones
+   * @returns {Promise<Array>} Shipping zones
+   */
+  async getZones() {
+    try {
+      return await ShippingZone.find().sort({ isDefault: 1, name: 1 });
+    } catch (error) {
+      logger.error('Failed to fetch shipping zones', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a shipping zone
+   * @param {string} zoneId - Zone ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated zone
+   */
+  async updateZone(zoneId, updateData) {
+    try {
+      const zone = await ShippingZone.findById(zoneId);
+
+      if (!zone) {
+        throw new NotFoundError('Shipping zone', zoneId);
+      }
+
+      zone.set(updateData);
+      await zone.save();
+
+      logger.info('Shipping zone updated', { zoneId, fields: Object.keys(updateData) });
+
+      return zone;
+    } catch (error) {
+      logger.error('Failed to update shipping zone', { zoneId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a shipping zone
+   * @param {string} zoneId - Zone ID
+   * @returns {Promise<void>}
+   */
+  async deleteZone(zoneId) {
+    try {
+      const zone = await ShippingZone.findByIdAndDelete(zoneId);
+
+      if (!zone) {
+        throw new NotFoundError('Shipping zone', zoneId);
+      }
+
+      logger.info('Shipping zone deleted', { zoneId });
+    } catch (error) {
+      logger.error('Failed to delete shipping zone', { zoneId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Load the shipping attributes of every product in the items
+   * Items that already carry a product document skip the lookup
+   * @param {Array} items - Items ({ productId, quantity, product? })
+   * @returns {Promise<Map>} Product shipping attributes keyed by product ID
+   * @private
+   */
+  async _loadProducts(items) {
+    const products = new Map();
+    const missingIds = [];
+
+    items.forEach(item => {
+      if (item.product) {
+        products.set(item.productId.toString(), item.product);
+      } else {
+        missingIds.push(item.productId);
+      }
+    });
+
+    if (missingIds.length > 0) {
+      const found = await Product.find({ _id: { $in: missingIds } }).select('weight dimensions isDigital');
+      found.forEach(product => products.set(product._id.toString(), product));
+    }
+
+    const unknown = items.find(item => !products.has(item.productId.toString()));
+    if (unknown) {
+      throw new NotFoundError('Product', unknown.productId.toString());
+    }
+
+    return products;
+  }
+}
+
+module.exports = new ShippingService();
@@ -191,12 +191,14 @@ class StripeService {
 
   /**
    * Create a refund
+   * Only calls Stripe; the caller records the refund on its payment.
    * @param {string} paymentIntentId - Stripe payment intent ID
    * @param {number} amount - Amount to refund (optional, full refund if not provided)
+   * @param {string} currency - Currency code of the payment
    * @param {string} reason - Refund reason
    * @returns {Object} Refund object
    */
-  async createRefund(paymentIntentId, amount = null, reason = 'requested_by_customer') {
+  async createRefund(paymentIntentId, amount = null, currency = config.currency, reason = 'requested_by_customer') {
     try {
       logger.info('Creating refund', { paymentIntentId, amount, reason });
 
@@ -206,33 +208,15 @@ class StripeService {
       };
 
       if (amount) {
-        const payment = await Payment.findOne({ stripePaymentIntentId: paymentIntentId });
-        if (!payment) {
-          throw new Error('Payment not found');
-        }
-        refundParams.amount = formatAmountForStripe(amount, payment.currency);
+        refundParams.amount = formatAmountForStripe(amount, currency);
       }
 
       const refund = await stripe.refunds.create(refundParams);
 
-      // Update payment record
-      const payment = await Payment.findOne({ stripePaymentIntentId: paymentIntentId });
-      const refundAmount = amount || payment.amount;
-
-      await Payment.findOneAndUpdate(
-        { stripePaymentIntentId: paymentIntentId },
-        {
-          status: refund.status === 'succeeded' ? 'refunded' : 'refund_pending',
-          refundAmount: refundAmount,
-          refundedAt: refund.status === 'succeeded' ? new Date() : undefined,
-          stripeRefundId: refund.id
-        }
-      );
-
       logger.info('Refund created successfully', {
         paymentIntentId,
         refundId: refund.id,
-        amount: refundAmount
+        amount: formatAmountFromStripe(refund.amount, refund.currency)
       });
 
       return {
@@ -438,6 +422,109 @@ class StripeService {
     }
   }
 
+  /**
+   * Create a setup intent to save a card for later payments
+   * @param {string} customerId - Stripe customer ID
+   * @param {Object} metadata - Additional metadata
+   * @returns {Object} Setup intent
+   */
+  async createSetupIntent(customerId, metadata = {}) {
+    try {
+      logger.info('Creating setup intent', { customerId });
+
+      const setupIntent = await stripe.setupIntents.create({
+        customer: customerId,
+        payment_method_types: ['card'],
+        usage: 'off_session',
+        metadata
+      });
+
+      logger.info('Setup intent created successfully', {
+        customerId,
+        setupIntentId: setupIntent.id
+      });
+
+      return setupIntent;
+    } catch (error) {
+      logger.error('Failed to create setup intent', {
+        error: error.message,
+        customerId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve payment method
+   * @param {string} paymentMethodId - Payment method ID
+   * @returns {Object} Payment method
+   */
+  async retrievePaymentMethod(paymentMethodId) {
+    try {
+      logger.info('Retrieving payment method', { paymentMethodId });
+
+      const paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+
+      logger.info('Payment method retrieved successfully', { paymentMethodId });
+
+      return paymentMethod;
+    } catch (error) {
+      logger.error('Failed to retrieve payment method', {
+        error: error.message,
+        paymentMethodId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Create and confirm a payment intent with a saved card (one-click checkout)
+   * @param {Object} params - Payment parameters
+   * @param {number} params.amount - Amount in dollars
+   * @param {string} params.currency - Currency code
+   * @param {string} params.customerId - Stripe customer ID
+   * @param {string} params.paymentMethodId - Saved payment method ID
+   * @param {string} params.userId - User ID
+   * @param {string} params.orderId - Order ID
+   * @returns {Object} Payment intent (status requires_action when 3-D Secure is needed)
+   */
+  async chargeSavedPaymentMethod({ amount, currency = 'usd', customerId, paymentMethodId, userId, orderId }) {
+    try {
+      logger.info('Charging saved payment method', { amount, currency, userId, orderId });
+
+      const paymentIntent = await stripe.paymentIntents.create({
+        amount: formatAmountForStripe(amount, currency),
+        currency: currency.toLowerCase(),
+        customer: customerId,
+        payment_method: paymentMethodId,
+        confirm: true,
+        // The customer is present, so 3-D Secure is handled client-side without redirects
+        automatic_payment_methods: {
+          enabled: true,
+          allow_redirects: 'never'
+        },
+        metadata: {
+          userId,
+          orderId
+        }
+      });
+
+      logger.info('Saved payment method charged', {
+        paymentIntentId: paymentIntent.id,
+        status: paymentIntent.status
+      });
+
+      return paymentIntent;
+    } catch (error) {
+      logger.error('Failed to charge saved payment method', {
+        error: error.message,
+        userId,
+        orderId
+      });
+      throw error;
+    }
+  }
+
   /**
    * Handle webhook event
    * @param {string} rawBody - Raw request body
@@ -0,0 +1,234 @@
+// File: src/services/tax.service.js
+// Generated: 2025-10-16 10:52:16 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_t4xr8e2kq1nb
+
+
+const TaxRate = require('../models/TaxRate');
+
+
+const config = require('../config/environment');
+
+
+const logger = require('../utils/logger');
+
+const { NotFoundError } = require('../utils/errors');
+
+const { TAX_CLASSES } = TaxRate;
+
+
+const PERCENT_DIVISOR = 100;
+
+/**
+ * Round a monetary amount to 2 decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+
+
+const roundCurrency = (amount) => Math.round(amount * PERCENT_DIVISOR) / PERCENT_DIVISOR;
+
+/**
+ * Tax Service
+ * Computes sales tax / VAT for a set of items shipped to an address
+ */
+class TaxService {
+  /**
+   * Calculate tax for items shipped to an address
+   * An order-level discount is spread across lines in proportion to their amount before tax is applied.
+   * With tax-inclusive pricing the tax is extracted from the item prices instead of added on top.
+   * @param {Object} params - Calculation parameters
+   * @param {Array} params.items - Items ({ productId, price, quantity, taxClass })
+   * @param {Object} params.address - Shipping address (country, state, postalCode)
+   * @param {number} params.discount - Order-level discount
+   * @returns {Promise<Object>} { tax, taxInclusive, lines, breakdown }
+   */
+  async calculateTax({ items = [], address = null, discount = 0 }) {
+    try {
+      const taxInclusive = config.tax.pricesIncludeTax;
+      const rates = address ? await TaxRate.findForAddress(address) : [];
+
+      const grossTotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+      const breakdownByKey = new Map();
+
+      const lines = items.map(item => {
+        const lineAmount = item.price * item.quantity;
+        const discountShare = grossTotal > 0 ? discount * lineAmount / grossTotal : 0;
+        const amount = Math.max(lineAmount - discountShare, 0);
+        const taxClass = item.taxClass || TAX_CLASSES.STANDARD;
+
+        const combinedRate = rates.reduce((sum, rate) => sum + rate.getRateForClass(taxClass), 0);
+        const taxableAmount = taxInclusive ? amount / (1 + combinedRate / PERCENT_DIVISOR) : amount;
+
+        let lineTax = 0;
+        rates.forEach(rate => {
+          const percentage = rate.getRateForClass(taxClass);
+          if (percentage === 0) {
+            return;
+          }
+
+          const jurisdictionTax = taxableAmount * percentage / PERCENT_DIVISOR;
+          lineTax += jurisdictionTax;
+
+          const key = `${rate._id}:${taxClass}`;
+          const entry = breakdownByKey.get(key) || {
+            jurisdiction: rate.name,
+            country: rate.country,
+            state: rate.state,
+            postalPrefix: rate.postalPrefix,
+            taxClass,
+            rate: percentage,
+            taxableAmount: 0,
+            amount: 0
+          };
+          entry.taxableAmount += taxableAmount;
+          entry.amount += jurisdictionTax;
+          breakdownByKey.set(key, entry);
+        });
+
+        return {
+          productId: item.productId,
+          taxClass,
+          taxableAmount: roundCurrency(taxableAmount),
+          tax: roundCurrency(lineTax)
+        };
+      });
+
+      const breakdown = Array.from(breakdownByKey.values()).map(entry => ({
+        ...entry,
+        taxableAmount: roundCurrency(entry.taxableAmount),
+        amount: roundCurrency(entry.amount)
+      }));
+
+      const tax = roundCurrency(breakdown.reduce((sum, entry) => sum + entry.amount, 0));
+
+      logger.debug('Calculated tax', {
+        country: address ? address.country : null,
+        jurisdictions: rates.length,
+        taxInclusive,
+        tax
+      });
+
+      return { tax, taxInclusive, lines, breakdown };
+    } catch (error) {
+      logger.error('Failed to calculate tax', {
+        country: address ? address.country : null,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Create a tax rate
+   * @param {Object} rateData - Tax rate data
+   * @returns {Promise<Object>} Created tax rate
+   */
+  async createTaxRate(rateData) {
+    try {
+      const taxRate = await TaxRate.create(rateData);
+
+      logger.info('Tax rate created', {
+        taxRateId: taxRate._id,
+        country: taxRate.country,
+        state: taxRate.state,
+        postalPrefix: taxRate.postalPrefix
+      });
+
+      return taxRate;
+    } catch (error) {
+      logger.error('Failed to create tax rate', { country: rateData.country, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Get tax rates with filters and pagination
+   * @param {Object} filters - Filter criteria (country, state, isActive)
+   * @param {Object} options - Pagination options (page, limit)
+   * @returns {Promise<Object>} Tax rates and pagination metadata
+   */
+  async getTaxRates(filters = {}, options = {}) {
+    try {
+      const query = {};
+
+      if (filters.country) {
+        query.country = filters.country.toUpperCase();
+      }
+
+      if (filters.state) {
+        query.state = filters.state.toUpperCase();
+      }
+
+      if (filters.isActive !== undefined) {
+        query.isActive = filters.isActive;
+      }
+
+      const page = options.page || 1;
+      const limit = options.limit || 50;
+      const skip = (page - 1) * limit;
+
+      const [taxRates, total] = await Promise.all([
+        TaxRate.find(query).sort({ country: 1, state: 1, postalPrefix: 1 }).skip(skip).limit(limit),
+        TaxRate.countDocuments(query)
+      ]);
+
+      return {
+        taxRates,
+        pagination: { page, limit, total }
+      };
+    } catch (error) {
+      logger.error('Failed to fetch tax rates', { filters, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Update a tax rate
+   * @param {string} taxRateId - Tax rate ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated tax rate
+   */
+  async updateTaxRate(taxRateId, updateData) {
+    try {
+      const taxRate = await TaxRate.findById(taxRateId);
+
+      if (!taxRate) {
+        throw new NotFoundError('Tax rate', taxRateId);
+      }
+
+      taxRate.set(updateData);
+      await taxRate.save();
+
+      logger.info('Tax rate updated', { taxRateId, fields: Object.keys(updateData) });
+
+      return taxRate;
+    } catch (error) {
+      logger.error('Failed to update tax rate', { taxRateId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a tax rate
+   * Orders keep their own copy of the breakdown, so removing a rate does not alter history
+   * @param {string} taxRateId - Tax rate ID
+   * @returns {Promise<void>}
+   */
+  async deleteTaxRate(taxRateId) {
+    try {
+      const taxRate = await TaxRate.findByIdAndDelete(taxRateId);
+
+      if (!taxRate) {
+        throw new NotFoundError('Tax rate', taxRateId);
+      }
+
+      logger.info('Tax rate deleted', { taxRateId });
+    } catch (error) {
+      logger.error('Failed to delete tax rate', { taxRateId, error: error.message });
+      throw error;
+    }
+  }
+}
+
+module.exports = new TaxService();
@@ -0,0 +1,335 @@
+// File: src/services/twoFactor.service.js
+// Generated: 2025-10-16 18:41:07 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_p3xw8tm5ka7b
+
+
+const User = require('../models/User');
+
+
+const config = require('../config/environment');
+
+
+const crypto = require('crypto');
+
+
+const logger = require('../utils/logger');
+
+
+const totp = require('../utils/totp');
+
+const { comparePassword } = require('../utils/password');
+
+const {
+  AuthenticationError,
+  AuthorizationError,
+  ConflictError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/errors');
+
+/**
+ * User fields holding two-factor state, all unselected by default
+ */
+
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+
+const RECOVERY_CODE_COUNT = 10;
+
+
+const SECRET_CIPHER = 'aes-256-gcm';
+
+/**
+ * Two-Factor Service
+ * TOTP enrollment and code checks. Authenticator secrets are stored encrypted
+ * and recovery codes as SHA-256 hashes; each recovery code works once.
+ * The login step that asks for a code lives in AuthService.
+ */
+class TwoFactorService {
+  /**
+   * Whether the user's role must use two-factor authentication
+   * @param {Object} user - User document
+   * @returns {boolean} True if enrollment is mandatory
+   */
+  isRequired(user) {
+    return config.twoFactor.requiredRoles.includes(user.role);
+  }
+
+  /**
+   * Start enrollment: create a secret for the authenticator app
+   * The secret only takes effect once a code from it is confirmed with enable().
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  async beginSetup(userId) {
+    try {
+      const user = await this.loadUser(userId);
+
+      if (user.twoFactor && user.twoFactor.enabled) {
+        throw new ConflictError('Two-factor authentication is already enabled');
+      }
+
+      const secret = totp.generateSecret();
+
+      user.set('twoFactor.pendingSecret', this._encryptSecret(secret));
+      await user.save();
+
+      logger.info('Two-factor setup started', { userId });
+
+      return {
+        secret,
+        otpauthUri: totp.buildOtpauthUri(secret, user.email, config.twoFactor.issuer)
+      };
+    } catch (error) {
+      logger.error('Failed to start two-factor setup', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Finish enrollment with a code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<Object>} { recoveryCodes } shown to the user once
+   */
+  async enable(userId, code) {
+    try {
+      const user = await this.loadUser(userId);
+
+      if (user.twoFactor && user.twoFactor.enabled) {
+        throw new ConflictError('Two-factor authentication is already enabled');
+      }
+
+      if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+        throw new ValidationError('Start two-factor setup before enabling it');
+      }
+
+      const secret = this._decryptSecret(user.twoFactor.pendingSecret);
+      const step = totp.verifyCode(secret, code);
+
+      if (step === null) {
+        throw new AuthenticationError('Invalid two-factor code');
+      }
+
+      const recoveryCodes = this._generateRecoveryCodes();
+
+      user.set('twoFactor', {
+        enabled: true,
+        secret: user.twoFactor.pendingSecret,
+        pendingSecret: undefined,
+        recoveryCodes: recoveryCodes.map(recoveryCode => this._hashRecoveryCode(recoveryCode)),
+        lastUsedStep: step,
+        enabledAt: new Date()
+      });
+      await user.save();
+
+      logger.info('Two-factor authentication enabled', { userId });
+
+      return { recoveryCodes };
+    } catch (error) {
+      logger.error('Failed to enable two-factor authentication', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * @param {string} userId - User ID
+   * @param {string} password - Account password
+   * @param {Object} credentials - { code } or { recoveryCode }
+   * @returns {Promise<void>}
+   */
+  async disable(userId, password, credentials) {
+    try {
+      const user = await this.loadUser(userId, '+password');
+
+      if (!user.twoFactor || !user.twoFactor.enabled) {
+        throw new ValidationError('Two-factor authentication is not enabled');
+      }
+
+      if (this.isRequired(user)) {
+        throw new AuthorizationError('Two-factor authentication is mandatory for your role');
+      }
+
+      if (!(await comparePassword(password, user.password))) {
+        throw new AuthenticationError('Password is incorrect');
+      }
+
+      if (!(await this.verify(user, credentials))) {
+        throw new AuthenticationError('Invalid two-factor code');
+      }
+
+      user.set('twoFactor', { enabled: false });
+      await user.save();
+
+      logger.info('Two-factor authentication disabled', { userId });
+    } catch (error) {
+      logger.error('Failed to disable two-factor authentication', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace all recovery codes, invalidating the old ones
+   * @param {string} userId - User ID
+   * @param {string} code - Current TOTP code
+   * @returns {Promise<Object>} { recoveryCodes }
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    try {
+      const user = await this.loadUser(userId);
+
+      if (!user.twoFactor || !user.twoFactor.enabled) {
+        throw new ValidationError('Two-factor authentication is not enabled');
+      }
+
+      if (!(await this.verify(user, { code }))) {
+        throw new AuthenticationError('Invalid two-factor code');
+      }
+
+      const recoveryCodes = this._generateRecoveryCodes();
+
+      user.set('twoFactor.recoveryCodes', recoveryCodes.map(recoveryCode => this._hashRecoveryCode(recoveryCode)));
+      await user.save();
+
+      logger.info('Recovery codes regenerated', { userId });
+
+      return { recoveryCodes };
+    } catch (error) {
+      logger.error('Failed to regenerate recovery codes', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Check a TOTP code or use up a recovery code
+   * A TOTP code is refused if its time step was already used, so an
+   * intercepted code cannot be replayed within its validity window. Both
+   * checks are conditional updates, so two requests racing with the same
+   * code cannot both pass.
+   * @param {Object} user - User document from loadUser()
+   * @param {Object} credentials - { code } or { recoveryCode }
+   * @returns {Promise<Object|null>} { method, recoveryCodesRemaining } or null if rejected
+   */
+  async verify(user, credentials = {}) {
+    const { code, recoveryCode } = credentials;
+
+    if (code) {
+      const step = totp.verifyCode(this._decryptSecret(user.twoFactor.secret), code);
+
+      if (step === null) {
+        return null;
+      }
+
+      const { matchedCount } = await User.updateOne(
+        { _id: user._id, 'twoFactor.lastUsedStep': { $lt: step } },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+
+      if (matchedCount === 0) {
+        return null;
+      }
+
+      return { method: 'totp' };
+    }
+
+    if (recoveryCode) {
+      const hash = this._hashRecoveryCode(recoveryCode);
+
+      const { matchedCount } = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': hash },
+        { $pull: { 'twoFactor.recoveryCodes': hash } }
+      );
+
+      if (matchedCount === 0) {
+        return null;
+      }
+
+      const recoveryCodesRemaining = (user.twoFactor.recoveryCodes || []).filter(stored => stored !== hash).length;
+
+      logger.warn('Recovery code used', { userId: user._id, recoveryCodesRemaining });
+
+      return { method: 'recovery', recoveryCodesRemaining };
+    }
+
+    return null;
+  }
+
+  /**
+   * Load a user with their two-factor fields, as verify() needs them
+   * @param {string} userId - User ID
+   * @param {string} [extraFields] - Other unselected fields to include
+   * @returns {Promise<Object>} User document
+   * @throws {NotFoundError} If the user does not exist
+   */
+  async loadUser(userId, extraFields = '') {
+    const user = await User.findById(userId).select(`${TWO_FACTOR_FIELDS} ${extraFields}`.trim());
+
+    if (!user) {
+      throw new NotFoundError('User', userId);
+    }
+
+    return user;
+  }
+
+  /**
+   * Random one-time recovery codes, formatted xxxxx-xxxxx
+   * @private
+   */
+  _generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  /**
+   * Hash a recovery code, ignoring case, spaces and dashes
+   * @private
+   */
+  _hashRecoveryCode(recoveryCode) {
+    const normalized = String(recoveryCode).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Encrypt a secret as iv:authTag:ciphertext (hex)
+   * @private
+   */
+  _encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(SECRET_CIPHER, this._secretKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+  }
+
+  /**
+   * Decrypt a secret written by _encryptSecret
+   * @private
+   */
+  _decryptSecret(stored) {
+    const [iv, authTag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv(SECRET_CIPHER, this._secretKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * 256-bit key derived from the configured encryption key
+   * @private
+   * @throws {Error} If TWO_FACTOR_ENCRYPTION_KEY is not set
+   */
+  _secretKey() {
+    if (!config.twoFactor.encryptionKey) {
+      throw new Error('TWO_FACTOR_ENCRYPTION_KEY must be set to use two-factor authentication');
+    }
+
+    return crypto.createHash('sha256').update(String(config.twoFactor.encryptionKey)).digest();
+  }
+}
+
+module.exports = new TwoFactorService();
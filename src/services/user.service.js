@@ -15,6 +15,11 @@ const crypto = require('crypto');
 
 const logger = require('../utils/logger');
 
+
+const sessionService = require('./session.service');
+
+const { REVOKE_REASONS } = require('../models/Session');
+
 /**
  * Custom error classes for user service
  */
@@ -251,9 +256,10 @@ class UserService {
    * @param {string} userId - User ID
    * @param {string} oldPassword - Current password
    * @param {string} newPassword - New password
+   * @param {string} [currentSessionId] - Session that stays signed in; every other device is signed out
    * @returns {Promise<void>}
    */
-  async changePassword(userId, oldPassword, newPassword) {
+  async changePassword(userId, oldPassword, newPassword, currentSessionId) {
     try {
       // Validate new password strength
       this.validatePasswordStrength(newPassword);
@@ -279,6 +285,8 @@ class UserService {
       user.password = hashedPassword;
       await user.save();
 
+      await sessionService.revokeAllSessions(userId, REVOKE_REASONS.PASSWORD_CHANGED, currentSessionId);
+
       logger.info('Password changed successfully', { userId });
     } catch (error) {
       logger.error('Failed to change password', { userId, error: error.message });
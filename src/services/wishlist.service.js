@@ -0,0 +1,251 @@
+// File: src/services/wishlist.service.js
+// Generated: 2025-10-16 11:40:18 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_w8lq3ns6xe1a
+
+
+const CartService = require('./cart.service');
+
+
+const config = require('../config/environment');
+
+
+const emailService = require('./email.service');
+
+
+const Product = require('../models/Product');
+
+
+const User = require('../models/User');
+
+
+const logger = require('../utils/logger');
+
+const { NotFoundError, ValidationError } = require('../utils/errors');
+
+
+const MAX_WISHLIST_ITEMS = 100;
+
+
+const WISHLIST_PRODUCT_FIELDS = 'name slug price compareAtPrice images inventory isActive isDigital';
+
+/**
+ * Wishlist Service
+ * Manages User.wishlist and notifies watchers when a wishlisted product
+ * drops in price or comes back in stock.
+ */
+class WishlistService {
+  constructor() {
+    this.cartService = new CartService();
+  }
+
+  /**
+   * Get a user's wishlist with current price and availability
+   * Products that were deleted or deactivated are reported as unavailable
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Wishlist entries
+   */
+  async getWishlist(userId) {
+    try {
+      const user = await User.findById(userId)
+        .select('wishlist')
+        .populate('wishlist', WISHLIST_PRODUCT_FIELDS);
+
+      if (!user) {
+        throw new NotFoundError('User', userId);
+      }
+
+      const items = user.wishlist
+        .filter(Boolean)
+        .map(product => ({
+          product: {
+            id: product._id,
+            name: product.name,
+            slug: product.slug,
+            image: product.images && product.images.length > 0 ? product.images[0].url : null
+          },
+          price: product.price,
+          compareAtPrice: product.compareAtPrice,
+          inStock: product.isActive && product.isInStock(),
+          stock: product.inventory.trackInventory ? product.inventory.quantity : null,
+          available: product.isActive
+        }));
+
+      logger.info('Fetched wishlist', { userId, count: items.length });
+
+      return items;
+    } catch (error) {
+      logger.error('Failed to fetch wishlist', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Add a product to the wishlist (no-op if already present)
+   * @param {string} userId - User ID
+   * @param {string} productId - Product ID
+   * @returns {Promise<Array>} Updated wishlist
+   */
+  async addItem(userId, productId) {
+    try {
+      const product = await Product.findById(productId).select('_id isActive');
+
+      if (!product || !product.isActive) {
+        throw new NotFoundError('Product', productId);
+      }
+
+      // The size guard and the insert happen in one atomic update
+      const result = await User.updateOne(
+        {
+          _id: userId,
+          $or: [
+            { wishlist: productId },
+            { [`wishlist.${MAX_WISHLIST_ITEMS - 1}`]: { $exists: false } }
+          ]
+        },
+        { $addToSet: { wishlist: productId } }
+      );
+
+      if (result.matchedCount === 0) {
+        const exists = await User.exists({ _id: userId });
+
+        if (!exists) {
+          throw new NotFoundError('User', userId);
+        }
+
+        throw new ValidationError(`Wishlist cannot contain more than ${MAX_WISHLIST_ITEMS} items`);
+      }
+
+      logger.info('Product added to wishlist', { userId, productId });
+
+      return this.getWishlist(userId);
+    } catch (error) {
+      logger.error('Failed to add product to wishlist', { userId, productId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a product from the wishlist
+   * @param {string} userId - User ID
+   * @param {string} productId - Product ID
+   * @returns {Promise<Array>} Updated wishlist
+   */
+  async removeItem(userId, productId) {
+    try {
+      const result = await User.updateOne(
+        { _id: userId, wishlist: productId },
+        { $pull: { wishlist: productId } }
+      );
+
+      if (result.matchedCount === 0) {
+        throw new NotFoundError('Wishlist item', productId);
+      }
+
+      logger.info('Product removed from wishlist', { userId, productId });
+
+      return this.getWishlist(userId);
+    } catch (error) {
+      logger.error('Failed to remove product from wishlist', { userId, productId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Move a wishlisted product into the user's cart
+   * The item only leaves the wishlist once the cart accepted it
+   * @param {string} userId - User ID
+   * @param {string} productId - Product ID
+   * @param {number} quantity - Quantity to add to the cart
+   * @returns {Promise<Object>} { cart, wishlist }
+   */
+  async moveToCart(userId, productId, quantity = 1) {
+    try {
+      const onWishlist = await User.exists({ _id: userId, wishlist: productId });
+
+      if (!onWishlist) {
+        throw new NotFoundError('Wishlist item', productId);
+      }
+
+      const cart = await this.cartService.addItem(userId, null, productId, quantity);
+
+      await User.updateOne({ _id: userId }, { $pull: { wishlist: productId } });
+
+      logger.info('Wishlist item moved to cart', { userId, productId, quantity });
+
+      return {
+        cart,
+        wishlist: await this.getWishlist(userId)
+      };
+    } catch (error) {
+      logger.error('Failed to move wishlist item to cart', { userId, productId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Notify wishlist watchers about a product change
+   * Called after price or stock updates. Failures are logged and never
+   * propagate, so a notification problem cannot fail the product update.
+   * @param {Object} previous - { price, inStock } before the change
+   * @param {Object} product - Product document after the change
+   * @returns {Promise<number>} Number of notifications queued
+   */
+  async notifyProductChange(previous, product) {
+    try {
+      if (!config.features.enableWishlist || !product || !product.isActive) {
+        return 0;
+      }
+
+      const priceDropped = previous.price !== undefined && product.price < previous.price;
+      const backInStock = previous.inStock === false && product.isInStock();
+
+      if (!priceDropped && !backInStock) {
+        return 0;
+      }
+
+      const watchers = User.find({ wishlist: product._id, isActive: true })
+        .select('email firstName')
+        .lean()
+        .cursor();
+
+      let queued = 0;
+
+      for await (const user of watchers) {
+        const data = {
+          customerName: user.firstName,
+          productName: product.name,
+          productSlug: product.slug
+        };
+
+        if (backInStock) {
+          await emailService.sendWishlistBackInStock(user.email, { ...data, price: product.price });
+        } else {
+          await emailService.sendWishlistPriceDrop(user.email, {
+            ...data,
+            previousPrice: previous.price,
+            newPrice: product.price
+          });
+        }
+
+        queued += 1;
+      }
+
+      logger.info('Wishlist notifications queued', {
+        productId: product._id,
+        type: backInStock ? 'back_in_stock' : 'price_drop',
+        queued
+      });
+
+      return queued;
+    } catch (error) {
+      logger.error('Failed to send wishlist notifications', {
+        productId: product ? product._id : null,
+        error: error.message
+      });
+      return 0;
+    }
+  }
+}
+
+module.exports = new WishlistService();
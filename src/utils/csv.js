@@ -0,0 +1,162 @@
+// File: src/utils/csv.js
+// Generated: 2025-10-16 17:05:12 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_r8fa3kw6tb2a
+
+
+/**
+ * CSV helpers
+ * Output follows RFC 4180: comma separated, CRLF line endings, fields quoted
+ * when they contain a comma, quote or line break. The parser accepts the same
+ * format with CRLF or LF line endings and an optional byte order mark.
+ *
+ * @module utils/csv
+ */
+
+
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Format one CSV field
+ * Text starting like a spreadsheet formula is prefixed with a quote so that
+ * exported data cannot run formulas when opened in Excel or Sheets.
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+
+
+const formatField = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (typeof value === 'string' && FORMULA_PREFIXES.includes(text.charAt(0))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize rows to CSV
+ * @param {Array<Object>} rows - Rows to write
+ * @param {Array<string|Object>} columns - Keys, or { key, header } pairs, in column order
+ * @returns {string} CSV text with a header line
+ */
+
+
+const toCsv = (rows, columns) => {
+  const normalized = columns.map(column => (
+    typeof column === 'string' ? { key: column, header: column } : column
+  ));
+
+  const lines = [normalized.map(column => formatField(column.header)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(normalized.map(column => formatField(row[column.key])).join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Split CSV text into records of raw field values
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Records, blank lines skipped
+ * @throws {Error} If a quoted field is never closed
+ */
+
+
+const parseRecords = (text) => {
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== '') {
+      records.push(record);
+    }
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+/**
+ * Parse CSV text with a header line into objects
+ * Undoes the formula guard added by formatField, so exported files import unchanged.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data line, keyed by the trimmed header names
+ * @throws {Error} If the text is malformed
+ */
+
+
+const parseCsv = (text) => {
+  const [header, ...records] = parseRecords(text);
+
+  if (!header) {
+    return [];
+  }
+
+  const keys = header.map(key => key.trim());
+
+  return records.map(values => keys.reduce((row, key, index) => {
+    const value = values[index];
+
+    if (key && value !== undefined) {
+      row[key] = value.startsWith("'") && FORMULA_PREFIXES.includes(value.charAt(1)) ? value.slice(1) : value;
+    }
+    return row;
+  }, {}));
+};
+
+module.exports = {
+  formatField,
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,90 @@
+// File: src/utils/currency.js
+// Generated: 2025-10-16 15:31:07 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_k2vn7qd4mc8a
+
+
+/**
+ * Currency amount helpers
+ * Minor units follow ISO 4217 as used by Stripe: most currencies have two
+ * decimals, zero-decimal currencies (JPY, KRW, ...) have none and a few
+ * (KWD, BHD, ...) have three.
+ *
+ * @module utils/currency
+ */
+
+
+const ZERO_DECIMAL_CURRENCIES = [
+  'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+  'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'
+];
+
+
+const THREE_DECIMAL_CURRENCIES = ['BHD', 'JOD', 'KWD', 'OMR', 'TND'];
+
+/**
+ * Number of decimals a currency is charged in
+ * @param {string} currency - ISO 4217 code (any case)
+ * @returns {number} 0, 2 or 3
+ */
+
+
+const getCurrencyDecimals = (currency) => {
+  const code = String(currency || '').toUpperCase();
+
+  if (ZERO_DECIMAL_CURRENCIES.includes(code)) {
+    return 0;
+  }
+
+  return THREE_DECIMAL_CURRENCIES.includes(code) ? 3 : 2;
+};
+
+/**
+ * Round an amount to the precision of its currency
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} Rounded amount
+ */
+
+
+const roundAmount = (amount, currency) => {
+  const factor = 10 ** getCurrencyDecimals(currency);
+  return Math.round(amount * factor) / factor;
+};
+
+/**
+ * Convert an amount to the smallest currency unit (cents, yen, fils, ...)
+ * @param {number} amount - Amount in major units
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} Integer amount in minor units
+ */
+
+
+const toMinorUnits = (amount, currency) => {
+  const decimals = getCurrencyDecimals(currency);
+  const units = Math.round(amount * 10 ** decimals);
+
+  // Stripe only accepts three-decimal amounts that are a multiple of 10
+  return decimals === 3 ? Math.round(units / 10) * 10 : units;
+};
+
+/**
+ * Convert an amount in minor units back to major units
+ * @param {number} amount - Integer amount in minor units
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} Amount in major units
+ */
+
+
+const fromMinorUnits = (amount, currency) => {
+  return amount / 10 ** getCurrencyDecimals(currency);
+};
+
+module.exports = {
+  ZERO_DECIMAL_CURRENCIES,
+  THREE_DECIMAL_CURRENCIES,
+  getCurrencyDecimals,
+  roundAmount,
+  toMinorUnits,
+  fromMinorUnits
+};
@@ -6,7 +6,8 @@
 
 const logger = require('./logger');
 
-* Provides reusable HTML email templates for various e-commerce transactional emails
+/**
+ * Provides reusable HTML email templates for various e-commerce transactional emails
  */
 
 /**
@@ -17,7 +18,9 @@ const logger = require('./logger');
 
 
 const escapeHtml = (text) => {
-  if (text === null || text === undefined) return '';
+  if (text === null || text === undefined) {
+    return '';
+  }
   const map = {
     '&': '&amp;',
     '<': '&lt;',
@@ -36,7 +39,9 @@ const escapeHtml = (text) => {
 
 
 const stripHtmlTags = (html) => {
-  if (!html) return '';
+  if (!html) {
+    return '';
+  }
   return html
     .replace(/<style[^>]*>.*<\/style>/gmi, '')
     .replace(/<script[^>]*>.*<\/script>/gmi, '')
@@ -45,6 +50,20 @@ const stripHtmlTags = (html) => {
     .trim();
 };
 
+/**
+ * Get email header
+ * @returns {string} HTML header
+ */
+
+
+const getEmailHeader = () => {
+  return `
+    <div class="header">
+      <h1>${process.env.APP_NAME || 'E-Commerce Store'}</h1>
+    </div>
+  `;
+};
+
 /**
  * Get email footer
  * @returns {string} HTML footer
@@ -122,31 +141,18 @@ const emailBaseTemplate = (content, subject) => {
   };
 };
 
-/**
- * Get email header
- * @returns {string} HTML header
- */
-
-
-const getEmailHeader = () => {
-  return `
-    <div class="header">
-      <h1>${process.env.APP_NAME || 'E-Commerce Store'}</h1>
-    </div>
-  `;
-};
-
 /**
  * Format currency
  * @param {number} amount - Amount to format
+ * @param {string} [currency='USD'] - ISO 4217 code
  * @returns {string} Formatted currency
  */
 
 
-const formatCurrency = (amount) => {
+const formatCurrency = (amount, currency = 'USD') => {
   return new Intl.NumberFormat('en-US', {
     style: 'currency',
-    currency: 'USD'
+    currency: currency || 'USD'
   }).format(amount);
 };
 
@@ -168,11 +174,12 @@ const formatDate = (date) => {
 /**
  * Generate items table HTML
  * @param {Array} items - Array of order items
+ * @param {string} [currency] - Currency the prices are in
  * @returns {string} HTML table
  */
 
 
-const generateItemsTable = (items) => {
+const generateItemsTable = (items, currency) => {
   if (!items || items.length === 0) {
     return '<p>No items to display.</p>';
   }
@@ -190,10 +197,10 @@ const generateItemsTable = (items) => {
         ${item.quantity}
       </td>
       <td style="padding: 12px; text-align: right;">
-        ${formatCurrency(item.price)}
+        ${formatCurrency(item.price, currency)}
       </td>
       <td style="padding: 12px; text-align: right;">
-        <strong>${formatCurrency(item.price * item.quantity)}</strong>
+        <strong>${formatCurrency(item.price * item.quantity, currency)}</strong>
       </td>
     </tr>
   `).join('');
@@ -222,29 +229,30 @@ const generateItemsTable = (items) => {
  * @param {number} tax - Tax amount
  * @param {number} shipping - Shipping amount
  * @param {number} total - Total amount
+ * @param {string} [currency] - Currency the amounts are in
  * @returns {string} HTML pricing summary
  */
 
 
-const generatePricingSummary = (subtotal, tax, shipping, total) => {
+const generatePricingSummary = (subtotal, tax, shipping, total, currency) => {
   return `
     <table class="table">
       <tbody>
         <tr class="price-row">
           <td style="padding: 12px; text-align: right;">Subtotal:</td>
-          <td style="padding: 12px; text-align: right;">${formatCurrency(subtotal)}</td>
+          <td style="padding: 12px; text-align: right;">${formatCurrency(subtotal, currency)}</td>
         </tr>
         <tr class="price-row">
           <td style="padding: 12px; text-align: right;">Tax:</td>
-          <td style="padding: 12px; text-align: right;">${formatCurrency(tax)}</td>
+          <td style="padding: 12px; text-align: right;">${formatCurrency(tax, currency)}</td>
         </tr>
         <tr class="price-row">
           <td style="padding: 12px; text-align: right;">Shipping:</td>
-          <td style="padding: 12px; text-align: right;">${formatCurrency(shipping)}</td>
+          <td style="padding: 12px; text-align: right;">${formatCurrency(shipping, currency)}</td>
         </tr>
         <tr class="total-row">
           <td style="padding: 12px; text-align: right;">Total:</td>
-          <td style="padding: 12px; text-align: right;">${formatCurrency(total)}</td>
+          <td style="padding: 12px; text-align: right;">${formatCurrency(total, currency)}</td>
         </tr>
       </tbody>
     </table>
@@ -301,7 +309,9 @@ const generateOrderConfirmationEmail = (orderData) => {
       total,
       shippingAddress,
       estimatedDelivery,
-      paymentMethod
+      paymentMethod,
+      orderUrl,
+      currency
     } = orderData;
 
     const content = `
@@ -310,9 +320,9 @@ const generateOrderConfirmationEmail = (orderData) => {
       <p>Thank you for your order! Your order <strong>#${escapeHtml(orderNumber)}</strong> has been confirmed and is being processed.</p>
 
       <h3>Order Details</h3>
-      ${generateItemsTable(items)}
+      ${generateItemsTable(items, currency)}
 
-      ${generatePricingSummary(subtotal, tax, shipping, total)}
+      ${generatePricingSummary(subtotal, tax, shipping, total, currency)}
 
       <h3>Shipping Information</h3>
       ${generateShippingInfo(shippingAddress, estimatedDelivery)}
@@ -321,7 +331,7 @@ const generateOrderConfirmationEmail = (orderData) => {
       ${generatePaymentInfo(paymentMethod)}
 
       <div style="text-align: center; margin-top: 30px;">
-        <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/orders/${orderNumber}" class="button">
+        <a href="${escapeHtml(orderUrl || `${process.env.FRONTEND_URL || 'http://localhost:3000'}/orders/${orderNumber}`)}" class="button">
           Track Your Order
         </a>
       </div>
@@ -737,6 +747,284 @@ const generateAccountVerificationEmail = (verificationData) => {
   }
 };
 
+/**
+ * Generate wishlist price drop email
+ * @param {Object} priceDropData - Product and price details
+ * @returns {Object} Email template
+ */
+
+
+const generateWishlistPriceDropEmail = (priceDropData) => {
+  try {
+    const {
+      customerName,
+      productName,
+      productSlug,
+      previousPrice,
+      newPrice
+    } = priceDropData;
+
+    const content = `
+      <h2>A Wishlist Item Just Got Cheaper</h2>
+      <p>Hi ${escapeHtml(customerName)},</p>
+      <p>Good news! <strong>${escapeHtml(productName)}</strong> from your wishlist has dropped in price.</p>
+
+      <div style="background-color: #d4edda; padding: 20px; border-radius: 4px; border-left: 4px solid #28a745; margin: 20px 0; text-align: center;">
+        <p style="margin: 0; color: #666; text-decoration: line-through;">${formatCurrency(previousPrice)}</p>
+        <p style="margin: 5px 0 0; font-size: 24px;"><strong>${formatCurrency(newPrice)}</strong></p>
+      </div>
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/products/${escapeHtml(productSlug)}" class="button">
+          View Product
+        </a>
+      </div>
+
+      <p style="color: #666; font-size: 12px;">
+        You are receiving this email because this product is on your wishlist. Remove it from your wishlist to stop these alerts.
+      </p>
+    `;
+
+    return emailBaseTemplate(content, `Price Drop - ${productName}`);
+  } catch (error) {
+    logger.error('Error generating wishlist price drop email', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Generate wishlist back in stock email
+ * @param {Object} stockData - Product details
+ * @returns {Object} Email template
+ */
+
+
+const generateWishlistBackInStockEmail = (stockData) => {
+  try {
+    const {
+      customerName,
+      productName,
+      productSlug,
+      price
+    } = stockData;
+
+    const content = `
+      <h2>Back in Stock!</h2>
+      <p>Hi ${escapeHtml(customerName)},</p>
+      <p><strong>${escapeHtml(productName)}</strong> from your wishlist is available again${price !== undefined ? ` at ${formatCurrency(price)}` : ''}.</p>
+      <p>Popular items sell out quickly, so don't wait too long.</p>
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/products/${escapeHtml(productSlug)}" class="button">
+          Shop Now
+        </a>
+      </div>
+
+      <p style="color: #666; font-size: 12px;">
+        You are receiving this email because this product is on your wishlist. Remove it from your wishlist to stop these alerts.
+      </p>
+    `;
+
+    return emailBaseTemplate(content, `Back in Stock - ${productName}`);
+  } catch (error) {
+    logger.error('Error generating wishlist back in stock email', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Generate low stock digest email for admins
+ * @param {Object} digestData - Low stock items and recipient name
+ * @returns {Object} Email template
+ */
+
+
+const generateLowStockDigestEmail = (digestData) => {
+  try {
+    const {
+      recipientName,
+      items,
+      generatedAt
+    } = digestData;
+
+    const rows = items.map(item => `
+      <tr>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(item.name)}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee;">${escapeHtml(item.sku || '-')}</td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right; color: ${item.currentStock > 0 ? '#856404' : '#dc3545'};">
+          <strong>${item.currentStock}</strong>
+        </td>
+        <td style="padding: 8px; border-bottom: 1px solid #eee; text-align: right;">${item.threshold}</td>
+      </tr>
+    `).join('');
+
+    const content = `
+      <h2>Low Stock Alert</h2>
+      <p>Hi ${escapeHtml(recipientName)},</p>
+      <p>The following ${items.length === 1 ? 'item has' : `${items.length} items have`} reached the low-stock threshold as of ${formatDate(generatedAt)}.</p>
+
+      <table style="width: 100%; border-collapse: collapse; margin: 20px 0;">
+        <thead>
+          <tr style="background-color: #f8f9fa;">
+            <th style="padding: 8px; text-align: left;">Product</th>
+            <th style="padding: 8px; text-align: left;">SKU</th>
+            <th style="padding: 8px; text-align: right;">In Stock</th>
+            <th style="padding: 8px; text-align: right;">Threshold</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows}
+        </tbody>
+      </table>
+
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/admin/inventory/alerts" class="button">
+          Review Inventory
+        </a>
+      </div>
+
+      <p style="color: #666; font-size: 12px;">
+        Each item is reported once per drop below its threshold. You will not be emailed about it again until it has been restocked and runs low once more.
+      </p>
+    `;
+
+    return emailBaseTemplate(content, 'Low Stock Alert');
+  } catch (error) {
+    logger.error('Error generating low stock digest email', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Generate guest order lookup email
+ * @param {Object} lookupData - Order number, guest name and signed lookup link
+ * @returns {Object} Email template
+ */
+
+
+const generateGuestOrderLinkEmail = (lookupData) => {
+  try {
+    const { orderNumber, customerName, orderUrl, status } = lookupData;
+
+    const content = `
+      <h2>View Your Order</h2>
+      <p>Hi ${escapeHtml(customerName || 'there')},</p>
+      <p>Here is the link to check order <strong>#${escapeHtml(orderNumber)}</strong>${status ? `, which is currently <strong>${escapeHtml(status)}</strong>` : ''}.</p>
+
+      <div style="text-align: center; margin-top: 30px;">
+        <a href="${escapeHtml(orderUrl)}" class="button">
+          View Order
+        </a>
+      </div>
+
+      <p style="margin-top: 30px; color: #666;">
+        The link is personal to your email address, so please don't share it.
+        From the same page you can create an account to keep all your orders in one place.
+      </p>
+    `;
+
+    return emailBaseTemplate(content, `Your Order #${orderNumber}`);
+  } catch (error) {
+    logger.error('Error generating guest order link email', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Generate abandoned cart reminder email
+ * @param {Object} reminderData - Cart items, restore link and optional promo code
+ * @returns {Object} Email template
+ */
+
+
+const generateAbandonedCartEmail = (reminderData) => {
+  try {
+    const {
+      customerName,
+      items,
+      cartTotal,
+      restoreUrl,
+      reminderNumber,
+      promoCode,
+      promoPercent,
+      promoExpiresAt
+    } = reminderData;
+
+    const heading = reminderNumber > 1 ? 'Your Cart Is Still Waiting' : 'You Left Something Behind';
+
+    const content = `
+      <h2>${heading}</h2>
+      <p>Hi ${escapeHtml(customerName || 'there')},</p>
+      <p>The items below are still in your cart. Pick up where you left off before they sell out.</p>
+
+      ${generateItemsTable(items)}
+
+      <p style="text-align: right;"><strong>Cart Total:</strong> ${formatCurrency(cartTotal)}</p>
+
+      ${promoCode ? `
+        <div style="background-color: #fff3cd; padding: 20px; border-radius: 4px; border-left: 4px solid #ffc107; margin: 20px 0; text-align: center;">
+          <p style="margin-top: 0;">Here is <strong>${escapeHtml(String(promoPercent))}% off</strong> to help you decide:</p>
+          <p style="font-size: 24px; letter-spacing: 2px; margin: 10px 0;"><strong>${escapeHtml(promoCode)}</strong></p>
+          ${promoExpiresAt ? `<p style="margin-bottom: 0; color: #666;">Valid until ${formatDate(promoExpiresAt)}. It is applied automatically when you return to your cart.</p>` : ''}
+        </div>
+      ` : ''}
+
+      <div style="text-align: center; margin-top: 30px;">
+        <a href="${escapeHtml(restoreUrl)}" class="button">
+          Return to Cart
+        </a>
+      </div>
+    `;
+
+    return emailBaseTemplate(content, heading);
+  } catch (error) {
+    logger.error('Error generating abandoned cart email', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Generate seller application status email
+ * @param {Object} statusData - Store name, new status, optional reason and dashboard link
+ * @returns {Object} Email template
+ */
+
+
+const generateSellerStatusEmail = (statusData) => {
+  try {
+    const { storeName, recipientName, status, reason, dashboardUrl } = statusData;
+
+    const messages = {
+      approved: 'Your store has been approved. You can now list products and receive orders.',
+      rejected: 'Unfortunately your store application was not approved.',
+      suspended: 'Your store has been suspended. Your products are hidden and you cannot receive new orders.'
+    };
+
+    const content = `
+      <h2>Store ${escapeHtml(status.charAt(0).toUpperCase() + status.slice(1))}</h2>
+      <p>Hi ${escapeHtml(recipientName || 'there')},</p>
+      <p><strong>${escapeHtml(storeName)}</strong>: ${messages[status] || `your store status is now ${escapeHtml(status)}.`}</p>
+
+      ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+
+      ${status === 'approved' && dashboardUrl ? `
+        <div style="text-align: center; margin-top: 30px;">
+          <a href="${escapeHtml(dashboardUrl)}" class="button">
+            Open Seller Dashboard
+          </a>
+        </div>
+      ` : ''}
+
+      <p style="margin-top: 30px; color: #666;">Please sign in again for the change to apply to your account.</p>
+    `;
+
+    return emailBaseTemplate(content, `Store ${status}`);
+  } catch (error) {
+    logger.error('Error generating seller status email', { error: error.message });
+    throw error;
+  }
+};
+
 /**
  * Generate refund processed email
  * @param {Object} refundData - Refund details
@@ -754,9 +1042,21 @@ const generateRefundProcessedEmail = (refundData) => {
       refundDate,
       refundTimeline,
       refundReason,
-      items
+      items,
+      tax,
+      shipping,
+      totalRefunded,
+      paymentAmount
     } = refundData;
 
+    const itemsSubtotal = (items || []).reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+    const breakdown = [
+      items && items.length > 0 ? `<p><strong>Items:</strong> ${formatCurrency(itemsSubtotal)}</p>` : '',
+      tax ? `<p><strong>Tax:</strong> ${formatCurrency(tax)}</p>` : '',
+      shipping ? `<p><strong>Shipping:</strong> ${formatCurrency(shipping)}</p>` : ''
+    ].join('');
+
     const content = `
       <h2>Refund Processed</h2>
       <p>Hi ${escapeHtml(customerName)},</p>
@@ -764,7 +1064,9 @@ const generateRefundProcessedEmail = (refundData) => {
 
       <div style="background-color: #d4edda; padding: 20px; border-radius: 4px; border-left: 4px solid #28a745; margin: 20px 0;">
         <h3 style="margin-top: 0;">Refund Details</h3>
+        ${breakdown}
         <p><strong>Refund Amount:</strong> ${formatCurrency(refundAmount)}</p>
+        ${totalRefunded && paymentAmount ? `<p><strong>Refunded to Date:</strong> ${formatCurrency(totalRefunded)} of ${formatCurrency(paymentAmount)}</p>` : ''}
         <p><strong>Refund Method:</strong> ${escapeHtml(refundMethod)}</p>
         <p><strong>Processed Date:</strong> ${formatDate(refundDate)}</p>
         <p><strong>Expected in Account:</strong> ${escapeHtml(refundTimeline || '5-10 business days')}</p>
@@ -783,4 +1085,33 @@ const generateRefundProcessedEmail = (refundData) => {
       </div>
 
       <div style="text-align: center; margin-top: 30px;">
-        <a href="${process
+        <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/orders" class="button">
+          View Order
+        </a>
+      </div>
+    `;
+
+    return emailBaseTemplate(content, `Refund Processed - Order #${orderNumber}`);
+  } catch (error) {
+    logger.error('Error generating refund processed email', { error: error.message });
+    throw error;
+  }
+};
+
+module.exports = {
+  orderConfirmation: generateOrderConfirmationEmail,
+  orderShipped: generateOrderShippedEmail,
+  orderDelivered: generateOrderDeliveredEmail,
+  orderCancelled: generateOrderCancelledEmail,
+  paymentFailed: generatePaymentFailedEmail,
+  passwordReset: generatePasswordResetEmail,
+  welcome: generateWelcomeEmail,
+  accountVerification: generateAccountVerificationEmail,
+  wishlistPriceDrop: generateWishlistPriceDropEmail,
+  wishlistBackInStock: generateWishlistBackInStockEmail,
+  lowStockDigest: generateLowStockDigestEmail,
+  refundProcessed: generateRefundProcessedEmail,
+  guestOrderLink: generateGuestOrderLinkEmail,
+  abandonedCart: generateAbandonedCartEmail,
+  sellerStatus: generateSellerStatusEmail
+};
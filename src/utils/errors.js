@@ -113,6 +113,20 @@ class AuthorizationError extends AppError {
   }
 }
 
+/**
+ * CSRF Error
+ * Used when a state-changing request lacks a valid CSRF token
+ */
+class CsrfError extends AppError {
+  /**
+   * Create a CSRF error
+   * @param {string} message - Error message
+   */
+  constructor(message = 'Invalid or missing CSRF token') {
+    super(message, 403, 'CSRF_ERROR');
+  }
+}
+
 /**
  * Product Error
  * Used for product-related business logic errors
@@ -387,6 +401,7 @@ const Errors = {
   NotFoundError,
   AuthenticationError,
   AuthorizationError,
+  CsrfError,
   ProductError,
   InsufficientStockError,
   CartError,
@@ -22,11 +22,12 @@ class Jwt {
    * @param {string} payload.email - User email
    * @param {string} payload.role - User role
    * @param {number} [payload.tokenVersion] - Token version for invalidation
+   * @param {string} [payload.sessionId] - Session (device) the token was issued to
    * @returns {string} JWT access token
    * @throws {Error} If JWT_ACCESS_SECRET is not configured
    */
   static generateAccessToken(payload) {
-    const { userId, email, role, tokenVersion } = payload;
+    const { userId, email, role, tokenVersion, sessionId } = payload;
 
     if (!config.jwt.accessSecret) {
       throw new Error('JWT_ACCESS_SECRET is not configured');
@@ -43,6 +44,10 @@ class Jwt {
       tokenPayload.tokenVersion = tokenVersion;
     }
 
+    if (sessionId) {
+      tokenPayload.sessionId = sessionId;
+    }
+
     return jwt.sign(
       tokenPayload,
       config.jwt.accessSecret,
@@ -58,11 +63,13 @@ class Jwt {
    * @param {Object} payload - User data to encode
    * @param {string} payload.userId - User ID
    * @param {number} [payload.tokenVersion] - Token version for invalidation
+   * @param {string} [payload.sessionId] - Session (token family) the token belongs to
+   * @param {string} [payload.tokenId] - Unique token ID, written as the jti claim
    * @returns {string} JWT refresh token
    * @throws {Error} If JWT_REFRESH_SECRET is not configured
    */
   static generateRefreshToken(payload) {
-    const { userId, tokenVersion } = payload;
+    const { userId, tokenVersion, sessionId, tokenId } = payload;
 
     if (!config.jwt.refreshSecret) {
       throw new Error('JWT_REFRESH_SECRET is not configured');
@@ -77,12 +84,17 @@ class Jwt {
       tokenPayload.tokenVersion = tokenVersion;
     }
 
+    if (sessionId) {
+      tokenPayload.sessionId = sessionId;
+    }
+
     return jwt.sign(
       tokenPayload,
       config.jwt.refreshSecret,
       {
         expiresIn: config.jwt.refreshExpiry || '7d',
-        algorithm: 'HS256'
+        algorithm: 'HS256',
+        ...(tokenId && { jwtid: tokenId })
       }
     );
   }
@@ -0,0 +1,411 @@
+// File: src/utils/oauthProviders.js
+// Generated: 2025-10-16 19:24:38 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_w6zq3rk8vd2a
+
+
+const crypto = require('crypto');
+
+
+const jwt = require('jsonwebtoken');
+
+const { AuthenticationError } = require('./errors');
+
+/**
+ * OAuth 2.0 / OpenID Connect providers for social login
+ * Each provider builds the authorization URL and turns the code sent back to
+ * the redirect URI into a profile: { subject, email, emailVerified, firstName,
+ * lastName, avatar }. All flows use PKCE (S256).
+ *
+ * @module utils/oauthProviders
+ */
+
+
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+
+/**
+ * Signature algorithms accepted on ID tokens (never "none" or HMAC)
+ */
+
+
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+/**
+ * Generate a PKCE code verifier and its S256 challenge (RFC 7636)
+ * @returns {Object} { codeVerifier, codeChallenge }
+ */
+
+
+const generatePkce = () => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  return { codeVerifier, codeChallenge };
+};
+
+/**
+ * Call a provider endpoint and parse its JSON answer
+ * OAuth errors can come back with status 200 (GitHub), so an "error" field fails too.
+ * @param {string} url - Endpoint URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} If the request fails or the provider returns an error
+ */
+
+
+const requestJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers }
+  });
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok || !body || body.error) {
+    const reason = body && (body.error_description || body.error);
+    throw new Error(`${options.method || 'GET'} ${url} failed: ${reason || `HTTP ${response.status}`}`);
+  }
+
+  return body;
+};
+
+/**
+ * Plain OAuth 2.0 provider with fixed endpoints
+ * Subclasses implement fetchProfile().
+ */
+class OAuthProvider {
+  /**
+   * @param {Object} options - Provider settings
+   * @param {string} options.name - Key used in URLs, e.g. "github"
+   * @param {string} options.label - Name shown to users
+   * @param {string} options.clientId - OAuth client ID
+   * @param {string} [options.clientSecret] - OAuth client secret
+   * @param {string} options.scope - Space-separated scopes
+   * @param {string} [options.authorizationEndpoint] - Authorization endpoint URL
+   * @param {string} [options.tokenEndpoint] - Token endpoint URL
+   */
+  constructor(options) {
+    this.name = options.name;
+    this.label = options.label;
+    this.clientId = options.clientId;
+    this.clientSecret = options.clientSecret;
+    this.scope = options.scope;
+    this.authorizationEndpoint = options.authorizationEndpoint;
+    this.tokenEndpoint = options.tokenEndpoint;
+  }
+
+  /**
+   * Endpoints of the provider
+   * @returns {Object|Promise<Object>} { authorizationEndpoint, tokenEndpoint }
+   */
+  getEndpoints() {
+    return {
+      authorizationEndpoint: this.authorizationEndpoint,
+      tokenEndpoint: this.tokenEndpoint
+    };
+  }
+
+  /**
+   * URL to send the user to
+   * @param {Object} params - { state, codeChallenge, redirectUri }
+   * @returns {Promise<string>} Authorization URL
+   */
+  async getAuthorizationUrl({ state, codeChallenge, redirectUri }) {
+    const { authorizationEndpoint } = await this.getEndpoints();
+    const url = new URL(authorizationEndpoint);
+
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: redirectUri,
+      scope: this.scope,
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).toString();
+
+    return url.toString();
+  }
+
+  /**
+   * Exchange the authorization code for tokens
+   * @param {Object} params - { code, codeVerifier, redirectUri }
+   * @returns {Promise<Object>} Token response
+   * @throws {AuthenticationError} If the provider rejects the code
+   */
+  async exchangeCode({ code, codeVerifier, redirectUri }) {
+    const { tokenEndpoint } = await this.getEndpoints();
+    const form = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: this.clientId,
+      code_verifier: codeVerifier
+    });
+
+    if (this.clientSecret) {
+      form.set('client_secret', this.clientSecret);
+    }
+
+    try {
+      return await requestJson(tokenEndpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: form.toString()
+      });
+    } catch (error) {
+      throw new AuthenticationError(`${this.label} sign-in failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Exchange the code and read the user's profile
+   * @param {Object} params - { code, codeVerifier, nonce, redirectUri }
+   * @returns {Promise<Object>} Profile
+   */
+  fetchProfile() {
+    throw new Error(`${this.constructor.name} must implement fetchProfile()`);
+  }
+}
+
+/**
+ * OpenID Connect provider configured from its discovery document
+ * ID tokens are checked against the provider's published keys, the client ID
+ * (audience), the issuer and the nonce of the sign-in.
+ */
+class OidcProvider extends OAuthProvider {
+  /**
+   * @param {Object} options - OAuthProvider options plus:
+   * @param {string} options.issuer - Issuer URL serving /.well-known/openid-configuration
+   * @param {string[]} [options.acceptedIssuers] - "iss" values to accept (defaults to the issuer)
+   */
+  constructor(options) {
+    super({ ...options, scope: options.scope || 'openid email profile' });
+    this.issuer = options.issuer.replace(/\/$/, '');
+    this.acceptedIssuers = options.acceptedIssuers || [this.issuer];
+    this.discovery = null;
+    this.discoveredAt = 0;
+    this.signingKeys = new Map();
+  }
+
+  /**
+   * Fetch the discovery document, cached for an hour
+   * @returns {Promise<Object>} Discovery document
+   */
+  async getDiscovery() {
+    if (this.discovery && Date.now() - this.discoveredAt < DISCOVERY_CACHE_MS) {
+      return this.discovery;
+    }
+
+    const discovery = await requestJson(`${this.issuer}/.well-known/openid-configuration`);
+
+    if (!this.acceptedIssuers.includes(discovery.issuer)) {
+      throw new Error(`Discovery document issuer ${discovery.issuer} does not match ${this.issuer}`);
+    }
+
+    this.discovery = discovery;
+    this.discoveredAt = Date.now();
+
+    return discovery;
+  }
+
+  async getEndpoints() {
+    const discovery = await this.getDiscovery();
+
+    return {
+      authorizationEndpoint: discovery.authorization_endpoint,
+      tokenEndpoint: discovery.token_endpoint
+    };
+  }
+
+  async getAuthorizationUrl(params) {
+    const url = new URL(await super.getAuthorizationUrl(params));
+    url.searchParams.set('nonce', params.nonce);
+
+    return url.toString();
+  }
+
+  async fetchProfile({ code, codeVerifier, nonce, redirectUri }) {
+    const tokens = await this.exchangeCode({ code, codeVerifier, redirectUri });
+
+    if (!tokens.id_token) {
+      throw new AuthenticationError(`${this.label} sign-in failed: no ID token returned`);
+    }
+
+    let claims = await this.verifyIdToken(tokens.id_token, nonce);
+
+    // Some providers only put the email in the userinfo response
+    const discovery = await this.getDiscovery();
+    if (!claims.email && discovery.userinfo_endpoint && tokens.access_token) {
+      const userinfo = await requestJson(discovery.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+      });
+
+      if (userinfo.sub === claims.sub) {
+        claims = { ...userinfo, ...claims, email: userinfo.email, email_verified: userinfo.email_verified };
+      }
+    }
+
+    return {
+      subject: claims.sub,
+      email: claims.email,
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      firstName: claims.given_name,
+      lastName: claims.family_name,
+      avatar: claims.picture
+    };
+  }
+
+  /**
+   * Verify an ID token and return its claims
+   * @param {string} idToken - ID token from the token endpoint
+   * @param {string} nonce - Nonce sent with the authorization request
+   * @returns {Promise<Object>} Claims
+   * @throws {AuthenticationError} If the token is invalid
+   */
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+
+    if (!decoded) {
+      throw new AuthenticationError('Invalid ID token');
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+    let claims;
+
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        audience: this.clientId,
+        issuer: this.acceptedIssuers,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS
+      });
+    } catch (error) {
+      throw new AuthenticationError(`Invalid ID token: ${error.message}`);
+    }
+
+    if (!claims.sub || claims.nonce !== nonce) {
+      throw new AuthenticationError('Invalid ID token: nonce mismatch');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Public key for a key ID, reloading the key set once for unknown IDs (key rotation)
+   * @param {string} [kid] - Key ID from the token header
+   * @returns {Promise<KeyObject>} Public key
+   */
+  async getSigningKey(kid) {
+    if (!this.signingKeys.has(kid)) {
+      const { jwks_uri: jwksUri } = await this.getDiscovery();
+      const { keys = [] } = await requestJson(jwksUri);
+
+      this.signingKeys = new Map(
+        keys
+          .filter(jwk => jwk.use !== 'enc')
+          .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+      );
+    }
+
+    const key = this.signingKeys.get(kid);
+
+    if (!key) {
+      throw new AuthenticationError('Invalid ID token: unknown signing key');
+    }
+
+    return key;
+  }
+}
+
+/**
+ * GitHub, which offers plain OAuth 2.0 (no ID token)
+ * The email comes from /user/emails, where GitHub says whether it is verified.
+ */
+class GitHubProvider extends OAuthProvider {
+  /**
+   * @param {Object} options - OAuthProvider options plus optional apiUrl (GitHub Enterprise)
+   */
+  constructor(options) {
+    super({
+      name: 'github',
+      label: 'GitHub',
+      scope: 'read:user user:email',
+      authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+      tokenEndpoint: 'https://github.com/login/oauth/access_token',
+      ...options
+    });
+    this.apiUrl = options.apiUrl || 'https://api.github.com';
+  }
+
+  async fetchProfile({ code, codeVerifier, redirectUri }) {
+    const { access_token: accessToken } = await this.exchangeCode({ code, codeVerifier, redirectUri });
+    const headers = {
+      Authorization: `Bearer ${accessToken}`,
+      'User-Agent': 'ecommerce-backend'
+    };
+
+    const [account, emails] = await Promise.all([
+      requestJson(`${this.apiUrl}/user`, { headers }),
+      requestJson(`${this.apiUrl}/user/emails`, { headers })
+    ]);
+
+    const primary = emails.find(entry => entry.primary) || emails.find(entry => entry.verified);
+    const [firstName, ...lastNames] = (account.name || account.login).trim().split(/\s+/);
+
+    return {
+      subject: String(account.id),
+      email: primary ? primary.email : undefined,
+      emailVerified: Boolean(primary && primary.verified),
+      firstName,
+      lastName: lastNames.join(' '),
+      avatar: account.avatar_url
+    };
+  }
+}
+
+/**
+ * Build the providers that have a client ID configured
+ * @param {Object} providersConfig - config.oauth.providers
+ * @returns {Object} Providers keyed by name
+ */
+
+
+const createProviders = (providersConfig = {}) => {
+  const { google, github, oidc } = providersConfig;
+  const providers = {};
+
+  if (google && google.clientId) {
+    providers.google = new OidcProvider({
+      ...google,
+      name: 'google',
+      label: 'Google',
+      issuer: 'https://accounts.google.com',
+      acceptedIssuers: ['https://accounts.google.com', 'accounts.google.com']
+    });
+  }
+
+  if (github && github.clientId) {
+    providers.github = new GitHubProvider(github);
+  }
+
+  if (oidc && oidc.clientId && oidc.issuer) {
+    providers.oidc = new OidcProvider({
+      ...oidc,
+      name: 'oidc',
+      label: oidc.label || 'Single sign-on'
+    });
+  }
+
+  return providers;
+};
+
+module.exports = {
+  OAuthProvider,
+  OidcProvider,
+  GitHubProvider,
+  createProviders,
+  generatePkce
+};
@@ -0,0 +1,100 @@
+// File: src/utils/orderLookupToken.js
+// Generated: 2025-10-16 14:24:18 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_g7kd2vp4rx9a
+
+
+const config = require('../config/environment');
+
+
+const crypto = require('crypto');
+
+/**
+ * Signed order-lookup tokens for guest orders
+ * A token binds an order number to the guest's email and an expiry, so a link
+ * built from it lets the guest view the order without an account.
+ *
+ * Format: <expiresAt ms>.<hex HMAC-SHA256 of "orderNumber:email:expiresAt">
+ *
+ * @module utils/orderLookupToken
+ */
+
+/**
+ * Compute the signature of a lookup token
+ * @param {string} orderNumber - Order number
+ * @param {string} email - Guest email
+ * @param {number} expiresAt - Expiry timestamp in milliseconds
+ * @returns {string} Hex signature
+ */
+
+
+const sign = (orderNumber, email, expiresAt) => {
+  return crypto
+    .createHmac('sha256', config.guestCheckout.lookupSecret)
+    .update(`${orderNumber}:${email.trim().toLowerCase()}:${expiresAt}`)
+    .digest('hex');
+};
+
+/**
+ * Create a lookup token for a guest order
+ * @param {string} orderNumber - Order number
+ * @param {string} email - Guest email
+ * @param {number} [ttl] - Validity in milliseconds
+ * @returns {string} Token
+ */
+
+
+const createLookupToken = (orderNumber, email, ttl = config.guestCheckout.lookupLinkTtl) => {
+  const expiresAt = Date.now() + ttl;
+  return `${expiresAt}.${sign(orderNumber, email, expiresAt)}`;
+};
+
+/**
+ * Check a lookup token against an order number and email
+ * @param {string} orderNumber - Order number
+ * @param {string} email - Guest email
+ * @param {string} token - Token from the lookup link
+ * @returns {boolean} True when the token is authentic and not expired
+ */
+
+
+const verifyLookupToken = (orderNumber, email, token) => {
+  if (typeof token !== 'string' || !email) {
+    return false;
+  }
+
+  const [expiresAtRaw, signature] = token.split('.');
+  const expiresAt = parseInt(expiresAtRaw, 10);
+
+  if (!signature || !Number.isFinite(expiresAt) || expiresAt < Date.now()) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(orderNumber, email, expiresAt), 'hex');
+  const received = Buffer.from(signature, 'hex');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Build the storefront link a guest opens to view their order
+ * @param {string} orderNumber - Order number
+ * @param {string} email - Guest email
+ * @returns {string} Lookup URL
+ */
+
+
+const buildLookupUrl = (orderNumber, email) => {
+  const params = new URLSearchParams({
+    email: email.trim().toLowerCase(),
+    token: createLookupToken(orderNumber, email)
+  });
+
+  return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/orders/guest/${encodeURIComponent(orderNumber)}?${params}`;
+};
+
+module.exports = {
+  createLookupToken,
+  verifyLookupToken,
+  buildLookupUrl
+};
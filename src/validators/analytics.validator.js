@@ -0,0 +1,95 @@
+// File: src/validators/analytics.validator.js
+// Generated: 2025-10-16 17:12:06 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_r8fa3kw6tb2c
+
+
+const { query } = require('express-validator');
+
+const { handleValidationErrors } = require('./cart.validator');
+
+/**
+ * Rules shared by every report: date range, seller filter and output format
+ */
+
+
+const reportRules = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date')
+    .toDate(),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date')
+    .toDate(),
+
+  query('seller')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid seller ID format'),
+
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv')
+];
+
+
+const limitRule = query('limit')
+  .optional()
+  .isInt({ min: 1, max: 100 })
+  .withMessage('Limit must be between 1 and 100')
+  .toInt();
+
+/**
+ * Validation rules for reports that only take the shared filters
+ */
+
+
+const validateReport = [
+  ...reportRules,
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for GET /analytics/sales
+ */
+
+
+const validateSalesReport = [
+  ...reportRules,
+
+  query('interval')
+    .optional()
+    .isIn(['day', 'week', 'month'])
+    .withMessage('Interval must be one of: day, week, month'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for ranked product and category reports
+ */
+
+
+const validateRankingReport = [
+  ...reportRules,
+  limitRule,
+
+  query('sortBy')
+    .optional()
+    .isIn(['revenue', 'units'])
+    .withMessage('Sort by must be revenue or units'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateReport,
+  validateSalesReport,
+  validateRankingReport,
+  handleValidationErrors
+};
@@ -6,7 +6,7 @@
 
 const logger = require('../utils/logger');
 
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 
 /**
  * Format validation errors into consistent structure
@@ -227,7 +227,7 @@ const changePasswordValidation = [
 
 
 const verifyEmailValidation = [
-  body('token')
+  param('token')
     .notEmpty().withMessage('Verification token is required')
     .isLength({ min: 20, max: 500 }).withMessage('Invalid token format')
     .trim()
@@ -274,6 +274,135 @@ const logoutValidation = [
     .trim()
 ];
 
+/**
+ * Session validation rules
+ * Validates the session ID of DELETE /auth/sessions/:sessionId
+ */
+
+
+const sessionIdValidation = [
+  param('sessionId')
+    .isMongoId().withMessage('Invalid session ID format')
+];
+
+/**
+ * OAuth provider validation rules
+ * Validates the provider name of GET /auth/oauth/:provider
+ */
+
+
+const oauthProviderValidation = [
+  param('provider')
+    .matches(/^[a-z0-9-]{1,30}$/).withMessage('Invalid provider')
+];
+
+/**
+ * OAuth callback validation rules
+ * Validates the state and code the provider sent to the redirect URI
+ */
+
+
+const oauthCallbackValidation = [
+  body('state')
+    .notEmpty().withMessage('State is required')
+    .isLength({ max: 200 }).withMessage('Invalid state format'),
+
+  body('code')
+    .notEmpty().withMessage('Authorization code is required')
+    .isLength({ max: 2048 }).withMessage('Invalid authorization code format')
+];
+
+/**
+ * Two-factor login validation rules
+ * Validates the challenge token and a code or recovery code
+ */
+
+
+const twoFactorVerifyValidation = [
+  body('challengeToken')
+    .notEmpty().withMessage('Challenge token is required')
+    .isHexadecimal().withMessage('Invalid challenge token format'),
+
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .matches(/^[a-f0-9]{5}-?[a-f0-9]{5}$/i).withMessage('Invalid recovery code format'),
+
+  body()
+    .custom(({ code, recoveryCode }) => Boolean(code) !== Boolean(recoveryCode))
+    .withMessage('Provide either a code or a recovery code')
+];
+
+/**
+ * Two-factor setup validation rules
+ * The challenge token is only needed when enrolling during login
+ */
+
+
+const twoFactorSetupValidation = [
+  body('challengeToken')
+    .optional()
+    .isHexadecimal().withMessage('Invalid challenge token format')
+];
+
+/**
+ * Two-factor enable validation rules
+ * Validates the first code from the authenticator app
+ */
+
+
+const twoFactorEnableValidation = [
+  body('challengeToken')
+    .optional()
+    .isHexadecimal().withMessage('Invalid challenge token format'),
+
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+];
+
+/**
+ * Two-factor disable validation rules
+ * Validates the password and a code or recovery code
+ */
+
+
+const twoFactorDisableValidation = [
+  body('password')
+    .notEmpty().withMessage('Password is required'),
+
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/).withMessage('Code must be 6 digits'),
+
+  body('recoveryCode')
+    .optional()
+    .trim()
+    .matches(/^[a-f0-9]{5}-?[a-f0-9]{5}$/i).withMessage('Invalid recovery code format'),
+
+  body()
+    .custom(({ code, recoveryCode }) => Boolean(code) !== Boolean(recoveryCode))
+    .withMessage('Provide either a code or a recovery code')
+];
+
+/**
+ * Recovery codes validation rules
+ * Validates the code confirming recovery code regeneration
+ */
+
+
+const recoveryCodesValidation = [
+  body('code')
+    .trim()
+    .matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+];
+
 /**
  * Update profile validation rules
  * Validates user profile update fields
@@ -318,6 +447,14 @@ module.exports = {
   resendVerificationValidation,
   refreshTokenValidation,
   logoutValidation,
+  sessionIdValidation,
+  oauthProviderValidation,
+  oauthCallbackValidation,
+  twoFactorVerifyValidation,
+  twoFactorSetupValidation,
+  twoFactorEnableValidation,
+  twoFactorDisableValidation,
+  recoveryCodesValidation,
   updateProfileValidation,
   validate,
   formatValidationErrors
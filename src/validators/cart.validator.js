@@ -6,7 +6,7 @@
 
 const logger = require('../utils/logger');
 
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 
 /**
  * Middleware to handle validation results
@@ -380,6 +380,45 @@ const validateBulkCartOperation = [
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for restoring an abandoned cart
+ * Validates the token from a reminder email's restore link
+ */
+
+
+const validateRestoreCart = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Restore token is required')
+    .matches(/^[a-f0-9]{24}\.[a-f0-9]{64}$/)
+    .withMessage('Invalid restore token'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for cart recovery metrics
+ * Validates the optional from/to date range
+ */
+
+
+const validateRecoveryMetrics = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date')
+    .toDate(),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date')
+    .toDate(),
+
+  handleValidationErrors
+];
+
 module.exports = {
   validateAddToCart,
   validateUpdateQuantity,
@@ -393,6 +432,8 @@ module.exports = {
   validateCheckoutPreparation,
   validateUpdateItemOptions,
   validateBulkCartOperation,
+  validateRestoreCart,
+  validateRecoveryMetrics,
   handleValidationErrors,
   isValidObjectId
 };
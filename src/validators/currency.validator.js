@@ -0,0 +1,115 @@
+// File: src/validators/currency.validator.js
+// Generated: 2025-10-16 15:51:07 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_k2vn7qd4mc8e
+
+
+const { body, param } = require('express-validator');
+
+const { handleValidationErrors } = require('./cart.validator');
+
+/**
+ * Validation rule for the currency code parameter
+ */
+
+
+const currencyCodeParam = param('code')
+  .trim()
+  .toUpperCase()
+  .matches(/^[A-Z]{3}$/)
+  .withMessage('Currency code must be a 3-letter ISO 4217 code');
+
+/**
+ * Validation rules for creating or updating a currency
+ */
+
+
+const validateUpsertCurrency = [
+  currencyCodeParam,
+
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Currency name is required')
+    .isLength({ max: 50 })
+    .withMessage('Currency name cannot exceed 50 characters'),
+
+  body('symbol')
+    .optional()
+    .trim()
+    .isLength({ max: 5 })
+    .withMessage('Symbol cannot exceed 5 characters'),
+
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be a positive number of units per base currency unit')
+    .toFloat(),
+
+  body('decimals')
+    .optional()
+    .isInt({ min: 0, max: 3 })
+    .withMessage('Decimals must be between 0 and 3')
+    .toInt(),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for the currency code parameter
+ */
+
+
+const validateCurrencyCode = [
+  currencyCodeParam,
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for importing rates
+ * An empty body reloads the configured rates file.
+ */
+
+
+const validateImportRates = [
+  body('currencies')
+    .optional()
+    .isArray({ min: 1, max: 200 })
+    .withMessage('Currencies must be an array of 1 to 200 entries'),
+
+  body('currencies.*.code')
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Currency code must be a 3-letter ISO 4217 code'),
+
+  body('currencies.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Currency name is required'),
+
+  body('currencies.*.rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be a positive number')
+    .toFloat(),
+
+  body('currencies.*.decimals')
+    .optional()
+    .isInt({ min: 0, max: 3 })
+    .withMessage('Decimals must be between 0 and 3')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateUpsertCurrency,
+  validateCurrencyCode,
+  validateImportRates,
+  handleValidationErrors
+};
@@ -4,20 +4,76 @@
 // Task ID: task_vu0addwq9htm
 
 
+const analytics = require('./analytics.validator');
+
+
 const auth = require('./auth.validator');
 
 
 const cart = require('./cart.validator');
 
 
+const currency = require('./currency.validator');
+
+
+const inventory = require('./inventory.validator');
+
+
 const order = require('./order.validator');
 
 
+const paymentMethod = require('./paymentMethod.validator');
+
+
 const product = require('./product.validator');
 
+
+const productImport = require('./productImport.validator');
+
+
+const promoCode = require('./promoCode.validator');
+
+
+const returns = require('./return.validator');
+
+
+const review = require('./review.validator');
+
+
+const search = require('./search.validator');
+
+
+const seller = require('./seller.validator');
+
+
+const shipment = require('./shipment.validator');
+
+
+const shipping = require('./shipping.validator');
+
+
+const taxRate = require('./taxRate.validator');
+
+
+const wishlist = require('./wishlist.validator');
+
 module.exports = {
+  analytics,
   auth,
   cart,
+  currency,
   product,
-  order
+  order,
+  promoCode,
+  taxRate,
+  shipping,
+  review,
+  wishlist,
+  search,
+  inventory,
+  returns,
+  shipment,
+  paymentMethod,
+  seller,
+  productImport
 };
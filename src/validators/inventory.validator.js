@@ -0,0 +1,80 @@
+// File: src/validators/inventory.validator.js
+// Generated: 2025-10-16 12:43:27 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_h3ks9wd2lm7b
+
+
+const { ALERT_STATUS } = require('../models/StockAlert');
+
+const { MOVEMENT_TYPES } = require('../models/InventoryMovement');
+
+const { param, query } = require('express-validator');
+
+const { handleValidationErrors } = require('./cart.validator');
+
+/**
+ * Validation rules for GET /inventory/products/:productId/movements
+ */
+
+
+const validateListMovements = [
+  param('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+
+  query('variantId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid variant ID format'),
+
+  query('type')
+    .optional()
+    .isIn(Object.values(MOVEMENT_TYPES))
+    .withMessage(`Type must be one of: ${Object.values(MOVEMENT_TYPES).join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for GET /inventory/alerts
+ */
+
+
+const validateListAlerts = [
+  query('status')
+    .optional()
+    .isIn(Object.values(ALERT_STATUS))
+    .withMessage(`Status must be one of: ${Object.values(ALERT_STATUS).join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateListMovements,
+  validateListAlerts,
+  handleValidationErrors
+};
@@ -129,6 +129,11 @@ const createOrderValidation = [
     .isIn(['credit_card', 'debit_card', 'paypal', 'stripe'])
     .withMessage('Payment method must be one of: credit_card, debit_card, paypal, stripe'),
 
+  body('shippingMethod')
+    .optional()
+    .isIn(['standard', 'express', 'pickup'])
+    .withMessage('Shipping method must be one of: standard, express, pickup'),
+
   body('couponCode')
     .optional()
     .trim()
@@ -330,6 +335,215 @@ const cancelOrderValidation = [
     .withMessage('Cancellation reason must not exceed 500 characters')
 ];
 
+/**
+ * Validation rules for an itemised refund
+ */
+
+
+const refundOrderItemsValidation = [
+  param('orderId')
+    .isMongoId()
+    .withMessage('Order ID must be a valid MongoDB ObjectId'),
+
+  body('items')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Items must be an array of at most 100 lines'),
+
+  body('items.*.orderItemId')
+    .isMongoId()
+    .withMessage('Order item ID must be a valid MongoDB ObjectId'),
+
+  body('items.*.quantity')
+    .isInt({ min: 1, max: 999 })
+    .withMessage('Quantity must be a positive integer between 1 and 999')
+    .toInt(),
+
+  body('includeTax')
+    .optional()
+    .isBoolean()
+    .withMessage('includeTax must be a boolean')
+    .toBoolean(),
+
+  body('shipping')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Shipping must be a non-negative number')
+    .toFloat(),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters'),
+
+  body()
+    .custom(value => (value.items && value.items.length > 0) || value.shipping > 0)
+    .withMessage('Refund must include at least one item or a shipping amount')
+];
+
+/**
+ * Validation rules for placing a guest order
+ * Items come from the guest's session cart
+ */
+
+
+const guestOrderValidation = [
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email is required'),
+
+  body('firstName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('First name must be between 1 and 50 characters'),
+
+  body('lastName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Last name must be between 1 and 50 characters'),
+
+  body('shippingAddress')
+    .isObject()
+    .withMessage('Shipping address is required'),
+
+  body('shippingAddress.fullName')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Full name must be between 2 and 100 characters'),
+
+  body('shippingAddress.addressLine1')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Address line 1 must be between 5 and 200 characters'),
+
+  body('shippingAddress.addressLine2')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Address line 2 must not exceed 200 characters'),
+
+  body('shippingAddress.city')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('City must be between 2 and 100 characters'),
+
+  body('shippingAddress.state')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('State must be between 2 and 100 characters'),
+
+  body('shippingAddress.postalCode')
+    .trim()
+    .isLength({ min: 3, max: 20 })
+    .withMessage('Postal code must be between 3 and 20 characters'),
+
+  body('shippingAddress.country')
+    .trim()
+    .isLength({ min: 2, max: 2 })
+    .withMessage('Country must be a 2-letter country code (e.g., US, GB, CA)'),
+
+  body('shippingAddress.phone')
+    .optional()
+    .trim()
+    .matches(/^[\d\s\-+()]+$/)
+    .withMessage('Invalid phone number format'),
+
+  body('billingAddress')
+    .optional()
+    .isObject()
+    .withMessage('Billing address must be an object'),
+
+  body('paymentMethod')
+    .isIn(['credit_card', 'debit_card', 'paypal', 'stripe'])
+    .withMessage('Payment method must be one of: credit_card, debit_card, paypal, stripe'),
+
+  body('shippingMethod')
+    .optional()
+    .isIn(['standard', 'express', 'pickup'])
+    .withMessage('Shipping method must be one of: standard, express, pickup')
+];
+
+/**
+ * Validation rules for requesting a guest order lookup link
+ */
+
+
+const guestOrderLookupValidation = [
+  body('orderNumber')
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Order number is required'),
+
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email is required')
+];
+
+/**
+ * Validation rules for opening a signed guest order lookup link
+ */
+
+
+const guestOrderAccessValidation = [
+  param('orderNumber')
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Order number is required'),
+
+  query('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email is required'),
+
+  query('token')
+    .matches(/^\d+\.[a-f0-9]{64}$/)
+    .withMessage('Invalid lookup token')
+];
+
+/**
+ * Validation rules for turning a guest into a registered user
+ */
+
+
+const convertGuestValidation = [
+  param('orderNumber')
+    .trim()
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Order number is required'),
+
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email is required'),
+
+  body('token')
+    .matches(/^\d+\.[a-f0-9]{64}$/)
+    .withMessage('Invalid lookup token'),
+
+  body('password')
+    .isString()
+    .isLength({ min: 8, max: 128 })
+    .withMessage('Password must be between 8 and 128 characters'),
+
+  body('firstName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('First name must be between 1 and 50 characters'),
+
+  body('lastName')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Last name must be between 1 and 50 characters')
+];
+
 /**
  * Custom validation middleware to check order total calculation
  * @param {Object} req - Express request object
@@ -454,6 +668,11 @@ module.exports = {
   updateOrderStatusValidation,
   queryOrdersValidation,
   cancelOrderValidation,
+  refundOrderItemsValidation,
+  guestOrderValidation,
+  guestOrderLookupValidation,
+  guestOrderAccessValidation,
+  convertGuestValidation,
   validateOrderTotal,
   validateStatusTransition
 };
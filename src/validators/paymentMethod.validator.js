@@ -0,0 +1,47 @@
+// File: src/validators/paymentMethod.validator.js
+// Generated: 2025-10-16 14:08:12 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_f5mz8qa1nw3b
+
+
+const { body, param } = require('express-validator');
+
+const { handleValidationErrors } = require('./cart.validator');
+
+/**
+ * Validation rules for a saved payment method ID parameter
+ */
+
+
+const validatePaymentMethodId = [
+  param('paymentMethodId')
+    .matches(/^pm_[A-Za-z0-9]+$/)
+    .withMessage('Invalid payment method ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for saving a payment method confirmed through a SetupIntent
+ */
+
+
+const validateAddPaymentMethod = [
+  body('paymentMethodId')
+    .matches(/^pm_[A-Za-z0-9]+$/)
+    .withMessage('Invalid payment method ID format'),
+
+  body('makeDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('makeDefault must be a boolean')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validatePaymentMethodId,
+  validateAddPaymentMethod,
+  handleValidationErrors
+};
@@ -0,0 +1,89 @@
+// File: src/validators/productImport.validator.js
+// Generated: 2025-10-16 17:41:37 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_d4wq7nb2xs9c
+
+
+const { param, query } = require('express-validator');
+
+const { handleValidationErrors } = require('./cart.validator');
+
+
+const formatRule = query('format')
+  .isIn(['csv', 'jsonl'])
+  .withMessage('Format must be csv or jsonl');
+
+/**
+ * Validation rules for POST /products/import
+ * The file is the raw request body; ?format= says how to read it.
+ */
+
+
+const validateImport = [
+  formatRule,
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for GET /products/imports
+ */
+
+
+const validateListImports = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for import job ID parameter
+ */
+
+
+const validateImportJobId = [
+  param('jobId')
+    .isMongoId()
+    .withMessage('Invalid import job ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for GET /products/export
+ */
+
+
+const validateExport = [
+  formatRule,
+
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be true or false')
+    .toBoolean(),
+
+  query('seller')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid seller ID format'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateImport,
+  validateListImports,
+  validateImportJobId,
+  validateExport,
+  handleValidationErrors
+};
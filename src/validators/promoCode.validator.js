@@ -0,0 +1,205 @@
+// File: src/validators/promoCode.validator.js
+// Generated: 2025-10-16 10:42:06 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_p7rmc0d3x2qc
+
+
+const { body, param, query } = require('express-validator');
+
+const { handleValidationErrors } = require('./cart.validator');
+
+
+const PROMO_TYPES = ['percentage', 'fixed_amount', 'free_shipping', 'buy_x_get_y'];
+
+/**
+ * Shared rules for promo code fields
+ * @param {boolean} isUpdate - Whether the fields are optional (update) or required (create)
+ * @returns {Array} Validation chain
+ */
+
+
+const promoCodeFieldRules = (isUpdate) => [
+  (isUpdate ? body('code').optional() : body('code'))
+    .trim()
+    .notEmpty()
+    .withMessage('Promo code is required')
+    .customSanitizer(value => value.toUpperCase())
+    .isLength({ min: 4, max: 20 })
+    .withMessage('Promo code must be between 4 and 20 characters')
+    .matches(/^[A-Z0-9]+$/)
+    .withMessage('Promo code must contain only letters and numbers'),
+
+  (isUpdate ? body('type').optional() : body('type'))
+    .isIn(PROMO_TYPES)
+    .withMessage(`Type must be one of: ${PROMO_TYPES.join(', ')}`),
+
+  body('value')
+    .if(body('type').isIn(['percentage', 'fixed_amount']))
+    .notEmpty()
+    .withMessage('Value is required for percentage and fixed amount codes'),
+
+  body('value')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Value must be a non-negative number')
+    .toFloat(),
+
+  body('maxDiscount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Maximum discount must be a non-negative number')
+    .toFloat(),
+
+  body('buyQuantity')
+    .if(body('type').equals('buy_x_get_y'))
+    .isInt({ min: 1 })
+    .withMessage('Buy quantity must be a positive integer')
+    .toInt(),
+
+  body('getQuantity')
+    .if(body('type').equals('buy_x_get_y'))
+    .isInt({ min: 1 })
+    .withMessage('Get quantity must be a positive integer')
+    .toInt(),
+
+  body('getDiscountPercentage')
+    .optional()
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Get discount percentage must be between 1 and 100')
+    .toFloat(),
+
+  body('minSubtotal')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum subtotal must be a non-negative number')
+    .toFloat(),
+
+  body('startsAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date'),
+
+  body('endsAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('End date must be a valid ISO 8601 date'),
+
+  body('usageLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Usage limit must be a positive integer')
+    .toInt(),
+
+  body('perUserLimit')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Per-user limit must be a positive integer')
+    .toInt(),
+
+  body('applicableProducts')
+    .optional()
+    .isArray()
+    .withMessage('Applicable products must be an array'),
+
+  body('applicableProducts.*')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+
+  body('applicableCategories')
+    .optional()
+    .isArray()
+    .withMessage('Applicable categories must be an array'),
+
+  body('applicableCategories.*')
+    .isMongoId()
+    .withMessage('Invalid category ID'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for creating a promo code
+ */
+
+
+const validateCreatePromoCode = [
+  ...promoCodeFieldRules(false),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for updating a promo code
+ */
+
+
+const validateUpdatePromoCode = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid promo code ID format'),
+
+  ...promoCodeFieldRules(true),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for promo code ID parameter
+ */
+
+
+const validatePromoCodeId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid promo code ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for listing promo codes
+ */
+
+
+const validateListPromoCodes = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('type')
+    .optional()
+    .isIn(PROMO_TYPES)
+    .withMessage(`Type must be one of: ${PROMO_TYPES.join(', ')}`),
+
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateCreatePromoCode,
+  validateUpdatePromoCode,
+  validatePromoCodeId,
+  validateListPromoCodes,
+  handleValidationErrors
+};
@@ -0,0 +1,155 @@
+// File: src/validators/return.validator.js
+// Generated: 2025-10-16 13:08:12 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_v5rq8mz3kc2b
+
+
+const { RETURN_STATUSES } = require('../models/OrderItem');
+
+const { body, param, query } = require('express-validator');
+
+const { handleValidationErrors } = require('./cart.validator');
+
+
+const RMA_NUMBER_PATTERN = /^RMA-\d{8}-[0-9A-F]{6}$/;
+
+/**
+ * RMA number path parameter
+ */
+
+
+const rmaNumberParam = param('rmaNumber')
+  .trim()
+  .toUpperCase()
+  .matches(RMA_NUMBER_PATTERN)
+  .withMessage('Invalid RMA number format');
+
+/**
+ * Validation rules for requesting a return
+ */
+
+
+const validateCreateReturn = [
+  body('orderId')
+    .isMongoId()
+    .withMessage('Invalid order ID format'),
+
+  body('orderItemId')
+    .isMongoId()
+    .withMessage('Invalid order item ID format'),
+
+  body('quantity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer')
+    .toInt(),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Return reason must be between 3 and 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for listing returns
+ */
+
+
+const validateListReturns = [
+  query('status')
+    .optional()
+    .isIn(Object.values(RETURN_STATUSES))
+    .withMessage(`Status must be one of: ${Object.values(RETURN_STATUSES).join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for routes addressed by RMA number
+ */
+
+
+const validateRmaNumber = [
+  rmaNumberParam,
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for approving a return
+ */
+
+
+const validateApproveReturn = [
+  rmaNumberParam,
+
+  body('refundAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Refund amount must be a non-negative number')
+    .toFloat(),
+
+  body('restock')
+    .optional()
+    .isBoolean()
+    .withMessage('restock must be a boolean value')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for rejecting a return
+ */
+
+
+const validateRejectReturn = [
+  rmaNumberParam,
+
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Rejection reason must be between 3 and 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for receiving returned goods
+ */
+
+
+const validateReceiveReturn = [
+  rmaNumberParam,
+
+  body('restock')
+    .optional()
+    .isBoolean()
+    .withMessage('restock must be a boolean value')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateCreateReturn,
+  validateListReturns,
+  validateRmaNumber,
+  validateApproveReturn,
+  validateRejectReturn,
+  validateReceiveReturn,
+  handleValidationErrors
+};
@@ -0,0 +1,183 @@
+// File: src/validators/review.validator.js
+// Generated: 2025-10-16 11:21:53 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_r4vw8kq2nd1c
+
+
+const { body, param, query } = require('express-validator');
+
+const { handleValidationErrors } = require('./cart.validator');
+
+
+const REVIEW_SORTS = ['newest', 'oldest', 'helpful', 'rating_high', 'rating_low'];
+
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+/**
+ * Shared rules for review content
+ * @param {boolean} isUpdate - Whether the fields are optional (update) or required (create)
+ * @returns {Array} Validation chain
+ */
+
+
+const reviewFieldRules = (isUpdate) => [
+  (isUpdate ? body('rating').optional() : body('rating'))
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be a whole number between 1 and 5')
+    .toInt(),
+
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 120 })
+    .withMessage('Title cannot exceed 120 characters'),
+
+  (isUpdate ? body('comment').optional() : body('comment'))
+    .trim()
+    .notEmpty()
+    .withMessage('Review text is required')
+    .isLength({ max: 2000 })
+    .withMessage('Review text cannot exceed 2000 characters')
+];
+
+/**
+ * Validation rules for creating a review
+ */
+
+
+const validateCreateReview = [
+  param('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+
+  ...reviewFieldRules(false),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for updating a review
+ */
+
+
+const validateUpdateReview = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid review ID format'),
+
+  ...reviewFieldRules(true),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for review ID parameter
+ */
+
+
+const validateReviewId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid review ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for listing a product's reviews
+ */
+
+
+const validateListProductReviews = [
+  param('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+
+  query('sort')
+    .optional()
+    .isIn(REVIEW_SORTS)
+    .withMessage(`Sort must be one of: ${REVIEW_SORTS.join(', ')}`),
+
+  query('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating filter must be between 1 and 5')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for the moderation queue
+ */
+
+
+const validateListModerationQueue = [
+  query('status')
+    .optional()
+    .isIn(REVIEW_STATUSES)
+    .withMessage(`Status must be one of: ${REVIEW_STATUSES.join(', ')}`),
+
+  query('product')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for moderating a review
+ */
+
+
+const validateModerateReview = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid review ID format'),
+
+  body('status')
+    .isIn(['approved', 'rejected'])
+    .withMessage('Status must be approved or rejected'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Moderation note cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateCreateReview,
+  validateUpdateReview,
+  validateReviewId,
+  validateListProductReviews,
+  validateListModerationQueue,
+  validateModerateReview,
+  handleValidationErrors
+};
@@ -0,0 +1,106 @@
+// File: src/validators/search.validator.js
+// Generated: 2025-10-16 12:06:48 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_k2fs7hq9pv3b
+
+
+const { query } = require('express-validator');
+
+const { handleValidationErrors } = require('./cart.validator');
+
+
+const SEARCH_SORTS = ['relevance', 'price_asc', 'price_desc', 'newest', 'rating'];
+
+
+const ATTRIBUTE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+
+/**
+ * Validation rules for GET /products/search
+ * Attribute filters use attr[name]=value, e.g. attr[color]=red
+ */
+
+
+const validateProductSearch = [
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search query must be between 2 and 100 characters'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('sort')
+    .optional()
+    .isIn(SEARCH_SORTS)
+    .withMessage(`Sort must be one of: ${SEARCH_SORTS.join(', ')}`),
+
+  query('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid category ID format'),
+
+  query('brand')
+    .optional()
+    .custom((value) => {
+      const brands = Array.isArray(value) ? value : [value];
+      if (brands.length > 20 || !brands.every(brand => typeof brand === 'string' && brand.length <= 100)) {
+        throw new Error('Brand filter must be up to 20 names of at most 100 characters');
+      }
+      return true;
+    }),
+
+  query('minPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum price must be a non-negative number')
+    .toFloat(),
+
+  query('maxPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Maximum price must be a non-negative number')
+    .toFloat()
+    .custom((value, { req }) => {
+      if (req.query.minPrice !== undefined && value < parseFloat(req.query.minPrice)) {
+        throw new Error('Maximum price must be greater than minimum price');
+      }
+      return true;
+    }),
+
+  query('inStock')
+    .optional()
+    .isBoolean()
+    .withMessage('inStock must be a boolean value')
+    .toBoolean(),
+
+  query('attr')
+    .optional()
+    .custom((value) => {
+      if (typeof value !== 'object' || Array.isArray(value) || value === null) {
+        throw new Error('Attribute filters must use attr[name]=value');
+      }
+      const valid = Object.entries(value).every(([name, attributeValue]) =>
+        ATTRIBUTE_NAME_PATTERN.test(name) && typeof attributeValue === 'string' && attributeValue.length <= 100
+      );
+      if (!valid) {
+        throw new Error('Attribute names must be alphanumeric and values at most 100 characters');
+      }
+      return true;
+    }),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateProductSearch,
+  handleValidationErrors
+};
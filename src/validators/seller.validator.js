@@ -0,0 +1,267 @@
+// File: src/validators/seller.validator.js
+// Generated: 2025-10-16 16:41:55 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_m5sq8wd3ne7e
+
+
+const { body, param, query } = require('express-validator');
+
+const { handleValidationErrors } = require('./cart.validator');
+
+const { PAYOUT_METHODS, SELLER_STATUS } = require('../models/Seller');
+
+const { SUB_ORDER_STATUSES } = require('../models/SubOrder');
+
+/**
+ * Shared rules for store profile fields
+ * @param {boolean} isUpdate - Whether the store name is optional (update) or required (application)
+ * @returns {Array} Validation chain
+ */
+
+
+const sellerProfileRules = (isUpdate) => [
+  (isUpdate ? body('storeName').optional() : body('storeName'))
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Store name must be between 3 and 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Store description cannot exceed 2000 characters'),
+
+  body('contactEmail')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Contact email must be a valid email address')
+    .normalizeEmail(),
+
+  body('phone')
+    .optional()
+    .trim()
+    .matches(/^\+?[0-9 ()-]{6,20}$/)
+    .withMessage('Phone must be a valid phone number'),
+
+  body('payout')
+    .optional()
+    .isObject()
+    .withMessage('Payout details must be an object'),
+
+  body('payout.method')
+    .optional()
+    .isIn(PAYOUT_METHODS)
+    .withMessage(`Payout method must be one of: ${PAYOUT_METHODS.join(', ')}`),
+
+  body(['payout.accountHolder', 'payout.bankName'])
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Account holder and bank name must be between 2 and 100 characters'),
+
+  body(['payout.accountNumber', 'payout.routingNumber'])
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9 ]{4,34}$/)
+    .withMessage('Account and routing numbers must be 4 to 34 letters or digits'),
+
+  body('payout.paypalEmail')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('PayPal email must be a valid email address'),
+
+  body('payout.currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z]{3}$/)
+    .withMessage('Payout currency must be a 3-letter ISO 4217 code')
+];
+
+/**
+ * Shared rules for paginated lists
+ */
+
+
+const paginationRules = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt()
+];
+
+/**
+ * Validation rules for a seller application
+ */
+
+
+const validateApplySeller = [
+  ...sellerProfileRules(false),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for updating a store profile
+ */
+
+
+const validateUpdateSeller = [
+  ...sellerProfileRules(true),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for listing stores (admin)
+ */
+
+
+const validateListSellers = [
+  query('status')
+    .optional()
+    .isIn(Object.values(SELLER_STATUS))
+    .withMessage(`Status must be one of: ${Object.values(SELLER_STATUS).join(', ')}`),
+
+  ...paginationRules,
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for a seller ID parameter
+ */
+
+
+const validateSellerId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid seller ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for reviewing a store (admin)
+ */
+
+
+const validateReviewSeller = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid seller ID format'),
+
+  body('action')
+    .isIn(['approve', 'reject', 'suspend'])
+    .withMessage('Action must be one of: approve, reject, suspend'),
+
+  body('reason')
+    .if(body('action').isIn(['reject', 'suspend']))
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required to reject or suspend a store')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for listing a seller's products
+ */
+
+
+const validateSellerProducts = [
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+    .toBoolean(),
+
+  ...paginationRules,
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for listing a seller's sub-orders
+ */
+
+
+const validateListSubOrders = [
+  query('status')
+    .optional()
+    .isIn(Object.values(SUB_ORDER_STATUSES))
+    .withMessage(`Status must be one of: ${Object.values(SUB_ORDER_STATUSES).join(', ')}`),
+
+  ...paginationRules,
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for a sub-order ID parameter
+ */
+
+
+const validateSubOrderId = [
+  param('subOrderId')
+    .isMongoId()
+    .withMessage('Invalid sub-order ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for updating a sub-order status
+ */
+
+
+const validateSubOrderStatus = [
+  param('subOrderId')
+    .isMongoId()
+    .withMessage('Invalid sub-order ID format'),
+
+  body('status')
+    .isIn(['processing', 'shipped', 'delivered', 'cancelled'])
+    .withMessage('Status must be one of: processing, shipped, delivered, cancelled'),
+
+  body('carrier')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Carrier must be between 2 and 50 characters'),
+
+  body('trackingNumber')
+    .if(body('status').equals('shipped'))
+    .trim()
+    .notEmpty()
+    .withMessage('A tracking number is required to ship a sub-order')
+    .isLength({ max: 100 })
+    .withMessage('Tracking number cannot exceed 100 characters'),
+
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateApplySeller,
+  validateUpdateSeller,
+  validateListSellers,
+  validateSellerId,
+  validateReviewSeller,
+  validateSellerProducts,
+  validateListSubOrders,
+  validateSubOrderId,
+  validateSubOrderStatus,
+  handleValidationErrors
+};
@@ -0,0 +1,97 @@
+// File: src/validators/shipment.validator.js
+// Generated: 2025-10-16 13:50:37 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_c6tj2rm9xw4c
+
+
+const { CARRIERS } = require('../models/Shipment');
+
+const { body, param } = require('express-validator');
+
+const { handleValidationErrors } = require('./cart.validator');
+
+/**
+ * Order ID path parameter
+ */
+
+
+const orderIdParam = param('orderId')
+  .isMongoId()
+  .withMessage('Invalid order ID format');
+
+/**
+ * Validation rules for shipping a parcel
+ */
+
+
+const validateCreateShipment = [
+  orderIdParam,
+
+  body('carrier')
+    .trim()
+    .toLowerCase()
+    .isIn(Object.keys(CARRIERS))
+    .withMessage(`Carrier must be one of: ${Object.keys(CARRIERS).join(', ')}`),
+
+  body('trackingNumber')
+    .trim()
+    .matches(/^[A-Za-z0-9-]{4,64}$/)
+    .withMessage('Tracking number must be 4-64 letters, digits or dashes'),
+
+  body('items')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Items must be an array of 1 to 100 lines'),
+
+  body('items.*.orderItemId')
+    .isMongoId()
+    .withMessage('Invalid order item ID format'),
+
+  body('items.*.quantity')
+    .isInt({ min: 1 })
+    .withMessage('Quantity must be a positive integer')
+    .toInt(),
+
+  body('estimatedDelivery')
+    .optional()
+    .isISO8601()
+    .withMessage('Estimated delivery must be an ISO 8601 date')
+    .toDate(),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for listing an order's shipments
+ */
+
+
+const validateOrderShipments = [
+  orderIdParam,
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for inbound carrier webhooks
+ */
+
+
+const validateCarrierWebhook = [
+  param('carrier')
+    .isIn(Object.keys(CARRIERS))
+    .withMessage('Unsupported carrier'),
+
+  body('events')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Events must be an array of 1 to 100 entries'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateCreateShipment,
+  validateOrderShipments,
+  validateCarrierWebhook,
+  handleValidationErrors
+};
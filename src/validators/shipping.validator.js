@@ -0,0 +1,173 @@
+// File: src/validators/shipping.validator.js
+// Generated: 2025-10-16 10:42:06 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_s9hz3wq5lm2c
+
+
+const { body, param } = require('express-validator');
+
+const { handleValidationErrors } = require('./cart.validator');
+
+
+const SHIPPING_METHODS = ['standard', 'express', 'pickup'];
+
+/**
+ * Validation rules for quoting shipping for the current cart
+ */
+
+
+const validateShippingQuote = [
+  body('address.country')
+    .trim()
+    .isISO31661Alpha2()
+    .withMessage('Country must be an ISO 3166-1 alpha-2 code')
+    .toUpperCase(),
+
+  body('address.state')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('State cannot exceed 50 characters'),
+
+  body('address.postalCode')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Postal code cannot exceed 20 characters'),
+
+  handleValidationErrors
+];
+
+/**
+ * Shared rules for shipping zone fields
+ * @param {boolean} isUpdate - Whether the fields are optional (update) or required (create)
+ * @returns {Array} Validation chain
+ */
+
+
+const zoneFieldRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .notEmpty()
+    .withMessage('Zone name is required')
+    .isLength({ max: 100 })
+    .withMessage('Zone name cannot exceed 100 characters'),
+
+  body('countries')
+    .optional()
+    .isArray()
+    .withMessage('Countries must be an array'),
+
+  body('countries.*')
+    .isISO31661Alpha2()
+    .withMessage('Countries must be ISO 3166-1 alpha-2 codes')
+    .toUpperCase(),
+
+  body('regions')
+    .optional()
+    .isArray()
+    .withMessage('Regions must be an array'),
+
+  body('regions.*.country')
+    .isISO31661Alpha2()
+    .withMessage('Region country must be an ISO 3166-1 alpha-2 code'),
+
+  body('regions.*.state')
+    .trim()
+    .notEmpty()
+    .withMessage('Region state is required'),
+
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be a boolean value')
+    .toBoolean(),
+
+  body('freeShippingThreshold')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Free shipping threshold must be a non-negative number')
+    .toFloat(),
+
+  body('volumetricDivisor')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Volumetric divisor must be a positive number')
+    .toFloat(),
+
+  (isUpdate ? body('methods').optional() : body('methods'))
+    .isArray({ min: 1 })
+    .withMessage('At least one shipping method is required'),
+
+  body('methods.*.code')
+    .isIn(SHIPPING_METHODS)
+    .withMessage(`Method code must be one of: ${SHIPPING_METHODS.join(', ')}`),
+
+  body('methods.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('Method name is required'),
+
+  body(['methods.*.baseRate', 'methods.*.perKgRate'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Rates must be non-negative numbers')
+    .toFloat(),
+
+  body('methods.*.maxWeight')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Maximum weight must be a non-negative number')
+    .toFloat(),
+
+  body(['methods.*.estimatedDays.min', 'methods.*.estimatedDays.max'])
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Estimated days must be non-negative integers')
+    .toInt()
+];
+
+/**
+ * Validation rules for creating a shipping zone
+ */
+
+
+const validateCreateZone = [
+  ...zoneFieldRules(false),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for updating a shipping zone
+ */
+
+
+const validateUpdateZone = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid shipping zone ID format'),
+
+  ...zoneFieldRules(true),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for shipping zone ID parameter
+ */
+
+
+const validateZoneId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid shipping zone ID format'),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateShippingQuote,
+  validateCreateZone,
+  validateUpdateZone,
+  validateZoneId,
+  handleValidationErrors
+};
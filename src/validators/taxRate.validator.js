@@ -0,0 +1,134 @@
+// File: src/validators/taxRate.validator.js
+// Generated: 2025-10-16 10:42:06 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_t4xr8e2kq1nc
+
+
+const { body, param, query } = require('express-validator');
+
+const { handleValidationErrors } = require('./cart.validator');
+
+/**
+ * Shared rules for tax rate fields
+ * @param {boolean} isUpdate - Whether the fields are optional (update) or required (create)
+ * @returns {Array} Validation chain
+ */
+
+
+const taxRateFieldRules = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .notEmpty()
+    .withMessage('Jurisdiction name is required')
+    .isLength({ max: 100 })
+    .withMessage('Jurisdiction name cannot exceed 100 characters'),
+
+  (isUpdate ? body('country').optional() : body('country'))
+    .trim()
+    .isISO31661Alpha2()
+    .withMessage('Country must be an ISO 3166-1 alpha-2 code')
+    .toUpperCase(),
+
+  body('state')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('State must be between 1 and 50 characters')
+    .toUpperCase(),
+
+  body('postalPrefix')
+    .optional({ nullable: true })
+    .trim()
+    .matches(/^[A-Za-z0-9]{1,10}$/)
+    .withMessage('Postal prefix must be 1 to 10 letters or digits')
+    .toUpperCase(),
+
+  body(['rates.standard', 'rates.reduced', 'rates.digital'])
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Rates must be percentages between 0 and 100')
+    .toFloat(),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+    .toBoolean()
+];
+
+/**
+ * Validation rules for creating a tax rate
+ */
+
+
+const validateCreateTaxRate = [
+  ...taxRateFieldRules(false),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for updating a tax rate
+ */
+
+
+const validateUpdateTaxRate = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid tax rate ID format'),
+
+  ...taxRateFieldRules(true),
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for tax rate ID parameter
+ */
+
+
+const validateTaxRateId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid tax rate ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for listing tax rates
+ */
+
+
+const validateListTaxRates = [
+  query('country')
+    .optional()
+    .isISO31661Alpha2()
+    .withMessage('Country must be an ISO 3166-1 alpha-2 code'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value')
+    .toBoolean(),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateCreateTaxRate,
+  validateUpdateTaxRate,
+  validateTaxRateId,
+  validateListTaxRates,
+  handleValidationErrors
+};
@@ -0,0 +1,47 @@
+// File: src/validators/wishlist.validator.js
+// Generated: 2025-10-16 11:43:36 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_w8lq3ns6xe1b
+
+
+const { body, param } = require('express-validator');
+
+const { handleValidationErrors } = require('./cart.validator');
+
+/**
+ * Validation rules for wishlist product ID parameter
+ */
+
+
+const validateWishlistProduct = [
+  param('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for moving a wishlist item to the cart
+ */
+
+
+const validateMoveToCart = [
+  param('productId')
+    .isMongoId()
+    .withMessage('Invalid product ID format'),
+
+  body('quantity')
+    .optional()
+    .isInt({ min: 1, max: 99 })
+    .withMessage('Quantity must be between 1 and 99')
+    .toInt(),
+
+  handleValidationErrors
+];
+
+module.exports = {
+  validateWishlistProduct,
+  validateMoveToCart,
+  handleValidationErrors
+};
@@ -0,0 +1,143 @@
+// File: tests/helpers/mockOidcServer.js
+// Generated: 2025-10-16 19:38:05 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_w6zq3rk8vd2c
+
+
+const crypto = require('crypto');
+
+
+const http = require('http');
+
+
+const jwt = require('jsonwebtoken');
+
+/**
+ * Local OpenID Connect provider for tests
+ * Serves the discovery document, JWKS, token and userinfo endpoints on a random
+ * port. authorize() stands in for the user approving the sign-in at the
+ * authorization endpoint. The token endpoint checks the client credentials,
+ * redirect URI and PKCE verifier like a real provider.
+ * @param {Object} [options] - { clientId, clientSecret }
+ * @returns {Promise<Object>} { issuer, clientId, clientSecret, authorize, close }
+ */
+
+
+const createMockOidcServer = async ({ clientId = 'test-client', clientSecret = 'test-secret' } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'test-key';
+  const grants = new Map();
+  const accessTokens = new Map();
+
+  const server = http.createServer();
+  await new Promise(resolve => { server.listen(0, '127.0.0.1', resolve); });
+  const issuer = `http://127.0.0.1:${server.address().port}`;
+
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const readBody = req => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+
+  const handleToken = async (req, res) => {
+    const form = new URLSearchParams(await readBody(req));
+    const grant = grants.get(form.get('code'));
+    grants.delete(form.get('code'));
+
+    if (!grant ||
+        form.get('grant_type') !== 'authorization_code' ||
+        form.get('client_id') !== clientId ||
+        form.get('client_secret') !== clientSecret ||
+        form.get('redirect_uri') !== grant.redirectUri) {
+      return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    accessTokens.set(accessToken, grant.userinfo);
+
+    const idToken = jwt.sign({ nonce: grant.nonce, ...grant.idTokenClaims }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience: clientId,
+      expiresIn: '5m'
+    });
+
+    return sendJson(res, 200, { access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+  };
+
+  server.on('request', (req, res) => {
+    const { pathname } = new URL(req.url, issuer);
+
+    if (req.method === 'GET' && pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        userinfo_endpoint: `${issuer}/userinfo`,
+        jwks_uri: `${issuer}/jwks`,
+        code_challenge_methods_supported: ['S256']
+      });
+    }
+
+    if (req.method === 'GET' && pathname === '/jwks') {
+      return sendJson(res, 200, {
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }]
+      });
+    }
+
+    if (req.method === 'POST' && pathname === '/token') {
+      return handleToken(req, res).catch(error => sendJson(res, 500, { error: error.message }));
+    }
+
+    if (req.method === 'GET' && pathname === '/userinfo') {
+      const userinfo = accessTokens.get((req.headers.authorization || '').replace(/^Bearer /, ''));
+      return userinfo ? sendJson(res, 200, userinfo) : sendJson(res, 401, { error: 'invalid_token' });
+    }
+
+    return sendJson(res, 404, { error: 'not_found' });
+  });
+
+  return {
+    issuer,
+    clientId,
+    clientSecret,
+
+    /**
+     * Approve a sign-in as the user would at the authorization endpoint
+     * @param {string} authorizationUrl - URL built by the provider under test
+     * @param {Object} userinfo - The user's claims (sub, email, email_verified, ...)
+     * @param {Object} [idTokenClaims] - Claims put in the ID token (defaults to userinfo)
+     * @returns {Object} { code, state } as sent to the redirect URI
+     */
+    authorize(authorizationUrl, userinfo, idTokenClaims = userinfo) {
+      const params = new URL(authorizationUrl).searchParams;
+      const code = crypto.randomBytes(16).toString('hex');
+
+      grants.set(code, {
+        userinfo,
+        idTokenClaims,
+        nonce: params.get('nonce'),
+        codeChallenge: params.get('code_challenge'),
+        redirectUri: params.get('redirect_uri')
+      });
+
+      return { code, state: params.get('state') };
+    },
+
+    close: () => new Promise(resolve => { server.close(resolve); })
+  };
+};
+
+module.exports = { createMockOidcServer };
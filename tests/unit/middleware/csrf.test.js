@@ -0,0 +1,165 @@
+// File: tests/unit/middleware/csrf.test.js
+// Generated: 2025-10-16 20:11:52 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_c5rf2nq8tz4b
+
+
+const { csrfProtection, issueCsrfToken } = require('../../../src/middleware/csrf');
+
+const { CsrfError } = require('../../../src/utils/errors');
+
+// Mock dependencies
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/config/environment', () => ({
+  csrf: {
+    secret: 'test-csrf-secret',
+    cookieName: 'csrf_token',
+    headerName: 'x-csrf-token',
+    tokenTtl: 3600,
+    ignorePaths: ['/api/webhooks']
+  }
+}));
+
+describe('CSRF protection', () => {
+  /**
+   * Issue a token the way GET /auth/csrf-token does
+   * @returns {string} Token set in the cookie
+   */
+  const issueToken = () => {
+    const res = { cookie: jest.fn() };
+    return issueCsrfToken({}, res).csrfToken;
+  };
+
+  /**
+   * State-changing request carrying the given cookie and header tokens
+   */
+  const buildRequest = ({ cookieToken, headerToken, headers = {}, method = 'POST', url = '/api/auth/login' } = {}) => ({
+    method,
+    originalUrl: url,
+    ip: '203.0.113.7',
+    cookies: cookieToken ? { csrf_token: cookieToken } : {},
+    headers: headerToken ? { 'x-csrf-token': headerToken, ...headers } : headers
+  });
+
+  let next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('issueCsrfToken', () => {
+    it('should set the token in a strict HttpOnly cookie and return it', () => {
+      const res = { cookie: jest.fn() };
+
+      const result = issueCsrfToken({}, res);
+
+      expect(result).toEqual({ csrfToken: expect.any(String), headerName: 'x-csrf-token', expiresIn: 3600 });
+      expect(result.csrfToken.split('.')).toHaveLength(3);
+      expect(res.cookie).toHaveBeenCalledWith('csrf_token', result.csrfToken, expect.objectContaining({
+        httpOnly: true,
+        sameSite: 'strict',
+        maxAge: 3600 * 1000
+      }));
+    });
+  });
+
+  describe('csrfProtection', () => {
+    it('should accept a matching cookie and header token', () => {
+      const token = issueToken();
+
+      csrfProtection(buildRequest({ cookieToken: token, headerToken: token }), {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should reject a request without the header token', () => {
+      csrfProtection(buildRequest({ cookieToken: issueToken() }), {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(CsrfError));
+    });
+
+    it('should reject a header token that does not match the cookie', () => {
+      csrfProtection(buildRequest({ cookieToken: issueToken(), headerToken: issueToken() }), {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(CsrfError));
+    });
+
+    it('should reject an expired token', () => {
+      const token = issueToken();
+      jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 3601 * 1000);
+
+      csrfProtection(buildRequest({ cookieToken: token, headerToken: token }), {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(CsrfError));
+    });
+
+    it('should reject a token with a tampered signature', () => {
+      const [nonce, expiresAt, signature] = issueToken().split('.');
+      const tampered = `${nonce}.${expiresAt}.${signature.startsWith('A') ? 'B' : 'A'}${signature.slice(1)}`;
+
+      csrfProtection(buildRequest({ cookieToken: tampered, headerToken: tampered }), {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(CsrfError));
+    });
+
+    it('should reject a token whose expiry was pushed back', () => {
+      const [nonce, expiresAt, signature] = issueToken().split('.');
+      const extended = `${nonce}.${parseInt(expiresAt, 10) + 86400000}.${signature}`;
+
+      csrfProtection(buildRequest({ cookieToken: extended, headerToken: extended }), {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(CsrfError));
+    });
+
+    it('should fail with a 403 CSRF_ERROR', () => {
+      csrfProtection(buildRequest(), {}, next);
+
+      const [error] = next.mock.calls[0];
+      expect(error).toBeInstanceOf(CsrfError);
+      expect(error.statusCode).toBe(403);
+      expect(error.toJSON()).toEqual({
+        success: false,
+        error: expect.objectContaining({
+          code: 'CSRF_ERROR',
+          message: 'Invalid or missing CSRF token',
+          statusCode: 403
+        })
+      });
+    });
+
+    it('should let safe methods through', () => {
+      csrfProtection(buildRequest({ method: 'GET' }), {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should exempt bearer-token clients', () => {
+      csrfProtection(buildRequest({ headers: { authorization: 'Bearer access_token' } }), {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should exempt guest cart session clients', () => {
+      csrfProtection(buildRequest({ headers: { 'x-cart-session': 'guest-session-0123456789' } }), {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    it('should not exempt a malformed cart session header', () => {
+      csrfProtection(buildRequest({ headers: { 'x-cart-session': 'short' } }), {}, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(CsrfError));
+    });
+
+    it('should exempt signed webhook routes', () => {
+      csrfProtection(buildRequest({ url: '/api/webhooks/stripe' }), {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+});
@@ -0,0 +1,175 @@
+// File: tests/unit/services/analytics.service.test.js
+// Generated: 2025-10-16 17:21:09 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_r8fa3kw6tb2f
+
+
+const Cart = require('../../../src/models/Cart');
+
+
+const Order = require('../../../src/models/Order');
+
+
+const OrderItem = require('../../../src/models/OrderItem');
+
+
+const Product = require('../../../src/models/Product');
+
+
+const analyticsService = require('../../../src/services/analytics.service');
+
+
+const mongoose = require('mongoose');
+
+const { ValidationError } = require('../../../src/utils/errors');
+
+// Mock dependencies
+jest.mock('../../../src/models/Cart');
+jest.mock('../../../src/models/Order');
+jest.mock('../../../src/models/OrderItem');
+jest.mock('../../../src/models/Product');
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/config/environment', () => ({
+  currency: { base: 'USD' }
+}));
+
+describe('AnalyticsService', () => {
+  const range = { from: '2025-09-01T00:00:00.000Z', to: '2025-09-30T23:59:59.999Z' };
+  const sellerId = new mongoose.Types.ObjectId().toString();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolveRange', () => {
+    it('should default to the last 30 days', () => {
+      const { start, end } = analyticsService.resolveRange();
+
+      expect(end.getTime() - start.getTime()).toBe(30 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should reject a range that ends before it starts', () => {
+      expect(() => analyticsService.resolveRange({ from: range.to, to: range.from })).toThrow(ValidationError);
+    });
+  });
+
+  describe('getSalesReport', () => {
+    it('should group paid orders by period and compute totals and average order value', async () => {
+      Order.aggregate.mockResolvedValue([
+        { _id: '2025-W36', orders: 2, revenue: 150 },
+        { _id: '2025-W37', orders: 1, revenue: 33.333 }
+      ]);
+
+      const report = await analyticsService.getSalesReport(range, { interval: 'week' });
+
+      const pipeline = Order.aggregate.mock.calls[0][0];
+      expect(pipeline[0].$match.status.$in).toEqual(
+        ['paid', 'processing', 'shipped', 'delivered', 'completed', 'refunded']
+      );
+      expect(pipeline[0].$match.createdAt).toEqual({ $gte: new Date(range.from), $lte: new Date(range.to) });
+      expect(pipeline[1].$project.revenue).toEqual({ $divide: ['$pricing.total', { $ifNull: ['$exchangeRate', 1] }] });
+      expect(pipeline[2].$group._id.$dateToString.format).toBe('%G-W%V');
+      expect(OrderItem.aggregate).not.toHaveBeenCalled();
+      expect(report.currency).toBe('USD');
+      expect(report.periods).toEqual([
+        { period: '2025-W36', orders: 2, revenue: 150, averageOrderValue: 75 },
+        { period: '2025-W37', orders: 1, revenue: 33.33, averageOrderValue: 33.33 }
+      ]);
+      expect(report.totals).toEqual({ orders: 3, revenue: 183.33, averageOrderValue: 61.11 });
+    });
+
+    it('should only count the seller\'s own order items', async () => {
+      OrderItem.aggregate.mockResolvedValue([]);
+
+      const report = await analyticsService.getSalesReport({ ...range, seller: sellerId });
+
+      const pipeline = OrderItem.aggregate.mock.calls[0][0];
+      expect(pipeline[0].$match.seller.toString()).toBe(sellerId);
+      expect(pipeline[1].$lookup).toEqual(expect.objectContaining({ from: 'orders', localField: 'order' }));
+      expect(Order.aggregate).not.toHaveBeenCalled();
+      expect(report.totals).toEqual({ orders: 0, revenue: 0, averageOrderValue: 0 });
+    });
+
+    it('should reject an unknown interval', async () => {
+      await expect(analyticsService.getSalesReport(range, { interval: 'hour' }))
+        .rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('getRefundReport', () => {
+    it('should report the share of orders and revenue refunded', async () => {
+      Order.aggregate.mockResolvedValue([{ orders: 8, refundedOrders: 2, revenue: 400, refundedAmount: 50 }]);
+
+      const report = await analyticsService.getRefundReport(range);
+
+      expect(report).toEqual(expect.objectContaining({
+        orders: 8,
+        refundedOrders: 2,
+        refundRate: 25,
+        revenue: 400,
+        refundedAmount: 50,
+        refundedRevenueShare: 12.5
+      }));
+    });
+  });
+
+  describe('getCartConversion', () => {
+    it('should count orders placed plus carts still holding items', async () => {
+      Order.aggregate.mockResolvedValue([{ orders: 3 }]);
+      Cart.countDocuments.mockResolvedValue(9);
+
+      const report = await analyticsService.getCartConversion(range);
+
+      expect(Cart.countDocuments).toHaveBeenCalledWith(expect.objectContaining({
+        status: { $in: ['active', 'abandoned'] },
+        'items.0': { $exists: true }
+      }));
+      expect(report).toEqual(expect.objectContaining({ carts: 12, orders: 3, openCarts: 9, conversionRate: 25 }));
+    });
+
+    it('should only count carts holding the seller\'s products', async () => {
+      OrderItem.aggregate.mockResolvedValue([]);
+      Product.distinct.mockResolvedValue(['prod1', 'prod2']);
+      Cart.countDocuments.mockResolvedValue(0);
+
+      const report = await analyticsService.getCartConversion({ ...range, seller: sellerId });
+
+      expect(Product.distinct.mock.calls[0][1].seller.toString()).toBe(sellerId);
+      expect(Cart.countDocuments.mock.calls[0][0]['items.productId']).toEqual({ $in: ['prod1', 'prod2'] });
+      expect(report.conversionRate).toBe(0);
+    });
+  });
+
+  describe('getCustomerReport', () => {
+    it('should look back before the range to tell new from returning customers', async () => {
+      Order.aggregate.mockResolvedValue([
+        { _id: 'new', customers: 3, orders: 4, revenue: 200 },
+        { _id: 'returning', customers: 1, orders: 2, revenue: 90.5 }
+      ]);
+
+      const report = await analyticsService.getCustomerReport(range);
+
+      const pipeline = Order.aggregate.mock.calls[0][0];
+      expect(pipeline[0].$match.createdAt).toEqual({ $lte: new Date(range.to) });
+      expect(report).toEqual(expect.objectContaining({
+        customers: 4,
+        new: { customers: 3, orders: 4, revenue: 200 },
+        returning: { customers: 1, orders: 2, revenue: 90.5 },
+        returningRate: 25
+      }));
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should export the rows of a report with a dated filename', () => {
+      const { filename, csv } = analyticsService.toCsv('sales', {
+        from: new Date(range.from),
+        to: new Date(range.to),
+        periods: [{ period: '2025-09-01', orders: 2, revenue: 150, averageOrderValue: 75 }]
+      });
+
+      expect(filename).toBe('sales-2025-09-01-to-2025-09-30.csv');
+      expect(csv).toBe('period,orders,revenue,averageOrderValue\r\n2025-09-01,2,150,75\r\n');
+    });
+  });
+});
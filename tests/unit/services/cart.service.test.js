@@ -13,6 +13,9 @@ const CartService = require('../../../src/services/cart.service');
 const Product = require('../../../src/models/Product');
 
 
+const promoCodeService = require('../../../src/services/promoCode.service');
+
+
 const logger = require('../../../src/utils/logger');
 
 
@@ -22,6 +25,7 @@ const redisService = require('../../../src/services/redis.service');
 jest.mock('../../../src/models/Cart');
 jest.mock('../../../src/models/Product');
 jest.mock('../../../src/services/redis.service');
+jest.mock('../../../src/services/promoCode.service');
 jest.mock('../../../src/utils/logger');
 
 describe('CartService', () => {
@@ -246,6 +250,43 @@ describe('CartService', () => {
     });
   });
 
+  describe('resolveVariant', () => {
+    const small = { _id: 'variant1', name: 'Small', sku: 'TEE-S' };
+    const large = { _id: 'variant2', name: 'Large', sku: 'TEE-L' };
+    const mockProduct = {
+      _id: mockProductId,
+      name: 'Tee',
+      variants: [small, large],
+      findVariant: jest.fn(id => [small, large].find(variant => variant._id === id) || null),
+      findVariantByOptions: jest.fn(options => (options.size === 'S' ? small : null))
+    };
+
+    it('should resolve a variant by ID', () => {
+      expect(cartService.resolveVariant(mockProduct, { variantId: 'variant2' })).toBe(large);
+    });
+
+    it('should resolve a variant by option values', () => {
+      expect(cartService.resolveVariant(mockProduct, { options: { size: 'S' } })).toBe(small);
+    });
+
+    it('should require a selection for products with variants', () => {
+      expect(() => cartService.resolveVariant(mockProduct, {})).toThrow('Please select options for Tee');
+    });
+
+    it('should reject unknown combinations and mismatched options', () => {
+      expect(() => cartService.resolveVariant(mockProduct, { options: { size: 'XL' } }))
+        .toThrow('This combination of options is not available');
+      expect(() => cartService.resolveVariant(mockProduct, { variantId: 'variant2', options: { size: 'S' } }))
+        .toThrow('Selected options do not match the selected variant');
+    });
+
+    it('should reject a selection for products without variants', () => {
+      expect(() => cartService.resolveVariant({ name: 'Mug', variants: [] }, { variantId: 'variant1' }))
+        .toThrow('Mug has no options to select');
+      expect(cartService.resolveVariant({ name: 'Mug', variants: [] })).toBeNull();
+    });
+  });
+
   describe('updateItemQuantity', () => {
     it('should update item quantity in cart', async () => {
       const mockProduct = {
@@ -482,6 +523,11 @@ describe('CartService', () => {
       Cart.findOne.mockReturnValue({
         populate: jest.fn().mockResolvedValue(mockCart)
       });
+      promoCodeService.validatePromoCode.mockResolvedValue({
+        promoCode: { code: 'SAVE10' },
+        discount: 20,
+        freeShipping: false
+      });
 
       const result = await cartService.applyPromoCode(mockUserId, 'SAVE10', 10);
 
@@ -0,0 +1,281 @@
+// File: tests/unit/services/cartRecovery.service.test.js
+// Generated: 2025-10-16 15:19:36 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_w3hc8nq2ka5e
+
+
+const Cart = require('../../../src/models/Cart');
+
+
+const CartRecovery = require('../../../src/models/CartRecovery');
+
+
+const Order = require('../../../src/models/Order');
+
+
+const User = require('../../../src/models/User');
+
+
+const cartRecoveryService = require('../../../src/services/cartRecovery.service');
+
+
+const emailService = require('../../../src/services/email.service');
+
+
+const promoCodeService = require('../../../src/services/promoCode.service');
+
+// Mock dependencies
+jest.mock('../../../src/models/Cart');
+jest.mock('../../../src/models/CartRecovery');
+jest.mock('../../../src/models/Order');
+jest.mock('../../../src/models/User');
+jest.mock('../../../src/services/cart.service');
+jest.mock('../../../src/services/email.service');
+jest.mock('../../../src/services/promoCode.service');
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/config/environment', () => ({
+  cartRecovery: {
+    abandonAfter: 60 * 60 * 1000,
+    reminderSchedule: [60 * 60 * 1000, 24 * 60 * 60 * 1000],
+    attributionWindow: 7 * 24 * 60 * 60 * 1000,
+    restoreSecret: 'test-restore-secret',
+    promoPercent: 10,
+    promoValidity: 3 * 24 * 60 * 60 * 1000
+  }
+}));
+
+const HOUR = 60 * 60 * 1000;
+
+const RECOVERY_ID = '64b000000000000000000001';
+
+describe('CartRecoveryService', () => {
+  const selectResolving = (value) => ({ select: jest.fn().mockResolvedValue(value) });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    Cart.find.mockReturnValue(selectResolving([]));
+    User.find.mockReturnValue(selectResolving([]));
+    CartRecovery.find.mockResolvedValue([]);
+    Order.find.mockReturnValue({
+      select: () => ({ sort: jest.fn().mockResolvedValue([]) })
+    });
+  });
+
+  describe('processAbandonedCarts', () => {
+    it('should mark idle user carts abandoned and open a recovery for each', async () => {
+      const lastActivity = new Date(Date.now() - 2 * HOUR);
+      Cart.find.mockReturnValueOnce(selectResolving([{
+        _id: 'cart1',
+        userId: 'user1',
+        lastActivity,
+        items: [{ price: 10, quantity: 2 }, { price: 5.5, quantity: 1 }]
+      }]));
+      User.find.mockReturnValueOnce(selectResolving([{ _id: 'user1', email: 'jane@example.com' }]));
+      CartRecovery.insertMany.mockResolvedValue([{ _id: RECOVERY_ID }]);
+
+      const result = await cartRecoveryService.processAbandonedCarts();
+
+      expect(Cart.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['cart1'] }, status: 'active' },
+        { $set: { status: 'abandoned' } }
+      );
+      expect(CartRecovery.insertMany).toHaveBeenCalledWith([{
+        cart: 'cart1',
+        user: 'user1',
+        email: 'jane@example.com',
+        abandonedAt: lastActivity,
+        cartValue: 25.5,
+        itemCount: 3
+      }], { ordered: false });
+      expect(result.abandoned).toBe(1);
+    });
+
+    it('should close the recovery as recovered once the user orders', async () => {
+      const recovery = {
+        _id: RECOVERY_ID,
+        user: 'user1',
+        cart: 'cart1',
+        abandonedAt: new Date(Date.now() - 2 * HOUR),
+        remindersSent: 1
+      };
+      const order = { _id: 'order1', user: 'user1', createdAt: new Date(), pricing: { total: 42 } };
+      CartRecovery.find.mockResolvedValueOnce([recovery]);
+      Order.find.mockReturnValue({ select: () => ({ sort: jest.fn().mockResolvedValue([order]) }) });
+
+      const result = await cartRecoveryService.processAbandonedCarts();
+
+      expect(CartRecovery.bulkWrite).toHaveBeenCalledWith([{
+        updateOne: {
+          filter: { _id: RECOVERY_ID, status: 'open' },
+          update: {
+            $set: { status: 'recovered', order: 'order1', orderTotal: 42, closedAt: order.createdAt }
+          }
+        }
+      }], { ordered: false });
+      expect(result.recovered).toBe(1);
+      expect(emailService.queueEmail).not.toHaveBeenCalled();
+    });
+
+    it('should send the due reminder with a restore link', async () => {
+      const recovery = {
+        _id: RECOVERY_ID,
+        user: 'user1',
+        cart: 'cart1',
+        email: 'jane@example.com',
+        abandonedAt: new Date(Date.now() - 2 * HOUR),
+        remindersSent: 0,
+        promoCode: null
+      };
+      CartRecovery.find.mockResolvedValue([recovery]);
+      Cart.find.mockReturnValueOnce(selectResolving([]));
+      Cart.find.mockResolvedValueOnce([{ _id: 'cart1', items: [{ name: 'Mug', price: 12, quantity: 2 }] }]);
+      User.find.mockReturnValue(selectResolving([{ _id: 'user1', firstName: 'Jane' }]));
+
+      const result = await cartRecoveryService.processAbandonedCarts();
+
+      expect(emailService.queueEmail).toHaveBeenCalledWith('abandoned_cart', 'jane@example.com', expect.objectContaining({
+        customerName: 'Jane',
+        cartTotal: 24,
+        reminderNumber: 1,
+        promoCode: null,
+        restoreUrl: expect.stringMatching(new RegExp(`/cart/restore\\?token=${RECOVERY_ID}\\.[a-f0-9]{64}$`))
+      }));
+      expect(promoCodeService.createPromoCode).not.toHaveBeenCalled();
+      expect(CartRecovery.updateOne).toHaveBeenCalledWith(
+        { _id: RECOVERY_ID },
+        { $set: { remindersSent: 1, lastReminderAt: expect.any(Date) } }
+      );
+      expect(result.reminded).toBe(1);
+    });
+
+    it('should add a single-use promo code to the last reminder', async () => {
+      const recovery = {
+        _id: RECOVERY_ID,
+        user: 'user1',
+        cart: 'cart1',
+        email: 'jane@example.com',
+        abandonedAt: new Date(Date.now() - 25 * HOUR),
+        remindersSent: 1,
+        promoCode: null
+      };
+      CartRecovery.find.mockResolvedValue([recovery]);
+      Cart.find.mockReturnValueOnce(selectResolving([]));
+      Cart.find.mockResolvedValueOnce([{ _id: 'cart1', items: [{ name: 'Mug', price: 12, quantity: 1 }] }]);
+      promoCodeService.createPromoCode.mockImplementation((data) => Promise.resolve({ code: data.code }));
+
+      await cartRecoveryService.processAbandonedCarts();
+
+      expect(promoCodeService.createPromoCode).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'percentage',
+        value: 10,
+        usageLimit: 1,
+        perUserLimit: 1
+      }), null);
+      const [, { $set: update }] = CartRecovery.updateOne.mock.calls[0];
+      expect(update.promoCode).toMatch(/^BACK[A-F0-9]{8}$/);
+      expect(update.remindersSent).toBe(2);
+      expect(emailService.queueEmail).toHaveBeenCalledWith('abandoned_cart', 'jane@example.com', expect.objectContaining({
+        reminderNumber: 2,
+        promoCode: update.promoCode,
+        promoPercent: 10
+      }));
+    });
+
+    it('should not remind carts that are active again', async () => {
+      CartRecovery.find.mockResolvedValue([{
+        _id: RECOVERY_ID,
+        user: 'user1',
+        cart: 'cart1',
+        abandonedAt: new Date(Date.now() - 2 * HOUR),
+        remindersSent: 0,
+        save: jest.fn()
+      }]);
+      Cart.find.mockReturnValueOnce(selectResolving([]));
+      // Only abandoned carts are loaded, so the active one is missing
+      Cart.find.mockResolvedValueOnce([]);
+
+      const result = await cartRecoveryService.processAbandonedCarts();
+
+      expect(emailService.queueEmail).not.toHaveBeenCalled();
+      expect(result.reminded).toBe(0);
+    });
+  });
+
+  describe('restoreCart', () => {
+    const restoreToken = () => cartRecoveryService._buildRestoreUrl(RECOVERY_ID).split('token=')[1];
+
+    it('should reactivate the cart and apply the reminder promo code', async () => {
+      const recovery = { _id: RECOVERY_ID, user: 'user1', cart: 'cart1', status: 'open', promoCode: 'BACK1234ABCD', save: jest.fn() };
+      const cart = { _id: 'cart1', userId: 'user1', status: 'abandoned', items: [{ price: 10, quantity: 1 }], save: jest.fn() };
+      CartRecovery.findById.mockResolvedValue(recovery);
+      Cart.findById.mockResolvedValue(cart);
+
+      const result = await cartRecoveryService.restoreCart('user1', restoreToken());
+
+      expect(cart.status).toBe('active');
+      expect(cart.save).toHaveBeenCalled();
+      expect(recovery.restoredAt).toBeInstanceOf(Date);
+      expect(cartRecoveryService.cartService.applyPromoCode).toHaveBeenCalledWith('user1', null, 'BACK1234ABCD');
+      expect(result.promoCode).toBe('BACK1234ABCD');
+    });
+
+    it('should reject a link of another user', async () => {
+      CartRecovery.findById.mockResolvedValue({ _id: RECOVERY_ID, user: 'user2', cart: 'cart1' });
+
+      await expect(cartRecoveryService.restoreCart('user1', restoreToken())).rejects.toThrow('Cart not found');
+      expect(Cart.findById).not.toHaveBeenCalled();
+    });
+
+    it('should reject a forged token', async () => {
+      await expect(cartRecoveryService.restoreCart('user1', `${RECOVERY_ID}.${'0'.repeat(64)}`))
+        .rejects.toThrow('Cart not found');
+      expect(CartRecovery.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRecoveryMetrics', () => {
+    it('should compute the recovery rate over closed recoveries', async () => {
+      CartRecovery.aggregate
+        .mockResolvedValueOnce([{
+          _id: null,
+          abandoned: 10,
+          abandonedValue: 1000,
+          reminded: 8,
+          remindersSent: 14,
+          restored: 4,
+          recovered: 3,
+          recoveredRevenue: 240.456,
+          open: 2,
+          expired: 5
+        }])
+        .mockResolvedValueOnce([{ _id: 1, count: 2, revenue: 150 }, { _id: 2, count: 1, revenue: 90.456 }]);
+
+      const metrics = await cartRecoveryService.getRecoveryMetrics({
+        from: '2025-09-01T00:00:00.000Z',
+        to: '2025-10-01T00:00:00.000Z'
+      });
+
+      expect(metrics).toEqual(expect.objectContaining({
+        abandoned: 10,
+        recovered: 3,
+        recoveredRevenue: 240.46,
+        recoveryRate: 37.5
+      }));
+      expect(metrics.recoveredByReminders).toEqual([
+        { remindersSent: 1, count: 2, revenue: 150 },
+        { remindersSent: 2, count: 1, revenue: 90.46 }
+      ]);
+      expect(metrics).not.toHaveProperty('_id');
+    });
+
+    it('should return zeros when nothing was abandoned', async () => {
+      CartRecovery.aggregate.mockResolvedValue([]);
+
+      const metrics = await cartRecoveryService.getRecoveryMetrics();
+
+      expect(metrics.abandoned).toBe(0);
+      expect(metrics.recoveryRate).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+// File: tests/unit/services/currency.service.test.js
+// Generated: 2025-10-16 16:02:38 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_k2vn7qd4mc8h
+
+
+const Currency = require('../../../src/models/Currency');
+
+
+const currencyService = require('../../../src/services/currency.service');
+
+
+const fs = require('fs').promises;
+
+// Mock dependencies
+jest.mock('../../../src/models/Currency');
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/config/environment', () => ({
+  currency: { base: 'USD', ratesFile: '/tmp/currencies.json', cacheTtl: 60 * 1000 }
+}));
+
+const CURRENCIES = [
+  { code: 'USD', name: 'US Dollar', symbol: '$', rate: 1, decimals: 2, isActive: true },
+  { code: 'EUR', name: 'Euro', symbol: '€', rate: 0.8, decimals: 2, isActive: true },
+  { code: 'JPY', name: 'Japanese Yen', symbol: '¥', rate: 150, decimals: 0, isActive: true },
+  { code: 'GBP', name: 'British Pound', symbol: '£', rate: 0.75, decimals: 2, isActive: false }
+];
+
+describe('CurrencyService', () => {
+  const leanResolving = (value) => ({ lean: jest.fn().mockResolvedValue(value) });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    Currency.find.mockReturnValue(leanResolving(CURRENCIES));
+    await currencyService.loadCurrencies(true);
+  });
+
+  describe('loadCurrencies', () => {
+    it('should seed the table from the rates file when the collection is empty', async () => {
+      Currency.find
+        .mockReturnValueOnce(leanResolving([]))
+        .mockReturnValueOnce(leanResolving(CURRENCIES));
+      jest.spyOn(fs, 'readFile').mockResolvedValue(JSON.stringify({ currencies: CURRENCIES }));
+      Currency.bulkWrite.mockResolvedValue({ upsertedCount: 4, modifiedCount: 0 });
+
+      const table = await currencyService.loadCurrencies(true);
+
+      expect(fs.readFile).toHaveBeenCalledWith('/tmp/currencies.json', 'utf8');
+      expect(Currency.bulkWrite).toHaveBeenCalledWith(expect.any(Array), { ordered: false });
+      expect(table.get('JPY').rate).toBe(150);
+    });
+  });
+
+  describe('getCurrency', () => {
+    it('should only offer active currencies', async () => {
+      expect(await currencyService.getCurrency('eur')).toEqual(expect.objectContaining({ code: 'EUR' }));
+      expect(await currencyService.getCurrency('GBP')).toBeNull();
+      expect(await currencyService.getCurrency('XYZ')).toBeNull();
+    });
+
+    it('should reject unsupported currencies when required', async () => {
+      await expect(currencyService.requireCurrency('GBP')).rejects.toThrow('Unsupported currency: GBP');
+    });
+  });
+
+  describe('convert', () => {
+    it('should convert through the base currency and round to the target decimals', () => {
+      expect(currencyService.convert(10, 'USD', 'EUR')).toBe(8);
+      expect(currencyService.convert(8, 'EUR', 'JPY')).toBe(1500);
+      expect(currencyService.convert(12.34, 'USD', 'JPY')).toBe(1851);
+    });
+
+    it('should still convert from deactivated currencies', () => {
+      expect(currencyService.convert(7.5, 'GBP', 'USD')).toBe(10);
+    });
+  });
+
+  describe('getProductPrice', () => {
+    const product = {
+      price: 20,
+      currency: 'USD',
+      prices: new Map([['EUR', 17.5]]),
+      getPrice: (variantId) => (variantId ? 25 : 20)
+    };
+
+    it('should prefer a fixed price set for the currency', () => {
+      expect(currencyService.getProductPrice(product, 'EUR')).toBe(17.5);
+    });
+
+    it('should convert when no fixed price is set', () => {
+      expect(currencyService.getProductPrice(product, 'JPY')).toBe(3000);
+    });
+
+    it('should convert variants with their own price', () => {
+      expect(currencyService.getProductPrice(product, 'EUR', 'variant1')).toBe(20);
+    });
+  });
+
+  describe('admin updates', () => {
+    it('should refuse a base currency rate other than 1', async () => {
+      await expect(currencyService.upsertCurrency('usd', { name: 'US Dollar', rate: 1.1 }))
+        .rejects.toThrow('The rate of the base currency USD must be 1');
+      expect(Currency.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to deactivate the base currency', async () => {
+      await expect(currencyService.deactivateCurrency('USD'))
+        .rejects.toThrow('The base currency cannot be deactivated');
+    });
+
+    it('should upsert imported rates', async () => {
+      Currency.bulkWrite.mockResolvedValue({ upsertedCount: 1, modifiedCount: 1 });
+
+      const result = await currencyService.importRates([
+        { code: 'eur', name: 'Euro', rate: 0.85 },
+        { code: 'CHF', name: 'Swiss Franc', symbol: 'CHF', rate: 0.9 }
+      ]);
+
+      expect(Currency.bulkWrite).toHaveBeenCalledWith([
+        expect.objectContaining({
+          updateOne: expect.objectContaining({
+            filter: { code: 'EUR' },
+            update: { $set: expect.objectContaining({ code: 'EUR', rate: 0.85, decimals: 2, isActive: true }) },
+            upsert: true
+          })
+        }),
+        expect.objectContaining({
+          updateOne: expect.objectContaining({ filter: { code: 'CHF' } })
+        })
+      ], { ordered: false });
+      expect(result).toEqual({ created: 1, updated: 1 });
+    });
+
+    it('should reject malformed entries', async () => {
+      await expect(currencyService.importRates([{ code: 'EURO', name: 'Euro', rate: 0.85 }]))
+        .rejects.toThrow('Invalid currency entry: EURO');
+      expect(Currency.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+});
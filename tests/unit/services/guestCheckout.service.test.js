@@ -0,0 +1,181 @@
+// File: tests/unit/services/guestCheckout.service.test.js
+// Generated: 2025-10-16 14:46:58 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_g7kd2vp4rx9f
+
+
+const Order = require('../../../src/models/Order');
+
+
+const User = require('../../../src/models/User');
+
+
+const authService = require('../../../src/services/auth.service');
+
+
+const emailService = require('../../../src/services/email.service');
+
+
+const guestCheckoutService = require('../../../src/services/guestCheckout.service');
+
+
+const orderService = require('../../../src/services/order.service');
+
+const { createLookupToken } = require('../../../src/utils/orderLookupToken');
+
+// Mock dependencies
+jest.mock('../../../src/models/Order');
+jest.mock('../../../src/models/User');
+jest.mock('../../../src/services/auth.service');
+jest.mock('../../../src/services/cart.service');
+jest.mock('../../../src/services/email.service');
+jest.mock('../../../src/services/order.service');
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/config/environment', () => ({
+  guestCheckout: { lookupSecret: 'test-lookup-secret', lookupLinkTtl: 60 * 60 * 1000 }
+}));
+
+describe('GuestCheckoutService', () => {
+  let order;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    order = {
+      _id: 'order1',
+      orderNumber: 'ORD-1001',
+      status: 'paid',
+      guest: { email: 'jane@example.com', firstName: 'Jane', lastName: 'Doe' }
+    };
+    Order.findOne.mockResolvedValue(order);
+  });
+
+  describe('placeOrder', () => {
+    it('should create the order from the session cart with the guest contact', async () => {
+      orderService.createOrder.mockResolvedValue(order);
+
+      await guestCheckoutService.placeOrder('sess_0123456789abcdef', {
+        email: ' Jane@Example.com ',
+        firstName: 'Jane',
+        shippingAddress: { city: 'Springfield' },
+        paymentMethod: 'stripe'
+      });
+
+      expect(orderService.createOrder).toHaveBeenCalledWith(null, {
+        shippingAddress: { city: 'Springfield' },
+        paymentMethod: 'stripe',
+        guest: {
+          email: 'jane@example.com',
+          firstName: 'Jane',
+          lastName: undefined,
+          sessionId: 'sess_0123456789abcdef'
+        }
+      });
+    });
+  });
+
+  describe('sendLookupLink', () => {
+    it('should email a signed link to the checkout address', async () => {
+      await guestCheckoutService.sendLookupLink('ORD-1001', 'JANE@example.com');
+
+      expect(Order.findOne).toHaveBeenCalledWith({
+        orderNumber: 'ORD-1001',
+        'guest.email': 'jane@example.com',
+        user: null
+      });
+      expect(emailService.sendGuestOrderLink).toHaveBeenCalledWith('jane@example.com', expect.objectContaining({
+        orderNumber: 'ORD-1001',
+        customerName: 'Jane',
+        orderUrl: expect.stringMatching(/\/orders\/guest\/ORD-1001\?email=jane%40example\.com&token=\d+\.[a-f0-9]{64}$/)
+      }));
+    });
+
+    it('should resolve quietly for unknown orders', async () => {
+      Order.findOne.mockResolvedValue(null);
+
+      await expect(guestCheckoutService.sendLookupLink('ORD-9999', 'jane@example.com')).resolves.toBeUndefined();
+      expect(emailService.sendGuestOrderLink).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getOrder', () => {
+    it('should return the order for a valid link', async () => {
+      const populate = jest.fn().mockResolvedValue(order);
+      Order.findOne.mockReturnValue({ populate });
+
+      const result = await guestCheckoutService.getOrder(
+        'ORD-1001',
+        'jane@example.com',
+        createLookupToken('ORD-1001', 'jane@example.com')
+      );
+
+      expect(result).toBe(order);
+    });
+
+    it('should reject a link signed for another email', async () => {
+      await expect(guestCheckoutService.getOrder(
+        'ORD-1001',
+        'jane@example.com',
+        createLookupToken('ORD-1001', 'mallory@example.com')
+      )).rejects.toThrow('Order not found');
+      expect(Order.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should reject an expired link', async () => {
+      await expect(guestCheckoutService.getOrder(
+        'ORD-1001',
+        'jane@example.com',
+        createLookupToken('ORD-1001', 'jane@example.com', -1000)
+      )).rejects.toThrow('Order not found');
+    });
+  });
+
+  describe('convertToAccount', () => {
+    const token = () => createLookupToken('ORD-1001', 'jane@example.com');
+
+    beforeEach(() => {
+      User.exists.mockResolvedValue(null);
+      authService.register.mockResolvedValue({ user: { _id: 'user1', email: 'jane@example.com' }, tokens: {} });
+      orderService.claimGuestOrders.mockResolvedValue(2);
+    });
+
+    it('should register the guest, verify the email and link their orders and cart', async () => {
+      const result = await guestCheckoutService.convertToAccount('ORD-1001', {
+        email: 'jane@example.com',
+        token: token(),
+        password: 'Str0ng!Passw0rd'
+      }, 'sess_0123456789abcdef');
+
+      expect(authService.register).toHaveBeenCalledWith({
+        email: 'jane@example.com',
+        password: 'Str0ng!Passw0rd',
+        firstName: 'Jane',
+        lastName: 'Doe'
+      });
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: 'user1' }, { $set: { isVerified: true } });
+      expect(orderService.claimGuestOrders).toHaveBeenCalledWith('user1', 'jane@example.com');
+      expect(guestCheckoutService.cartService.mergeCarts).toHaveBeenCalledWith('user1', 'sess_0123456789abcdef');
+      expect(result.linkedOrders).toBe(2);
+    });
+
+    it('should refuse when the email already has an account', async () => {
+      User.exists.mockResolvedValue({ _id: 'user9' });
+
+      await expect(guestCheckoutService.convertToAccount('ORD-1001', {
+        email: 'jane@example.com',
+        token: token(),
+        password: 'Str0ng!Passw0rd'
+      })).rejects.toThrow('An account with this email already exists');
+      expect(authService.register).not.toHaveBeenCalled();
+    });
+
+    it('should require a valid lookup token', async () => {
+      await expect(guestCheckoutService.convertToAccount('ORD-1001', {
+        email: 'jane@example.com',
+        token: '123.abc',
+        password: 'Str0ng!Passw0rd'
+      })).rejects.toThrow('Order not found');
+      expect(authService.register).not.toHaveBeenCalled();
+    });
+  });
+});
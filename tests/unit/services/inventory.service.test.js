@@ -0,0 +1,479 @@
+// File: tests/unit/services/inventory.service.test.js
+// Generated: 2025-10-16 12:31:52 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_m6tr2vq8yd4c
+
+
+const InventoryMovement = require('../../../src/models/InventoryMovement');
+
+
+const InventoryService = require('../../../src/services/inventory.service');
+
+
+const Product = require('../../../src/models/Product');
+
+
+const Seller = require('../../../src/models/Seller');
+
+
+const StockAlert = require('../../../src/models/StockAlert');
+
+
+const User = require('../../../src/models/User');
+
+
+const emailService = require('../../../src/services/email.service');
+
+
+const mongoose = require('mongoose');
+
+// Mock dependencies
+jest.mock('../../../src/models/InventoryMovement');
+jest.mock('../../../src/models/Product');
+jest.mock('../../../src/models/Seller');
+jest.mock('../../../src/models/StockAlert');
+jest.mock('../../../src/models/User');
+jest.mock('../../../src/services/email.service');
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/config/environment', () => ({
+  inventory: {
+    reservationTtl: 900000,
+    orderReservationTtl: 1800000,
+    reservationSweepInterval: 60000,
+    lowStockCheckInterval: 3600000,
+    lowStockAlertEmails: ['purchasing@example.com']
+  }
+}));
+
+describe('InventoryService', () => {
+  let inventoryService;
+  let mockSession;
+
+  const future = () => new Date(Date.now() + 60000);
+
+  /**
+   * Build an in-memory product document with the stock helpers the service uses
+   * @param {Object} overrides - Field overrides
+   * @returns {Object} Product stub
+   */
+  const buildProduct = (overrides = {}) => ({
+    _id: 'prod1',
+    inventory: { quantity: 10, trackInventory: true, allowBackorder: false },
+    reservations: [],
+    findVariant: () => null,
+    getStock() {
+      return this.inventory.quantity;
+    },
+    getReservedQuantity() {
+      return this.reservations
+        .filter(r => r.status === 'active' && r.expiresAt > new Date())
+        .reduce((sum, r) => sum + r.quantity, 0);
+    },
+    adjustStock(delta) {
+      this.inventory.quantity += delta;
+      return this.inventory.quantity;
+    },
+    save: jest.fn().mockResolvedValue(true),
+    ...overrides
+  });
+
+  const mockFindById = (product) => {
+    Product.findById.mockReturnValue({ session: jest.fn().mockResolvedValue(product) });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    inventoryService = new InventoryService();
+
+    mockSession = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(mockSession);
+  });
+
+  describe('reserveStock', () => {
+    it('should count active holds against available stock', async () => {
+      const product = buildProduct({
+        inventory: { quantity: 5, trackInventory: true, allowBackorder: false },
+        reservations: [{ reservationId: 'res_a', quantity: 4, status: 'active', expiresAt: future() }]
+      });
+      mockFindById(product);
+
+      await expect(inventoryService.reserveStock('prod1', 2)).rejects.toThrow('Insufficient stock available');
+      expect(product.save).not.toHaveBeenCalled();
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+    });
+
+    it('should record a hold tied to the cart', async () => {
+      const product = buildProduct();
+      mockFindById(product);
+
+      const result = await inventoryService.reserveStock('prod1', 3, { cartId: 'cart1' });
+
+      expect(product.reservations).toHaveLength(1);
+      expect(product.reservations[0]).toEqual(expect.objectContaining({
+        cartId: 'cart1',
+        quantity: 3,
+        status: 'active'
+      }));
+      expect(product.inventory.quantity).toBe(10);
+      expect(result.reservationId).toMatch(/^res_/);
+    });
+  });
+
+  describe('holdCartStock', () => {
+    it('should keep matching holds, release stale ones and reserve the rest', async () => {
+      jest.spyOn(inventoryService, 'getCartReservations').mockResolvedValue([
+        { reservationId: 'res_keep', productId: 'prod1', variantId: null, quantity: 2 },
+        { reservationId: 'res_stale', productId: 'prod2', variantId: null, quantity: 1 }
+      ]);
+      jest.spyOn(inventoryService, 'releaseReservation').mockResolvedValue({ success: true });
+      jest.spyOn(inventoryService, 'reserveStock').mockResolvedValue({
+        reservationId: 'res_new', productId: 'prod2', variantId: null, quantity: 3
+      });
+
+      const result = await inventoryService.holdCartStock('cart1', [
+        { productId: 'prod1', variantId: null, quantity: 2 },
+        { productId: 'prod2', variantId: null, quantity: 3 }
+      ]);
+
+      expect(inventoryService.releaseReservation).toHaveBeenCalledWith('res_stale');
+      expect(inventoryService.reserveStock).toHaveBeenCalledWith('prod2', 3, expect.objectContaining({ cartId: 'cart1' }));
+      expect(inventoryService.releaseReservation.mock.invocationCallOrder[0])
+        .toBeLessThan(inventoryService.reserveStock.mock.invocationCallOrder[0]);
+      expect(Product.updateMany).toHaveBeenCalledWith(
+        { 'reservations.reservationId': { $in: ['res_keep'] } },
+        expect.any(Object),
+        expect.any(Object)
+      );
+      expect(result.reservations.map(r => r.reservationId)).toEqual(['res_keep', 'res_new']);
+      expect(result.createdReservationIds).toEqual(['res_new']);
+    });
+
+    it('should release holds it created when a line cannot be held', async () => {
+      jest.spyOn(inventoryService, 'getCartReservations').mockResolvedValue([]);
+      jest.spyOn(inventoryService, 'releaseReservation').mockResolvedValue({ success: true });
+      jest.spyOn(inventoryService, 'reserveStock')
+        .mockResolvedValueOnce({ reservationId: 'res_1', productId: 'prod1', quantity: 1 })
+        .mockRejectedValueOnce(new Error('Insufficient stock available'));
+
+      await expect(inventoryService.holdCartStock('cart1', [
+        { productId: 'prod1', quantity: 1 },
+        { productId: 'prod2', quantity: 1 }
+      ])).rejects.toThrow('Insufficient stock available');
+
+      expect(inventoryService.releaseReservation).toHaveBeenCalledWith('res_1');
+    });
+  });
+
+  describe('confirmOrderReservations', () => {
+    it('should deduct stock for the order hold', async () => {
+      const product = buildProduct({
+        reservations: [{ reservationId: 'res_a', orderId: 'order1', quantity: 2, status: 'active', expiresAt: future() }]
+      });
+      mockFindById(product);
+
+      const result = await inventoryService.confirmOrderReservations('order1', [
+        { productId: 'prod1', variantId: null, quantity: 2 }
+      ]);
+
+      expect(result).toEqual({ confirmed: 1, allocated: 0, shortfalls: [] });
+      expect(product.inventory.quantity).toBe(8);
+      expect(product.reservations[0].status).toBe('confirmed');
+      expect(InventoryMovement.record).toHaveBeenCalledWith(
+        expect.objectContaining({ product: 'prod1', type: 'sale', quantity: -2, before: 10, order: 'order1' }),
+        { session: mockSession }
+      );
+    });
+
+    it('should allocate free stock when the hold already expired', async () => {
+      const product = buildProduct({
+        reservations: [{ reservationId: 'res_a', orderId: 'order1', quantity: 2, status: 'expired', expiresAt: new Date(0) }]
+      });
+      mockFindById(product);
+
+      const result = await inventoryService.confirmOrderReservations('order1', [
+        { productId: 'prod1', variantId: null, quantity: 2 }
+      ]);
+
+      expect(result.allocated).toBe(1);
+      expect(product.inventory.quantity).toBe(8);
+      expect(product.reservations[1]).toEqual(expect.objectContaining({ orderId: 'order1', status: 'confirmed' }));
+    });
+
+    it('should report a shortfall instead of overselling', async () => {
+      const product = buildProduct({
+        inventory: { quantity: 3, trackInventory: true, allowBackorder: false },
+        reservations: [{ reservationId: 'res_b', orderId: 'order2', quantity: 2, status: 'active', expiresAt: future() }]
+      });
+      mockFindById(product);
+
+      const result = await inventoryService.confirmOrderReservations('order1', [
+        { productId: 'prod1', variantId: null, quantity: 2 }
+      ]);
+
+      expect(result.shortfalls).toEqual([{ productId: 'prod1', variantId: null, requested: 2, available: 1 }]);
+      expect(product.inventory.quantity).toBe(3);
+    });
+
+    it('should not deduct twice when the webhook is retried', async () => {
+      const product = buildProduct({
+        reservations: [{ reservationId: 'res_a', orderId: 'order1', quantity: 2, status: 'confirmed', expiresAt: new Date(0) }]
+      });
+      mockFindById(product);
+
+      const result = await inventoryService.confirmOrderReservations('order1', [
+        { productId: 'prod1', variantId: null, quantity: 2 }
+      ]);
+
+      expect(result).toEqual({ confirmed: 0, allocated: 0, shortfalls: [] });
+      expect(product.inventory.quantity).toBe(10);
+      expect(InventoryMovement.record).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseOrderReservations', () => {
+    it('should release holds and restock confirmed ones on cancellation', async () => {
+      const product = buildProduct({
+        reservations: [
+          { reservationId: 'res_a', orderId: 'order1', quantity: 2, status: 'confirmed' },
+          { reservationId: 'res_b', orderId: 'order1', quantity: 1, status: 'active', expiresAt: future() },
+          { reservationId: 'res_c', orderId: 'order2', quantity: 5, status: 'active', expiresAt: future() }
+        ]
+      });
+      Product.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ _id: 'prod1' }]) });
+      mockFindById(product);
+
+      const result = await inventoryService.releaseOrderReservations('order1', { restock: true });
+
+      expect(result).toEqual({ released: 1, restocked: 1 });
+      expect(product.inventory.quantity).toBe(12);
+      expect(product.reservations.map(r => r.status)).toEqual(['released', 'released', 'active']);
+      expect(InventoryMovement.record).toHaveBeenCalledTimes(1);
+      expect(InventoryMovement.record).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'cancellation', quantity: 2, before: 10 }),
+        { session: mockSession }
+      );
+    });
+  });
+
+  describe('addStock', () => {
+    it('should record the restock in the ledger inside the transaction', async () => {
+      const product = buildProduct();
+      mockFindById(product);
+
+      const result = await inventoryService.addStock('prod1', 5, 'Supplier delivery', null, { userId: 'admin1' });
+
+      expect(result.newStock).toBe(15);
+      expect(InventoryMovement.record).toHaveBeenCalledWith({
+        product: 'prod1',
+        variantId: null,
+        type: 'restock',
+        quantity: 5,
+        before: 10,
+        reason: 'Supplier delivery',
+        order: null,
+        user: 'admin1'
+      }, { session: mockSession });
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+    });
+  });
+
+  describe('reconcileStock', () => {
+    const mockProducts = (products) => {
+      Product.find.mockReturnValue({ select: jest.fn().mockResolvedValue(products) });
+    };
+
+    it('should report stock that differs from the ledger total', async () => {
+      const product = buildProduct({ variants: [] });
+      mockProducts([product]);
+      InventoryMovement.aggregate.mockResolvedValue([
+        { _id: { product: 'prod1', variantId: null }, quantity: 7 }
+      ]);
+
+      const report = await inventoryService.reconcileStock();
+
+      expect(report.drift).toEqual([
+        expect.objectContaining({ productId: 'prod1', variantId: null, expected: 7, actual: 10, difference: 3 })
+      ]);
+      expect(report.corrected).toBe(0);
+      expect(product.save).not.toHaveBeenCalled();
+    });
+
+    it('should reset drifted stock to the ledger value when applying', async () => {
+      const product = buildProduct({ variants: [] });
+      mockProducts([product]);
+      InventoryMovement.aggregate.mockResolvedValue([
+        { _id: { product: 'prod1', variantId: null }, quantity: 7 }
+      ]);
+
+      const report = await inventoryService.reconcileStock({ apply: true });
+
+      expect(report.corrected).toBe(1);
+      expect(product.inventory.quantity).toBe(7);
+      expect(product.save).toHaveBeenCalled();
+    });
+
+    it('should treat stock without history as untracked and baseline it on request', async () => {
+      mockProducts([buildProduct({ variants: [] })]);
+      InventoryMovement.aggregate.mockResolvedValue([]);
+
+      const report = await inventoryService.reconcileStock({ baseline: true });
+
+      expect(report.drift).toEqual([]);
+      expect(report.untracked).toEqual([expect.objectContaining({ productId: 'prod1', actual: 10 })]);
+      expect(InventoryMovement.record).toHaveBeenCalledWith(expect.objectContaining({
+        product: 'prod1',
+        type: 'initial',
+        quantity: 10,
+        before: 0
+      }));
+      expect(report.baselined).toBe(1);
+    });
+  });
+
+  describe('releaseExpiredReservations', () => {
+    it('should expire overdue holds and prune settled ones', async () => {
+      const now = new Date('2025-10-16T12:00:00Z');
+      Product.updateMany
+        .mockResolvedValueOnce({ modifiedCount: 3 })
+        .mockResolvedValueOnce({ modifiedCount: 1 });
+
+      const result = await inventoryService.releaseExpiredReservations({ now });
+
+      const [filter, update, options] = Product.updateMany.mock.calls[0];
+      expect(filter.reservations.$elemMatch).toEqual({ status: 'active', expiresAt: { $lte: now } });
+      expect(update.$set['reservations.$[r].status']).toBe('expired');
+      expect(options.arrayFilters).toEqual([{ 'r.status': 'active', 'r.expiresAt': { $lte: now } }]);
+      expect(Product.updateMany.mock.calls[1][1].$pull).toBeDefined();
+      expect(result).toEqual({ expiredProducts: 3, prunedProducts: 1 });
+    });
+  });
+
+  describe('getLowStockProducts', () => {
+    it('should judge variant products per variant using the product threshold', async () => {
+      Product.find.mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          {
+            _id: 'prod1',
+            name: 'Tee',
+            sku: 'TEE',
+            inventory: { quantity: 0, lowStockThreshold: 5 },
+            variants: [
+              { _id: 'var1', name: 'Small', sku: 'TEE-S', inventory: 2 },
+              { _id: 'var2', name: 'Large', sku: 'TEE-L', inventory: 20 }
+            ]
+          },
+          { _id: 'prod2', name: 'Mug', sku: 'MUG', inventory: { quantity: 3, lowStockThreshold: 5 }, variants: [] }
+        ])
+      });
+
+      const lines = await inventoryService.getLowStockProducts();
+
+      const [filter] = Product.find.mock.calls[0];
+      expect(filter['inventory.trackInventory']).toBe(true);
+      expect(filter.$expr.$cond[2]).toEqual({ $lte: ['$inventory.quantity', '$inventory.lowStockThreshold'] });
+      expect(lines).toEqual([
+        expect.objectContaining({ productId: 'prod1', variantId: 'var1', sku: 'TEE-S', currentStock: 2, threshold: 5 }),
+        expect.objectContaining({ productId: 'prod2', variantId: null, currentStock: 3, threshold: 5 })
+      ]);
+    });
+  });
+
+  describe('processLowStockAlerts', () => {
+    /**
+     * Stub the open-alert lookup and the pending-digest query, in call order
+     * @param {Array} openAlerts - Alerts currently open
+     * @param {Array} pending - Open alerts not yet emailed
+     */
+    const mockAlerts = (openAlerts, pending) => {
+      StockAlert.find
+        .mockResolvedValueOnce(openAlerts)
+        .mockReturnValueOnce({ sort: () => ({ lean: jest.fn().mockResolvedValue(pending) }) });
+    };
+
+    beforeEach(() => {
+      User.find.mockReturnValue({
+        select: () => ({ lean: jest.fn().mockResolvedValue([{ email: 'Admin@example.com', firstName: 'Ada' }]) })
+      });
+    });
+
+    it('should open alerts for new low lines and email one digest per recipient', async () => {
+      jest.spyOn(inventoryService, 'getLowStockProducts').mockResolvedValue([
+        { productId: 'prod1', variantId: null, name: 'Mug', sku: 'MUG', currentStock: 3, threshold: 5 }
+      ]);
+      StockAlert.insertMany.mockResolvedValue([{ _id: 'alert1' }]);
+      mockAlerts([], [{ _id: 'alert1', name: 'Mug', sku: 'MUG', currentStock: 3, threshold: 5 }]);
+
+      const result = await inventoryService.processLowStockAlerts();
+
+      expect(StockAlert.insertMany).toHaveBeenCalledWith(
+        [expect.objectContaining({ product: 'prod1', stockAtAlert: 3, threshold: 5 })],
+        { ordered: false }
+      );
+      expect(emailService.sendLowStockDigest).toHaveBeenCalledTimes(2);
+      expect(emailService.sendLowStockDigest).toHaveBeenCalledWith('admin@example.com', expect.objectContaining({
+        recipientName: 'Ada',
+        items: [{ name: 'Mug', sku: 'MUG', currentStock: 3, threshold: 5 }]
+      }));
+      expect(StockAlert.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['alert1'] } },
+        { $set: { notifiedAt: expect.any(Date) } }
+      );
+      expect(result).toEqual({ opened: 1, resolved: 0, notified: 1, recipients: 2 });
+    });
+
+    it('should also send each approved seller a digest of their own products', async () => {
+      jest.spyOn(inventoryService, 'getLowStockProducts').mockResolvedValue([
+        { productId: 'prod1', variantId: null, name: 'Mug', sku: 'MUG', currentStock: 3, threshold: 5, sellerId: 'seller1' }
+      ]);
+      StockAlert.insertMany.mockResolvedValue([{ _id: 'alert1' }]);
+      mockAlerts([], [
+        { _id: 'alert1', seller: 'seller1', name: 'Mug', sku: 'MUG', currentStock: 3, threshold: 5 },
+        { _id: 'alert2', seller: null, name: 'Tee', sku: 'TEE', currentStock: 1, threshold: 5 }
+      ]);
+      Seller.find.mockReturnValue({
+        select: () => ({
+          lean: jest.fn().mockResolvedValue([{ _id: 'seller1', storeName: 'Mug Co', contactEmail: 'shop@mugco.com' }])
+        })
+      });
+
+      const result = await inventoryService.processLowStockAlerts();
+
+      expect(StockAlert.insertMany).toHaveBeenCalledWith(
+        [expect.objectContaining({ product: 'prod1', seller: 'seller1' })],
+        { ordered: false }
+      );
+      expect(Seller.find).toHaveBeenCalledWith({ _id: { $in: ['seller1'] }, status: 'approved' });
+      expect(emailService.sendLowStockDigest).toHaveBeenCalledTimes(3);
+      expect(emailService.sendLowStockDigest).toHaveBeenCalledWith('shop@mugco.com', expect.objectContaining({
+        recipientName: 'Mug Co',
+        items: [{ name: 'Mug', sku: 'MUG', currentStock: 3, threshold: 5 }]
+      }));
+      expect(result).toEqual({ opened: 1, resolved: 0, notified: 2, recipients: 3 });
+    });
+
+    it('should not re-alert open lines and should resolve recovered ones', async () => {
+      jest.spyOn(inventoryService, 'getLowStockProducts').mockResolvedValue([
+        { productId: 'prod1', variantId: null, name: 'Mug', currentStock: 1, threshold: 5 }
+      ]);
+      mockAlerts([
+        { _id: 'alert1', product: 'prod1', variantId: null },
+        { _id: 'alert2', product: 'prod2', variantId: null }
+      ], []);
+
+      const result = await inventoryService.processLowStockAlerts();
+
+      expect(StockAlert.insertMany).not.toHaveBeenCalled();
+      expect(StockAlert.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ['alert2'] } },
+        { $set: { status: 'resolved', resolvedAt: expect.any(Date) } }
+      );
+      expect(emailService.sendLowStockDigest).not.toHaveBeenCalled();
+      expect(result).toEqual({ opened: 0, resolved: 1, notified: 0, recipients: 0 });
+    });
+  });
+});
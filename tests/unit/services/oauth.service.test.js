@@ -0,0 +1,209 @@
+// File: tests/unit/services/oauth.service.test.js
+// Generated: 2025-10-16 19:42:51 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_w6zq3rk8vd2d
+
+
+const User = require('../../../src/models/User');
+
+
+const oauthService = require('../../../src/services/oauth.service');
+
+const { OidcProvider } = require('../../../src/utils/oauthProviders');
+
+const { createMockOidcServer } = require('../../helpers/mockOidcServer');
+
+const { AuthenticationError, ConflictError, NotFoundError } = require('../../../src/utils/errors');
+
+// Mock dependencies
+jest.mock('../../../src/models/User');
+jest.mock('../../../src/services/redis.service');
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/config/environment', () => ({
+  oauth: {
+    redirectUri: 'http://localhost:3000/oauth/callback',
+    stateTtl: 600,
+    providers: {}
+  },
+  features: { enableRegistration: true }
+}));
+
+describe('OAuthService', () => {
+  const userinfo = {
+    sub: 'idp-user-1',
+    email: 'Jane@Example.com',
+    email_verified: true,
+    given_name: 'Jane',
+    family_name: 'Doe'
+  };
+
+  let idp;
+  let redisStore;
+
+  beforeAll(async () => {
+    idp = await createMockOidcServer();
+
+    oauthService.registerProvider(new OidcProvider({
+      name: 'test-idp',
+      label: 'Test IdP',
+      issuer: idp.issuer,
+      clientId: idp.clientId,
+      clientSecret: idp.clientSecret
+    }));
+  });
+
+  afterAll(async () => {
+    await idp.close();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    redisStore = new Map();
+    oauthService.redisService.client = {
+      setex: jest.fn((key, ttl, value) => Promise.resolve(redisStore.set(key, value))),
+      get: jest.fn(key => Promise.resolve(redisStore.get(key) || null)),
+      del: jest.fn(key => Promise.resolve(redisStore.delete(key)))
+    };
+  });
+
+  describe('createAuthorizationRequest', () => {
+    it('should send the user to the provider with a PKCE challenge and a nonce', async () => {
+      const { authorizationUrl, state } = await oauthService.createAuthorizationRequest('test-idp');
+
+      const url = new URL(authorizationUrl);
+      expect(`${url.origin}${url.pathname}`).toBe(`${idp.issuer}/authorize`);
+      expect(Object.fromEntries(url.searchParams)).toEqual(expect.objectContaining({
+        response_type: 'code',
+        client_id: idp.clientId,
+        redirect_uri: 'http://localhost:3000/oauth/callback',
+        scope: 'openid email profile',
+        state,
+        code_challenge_method: 'S256',
+        code_challenge: expect.any(String),
+        nonce: expect.any(String)
+      }));
+
+      // The verifier stays on the server
+      const [, ttl, stored] = oauthService.redisService.client.setex.mock.calls[0];
+      expect(ttl).toBe(600);
+      expect(authorizationUrl).not.toContain(JSON.parse(stored).codeVerifier);
+    });
+
+    it('should reject providers that are not configured', async () => {
+      await expect(oauthService.createAuthorizationRequest('constructor')).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('completeAuthorization', () => {
+    it('should exchange the code with the PKCE verifier and return the verified profile', async () => {
+      const { authorizationUrl } = await oauthService.createAuthorizationRequest('test-idp');
+      const { code, state } = idp.authorize(authorizationUrl, userinfo);
+
+      const result = await oauthService.completeAuthorization(state, code);
+
+      expect(result).toEqual({
+        provider: 'test-idp',
+        profile: {
+          subject: 'idp-user-1',
+          email: 'Jane@Example.com',
+          emailVerified: true,
+          firstName: 'Jane',
+          lastName: 'Doe',
+          avatar: undefined
+        }
+      });
+    });
+
+    it('should accept each state only once', async () => {
+      const { authorizationUrl } = await oauthService.createAuthorizationRequest('test-idp');
+      const { code, state } = idp.authorize(authorizationUrl, userinfo);
+
+      await oauthService.completeAuthorization(state, code);
+
+      await expect(oauthService.completeAuthorization(state, code)).rejects.toThrow(AuthenticationError);
+    });
+
+    it('should reject an ID token minted for another sign-in', async () => {
+      const { authorizationUrl } = await oauthService.createAuthorizationRequest('test-idp');
+      const { code, state } = idp.authorize(authorizationUrl, userinfo, { ...userinfo, nonce: 'another-nonce' });
+
+      await expect(oauthService.completeAuthorization(state, code)).rejects.toThrow('nonce mismatch');
+    });
+
+    it('should read the email from userinfo when the ID token has none', async () => {
+      const { authorizationUrl } = await oauthService.createAuthorizationRequest('test-idp');
+      const { code, state } = idp.authorize(authorizationUrl, userinfo, { sub: userinfo.sub });
+
+      const { profile } = await oauthService.completeAuthorization(state, code);
+
+      expect(profile).toEqual(expect.objectContaining({ email: 'Jane@Example.com', emailVerified: true }));
+    });
+  });
+
+  describe('findOrCreateUser', () => {
+    const profile = {
+      subject: 'idp-user-1',
+      email: 'Jane@Example.com',
+      emailVerified: true,
+      firstName: 'Jane',
+      lastName: 'Doe'
+    };
+
+    it('should return the user already linked to the identity', async () => {
+      const user = { _id: 'user1' };
+      User.findOne.mockResolvedValueOnce(user);
+
+      await expect(oauthService.findOrCreateUser('test-idp', profile)).resolves.toBe(user);
+      expect(User.findOne).toHaveBeenCalledWith({
+        oauthAccounts: { $elemMatch: { provider: 'test-idp', subject: 'idp-user-1' } }
+      });
+    });
+
+    it('should link the identity to a verified account with the same email', async () => {
+      const user = { _id: 'user1', isVerified: true, save: jest.fn().mockResolvedValue() };
+      User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(user);
+
+      await oauthService.findOrCreateUser('test-idp', profile);
+
+      expect(User.findOne).toHaveBeenLastCalledWith({ email: 'jane@example.com' });
+      expect(user.oauthAccounts).toEqual([
+        expect.objectContaining({ provider: 'test-idp', subject: 'idp-user-1', email: 'jane@example.com' })
+      ]);
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it('should not link to an account whose email was never verified', async () => {
+      const user = { _id: 'user1', isVerified: false, save: jest.fn() };
+      User.findOne.mockResolvedValueOnce(null).mockResolvedValueOnce(user);
+
+      await expect(oauthService.findOrCreateUser('test-idp', profile)).rejects.toThrow(ConflictError);
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('should refuse identities without a verified email', async () => {
+      User.findOne.mockResolvedValueOnce(null);
+
+      await expect(oauthService.findOrCreateUser('test-idp', { ...profile, emailVerified: false }))
+        .rejects.toThrow(AuthenticationError);
+      expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('should create a verified customer for a new email', async () => {
+      User.findOne.mockResolvedValue(null);
+      User.create.mockImplementation(data => Promise.resolve({ _id: 'user2', ...data }));
+
+      const user = await oauthService.findOrCreateUser('test-idp', profile);
+
+      expect(user).toEqual(expect.objectContaining({
+        email: 'jane@example.com',
+        firstName: 'Jane',
+        lastName: 'Doe',
+        role: 'customer',
+        isVerified: true,
+        oauthAccounts: [expect.objectContaining({ provider: 'test-idp', subject: 'idp-user-1' })]
+      }));
+      expect(user.password).toHaveLength(64);
+    });
+  });
+});
@@ -30,6 +30,9 @@ jest.mock('../../../src/models/OrderItem');
 jest.mock('../../../src/models/Product');
 jest.mock('../../../src/services/cart.service');
 jest.mock('../../../src/services/inventory.service');
+jest.mock('../../../src/services/promoCode.service');
+jest.mock('../../../src/services/shipping.service');
+jest.mock('../../../src/services/tax.service');
 jest.mock('mongoose');
 
 describe('OrderService', () => {
@@ -0,0 +1,335 @@
+// File: tests/unit/services/payment.service.test.js
+// Generated: 2025-10-16 13:32:47 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_w2n7fq4ch8kd
+
+
+const Order = require('../../../src/models/Order');
+
+
+const OrderItem = require('../../../src/models/OrderItem');
+
+
+const Payment = require('../../../src/models/Payment');
+
+
+const PaymentService = require('../../../src/services/payment.service');
+
+
+const User = require('../../../src/models/User');
+
+
+const emailService = require('../../../src/services/email.service');
+
+// Mock dependencies
+jest.mock('../../../src/models/Order');
+jest.mock('../../../src/models/OrderItem');
+jest.mock('../../../src/models/Payment');
+jest.mock('../../../src/models/User');
+jest.mock('../../../src/services/email.service');
+jest.mock('../../../src/services/inventory.service');
+jest.mock('../../../src/services/paypal.service');
+jest.mock('../../../src/services/stripe.service');
+jest.mock('../../../src/utils/logger');
+
+describe('PaymentService refunds', () => {
+  let paymentService;
+  let order;
+
+  /**
+   * Build a captured Stripe payment for a 110.00 order
+   * (2 x 40.00 lamp + 1 x 10.00 bulb, 10.00 tax, 10.00 shipping)
+   * @param {Object} overrides - Field overrides
+   * @returns {Object} Payment stub
+   */
+  const buildPayment = (overrides = {}) => {
+    const payment = {
+      _id: 'pay1',
+      orderId: 'order1',
+      amount: 110,
+      currency: 'USD',
+      refundAmount: 0,
+      paymentStatus: 'completed',
+      paymentMethod: 'stripe',
+      transactionId: 'pi_1',
+      refunds: [],
+      ...overrides
+    };
+    payment.save = jest.fn().mockResolvedValue(payment);
+    return payment;
+  };
+
+  /**
+   * Make the conditional refund updates act on a payment stub
+   * @param {Object} payment - Payment stub
+   */
+  const mockPaymentUpdates = (payment) => {
+    Payment.findOneAndUpdate.mockImplementation((filter, update) => {
+      if (payment.refunds.some(refund => refund.refundId === filter['refunds.refundId'].$ne)) {
+        return Promise.resolve(null);
+      }
+      payment.refunds.push({ items: [], ...update.$push.refunds });
+      payment.refundAmount = Math.round((payment.refundAmount + update.$inc.refundAmount) * 100) / 100;
+      return Promise.resolve(payment);
+    });
+    Payment.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  };
+
+  const orderItems = [
+    { _id: 'item1', quantity: 2, refundedQuantity: 0, finalPrice: 40, tax: 5, productSnapshot: { name: 'Lamp', sku: 'LMP-1' } },
+    { _id: 'item2', quantity: 1, refundedQuantity: 1, finalPrice: 10, tax: 0, productSnapshot: { name: 'Bulb', sku: 'BLB-1' } }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    paymentService = new PaymentService();
+    paymentService.gateways.stripe.createRefund.mockResolvedValue({ refundId: 're_1', amount: 55, status: 'succeeded', currency: 'usd' });
+
+    order = {
+      _id: 'order1',
+      user: 'user1',
+      orderNumber: 'ORD-1001',
+      pricing: { shipping: 10, taxInclusive: false },
+      payment: {},
+      save: jest.fn().mockResolvedValue(true),
+      updateStatus: jest.fn().mockResolvedValue(true)
+    };
+
+    Order.findById.mockResolvedValue(order);
+    OrderItem.find.mockResolvedValue(orderItems);
+    OrderItem.getOrderDiscountRate.mockResolvedValue(0);
+    OrderItem.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    User.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ email: 'jane@example.com', firstName: 'Jane' })
+    });
+  });
+
+  describe('refundOrderItems', () => {
+    it('should refund items with their tax and shipping and keep the history', async () => {
+      const payment = buildPayment();
+      Payment.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(payment) });
+      Payment.findById.mockResolvedValue(payment);
+      mockPaymentUpdates(payment);
+
+      const result = await paymentService.refundOrderItems('order1', {
+        items: [{ orderItemId: 'item1', quantity: 1 }],
+        shipping: 10,
+        reason: 'Arrived damaged'
+      }, 'admin1');
+
+      expect(paymentService.gateways.stripe.createRefund).toHaveBeenCalledWith('pi_1', 55, 'USD');
+      expect(result.data).toEqual(expect.objectContaining({
+        refundId: 're_1',
+        amount: 55,
+        totalRefunded: 55,
+        paymentStatus: 'partially_refunded'
+      }));
+      expect(payment.refunds).toEqual([expect.objectContaining({
+        refundId: 're_1',
+        amount: 55,
+        tax: 5,
+        shipping: 10,
+        reason: 'Arrived damaged',
+        requestedBy: 'admin1',
+        items: [expect.objectContaining({ orderItem: 'item1', quantity: 1, unitPrice: 40, amount: 40, tax: 5 })]
+      })]);
+      expect(OrderItem.updateOne).toHaveBeenCalledWith(
+        {
+          _id: 'item1',
+          $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedQuantity', 0] }, 1] }, '$quantity'] }
+        },
+        { $inc: { refundedQuantity: 1 } }
+      );
+      expect(OrderItem.updateOne.mock.invocationCallOrder[0])
+        .toBeLessThan(paymentService.gateways.stripe.createRefund.mock.invocationCallOrder[0]);
+      expect(order.payment.status).toBe('partially_refunded');
+      expect(order.updateStatus).not.toHaveBeenCalled();
+      expect(emailService.sendRefundProcessed).toHaveBeenCalledWith('jane@example.com', expect.objectContaining({
+        orderNumber: 'ORD-1001',
+        refundAmount: 55,
+        tax: 5,
+        shipping: 10,
+        totalRefunded: 55,
+        items: [{ name: 'Lamp', sku: 'LMP-1', quantity: 1, price: 40 }]
+      }));
+    });
+
+    it('should refund the line amount after its share of the order discount', async () => {
+      const payment = buildPayment();
+      Payment.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(payment) });
+      Payment.findById.mockResolvedValue(payment);
+      mockPaymentUpdates(payment);
+      order.pricing.discount = 9;
+      OrderItem.getOrderDiscountRate.mockResolvedValue(0.1);
+
+      const result = await paymentService.refundOrderItems('order1', {
+        items: [{ orderItemId: 'item1', quantity: 1 }]
+      }, 'admin1');
+
+      expect(OrderItem.getOrderDiscountRate).toHaveBeenCalledWith(order);
+      expect(paymentService.gateways.stripe.createRefund).toHaveBeenCalledWith('pi_1', 41, 'USD');
+      expect(result.data.amount).toBe(41);
+      expect(payment.refunds).toEqual([expect.objectContaining({
+        items: [expect.objectContaining({ orderItem: 'item1', quantity: 1, unitPrice: 36, amount: 36, tax: 5 })]
+      })]);
+    });
+
+    it('should mark the payment refunded once successive refunds cover it', async () => {
+      const payment = buildPayment({
+        refundAmount: 55,
+        paymentStatus: 'partially_refunded',
+        refunds: [{ refundId: 're_0', amount: 55, shipping: 10 }]
+      });
+      Payment.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(payment) });
+      Payment.findById.mockResolvedValue(payment);
+      mockPaymentUpdates(payment);
+      OrderItem.find.mockResolvedValue([
+        { ...orderItems[0], refundedQuantity: 1 },
+        { ...orderItems[1], refundedQuantity: 0 }
+      ]);
+
+      const result = await paymentService.refundOrderItems('order1', {
+        items: [{ orderItemId: 'item1', quantity: 1 }, { orderItemId: 'item2', quantity: 1 }]
+      }, 'admin1');
+
+      expect(result.data.amount).toBe(55);
+      expect(result.data.totalRefunded).toBe(110);
+      expect(payment.refunds).toHaveLength(2);
+      expect(payment.paymentStatus).toBe('refunded');
+      expect(order.updateStatus).toHaveBeenCalledWith('refunded', 'Refund of 55 completed');
+    });
+
+    it('should not refund more units than remain unrefunded', async () => {
+      Payment.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(buildPayment()) });
+
+      await expect(paymentService.refundOrderItems('order1', {
+        items: [{ orderItemId: 'item2', quantity: 1 }]
+      }, 'admin1')).rejects.toThrow('Only 0 unit(s) of Bulb can still be refunded');
+      expect(paymentService.gateways.stripe.createRefund).not.toHaveBeenCalled();
+    });
+
+    it('should not refund units another refund claimed in the meantime', async () => {
+      Payment.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(buildPayment()) });
+      Payment.findById.mockResolvedValue(buildPayment());
+      OrderItem.find.mockResolvedValue([{ ...orderItems[0] }, { ...orderItems[1], refundedQuantity: 0 }]);
+      OrderItem.updateOne
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockResolvedValueOnce({ modifiedCount: 0 });
+
+      await expect(paymentService.refundOrderItems('order1', {
+        items: [{ orderItemId: 'item1', quantity: 1 }, { orderItemId: 'item2', quantity: 1 }]
+      }, 'admin1')).rejects.toThrow('1 unit(s) of Bulb can no longer be refunded');
+
+      expect(OrderItem.updateOne).toHaveBeenLastCalledWith({ _id: 'item1' }, { $inc: { refundedQuantity: -1 } });
+      expect(paymentService.gateways.stripe.createRefund).not.toHaveBeenCalled();
+    });
+
+    it('should give the units back when the gateway refund fails', async () => {
+      Payment.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(buildPayment()) });
+      Payment.findById.mockResolvedValue(buildPayment());
+      paymentService.gateways.stripe.createRefund.mockRejectedValue(new Error('Card network unavailable'));
+
+      await expect(paymentService.refundOrderItems('order1', {
+        items: [{ orderItemId: 'item1', quantity: 2 }]
+      }, 'admin1')).rejects.toThrow('Card network unavailable');
+
+      expect(OrderItem.updateOne).toHaveBeenLastCalledWith({ _id: 'item1' }, { $inc: { refundedQuantity: -2 } });
+      expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should not refund shipping twice', async () => {
+      Payment.findOne.mockReturnValue({
+        sort: jest.fn().mockResolvedValue(buildPayment({ refunds: [{ refundId: 're_0', amount: 10, shipping: 10 }] }))
+      });
+
+      await expect(paymentService.refundOrderItems('order1', { shipping: 5 }, 'admin1'))
+        .rejects.toThrow('Shipping refund cannot exceed 0');
+    });
+
+    it('should reject items that do not belong to the order', async () => {
+      Payment.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(buildPayment()) });
+
+      await expect(paymentService.refundOrderItems('order1', {
+        items: [{ orderItemId: 'item9', quantity: 1 }]
+      }, 'admin1')).rejects.toThrow('Order item');
+    });
+  });
+
+  describe('refund webhooks', () => {
+    it('should record a Stripe refund issued outside the API', async () => {
+      const payment = buildPayment({ refundAmount: 55, paymentStatus: 'partially_refunded', refunds: [{ refundId: 're_1', amount: 55 }] });
+      Payment.findOne.mockResolvedValue(payment);
+      mockPaymentUpdates(payment);
+
+      await paymentService._handleStripeRefund({
+        id: 'ch_1',
+        payment_intent: 'pi_1',
+        amount_refunded: 11000,
+        refunds: { data: [{ id: 're_2', status: 'succeeded' }] }
+      });
+
+      expect(payment.refunds[1]).toEqual(expect.objectContaining({ refundId: 're_2', amount: 55, source: 'gateway' }));
+      expect(payment.paymentStatus).toBe('refunded');
+      expect(order.updateStatus).toHaveBeenCalledWith('refunded', 'Refund of 55 completed');
+    });
+
+    it('should ignore Stripe webhooks for refunds already in the history', async () => {
+      const payment = buildPayment({ refundAmount: 55, paymentStatus: 'partially_refunded', refunds: [{ refundId: 're_1', amount: 55 }] });
+      Payment.findOne.mockResolvedValue(payment);
+
+      await paymentService._handleStripeRefund({
+        id: 'ch_1',
+        payment_intent: 'pi_1',
+        amount_refunded: 5500,
+        refunds: { data: [{ id: 're_1', status: 'succeeded' }] }
+      });
+
+      expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(payment.refunds).toHaveLength(1);
+    });
+
+    it('should keep the API details when the webhook recorded the refund first', async () => {
+      const payment = buildPayment();
+      Payment.findOne
+        .mockReturnValueOnce({ sort: jest.fn().mockResolvedValue(payment) })
+        .mockResolvedValueOnce(payment);
+      Payment.findById.mockResolvedValue(payment);
+      mockPaymentUpdates(payment);
+
+      // The webhook lands while the API call is waiting on the gateway
+      paymentService.gateways.stripe.createRefund.mockImplementation(async () => {
+        await paymentService._handleStripeRefund({
+          id: 'ch_1',
+          payment_intent: 'pi_1',
+          amount_refunded: 4500,
+          refunds: { data: [{ id: 're_1', status: 'succeeded' }] }
+        });
+        return { refundId: 're_1', amount: 45, status: 'succeeded', currency: 'usd' };
+      });
+
+      const result = await paymentService.refundOrderItems('order1', {
+        items: [{ orderItemId: 'item1', quantity: 1 }],
+        reason: 'Arrived damaged'
+      }, 'admin1');
+
+      expect(payment.refunds).toHaveLength(1);
+      expect(payment.refundAmount).toBe(45);
+      expect(result.data.totalRefunded).toBe(45);
+      expect(Payment.updateOne).toHaveBeenCalledWith(
+        { _id: 'pay1', 'refunds.refundId': 're_1' },
+        { $set: expect.objectContaining({ 'refunds.$.reason': 'Arrived damaged', 'refunds.$.source': 'api' }) }
+      );
+      expect(emailService.sendRefundProcessed).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ignore PayPal webhooks for refunds already in the history', async () => {
+      const payment = buildPayment({ paymentMethod: 'paypal', refundAmount: 20, paymentStatus: 'partially_refunded', refunds: [{ refundId: 'PP-R1', amount: 20 }] });
+      Payment.findOne.mockResolvedValue(payment);
+
+      await paymentService._handlePayPalRefund({ id: 'PP-R1', amount: { value: '20.00' }, status: 'COMPLETED' });
+
+      expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+});
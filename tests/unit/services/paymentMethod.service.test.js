@@ -0,0 +1,161 @@
+// File: tests/unit/services/paymentMethod.service.test.js
+// Generated: 2025-10-16 14:12:20 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_f5mz8qa1nw3d
+
+
+const User = require('../../../src/models/User');
+
+
+const paymentMethodService = require('../../../src/services/paymentMethod.service');
+
+// Mock dependencies
+jest.mock('../../../src/models/User');
+jest.mock('../../../src/services/stripe.service');
+jest.mock('../../../src/utils/logger');
+
+describe('PaymentMethodService', () => {
+  let user;
+  let stripe;
+
+  const card = {
+    id: 'pm_1',
+    customer: 'cus_1',
+    card: { brand: 'visa', last4: '4242', exp_month: 12, exp_year: 2030 }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    user = {
+      _id: 'user1',
+      email: 'jane@example.com',
+      firstName: 'Jane',
+      lastName: 'Doe',
+      stripeCustomerId: 'cus_1'
+    };
+    User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    stripe = paymentMethodService.stripe;
+    stripe.retrieveCustomer.mockResolvedValue({ invoice_settings: { default_payment_method: 'pm_1' } });
+    stripe.retrievePaymentMethod.mockResolvedValue(card);
+  });
+
+  describe('listPaymentMethods', () => {
+    it('should return card summaries with the default first', async () => {
+      stripe.listPaymentMethods.mockResolvedValue([
+        { ...card, id: 'pm_2', card: { ...card.card, last4: '1111' } },
+        card
+      ]);
+
+      const result = await paymentMethodService.listPaymentMethods('user1');
+
+      expect(result).toEqual([
+        { id: 'pm_1', brand: 'visa', last4: '4242', expMonth: 12, expYear: 2030, isDefault: true },
+        expect.objectContaining({ id: 'pm_2', last4: '1111', isDefault: false })
+      ]);
+    });
+
+    it('should return an empty wallet without creating a customer', async () => {
+      user.stripeCustomerId = undefined;
+
+      const result = await paymentMethodService.listPaymentMethods('user1');
+
+      expect(result).toEqual([]);
+      expect(stripe.createCustomer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createSetupIntent', () => {
+    it('should create the Stripe customer on first use', async () => {
+      user.stripeCustomerId = undefined;
+      stripe.createCustomer.mockResolvedValue({ id: 'cus_new' });
+      stripe.createSetupIntent.mockResolvedValue({ id: 'seti_1', client_secret: 'seti_1_secret' });
+
+      const result = await paymentMethodService.createSetupIntent('user1');
+
+      expect(stripe.createCustomer).toHaveBeenCalledWith({
+        email: 'jane@example.com',
+        name: 'Jane Doe',
+        userId: 'user1'
+      });
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: 'user1', stripeCustomerId: null },
+        { $set: { stripeCustomerId: 'cus_new' } }
+      );
+      expect(stripe.createSetupIntent).toHaveBeenCalledWith('cus_new', { userId: 'user1' });
+      expect(result).toEqual({ clientSecret: 'seti_1_secret', setupIntentId: 'seti_1' });
+    });
+
+    it('should use the customer a concurrent request linked first', async () => {
+      User.findById
+        .mockReturnValueOnce({ select: jest.fn().mockResolvedValue({ ...user, stripeCustomerId: undefined }) })
+        .mockReturnValueOnce({ select: jest.fn().mockResolvedValue(user) });
+      User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      stripe.createCustomer.mockResolvedValue({ id: 'cus_new' });
+      stripe.createSetupIntent.mockResolvedValue({ id: 'seti_1', client_secret: 'seti_1_secret' });
+
+      await paymentMethodService.createSetupIntent('user1');
+
+      expect(stripe.createSetupIntent).toHaveBeenCalledWith('cus_1', { userId: 'user1' });
+    });
+
+    it('should reuse an existing customer', async () => {
+      stripe.createSetupIntent.mockResolvedValue({ id: 'seti_2', client_secret: 'seti_2_secret' });
+
+      await paymentMethodService.createSetupIntent('user1');
+
+      expect(stripe.createCustomer).not.toHaveBeenCalled();
+      expect(stripe.createSetupIntent).toHaveBeenCalledWith('cus_1', { userId: 'user1' });
+    });
+  });
+
+  describe('addPaymentMethod', () => {
+    it('should attach a detached card and make the first card the default', async () => {
+      stripe.retrievePaymentMethod.mockResolvedValue({ ...card, customer: null });
+      stripe.attachPaymentMethod.mockResolvedValue(card);
+      stripe.retrieveCustomer.mockResolvedValue({ invoice_settings: {} });
+
+      const result = await paymentMethodService.addPaymentMethod('user1', 'pm_1');
+
+      expect(stripe.attachPaymentMethod).toHaveBeenCalledWith('pm_1', 'cus_1');
+      expect(stripe.updateCustomer).toHaveBeenCalledWith('cus_1', {
+        invoice_settings: { default_payment_method: 'pm_1' }
+      });
+      expect(result.isDefault).toBe(true);
+    });
+
+    it('should keep the current default unless asked', async () => {
+      stripe.retrievePaymentMethod.mockResolvedValue({ ...card, id: 'pm_2' });
+
+      const result = await paymentMethodService.addPaymentMethod('user1', 'pm_2');
+
+      expect(stripe.attachPaymentMethod).not.toHaveBeenCalled();
+      expect(stripe.updateCustomer).not.toHaveBeenCalled();
+      expect(result.isDefault).toBe(false);
+    });
+
+    it('should refuse a card attached to another customer', async () => {
+      stripe.retrievePaymentMethod.mockResolvedValue({ ...card, customer: 'cus_other' });
+
+      await expect(paymentMethodService.addPaymentMethod('user1', 'pm_1')).rejects.toThrow('Payment method');
+      expect(stripe.updateCustomer).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removePaymentMethod', () => {
+    it('should detach a card the user owns', async () => {
+      await paymentMethodService.removePaymentMethod('user1', 'pm_1');
+
+      expect(stripe.detachPaymentMethod).toHaveBeenCalledWith('pm_1');
+    });
+
+    it('should not detach another customer\'s card', async () => {
+      stripe.retrievePaymentMethod.mockResolvedValue({ ...card, customer: 'cus_other' });
+
+      await expect(paymentMethodService.removePaymentMethod('user1', 'pm_1')).rejects.toThrow('Payment method');
+      expect(stripe.detachPaymentMethod).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -16,8 +16,13 @@ const cloudinaryService = require('../../../src/services/cloudinary.service');
 const logger = require('../../../src/utils/logger');
 
 // Mock dependencies
+jest.mock('../../../src/models/InventoryMovement');
 jest.mock('../../../src/models/Product');
 jest.mock('../../../src/services/cloudinary.service');
+jest.mock('../../../src/services/review.service');
+jest.mock('../../../src/services/wishlist.service', () => ({
+  notifyProductChange: jest.fn()
+}));
 jest.mock('../../../src/utils/logger');
 
 describe('ProductService', () => {
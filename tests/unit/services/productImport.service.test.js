@@ -0,0 +1,217 @@
+// File: tests/unit/services/productImport.service.test.js
+// Generated: 2025-10-16 17:49:26 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_d4wq7nb2xs9e
+
+
+const Category = require('../../../src/models/Category');
+
+
+const ImportJob = require('../../../src/models/ImportJob');
+
+
+const Product = require('../../../src/models/Product');
+
+
+const ProductService = require('../../../src/services/product.service');
+
+
+const mongoose = require('mongoose');
+
+
+const productImportService = require('../../../src/services/productImport.service');
+
+const { ValidationError } = require('../../../src/utils/errors');
+
+// Mock dependencies
+jest.mock('../../../src/models/Category');
+jest.mock('../../../src/models/ImportJob');
+jest.mock('../../../src/models/Product');
+jest.mock('../../../src/services/product.service');
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/config/environment', () => ({
+  catalogImport: { maxRows: 3 }
+}));
+
+describe('ProductImportService', () => {
+  const mugsId = new mongoose.Types.ObjectId();
+  const kitchenId = new mongoose.Types.ObjectId();
+  const categoriesBySlug = new Map([['mugs', mugsId], ['kitchen', kitchenId]]);
+
+  /**
+   * Make Product.findOne(...).select(...).lean() resolve to a product
+   * @param {Object|null} product - Existing product, or null for a new SKU
+   */
+  const mockExistingProduct = (product) => {
+    Product.findOne.mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue(product)
+      })
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ProductService.prototype.createProduct.mockResolvedValue({ _id: 'prod1' });
+    ProductService.prototype.updateProduct.mockResolvedValue({ _id: 'prod1' });
+  });
+
+  describe('parseRows', () => {
+    it('should number CSV data rows from 1', () => {
+      const rows = productImportService.parseRows('sku,name\r\nMUG-1,Blue mug\r\nMUG-2,Red mug\r\n', 'csv');
+
+      expect(rows).toEqual([
+        { row: 1, data: { sku: 'MUG-1', name: 'Blue mug' } },
+        { row: 2, data: { sku: 'MUG-2', name: 'Red mug' } }
+      ]);
+    });
+
+    it('should turn JSON lines that do not parse into row errors', () => {
+      const rows = productImportService.parseRows('{"sku":"MUG-1"}\n{broken\n\n[1]\n', 'jsonl');
+
+      expect(rows).toEqual([
+        { row: 1, data: { sku: 'MUG-1' } },
+        { row: 2, error: 'Row is not valid JSON' },
+        { row: 3, error: 'Row must be a JSON object' }
+      ]);
+    });
+
+    it('should reject empty files and files over the row limit', () => {
+      expect(() => productImportService.parseRows('sku,name\r\n', 'csv')).toThrow(ValidationError);
+      expect(() => productImportService.parseRows('{}\n{}\n{}\n{}\n', 'jsonl')).toThrow('limited to 3 rows');
+    });
+  });
+
+  describe('importRow', () => {
+    const row = {
+      sku: 'mug-1',
+      name: 'Blue mug',
+      description: 'Stoneware mug',
+      price: '12.50',
+      stock: '40',
+      categories: 'mugs|Kitchen',
+      tags: 'blue|stoneware',
+      images: 'https://cdn.example.com/mug-1.jpg',
+      isFeatured: 'yes'
+    };
+
+    it('should create a product for a new SKU with categories resolved by slug', async () => {
+      mockExistingProduct(null);
+
+      const outcome = await productImportService.importRow(row, categoriesBySlug);
+
+      expect(outcome).toBe('created');
+      expect(Product.findOne).toHaveBeenCalledWith({ sku: 'MUG-1' });
+      expect(ProductService.prototype.createProduct).toHaveBeenCalledWith(expect.objectContaining({
+        sku: 'MUG-1',
+        name: 'Blue mug',
+        price: 12.5,
+        categories: [mugsId, kitchenId],
+        category: mugsId,
+        tags: ['blue', 'stoneware'],
+        images: [{ url: 'https://cdn.example.com/mug-1.jpg', alt: 'Blue mug', isPrimary: true }],
+        inventory: { quantity: 40 },
+        isFeatured: true
+      }));
+      expect(ProductService.prototype.updateProduct).not.toHaveBeenCalled();
+    });
+
+    it('should only update the given fields of an existing product and keep its inventory settings', async () => {
+      mockExistingProduct({ _id: 'prod1', name: 'Blue mug', inventory: { quantity: 5, lowStockThreshold: 2, trackInventory: true } });
+
+      const outcome = await productImportService.importRow({ sku: 'MUG-1', price: '14', stock: '12' }, categoriesBySlug);
+
+      expect(outcome).toBe('updated');
+      expect(ProductService.prototype.updateProduct).toHaveBeenCalledWith('prod1', {
+        sku: 'MUG-1',
+        price: 14,
+        inventory: { quantity: 12, lowStockThreshold: 2, trackInventory: true }
+      });
+    });
+
+    it('should reject unknown category slugs', async () => {
+      await expect(productImportService.importRow({ ...row, categories: 'mugs|teapots' }, categoriesBySlug))
+        .rejects.toThrow('Unknown category: teapots');
+      expect(Product.findOne).not.toHaveBeenCalled();
+    });
+
+    it('should reject rows the product validators reject', async () => {
+      mockExistingProduct(null);
+
+      const error = await productImportService.importRow({ ...row, price: '-3' }, categoriesBySlug)
+        .catch(rowError => rowError);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.metadata.fields).toContain('price: Price must be a positive number');
+      expect(ProductService.prototype.createProduct).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runImport', () => {
+    it('should import every row and record the rejected ones on the job', async () => {
+      Category.find.mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue([{ _id: mugsId, slug: 'mugs' }])
+        })
+      });
+      ImportJob.updateOne.mockResolvedValue({});
+      mockExistingProduct({ _id: 'prod1', name: 'Blue mug', inventory: { quantity: 5 } });
+
+      const counts = await productImportService.runImport('job1', [
+        { row: 1, data: { sku: 'MUG-1', price: '14', categories: 'Mugs' } },
+        { row: 2, data: { name: 'No SKU' } },
+        { row: 3, error: 'Row is not valid JSON' }
+      ]);
+
+      expect(Category.find).toHaveBeenCalledWith({ slug: { $in: ['mugs'] } });
+      expect(counts).toEqual({ processedRows: 3, created: 0, updated: 1, failed: 2 });
+
+      const [, finalUpdate] = ImportJob.updateOne.mock.calls[ImportJob.updateOne.mock.calls.length - 1];
+      expect(finalUpdate.$set).toEqual(expect.objectContaining({
+        status: 'completed',
+        updated: 1,
+        failed: 2,
+        rowErrors: [
+          { row: 2, sku: undefined, messages: ['SKU is required'] },
+          { row: 3, sku: undefined, messages: ['Row is not valid JSON'] }
+        ]
+      }));
+    });
+  });
+
+  describe('exportProducts', () => {
+    it('should write a CSV header and one line per product with list cells joined', async () => {
+      const cursor = [{
+        sku: 'MUG-1',
+        name: 'Blue mug, large',
+        price: 12.5,
+        inventory: { quantity: 40, lowStockThreshold: 5 },
+        categories: [{ slug: 'mugs' }, null],
+        tags: ['blue', 'stoneware'],
+        images: [{ url: 'https://cdn.example.com/mug-1.jpg' }],
+        isActive: true,
+        isFeatured: false
+      }];
+      const query = {
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        populate: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockReturnThis(),
+        cursor: jest.fn().mockReturnValue(cursor)
+      };
+      Product.find.mockReturnValue(query);
+
+      const chunks = [];
+      for await (const chunk of productImportService.exportProducts('csv', { isActive: true })) {
+        chunks.push(chunk);
+      }
+
+      expect(Product.find).toHaveBeenCalledWith({ isActive: true });
+      expect(query.populate).toHaveBeenCalledWith('categories', 'slug');
+      expect(chunks).toEqual([
+        'sku,name,description,price,compareAtPrice,prices,stock,lowStockThreshold,categories,tags,brand,images,taxClass,weight,isActive,isFeatured\r\n',
+        'MUG-1,"Blue mug, large",,12.5,,,40,5,mugs,blue|stoneware,,https://cdn.example.com/mug-1.jpg,,,true,false\r\n'
+      ]);
+    });
+  });
+});
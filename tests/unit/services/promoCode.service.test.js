@@ -0,0 +1,204 @@
+// File: tests/unit/services/promoCode.service.test.js
+// Generated: 2025-10-16 11:00:07 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_p7rmc0d3x2qf
+
+
+const PromoCode = require('../../../src/models/PromoCode');
+
+
+const promoCodeService = require('../../../src/services/promoCode.service');
+
+// Mock dependencies
+jest.mock('../../../src/models/PromoCode');
+jest.mock('../../../src/models/Product');
+jest.mock('../../../src/utils/logger');
+
+/**
+ * Build a promo code stub with the model's scope and validity helpers
+ * @param {Object} overrides - Field overrides
+ * @returns {Object} Promo code stub
+ */
+const buildPromoCode = (overrides = {}) => ({
+  _id: 'promo123',
+  code: 'SAVE10',
+  type: 'percentage',
+  value: 10,
+  maxDiscount: null,
+  minSubtotal: 0,
+  perUserLimit: null,
+  isExhausted: false,
+  applicableProducts: [],
+  applicableCategories: [],
+  getDiscountPercentage: 100,
+  isWithinValidityWindow: jest.fn().mockReturnValue(true),
+  appliesToProduct: jest.fn().mockReturnValue(true),
+  ...overrides
+});
+
+describe('PromoCodeService', () => {
+  const mockUserId = '507f1f77bcf86cd799439011';
+  const items = [
+    { productId: 'prod1', price: 50, quantity: 2 },
+    { productId: 'prod2', price: 20, quantity: 1 }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('calculateDiscount', () => {
+    it('should apply a percentage discount to the eligible subtotal', () => {
+      const result = promoCodeService.calculateDiscount(buildPromoCode(), items);
+
+      expect(result).toEqual({ discount: 12, freeShipping: false, eligibleSubtotal: 120 });
+    });
+
+    it('should cap a percentage discount at maxDiscount', () => {
+      const promoCode = buildPromoCode({ value: 50, maxDiscount: 25 });
+
+      const result = promoCodeService.calculateDiscount(promoCode, items);
+
+      expect(result.discount).toBe(25);
+    });
+
+    it('should not let a fixed amount exceed the eligible subtotal', () => {
+      const promoCode = buildPromoCode({ type: 'fixed_amount', value: 500 });
+
+      const result = promoCodeService.calculateDiscount(promoCode, items);
+
+      expect(result.discount).toBe(120);
+    });
+
+    it('should grant free shipping without a discount', () => {
+      const promoCode = buildPromoCode({ type: 'free_shipping', value: 0 });
+
+      const result = promoCodeService.calculateDiscount(promoCode, items);
+
+      expect(result).toEqual({ discount: 0, freeShipping: true, eligibleSubtotal: 120 });
+    });
+
+    it('should discount the cheapest units for buy X get Y', () => {
+      const promoCode = buildPromoCode({ type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 });
+
+      const result = promoCodeService.calculateDiscount(promoCode, items);
+
+      expect(result.discount).toBe(20);
+    });
+
+    it('should only discount items within the code scope', () => {
+      const promoCode = buildPromoCode({
+        appliesToProduct: jest.fn(productId => productId === 'prod2')
+      });
+
+      const result = promoCodeService.calculateDiscount(promoCode, items);
+
+      expect(result).toEqual({ discount: 2, freeShipping: false, eligibleSubtotal: 20 });
+    });
+  });
+
+  describe('validatePromoCode', () => {
+    it('should return the promo code and computed discount', async () => {
+      const promoCode = buildPromoCode();
+      PromoCode.findActiveByCode.mockResolvedValue(promoCode);
+
+      const result = await promoCodeService.validatePromoCode('save10', { userId: mockUserId, items });
+
+      expect(PromoCode.findActiveByCode).toHaveBeenCalledWith('save10');
+      expect(result.promoCode).toBe(promoCode);
+      expect(result.discount).toBe(12);
+    });
+
+    it('should reject an unknown code', async () => {
+      PromoCode.findActiveByCode.mockResolvedValue(null);
+
+      await expect(
+        promoCodeService.validatePromoCode('NOPE', { userId: mockUserId, items })
+      ).rejects.toThrow('Invalid promo code');
+    });
+
+    it('should reject a code outside its validity window', async () => {
+      PromoCode.findActiveByCode.mockResolvedValue(buildPromoCode({
+        isWithinValidityWindow: jest.fn().mockReturnValue(false)
+      }));
+
+      await expect(
+        promoCodeService.validatePromoCode('SAVE10', { userId: mockUserId, items })
+      ).rejects.toThrow('Promo code has expired or is not yet active');
+    });
+
+    it('should reject a code that reached its usage limit', async () => {
+      PromoCode.findActiveByCode.mockResolvedValue(buildPromoCode({ isExhausted: true }));
+
+      await expect(
+        promoCodeService.validatePromoCode('SAVE10', { userId: mockUserId, items })
+      ).rejects.toThrow('Promo code usage limit has been reached');
+    });
+
+    it('should enforce the per-user limit', async () => {
+      PromoCode.findActiveByCode.mockResolvedValue(buildPromoCode({ perUserLimit: 1 }));
+      PromoCode.countUserRedemptions.mockResolvedValue(1);
+
+      await expect(
+        promoCodeService.validatePromoCode('SAVE10', { userId: mockUserId, items })
+      ).rejects.toThrow('You have already used this promo code');
+      expect(PromoCode.countUserRedemptions).toHaveBeenCalledWith('promo123', mockUserId);
+    });
+
+    it('should count guest redemptions by checkout email', async () => {
+      PromoCode.findActiveByCode.mockResolvedValue(buildPromoCode({ perUserLimit: 1 }));
+      PromoCode.countUserRedemptions.mockResolvedValue(1);
+
+      await expect(
+        promoCodeService.validatePromoCode('SAVE10', { email: 'guest@example.com', items })
+      ).rejects.toThrow('You have already used this promo code');
+      expect(PromoCode.countUserRedemptions).toHaveBeenCalledWith('promo123', null, 'guest@example.com');
+    });
+
+    it('should enforce the minimum subtotal', async () => {
+      PromoCode.findActiveByCode.mockResolvedValue(buildPromoCode({ minSubtotal: 200 }));
+
+      await expect(
+        promoCodeService.validatePromoCode('SAVE10', { userId: mockUserId, items })
+      ).rejects.toThrow('A minimum subtotal of 200 is required for this promo code');
+    });
+  });
+
+  describe('redeemPromoCode', () => {
+    it('should fail when the usage limit was reached concurrently', async () => {
+      PromoCode.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(
+        promoCodeService.redeemPromoCode('SAVE10', { userId: mockUserId, orderId: 'order1', discount: 12 })
+      ).rejects.toThrow('Promo code is no longer available');
+    });
+
+    it('should enforce the per-user limit in the same atomic update', async () => {
+      PromoCode.findOneAndUpdate.mockResolvedValue({ code: 'SAVE10' });
+
+      await promoCodeService.redeemPromoCode('save10', { userId: mockUserId, orderId: 'order1', discount: 12 });
+
+      const [filter, update] = PromoCode.findOneAndUpdate.mock.calls[0];
+      const [, perUser] = filter.$and;
+      expect(perUser.$or[0]).toEqual({ perUserLimit: null });
+      expect(perUser.$or[1].$expr.$lt[1]).toBe('$perUserLimit');
+      expect(update.$push.redemptions).toEqual(expect.objectContaining({ user: mockUserId, order: 'order1' }));
+    });
+
+    it('should key guest redemptions by email', async () => {
+      PromoCode.findOneAndUpdate.mockResolvedValue({ code: 'SAVE10' });
+
+      await promoCodeService.redeemPromoCode('SAVE10', {
+        userId: null,
+        email: ' Guest@Example.com ',
+        orderId: 'order1',
+        discount: 12
+      });
+
+      const [filter, update] = PromoCode.findOneAndUpdate.mock.calls[0];
+      const { cond } = filter.$and[1].$or[1].$expr.$lt[0].$size.$filter;
+      expect(cond).toEqual({ $eq: ['$$redemption.email', 'guest@example.com'] });
+      expect(update.$push.redemptions).toEqual({ user: null, email: 'guest@example.com', order: 'order1', discount: 12 });
+    });
+  });
+});
@@ -0,0 +1,250 @@
+// File: tests/unit/services/return.service.test.js
+// Generated: 2025-10-16 13:14:02 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_v5rq8mz3kc2e
+
+
+const Order = require('../../../src/models/Order');
+
+
+const OrderItem = require('../../../src/models/OrderItem');
+
+
+const Payment = require('../../../src/models/Payment');
+
+
+const returnService = require('../../../src/services/return.service');
+
+// Mock dependencies
+jest.mock('../../../src/models/InventoryMovement');
+jest.mock('../../../src/models/Order');
+jest.mock('../../../src/models/OrderItem');
+jest.mock('../../../src/models/Payment');
+jest.mock('../../../src/services/inventory.service');
+jest.mock('../../../src/services/payment.service');
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/config/environment', () => ({
+  returns: { windowDays: 30 }
+}));
+
+describe('ReturnService', () => {
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  /**
+   * Build an order item stub whose model methods move returnInfo.status along
+   * @param {Object} returnInfo - Return state overrides
+   * @returns {Object} Order item stub
+   */
+  const buildItem = (returnInfo = {}) => {
+    const item = {
+      _id: 'item1',
+      order: 'order1',
+      product: 'prod1',
+      variantId: null,
+      quantity: 2,
+      finalPrice: 20,
+      tax: 5,
+      productSnapshot: { name: 'Mug', sku: 'MUG-1' },
+      status: 'delivered',
+      tracking: {},
+      returnInfo: { requested: false, ...returnInfo }
+    };
+
+    item.requestReturn = jest.fn((reason, { quantity, rmaNumber }) => {
+      Object.assign(item.returnInfo, { requested: true, status: 'requested', reason, quantity: quantity || 2, rmaNumber });
+      return Promise.resolve(item);
+    });
+    item.markAsRefunded = jest.fn((refundId) => {
+      Object.assign(item.returnInfo, { status: 'refunded', refundId });
+      return Promise.resolve(item);
+    });
+    item.approveReturn = jest.fn().mockResolvedValue(item);
+    item.getMaxReturnRefund = jest.fn((discountRate = 0) => Math.round((20 * (1 - discountRate) + 5) * 2 * 100) / 100);
+
+    return item;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    Order.findById.mockResolvedValue({ _id: 'order1', pricing: { discount: 0 } });
+    OrderItem.getOrderDiscountRate.mockResolvedValue(0);
+  });
+
+  describe('requestReturn', () => {
+    it('should issue an RMA number for an item delivered within the window', async () => {
+      const item = buildItem();
+      Order.findOne.mockResolvedValue({ _id: 'order1', status: 'delivered', tracking: { deliveredAt: daysAgo(5) } });
+      OrderItem.findOne.mockResolvedValue(item);
+
+      await returnService.requestReturn('user1', {
+        orderId: 'order1',
+        orderItemId: 'item1',
+        quantity: 1,
+        reason: 'Wrong size'
+      });
+
+      expect(Order.findOne).toHaveBeenCalledWith({ _id: 'order1', user: 'user1' });
+      expect(item.requestReturn).toHaveBeenCalledWith('Wrong size', {
+        quantity: 1,
+        rmaNumber: expect.stringMatching(/^RMA-\d{8}-[0-9A-F]{6}$/)
+      });
+    });
+
+    it('should refuse returns after the return window', async () => {
+      const item = buildItem();
+      Order.findOne.mockResolvedValue({ _id: 'order1', status: 'delivered', tracking: { deliveredAt: daysAgo(31) } });
+      OrderItem.findOne.mockResolvedValue(item);
+
+      await expect(returnService.requestReturn('user1', {
+        orderId: 'order1',
+        orderItemId: 'item1',
+        reason: 'Changed my mind'
+      })).rejects.toThrow('Returns must be requested within 30 days of delivery');
+      expect(item.requestReturn).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a second return for the same item', async () => {
+      Order.findOne.mockResolvedValue({ _id: 'order1', status: 'delivered', tracking: { deliveredAt: daysAgo(1) } });
+      OrderItem.findOne.mockResolvedValue(buildItem({ requested: true, rmaNumber: 'RMA-20251016-ABCDEF' }));
+
+      await expect(returnService.requestReturn('user1', {
+        orderId: 'order1',
+        orderItemId: 'item1',
+        reason: 'Broken'
+      })).rejects.toThrow('A return has already been requested for this item');
+    });
+  });
+
+  describe('approveReturn', () => {
+    it('should not approve a refund above the item value', async () => {
+      const item = buildItem({ requested: true, status: 'requested' });
+      OrderItem.findOne.mockResolvedValue(item);
+
+      await expect(returnService.approveReturn('RMA-20251016-ABCDEF', { refundAmount: 80 }, 'admin1'))
+        .rejects.toThrow('Refund amount cannot exceed 50');
+      expect(item.approveReturn).not.toHaveBeenCalled();
+    });
+
+    it('should cap the refund at the item value after the order discount', async () => {
+      const item = buildItem({ requested: true, status: 'requested' });
+      OrderItem.findOne.mockResolvedValue(item);
+      OrderItem.getOrderDiscountRate.mockResolvedValue(0.25);
+
+      await expect(returnService.approveReturn('RMA-20251016-ABCDEF', { refundAmount: 45 }, 'admin1'))
+        .rejects.toThrow('Refund amount cannot exceed 40');
+
+      await returnService.approveReturn('RMA-20251016-ABCDEF', { restock: true }, 'admin1');
+
+      expect(item.approveReturn).toHaveBeenCalledWith({
+        refundAmount: undefined,
+        restock: true,
+        reviewedBy: 'admin1',
+        discountRate: 0.25
+      });
+    });
+  });
+
+  describe('receiveReturn', () => {
+    it('should restock resellable units and refund the approved amount', async () => {
+      const item = buildItem({ requested: true, status: 'received', quantity: 1, restock: true, refundAmount: 25, rmaNumber: 'RMA-20251016-ABCDEF' });
+      OrderItem.findOneAndUpdate.mockResolvedValue(item);
+      Payment.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue({ _id: 'pay1', refunds: [] }) });
+      returnService.paymentService.refundPayment.mockResolvedValue({ data: { refundId: 're_1', amount: 25 } });
+
+      const result = await returnService.receiveReturn('RMA-20251016-ABCDEF', {}, 'admin1');
+
+      expect(OrderItem.findOneAndUpdate).toHaveBeenCalledWith(
+        { 'returnInfo.rmaNumber': 'RMA-20251016-ABCDEF', 'returnInfo.status': 'approved' },
+        { $set: expect.objectContaining({ 'returnInfo.status': 'received', status: 'returned' }) },
+        { new: true }
+      );
+
+      expect(returnService.inventoryService.addStock).toHaveBeenCalledWith(
+        'prod1', 1, 'Return RMA-20251016-ABCDEF', null, { userId: 'admin1', type: 'return' }
+      );
+      expect(returnService.paymentService.refundPayment).toHaveBeenCalledWith('pay1', 25, expect.objectContaining({
+        items: [expect.objectContaining({ orderItem: 'item1', quantity: 1, unitPrice: 20, amount: 20, tax: 5 })],
+        tax: 5,
+        reason: 'Return RMA-20251016-ABCDEF'
+      }));
+      expect(item.markAsRefunded).toHaveBeenCalledWith('re_1');
+      expect(result.refund).toEqual({ refundId: 're_1', amount: 25 });
+    });
+
+    it('should split a discounted refund into the discounted goods value and tax', async () => {
+      const item = buildItem({ requested: true, status: 'received', quantity: 1, refundAmount: 20, rmaNumber: 'RMA-20251016-ABCDEF' });
+      OrderItem.findOneAndUpdate.mockResolvedValue(item);
+      OrderItem.getOrderDiscountRate.mockResolvedValue(0.25);
+      Payment.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue({ _id: 'pay1', refunds: [] }) });
+      returnService.paymentService.refundPayment.mockResolvedValue({ data: { refundId: 're_1', amount: 20 } });
+
+      await returnService.receiveReturn('RMA-20251016-ABCDEF', {}, 'admin1');
+
+      expect(returnService.paymentService.refundPayment).toHaveBeenCalledWith('pay1', 20, expect.objectContaining({
+        items: [expect.objectContaining({ quantity: 1, unitPrice: 15, amount: 15, tax: 5 })],
+        tax: 5
+      }));
+    });
+
+    it('should skip restocking when inspection says the units cannot be resold', async () => {
+      const item = buildItem({ requested: true, status: 'received', quantity: 1, restock: false, refundAmount: 25 });
+      OrderItem.findOneAndUpdate.mockResolvedValue(item);
+      Payment.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(null) });
+
+      const result = await returnService.receiveReturn('RMA-20251016-ABCDEF', { restock: false }, 'admin1');
+
+      expect(OrderItem.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.any(Object),
+        { $set: expect.objectContaining({ 'returnInfo.restock': false }) },
+        { new: true }
+      );
+      expect(returnService.inventoryService.addStock).not.toHaveBeenCalled();
+      expect(item.returnInfo.status).toBe('received');
+      expect(result.refund).toBeNull();
+    });
+
+    it('should retry only the refund for an already received return', async () => {
+      const item = buildItem({ requested: true, status: 'received', quantity: 1, restock: true, refundAmount: 25 });
+      OrderItem.findOneAndUpdate.mockResolvedValue(null);
+      OrderItem.findOne.mockResolvedValue(item);
+      Payment.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue({ _id: 'pay1', refunds: [] }) });
+      returnService.paymentService.refundPayment.mockResolvedValue({ data: { refundId: 're_2' } });
+
+      await returnService.receiveReturn('RMA-20251016-ABCDEF', {}, 'admin1');
+
+      expect(returnService.inventoryService.addStock).not.toHaveBeenCalled();
+      expect(item.markAsRefunded).toHaveBeenCalledWith('re_2');
+    });
+
+    it('should record a refund the gateway already made instead of refunding again', async () => {
+      const item = buildItem({ requested: true, status: 'received', quantity: 1, refundAmount: 25, rmaNumber: 'RMA-20251016-ABCDEF' });
+      OrderItem.findOneAndUpdate.mockResolvedValue(null);
+      OrderItem.findOne.mockResolvedValue(item);
+      Payment.findOne.mockReturnValue({
+        sort: jest.fn().mockResolvedValue({
+          _id: 'pay1',
+          refunds: [{ refundId: 're_1', amount: 25, reason: 'Return RMA-20251016-ABCDEF', status: 'succeeded' }]
+        })
+      });
+
+      const result = await returnService.receiveReturn('RMA-20251016-ABCDEF', {}, 'admin1');
+
+      expect(returnService.paymentService.refundPayment).not.toHaveBeenCalled();
+      expect(item.markAsRefunded).toHaveBeenCalledWith('re_1');
+      expect(result.refund).toEqual(expect.objectContaining({ refundId: 're_1', amount: 25 }));
+    });
+
+    it('should not restock or refund twice when two receives race', async () => {
+      const item = buildItem({ requested: true, status: 'refunded', quantity: 1, refundAmount: 25, refundId: 're_1' });
+      OrderItem.findOneAndUpdate.mockResolvedValue(null);
+      OrderItem.findOne.mockResolvedValue(item);
+
+      await expect(returnService.receiveReturn('RMA-20251016-ABCDEF', {}, 'admin1'))
+        .rejects.toThrow('cannot be received while refunded');
+
+      expect(returnService.inventoryService.addStock).not.toHaveBeenCalled();
+      expect(returnService.paymentService.refundPayment).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,192 @@
+// File: tests/unit/services/review.service.test.js
+// Generated: 2025-10-16 11:31:05 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_r4vw8kq2nd1f
+
+
+const Order = require('../../../src/models/Order');
+
+
+const OrderItem = require('../../../src/models/OrderItem');
+
+
+const Product = require('../../../src/models/Product');
+
+
+const Review = require('../../../src/models/Review');
+
+
+const reviewService = require('../../../src/services/review.service');
+
+const { ConflictError } = require('../../../src/utils/errors');
+
+// Mock dependencies
+jest.mock('../../../src/models/Order');
+jest.mock('../../../src/models/OrderItem');
+jest.mock('../../../src/models/Product');
+jest.mock('../../../src/models/Review');
+jest.mock('../../../src/utils/logger');
+
+describe('ReviewService', () => {
+  const buildReview = (overrides = {}) => ({
+    _id: 'review1',
+    product: 'prod1',
+    user: 'user1',
+    rating: 4,
+    status: 'pending',
+    save: jest.fn().mockResolvedValue(true),
+    isPublished() {
+      return this.status === 'approved';
+    },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Product.adjustRatings.mockResolvedValue();
+  });
+
+  describe('createReview', () => {
+    beforeEach(() => {
+      Product.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: 'prod1', isActive: true })
+      });
+      Order.find.mockReturnValue({ distinct: jest.fn().mockResolvedValue(['order1']) });
+    });
+
+    it('should create a pending review for a delivered purchase', async () => {
+      OrderItem.findOne.mockReturnValue({
+        sort: jest.fn().mockResolvedValue({ _id: 'item1', order: 'order1' })
+      });
+      Review.create.mockImplementation(data => Promise.resolve({ _id: 'review1', ...data }));
+
+      const review = await reviewService.createReview('user1', 'prod1', { rating: 5, comment: 'Great' });
+
+      expect(OrderItem.findOne).toHaveBeenCalledWith({
+        order: { $in: ['order1'] },
+        product: 'prod1',
+        status: 'delivered'
+      });
+      expect(review).toEqual(expect.objectContaining({ order: 'order1', orderItem: 'item1', rating: 5 }));
+      expect(Product.adjustRatings).not.toHaveBeenCalled();
+    });
+
+    it('should reject users without a delivered purchase', async () => {
+      OrderItem.findOne.mockReturnValue({ sort: jest.fn().mockResolvedValue(null) });
+
+      await expect(
+        reviewService.createReview('user1', 'prod1', { rating: 5, comment: 'Great' })
+      ).rejects.toThrow('Only customers who received this product can review it');
+      expect(Review.create).not.toHaveBeenCalled();
+    });
+
+    it('should report a second review of the same product as a conflict', async () => {
+      OrderItem.findOne.mockReturnValue({
+        sort: jest.fn().mockResolvedValue({ _id: 'item1', order: 'order1' })
+      });
+      Review.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+      await expect(
+        reviewService.createReview('user1', 'prod1', { rating: 5, comment: 'Great' })
+      ).rejects.toThrow('You have already reviewed this product');
+    });
+  });
+
+  describe('moderateReview', () => {
+    beforeEach(() => {
+      Review.findOneAndUpdate.mockImplementation((filter, { $set }) => Promise.resolve(buildReview({ ...filter, ...$set })));
+    });
+
+    it('should add the rating when a review is approved', async () => {
+      Review.findById.mockResolvedValue(buildReview());
+
+      const review = await reviewService.moderateReview('review1', 'admin1', { status: 'approved' });
+
+      expect(Review.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'review1', status: 'pending', rating: 4 },
+        { $set: expect.objectContaining({ status: 'approved', moderatedBy: 'admin1' }) },
+        expect.any(Object)
+      );
+      expect(review.status).toBe('approved');
+      expect(Product.adjustRatings).toHaveBeenCalledWith('prod1', { added: 4 });
+    });
+
+    it('should not add the rating twice when two moderators approve at once', async () => {
+      Review.findById.mockResolvedValue(buildReview());
+      Review.findOneAndUpdate.mockResolvedValueOnce(null);
+
+      await expect(
+        reviewService.moderateReview('review1', 'admin2', { status: 'approved' })
+      ).rejects.toThrow(ConflictError);
+      expect(Product.adjustRatings).not.toHaveBeenCalled();
+    });
+
+    it('should remove the rating when an approved review is rejected', async () => {
+      Review.findById.mockResolvedValue(buildReview({ status: 'approved' }));
+
+      await reviewService.moderateReview('review1', 'admin1', { status: 'rejected', note: 'Off topic' });
+
+      expect(Product.adjustRatings).toHaveBeenCalledWith('prod1', { removed: 4 });
+    });
+
+    it('should not touch ratings when re-approving an approved review', async () => {
+      Review.findById.mockResolvedValue(buildReview({ status: 'approved' }));
+
+      await reviewService.moderateReview('review1', 'admin1', { status: 'approved' });
+
+      expect(Product.adjustRatings).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateReview', () => {
+    it('should send an edited approved review back to moderation', async () => {
+      Review.findById.mockResolvedValue(buildReview({ status: 'approved' }));
+      Review.findOneAndUpdate.mockImplementation((filter, { $set }) => Promise.resolve(buildReview({ ...filter, ...$set })));
+
+      const review = await reviewService.updateReview('review1', 'user1', { rating: 2 });
+
+      expect(review.rating).toBe(2);
+      expect(review.status).toBe('pending');
+      expect(Product.adjustRatings).toHaveBeenCalledWith('prod1', { removed: 4 });
+    });
+
+    it('should not let users edit other reviews', async () => {
+      Review.findById.mockResolvedValue(buildReview({ user: 'someone-else' }));
+
+      await expect(
+        reviewService.updateReview('review1', 'user1', { rating: 2 })
+      ).rejects.toThrow('You can only edit your own reviews');
+    });
+  });
+
+  describe('toggleHelpfulVote', () => {
+    it('should add a vote the first time', async () => {
+      Review.findOneAndUpdate.mockResolvedValueOnce({ helpfulCount: 3 });
+
+      const result = await reviewService.toggleHelpfulVote('review1', 'user2');
+
+      expect(result).toEqual({ helpful: true, helpfulCount: 3 });
+    });
+
+    it('should remove an existing vote', async () => {
+      Review.findOneAndUpdate
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ helpfulCount: 2 });
+
+      const result = await reviewService.toggleHelpfulVote('review1', 'user2');
+
+      expect(result).toEqual({ helpful: false, helpfulCount: 2 });
+    });
+
+    it('should reject votes on your own review', async () => {
+      Review.findOneAndUpdate.mockResolvedValue(null);
+      Review.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue(buildReview({ status: 'approved' }))
+      });
+
+      await expect(
+        reviewService.toggleHelpfulVote('review1', 'user1')
+      ).rejects.toThrow('You cannot vote on your own review');
+    });
+  });
+});
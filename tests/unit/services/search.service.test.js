@@ -0,0 +1,110 @@
+// File: tests/unit/services/search.service.test.js
+// Generated: 2025-10-16 12:10:15 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_k2fs7hq9pv3c
+
+
+const Category = require('../../../src/models/Category');
+
+
+const Product = require('../../../src/models/Product');
+
+
+const searchService = require('../../../src/services/search.service');
+
+// Mock dependencies
+jest.mock('../../../src/models/Category');
+jest.mock('../../../src/models/Product');
+jest.mock('../../../src/utils/logger');
+
+describe('SearchService', () => {
+  const categoryId = '64b000000000000000000001';
+
+  /**
+   * Build a raw $facet result
+   * @param {Object} overrides - Facet overrides
+   * @returns {Array} Aggregation output
+   */
+  const facetResult = (overrides = {}) => [{
+    results: [],
+    total: [],
+    categories: [],
+    brands: [],
+    priceRanges: [],
+    availability: [],
+    attributes: [],
+    ...overrides
+  }];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Category.find.mockReturnValue({
+      select: () => ({ lean: jest.fn().mockResolvedValue([{ _id: categoryId, name: 'Lighting', slug: 'lighting' }]) })
+    });
+  });
+
+  describe('tokenize', () => {
+    it('should lowercase, split on punctuation and drop short or duplicate words', () => {
+      expect(searchService.tokenize('Desk-Lamp, a LAMP!')).toEqual(['desk', 'lamp']);
+    });
+  });
+
+  describe('buildPrefixMatch', () => {
+    it('should tolerate a wrong last character on longer words', () => {
+      const match = searchService.buildPrefixMatch(['lampz']);
+      const pattern = match.$and[0].$or[0].name;
+
+      expect(pattern.test('Brass Lamp')).toBe(true);
+      expect(pattern.test('Clamp')).toBe(false);
+    });
+  });
+
+  describe('searchProducts', () => {
+    it('should rank text matches by relevance and shape the facets', async () => {
+      Product.aggregate.mockResolvedValue(facetResult({
+        results: [{ _id: 'prod1', name: 'Desk Lamp', score: 2.5 }],
+        total: [{ count: 1 }],
+        categories: [{ _id: categoryId, count: 1 }],
+        brands: [{ _id: 'Lumen', count: 1 }],
+        priceRanges: [{ _id: 25, count: 1 }, { _id: 1000, count: 2 }],
+        availability: [{ _id: true, count: 1 }],
+        attributes: [{ _id: { name: 'color', value: 'brass' }, count: 1 }]
+      }));
+
+      const result = await searchService.searchProducts('desk lamp', {}, { page: 1, limit: 20 });
+
+      const [pipeline] = Product.aggregate.mock.calls[0];
+      expect(pipeline[0].$match.$text).toEqual({ $search: 'desk lamp' });
+      expect(pipeline[2].$facet.results[0].$sort).toEqual({ score: -1, _id: 1 });
+      expect(result.matchMode).toBe('text');
+      expect(result.pagination).toEqual({ page: 1, limit: 20, total: 1 });
+      expect(result.facets).toEqual({
+        categories: [{ id: categoryId, name: 'Lighting', slug: 'lighting', count: 1 }],
+        brands: [{ value: 'Lumen', count: 1 }],
+        priceRanges: [{ min: 25, max: 50, count: 1 }, { min: 1000, max: null, count: 2 }],
+        availability: { inStock: 1, outOfStock: 0 },
+        attributes: { color: [{ value: 'brass', count: 1 }] }
+      });
+    });
+
+    it('should fall back to prefix matching when the text search finds nothing', async () => {
+      Product.aggregate
+        .mockResolvedValueOnce(facetResult())
+        .mockResolvedValueOnce(facetResult({ total: [{ count: 3 }] }));
+
+      const result = await searchService.searchProducts('lamo', { inStock: true });
+
+      const [prefixPipeline] = Product.aggregate.mock.calls[1];
+      expect(prefixPipeline[0].$match.$text).toBeUndefined();
+      expect(prefixPipeline[0].$match.$and).toHaveLength(1);
+      expect(prefixPipeline[0].$match.$or).toHaveLength(3);
+      expect(result.matchMode).toBe('prefix');
+      expect(result.pagination.total).toBe(3);
+    });
+
+    it('should reject queries without a usable word', async () => {
+      await expect(searchService.searchProducts('a !')).rejects.toThrow('Search query must contain a word');
+      expect(Product.aggregate).not.toHaveBeenCalled();
+    });
+  });
+});
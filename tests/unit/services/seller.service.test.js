@@ -0,0 +1,253 @@
+// File: tests/unit/services/seller.service.test.js
+// Generated: 2025-10-16 16:52:17 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_m5sq8wd3ne7h
+
+
+const Order = require('../../../src/models/Order');
+
+
+const Product = require('../../../src/models/Product');
+
+
+const Seller = require('../../../src/models/Seller');
+
+
+const SubOrder = require('../../../src/models/SubOrder');
+
+
+const User = require('../../../src/models/User');
+
+
+const emailService = require('../../../src/services/email.service');
+
+
+const sellerService = require('../../../src/services/seller.service');
+
+const { ConflictError, ValidationError } = require('../../../src/utils/errors');
+
+// Mock dependencies
+jest.mock('../../../src/models/Order');
+jest.mock('../../../src/models/Product');
+jest.mock('../../../src/models/Seller');
+jest.mock('../../../src/models/SubOrder');
+jest.mock('../../../src/models/User');
+jest.mock('../../../src/services/email.service');
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/config/environment', () => ({
+  marketplace: { commissionRate: 10 }
+}));
+
+describe('SellerService', () => {
+  /**
+   * Build a seller document stub
+   * @param {Object} overrides - Field overrides
+   * @returns {Object} Seller stub
+   */
+  const buildSeller = (overrides = {}) => ({
+    _id: 'seller1',
+    user: 'user1',
+    storeName: 'Mug Co',
+    contactEmail: 'shop@mugco.com',
+    status: 'pending',
+    save: jest.fn().mockResolvedValue(true),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.FRONTEND_URL = 'https://shop.example.com';
+  });
+
+  describe('applyForSeller', () => {
+    beforeEach(() => {
+      User.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: 'user1', email: 'owner@example.com', role: 'customer' })
+      });
+    });
+
+    it('should create a pending store using the account email by default', async () => {
+      Seller.exists.mockResolvedValue(null);
+      Seller.create.mockImplementation(data => Promise.resolve({ _id: 'seller1', ...data }));
+
+      const seller = await sellerService.applyForSeller('user1', {
+        storeName: 'Mug Co',
+        status: 'approved',
+        commissionRate: 0
+      });
+
+      expect(Seller.create).toHaveBeenCalledWith({
+        storeName: 'Mug Co',
+        contactEmail: 'owner@example.com',
+        user: 'user1',
+        status: 'pending'
+      });
+      expect(seller.status).toBe('pending');
+    });
+
+    it('should reject a second application from the same user', async () => {
+      Seller.exists.mockResolvedValue({ _id: 'seller1' });
+
+      await expect(sellerService.applyForSeller('user1', { storeName: 'Mug Co' }))
+        .rejects.toThrow(ConflictError);
+      expect(Seller.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reviewSeller', () => {
+    beforeEach(() => {
+      User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+      User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ firstName: 'Ada' }) });
+    });
+
+    it('should approve a pending store, grant the seller role and email the owner', async () => {
+      const seller = buildSeller();
+      Seller.findById.mockResolvedValue(seller);
+
+      await sellerService.reviewSeller('seller1', 'approve', {}, 'admin1');
+
+      expect(seller.status).toBe('approved');
+      expect(seller.reviewedBy).toBe('admin1');
+      expect(seller.save).toHaveBeenCalled();
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: 'user1', role: { $ne: 'admin' } },
+        { $set: { role: 'seller' } }
+      );
+      expect(Product.updateMany).not.toHaveBeenCalled();
+      expect(emailService.queueEmail).toHaveBeenCalledWith('seller_status', 'shop@mugco.com', expect.objectContaining({
+        storeName: 'Mug Co',
+        recipientName: 'Ada',
+        status: 'approved',
+        dashboardUrl: 'https://shop.example.com/seller'
+      }));
+    });
+
+    it('should unlist products and revoke the role when suspending', async () => {
+      const seller = buildSeller({ status: 'approved' });
+      Seller.findById.mockResolvedValue(seller);
+      Product.updateMany.mockResolvedValue({ modifiedCount: 4 });
+
+      await sellerService.reviewSeller('seller1', 'suspend', { reason: 'Counterfeit goods' }, 'admin1');
+
+      expect(seller.status).toBe('suspended');
+      expect(seller.statusReason).toBe('Counterfeit goods');
+      expect(User.updateOne).toHaveBeenCalledWith(expect.any(Object), { $set: { role: 'customer' } });
+      expect(Product.updateMany).toHaveBeenCalledWith(
+        { seller: 'seller1', isActive: true },
+        { $set: { isActive: false } }
+      );
+    });
+
+    it('should refuse to suspend a store that was never approved', async () => {
+      const seller = buildSeller();
+      Seller.findById.mockResolvedValue(seller);
+
+      await expect(sellerService.reviewSeller('seller1', 'suspend', { reason: 'Spam' }, 'admin1'))
+        .rejects.toThrow(ValidationError);
+      expect(seller.save).not.toHaveBeenCalled();
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('splitOrder', () => {
+    const order = { _id: 'order1', orderNumber: 'ORD-1001', currency: 'USD' };
+
+    beforeEach(() => {
+      Seller.find.mockReturnValue({
+        select: () => ({
+          session: jest.fn().mockResolvedValue([
+            { _id: 'sellerA', commissionRate: null },
+            { _id: 'sellerB', commissionRate: 15 }
+          ])
+        })
+      });
+      SubOrder.insertMany.mockImplementation(docs => Promise.resolve(docs));
+    });
+
+    it('should create one sub-order per seller with commission and payout', async () => {
+      const subOrders = await sellerService.splitOrder(order, [
+        { _id: 'item1', seller: 'sellerA', finalPrice: 10, quantity: 2 },
+        { _id: 'item2', seller: null, finalPrice: 50, quantity: 1 },
+        { _id: 'item3', seller: 'sellerB', finalPrice: 30, quantity: 1 },
+        { _id: 'item4', seller: 'sellerA', finalPrice: 9.99, quantity: 1 }
+      ], 'session');
+
+      expect(SubOrder.insertMany).toHaveBeenCalledWith(expect.any(Array), { session: 'session' });
+      expect(subOrders).toEqual([
+        expect.objectContaining({
+          seller: 'sellerA',
+          subOrderNumber: 'ORD-1001-1',
+          items: ['item1', 'item4'],
+          pricing: { subtotal: 29.99, commissionRate: 10, commission: 3, payout: 26.99 }
+        }),
+        expect.objectContaining({
+          seller: 'sellerB',
+          subOrderNumber: 'ORD-1001-2',
+          items: ['item3'],
+          pricing: { subtotal: 30, commissionRate: 15, commission: 4.5, payout: 25.5 }
+        })
+      ]);
+    });
+
+    it('should leave orders without marketplace items unsplit', async () => {
+      const subOrders = await sellerService.splitOrder(order, [{ _id: 'item1', seller: null, finalPrice: 20, quantity: 1 }]);
+
+      expect(subOrders).toEqual([]);
+      expect(Seller.find).not.toHaveBeenCalled();
+      expect(SubOrder.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('updateSubOrderStatus', () => {
+    let subOrder;
+
+    const mockParentStatus = (status) => {
+      Order.findById.mockReturnValue({ select: jest.fn().mockResolvedValue({ status }) });
+    };
+
+    beforeEach(() => {
+      subOrder = {
+        _id: 'sub1',
+        order: 'order1',
+        status: 'processing',
+        tracking: {},
+        statusHistory: [],
+        save: jest.fn().mockResolvedValue(true)
+      };
+      SubOrder.findOne.mockResolvedValue(subOrder);
+    });
+
+    it('should ship a sub-order of a paid order with tracking details', async () => {
+      mockParentStatus('paid');
+
+      await sellerService.updateSubOrderStatus('sellerA', 'sub1', {
+        status: 'shipped',
+        carrier: 'UPS',
+        trackingNumber: '1Z999'
+      }, 'user1');
+
+      expect(SubOrder.findOne).toHaveBeenCalledWith({ _id: 'sub1', seller: 'sellerA' });
+      expect(subOrder.status).toBe('shipped');
+      expect(subOrder.tracking).toEqual({ carrier: 'UPS', trackingNumber: '1Z999', shippedAt: expect.any(Date) });
+      expect(subOrder.statusHistory).toEqual([{ status: 'shipped', note: undefined, updatedBy: 'user1' }]);
+      expect(subOrder.save).toHaveBeenCalled();
+    });
+
+    it('should not let sellers fulfil an unpaid order', async () => {
+      mockParentStatus('pending');
+
+      await expect(sellerService.updateSubOrderStatus('sellerA', 'sub1', { status: 'shipped', trackingNumber: '1Z999' }, 'user1'))
+        .rejects.toThrow('Sub-orders cannot be updated while the order is pending');
+      expect(subOrder.save).not.toHaveBeenCalled();
+    });
+
+    it('should reject transitions that skip a step', async () => {
+      mockParentStatus('paid');
+      subOrder.status = 'pending';
+
+      await expect(sellerService.updateSubOrderStatus('sellerA', 'sub1', { status: 'delivered' }, 'user1'))
+        .rejects.toThrow(ValidationError);
+      expect(subOrder.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,184 @@
+// File: tests/unit/services/session.service.test.js
+// Generated: 2025-10-16 18:21:43 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_k7nv2pq9ws4c
+
+
+const Jwt = require('../../../src/utils/jwt');
+
+
+const Session = require('../../../src/models/Session');
+
+
+const logger = require('../../../src/utils/logger');
+
+
+const sessionService = require('../../../src/services/session.service');
+
+const { AuthenticationError, NotFoundError } = require('../../../src/utils/errors');
+
+// Mock dependencies
+jest.mock('../../../src/models/Session');
+jest.mock('../../../src/utils/jwt');
+jest.mock('../../../src/utils/logger');
+
+describe('SessionService', () => {
+  const userId = '64b000000000000000000001';
+  const sessionId = '64b0000000000000000000aa';
+  const expiresAt = new Date('2025-10-23T18:00:00.000Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Jwt.generateRefreshToken.mockReturnValue('next_refresh_token');
+    Jwt.decodeToken.mockReturnValue({ exp: expiresAt.getTime() / 1000 });
+  });
+
+  describe('createSession', () => {
+    it('should register the device and issue a refresh token bound to the session', async () => {
+      Session.create.mockImplementation(data => Promise.resolve(data));
+
+      const { session, refreshToken } = await sessionService.createSession(userId, {
+        userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile/15E148 Safari/604.1',
+        ipAddress: '203.0.113.7'
+      });
+
+      const { sessionId: tokenSessionId, tokenId } = Jwt.generateRefreshToken.mock.calls[0][0];
+      expect(tokenSessionId).toBe(session._id.toString());
+      expect(refreshToken).toBe('next_refresh_token');
+      expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({
+        user: userId,
+        deviceName: 'Safari on iOS',
+        ipAddress: '203.0.113.7',
+        tokenId,
+        expiresAt
+      }));
+    });
+
+    it('should prefer the device name sent by the client', async () => {
+      Session.create.mockImplementation(data => Promise.resolve(data));
+
+      const { session } = await sessionService.createSession(userId, {
+        deviceName: '  Work laptop ',
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/126.0 Safari/537.36'
+      });
+
+      expect(session.deviceName).toBe('Work laptop');
+    });
+  });
+
+  describe('rotateRefreshToken', () => {
+    beforeEach(() => {
+      Jwt.verifyRefreshToken.mockReturnValue({ userId, sessionId, jti: 'token1' });
+    });
+
+    it('should accept the current token of the session once and issue the next one', async () => {
+      const session = { _id: sessionId, user: userId };
+      Session.findOneAndUpdate.mockResolvedValue(session);
+
+      const result = await sessionService.rotateRefreshToken('refresh_token', { ipAddress: '203.0.113.7' });
+
+      const [filter, update] = Session.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: sessionId, user: userId, tokenId: 'token1', revokedAt: null });
+      expect(update.$set.tokenId).toBe(Jwt.generateRefreshToken.mock.calls[0][0].tokenId);
+      expect(update.$set.tokenId).not.toBe('token1');
+      expect(update.$set).toEqual(expect.objectContaining({ ipAddress: '203.0.113.7', expiresAt }));
+      expect(result).toEqual({ session, refreshToken: 'next_refresh_token' });
+    });
+
+    it('should revoke the whole session when an already rotated token is reused', async () => {
+      Session.findOneAndUpdate
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ _id: sessionId, user: userId });
+
+      await expect(sessionService.rotateRefreshToken('old_refresh_token'))
+        .rejects.toThrow(AuthenticationError);
+
+      const [filter, update] = Session.findOneAndUpdate.mock.calls[1];
+      expect(filter).toEqual({ _id: sessionId, user: userId, revokedAt: null });
+      expect(update.$set.revokedReason).toBe('token_reuse');
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Refresh token reuse detected, session revoked',
+        expect.objectContaining({ sessionId })
+      );
+    });
+
+    it('should reject tokens of revoked sessions without logging reuse', async () => {
+      Session.findOneAndUpdate.mockResolvedValue(null);
+
+      await expect(sessionService.rotateRefreshToken('refresh_token'))
+        .rejects.toThrow('Invalid or expired refresh token');
+      expect(logger.warn).not.toHaveBeenCalled();
+    });
+
+    it('should reject refresh tokens issued without a session', async () => {
+      Jwt.verifyRefreshToken.mockReturnValue({ userId });
+
+      await expect(sessionService.rotateRefreshToken('legacy_refresh_token'))
+        .rejects.toThrow(AuthenticationError);
+      expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('isSessionActive', () => {
+    it('should accept a session that is neither revoked nor expired', async () => {
+      Session.exists.mockResolvedValue({ _id: sessionId });
+
+      await expect(sessionService.isSessionActive(userId, sessionId)).resolves.toBe(true);
+      expect(Session.exists).toHaveBeenCalledWith({
+        _id: sessionId,
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: expect.any(Date) }
+      });
+    });
+
+    it('should reject a revoked session', async () => {
+      Session.exists.mockResolvedValue(null);
+
+      await expect(sessionService.isSessionActive(userId, sessionId)).resolves.toBe(false);
+    });
+  });
+
+  describe('listSessions', () => {
+    it('should list active sessions and flag the current one', async () => {
+      const query = {
+        select: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([
+          { _id: sessionId, deviceName: 'Chrome on macOS' },
+          { _id: '64b0000000000000000000bb', deviceName: 'Safari on iOS' }
+        ])
+      };
+      Session.find.mockReturnValue(query);
+
+      const sessions = await sessionService.listSessions(userId, sessionId);
+
+      expect(Session.find).toHaveBeenCalledWith(expect.objectContaining({ user: userId, revokedAt: null }));
+      expect(query.select).toHaveBeenCalledWith(expect.not.stringContaining('tokenId'));
+      expect(sessions.map(session => session.current)).toEqual([true, false]);
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should throw NotFoundError for a session of another user', async () => {
+      Session.updateOne.mockResolvedValue({ matchedCount: 0 });
+
+      await expect(sessionService.revokeSession(userId, sessionId)).rejects.toThrow(NotFoundError);
+      expect(Session.updateOne.mock.calls[0][0]).toEqual({ _id: sessionId, user: userId, revokedAt: null });
+    });
+  });
+
+  describe('revokeOtherSessions', () => {
+    it('should revoke every active session but the current one', async () => {
+      Session.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      const revoked = await sessionService.revokeOtherSessions(userId, sessionId);
+
+      expect(revoked).toBe(2);
+      expect(Session.updateMany).toHaveBeenCalledWith(
+        { user: userId, revokedAt: null, _id: { $ne: sessionId } },
+        { $set: { revokedAt: expect.any(Date), revokedReason: 'revoked' } }
+      );
+    });
+  });
+});
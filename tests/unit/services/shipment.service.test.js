@@ -0,0 +1,288 @@
+// File: tests/unit/services/shipment.service.test.js
+// Generated: 2025-10-16 13:58:44 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_c6tj2rm9xw4f
+
+
+const Order = require('../../../src/models/Order');
+
+
+const OrderItem = require('../../../src/models/OrderItem');
+
+
+const Shipment = require('../../../src/models/Shipment');
+
+
+const User = require('../../../src/models/User');
+
+
+const mongoose = require('mongoose');
+
+
+const emailService = require('../../../src/services/email.service');
+
+
+const shipmentService = require('../../../src/services/shipment.service');
+
+// Mock dependencies
+jest.mock('../../../src/models/Order');
+jest.mock('../../../src/models/OrderItem');
+jest.mock('../../../src/models/Shipment');
+jest.mock('../../../src/models/User');
+jest.mock('../../../src/services/email.service');
+jest.mock('../../../src/utils/logger');
+
+describe('ShipmentService', () => {
+  let order;
+  let items;
+  let session;
+
+  /**
+   * Resolve a query once it is bound to the transaction session
+   * @param {*} result - Query result
+   * @returns {Object} Query stub
+   */
+  const inSession = (result) => ({ session: jest.fn().mockResolvedValue(result) });
+
+  /**
+   * Build an order item stub
+   * @param {string} id - Order item ID
+   * @param {number} quantity - Units ordered
+   * @returns {Object} Order item stub
+   */
+  const buildItem = (id, quantity) => ({
+    _id: id,
+    quantity,
+    finalPrice: 20,
+    status: 'processing',
+    tracking: {},
+    productSnapshot: { name: `Product ${id}`, sku: `SKU-${id}` },
+    save: jest.fn().mockResolvedValue(true)
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    order = {
+      _id: 'order1',
+      user: 'user1',
+      orderNumber: 'ORD-1001',
+      status: 'paid',
+      tracking: {},
+      shippingAddress: { addressLine1: '1 Main St', city: 'Springfield', state: 'IL', postalCode: '62701', country: 'US' },
+      save: jest.fn().mockResolvedValue(true)
+    };
+    order.updateStatus = jest.fn((status) => {
+      order.status = status;
+      return Promise.resolve(order);
+    });
+
+    items = [buildItem('item1', 2), buildItem('item2', 1)];
+
+    Order.findById.mockResolvedValue(order);
+    OrderItem.find.mockResolvedValue(items);
+    Shipment.exists.mockResolvedValue(null);
+    Shipment.create.mockImplementation(([data]) => Promise.resolve([{
+      _id: 'ship1',
+      ...data,
+      shippedAt: new Date('2025-10-16T10:00:00Z'),
+      trackingUrl: `https://www.ups.com/track?tracknum=${data.trackingNumber}`
+    }]));
+
+    session = {
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn().mockResolvedValue(),
+      abortTransaction: jest.fn().mockResolvedValue(),
+      endSession: jest.fn()
+    };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    Order.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    User.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ email: 'jane@example.com', firstName: 'Jane' })
+    });
+  });
+
+  describe('createShipment', () => {
+    beforeEach(() => {
+      OrderItem.find.mockReturnValue(inSession(items));
+    });
+
+    it('should ship part of an order and keep it processing', async () => {
+      Shipment.find.mockReturnValue(inSession([]));
+
+      const shipment = await shipmentService.createShipment('order1', {
+        items: [{ orderItemId: 'item1', quantity: 2 }],
+        carrier: 'ups',
+        trackingNumber: '1Z999'
+      }, 'admin1');
+
+      expect(Order.updateOne).toHaveBeenCalledWith(
+        { _id: 'order1' },
+        { $inc: { 'tracking.shipmentCount': 1 } },
+        { session }
+      );
+      expect(Shipment.create).toHaveBeenCalledWith([expect.objectContaining({
+        order: 'order1',
+        items: [{ orderItem: 'item1', quantity: 2 }],
+        carrier: 'ups',
+        trackingNumber: '1Z999'
+      })], { session });
+      expect(items[0].save).toHaveBeenCalledWith({ session });
+      expect(session.commitTransaction).toHaveBeenCalled();
+      expect(items[0].status).toBe('shipped');
+      expect(items[0].tracking).toEqual(expect.objectContaining({
+        carrier: 'UPS',
+        trackingNumber: '1Z999',
+        trackingUrl: shipment.trackingUrl
+      }));
+      expect(items[1].save).not.toHaveBeenCalled();
+      expect(order.updateStatus).toHaveBeenCalledWith('processing', 'First parcel shipped', 'admin1');
+      expect(order.status).toBe('processing');
+      expect(emailService.sendOrderShipped).toHaveBeenCalledWith('jane@example.com', expect.objectContaining({
+        orderNumber: 'ORD-1001',
+        trackingNumber: '1Z999',
+        carrier: 'UPS',
+        carrierUrl: 'https://www.ups.com/track?tracknum=',
+        items: [{ name: 'Product item1', sku: 'SKU-item1', quantity: 2, price: 20 }]
+      }));
+    });
+
+    it('should ship every remaining unit by default and mark the order shipped', async () => {
+      order.status = 'processing';
+      Shipment.find.mockReturnValue(inSession([{ items: [{ orderItem: 'item1', quantity: 2 }] }]));
+
+      await shipmentService.createShipment('order1', { carrier: 'ups', trackingNumber: '1Z998' }, 'admin1');
+
+      expect(Shipment.create).toHaveBeenCalledWith([expect.objectContaining({
+        items: [{ orderItem: 'item2', quantity: 1 }]
+      })], { session });
+      expect(order.updateStatus).toHaveBeenCalledWith('shipped', 'All items shipped', 'admin1');
+    });
+
+    it('should not ship units that were refunded before shipping', async () => {
+      order.status = 'processing';
+      items[0].refundedQuantity = 1;
+      Shipment.find.mockReturnValue(inSession([{ items: [{ orderItem: 'item2', quantity: 1 }] }]));
+
+      await shipmentService.createShipment('order1', { carrier: 'ups', trackingNumber: '1Z995' }, 'admin1');
+
+      expect(Shipment.create).toHaveBeenCalledWith([expect.objectContaining({
+        items: [{ orderItem: 'item1', quantity: 1 }]
+      })], { session });
+      expect(items[0].status).toBe('shipped');
+      expect(order.updateStatus).toHaveBeenCalledWith('shipped', 'All items shipped', 'admin1');
+    });
+
+    it('should turn a concurrent shipment of the same order into a conflict', async () => {
+      const writeConflict = Object.assign(new Error('WriteConflict'), {
+        hasErrorLabel: label => label === 'TransientTransactionError'
+      });
+      Order.updateOne.mockRejectedValue(writeConflict);
+
+      await expect(shipmentService.createShipment('order1', { carrier: 'ups', trackingNumber: '1Z994' }, 'admin1'))
+        .rejects.toThrow('Another shipment for this order is being created');
+      expect(session.abortTransaction).toHaveBeenCalled();
+      expect(Shipment.create).not.toHaveBeenCalled();
+    });
+
+    it('should not ship more units than are left', async () => {
+      Shipment.find.mockReturnValue(inSession([{ items: [{ orderItem: 'item1', quantity: 1 }] }]));
+
+      await expect(shipmentService.createShipment('order1', {
+        items: [{ orderItemId: 'item1', quantity: 2 }],
+        carrier: 'ups',
+        trackingNumber: '1Z997'
+      }, 'admin1')).rejects.toThrow('Only 1 unit(s) of Product item1 are left to ship');
+      expect(Shipment.create).not.toHaveBeenCalled();
+      expect(session.abortTransaction).toHaveBeenCalled();
+    });
+
+    it('should refuse orders that have not been paid', async () => {
+      order.status = 'pending';
+
+      await expect(shipmentService.createShipment('order1', { carrier: 'ups', trackingNumber: '1Z996' }, 'admin1'))
+        .rejects.toThrow('Cannot ship an order that is pending');
+    });
+  });
+
+  describe('handleCarrierEvent', () => {
+    let shipment;
+
+    beforeEach(() => {
+      shipment = {
+        _id: 'ship1',
+        order: 'order1',
+        carrier: 'ups',
+        trackingNumber: '1Z999',
+        status: 'in_transit',
+        items: [{ orderItem: 'item1', quantity: 2 }],
+        events: [{ status: 'shipped', occurredAt: new Date('2025-10-16T10:00:00Z') }],
+        save: jest.fn().mockResolvedValue(true)
+      };
+      Shipment.findOne.mockResolvedValue(shipment);
+      Shipment.find.mockResolvedValue([shipment]);
+      OrderItem.find.mockResolvedValue([items[0]]);
+    });
+
+    it('should map carrier codes and deliver the order once every parcel arrived', async () => {
+      order.status = 'shipped';
+
+      await shipmentService.handleCarrierEvent('ups', {
+        trackingNumber: '1Z999',
+        status: 'D',
+        description: 'Delivered, front door',
+        occurredAt: '2025-10-18T15:30:00Z'
+      });
+
+      expect(shipment.status).toBe('delivered');
+      expect(shipment.deliveredAt).toEqual(new Date('2025-10-18T15:30:00Z'));
+      expect(shipment.events[1]).toEqual(expect.objectContaining({ status: 'delivered', code: 'D' }));
+      expect(items[0].status).toBe('delivered');
+      expect(items[0].tracking.deliveredAt).toEqual(new Date('2025-10-18T15:30:00Z'));
+      expect(order.updateStatus).toHaveBeenCalledWith('delivered', 'All 1 parcel(s) delivered');
+      expect(emailService.sendOrderDelivered).toHaveBeenCalledWith('jane@example.com', expect.objectContaining({
+        orderNumber: 'ORD-1001',
+        items: [{ name: 'Product item1', sku: 'SKU-item1', quantity: 2, price: 20 }]
+      }));
+    });
+
+    it('should keep late scans in the history without moving the parcel back', async () => {
+      shipment.status = 'out_for_delivery';
+
+      await shipmentService.handleCarrierEvent('ups', {
+        trackingNumber: '1Z999',
+        status: 'I',
+        occurredAt: '2025-10-17T08:00:00Z'
+      });
+
+      expect(shipment.status).toBe('out_for_delivery');
+      expect(shipment.events).toHaveLength(2);
+      expect(shipment.save).toHaveBeenCalled();
+    });
+
+    it('should ignore a repeated scan', async () => {
+      await shipmentService.handleCarrierEvent('ups', {
+        trackingNumber: '1Z999',
+        status: 'shipped',
+        occurredAt: '2025-10-16T10:00:00Z'
+      });
+
+      expect(shipment.save).not.toHaveBeenCalled();
+    });
+
+    it('should return null for unknown tracking numbers', async () => {
+      Shipment.findOne.mockResolvedValue(null);
+
+      const result = await shipmentService.handleCarrierEvent('ups', { trackingNumber: 'NOPE', status: 'D' });
+
+      expect(result).toBeNull();
+    });
+
+    it('should acknowledge status codes the carrier does not document without applying them', async () => {
+      const result = await shipmentService.handleCarrierEvent('ups', { trackingNumber: '1Z999', status: 'ZZ' });
+
+      expect(result).toBeNull();
+      expect(shipment.save).not.toHaveBeenCalled();
+    });
+  });
+});
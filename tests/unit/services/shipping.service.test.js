@@ -0,0 +1,122 @@
+// File: tests/unit/services/shipping.service.test.js
+// Generated: 2025-10-16 11:00:07 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_s9hz3wq5lm2f
+
+
+const ShippingZone = require('../../../src/models/ShippingZone');
+
+
+const shippingService = require('../../../src/services/shipping.service');
+
+// Mock dependencies
+jest.mock('../../../src/models/Cart');
+jest.mock('../../../src/models/Product');
+jest.mock('../../../src/models/ShippingZone');
+jest.mock('../../../src/utils/logger');
+
+describe('ShippingService', () => {
+  const address = { country: 'US', state: 'CA', postalCode: '90210' };
+  const boxProduct = { weight: 1, dimensions: { length: 30, width: 20, height: 20 }, isDigital: false };
+  const ebook = { weight: 0, isDigital: true };
+
+  const zone = {
+    _id: 'zone1',
+    name: 'United States',
+    volumetricDivisor: 5000,
+    freeShippingThreshold: 100,
+    methods: [
+      { code: 'express', name: 'Express', baseRate: 15, perKgRate: 4, freeShippingEligible: false, isActive: true },
+      { code: 'standard', name: 'Standard', baseRate: 5, perKgRate: 2, freeShippingEligible: true, isActive: true },
+      { code: 'pickup', name: 'Store pickup', baseRate: 0, perKgRate: 0, isActive: false }
+    ]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ShippingZone.findForAddress.mockResolvedValue(zone);
+  });
+
+  describe('getBillableWeight', () => {
+    it('should use volumetric weight when it exceeds actual weight', () => {
+      expect(shippingService.getBillableWeight(boxProduct, 5000)).toBe(2.4);
+    });
+
+    it('should fall back to actual weight without dimensions', () => {
+      expect(shippingService.getBillableWeight({ weight: 3 }, 5000)).toBe(3);
+    });
+  });
+
+  describe('quoteShipping', () => {
+    it('should price active methods by billable weight, cheapest first', async () => {
+      const result = await shippingService.quoteShipping({
+        items: [{ productId: 'prod1', product: boxProduct, quantity: 2 }],
+        address,
+        subtotal: 50
+      });
+
+      expect(ShippingZone.findForAddress).toHaveBeenCalledWith(address);
+      expect(result.billableWeight).toBe(4.8);
+      expect(result.methods.map(method => method.code)).toEqual(['standard', 'express']);
+      expect(result.methods[0].cost).toBe(14.6);
+      expect(result.methods[1].cost).toBe(34.2);
+    });
+
+    it('should apply the zone free-shipping threshold to eligible methods only', async () => {
+      const result = await shippingService.quoteShipping({
+        items: [{ productId: 'prod1', product: boxProduct, quantity: 1 }],
+        address,
+        subtotal: 150
+      });
+
+      const standard = result.methods.find(method => method.code === 'standard');
+      const express = result.methods.find(method => method.code === 'express');
+      expect(standard).toEqual(expect.objectContaining({ cost: 0, freeShippingApplied: true }));
+      expect(express.freeShippingApplied).toBe(false);
+      expect(express.cost).toBe(24.6);
+    });
+
+    it('should not require shipping for digital-only items', async () => {
+      const result = await shippingService.quoteShipping({
+        items: [{ productId: 'prod2', product: ebook, quantity: 1 }],
+        address
+      });
+
+      expect(result.requiresShipping).toBe(false);
+      expect(ShippingZone.findForAddress).not.toHaveBeenCalled();
+    });
+
+    it('should reject addresses outside every zone', async () => {
+      ShippingZone.findForAddress.mockResolvedValue(null);
+
+      await expect(
+        shippingService.quoteShipping({
+          items: [{ productId: 'prod1', product: boxProduct, quantity: 1 }],
+          address: { country: 'AQ' }
+        })
+      ).rejects.toThrow('We do not ship to AQ');
+    });
+  });
+
+  describe('selectMethod', () => {
+    it('should reject a method the zone does not offer', async () => {
+      await expect(
+        shippingService.selectMethod({
+          items: [{ productId: 'prod1', product: boxProduct, quantity: 1 }],
+          address,
+          subtotal: 50
+        }, 'pickup')
+      ).rejects.toThrow('Shipping method "pickup" is not available for this address');
+    });
+
+    it('should default to the cheapest method', async () => {
+      const method = await shippingService.selectMethod({
+        items: [{ productId: 'prod1', product: boxProduct, quantity: 1 }],
+        address,
+        subtotal: 50
+      });
+
+      expect(method).toEqual(expect.objectContaining({ code: 'standard', cost: 9.8, zone: 'United States' }));
+    });
+  });
+});
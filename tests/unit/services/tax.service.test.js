@@ -0,0 +1,130 @@
+// File: tests/unit/services/tax.service.test.js
+// Generated: 2025-10-16 11:00:07 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_t4xr8e2kq1nf
+
+
+const TaxRate = require('../../../src/models/TaxRate');
+
+
+const config = require('../../../src/config/environment');
+
+
+const taxService = require('../../../src/services/tax.service');
+
+// Mock dependencies
+jest.mock('../../../src/models/TaxRate');
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/config/environment', () => ({
+  tax: { pricesIncludeTax: false }
+}));
+
+/**
+ * Build a tax rate stub with the model's class lookup
+ * @param {Object} overrides - Field overrides
+ * @returns {Object} Tax rate stub
+ */
+const buildTaxRate = (overrides = {}) => {
+  const rate = {
+    _id: 'rate1',
+    name: 'California',
+    country: 'US',
+    state: 'CA',
+    postalPrefix: null,
+    rates: { standard: 7.25, reduced: 0, digital: 7.25 },
+    ...overrides
+  };
+  rate.getRateForClass = (taxClass) => (taxClass === 'exempt' ? 0 : rate.rates[taxClass]);
+  return rate;
+};
+
+describe('TaxService', () => {
+  const address = { country: 'US', state: 'CA', postalCode: '90210' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.tax.pricesIncludeTax = false;
+  });
+
+  describe('calculateTax', () => {
+    it('should add exclusive tax per jurisdiction layer', async () => {
+      TaxRate.findForAddress.mockResolvedValue([
+        buildTaxRate(),
+        buildTaxRate({ _id: 'rate2', name: 'Los Angeles County', postalPrefix: '90', rates: { standard: 2.25 } })
+      ]);
+
+      const result = await taxService.calculateTax({
+        items: [{ productId: 'prod1', price: 100, quantity: 2, taxClass: 'standard' }],
+        address
+      });
+
+      expect(TaxRate.findForAddress).toHaveBeenCalledWith(address);
+      expect(result.tax).toBe(19);
+      expect(result.taxInclusive).toBe(false);
+      expect(result.breakdown).toEqual([
+        expect.objectContaining({ jurisdiction: 'California', rate: 7.25, taxableAmount: 200, amount: 14.5 }),
+        expect.objectContaining({ jurisdiction: 'Los Angeles County', rate: 2.25, taxableAmount: 200, amount: 4.5 })
+      ]);
+      expect(result.lines[0].tax).toBe(19);
+    });
+
+    it('should not tax exempt items', async () => {
+      TaxRate.findForAddress.mockResolvedValue([buildTaxRate()]);
+
+      const result = await taxService.calculateTax({
+        items: [
+          { productId: 'prod1', price: 100, quantity: 1, taxClass: 'standard' },
+          { productId: 'prod2', price: 50, quantity: 1, taxClass: 'exempt' }
+        ],
+        address
+      });
+
+      expect(result.tax).toBe(7.25);
+      expect(result.lines[1].tax).toBe(0);
+      expect(result.breakdown).toHaveLength(1);
+    });
+
+    it('should spread an order discount across lines before taxing', async () => {
+      TaxRate.findForAddress.mockResolvedValue([buildTaxRate({ rates: { standard: 10 } })]);
+
+      const result = await taxService.calculateTax({
+        items: [
+          { productId: 'prod1', price: 75, quantity: 1 },
+          { productId: 'prod2', price: 25, quantity: 1 }
+        ],
+        address,
+        discount: 20
+      });
+
+      expect(result.lines[0].taxableAmount).toBe(60);
+      expect(result.lines[1].taxableAmount).toBe(20);
+      expect(result.tax).toBe(8);
+    });
+
+    it('should extract tax from tax-inclusive prices', async () => {
+      config.tax.pricesIncludeTax = true;
+      TaxRate.findForAddress.mockResolvedValue([
+        buildTaxRate({ name: 'Germany', country: 'DE', state: null, rates: { standard: 19 } })
+      ]);
+
+      const result = await taxService.calculateTax({
+        items: [{ productId: 'prod1', price: 119, quantity: 1 }],
+        address: { country: 'DE', postalCode: '10115' }
+      });
+
+      expect(result.taxInclusive).toBe(true);
+      expect(result.lines[0].taxableAmount).toBe(100);
+      expect(result.tax).toBe(19);
+    });
+
+    it('should return zero tax when no address is known', async () => {
+      const result = await taxService.calculateTax({
+        items: [{ productId: 'prod1', price: 100, quantity: 1 }]
+      });
+
+      expect(TaxRate.findForAddress).not.toHaveBeenCalled();
+      expect(result.tax).toBe(0);
+      expect(result.breakdown).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+// File: tests/unit/services/twoFactor.service.test.js
+// Generated: 2025-10-16 19:02:18 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_p3xw8tm5ka7c
+
+
+const User = require('../../../src/models/User');
+
+
+const config = require('../../../src/config/environment');
+
+
+const totp = require('../../../src/utils/totp');
+
+
+const twoFactorService = require('../../../src/services/twoFactor.service');
+
+const { comparePassword } = require('../../../src/utils/password');
+
+const { AuthenticationError, AuthorizationError, ConflictError } = require('../../../src/utils/errors');
+
+// Mock dependencies
+jest.mock('../../../src/models/User');
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/utils/password');
+jest.mock('../../../src/config/environment', () => ({
+  twoFactor: {
+    issuer: 'Test Shop',
+    requiredRoles: ['admin'],
+    encryptionKey: 'test-encryption-key'
+  }
+}));
+
+describe('TwoFactorService', () => {
+  const userId = '64b000000000000000000001';
+
+  /**
+   * Minimal user document supporting set() with dotted paths
+   * @param {Object} fields - Document fields
+   * @returns {Object} User document mock
+   */
+  const buildUser = (fields = {}) => {
+    const user = {
+      _id: userId,
+      email: 'seller@example.com',
+      role: 'seller',
+      twoFactor: { enabled: false },
+      ...fields,
+      save: jest.fn().mockResolvedValue(),
+      set: jest.fn((path, value) => {
+        const keys = path.split('.');
+        const target = keys.slice(0, -1).reduce((object, key) => object[key], user);
+        target[keys[keys.length - 1]] = value;
+      })
+    };
+
+    User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+    // Conditional updates made by verify(), applied to this document
+    User.updateOne.mockImplementation((filter, update) => {
+      const stepFilter = filter['twoFactor.lastUsedStep'];
+      const recoveryCode = filter['twoFactor.recoveryCodes'];
+      const matched = stepFilter
+        ? user.twoFactor.lastUsedStep < stepFilter.$lt
+        : (user.twoFactor.recoveryCodes || []).includes(recoveryCode);
+
+      if (matched && update.$set) {
+        user.twoFactor.lastUsedStep = update.$set['twoFactor.lastUsedStep'];
+      }
+      if (matched && update.$pull) {
+        user.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes.filter(stored => stored !== recoveryCode);
+      }
+
+      return Promise.resolve({ matchedCount: matched ? 1 : 0 });
+    });
+
+    return user;
+  };
+
+  /**
+   * Enroll a user and return the plain secret and recovery codes
+   */
+  const enrollUser = async (fields) => {
+    const user = buildUser(fields);
+    const { secret } = await twoFactorService.beginSetup(userId);
+    const { recoveryCodes } = await twoFactorService.enable(userId, '123456');
+
+    return { user, secret, recoveryCodes };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(totp, 'verifyCode');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('beginSetup', () => {
+    it('should store the new secret encrypted and return an otpauth URI', async () => {
+      const user = buildUser();
+
+      const { secret, otpauthUri } = await twoFactorService.beginSetup(userId);
+
+      expect(otpauthUri).toBe(
+        `otpauth://totp/Test%20Shop%3Aseller%40example.com?secret=${secret}&issuer=Test%20Shop&algorithm=SHA1&digits=6&period=30`
+      );
+      expect(user.twoFactor.pendingSecret).toBeDefined();
+      expect(user.twoFactor.pendingSecret).not.toContain(secret);
+      expect(twoFactorService._decryptSecret(user.twoFactor.pendingSecret)).toBe(secret);
+    });
+
+    it('should refuse users who already enabled two-factor', async () => {
+      buildUser({ twoFactor: { enabled: true } });
+
+      await expect(twoFactorService.beginSetup(userId)).rejects.toThrow(ConflictError);
+    });
+  });
+
+  describe('enable', () => {
+    it('should activate the pending secret and return hashed recovery codes', async () => {
+      totp.verifyCode.mockReturnValue(1000);
+
+      const { user, recoveryCodes } = await enrollUser();
+
+      expect(recoveryCodes).toHaveLength(10);
+      expect(recoveryCodes[0]).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/);
+      expect(user.twoFactor).toEqual(expect.objectContaining({
+        enabled: true,
+        pendingSecret: undefined,
+        lastUsedStep: 1000
+      }));
+      expect(user.twoFactor.recoveryCodes).not.toContain(recoveryCodes[0]);
+      expect(user.twoFactor.recoveryCodes).toContain(twoFactorService._hashRecoveryCode(recoveryCodes[0]));
+    });
+
+    it('should reject a wrong code and keep two-factor off', async () => {
+      const user = buildUser();
+      await twoFactorService.beginSetup(userId);
+      totp.verifyCode.mockReturnValue(null);
+
+      await expect(twoFactorService.enable(userId, '000000')).rejects.toThrow(AuthenticationError);
+      expect(user.twoFactor.enabled).toBe(false);
+    });
+  });
+
+  describe('verify', () => {
+    it('should accept a code once and refuse it when replayed', async () => {
+      totp.verifyCode.mockReturnValue(1000);
+      const { user, secret } = await enrollUser();
+
+      totp.verifyCode.mockRestore();
+      const code = totp.generateCode(secret);
+
+      await expect(twoFactorService.verify(user, { code })).resolves.toEqual({ method: 'totp' });
+      await expect(twoFactorService.verify(user, { code })).resolves.toBeNull();
+    });
+
+    it('should let only one of two concurrent requests use the same code', async () => {
+      totp.verifyCode.mockReturnValue(1000);
+      const { user } = await enrollUser();
+      totp.verifyCode.mockReturnValue(1001);
+
+      const results = await Promise.all([
+        twoFactorService.verify(user, { code: '123456' }),
+        twoFactorService.verify(user, { code: '123456' })
+      ]);
+
+      expect(results).toEqual(expect.arrayContaining([{ method: 'totp' }, null]));
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: userId, 'twoFactor.lastUsedStep': { $lt: 1001 } },
+        { $set: { 'twoFactor.lastUsedStep': 1001 } }
+      );
+    });
+
+    it('should use up a recovery code, ignoring case and dashes', async () => {
+      totp.verifyCode.mockReturnValue(1000);
+      const { user, recoveryCodes } = await enrollUser();
+      const typed = recoveryCodes[3].replace('-', '').toUpperCase();
+
+      await expect(twoFactorService.verify(user, { recoveryCode: typed }))
+        .resolves.toEqual({ method: 'recovery', recoveryCodesRemaining: 9 });
+      await expect(twoFactorService.verify(user, { recoveryCode: recoveryCodes[3] })).resolves.toBeNull();
+    });
+
+    it('should let a recovery code be used by only one of two concurrent requests', async () => {
+      totp.verifyCode.mockReturnValue(1000);
+      const { user, recoveryCodes } = await enrollUser();
+
+      const results = await Promise.all([
+        twoFactorService.verify(user, { recoveryCode: recoveryCodes[0] }),
+        twoFactorService.verify(user, { recoveryCode: recoveryCodes[0] })
+      ]);
+
+      expect(results.filter(Boolean)).toHaveLength(1);
+      expect(user.twoFactor.recoveryCodes).toHaveLength(9);
+    });
+  });
+
+  describe('encryption key', () => {
+    it('should refuse to store secrets while TWO_FACTOR_ENCRYPTION_KEY is unset', async () => {
+      buildUser();
+      config.twoFactor.encryptionKey = undefined;
+
+      try {
+        await expect(twoFactorService.beginSetup(userId))
+          .rejects.toThrow('TWO_FACTOR_ENCRYPTION_KEY must be set to use two-factor authentication');
+      } finally {
+        config.twoFactor.encryptionKey = 'test-encryption-key';
+      }
+    });
+  });
+
+  describe('disable', () => {
+    it('should not let roles that require two-factor turn it off', async () => {
+      totp.verifyCode.mockReturnValue(1000);
+      await enrollUser({ role: 'admin' });
+      comparePassword.mockResolvedValue(true);
+
+      await expect(twoFactorService.disable(userId, 'Password123!', { code: '123456' }))
+        .rejects.toThrow(AuthorizationError);
+    });
+
+    it('should require the password as well as a code', async () => {
+      totp.verifyCode.mockReturnValue(1000);
+      const { user, recoveryCodes } = await enrollUser();
+      comparePassword.mockResolvedValue(false);
+
+      await expect(twoFactorService.disable(userId, 'wrong', { recoveryCode: recoveryCodes[0] }))
+        .rejects.toThrow('Password is incorrect');
+      expect(user.twoFactor.enabled).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,147 @@
+// File: tests/unit/services/wishlist.service.test.js
+// Generated: 2025-10-16 11:49:40 UTC
+// Project ID: proj_c85cfd5b58f3
+// Task ID: task_w8lq3ns6xe1d
+
+
+const Product = require('../../../src/models/Product');
+
+
+const User = require('../../../src/models/User');
+
+
+const config = require('../../../src/config/environment');
+
+
+const emailService = require('../../../src/services/email.service');
+
+
+const wishlistService = require('../../../src/services/wishlist.service');
+
+// Mock dependencies
+jest.mock('../../../src/models/Product');
+jest.mock('../../../src/models/User');
+jest.mock('../../../src/services/cart.service');
+jest.mock('../../../src/services/email.service');
+jest.mock('../../../src/utils/logger');
+jest.mock('../../../src/config/environment', () => ({
+  features: { enableWishlist: true }
+}));
+
+describe('WishlistService', () => {
+  const product = {
+    _id: 'prod1',
+    name: 'Desk Lamp',
+    slug: 'desk-lamp',
+    price: 40,
+    isActive: true,
+    isInStock: () => true
+  };
+
+  /**
+   * Stub the watcher query chain with an async-iterable cursor
+   * @param {Array} users - Watching users
+   */
+  const mockWatchers = (users) => {
+    User.find.mockReturnValue({
+      select: () => ({
+        lean: () => ({
+          cursor: () => (async function* () {
+            yield* users;
+          })()
+        })
+      })
+    });
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.features.enableWishlist = true;
+  });
+
+  describe('addItem', () => {
+    it('should reject inactive products', async () => {
+      Product.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: 'prod1', isActive: false })
+      });
+
+      await expect(wishlistService.addItem('user1', 'prod1')).rejects.toThrow('Product not found');
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('should report a full wishlist', async () => {
+      Product.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({ _id: 'prod1', isActive: true })
+      });
+      User.updateOne.mockResolvedValue({ matchedCount: 0 });
+      User.exists.mockResolvedValue({ _id: 'user1' });
+
+      await expect(wishlistService.addItem('user1', 'prod1')).rejects.toThrow('Wishlist cannot contain more than 100 items');
+    });
+  });
+
+  describe('moveToCart', () => {
+    it('should add to the cart before removing from the wishlist', async () => {
+      User.exists.mockResolvedValue({ _id: 'user1' });
+      wishlistService.cartService.addItem.mockResolvedValue({ items: [] });
+      jest.spyOn(wishlistService, 'getWishlist').mockResolvedValue([]);
+
+      const result = await wishlistService.moveToCart('user1', 'prod1', 2);
+
+      expect(wishlistService.cartService.addItem).toHaveBeenCalledWith('user1', null, 'prod1', 2);
+      expect(User.updateOne).toHaveBeenCalledWith({ _id: 'user1' }, { $pull: { wishlist: 'prod1' } });
+      expect(result).toEqual({ cart: { items: [] }, wishlist: [] });
+    });
+
+    it('should keep the wishlist item when the cart rejects it', async () => {
+      User.exists.mockResolvedValue({ _id: 'user1' });
+      wishlistService.cartService.addItem.mockRejectedValue(new Error('Insufficient stock'));
+
+      await expect(wishlistService.moveToCart('user1', 'prod1')).rejects.toThrow('Insufficient stock');
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('notifyProductChange', () => {
+    it('should email every watcher when the price drops', async () => {
+      mockWatchers([
+        { email: 'a@example.com', firstName: 'Ann' },
+        { email: 'b@example.com', firstName: 'Ben' }
+      ]);
+
+      const queued = await wishlistService.notifyProductChange({ price: 50, inStock: true }, product);
+
+      expect(queued).toBe(2);
+      expect(emailService.sendWishlistPriceDrop).toHaveBeenCalledWith('a@example.com', expect.objectContaining({
+        productName: 'Desk Lamp',
+        previousPrice: 50,
+        newPrice: 40
+      }));
+    });
+
+    it('should send back-in-stock emails when stock returns', async () => {
+      mockWatchers([{ email: 'a@example.com', firstName: 'Ann' }]);
+
+      await wishlistService.notifyProductChange({ inStock: false }, product);
+
+      expect(emailService.sendWishlistBackInStock).toHaveBeenCalledTimes(1);
+      expect(emailService.sendWishlistPriceDrop).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing when neither price nor availability improved', async () => {
+      const queued = await wishlistService.notifyProductChange({ price: 30, inStock: true }, product);
+
+      expect(queued).toBe(0);
+      expect(User.find).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing when wishlists are disabled', async () => {
+      config.features.enableWishlist = false;
+
+      const queued = await wishlistService.notifyProductChange({ price: 50, inStock: true }, product);
+
+      expect(queued).toBe(0);
+      expect(User.find).not.toHaveBeenCalled();
+    });
+  });
+});